@@ -0,0 +1,69 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-disable no-console */
+
+/**
+ * Runs any audit type from src/index.js against a site without SQS or AWS:
+ *
+ *   npm run audit:local -- <type> <baseURL> [--audit-context '<json>'] [--store <dir>] [--debug]
+ *
+ * Data access, S3 and SQS are replaced by file-backed stand-ins under the store directory
+ * (default: .local-audit). Seed entities (e.g. top pages) in `<store>/data/SiteTopPage.json`
+ * and scrape results in `<store>/s3/<S3_SCRAPER_BUCKET_NAME>/scrapes/<siteId>/...`.
+ * The resulting audit, opportunities and suggestions are printed as JSON.
+ */
+import path from 'path';
+import { parseArgs } from 'util';
+import { HANDLERS } from '../src/index.js';
+import { createLocalContext, runLocalAudit } from '../src/support/local-runner.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'audit-context': { type: 'string', default: '{}' },
+    store: { type: 'string', default: '.local-audit' },
+    debug: { type: 'boolean', default: false },
+  },
+});
+
+const [type, baseURL] = positionals;
+if (!type || !baseURL) {
+  console.error('Usage: npm run audit:local -- <type> <baseURL> [--audit-context <json>] [--store <dir>] [--debug]');
+  process.exit(1);
+}
+
+// logs go to stderr so that stdout only carries the JSON result
+const log = {
+  info: console.error,
+  warn: console.error,
+  error: console.error,
+  debug: values.debug ? console.error : () => {},
+};
+
+const context = createLocalContext({
+  storeDir: path.resolve(values.store),
+  log,
+  env: process.env,
+});
+
+try {
+  const result = await runLocalAudit(HANDLERS, {
+    type,
+    baseURL,
+    auditContext: JSON.parse(values['audit-context']),
+    context,
+  });
+  console.log(JSON.stringify(result, null, 2));
+} catch (e) {
+  console.error(`Local ${type} audit failed: ${e.message}`, e);
+  process.exit(1);
+}
@@ -17,6 +17,7 @@ import {
   aggregateAccessibilityData,
   getUrlsForAudit,
   generateReportOpportunities,
+  saveConformanceReport,
   sendRunImportMessage,
 } from './utils/data-processing.js';
 import {
@@ -200,6 +201,20 @@ export async function processAccessibilityOpportunities(context) {
     };
   }
 
+  // Step 2b: Save the conformance report next to the weekly report, without failing the audit
+  try {
+    await saveConformanceReport(
+      s3Client,
+      bucketName,
+      outputKey,
+      aggregationResult.finalResultFiles.current,
+      { siteUrl: site.getBaseURL(), reportDate: version },
+      log,
+    );
+  } catch (error) {
+    log.error(`[A11yAudit][A11yProcessingError] Error saving the conformance report for site ${siteId} (${site.getBaseURL()}): ${error.message}`, error);
+  }
+
   // Step 2c: Create individual opportunities (URL-specific accessibility issues)
   try {
     await createAccessibilityIndividualOpportunities(
@@ -328,6 +343,20 @@ export function createProcessAccessibilityOpportunitiesWithDevice(deviceType) {
       };
     }
 
+    // Step 2b: Save the conformance report next to the weekly report, without failing the audit
+    try {
+      await saveConformanceReport(
+        s3Client,
+        bucketName,
+        outputKey,
+        aggregationResult.finalResultFiles.current,
+        { siteUrl: site.getBaseURL(), reportDate: version },
+        log,
+      );
+    } catch (error) {
+      log.error(`[A11yAudit][A11yProcessingError] Error saving the conformance report for ${deviceType} on site ${siteId} (${site.getBaseURL()}): ${error.message}`, error);
+    }
+
     // Step 2c: Create individual opportunities (skip for mobile audits)
     if (deviceType !== 'mobile') {
       try {
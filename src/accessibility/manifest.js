@@ -0,0 +1,33 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import accessibility from './handler.js';
+import accessibilityDesktop from './handler-desktop.js';
+import accessibilityMobile from './handler-mobile.js';
+import accessibilityRemediationGuidance from './guidance-handlers/guidance-accessibility-remediation.js';
+import triggerA11yCodefix from './trigger-codefix-handler.js';
+import accessibilityCodeFix from '../common/codefix-response-handler.js';
+import accessibilityCodeFixHandler from './auto-optimization-handlers/codefix-handler.js';
+
+/** @type {import('../common/audit-registry.js').AuditManifest} */
+export default {
+  module: 'accessibility',
+  handlers: [
+    { type: 'accessibility', handler: accessibility },
+    { type: 'accessibility-desktop', handler: accessibilityDesktop },
+    { type: 'accessibility-mobile', handler: accessibilityMobile },
+    { type: 'guidance:accessibility-remediation', handler: accessibilityRemediationGuidance },
+    { type: 'trigger:a11y-codefix', handler: triggerA11yCodefix },
+    { type: 'codefix:accessibility', handler: accessibilityCodeFix },
+    { type: 'codefix:form-accessibility', handler: accessibilityCodeFixHandler },
+  ],
+};
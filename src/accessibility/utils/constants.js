@@ -544,6 +544,69 @@ export const successCriteriaLinks = {
   },
 };
 
+/**
+ * Conformance level of the WCAG 2.2 success criteria at levels A and AA, by criterion number
+ * as in successCriteriaLinks. Parsing (4.1.1) is obsolete and removed in WCAG 2.2.
+ * Used for the Accessibility Conformance Report, which lists every criterion
+ */
+export const wcagSuccessCriteriaLevels = {
+  111: 'A',
+  121: 'A',
+  122: 'A',
+  123: 'A',
+  124: 'AA',
+  125: 'AA',
+  131: 'A',
+  132: 'A',
+  133: 'A',
+  134: 'AA',
+  135: 'AA',
+  141: 'A',
+  142: 'A',
+  143: 'AA',
+  144: 'AA',
+  145: 'AA',
+  1410: 'AA',
+  1411: 'AA',
+  1412: 'AA',
+  1413: 'AA',
+  211: 'A',
+  212: 'A',
+  214: 'A',
+  221: 'A',
+  222: 'A',
+  231: 'A',
+  241: 'A',
+  242: 'A',
+  243: 'A',
+  244: 'A',
+  245: 'AA',
+  246: 'AA',
+  247: 'AA',
+  2411: 'AA',
+  251: 'A',
+  252: 'A',
+  253: 'A',
+  254: 'A',
+  257: 'AA',
+  258: 'AA',
+  311: 'A',
+  312: 'AA',
+  321: 'A',
+  322: 'A',
+  323: 'AA',
+  324: 'AA',
+  326: 'A',
+  331: 'A',
+  332: 'A',
+  333: 'AA',
+  334: 'AA',
+  337: 'A',
+  338: 'AA',
+  412: 'A',
+  413: 'AA',
+};
+
 /**
  * Accessibility issues impact descriptions for common WCAG issues
  * This file contains standardized descriptions of how accessibility issues affect users
@@ -34,6 +34,7 @@ import {
   generateFixedNewReportMarkdown,
   generateBaseReportMarkdown,
 } from './generate-md-reports.js';
+import { generateConformanceReport, generateConformanceReportHtml } from './generate-acr-report.js';
 import { AUDIT_PREFIXES, URL_SOURCE_SEPARATOR } from './constants.js';
 
 /**
@@ -964,6 +965,46 @@ export async function generateReportOpportunity(
   return opptyUrl;
 }
 
+/**
+ * Saves the Accessibility Conformance Report (ACR) of the aggregated data, as JSON and html,
+ * next to the final result file of the week
+ * @param {import('@aws-sdk/client-s3').S3Client} s3Client - an S3 client
+ * @param {string} bucketName - the name of the S3 bucket
+ * @param {string} outputKey - the key of the final result file
+ * @param {Object} current - the aggregated data of the week
+ * @param {Object} productData - contains the siteUrl and the reportDate
+ * @param {import('@azure/logger').Logger} log - a logger instance
+ * @returns {Promise<{jsonKey: string, htmlKey: string}>} - the keys of the saved reports
+ */
+export async function saveConformanceReport(
+  s3Client,
+  bucketName,
+  outputKey,
+  current,
+  productData,
+  log,
+) {
+  const report = generateConformanceReport(current, productData);
+  const jsonKey = outputKey.replace('-final-result.json', '-acr.json');
+  const htmlKey = outputKey.replace('-final-result.json', '-acr.html');
+
+  await s3Client.send(new PutObjectCommand({
+    Bucket: bucketName,
+    Key: jsonKey,
+    Body: JSON.stringify(report, null, 2),
+    ContentType: 'application/json',
+  }));
+  await s3Client.send(new PutObjectCommand({
+    Bucket: bucketName,
+    Key: htmlKey,
+    Body: generateConformanceReportHtml(report),
+    ContentType: 'text/html',
+  }));
+
+  log.debug(`Saved accessibility conformance report to ${jsonKey} and ${htmlKey}`);
+  return { jsonKey, htmlKey };
+}
+
 export async function getAuditData(site, auditType) {
   const latestAudit = await site.getLatestAuditByAuditType(auditType);
   return JSON.parse(JSON.stringify(latestAudit));
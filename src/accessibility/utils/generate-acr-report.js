@@ -0,0 +1,254 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import {
+  successCriteriaLinks,
+  URL_SOURCE_SEPARATOR,
+  wcagSuccessCriteriaLevels,
+} from './constants.js';
+
+export const ACR_FORMAT = 'VPAT 2.5 WCAG';
+export const ACR_STANDARD = 'WCAG 2.2';
+
+export const CONFORMANCE = Object.freeze({
+  SUPPORTS: 'Supports',
+  PARTIALLY_SUPPORTS: 'Partially Supports',
+  DOES_NOT_SUPPORT: 'Does Not Support',
+});
+
+const EVALUATION_METHODS = 'Automated testing with axe-core of the pages audited by the weekly accessibility audit';
+const NOTES = 'Conformance is derived from automated testing only. Automated tests cover part of each success criterion, so criteria reported as Supports need a manual review before the report is published.';
+
+// =============================================
+// Helper Functions
+// =============================================
+
+/**
+ * Format a criterion number as used in constants.js, i.e. 1410 as 1.4.10
+ * @param {string} number - the criterion number without dots
+ * @returns {string} the dotted criterion number
+ */
+function formatCriterionNumber(number) {
+  return `${number[0]}.${number[1]}.${number.slice(2)}`;
+}
+
+// Helper function to sort dotted criterion numbers in WCAG order
+function compareCriteria(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  return partsA[0] - partsB[0] || partsA[1] - partsB[1] || partsA[2] - partsB[2];
+}
+
+/**
+ * Escape text for HTML content and attributes
+ * @param {string} text - the text
+ * @returns {string} the escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Helper function to list the violation items of a page or of the overall data
+function getViolationItems(violations) {
+  return [
+    ...Object.entries(violations?.critical?.items || {}),
+    ...Object.entries(violations?.serious?.items || {}),
+  ];
+}
+
+// =============================================
+// Data Processing Functions
+// =============================================
+
+/**
+ * Calculate the conformance of each WCAG 2.2 A/AA success criterion from the aggregated
+ * axe violations: a criterion is not supported when all audited pages violate it, and
+ * partially supported when some do
+ * @param {Object} currentFile - Current week's data
+ * @returns {Object} the audited page count and the criteria in WCAG order
+ */
+function calculateConformanceData(currentFile) {
+  // Form sources of a page are reported under the page URL
+  const pageKeys = Object.keys(currentFile).filter((key) => key !== 'overall');
+  const pagesAudited = new Set(pageKeys.map((key) => key.split(URL_SOURCE_SEPARATOR)[0])).size;
+
+  const affectedPagesByCriterion = new Map();
+  pageKeys.forEach((key) => {
+    getViolationItems(currentFile[key].violations).forEach(([, item]) => {
+      const pages = affectedPagesByCriterion.get(item.successCriteriaNumber) || new Set();
+      pages.add(key.split(URL_SOURCE_SEPARATOR)[0]);
+      affectedPagesByCriterion.set(item.successCriteriaNumber, pages);
+    });
+  });
+
+  const issuesByCriterion = new Map();
+  getViolationItems(currentFile.overall.violations).forEach(([rule, item]) => {
+    const issues = issuesByCriterion.get(item.successCriteriaNumber) || [];
+    issues.push({ rule, description: item.description, count: item.count });
+    issuesByCriterion.set(item.successCriteriaNumber, issues);
+  });
+
+  const criteria = Object.entries(wcagSuccessCriteriaLevels)
+    .map(([number, level]) => {
+      const affectedPages = affectedPagesByCriterion.get(number)?.size || 0;
+      const issues = (issuesByCriterion.get(number) || []).sort((a, b) => b.count - a.count);
+
+      let conformance = CONFORMANCE.PARTIALLY_SUPPORTS;
+      let remarks = `${affectedPages} of ${pagesAudited} audited pages have issues: ${issues.map(({ rule, count }) => `${rule} (${count})`).join(', ')}`;
+      if (affectedPages === 0) {
+        conformance = CONFORMANCE.SUPPORTS;
+        remarks = `No issues found by automated testing on the ${pagesAudited} audited pages`;
+      } else if (affectedPages === pagesAudited) {
+        conformance = CONFORMANCE.DOES_NOT_SUPPORT;
+      }
+
+      return {
+        criterion: formatCriterionNumber(number),
+        name: successCriteriaLinks[number].name,
+        level,
+        url: successCriteriaLinks[number].successCriterionUrl,
+        conformance,
+        remarks,
+        affectedPages,
+        issues,
+      };
+    })
+    .sort((a, b) => compareCriteria(a.criterion, b.criterion));
+
+  return { pagesAudited, criteria };
+}
+
+// =============================================
+// Report Generation Functions
+// =============================================
+
+/**
+ * Generate the Accessibility Conformance Report following the VPAT 2.5 WCAG edition
+ * @param {Object} currentFile - Current week's data
+ * @param {Object} productData - contains the siteUrl and the reportDate
+ * @returns {Object} machine-readable conformance report
+ */
+function generateConformanceReport(currentFile, productData) {
+  const { siteUrl, reportDate } = productData;
+  const { pagesAudited, criteria } = calculateConformanceData(currentFile);
+
+  const summary = {
+    supports: criteria.filter(({ conformance }) => conformance === CONFORMANCE.SUPPORTS).length,
+    partiallySupports: criteria
+      .filter(({ conformance }) => conformance === CONFORMANCE.PARTIALLY_SUPPORTS).length,
+    doesNotSupport: criteria
+      .filter(({ conformance }) => conformance === CONFORMANCE.DOES_NOT_SUPPORT).length,
+  };
+
+  return {
+    format: ACR_FORMAT,
+    standard: ACR_STANDARD,
+    siteUrl,
+    reportDate,
+    evaluationMethods: EVALUATION_METHODS,
+    notes: NOTES,
+    pagesAudited,
+    summary,
+    criteria,
+  };
+}
+
+/**
+ * Generate a VPAT table of the criteria of one conformance level
+ * @param {string} title - the table title
+ * @param {Array} criteria - the criteria of the level
+ * @returns {string} table html
+ */
+function generateCriteriaTableHtml(title, criteria) {
+  const rows = criteria.map((criterion) => `      <tr>
+        <td><a href="${escapeHtml(criterion.url)}">${criterion.criterion} ${escapeHtml(criterion.name)}</a> (Level ${criterion.level})</td>
+        <td>${criterion.conformance}</td>
+        <td>${escapeHtml(criterion.remarks)}</td>
+      </tr>`);
+
+  return `  <h3>${title}</h3>
+  <table>
+    <thead>
+      <tr><th scope="col">Criteria</th><th scope="col">Conformance Level</th><th scope="col">Remarks and Explanations</th></tr>
+    </thead>
+    <tbody>
+${rows.join('\n')}
+    </tbody>
+  </table>
+`;
+}
+
+/**
+ * Generate the Accessibility Conformance Report in html format
+ * @param {Object} report - the report from generateConformanceReport
+ * @returns {string} Conformance report html
+ */
+function generateConformanceReportHtml(report) {
+  const siteUrl = escapeHtml(report.siteUrl);
+  const levelA = report.criteria.filter(({ level }) => level === 'A');
+  const levelAA = report.criteria.filter(({ level }) => level === 'AA');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Accessibility Conformance Report - ${siteUrl}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+    th, td { border: 1px solid #999; padding: 0.5rem; text-align: left; vertical-align: top; }
+  </style>
+</head>
+<body>
+  <h1>Accessibility Conformance Report</h1>
+  <p>${ACR_FORMAT} edition</p>
+  <h2>Product Information</h2>
+  <dl>
+    <dt>Name of Product</dt><dd>${siteUrl}</dd>
+    <dt>Report Date</dt><dd>${escapeHtml(report.reportDate)}</dd>
+    <dt>Evaluation Methods Used</dt><dd>${EVALUATION_METHODS} (${report.pagesAudited} pages)</dd>
+    <dt>Notes</dt><dd>${NOTES}</dd>
+  </dl>
+  <h2>Applicable Standards/Guidelines</h2>
+  <table>
+    <thead>
+      <tr><th scope="col">Standard/Guideline</th><th scope="col">Included In Report</th></tr>
+    </thead>
+    <tbody>
+      <tr><td>Web Content Accessibility Guidelines 2.2</td><td>Level A (Yes), Level AA (Yes), Level AAA (No)</td></tr>
+    </tbody>
+  </table>
+  <h2>Terms</h2>
+  <ul>
+    <li><strong>${CONFORMANCE.SUPPORTS}</strong>: no audited page has issues for the criterion.</li>
+    <li><strong>${CONFORMANCE.PARTIALLY_SUPPORTS}</strong>: some audited pages have issues for the criterion.</li>
+    <li><strong>${CONFORMANCE.DOES_NOT_SUPPORT}</strong>: all audited pages have issues for the criterion.</li>
+  </ul>
+  <h2>${ACR_STANDARD} Report</h2>
+  <p>${report.summary.supports} criteria supported, ${report.summary.partiallySupports} partially supported, ${report.summary.doesNotSupport} not supported.</p>
+${generateCriteriaTableHtml('Table 1: Success Criteria, Level A', levelA)}${generateCriteriaTableHtml('Table 2: Success Criteria, Level AA', levelAA)}</body>
+</html>
+`;
+}
+
+export {
+  calculateConformanceData,
+  generateConformanceReport,
+  generateConformanceReportHtml,
+  formatCriterionNumber,
+  escapeHtml,
+};
@@ -0,0 +1,321 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { tracingFetch as fetch } from '@adobe/spacecat-shared-utils';
+import { load as cheerioLoad } from 'cheerio';
+import robotsParser from 'robots-parser';
+
+import { CANONICAL_CHECKS } from './constants.js';
+import { getSitemapUrls } from '../sitemap/common.js';
+import { limitConcurrencyAllSettled } from '../support/utils.js';
+import { normalizePageUrl } from '../utils/url-utils.js';
+
+export const NEAR_DUPLICATE_THRESHOLD = 0.9;
+
+const MAX_TARGET_FETCHES = 50;
+const MAX_CONCURRENT_FETCH_CALLS = 10;
+const SHINGLE_SIZE = 3;
+const MAX_WORDS = 2000;
+const ROBOTS_USER_AGENT = 'Googlebot';
+// pages are compared only when their MinHash signatures share a band, which pages with a
+// Jaccard similarity of 0.9 do with a probability above 0.9999999
+const SIGNATURE_BANDS = 20;
+const SIGNATURE_BAND_ROWS = 4;
+
+const resolveUrl = (href, base) => {
+  try {
+    return new URL(href, base).href;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Whether a page is excluded from the index by a robots meta tag or an X-Robots-Tag header.
+ *
+ * @param {import('cheerio').CheerioAPI} $ - the loaded page
+ * @param {string|null} [robotsHeader] - the value of the X-Robots-Tag response header
+ * @returns {boolean} true if the page is noindex
+ */
+export function isNoindex($, robotsHeader = null) {
+  const directives = [
+    robotsHeader,
+    ...$('meta[name="robots" i], meta[name="googlebot" i]').map((i, meta) => $(meta).attr('content')).get(),
+  ];
+  return directives.some((directive) => /\bnoindex\b/i.test(directive || ''));
+}
+
+/**
+ * The word shingles of the visible text of a page, to measure how similar two pages are.
+ *
+ * @param {import('cheerio').CheerioAPI} $ - the loaded page
+ * @returns {Set<string>} the shingles of the first words of the page
+ */
+export function getContentShingles($) {
+  $('script, style, noscript, template').remove();
+  // joins the text nodes with spaces, as the text of adjacent elements is not separated
+  const text = $('body').find('*').addBack().contents()
+    .filter((i, element) => element.type === 'text')
+    .map((i, element) => element.data)
+    .get()
+    .join(' ');
+  const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_WORDS);
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i += 1) {
+    shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return shingles;
+}
+
+/**
+ * Creates the node of a scraped page in the canonical graph.
+ *
+ * @param {Object} page - the scraped page
+ * @param {string} page.url - the URL the page was requested with
+ * @param {string} page.finalUrl - the URL the page was served from
+ * @param {string|null} page.canonical - the href of the canonical tag, if any
+ * @param {string} page.rawBody - the HTML of the page
+ * @returns {Object} the node
+ */
+export function createCanonicalNode({
+  url, finalUrl, canonical, rawBody,
+}) {
+  const $ = cheerioLoad(rawBody);
+  return {
+    url,
+    finalUrl,
+    canonical: canonical ? resolveUrl(canonical, finalUrl) : null,
+    noindex: isNoindex($),
+    shingles: getContentShingles($),
+  };
+}
+
+const jaccard = (a, b) => {
+  let shared = 0;
+  a.forEach((shingle) => {
+    if (b.has(shingle)) {
+      shared += 1;
+    }
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+// the finalizer of MurmurHash3, to spread 32-bit values
+const mix = (value) => {
+  let h = value;
+  // eslint-disable-next-line no-bitwise
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  // eslint-disable-next-line no-bitwise
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  // eslint-disable-next-line no-bitwise
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+const hashString = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    // eslint-disable-next-line no-bitwise
+    h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  }
+  return h;
+};
+
+const SIGNATURE_SEEDS = Array.from(
+  { length: SIGNATURE_BANDS * SIGNATURE_BAND_ROWS },
+  (_, i) => mix(i + 1),
+);
+
+/**
+ * The keys of the bands of the MinHash signature of a set of shingles. Sets sharing a band
+ * key are candidate near-duplicates, the more similar two sets the likelier they share one.
+ *
+ * @param {Set<string>} shingles - the shingles of a page
+ * @returns {string[]} the band keys
+ */
+export function getSignatureBands(shingles) {
+  const hashes = [...shingles].map(hashString);
+  const signature = SIGNATURE_SEEDS.map((seed) => hashes
+    // eslint-disable-next-line no-bitwise
+    .reduce((min, hash) => Math.min(min, mix(hash ^ seed)), 0xffffffff));
+  return Array.from({ length: SIGNATURE_BANDS }, (_, band) => `${band}:${signature
+    .slice(band * SIGNATURE_BAND_ROWS, (band + 1) * SIGNATURE_BAND_ROWS).join(',')}`);
+}
+
+const isNearDuplicate = (a, b) => (
+  Math.min(a.size, b.size) / Math.max(a.size, b.size) >= NEAR_DUPLICATE_THRESHOLD
+  && jaccard(a, b) >= NEAR_DUPLICATE_THRESHOLD
+);
+
+async function fetchTargetNode(url) {
+  const response = await fetch(url, { redirect: 'manual' });
+  if (response.status !== 200) {
+    return {
+      url, finalUrl: url, canonical: null, noindex: false,
+    };
+  }
+  const $ = cheerioLoad(await response.text());
+  const canonical = $('link[rel="canonical"]').attr('href');
+  return {
+    url,
+    finalUrl: url,
+    canonical: canonical ? resolveUrl(canonical, url) : null,
+    noindex: isNoindex($, response.headers.get('x-robots-tag')),
+  };
+}
+
+async function getRobots(baseURL, log) {
+  const robotsUrl = new URL('/robots.txt', baseURL).href;
+  try {
+    const response = await fetch(robotsUrl);
+    return response.ok ? robotsParser(robotsUrl, await response.text()) : null;
+  } catch (e) {
+    log.debug(`[canonical] Skipping robots.txt checks of canonical targets: ${e.message}`);
+    return null;
+  }
+}
+
+async function getSitemapPageUrls(baseURL, log) {
+  const { success, details } = await getSitemapUrls(baseURL, log);
+  if (!success) {
+    log.debug(`[canonical] Skipping sitemap checks of canonical targets, no sitemap found for ${baseURL}`);
+    return null;
+  }
+  return new Set(Object.values(details.extractedPaths).flat().map(normalizePageUrl));
+}
+
+/**
+ * Analyzes the canonical graph across all scraped pages of the site. Every page points to
+ * its canonical URL; canonical URLs outside the scraped pages are fetched, up to a limit.
+ * Reports pages whose canonical is part of a chain or a loop, canonical URLs that are
+ * noindex, blocked by robots.txt or missing from the sitemap, and near-duplicate pages
+ * that do not resolve to the same canonical URL.
+ *
+ * @param {Array<Object>} nodes - the nodes of the scraped pages, see {@link createCanonicalNode}
+ * @param {string} baseURL - the base URL of the site
+ * @param {Object} log - logger instance
+ * @returns {Promise<Array<{url: string, checks: Array}>>} the failed checks by page
+ */
+export async function analyzeCanonicalGraph(nodes, baseURL, log) {
+  const graph = new Map();
+  nodes.forEach((node) => {
+    graph.set(normalizePageUrl(node.url), node);
+    graph.set(normalizePageUrl(node.finalUrl), node);
+  });
+
+  const canonicalOf = (key) => {
+    const canonical = graph.get(key)?.canonical;
+    if (!canonical) {
+      return null;
+    }
+    const target = normalizePageUrl(canonical);
+    const node = graph.get(key);
+    return [node.url, node.finalUrl].map(normalizePageUrl).includes(target) ? null : target;
+  };
+
+  const targets = [...new Set(nodes
+    .map((node) => canonicalOf(normalizePageUrl(node.finalUrl)))
+    .filter(Boolean))];
+  const unknown = targets.filter((target) => !graph.has(target));
+  if (unknown.length > MAX_TARGET_FETCHES) {
+    log.info(`[canonical] Checking ${MAX_TARGET_FETCHES} of ${unknown.length} canonical URLs outside the scraped pages`);
+  }
+  const fetched = await limitConcurrencyAllSettled(
+    unknown.slice(0, MAX_TARGET_FETCHES).map((url) => () => fetchTargetNode(url)),
+    MAX_CONCURRENT_FETCH_CALLS,
+  );
+  fetched.forEach((node) => graph.set(normalizePageUrl(node.url), node));
+
+  const [robots, sitemapUrls] = targets.length > 0
+    ? await Promise.all([getRobots(baseURL, log), getSitemapPageUrls(baseURL, log)])
+    : [null, null];
+
+  const failed = new Map(nodes.map((node) => [node, new Map()]));
+  const fail = (node, { check, explanation }, details) => {
+    const checks = failed.get(node);
+    if (!checks.has(check)) {
+      checks.set(check, {
+        check, success: false, explanation, ...details,
+      });
+    }
+  };
+
+  // follows the canonicals from a page, until a URL without a canonical or a URL seen before
+  const follow = (node) => {
+    const path = [normalizePageUrl(node.finalUrl)];
+    let next = canonicalOf(path[0]);
+    while (next && !path.includes(next)) {
+      path.push(next);
+      next = canonicalOf(next);
+    }
+    return { path, loopsTo: next };
+  };
+
+  const resolved = new Map();
+  nodes.forEach((node) => {
+    const { path, loopsTo } = follow(node);
+    resolved.set(node, loopsTo ? null : path[path.length - 1]);
+    if (path.length === 1) {
+      return;
+    }
+    const target = path[1];
+    if (loopsTo) {
+      fail(node, CANONICAL_CHECKS.CANONICAL_LOOP, { chain: [...path, loopsTo] });
+    } else if (path.length > 2) {
+      fail(node, CANONICAL_CHECKS.CANONICAL_CHAIN, { chain: path });
+    }
+    if (graph.get(target)?.noindex) {
+      fail(node, CANONICAL_CHECKS.CANONICAL_TARGET_NOINDEX, { canonical: target });
+    }
+    if (robots?.isAllowed(target, ROBOTS_USER_AGENT) === false) {
+      fail(node, CANONICAL_CHECKS.CANONICAL_TARGET_BLOCKED_BY_ROBOTS, { canonical: target });
+    }
+    if (sitemapUrls && !sitemapUrls.has(target)) {
+      fail(node, CANONICAL_CHECKS.CANONICAL_TARGET_NOT_IN_SITEMAP, { canonical: target });
+    }
+  });
+
+  // groups near-duplicate pages, a page joining the first group of a page it duplicates.
+  // Only the pages sharing a band of their signature are compared.
+  const groups = [];
+  const groupOf = new Map();
+  const buckets = new Map();
+  nodes.filter(({ shingles }) => shingles.size > 0).forEach((node) => {
+    const bands = getSignatureBands(node.shingles);
+    const duplicate = [...new Set(bands.flatMap((band) => buckets.get(band) || []))]
+      .sort((a, b) => groupOf.get(a) - groupOf.get(b))
+      .find((candidate) => isNearDuplicate(candidate.shingles, node.shingles));
+    if (duplicate) {
+      groupOf.set(node, groupOf.get(duplicate));
+      groups[groupOf.get(duplicate)].push(node);
+    } else {
+      groupOf.set(node, groups.length);
+      groups.push([node]);
+    }
+    bands.forEach((band) => {
+      if (!buckets.has(band)) {
+        buckets.set(band, []);
+      }
+      buckets.get(band).push(node);
+    });
+  });
+  groups
+    .filter((members) => new Set(members.map((member) => resolved.get(member))).size > 1)
+    .forEach((members) => members.forEach((node) => {
+      fail(node, CANONICAL_CHECKS.CANONICAL_CLUSTER_INCONSISTENT, {
+        duplicates: members.filter((member) => member !== node).map(({ url }) => url),
+      });
+    }));
+
+  return nodes
+    .map((node) => ({ url: node.url, checks: [...failed.get(node).values()] }))
+    .filter(({ checks }) => checks.length > 0);
+}
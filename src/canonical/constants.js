@@ -101,6 +101,42 @@ export const CANONICAL_CHECKS = Object.freeze({
     explanation: 'The canonical URL is malformed or invalid.',
     suggestion: 'Fix the malformed canonical URL and ensure it follows proper URL format',
   },
+  CANONICAL_CHAIN: {
+    check: 'canonical-chain',
+    title: 'Canonical Chain',
+    explanation: 'The canonical URL has a canonical pointing to yet another URL. Search engines may ignore canonicals that do not point to the final URL directly.',
+    suggestion: 'Point the canonical tag directly to the final canonical URL of the chain.',
+  },
+  CANONICAL_LOOP: {
+    check: 'canonical-loop',
+    title: 'Canonical Loop',
+    explanation: 'Following the canonical tags leads back to a page already visited, so no page of the loop can be chosen as canonical.',
+    suggestion: 'Break the loop by making one page of it self-referencing and pointing the other pages to it.',
+  },
+  CANONICAL_TARGET_NOINDEX: {
+    check: 'canonical-target-noindex',
+    title: 'Canonical Target Not Indexable',
+    explanation: 'The canonical URL is marked noindex, so neither the page nor its canonical gets indexed.',
+    suggestion: 'Remove the noindex directive from the canonical URL or point the canonical tag to an indexable page.',
+  },
+  CANONICAL_TARGET_BLOCKED_BY_ROBOTS: {
+    check: 'canonical-target-blocked-by-robots',
+    title: 'Canonical Target Blocked by robots.txt',
+    explanation: 'The canonical URL is disallowed in robots.txt, so search engines cannot crawl the page meant to be indexed.',
+    suggestion: 'Allow the canonical URL in robots.txt or point the canonical tag to a crawlable page.',
+  },
+  CANONICAL_TARGET_NOT_IN_SITEMAP: {
+    check: 'canonical-target-not-in-sitemap',
+    title: 'Canonical Target Missing from Sitemap',
+    explanation: 'The canonical URL is not listed in the sitemap, which sends search engines conflicting signals about the preferred URL.',
+    suggestion: 'Add the canonical URL to the sitemap.',
+  },
+  CANONICAL_CLUSTER_INCONSISTENT: {
+    check: 'canonical-cluster-inconsistent',
+    title: 'Inconsistent Canonicals of Duplicate Pages',
+    explanation: 'The page is a near-duplicate of other pages, but they do not resolve to the same canonical URL. Search engines may pick any of them, or index none.',
+    suggestion: 'Point the canonical tags of all duplicate pages to the same preferred URL.',
+  },
   TOPPAGES: {
     check: 'top-pages',
     title: 'Top Pages',
@@ -24,6 +24,7 @@ import {
 import { convertToOpportunity } from '../common/opportunity.js';
 import { createOpportunityData, createOpportunityDataForElmo } from './opportunity-data-mapper.js';
 import { CANONICAL_CHECKS } from './constants.js';
+import { analyzeCanonicalGraph, createCanonicalNode } from './canonical-graph.js';
 import { getObjectFromKey } from '../utils/s3-utils.js';
 import { isAuthUrl } from '../support/utils.js';
 
@@ -539,7 +540,11 @@ export async function processScrapedContent(context) {
         }
       }
 
-      return { url, checks };
+      const node = createCanonicalNode({
+        url, finalUrl, canonical: canonicalUrl, rawBody: scrapedObject.scrapeResult.rawBody,
+      });
+
+      return { url, checks, node };
     } catch (error) {
       log.error(`[canonical] Error processing scraped content from ${key}: ${error.message}`);
       return null;
@@ -549,25 +554,33 @@ export async function processScrapedContent(context) {
   const auditResultsArray = await Promise.allSettled(auditPromises);
   log.info(`[canonical] Completed processing ${auditResultsArray.length} pages`);
 
+  const pageResults = auditResultsArray
+    .filter((result) => result.status === 'fulfilled' && result.value)
+    .map((result) => result.value);
+
+  // Site-level pass over the canonicals of all scraped pages
+  const graphResults = await analyzeCanonicalGraph(
+    pageResults.map(({ node }) => node),
+    baseURL,
+    log,
+  );
+
   // Aggregate results
-  const aggregatedResults = auditResultsArray.reduce((acc, result) => {
-    if (result.status === 'fulfilled' && result.value) {
-      const { url, checks } = result.value;
-      checks.forEach((check) => {
-        const { check: checkType, success, explanation } = check;
-
-        // only process failed checks
-        if (success === false) {
-          if (!acc[checkType]) {
-            acc[checkType] = {
-              explanation,
-              urls: [],
-            };
-          }
-          acc[checkType].urls.push(url);
+  const aggregatedResults = [...pageResults, ...graphResults].reduce((acc, { url, checks }) => {
+    checks.forEach((check) => {
+      const { check: checkType, success, explanation } = check;
+
+      // only process failed checks
+      if (success === false) {
+        if (!acc[checkType]) {
+          acc[checkType] = {
+            explanation,
+            urls: [],
+          };
         }
-      });
-    }
+        acc[checkType].urls.push(url);
+      }
+    });
     return acc;
   }, {});
 
@@ -655,6 +668,7 @@ export async function processScrapedContent(context) {
       newData: sortedSuggestions,
       context,
       buildKey,
+      trackRegressions: true,
       mapNewSuggestion: (suggestion) => ({
         opportunityId: opportunity.getId(),
         type: suggestion.type,
@@ -0,0 +1,42 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { z } from 'zod';
+
+const canonicalCheckResult = z.object({
+  type: z.string(),
+  explanation: z.string(),
+  affectedUrls: z.array(z.object({
+    url: z.string(),
+    suggestion: z.string(),
+  })),
+});
+
+/**
+ * Version 1 of the canonical audit result and suggestion data. The audit result is either
+ * the list of failed checks with their affected URLs, or a status when there is nothing
+ * to report.
+ */
+export default {
+  version: 1,
+  auditResult: z.union([
+    z.array(canonicalCheckResult),
+    z.object({ status: z.string() }),
+  ]),
+  suggestionData: z.object({
+    type: z.literal('url'),
+    url: z.string(),
+    checkType: z.string(),
+    suggestion: z.string().optional(),
+    explanation: z.string().optional(),
+  }),
+};
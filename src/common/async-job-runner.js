@@ -15,6 +15,16 @@ import { AsyncJob, Audit as AuditModel } from '@adobe/spacecat-shared-data-acces
 import { ok } from '@adobe/spacecat-shared-http-utils';
 import { StepAudit } from './step-audit.js';
 import { sendContinuationMessage, isAuditEnabledForSite } from './audit-utils.js';
+import {
+  claimStep, clearRunClaims, completeStep, releaseStep,
+} from './step-idempotency.js';
+import {
+  finishStepTiming,
+  getStepTelemetryLocation,
+  recordStepTelemetry,
+  startStepTiming,
+  STEP_OUTCOMES,
+} from './step-telemetry.js';
 
 const { AUDIT_STEP_DESTINATION_CONFIGS } = AuditModel;
 
@@ -109,12 +119,49 @@ export class AsyncJobRunner extends StepAudit {
         log.debug(`site: ${siteId}. Promise token added to step context`);
       }
 
-      const stepResult = await step.handler(updatedStepContext);
+      // Claimed once the step is set up, as only a failed step releases its claim
+      const claim = {
+        auditType: type, runId: job.getId(), step: stepName, attempt: 1,
+      };
+      if (!(await claimStep(claim, context))) {
+        return ok();
+      }
+
+      const telemetryRun = { auditType: type, siteId, runId: job.getId() };
+      // The first step references the telemetry of the run from the job metadata
+      const telemetryLocation = getStepTelemetryLocation(telemetryRun, updatedStepContext);
+      if (!auditContext.next && telemetryLocation) {
+        try {
+          job.setMetadata({ ...jobMetadata, stepTelemetry: telemetryLocation });
+          await job.save();
+        } catch (e) {
+          log.warn(`Failed to reference the step telemetry from ${type} job ${job.getId()}: ${e.message}`);
+        }
+      }
+
+      const timing = startStepTiming(step);
+      let stepResult;
       let response = ok();
+      try {
+        stepResult = await step.handler(updatedStepContext);
+
+        if (!isLastStep) {
+          const result = await this.chainStep(step, stepResult, updatedStepContext);
+          response = ok(result);
+        }
+      } catch (e) {
+        const record = finishStepTiming(timing, STEP_OUTCOMES.FAILED, { error: e });
+        await recordStepTelemetry(record, telemetryRun, updatedStepContext);
+        await releaseStep(claim, updatedStepContext);
+        throw e;
+      }
 
-      if (!isLastStep) {
-        const result = await this.chainStep(step, stepResult, updatedStepContext);
-        response = ok(result);
+      const record = finishStepTiming(timing, STEP_OUTCOMES.SUCCESS, { payload: stepResult });
+      await recordStepTelemetry(record, telemetryRun, updatedStepContext);
+      if (isLastStep) {
+        await clearRunClaims([claim], updatedStepContext);
+      } else {
+        await completeStep(claim, updatedStepContext);
       }
 
       return response;
@@ -24,6 +24,7 @@ import {
   RunnerAudit,
   AsyncJobRunner,
 } from './index.js';
+import { createRetryPolicy } from './step-retry.js';
 
 export class AuditBuilder {
   constructor() {
@@ -84,6 +85,10 @@ export class AuditBuilder {
    * @param {Function} handler - Function to execute for this step
    * @param {AuditModel.AUDIT_STEP_DESTINATIONS} destination - Destination queue for step results
    * (e.g., DESTINATIONS.IMPORT_WORKER). Only the last step may omit the destination.
+   * @param {object} [options] - Step options
+   * @param {object} [options.retry] - Retry policy for failures of the step handler. A failed
+   * step re-enqueues its message with a delay until `maxAttempts` is reached, after which the
+   * audit is marked as failed. See {@link createRetryPolicy} for the options and defaults.
    *
    * @returns {AuditBuilder} Returns this builder instance for method chaining
    *
@@ -113,8 +118,11 @@ export class AuditBuilder {
    *       }
    *     };
    *   }, AuditModel.AUDIT_STEP_DESTINATIONS.CONTENT_SCRAPER)
+   *   .addStep('process', processScrapes, null, {
+   *     retry: { maxAttempts: 3, delaySeconds: 60, isRetryable: (e) => e.name !== 'TypeError' },
+   *   })
    */
-  addStep(name, handler, destination = null) {
+  addStep(name, handler, destination = null, options = {}) {
     const supportedDestinations = Object.values(AuditModel.AUDIT_STEP_DESTINATIONS);
 
     if (destination && !supportedDestinations.includes(destination)) {
@@ -125,6 +133,7 @@ export class AuditBuilder {
       name,
       handler,
       destination,
+      ...(options.retry && { retry: createRetryPolicy(options.retry) }),
     };
     return this;
   }
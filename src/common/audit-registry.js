@@ -0,0 +1,153 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { ok } from '@adobe/spacecat-shared-http-utils';
+import { hasText, isNonEmptyArray, isObject } from '@adobe/spacecat-shared-utils';
+import { AsyncJobRunner } from './async-job-runner.js';
+import { getJsonSchema } from './audit-schemas.js';
+import { RunnerAudit } from './runner-audit.js';
+import { StepAudit } from './step-audit.js';
+
+export const LIST_AUDITS_TYPE = 'list-audits';
+
+/**
+ * Message kinds a handler may consume. Callbacks are addressed with a `<kind>:` prefix
+ * on their type (e.g. `guidance:metatags`), anything else is a regular audit.
+ */
+export const MESSAGE_KINDS = Object.freeze([
+  'audit', 'guidance', 'detect', 'category', 'codefix', 'refresh', 'trigger',
+]);
+
+export const SCHEDULES = Object.freeze(['daily', 'weekly', 'monthly']);
+
+/**
+ * @typedef {object} AuditManifestEntry
+ * @property {string} type - the message type the handler is registered for
+ * @property {object|function} handler - an audit built with the AuditBuilder or a plain
+ * handler function
+ * @property {string[]} [aliases] - further message types served by the same handler
+ * @property {string} [kind] - the message kind consumed, derived from the type prefix if omitted
+ * @property {string[]} [requiredSiteConfig] - site config keys the audit depends on
+ * @property {string[]} [productCodes] - entitlements the audit requires
+ * @property {string} [schedule] - how often the audit is expected to be triggered
+ */
+
+/**
+ * @typedef {object} AuditManifest
+ * @property {string} module - the directory under src/ owning the handlers
+ * @property {AuditManifestEntry[]} handlers
+ */
+
+const deriveKind = (type) => {
+  const [prefix] = type.split(':');
+  return prefix !== type && MESSAGE_KINDS.includes(prefix) ? prefix : 'audit';
+};
+
+const isStringArray = (value) => Array.isArray(value) && value.every(hasText);
+
+function validateEntry(entry, module) {
+  const where = `manifest ${module}`;
+  if (!isObject(entry) || !hasText(entry.type)) {
+    throw new Error(`${where}: every handler needs a type`);
+  }
+  const { type } = entry;
+  if (!isObject(entry.handler) && typeof entry.handler !== 'function') {
+    throw new Error(`${where}: ${type} has no handler`);
+  }
+  ['aliases', 'requiredSiteConfig', 'productCodes'].forEach((field) => {
+    if (entry[field] !== undefined && !isStringArray(entry[field])) {
+      throw new Error(`${where}: ${type} ${field} must be a list of strings`);
+    }
+  });
+  if (entry.kind !== undefined && !MESSAGE_KINDS.includes(entry.kind)) {
+    throw new Error(`${where}: ${type} has unknown kind ${entry.kind}`);
+  }
+  if (entry.schedule !== undefined && !SCHEDULES.includes(entry.schedule)) {
+    throw new Error(`${where}: ${type} has unknown schedule ${entry.schedule}`);
+  }
+}
+
+/**
+ * Describes how a handler executes: its audit class and, for step audits, the steps
+ * and the destination each step hands its result to.
+ */
+export function describeHandler(handler) {
+  if (handler instanceof StepAudit) {
+    return {
+      runsAs: handler instanceof AsyncJobRunner ? 'async-job' : 'steps',
+      steps: handler.stepNames.map((name) => ({
+        name,
+        destination: handler.steps[name].destination || null,
+      })),
+    };
+  }
+  if (handler instanceof RunnerAudit) {
+    return { runsAs: 'runner', steps: [] };
+  }
+  return { runsAs: 'function', steps: [] };
+}
+
+/**
+ * Builds the audit registry from the manifests exported by the audit modules. Every
+ * type and alias must be unique across all manifests. A `list-audits` handler is
+ * registered on top, returning the catalog of all registered audits.
+ *
+ * @param {AuditManifest[]} manifests - the manifests to register
+ * @returns {{handlers: object, catalog: object[]}} the handler map keyed by message type,
+ * aliases included, and one catalog entry per manifest entry
+ */
+export function createAuditRegistry(manifests) {
+  const handlers = {};
+  const owners = {};
+  const catalog = [];
+
+  const register = (type, handler, module) => {
+    if (owners[type]) {
+      throw new Error(`Duplicate audit type ${type} in manifests ${owners[type]} and ${module}`);
+    }
+    owners[type] = module;
+    handlers[type] = handler;
+  };
+
+  manifests.forEach((manifest) => {
+    if (!isObject(manifest) || !hasText(manifest.module) || !isNonEmptyArray(manifest.handlers)) {
+      throw new Error(`Invalid audit manifest: ${manifest?.module || JSON.stringify(manifest)}`);
+    }
+    const { module } = manifest;
+
+    manifest.handlers.forEach((entry) => {
+      validateEntry(entry, module);
+      const {
+        type, handler, aliases = [], requiredSiteConfig = [], productCodes = [], schedule,
+      } = entry;
+
+      register(type, handler, module);
+      aliases.forEach((alias) => register(alias, handler, module));
+
+      catalog.push({
+        type,
+        module,
+        kind: entry.kind || deriveKind(type),
+        aliases,
+        requiredSiteConfig,
+        productCodes,
+        schedule: schedule || null,
+        schema: getJsonSchema(type),
+        ...describeHandler(handler),
+      });
+    });
+  });
+
+  register(LIST_AUDITS_TYPE, async () => ok({ audits: catalog }), 'audit-registry');
+
+  return { handlers, catalog };
+}
@@ -0,0 +1,137 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { isObject } from '@adobe/spacecat-shared-utils';
+import { z } from 'zod';
+import canonical from '../canonical/schema.js';
+import hreflang from '../hreflang/schema.js';
+import sitemap from '../sitemap/schema.js';
+
+/**
+ * The schemas of the audit result and suggestion data, keyed by audit type. Suggestions are
+ * looked up by the type of their opportunity, which matches the audit type.
+ * Each schema exports its `version` plus the zod schemas `auditResult` and `suggestionData`.
+ */
+export const AUDIT_SCHEMAS = Object.freeze({
+  canonical,
+  hreflang,
+  sitemap,
+});
+
+/**
+ * The schema of the audit types without one of their own: an object or list result, if any,
+ * and object suggestion data. Its version 0 tells that the shape is not declared yet, the
+ * first schema of an audit type is version 1.
+ */
+export const BASE_SCHEMA = Object.freeze({
+  version: 0,
+  auditResult: z.union([z.looseObject({}), z.array(z.unknown())]).nullish(),
+  suggestionData: z.looseObject({}),
+});
+
+/**
+ * The schema of an audit type, the base schema if the audit type has none of its own.
+ *
+ * @param {string} auditType - the audit type, or the type of an opportunity
+ * @returns {{version: number, auditResult: object, suggestionData: object}} the schema
+ */
+export const getAuditSchema = (auditType) => AUDIT_SCHEMAS[auditType] || BASE_SCHEMA;
+
+export class SchemaValidationError extends Error {
+  constructor(message, paths) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.paths = paths;
+  }
+}
+
+const formatPath = (root, path) => path.reduce(
+  (acc, segment) => (typeof segment === 'number' ? `${acc}[${segment}]` : `${acc}.${String(segment)}`),
+  root,
+);
+
+const depth = (issues) => Math.max(...issues.map(({ path }) => path.length));
+
+/**
+ * Flattens zod issues into `path: message` lines. For a union, the issues of the alternative
+ * that got furthest into the value are reported, as that is the shape most likely intended.
+ */
+function describeIssues(issues, root, prefix = []) {
+  return issues.flatMap((issue) => {
+    const path = [...prefix, ...issue.path];
+    if (issue.code === 'invalid_union' && issue.errors?.length > 0) {
+      const closest = issue.errors.reduce((best, errors) => (
+        depth(errors) > depth(best) ? errors : best
+      ));
+      return describeIssues(closest, root, path);
+    }
+    return [`${formatPath(root, path)}: ${issue.message}`];
+  });
+}
+
+function validate(schema, value, root, label) {
+  const result = schema.safeParse(value);
+  if (!result.success) {
+    const paths = describeIssues(result.error.issues, root);
+    throw new SchemaValidationError(`${label} does not match its schema:\n${paths.join('\n')}`, paths);
+  }
+}
+
+const stamp = (value, version) => (
+  isObject(value) && !Array.isArray(value) ? { ...value, schemaVersion: version } : value
+);
+
+/**
+ * The schemas of an audit type as JSON Schema, for consumers outside of this worker.
+ *
+ * @param {string} auditType - the audit type
+ * @returns {{version: number, auditResult: object, suggestionData: object}} the JSON
+ * schemas with their version
+ */
+export function getJsonSchema(auditType) {
+  const schema = getAuditSchema(auditType);
+  return {
+    version: schema.version,
+    auditResult: z.toJSONSchema(schema.auditResult),
+    suggestionData: z.toJSONSchema(schema.suggestionData),
+  };
+}
+
+/**
+ * Validates an audit result against the schema of its audit type and stamps the schema
+ * version on it. Array results cannot carry the version and are returned as they are.
+ *
+ * @param {string} auditType - the audit type
+ * @param {object|Array} auditResult - the audit result about to be persisted
+ * @returns {object|Array} the audit result with its `schemaVersion`
+ * @throws {SchemaValidationError} listing the offending paths if the result is invalid
+ */
+export function validateAuditResult(auditType, auditResult) {
+  const schema = getAuditSchema(auditType);
+  validate(schema.auditResult, auditResult, 'auditResult', `${auditType} audit result`);
+  return stamp(auditResult, schema.version);
+}
+
+/**
+ * Validates the data of a suggestion against the schema of its opportunity type and stamps
+ * the schema version on it.
+ *
+ * @param {string} opportunityType - the type of the opportunity holding the suggestion
+ * @param {object} data - the suggestion data about to be persisted
+ * @returns {object} the suggestion data with its `schemaVersion`
+ * @throws {SchemaValidationError} listing the offending paths if the data is invalid
+ */
+export function validateSuggestionData(opportunityType, data) {
+  const schema = getAuditSchema(opportunityType);
+  validate(schema.suggestionData, data, 'data', `${opportunityType} suggestion data`);
+  return stamp(data, schema.version);
+}
@@ -17,6 +17,8 @@ import URI from 'urijs';
 import RUMAPIClient from '@adobe/spacecat-shared-rum-api-client';
 import { retrieveSiteBySiteId } from '../utils/data-access.js';
 import { toggleWWWHostname } from '../support/utils.js';
+import { createDryRunAudit, isDryRun } from './dry-run.js';
+import { validateAuditResult } from './audit-schemas.js';
 
 // eslint-disable-next-line no-empty-function
 export async function defaultMessageSender() {}
@@ -144,7 +146,8 @@ export class BaseAudit {
 
   async processAuditResult(result, params, context) {
     const { type, site } = params;
-    const { auditResult, fullAuditRef } = result;
+    const { fullAuditRef } = result;
+    const auditResult = validateAuditResult(type, result.auditResult);
 
     const auditData = {
       siteId: site.getId(),
@@ -156,7 +159,13 @@ export class BaseAudit {
       invocationId: context.invocation?.id,
     };
 
-    const audit = await this.persister(auditData, context);
+    let audit;
+    if (isDryRun(context)) {
+      context.dryRun.audit = auditData;
+      audit = createDryRunAudit(auditData);
+    } else {
+      audit = await this.persister(auditData, context);
+    }
     context.audit = audit;
     return this.runPostProcessors(
       audit,
@@ -184,7 +193,11 @@ export class BaseAudit {
       },
       auditResult,
     };
-    await this.messageSender(resultMessage, context);
+    if (isDryRun(context)) {
+      context.dryRun.messages.push({ destination: 'message-sender', payload: resultMessage });
+    } else {
+      await this.messageSender(resultMessage, context);
+    }
 
     await this.postProcessors.reduce(async (previousProcessor, postProcessor) => {
       const updatedAuditData = await previousProcessor;
@@ -198,6 +211,6 @@ export class BaseAudit {
       }
     }, Promise.resolve(auditData));
 
-    return ok();
+    return isDryRun(context) ? ok(context.dryRun) : ok();
   }
 }
@@ -0,0 +1,271 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { isObject } from '@adobe/spacecat-shared-utils';
+
+export const DRY_RUN_AUDIT_ID = 'dry-run-audit';
+export const DRY_RUN_OPPORTUNITY_ID = 'dry-run-opportunity';
+export const DRY_RUN_SUGGESTION_ID = 'dry-run-suggestion';
+
+/**
+ * Creates the structured diff a dry run records into instead of writing to the database
+ * or sending messages. It is put on the context as `context.dryRun` and returned from
+ * the audit handler once the run completes.
+ *
+ * @returns {object} an empty dry-run diff
+ */
+export function createDryRunDiff() {
+  return {
+    audit: null,
+    messages: [],
+    scrapeJobs: [],
+    opportunities: {
+      created: [],
+      updated: [],
+      removed: [],
+    },
+    suggestions: {
+      added: [],
+      updated: [],
+      statusChanges: [],
+      removed: [],
+    },
+  };
+}
+
+/**
+ * Whether the current run is a dry run, i.e. nothing may be persisted or sent.
+ *
+ * @param {object} context - the universal context
+ * @returns {boolean}
+ */
+export function isDryRun(context) {
+  return isObject(context?.dryRun);
+}
+
+/**
+ * A read-only stand-in for the audit record a dry run would have created, so that
+ * subsequent steps and post processors can keep working with it.
+ *
+ * @param {object} auditData - the audit data that would have been persisted
+ * @returns {object} an audit-like object
+ */
+export function createDryRunAudit(auditData) {
+  return {
+    getId: () => DRY_RUN_AUDIT_ID,
+    getSiteId: () => auditData.siteId,
+    getAuditType: () => auditData.auditType,
+    getAuditResult: () => auditData.auditResult,
+    getFullAuditRef: () => auditData.fullAuditRef,
+    getAuditedAt: () => auditData.auditedAt,
+    getIsLive: () => auditData.isLive,
+    getInvocationId: () => auditData.invocationId,
+  };
+}
+
+/**
+ * A stand-in for an opportunity a dry run would have created. It has no suggestions,
+ * and suggestions added to it are recorded into the dry-run diff.
+ *
+ * @param {object} opportunityData - the opportunity data that would have been persisted
+ * @param {object} context - the universal context holding the dry-run diff
+ * @returns {object} an opportunity-like object
+ */
+export function createDryRunOpportunity(opportunityData, context) {
+  const data = { ...opportunityData };
+  const opportunity = {
+    getId: () => DRY_RUN_OPPORTUNITY_ID,
+    getSiteId: () => data.siteId,
+    getAuditId: () => data.auditId,
+    getType: () => data.type,
+    getOrigin: () => data.origin,
+    getTitle: () => data.title,
+    getDescription: () => data.description,
+    getRunbook: () => data.runbook,
+    getGuidance: () => data.guidance,
+    getTags: () => data.tags,
+    getData: () => data.data,
+    getStatus: () => data.status,
+    setAuditId: (auditId) => Object.assign(data, { auditId }),
+    setData: (value) => Object.assign(data, { data: value }),
+    setGuidance: (guidance) => Object.assign(data, { guidance }),
+    setStatus: (status) => Object.assign(data, { status }),
+    setUpdatedBy: () => {},
+    getSuggestions: async () => [],
+    addSuggestions: async (suggestions) => {
+      context.dryRun.suggestions.added.push(
+        ...suggestions.map((suggestion) => ({
+          opportunityId: DRY_RUN_OPPORTUNITY_ID,
+          ...suggestion,
+        })),
+      );
+      return { createdItems: suggestions, errorItems: [] };
+    },
+    save: async () => opportunity,
+  };
+  return opportunity;
+}
+
+/**
+ * A stand-in for a suggestion a dry run would have created.
+ *
+ * @param {object} suggestionData - the suggestion data that would have been persisted
+ * @returns {object} a suggestion-like object
+ */
+export function createDryRunSuggestion(suggestionData) {
+  const suggestion = {
+    getId: () => DRY_RUN_SUGGESTION_ID,
+    getOpportunityId: () => suggestionData.opportunityId,
+    getType: () => suggestionData.type,
+    getRank: () => suggestionData.rank,
+    getData: () => suggestionData.data,
+    getStatus: () => suggestionData.status,
+    save: async () => suggestion,
+  };
+  return suggestion;
+}
+
+const isEntity = (value) => typeof value?.save === 'function';
+
+/**
+ * Wraps an opportunity or suggestion read from the database, so that saving or removing it
+ * is recorded into the dry-run diff instead. Setters only change the entity in memory.
+ */
+function wrapEntity(entity, records, context) {
+  const wrapped = new Proxy(entity, {
+    get(target, prop) {
+      if (prop === 'save') {
+        return async () => {
+          records.updated.push({
+            id: target.getId(), data: target.getData(), status: target.getStatus(),
+          });
+          return wrapped;
+        };
+      }
+      if (prop === 'remove') {
+        return async () => {
+          records.removed.push({ id: target.getId() });
+        };
+      }
+      if (prop === 'addSuggestions') {
+        return async (suggestions) => {
+          context.dryRun.suggestions.added.push(...suggestions
+            .map((suggestion) => ({ opportunityId: target.getId(), ...suggestion })));
+          return { createdItems: suggestions.map(createDryRunSuggestion), errorItems: [] };
+        };
+      }
+      if (prop === 'getSuggestions') {
+        return async (...args) => (await target.getSuggestions(...args))
+          .map((suggestion) => wrapEntity(suggestion, context.dryRun.suggestions, context));
+      }
+      const value = Reflect.get(target, prop);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+  return wrapped;
+}
+
+/**
+ * Wraps the Opportunity or Suggestion collection of a dry run: reads go to the database and
+ * return wrapped entities, the given writes are recorded instead.
+ */
+function wrapCollection(collection, writes, records, context) {
+  const wrapResult = (result) => {
+    if (Array.isArray(result)) {
+      return result.map((item) => (isEntity(item) ? wrapEntity(item, records, context) : item));
+    }
+    return isEntity(result) ? wrapEntity(result, records, context) : result;
+  };
+
+  return new Proxy(collection, {
+    get(target, prop) {
+      if (Object.hasOwn(writes, prop)) {
+        return writes[prop];
+      }
+      const value = Reflect.get(target, prop);
+      if (typeof value !== 'function') {
+        return value;
+      }
+      return (...args) => {
+        const result = value.apply(target, args);
+        return typeof result?.then === 'function' ? result.then(wrapResult) : wrapResult(result);
+      };
+    },
+  });
+}
+
+/**
+ * Starts a dry run: puts an empty dry-run diff on the context, and wraps the SQS client and
+ * the Opportunity and Suggestion collections, so that handlers and post processors which
+ * send messages or write opportunities and suggestions directly have no side effects either.
+ * Their messages and writes are recorded into the diff.
+ *
+ * @param {object} context - the universal context
+ */
+export function startDryRun(context) {
+  const dryRun = createDryRunDiff();
+  const { sqs, dataAccess } = context;
+  Object.assign(context, { dryRun });
+
+  if (sqs) {
+    Object.assign(context, {
+      sqs: new Proxy(sqs, {
+        get: (target, prop) => (prop === 'sendMessage'
+          ? async (queueUrl, payload) => {
+            dryRun.messages.push({ destination: 'sqs', queueUrl, payload });
+          }
+          : Reflect.get(target, prop)),
+      }),
+    });
+  }
+
+  if (dataAccess) {
+    const { Opportunity, Suggestion } = dataAccess;
+    const collections = {
+      ...(Opportunity ? {
+        Opportunity: wrapCollection(Opportunity, {
+          create: async (opportunityData) => {
+            dryRun.opportunities.created.push(opportunityData);
+            return createDryRunOpportunity(opportunityData, context);
+          },
+        }, dryRun.opportunities, context),
+      } : {}),
+      ...(Suggestion ? {
+        Suggestion: wrapCollection(Suggestion, {
+          create: async (suggestionData) => {
+            dryRun.suggestions.added.push(suggestionData);
+            return createDryRunSuggestion(suggestionData);
+          },
+          createMany: async (suggestions) => {
+            dryRun.suggestions.added.push(...suggestions);
+            return { createdItems: suggestions.map(createDryRunSuggestion), errorItems: [] };
+          },
+          bulkUpdateStatus: async (suggestions, status) => {
+            dryRun.suggestions.statusChanges.push(...suggestions.map((suggestion) => ({
+              id: suggestion.getId(),
+              from: suggestion.getStatus(),
+              to: status,
+            })));
+            return suggestions;
+          },
+        }, dryRun.suggestions, context),
+      } : {}),
+    };
+    Object.assign(context, {
+      dataAccess: new Proxy(dataAccess, {
+        get: (target, prop) => (Object.hasOwn(collections, prop)
+          ? collections[prop]
+          : Reflect.get(target, prop)),
+      }),
+    });
+  }
+}
@@ -23,11 +23,16 @@ export interface JobMessage {
   type: string;
   url: string;
   siteId: string;
+  dryRun?: boolean;
   auditContext?: {
     next?: string;
     auditId?: string;
     finalUrl?: string;
     fullAuditRef?: string;
+    retry?: {
+      step: string;
+      attempt: number;
+    };
   };
 }
 
@@ -80,10 +85,19 @@ export class RunnerAudit extends BaseAudit {
   run(message: JobMessage, context: UniversalContext): Promise<object>;
 }
 
+export interface RetryPolicy {
+  maxAttempts?: number;
+  delaySeconds?: number;
+  backoffMultiplier?: number;
+  maxDelaySeconds?: number;
+  isRetryable?: (error: Error) => boolean;
+}
+
 export interface AuditStep {
   name: string;
   handler: (context: UniversalContext) => Promise<object>;
   destination?: object;
+  retry?: Required<RetryPolicy>;
 }
 
 export class StepAudit extends BaseAudit {
@@ -115,7 +129,12 @@ export class AuditBuilder {
 
   withPostProcessors(postProcessors: PostProcessor[]): AuditBuilder;
 
-  addStep(name: string, handler: AuditStep['handler'], destination?: object): AuditBuilder;
+  addStep(
+    name: string,
+    handler: AuditStep['handler'],
+    destination?: object,
+    options?: { retry?: RetryPolicy },
+  ): AuditBuilder;
 
   build(): RunnerAudit | StepAudit;
 }
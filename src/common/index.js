@@ -18,6 +18,10 @@ export { AsyncJobRunner } from './async-job-runner.js';
 
 // Export utility functions
 export * from './audit-utils.js';
+export * from './dry-run.js';
+export * from './step-retry.js';
+export * from './step-idempotency.js';
+export * from './step-telemetry.js';
 
 // Export code fix handler utilities
 export * from './codefix-handler.js';
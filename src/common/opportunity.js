@@ -12,6 +12,8 @@
 import { Audit, Opportunity as Oppty } from '@adobe/spacecat-shared-data-access';
 import { DATA_SOURCES } from './constants.js';
 import { checkGoogleConnection } from './opportunity-utils.js';
+import { createDryRunOpportunity, isDryRun } from './dry-run.js';
+import { AUDIT_TYPE as IMAGE_OPTIMIZATION_AUDIT_TYPE } from '../image-optimization/constants.js';
 /**
   * Converts audit data to an opportunity instance.
   *
@@ -78,31 +80,50 @@ export async function convertToOpportunity(auditUrl, auditData, context, createO
         tags: opportunityInstance.tags,
         data: opportunityInstance.data,
       };
+      if (isDryRun(context)) {
+        context.dryRun.opportunities.created.push(opportunityData);
+        return createDryRunOpportunity(opportunityData, context);
+      }
       opportunity = await Opportunity.create(opportunityData);
       return opportunity;
     } else {
-      opportunity.setAuditId(auditData.id);
+      let data;
       if (auditType === Audit.AUDIT_TYPES.CWV
           || auditType === Audit.AUDIT_TYPES.META_TAGS
           || auditType === Audit.AUDIT_TYPES.SECURITY_CSP
           || auditType === Audit.AUDIT_TYPES.PRODUCT_METATAGS
           || auditType === Audit.AUDIT_TYPES.SECURITY_VULNERABILITIES) {
-        opportunity.setData({
+        data = {
           ...opportunity.getData(),
           ...props, // kpiDeltas
           dataSources: opportunityInstance.data?.dataSources,
-        });
-      } else if (auditType === Audit.AUDIT_TYPES.PRERENDER) {
-        opportunity.setData({
+        };
+      } else if (auditType === Audit.AUDIT_TYPES.PRERENDER
+          || auditType === Audit.AUDIT_TYPES.REDIRECT_CHAINS
+          || auditType === Audit.AUDIT_TYPES.STRUCTURED_DATA
+          || auditType === IMAGE_OPTIMIZATION_AUDIT_TYPE) {
+        data = {
           ...opportunity.getData(),
           ...opportunityInstance.data,
-        });
+        };
       } else {
-        opportunity.setData({
+        data = {
           ...opportunity.getData(),
           dataSources: opportunityInstance.data?.dataSources,
+        };
+      }
+      if (isDryRun(context)) {
+        // leave the stored opportunity untouched, only record the update
+        context.dryRun.opportunities.updated.push({
+          id: opportunity.getId(),
+          type: auditType,
+          auditId: auditData.id,
+          data,
         });
+        return opportunity;
       }
+      opportunity.setAuditId(auditData.id);
+      opportunity.setData(data);
       opportunity.setUpdatedBy('system');
       await opportunity.save();
       return opportunity;
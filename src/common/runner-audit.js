@@ -13,6 +13,7 @@
 import { ok } from '@adobe/spacecat-shared-http-utils';
 import { BaseAudit } from './base-audit.js';
 import { isAuditEnabledForSite } from './audit-utils.js';
+import { startDryRun } from './dry-run.js';
 
 export class RunnerAudit extends BaseAudit {
   constructor(
@@ -30,7 +31,13 @@ export class RunnerAudit extends BaseAudit {
 
   async run(message, context) {
     const { log } = context;
-    const { type, siteId, auditContext = {} } = message;
+    const {
+      type, siteId, auditContext = {}, dryRun,
+    } = message;
+
+    if (dryRun) {
+      startDryRun(context);
+    }
 
     try {
       const site = await this.siteProvider(siteId, context);
@@ -13,7 +13,7 @@
 import { Audit as AuditModel } from '@adobe/spacecat-shared-data-access';
 import { ScrapeClient } from '@adobe/spacecat-shared-scrape-client';
 import { ok } from '@adobe/spacecat-shared-http-utils';
-import { hasText, isNonEmptyObject } from '@adobe/spacecat-shared-utils';
+import { hasText, isNonEmptyObject, isObject } from '@adobe/spacecat-shared-utils';
 import { BaseAudit } from './base-audit.js';
 import {
   isAuditEnabledForSite,
@@ -21,10 +21,62 @@ import {
   sendContinuationMessage,
 } from './audit-utils.js';
 import { handleAbort } from './bot-detection.js';
+import { isDryRun, startDryRun } from './dry-run.js';
+import {
+  claimStep, clearRunClaims, completeStep, getMessageId, releaseStep,
+} from './step-idempotency.js';
+import { getRetryDelaySeconds, getStepAttempt, STEP_FAILED_STATUS } from './step-retry.js';
+import {
+  finishStepTiming,
+  getStepTelemetryLocation,
+  recordStepTelemetry,
+  startStepTiming,
+  STEP_OUTCOMES,
+} from './step-telemetry.js';
 
 const { AUDIT_STEP_DESTINATION_CONFIGS } = AuditModel;
 const { AUDIT_STEP_DESTINATIONS } = AuditModel;
 
+/**
+ * The ids of the SQS messages the first step of the run was claimed with. They are carried
+ * along in the audit context, so that these claims are cleared too once the run ends.
+ */
+function getFirstStepMessageIds(auditContext = {}, context = {}) {
+  const messageIds = auditContext.firstStepMessageIds || [];
+  return hasText(auditContext.next)
+    ? messageIds
+    : [...messageIds, getMessageId(context)].filter(hasText);
+}
+
+const withFirstStepMessageIds = (auditContext, context) => {
+  const firstStepMessageIds = getFirstStepMessageIds(auditContext, context);
+  return firstStepMessageIds.length > 0 ? { firstStepMessageIds } : {};
+};
+
+/**
+ * References the telemetry documents of the audit run as `stepTelemetry` in the result of
+ * the audit created by the first step. Best effort like the telemetry itself: audit results
+ * which are not an object are left as they are, and a failure to save is only logged.
+ */
+async function linkStepTelemetry(run, context) {
+  const { audit, log } = context;
+  const location = getStepTelemetryLocation(run, context);
+  if (!audit || !location) {
+    return;
+  }
+
+  try {
+    const auditResult = audit.getAuditResult();
+    if (!isObject(auditResult)) {
+      return;
+    }
+    audit.setAuditResult({ ...auditResult, stepTelemetry: location });
+    await audit.save();
+  } catch (e) {
+    log.warn(`Failed to reference the step telemetry from ${run.auditType} audit ${run.runId}: ${e.message}`);
+  }
+}
+
 export class StepAudit extends BaseAudit {
   constructor(
     siteProvider,
@@ -74,12 +126,28 @@ export class StepAudit extends BaseAudit {
       auditId: audit.getId(),
       auditType: audit.getAuditType(),
       fullAuditRef: audit.getFullAuditRef(),
+      ...withFirstStepMessageIds(context.auditContext, context),
     };
 
     const auditContext = isNonEmptyObject(stepResult.auditContext)
       ? { ...stepResult.auditContext, ...baseAuditContext }
       : baseAuditContext;
 
+    if (isDryRun(context)) {
+      const payload = destination.formatPayload(stepResult, auditContext, context);
+      if (step.destination === AUDIT_STEP_DESTINATIONS.SCRAPE_CLIENT) {
+        context.dryRun.scrapeJobs.push(payload);
+      } else {
+        context.dryRun.messages.push({
+          destination: step.destination,
+          queueUrl: destination.getQueueUrl(context),
+          payload,
+        });
+      }
+      log.info(`[DRY-RUN] Step ${step.name} of audit ${audit.getAuditType()} recorded its ${step.destination} payload instead of sending it`);
+      return stepResult;
+    }
+
     if (step.destination === AUDIT_STEP_DESTINATIONS.SCRAPE_CLIENT) {
       const scrapeClient = ScrapeClient.createFrom(context);
       const payload = destination.formatPayload(stepResult, auditContext, context);
@@ -98,13 +166,143 @@ export class StepAudit extends BaseAudit {
     return stepResult;
   }
 
+  /**
+   * Handles a failed step handler of a step with a retry policy: re-enqueues the message
+   * with the next attempt while attempts are left and the error is retryable, otherwise
+   * marks the audit as failed and rethrows.
+   */
+  async handleStepFailure(error, step, message, stepContext) {
+    const { auditContext, log } = stepContext;
+    const { retry } = step;
+    const attempt = getStepAttempt(auditContext, step.name);
+
+    if (attempt < retry.maxAttempts && retry.isRetryable(error)) {
+      const nextAttempt = attempt + 1;
+      const delaySeconds = getRetryDelaySeconds(retry, nextAttempt);
+      const queueUrl = stepContext.env.AUDIT_JOBS_QUEUE_URL;
+      const payload = {
+        ...message,
+        auditContext: {
+          ...auditContext,
+          ...withFirstStepMessageIds(auditContext, stepContext),
+          retry: { step: step.name, attempt: nextAttempt },
+        },
+      };
+
+      log.warn(`Step ${step.name} of ${message.type} audit for site ${message.siteId} failed on attempt ${attempt}/${retry.maxAttempts}, retrying in ${delaySeconds}s. Reason: ${error.message}`);
+      if (isDryRun(stepContext)) {
+        stepContext.dryRun.messages.push({
+          destination: 'retry', queueUrl, payload, delaySeconds,
+        });
+        return ok(stepContext.dryRun);
+      }
+      await stepContext.sqs.sendMessage(queueUrl, payload, undefined, delaySeconds);
+      return ok({ retry: { step: step.name, attempt: nextAttempt, delaySeconds } });
+    }
+
+    await this.recordStepFailure(error, step, attempt, message, stepContext);
+    throw error;
+  }
+
+  /**
+   * Writes the terminal failure of a step onto the audit record. The first step has no audit
+   * record yet, so a failed audit is persisted instead.
+   */
+  async recordStepFailure(error, step, attempts, message, stepContext) {
+    const { audit, log, site } = stepContext;
+    const failure = {
+      step: step.name,
+      attempts,
+      error: error.message,
+      failedAt: new Date().toISOString(),
+    };
+    const auditResult = { status: STEP_FAILED_STATUS, failure };
+
+    try {
+      if (isDryRun(stepContext)) {
+        Object.assign(stepContext.dryRun, {
+          audit: { id: audit?.getId(), auditType: message.type, auditResult },
+        });
+      } else if (audit) {
+        audit.setAuditResult({ ...audit.getAuditResult(), ...auditResult });
+        await audit.save();
+      } else {
+        await this.persister({
+          siteId: site.getId(),
+          isLive: site.getIsLive(),
+          isError: true,
+          auditedAt: failure.failedAt,
+          auditType: message.type,
+          auditResult,
+          fullAuditRef: stepContext.finalUrl,
+          invocationId: stepContext.invocation?.id,
+        }, stepContext);
+      }
+    } catch (e) {
+      log.error(`Failed to record the failure of step ${step.name} for ${message.type} audit of site ${message.siteId}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Runs the handler of the given step, persists the audit for the first step and chains
+   * the step result to the step's destination.
+   *
+   * @returns {Promise<{response: Response, outcome: string, stepResult?: object}>}
+   */
+  async executeStep(step, message, stepContext, context) {
+    const { type } = message;
+    const { auditContext, site } = stepContext;
+    const hasNext = hasText(auditContext.next);
+    const isLastStep = step.name === this.stepNames[this.stepNames.length - 1];
+
+    let stepResult;
+    try {
+      stepResult = await step.handler(stepContext);
+    } catch (e) {
+      if (!step.retry) {
+        throw e;
+      }
+      const retryResponse = await this.handleStepFailure(e, step, message, stepContext);
+      return { response: retryResponse, outcome: STEP_OUTCOMES.RETRY };
+    }
+    let response = ok();
+
+    if (!hasNext) {
+      response = await this.processAuditResult(
+        stepResult,
+        {
+          type,
+          site,
+          finalUrl: stepContext.finalUrl,
+          context,
+        },
+        stepContext,
+      );
+    }
+
+    if (!isLastStep) {
+      const result = await this.chainStep(step, stepResult, stepContext);
+      response = ok(result);
+    }
+
+    return {
+      response: isDryRun(stepContext) ? ok(stepContext.dryRun) : response,
+      outcome: STEP_OUTCOMES.SUCCESS,
+      stepResult,
+    };
+  }
+
   async run(message, context) {
     const { stepNames } = this;
     const { log } = context;
     const {
-      type, data, siteId, auditContext = {}, abort, jobId,
+      type, data, siteId, auditContext = {}, abort, jobId, dryRun,
     } = message;
 
+    if (dryRun) {
+      startDryRun(context);
+    }
+
     try {
       const site = await this.siteProvider(siteId, context);
 
@@ -150,8 +348,9 @@ export class StepAudit extends BaseAudit {
       const hasNext = hasText(auditContext.next);
       const hasScrapeJobId = hasText(auditContext.scrapeJobId);
       const stepName = auditContext.next || stepNames[0];
-      const isLastStep = stepName === stepNames[stepNames.length - 1];
       const step = this.getStep(stepName);
+      const attempt = getStepAttempt(auditContext, stepName);
+
       const stepContext = {
         ...context,
         auditContext,
@@ -173,26 +372,47 @@ export class StepAudit extends BaseAudit {
           .getScrapeResultPaths(auditContext.scrapeJobId);
       }
 
+      // Claimed once the step is set up, as only a failed step releases its claim. The first
+      // step creates the audit, so its run is identified by the SQS message instead.
+      const claim = {
+        auditType: type,
+        runId: hasNext ? auditContext.auditId : getMessageId(context),
+        step: stepName,
+        attempt,
+      };
+      if (!(await claimStep(claim, context))) {
+        return ok();
+      }
+
       // Run the step
-      const stepResult = await step.handler(stepContext);
-      let response = ok();
+      const timing = startStepTiming(step, attempt);
+      const telemetryRun = () => ({
+        auditType: type, siteId: site.getId(), runId: stepContext.audit?.getId(),
+      });
+      let execution;
+      try {
+        execution = await this.executeStep(step, message, stepContext, context);
+      } catch (e) {
+        const record = finishStepTiming(timing, STEP_OUTCOMES.FAILED, { error: e });
+        await recordStepTelemetry(record, telemetryRun(), stepContext);
+        await releaseStep(claim, stepContext);
+        throw e;
+      }
 
+      const { response, outcome, stepResult } = execution;
+      const record = finishStepTiming(timing, outcome, { payload: stepResult });
+      await recordStepTelemetry(record, telemetryRun(), stepContext);
       if (!hasNext) {
-        response = await this.processAuditResult(
-          stepResult,
-          {
-            type,
-            site,
-            finalUrl: stepContext.finalUrl,
-            context,
-          },
-          stepContext,
-        );
+        await linkStepTelemetry(telemetryRun(), stepContext);
       }
-
-      if (!isLastStep) {
-        const result = await this.chainStep(step, stepResult, stepContext);
-        response = ok(result);
+      if (stepName === stepNames[stepNames.length - 1] && outcome !== STEP_OUTCOMES.RETRY) {
+        await clearRunClaims([
+          { auditType: type, runId: auditContext.auditId },
+          ...getFirstStepMessageIds(auditContext, context)
+            .map((runId) => ({ auditType: type, runId })),
+        ], stepContext);
+      } else {
+        await completeStep(claim, stepContext);
       }
 
       return response;
@@ -0,0 +1,222 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import {
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+} from '@aws-sdk/client-s3';
+import { isDryRun } from './dry-run.js';
+
+export const STEP_IDEMPOTENCY_PREFIX = 'step-idempotency';
+
+export const CLAIM_STATUSES = Object.freeze({
+  IN_PROGRESS: 'in-progress',
+  COMPLETED: 'completed',
+});
+
+// how long a completed step suppresses duplicate deliveries of its message
+export const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+
+// an in-progress claim older than the Lambda timeout belongs to an invocation that died
+export const IN_PROGRESS_TIMEOUT_SECONDS = 15 * 60;
+
+const getRunPrefix = ({ auditType, runId }) => `${STEP_IDEMPOTENCY_PREFIX}/${auditType}/${runId}/`;
+
+/**
+ * The S3 key of the idempotency claim of one step run. The run is identified by the audit
+ * id (step audits) or the async job id, and retried attempts of a step get claims of their own.
+ */
+export function getIdempotencyKey(run) {
+  return `${getRunPrefix(run)}${run.step}-${run.attempt}.json`;
+}
+
+/**
+ * The id of the SQS message which invoked the function. Redeliveries of a message keep its id,
+ * so it identifies the runs of first steps, which have no audit id yet.
+ *
+ * @param {object} context - the universal context
+ * @returns {string|undefined} the message id, or undefined outside of an SQS invocation
+ */
+export function getMessageId(context) {
+  return context.invocation?.event?.Records?.[0]?.messageId;
+}
+
+const isPreconditionFailed = (error) => error.name === 'PreconditionFailed'
+  || error.$metadata?.httpStatusCode === 412;
+
+const isLiveClaim = (claim, now) => {
+  if (claim.status === CLAIM_STATUSES.COMPLETED) {
+    return Date.parse(claim.expiresAt) > now;
+  }
+  return Date.parse(claim.claimedAt) + IN_PROGRESS_TIMEOUT_SECONDS * 1000 > now;
+};
+
+const getStore = (run, context) => {
+  const { env, s3Client } = context;
+  const bucket = env?.S3_SCRAPER_BUCKET_NAME;
+  if (isDryRun(context) || !s3Client || !bucket || !run.runId) {
+    return null;
+  }
+  return { s3Client, bucket, key: getIdempotencyKey(run) };
+};
+
+const putClaim = ({ s3Client, bucket, key }, run, status, conditions = {}) => {
+  const now = Date.now();
+  const expiresAt = new Date(now + IDEMPOTENCY_TTL_SECONDS * 1000);
+  return s3Client.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    Body: JSON.stringify({
+      ...run,
+      status,
+      claimedAt: new Date(now).toISOString(),
+      expiresAt: expiresAt.toISOString(),
+    }),
+    ContentType: 'application/json',
+    Expires: expiresAt,
+    ...conditions,
+  }));
+};
+
+/**
+ * Claims a step run before its handler runs, so that a redelivery of the same SQS message
+ * does not run the step a second time. The claim is created with a conditional write; if a
+ * claim exists that is still in progress or completed within the TTL, the message is a
+ * duplicate. Expired and abandoned claims are taken over. Idempotency is best effort: if the
+ * claim cannot be checked, the step runs.
+ *
+ * @param {object} run - the step run
+ * @param {string} run.auditType - the audit type
+ * @param {string} [run.runId] - the audit or async job id, or the SQS message id of a first
+ * step; runs without one are not guarded
+ * @param {string} run.step - the step name
+ * @param {number} run.attempt - the attempt of the step
+ * @param {object} context - the universal context
+ * @returns {Promise<boolean>} false if the message is a duplicate to be suppressed
+ */
+export async function claimStep(run, context) {
+  const { log } = context;
+  const store = getStore(run, context);
+  if (!store) {
+    return true;
+  }
+
+  try {
+    await putClaim(store, run, CLAIM_STATUSES.IN_PROGRESS, { IfNoneMatch: '*' });
+    return true;
+  } catch (e) {
+    if (!isPreconditionFailed(e)) {
+      log.warn(`Failed to claim step ${run.step} of ${run.auditType} audit ${run.runId}, running it unguarded: ${e.message}`);
+      return true;
+    }
+  }
+
+  try {
+    const { Body, ETag } = await store.s3Client.send(new GetObjectCommand({
+      Bucket: store.bucket,
+      Key: store.key,
+    }));
+    const claim = JSON.parse(await Body.transformToString());
+
+    if (!isLiveClaim(claim, Date.now())) {
+      await putClaim(store, run, CLAIM_STATUSES.IN_PROGRESS, { IfMatch: ETag });
+      return true;
+    }
+
+    log.warn(`[step-idempotency] ${JSON.stringify({
+      event: 'duplicate-suppressed',
+      ...run,
+      claimStatus: claim.status,
+      claimedAt: claim.claimedAt,
+    })}`);
+    return false;
+  } catch (e) {
+    if (isPreconditionFailed(e)) {
+      log.warn(`[step-idempotency] ${JSON.stringify({ event: 'duplicate-suppressed', ...run })}`);
+      return false;
+    }
+    log.warn(`Failed to check the claim of step ${run.step} of ${run.auditType} audit ${run.runId}, running it unguarded: ${e.message}`);
+    return true;
+  }
+}
+
+/**
+ * Marks the claim of a step run as completed, so that duplicates are suppressed for the
+ * length of the TTL.
+ *
+ * @param {object} run - the step run, as passed to {@link claimStep}
+ * @param {object} context - the universal context
+ */
+export async function completeStep(run, context) {
+  const store = getStore(run, context);
+  if (!store) {
+    return;
+  }
+  try {
+    await putClaim(store, run, CLAIM_STATUSES.COMPLETED);
+  } catch (e) {
+    context.log.warn(`Failed to complete the claim of step ${run.step} of ${run.auditType} audit ${run.runId}: ${e.message}`);
+  }
+}
+
+/**
+ * Releases the claim of a failed step run, so that the redelivery of its message runs the
+ * step again.
+ *
+ * @param {object} run - the step run, as passed to {@link claimStep}
+ * @param {object} context - the universal context
+ */
+export async function releaseStep(run, context) {
+  const store = getStore(run, context);
+  if (!store) {
+    return;
+  }
+  try {
+    await store.s3Client.send(new DeleteObjectCommand({ Bucket: store.bucket, Key: store.key }));
+  } catch (e) {
+    context.log.warn(`Failed to release the claim of step ${run.step} of ${run.auditType} audit ${run.runId}: ${e.message}`);
+  }
+}
+
+/**
+ * Deletes the claims of runs which have ended, as no message of their steps is expected
+ * anymore. The S3 `Expires` header of a claim deletes nothing, so this is what keeps the
+ * claims from piling up in the bucket.
+ *
+ * @param {object[]} runs - the `{ auditType, runId }` of the runs; runs without id are skipped
+ * @param {object} context - the universal context
+ */
+export async function clearRunClaims(runs, context) {
+  await Promise.all(runs.map(async (run) => {
+    const store = getStore(run, context);
+    if (!store) {
+      return;
+    }
+    try {
+      const { Contents = [] } = await store.s3Client.send(new ListObjectsV2Command({
+        Bucket: store.bucket,
+        Prefix: getRunPrefix(run),
+      }));
+      if (Contents.length > 0) {
+        await store.s3Client.send(new DeleteObjectsCommand({
+          Bucket: store.bucket,
+          Delete: { Objects: Contents.map(({ Key }) => ({ Key })) },
+        }));
+      }
+    } catch (e) {
+      context.log.warn(`Failed to clear the claims of ${run.auditType} audit ${run.runId}: ${e.message}`);
+    }
+  }));
+}
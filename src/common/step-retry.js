@@ -0,0 +1,89 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { isObject } from '@adobe/spacecat-shared-utils';
+
+export const STEP_FAILED_STATUS = 'failed';
+
+// SQS does not accept a message delay above 15 minutes
+export const MAX_DELAY_SECONDS = 900;
+
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 3,
+  delaySeconds: 30,
+  backoffMultiplier: 2,
+  maxDelaySeconds: MAX_DELAY_SECONDS,
+  isRetryable: () => true,
+});
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && value >= 0;
+
+/**
+ * Merges the retry options given to `addStep` with the defaults and validates them.
+ *
+ * @param {object} retry - the retry options
+ * @param {number} [retry.maxAttempts] - how often the step runs at most, the first run included
+ * @param {number} [retry.delaySeconds] - the delay before the first retry
+ * @param {number} [retry.backoffMultiplier] - the factor the delay grows by with every retry
+ * @param {number} [retry.maxDelaySeconds] - the upper bound of the delay, at most 900 seconds
+ * @param {function(Error): boolean} [retry.isRetryable] - whether the step error is transient
+ * @returns {object} the frozen retry policy
+ */
+export function createRetryPolicy(retry) {
+  if (!isObject(retry)) {
+    throw new Error('Retry policy must be an object');
+  }
+  const policy = { ...DEFAULT_RETRY_POLICY, ...retry };
+  const {
+    maxAttempts, delaySeconds, backoffMultiplier, maxDelaySeconds, isRetryable,
+  } = policy;
+
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    throw new Error(`Invalid retry maxAttempts: ${maxAttempts}. Must be a positive integer`);
+  }
+  if (!isNonNegativeNumber(delaySeconds) || !isNonNegativeNumber(maxDelaySeconds)
+    || maxDelaySeconds > MAX_DELAY_SECONDS) {
+    throw new Error(`Invalid retry delay. Delays must be between 0 and ${MAX_DELAY_SECONDS} seconds`);
+  }
+  if (typeof backoffMultiplier !== 'number' || backoffMultiplier < 1) {
+    throw new Error(`Invalid retry backoffMultiplier: ${backoffMultiplier}. Must be at least 1`);
+  }
+  if (typeof isRetryable !== 'function') {
+    throw new Error('Retry isRetryable must be a function');
+  }
+
+  return Object.freeze(policy);
+}
+
+/**
+ * The delay before the given attempt, growing exponentially from the first retry on.
+ *
+ * @param {object} policy - a policy created with {@link createRetryPolicy}
+ * @param {number} attempt - the attempt about to be scheduled, 2 for the first retry
+ * @returns {number} the delay in whole seconds
+ */
+export function getRetryDelaySeconds(policy, attempt) {
+  const delay = policy.delaySeconds * policy.backoffMultiplier ** (attempt - 2);
+  return Math.round(Math.min(delay, policy.maxDelaySeconds));
+}
+
+/**
+ * The attempt number of the given step, as carried in the audit context of a retried message.
+ *
+ * @param {object} auditContext - the audit context of the incoming message
+ * @param {string} stepName - the step about to run
+ * @returns {number} 1 for the first run of the step
+ */
+export function getStepAttempt(auditContext, stepName) {
+  const { retry } = auditContext;
+  return retry?.step === stepName && Number.isInteger(retry.attempt) ? retry.attempt : 1;
+}
@@ -0,0 +1,144 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { PutObjectCommand } from '@aws-sdk/client-s3';
+import { isDryRun } from './dry-run.js';
+
+export const STEP_OUTCOMES = Object.freeze({
+  SUCCESS: 'success',
+  RETRY: 'retry',
+  FAILED: 'failed',
+});
+
+export const STEP_TELEMETRY_PREFIX = 'step-telemetry';
+
+/**
+ * The S3 key prefix of the telemetry documents of one audit run, where the run is identified
+ * by the audit id (step audits) or the async job id.
+ */
+export function getStepTelemetryPrefix({ auditType, siteId, runId }) {
+  return `${STEP_TELEMETRY_PREFIX}/${auditType}/${siteId}/${runId}/`;
+}
+
+/**
+ * The S3 key of the telemetry document of one step run. All steps of one audit run share
+ * the `step-telemetry/<auditType>/<siteId>/<runId>/` prefix.
+ */
+export function getStepTelemetryKey({
+  auditType, siteId, runId, step, attempt,
+}) {
+  return `${getStepTelemetryPrefix({ auditType, siteId, runId })}${step}-${attempt}.json`;
+}
+
+/**
+ * The S3 location of the telemetry documents of an audit run, referenced from the audit
+ * record or the async job of the run so its telemetry can be found.
+ *
+ * @param {object} run - the audit run, as for {@link recordStepTelemetry}
+ * @param {object} context - the universal context
+ * @returns {string|null} the `s3://` prefix of the documents, or null if they are not stored
+ */
+export function getStepTelemetryLocation(run, context) {
+  const bucket = context.env?.S3_SCRAPER_BUCKET_NAME;
+  if (isDryRun(context) || !context.s3Client || !bucket || !run.runId) {
+    return null;
+  }
+  return `s3://${bucket}/${getStepTelemetryPrefix(run)}`;
+}
+
+const getPayloadBytes = (payload) => {
+  try {
+    return Buffer.byteLength(JSON.stringify(payload) ?? '');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Starts timing a step run.
+ *
+ * @param {object} step - the step about to run
+ * @param {number} [attempt] - the attempt of the step, 1 unless the step is retried
+ * @returns {object} the timing to pass to {@link finishStepTiming}
+ */
+export function startStepTiming(step, attempt = 1) {
+  return {
+    step: step.name,
+    destination: step.destination || null,
+    attempt,
+    startedAt: new Date().toISOString(),
+    start: process.hrtime.bigint(),
+  };
+}
+
+/**
+ * Completes the timing of a step run into its telemetry record.
+ *
+ * @param {object} timing - the timing created with {@link startStepTiming}
+ * @param {string} outcome - one of {@link STEP_OUTCOMES}
+ * @param {object} [details]
+ * @param {object} [details.payload] - the result of the step, measured as serialized JSON
+ * @param {Error} [details.error] - the error the step failed with
+ * @returns {object} the telemetry record
+ */
+export function finishStepTiming(timing, outcome, { payload, error } = {}) {
+  const { start, ...record } = timing;
+  return {
+    ...record,
+    endedAt: new Date().toISOString(),
+    durationMs: Number((process.hrtime.bigint() - start) / 1000000n),
+    payloadBytes: payload === undefined ? null : getPayloadBytes(payload),
+    outcome,
+    ...(error && { error: error.message }),
+  };
+}
+
+/**
+ * Records the telemetry of a step run. The record is logged as a single JSON line to
+ * query latency distributions from the logs, and stored as a document in the scraper
+ * bucket next to the other documents of the same audit run. Telemetry is best effort:
+ * a failure to store it is logged and never fails the audit.
+ *
+ * @param {object} record - the record created with {@link finishStepTiming}
+ * @param {object} run - the audit run
+ * @param {string} run.auditType - the audit type
+ * @param {string} run.siteId - the site id
+ * @param {string} [run.runId] - the audit or async job id, if one exists yet
+ * @param {object} context - the universal context
+ */
+export async function recordStepTelemetry(record, run, context) {
+  const { env, log, s3Client } = context;
+  const telemetry = {
+    auditType: run.auditType,
+    siteId: run.siteId,
+    runId: run.runId || null,
+    ...record,
+  };
+
+  log.info(`[step-telemetry] ${JSON.stringify(telemetry)}`);
+
+  const bucket = env?.S3_SCRAPER_BUCKET_NAME;
+  if (isDryRun(context) || !s3Client || !bucket || !run.runId) {
+    return;
+  }
+
+  try {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: getStepTelemetryKey({ ...run, step: record.step, attempt: record.attempt }),
+      Body: JSON.stringify(telemetry),
+      ContentType: 'application/json',
+    }));
+  } catch (e) {
+    log.warn(`Failed to store telemetry of step ${record.step} for ${run.auditType} audit ${run.runId}: ${e.message}`);
+  }
+}
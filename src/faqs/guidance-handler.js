@@ -17,7 +17,7 @@ import { tracingFetch as fetch } from '@adobe/spacecat-shared-utils';
 import { load as cheerioLoad } from 'cheerio';
 
 import { syncSuggestions } from '../utils/data-access.js';
-import { getJsonFaqSuggestion } from './utils.js';
+import { getJsonFaqSuggestion, isFaqHeading } from './utils.js';
 import { createOpportunityData } from './opportunity-data-mapper.js';
 import { convertToOpportunity } from '../common/opportunity.js';
 import { getObjectKeysUsingPrefix, getObjectFromKey } from '../utils/s3-utils.js';
@@ -33,22 +33,6 @@ function getScrapeJsonPath(url, siteId) {
   return `scrapes/${siteId}${pathname}/scrape.json`;
 }
 
-/**
- * Checks if a heading contains FAQ-related text
- * @param {string} text - The heading text
- * @returns {boolean} True if the heading contains FAQ-related text
- */
-function isFaqHeading(text) {
-  const faqPatterns = [
-    /\bfaq\b/i,
-    /frequently\s+asked\s+questions?/i,
-    /common\s+questions?/i,
-    /questions?\s+and\s+answers?/i,
-    /q\s*&\s*a/i,
-  ];
-  return faqPatterns.some((pattern) => pattern.test(text));
-}
-
 /**
  * Analyzes scrape data to check for FAQ headings and determine selector
  * @param {string} url - The page URL
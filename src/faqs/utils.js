@@ -40,6 +40,22 @@ export const SPREADSHEET_COLUMNS = {
   EXECUTION_DATE: 21,
 };
 
+/**
+ * Checks if a heading contains FAQ-related text
+ * @param {string} text - The heading text
+ * @returns {boolean} True if the heading contains FAQ-related text
+ */
+export function isFaqHeading(text) {
+  const faqPatterns = [
+    /\bfaq\b/i,
+    /frequently\s+asked\s+questions?/i,
+    /common\s+questions?/i,
+    /questions?\s+and\s+answers?/i,
+    /q\s*&\s*a/i,
+  ];
+  return faqPatterns.some((pattern) => pattern.test(text));
+}
+
 /**
  * Normalizes sources to an array of URL strings
  * Sources can be strings, objects with 'url' key, or objects with 'link' key
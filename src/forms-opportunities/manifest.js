@@ -0,0 +1,36 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import formsOpportunities from './handler.js';
+import highFormViewsLowConversionsGuidance from './guidance-handlers/guidance-high-form-views-low-conversions.js';
+import highPageViewsLowFormNavGuidance from './guidance-handlers/guidance-high-page-views-low-form-nav.js';
+import highPageViewsLowFormViewsGuidance from './guidance-handlers/guidance-high-page-views-low-form-views.js';
+import formAccessibilityGuidance from './guidance-handlers/guidance-accessibility.js';
+import mystiqueDetectedFormAccessibilityOpportunity from './oppty-handlers/accessibility-handler.js';
+import detectFormDetails from './form-details-handler/detect-form-details.js';
+
+/** @type {import('../common/audit-registry.js').AuditManifest} */
+export default {
+  module: 'forms-opportunities',
+  handlers: [
+    { type: 'forms-opportunities', handler: formsOpportunities },
+    {
+      type: 'guidance:high-form-views-low-conversions',
+      handler: highFormViewsLowConversionsGuidance,
+    },
+    { type: 'guidance:high-page-views-low-form-nav', handler: highPageViewsLowFormNavGuidance },
+    { type: 'guidance:high-page-views-low-form-views', handler: highPageViewsLowFormViewsGuidance },
+    { type: 'guidance:forms-a11y', handler: formAccessibilityGuidance },
+    { type: 'detect:forms-a11y', handler: mystiqueDetectedFormAccessibilityOpportunity },
+    { type: 'detect:form-details', handler: detectFormDetails },
+  ],
+};
@@ -0,0 +1,40 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import geoBrandPresence from './handler.js';
+import detectGeoBrandPresence from './detect-geo-brand-presence-handler.js';
+import { handleCategorizationResponseHandler } from './categorization-response-handler.js';
+import { refreshGeoBrandPresenceSheetsHandler } from './geo-brand-presence-refresh-handler.js';
+
+/** @type {import('../common/audit-registry.js').AuditManifest} */
+export default {
+  module: 'geo-brand-presence',
+  handlers: [
+    {
+      type: 'geo-brand-presence',
+      handler: geoBrandPresence,
+      aliases: [
+        'geo-brand-presence-free',
+        'geo-brand-presence-paid',
+        // Splits of geo-brand-presence-free for staggered execution (max 40 sites each)
+        ...Array.from({ length: 23 }, (_, i) => `geo-brand-presence-free-${i + 1}`),
+      ],
+      requiredSiteConfig: ['llmo'],
+      productCodes: ['LLMO'],
+      schedule: 'weekly',
+    },
+    { type: 'category:geo-brand-presence', handler: handleCategorizationResponseHandler },
+    { type: 'detect:geo-brand-presence', handler: detectGeoBrandPresence },
+    { type: 'refresh:geo-brand-presence', handler: detectGeoBrandPresence },
+    { type: 'geo-brand-presence-trigger-refresh', handler: refreshGeoBrandPresenceSheetsHandler },
+  ],
+};
@@ -19,6 +19,7 @@ import { noopUrlResolver } from '../common/index.js';
 import { syncSuggestions } from '../utils/data-access.js';
 import { convertToOpportunity } from '../common/opportunity.js';
 import { getTopAgenticUrlsFromAthena } from '../utils/agentic-urls.js';
+import { limitConcurrency } from '../support/utils.js';
 import { createOpportunityData } from './opportunity-data-mapper.js';
 
 import {
@@ -26,6 +27,7 @@ import {
   getHeadingSelector,
   getHeadingLevel,
   getHeadingContext,
+  getSurroundingText,
   cheerioLoad,
   loadScrapeJson,
   getBrandGuidelines,
@@ -37,6 +39,20 @@ const auditType = Audit.AUDIT_TYPES.HEADINGS;
 
 const H1_LENGTH_CHARS = 70;
 
+// headings this short inside navigation or footers are used for styling, not for structure
+const STYLING_HEADING_MAX_CHARS = 20;
+const NAVIGATION_SELECTOR = 'nav, footer, [role="navigation"], [role="contentinfo"]';
+
+// an H2 is template boilerplate when it is used on at least this many pages, and this share
+// of the audited pages
+const DUPLICATE_H2_MIN_PAGES = 5;
+const DUPLICATE_H2_MIN_PAGES_RATIO = 0.2;
+
+// maximum number of headings per page sent to the LLM for the outline review
+const OUTLINE_MAX_HEADINGS = 30;
+const OUTLINE_SECTION_TEXT_CHARS = 300;
+const MAX_CONCURRENT_OUTLINE_REVIEWS = 5;
+
 export const HEADINGS_CHECKS = Object.freeze({
   HEADING_EMPTY: {
     check: 'heading-empty',
@@ -73,6 +89,34 @@ export const HEADINGS_CHECKS = Object.freeze({
     explanation: 'Heading levels should increase by one (example: H1→H2), not jump levels (example: H1→H3).',
     suggestion: 'Adjust heading levels to maintain proper hierarchy.',
   },
+  HEADING_NOT_DESCRIPTIVE: {
+    check: 'heading-not-descriptive',
+    title: 'Heading Does Not Describe Its Section',
+    description: '{tagName} heading does not describe the content of the section that follows it.',
+    explanation: 'Headings should summarize the content of their section, so that readers and search engines can navigate the page by its outline.',
+    suggestion: 'Rewrite the heading to describe the content of the section that follows it.',
+  },
+  HEADING_DUPLICATE_H2: {
+    check: 'heading-duplicate-h2',
+    title: 'Boilerplate H2 Heading',
+    description: 'H2 heading text is repeated across many pages.',
+    explanation: 'H2 headings repeated on many pages (template boilerplate such as "Related Articles") do not describe the page they are on.',
+    suggestion: 'Make the H2 specific to the page, or use a non-heading element for template content.',
+  },
+  HEADING_STYLING_ONLY: {
+    check: 'heading-styling-only',
+    title: 'Heading Used for Styling',
+    description: '{tagName} heading in navigation or footer is used for styling only.',
+    explanation: 'Short headings in navigation and footers add noise to the page outline. Headings should mark the structure of the content, not its appearance.',
+    suggestion: 'Replace the heading with a non-heading element (for example, a p or span styled with CSS).',
+  },
+  HEADING_H1_MATCHES_TITLE: {
+    check: 'heading-h1-matches-title',
+    title: 'H1 Duplicates Title',
+    description: 'H1 element is identical to the title tag.',
+    explanation: 'The H1 and the title tag should complement each other: an H1 that repeats the title misses the chance to describe the page in other words.',
+    suggestion: 'Rewrite the H1 to describe the main content of the page in different words than the title tag.',
+  },
   TOPPAGES: {
     check: 'top-pages',
     title: 'Top Pages',
@@ -140,13 +184,113 @@ export async function getH1HeadingASuggestion(
   }
 }
 
+/**
+ * Get AI suggestions for the headings of a page that do not describe their section
+ * @param {string} url - Page URL
+ * @param {Object} log - Logger instance
+ * @param {Array} outline - Page outline, see validatePageHeadingFromScrapeJson
+ * @param {Object} pageTags - Page tags
+ * @param {Object} context - Audit context
+ * @param {Object} brandGuidelines - Brand guidelines
+ * @returns {Promise<Array>} Outline entries of the headings that do not describe their
+ * section, with the AI suggestion, or an empty array
+ */
+export async function getHeadingsOutlineSuggestions(
+  url,
+  log,
+  outline,
+  pageTags,
+  context,
+  brandGuidelines,
+) {
+  const reviewedHeadings = outline.slice(0, OUTLINE_MAX_HEADINGS);
+  if (reviewedHeadings.length === 0) {
+    return [];
+  }
+  const promptData = {
+    finalUrl: pageTags?.finalUrl || '',
+    title: pageTags?.title || '',
+    lang: pageTags?.lang || 'en',
+    brandGuidelines: brandGuidelines || '',
+    max_char: H1_LENGTH_CHARS,
+    headings: reviewedHeadings.map(({ tagName, text, sectionText }, index) => ({
+      index, tagName, text, sectionText,
+    })),
+  };
+
+  try {
+    const azureOpenAIClient = AzureOpenAIClient.createFrom(context);
+    const prompt = await getPrompt(
+      promptData,
+      'heading-outline-quality',
+      log,
+    );
+    const aiResponse = await azureOpenAIClient.fetchChatCompletion(prompt, {
+      responseFormat: 'json_object',
+    });
+    const aiResponseContent = JSON.parse(aiResponse.choices[0].message.content);
+    if (!Array.isArray(aiResponseContent.headings)) {
+      log.error(`[Headings AI Suggestions] Invalid response structure for ${url}. Expected headings array`);
+      return [];
+    }
+    return aiResponseContent.headings
+      .filter(({ index, aiSuggestion }) => reviewedHeadings[index] && aiSuggestion)
+      .map(({ index, aiSuggestion }) => ({ ...reviewedHeadings[index], aiSuggestion }));
+  } catch (error) {
+    log.error(`[Headings AI Suggestions] Error for headings outline review of ${url}: ${error}`);
+    return [];
+  }
+}
+
+/**
+ * Find H2 texts used on many of the audited pages, such as "Related Articles" in templates
+ * @param {Array} pageResults - The `{ url, outline }` of each audited page
+ * @returns {Map<string, Array>} The `{ url, selector, text }` of the boilerplate H2s of each
+ * page, keyed by page URL
+ */
+export function findDuplicateH2Headings(pageResults) {
+  const pagesByText = new Map();
+  pageResults.forEach(({ url, outline = [] }) => {
+    outline
+      .filter(({ tagName }) => tagName === 'H2')
+      .forEach(({ text, selector }) => {
+        const key = text.replace(/\s+/g, ' ').toLowerCase();
+        const pages = pagesByText.get(key) || new Map();
+        if (!pages.has(url)) {
+          pages.set(url, { url, selector, text });
+        }
+        pagesByText.set(key, pages);
+      });
+  });
+
+  const minPages = Math.max(
+    DUPLICATE_H2_MIN_PAGES,
+    Math.ceil(pageResults.length * DUPLICATE_H2_MIN_PAGES_RATIO),
+  );
+  const duplicatesByUrl = new Map();
+  pagesByText.forEach((pages) => {
+    if (pages.size < minPages) {
+      return;
+    }
+    pages.forEach((heading, url) => {
+      duplicatesByUrl.set(url, [
+        ...(duplicatesByUrl.get(url) || []),
+        { ...heading, pageCount: pages.size },
+      ]);
+    });
+  });
+  return duplicatesByUrl;
+}
+
 /**
  * Validate heading semantics for a single page from a scrapeJsonObject.
  * @param {string} url - The URL being validated
  * @param {Object} scrapeJsonObject - The scraped page data from S3
  * @param {Object} log - Logger instance
  * @param {Object} seoChecks - SeoChecks instance for tracking healthy tags
- * @returns {Promise<{url: string, checks: Array}>}
+ * @returns {Promise<{url: string, checks: Array, pageTags: Object, outline: Array}>} The
+ * outline lists the `{ tagName, text, selector, sectionText }` of the non-empty headings
+ * outside navigation and footers, in document order
  */
 export async function validatePageHeadingFromScrapeJson(
   url,
@@ -226,12 +370,73 @@ export async function validatePageHeadingFromScrapeJson(
         },
         pageTags,
       });
+    } else if (pageTags.title
+      && getTextContent(h1Elements[0], $).replace(/\s+/g, ' ') === pageTags.title.trim().replace(/\s+/g, ' ')) {
+      const h1Selector = getHeadingSelector(h1Elements[0]);
+      log.debug(`H1 duplicating the title detected at ${url} using selector: ${h1Selector}`);
+      checks.push({
+        check: HEADINGS_CHECKS.HEADING_H1_MATCHES_TITLE.check,
+        checkTitle: HEADINGS_CHECKS.HEADING_H1_MATCHES_TITLE.title,
+        description: HEADINGS_CHECKS.HEADING_H1_MATCHES_TITLE.description,
+        success: false,
+        explanation: HEADINGS_CHECKS.HEADING_H1_MATCHES_TITLE.explanation,
+        suggestion: HEADINGS_CHECKS.HEADING_H1_MATCHES_TITLE.suggestion,
+        transformRules: {
+          action: 'replace',
+          selector: h1Selector,
+          currValue: $(h1Elements[0]).text(),
+          scrapedAt: new Date(scrapeJsonObject.scrapedAt).toISOString(),
+        },
+        pageTags,
+      });
     }
 
+    // headings in navigation or footers are left out of the outline, see HEADING_STYLING_ONLY
+    const outline = [];
+
     const headingChecks = headings.map(async (heading, index) => {
       const tagName = $(heading).prop('tagName');
+      const text = getTextContent(heading, $);
+      const inNavigation = $(heading).closest(NAVIGATION_SELECTOR).length > 0;
+      if (text.length > 0 && !inNavigation) {
+        outline.push({
+          tagName,
+          text,
+          selector: getHeadingSelector(heading),
+          sectionText: getSurroundingText(heading, $, OUTLINE_SECTION_TEXT_CHARS).after,
+        });
+      }
       if (tagName !== 'H1') {
-        const text = getTextContent(heading, $);
+        if (text.length > 0 && text.length <= STYLING_HEADING_MAX_CHARS && inNavigation) {
+          log.debug(`Heading used for styling detected (${tagName}) at ${url}`);
+          return {
+            check: HEADINGS_CHECKS.HEADING_STYLING_ONLY.check,
+            checkTitle: HEADINGS_CHECKS.HEADING_STYLING_ONLY.title,
+            description: HEADINGS_CHECKS.HEADING_STYLING_ONLY.description.replace('{tagName}', tagName),
+            success: false,
+            explanation: `Found ${tagName} "${text}" in navigation or footer: ${HEADINGS_CHECKS.HEADING_STYLING_ONLY.explanation}`,
+            suggestion: HEADINGS_CHECKS.HEADING_STYLING_ONLY.suggestion,
+            transformRules: {
+              action: 'replaceWith',
+              selector: getHeadingSelector(heading),
+              currValue: text,
+              scrapedAt: new Date(scrapeJsonObject.scrapedAt).toISOString(),
+              valueFormat: 'hast',
+              value: {
+                type: 'root',
+                children: [
+                  {
+                    type: 'element',
+                    tagName: 'p',
+                    properties: {},
+                    children: [{ type: 'text', value: text }],
+                  },
+                ],
+              },
+            },
+            tagName,
+          };
+        }
         if (text.length === 0) {
           log.info(`Empty heading detected (${tagName}) at ${url}`);
           const headingSelector = getHeadingSelector(heading);
@@ -302,7 +507,9 @@ export async function validatePageHeadingFromScrapeJson(
       }
     }
 
-    return { url, checks };
+    return {
+      url, checks, pageTags, outline,
+    };
   } catch (error) {
     log.error(`Error validating headings for ${url}: ${error.message}`);
     return {
@@ -437,56 +644,106 @@ export async function headingsAuditRunner(baseURL, context, site) {
     log.info(`[Headings AI Suggestions] Healthy tags object: ${JSON.stringify(healthyTagsObject)}`);
 
     const brandGuidelines = await getBrandGuidelines(healthyTagsObject, log, context, site);
-    const auditResultsPromises = auditResults.map(async (result) => {
-      if (result.status === 'fulfilled' && result.value) {
-        const { url, checks } = result.value;
-        const checkPromises = checks.map(async (check) => {
-          if (!check.success) {
-            totalIssuesFound += 1;
-            const checkType = check.check;
-            let aiSuggestion = null;
-            // if checktype is missing h1, h1 length or empty heading generate ai suggestion here
-            if (checkType === HEADINGS_CHECKS.HEADING_MISSING_H1.check
-              || checkType === HEADINGS_CHECKS.HEADING_H1_LENGTH.check
-              || checkType === HEADINGS_CHECKS.HEADING_EMPTY.check) {
-              aiSuggestion = await getH1HeadingASuggestion(
-                url,
-                log,
-                check.tagName,
-                check.pageTags,
-                context,
-                brandGuidelines,
-                check.headingContext || null,
-              );
-            }
-            if (!aggregatedResults[checkType]) {
-              aggregatedResults[checkType] = {
-                success: false,
-                explanation: check.explanation,
-                suggestion: check.suggestion,
-                urls: [],
-              };
-            }
+    const pageResults = auditResults
+      .filter((result) => result.status === 'fulfilled' && result.value)
+      .map((result) => result.value);
+    const duplicateH2Headings = findDuplicateH2Headings(pageResults);
+    const outlineSuggestionsByPage = await limitConcurrency(
+      pageResults.map(({ url, pageTags, outline = [] }) => () => getHeadingsOutlineSuggestions(
+        url,
+        log,
+        outline,
+        pageTags,
+        context,
+        brandGuidelines,
+      )),
+      MAX_CONCURRENT_OUTLINE_REVIEWS,
+    );
+    const auditResultsPromises = pageResults.map(async ({ url, checks: pageChecks }, index) => {
+      const checks = [...pageChecks];
+      (duplicateH2Headings.get(url) || []).forEach(({ text, selector, pageCount }) => {
+        checks.push({
+          check: HEADINGS_CHECKS.HEADING_DUPLICATE_H2.check,
+          checkTitle: HEADINGS_CHECKS.HEADING_DUPLICATE_H2.title,
+          description: HEADINGS_CHECKS.HEADING_DUPLICATE_H2.description,
+          success: false,
+          explanation: `H2 "${text}" is used on ${pageCount} of ${pageResults.length} pages: ${HEADINGS_CHECKS.HEADING_DUPLICATE_H2.explanation}`,
+          suggestion: HEADINGS_CHECKS.HEADING_DUPLICATE_H2.suggestion,
+          transformRules: {
+            action: 'replace',
+            selector,
+            currValue: text,
+          },
+          tagName: 'H2',
+        });
+      });
+      outlineSuggestionsByPage[index].forEach(({
+        tagName, text, selector, aiSuggestion,
+      }) => {
+        checks.push({
+          check: HEADINGS_CHECKS.HEADING_NOT_DESCRIPTIVE.check,
+          checkTitle: HEADINGS_CHECKS.HEADING_NOT_DESCRIPTIVE.title,
+          description: HEADINGS_CHECKS.HEADING_NOT_DESCRIPTIVE.description.replace('{tagName}', tagName),
+          success: false,
+          explanation: `Found ${tagName} "${text}": ${HEADINGS_CHECKS.HEADING_NOT_DESCRIPTIVE.explanation}`,
+          suggestion: HEADINGS_CHECKS.HEADING_NOT_DESCRIPTIVE.suggestion,
+          aiSuggestion,
+          transformRules: {
+            action: 'replace',
+            selector,
+            currValue: text,
+          },
+          tagName,
+        });
+      });
+      const checkPromises = checks.map(async (check) => {
+        if (!check.success) {
+          totalIssuesFound += 1;
+          const checkType = check.check;
+          let aiSuggestion = check.aiSuggestion || null;
+          // if checktype is missing h1, h1 length, h1 matching the title or empty heading
+          // generate ai suggestion here
+          if (checkType === HEADINGS_CHECKS.HEADING_MISSING_H1.check
+            || checkType === HEADINGS_CHECKS.HEADING_H1_LENGTH.check
+            || checkType === HEADINGS_CHECKS.HEADING_H1_MATCHES_TITLE.check
+            || checkType === HEADINGS_CHECKS.HEADING_EMPTY.check) {
+            aiSuggestion = await getH1HeadingASuggestion(
+              url,
+              log,
+              check.tagName,
+              check.pageTags,
+              context,
+              brandGuidelines,
+              check.headingContext || null,
+            );
+          }
+          if (!aggregatedResults[checkType]) {
+            aggregatedResults[checkType] = {
+              success: false,
+              explanation: check.explanation,
+              suggestion: check.suggestion,
+              urls: [],
+            };
+          }
 
-            // Add URL if not already present
-            if (!aggregatedResults[checkType].urls.includes(url)) {
-              const urlObject = { url };
-              urlObject.explanation = check.explanation;
-              urlObject.suggestion = aiSuggestion || check.suggestion;
-              urlObject.isAISuggested = !!aiSuggestion;
-              urlObject.checkTitle = check.checkTitle;
-              if (check.tagName) {
-                urlObject.tagName = check.tagName;
-              }
-              if (check.transformRules) {
-                urlObject.transformRules = check.transformRules;
-              }
-              aggregatedResults[checkType].urls.push(urlObject);
+          // Add URL if not already present
+          if (!aggregatedResults[checkType].urls.includes(url)) {
+            const urlObject = { url };
+            urlObject.explanation = check.explanation;
+            urlObject.suggestion = aiSuggestion || check.suggestion;
+            urlObject.isAISuggested = !!aiSuggestion;
+            urlObject.checkTitle = check.checkTitle;
+            if (check.tagName) {
+              urlObject.tagName = check.tagName;
+            }
+            if (check.transformRules) {
+              urlObject.transformRules = check.transformRules;
             }
+            aggregatedResults[checkType].urls.push(urlObject);
           }
-        });
-        await Promise.all(checkPromises);
-      }
+        }
+      });
+      await Promise.all(checkPromises);
     });
 
     // wait for all promises to resolve
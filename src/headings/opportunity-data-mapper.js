@@ -23,6 +23,7 @@ const OpptyData = {
       'Use AI-generated suggestions to improve heading quality, consistency, and SEO performance.',
       'Adjust headings so that levels increase by at most one at a time (e.g., h1 → h2 → h3).',
       'Remove or fill any empty heading elements with descriptive text.',
+      'Rewrite headings that do not describe their section, repeat template boilerplate across pages, or duplicate the title tag, and replace headings used only for styling in navigation and footers with non-heading elements.',
       'Ensure headings follow brand guidelines and maintain consistent tone across the site.',
     ],
   },
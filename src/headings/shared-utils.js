@@ -20,6 +20,7 @@ import {
   getHeadingLevel,
   getHeadingContext,
   getScrapeJsonPath,
+  getSurroundingText,
 } from './utils.js';
 
 /**
@@ -265,5 +266,6 @@ export async function initializeAuditContext(context, site) {
 export {
   getHeadingLevel,
   getHeadingContext,
+  getSurroundingText,
   cheerioLoad,
 };
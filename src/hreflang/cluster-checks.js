@@ -0,0 +1,256 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { tracingFetch as fetch } from '@adobe/spacecat-shared-utils';
+import { load as cheerioLoad } from 'cheerio';
+import { checkRobotsForSitemap, fetchContent } from '../sitemap/common.js';
+import { extractUrlsFromSitemap, limitConcurrencyAllSettled } from '../support/utils.js';
+import { normalizePageUrl } from '../utils/url-utils.js';
+
+const MAX_ALTERNATE_FETCHES = 100;
+const MAX_CONCURRENT_FETCH_CALLS = 10;
+const MAX_SITEMAPS = 5;
+
+/**
+ * Checks spanning the pages of an hreflang cluster, i.e. a page and the alternates it declares.
+ */
+export const CLUSTER_CHECKS = Object.freeze({
+  HREFLANG_SELF_REFERENCE_MISSING: {
+    check: 'hreflang-self-reference-missing',
+    title: 'Missing Self-Reference',
+    explanation: 'The hreflang tags of the page do not include the page itself. Every page of a cluster must list itself as an alternate.',
+  },
+  HREFLANG_CONFLICTING_LANGUAGE: {
+    check: 'hreflang-conflicting-language',
+    title: 'Conflicting Language Codes',
+    explanation: 'The same hreflang language code points to different URLs within one cluster.',
+  },
+  HREFLANG_RETURN_LINK_MISSING: {
+    check: 'hreflang-return-link-missing',
+    title: 'Missing Return Link',
+    explanation: 'An alternate page does not link back to this page. Search engines ignore hreflang annotations that are not confirmed by a return link.',
+  },
+  HREFLANG_ALTERNATE_NOT_OK: {
+    check: 'hreflang-alternate-non-200',
+    title: 'Alternate Not Reachable',
+    explanation: 'An hreflang alternate does not respond with 200 OK (redirect, client or server error).',
+  },
+  HREFLANG_ALTERNATE_NOT_CANONICAL: {
+    check: 'hreflang-alternate-non-canonical',
+    title: 'Alternate Not Canonical',
+    explanation: 'An hreflang alternate points to a URL whose canonical is a different URL. Alternates must point to canonical URLs.',
+  },
+  HREFLANG_SITEMAP_MISMATCH: {
+    check: 'hreflang-sitemap-mismatch',
+    title: 'Sitemap and HTML Disagree',
+    explanation: 'The hreflang alternates declared for the page in the sitemap differ from the ones in its HTML.',
+  },
+});
+
+/**
+ * Maps the language codes of hreflang alternates to their normalized URL. The first
+ * declaration of a code wins.
+ *
+ * @param {Array<{hreflang: string, href: string}>} alternates - the alternates of a page
+ * @returns {Map<string, string>} the normalized URL by lowercase language code
+ */
+export function getAlternatesByCode(alternates) {
+  const byCode = new Map();
+  alternates.forEach(({ hreflang, href }) => {
+    const code = hreflang.toLowerCase();
+    if (!byCode.has(code)) {
+      byCode.set(code, normalizePageUrl(href));
+    }
+  });
+  return byCode;
+}
+
+/**
+ * Extracts the hreflang alternates, with absolute URLs, and the canonical URL of a page.
+ *
+ * @param {import('cheerio').CheerioAPI} $ - the loaded page
+ * @param {string} pageUrl - the URL of the page, to resolve relative URLs against
+ * @returns {{alternates: Array<{hreflang: string, href: string}>, canonical: string|null}}
+ */
+export function extractHreflangData($, pageUrl) {
+  const resolve = (href) => {
+    if (!href) {
+      return null;
+    }
+    try {
+      return new URL(href, pageUrl).href;
+    } catch {
+      return null;
+    }
+  };
+
+  const alternates = $('link[rel="alternate"][hreflang]').map((i, link) => ({
+    hreflang: $(link).attr('hreflang'),
+    href: resolve($(link).attr('href')),
+  })).get().filter(({ hreflang, href }) => hreflang && href);
+  const canonicalHref = $('link[rel="canonical"]').attr('href');
+
+  return { alternates, canonical: canonicalHref ? resolve(canonicalHref) : null };
+}
+
+async function fetchAlternatePage(url) {
+  const response = await fetch(url, { redirect: 'manual' });
+  if (response.status !== 200) {
+    return {
+      url, status: response.status, alternates: [], canonical: null,
+    };
+  }
+  const $ = cheerioLoad(await response.text());
+  return { url, status: response.status, ...extractHreflangData($, url) };
+}
+
+async function findSitemapUrls(baseURL) {
+  const { protocol, host } = new URL(baseURL);
+  try {
+    const { paths } = await checkRobotsForSitemap(protocol.replace(':', ''), host);
+    if (paths.length > 0) {
+      return paths;
+    }
+  } catch {
+    // fall back to the default location
+  }
+  return [`${protocol}//${host}/sitemap.xml`];
+}
+
+/**
+ * Reads the hreflang alternates the sitemaps of the site declare through `xhtml:link`
+ * elements, for the given pages only. Sitemap indexes are followed, up to a few sitemaps.
+ * Sitemaps that cannot be fetched are skipped.
+ *
+ * @param {string} baseURL - the base URL of the site
+ * @param {Set<string>} pageUrls - the normalized URLs of the pages to read the alternates of
+ * @param {Object} log - logger instance
+ * @returns {Promise<Map<string, Map<string, string>>>} the alternates by code, by page URL
+ */
+export async function getSitemapHreflangAlternates(baseURL, pageUrls, log) {
+  const declared = new Map();
+  const queue = await findSitemapUrls(baseURL);
+  const visited = new Set();
+
+  while (queue.length > 0 && visited.size < MAX_SITEMAPS) {
+    const sitemapUrl = queue.shift();
+    if (!visited.has(sitemapUrl)) {
+      visited.add(sitemapUrl);
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const { payload } = await fetchContent(sitemapUrl);
+        if (payload.includes('</sitemapindex>')) {
+          queue.push(...extractUrlsFromSitemap(payload, 'sitemap'));
+        } else {
+          const $ = cheerioLoad(payload, { xmlMode: true });
+          $('url').each((i, element) => {
+            const loc = normalizePageUrl($(element).find('loc').first().text()
+              .trim());
+            const alternates = $(element).find('xhtml\\:link[rel="alternate"][hreflang]')
+              .map((j, link) => ({ hreflang: $(link).attr('hreflang'), href: $(link).attr('href') }))
+              .get()
+              .filter(({ hreflang, href }) => hreflang && href);
+            if (pageUrls.has(loc) && alternates.length > 0) {
+              declared.set(loc, getAlternatesByCode(alternates));
+            }
+          });
+        }
+      } catch (e) {
+        log.debug(`Skipping sitemap ${sitemapUrl} for hreflang comparison: ${e.message}`);
+      }
+    }
+  }
+
+  return declared;
+}
+
+const sameAlternates = (a, b) => a.size === b.size
+  && [...a].every(([code, href]) => b.get(code) === href);
+
+/**
+ * Validates the hreflang clusters of the audited pages: every alternate must respond with
+ * 200, be canonical, link back to the page and agree with the page on the language codes,
+ * and the alternates declared in the sitemap must match the HTML. Alternates outside the
+ * audited pages are fetched, up to a limit; alternates that cannot be fetched are skipped.
+ *
+ * @param {Array<{url: string, alternates: Array, canonical: string|null}>} pages - the audited
+ * pages declaring hreflang alternates
+ * @param {Map<string, Map<string, string>>} sitemapAlternates - the alternates declared in the
+ * sitemaps, see {@link getSitemapHreflangAlternates}
+ * @param {Object} log - logger instance
+ * @returns {Promise<Array<{url: string, checks: Array}>>} the failed checks by page
+ */
+export async function validateHreflangClusters(pages, sitemapAlternates, log) {
+  const known = new Map(pages.map((page) => [
+    normalizePageUrl(page.url), { ...page, status: 200 },
+  ]));
+
+  const targets = [...new Set(pages.flatMap(({ alternates }) => alternates
+    .map(({ href }) => normalizePageUrl(href))))]
+    .filter((url) => !known.has(url));
+  if (targets.length > MAX_ALTERNATE_FETCHES) {
+    log.info(`Checking ${MAX_ALTERNATE_FETCHES} of ${targets.length} hreflang alternates outside the top pages`);
+  }
+  const fetched = await limitConcurrencyAllSettled(
+    targets.slice(0, MAX_ALTERNATE_FETCHES).map((url) => () => fetchAlternatePage(url)),
+    MAX_CONCURRENT_FETCH_CALLS,
+  );
+  fetched.forEach((page) => known.set(normalizePageUrl(page.url), page));
+
+  return pages.map((page) => {
+    const self = normalizePageUrl(page.url);
+    const byCode = getAlternatesByCode(page.alternates);
+    const failed = new Map();
+    const fail = ({ check, explanation }, details) => {
+      if (!failed.has(check)) {
+        failed.set(check, {
+          check, success: false, explanation, ...details,
+        });
+      }
+    };
+
+    page.alternates.forEach(({ hreflang, href }) => {
+      const targetUrl = normalizePageUrl(href);
+      const target = known.get(targetUrl);
+      if (!target || targetUrl === self) {
+        return;
+      }
+      if (target.status !== 200) {
+        fail(CLUSTER_CHECKS.HREFLANG_ALTERNATE_NOT_OK, {
+          hreflang, href, statusCode: target.status,
+        });
+        return;
+      }
+      if (target.canonical && normalizePageUrl(target.canonical) !== targetUrl) {
+        fail(CLUSTER_CHECKS.HREFLANG_ALTERNATE_NOT_CANONICAL, {
+          hreflang, href, canonical: target.canonical,
+        });
+      }
+      if (!target.alternates.some((alternate) => normalizePageUrl(alternate.href) === self)) {
+        fail(CLUSTER_CHECKS.HREFLANG_RETURN_LINK_MISSING, { hreflang, href });
+        return;
+      }
+      const conflict = [...getAlternatesByCode(target.alternates)]
+        .find(([code, url]) => byCode.has(code) && byCode.get(code) !== url);
+      if (conflict) {
+        fail(CLUSTER_CHECKS.HREFLANG_CONFLICTING_LANGUAGE, { hreflang: conflict[0], href });
+      }
+    });
+
+    const declared = sitemapAlternates.get(self);
+    if (declared && !sameAlternates(declared, byCode)) {
+      fail(CLUSTER_CHECKS.HREFLANG_SITEMAP_MISMATCH, {});
+    }
+
+    return { url: page.url, checks: [...failed.values()] };
+  }).filter(({ checks }) => checks.length > 0);
+}
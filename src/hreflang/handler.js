@@ -21,6 +21,14 @@ import { syncSuggestions, keepLatestMergeDataFunction, getTopPagesForSiteId } fr
 import { convertToOpportunity } from '../common/opportunity.js';
 import { createOpportunityData, createOpportunityDataForElmo } from './opportunity-data-mapper.js';
 import { limitConcurrencyAllSettled } from '../support/utils.js';
+import {
+  CLUSTER_CHECKS,
+  extractHreflangData,
+  getAlternatesByCode,
+  getSitemapHreflangAlternates,
+  validateHreflangClusters,
+} from './cluster-checks.js';
+import { normalizePageUrl } from '../utils/url-utils.js';
 
 const auditType = Audit.AUDIT_TYPES.HREFLANG;
 
@@ -40,6 +48,7 @@ export const HREFLANG_CHECKS = Object.freeze({
     title: 'Hreflang Outside Head',
     explanation: 'Hreflang tags found outside the head section. Hreflang tags should be placed in the HTML head.',
   },
+  ...CLUSTER_CHECKS,
   TOPPAGES: {
     check: 'top-pages',
     title: 'Top Pages',
@@ -145,7 +154,33 @@ export async function validatePageHreflang(url, log) {
       }
     }
 
-    return { url, checks };
+    // Checks of the cluster that need only the page itself
+    const { alternates, canonical } = extractHreflangData($, url);
+    const self = normalizePageUrl(url);
+    if (!alternates.some(({ href }) => normalizePageUrl(href) === self)) {
+      checks.push({
+        check: HREFLANG_CHECKS.HREFLANG_SELF_REFERENCE_MISSING.check,
+        success: false,
+        explanation: HREFLANG_CHECKS.HREFLANG_SELF_REFERENCE_MISSING.explanation,
+      });
+    }
+    const byCode = getAlternatesByCode(alternates);
+    const conflict = alternates.find(({ hreflang, href }) => (
+      byCode.get(hreflang.toLowerCase()) !== normalizePageUrl(href)
+    ));
+    if (conflict) {
+      checks.push({
+        check: HREFLANG_CHECKS.HREFLANG_CONFLICTING_LANGUAGE.check,
+        success: false,
+        explanation: HREFLANG_CHECKS.HREFLANG_CONFLICTING_LANGUAGE.explanation,
+        hreflang: conflict.hreflang,
+        href: conflict.href,
+      });
+    }
+
+    return {
+      url, checks, alternates, canonical,
+    };
   } catch (error) {
     log.warn(`Unable to validate hreflang for ${url}: ${error.message}. Skipping hreflang validation.`);
     return { url, checks: [] }; // Skip validation, don't report fetch errors as audit issues
@@ -188,7 +223,21 @@ export async function hreflangAuditRunner(baseURL, context, site) {
     const tasks = topPages.map((page) => () => validatePageHreflang(page.url, log));
 
     // Using AllSettled variant to continue processing other pages even if some fail
-    const auditResultsArray = await limitConcurrencyAllSettled(tasks, MAX_CONCURRENT_FETCH_CALLS);
+    const pageResults = await limitConcurrencyAllSettled(tasks, MAX_CONCURRENT_FETCH_CALLS);
+
+    // Validate the clusters across pages, only if any page declares alternates
+    const clusterPages = pageResults.filter(({ alternates }) => alternates?.length > 0);
+    let clusterResults = [];
+    if (clusterPages.length > 0) {
+      const sitemapAlternates = await getSitemapHreflangAlternates(
+        baseURL,
+        new Set(clusterPages.map(({ url }) => normalizePageUrl(url))),
+        log,
+      );
+      clusterResults = await validateHreflangClusters(clusterPages, sitemapAlternates, log);
+    }
+
+    const auditResultsArray = [...pageResults, ...clusterResults];
     const aggregatedResults = auditResultsArray.reduce((acc, result) => {
       const { url, checks } = result;
       checks.forEach((check) => {
@@ -345,6 +394,18 @@ function generateRecommendedAction(checkType, url = null) {
       return 'Add x-default hreflang tag: <link rel="alternate" href="[base-url]" hreflang="x-default" />';
     case HREFLANG_CHECKS.HREFLANG_OUTSIDE_HEAD.check:
       return 'Move hreflang tags from the body to the <head> section of the HTML document.';
+    case HREFLANG_CHECKS.HREFLANG_SELF_REFERENCE_MISSING.check:
+      return `Add a self-referencing hreflang tag for the language of the page: <link rel="alternate" href="${url}" hreflang="[language-code]" />`;
+    case HREFLANG_CHECKS.HREFLANG_CONFLICTING_LANGUAGE.check:
+      return 'Make every language code point to exactly one URL, identical on all pages of the cluster.';
+    case HREFLANG_CHECKS.HREFLANG_RETURN_LINK_MISSING.check:
+      return 'Add an hreflang tag pointing back to this page on every alternate page it links to.';
+    case HREFLANG_CHECKS.HREFLANG_ALTERNATE_NOT_OK.check:
+      return 'Point hreflang tags to the final URLs of the alternates, responding with 200 OK, or remove tags of pages that no longer exist.';
+    case HREFLANG_CHECKS.HREFLANG_ALTERNATE_NOT_CANONICAL.check:
+      return 'Point hreflang tags to the canonical URLs of the alternates.';
+    case HREFLANG_CHECKS.HREFLANG_SITEMAP_MISMATCH.check:
+      return 'Declare the same hreflang alternates in the sitemap and in the HTML of the page, or declare them in one place only.';
 
     default:
       return 'Review and fix hreflang implementation according to international SEO best practices.';
@@ -385,6 +446,7 @@ export async function opportunityAndSuggestions(auditUrl, auditData, context) {
     newData: auditData.suggestions,
     context,
     buildKey,
+    trackRegressions: true,
     mapNewSuggestion: (suggestion) => ({
       opportunityId: opportunity.getId(),
       type: suggestion.type,
@@ -0,0 +1,40 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { z } from 'zod';
+
+/**
+ * Version 1 of the hreflang audit result and suggestion data. The audit result maps every
+ * failed check to the URLs failing it, unless the audit found no issues, found no top pages
+ * or failed.
+ */
+export default {
+  version: 1,
+  auditResult: z.union([
+    z.object({ status: z.literal('success'), message: z.string() }),
+    z.object({ check: z.string(), success: z.literal(false), explanation: z.string() }),
+    z.object({ error: z.string(), success: z.literal(false) }),
+    z.record(z.string(), z.object({
+      success: z.literal(false),
+      explanation: z.string(),
+      urls: z.array(z.string()),
+    })),
+  ]),
+  suggestionData: z.object({
+    type: z.literal('url'),
+    url: z.string(),
+    checkType: z.string(),
+    explanation: z.string().optional(),
+    recommendedAction: z.string().optional(),
+    suggestion: z.string().optional(),
+  }),
+};
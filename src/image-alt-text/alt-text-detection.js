@@ -0,0 +1,67 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { load as cheerioLoad } from 'cheerio';
+import { getDomElementSelector } from '../utils/dom-selector.js';
+
+/**
+ * Resolves the src of an image against the URL of its page. An invalid src is returned as is,
+ * to point authors to the image.
+ * @param {string} src - the src attribute of the image
+ * @param {string} pageUrl - the page URL
+ * @returns {string|null} the image URL, or null without src
+ */
+export function resolveImageUrl(src, pageUrl) {
+  if (!src) {
+    return null;
+  }
+  try {
+    return new URL(src, pageUrl).href;
+  } catch (e) {
+    return src;
+  }
+}
+
+/**
+ * Whether an image is decorative, and so needs no alt text: images with an empty alt, and
+ * images hidden from assistive technologies.
+ * @param {Object} $img - the cheerio image element
+ * @returns {boolean}
+ */
+export function isDecorativeImage($img) {
+  return $img.attr('alt') === ''
+    || ['presentation', 'none'].includes($img.attr('role'))
+    || $img.attr('aria-hidden') === 'true';
+}
+
+/**
+ * Lists the images of a page without alt text. Decorative images are not listed.
+ *
+ * @param {string} rawBody - the page HTML
+ * @param {string} pageUrl - the page URL, to resolve relative image URLs
+ * @returns {Object[]} the `{ imageUrl, selector, caption }` of each image, where the caption is
+ * the text describing the image, if any, as a starting point for its alt text
+ */
+export function getImagesWithoutAltText(rawBody, pageUrl) {
+  const $ = cheerioLoad(rawBody);
+  return $('img').toArray()
+    .filter((img) => $(img).attr('alt') === undefined && !isDecorativeImage($(img)))
+    .map((img) => {
+      const $img = $(img);
+      return {
+        imageUrl: resolveImageUrl(($img.attr('src') || '').trim(), pageUrl),
+        selector: getDomElementSelector(img),
+        caption: ($img.closest('figure').find('figcaption').text() || $img.attr('title') || '')
+          .replace(/\s+/g, ' ').trim() || null,
+      };
+    });
+}
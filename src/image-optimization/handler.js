@@ -0,0 +1,213 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import {
+  Audit as AuditModel,
+  Opportunity as OpportunityModel,
+} from '@adobe/spacecat-shared-data-access';
+import { AuditBuilder } from '../common/audit-builder.js';
+import { convertToOpportunity } from '../common/opportunity.js';
+import { getScrapeForPath, limitConcurrency } from '../support/utils.js';
+import { getTopPagesForSiteId, syncSuggestions } from '../utils/data-access.js';
+import { removeTrailingSlash } from '../utils/url-utils.js';
+import { AUDIT_TYPE } from './constants.js';
+import { IMAGE_CHECKS, analyzePageImages } from './image-analysis.js';
+import { createOpportunityData } from './opportunity-data-mapper.js';
+
+const LOG_PREFIX = `[${AUDIT_TYPE}]`;
+
+export const MAX_PAGES = 50;
+const MAX_CONCURRENT_PAGES = 3;
+
+// LCP above this value (in ms) needs improvement, see src/cwv/kpi-metrics.js
+export const LCP_THRESHOLD = 2500;
+
+const CHECKS_BY_TYPE = Object.fromEntries(
+  Object.values(IMAGE_CHECKS).map((checkDefinition) => [checkDefinition.check, checkDefinition]),
+);
+
+/**
+ * Finds the pages with a slow LCP in the open CWV opportunity of the site, so that image
+ * findings on these pages can point to it.
+ *
+ * @param {Object} context - the context object containing the data access and logger
+ * @param {string} siteId - the site ID
+ * @returns {Promise<Map<string, {opportunityId: string, lcp: number}>>} the CWV opportunity
+ * and the slowest LCP of each page, keyed by page URL without trailing slash
+ */
+export async function getLcpPages(context, siteId) {
+  const { dataAccess, log } = context;
+  const lcpPages = new Map();
+  try {
+    const opportunities = await dataAccess.Opportunity.allBySiteIdAndStatus(
+      siteId,
+      OpportunityModel.STATUSES.NEW,
+    );
+    const cwvOpportunity = opportunities.find(
+      (opportunity) => opportunity.getType() === AuditModel.AUDIT_TYPES.CWV,
+    );
+    if (!cwvOpportunity) {
+      return lcpPages;
+    }
+    const suggestions = await cwvOpportunity.getSuggestions();
+    suggestions.forEach((suggestion) => {
+      const { type, url, metrics = [] } = suggestion.getData();
+      const lcp = Math.max(0, ...metrics.map((metric) => metric.lcp || 0));
+      if (type === 'url' && lcp > LCP_THRESHOLD) {
+        lcpPages.set(removeTrailingSlash(url), { opportunityId: cwvOpportunity.getId(), lcp });
+      }
+    });
+  } catch (e) {
+    log.warn(`${LOG_PREFIX} Failed to read the CWV opportunity of site ${siteId}: ${e.message}`);
+  }
+  return lcpPages;
+}
+
+/**
+ * Sums the byte savings of the findings, counting each image once: the savings of the findings
+ * of an image shown on a page add up, and an image shown on several pages, or several times on
+ * a page, counts with its largest savings, as browsers download it once.
+ *
+ * @param {Object[]} findings - the findings of all pages
+ * @returns {number} the estimated byte savings
+ */
+function sumBytesSaved(findings) {
+  const shownImages = new Map();
+  findings.forEach(({
+    url, selector, imageUrl, estimatedBytesSaved,
+  }) => {
+    const key = JSON.stringify([url, selector, imageUrl]);
+    const saved = (shownImages.get(key)?.saved || 0) + estimatedBytesSaved;
+    shownImages.set(key, { imageUrl, saved });
+  });
+  const images = new Map();
+  shownImages.forEach(({ imageUrl, saved }) => {
+    images.set(imageUrl, Math.max(images.get(imageUrl) || 0, saved));
+  });
+  return [...images.values()].reduce((total, saved) => total + saved, 0);
+}
+
+/**
+ * Checks the images of the scraped top pages of a site.
+ *
+ * @param {string} baseURL - the base URL of the site
+ * @param {Object} context - the context object
+ * @param {Object} site - the site
+ * @returns {Promise<Object>} the audit result with the findings of all pages
+ */
+export async function imageOptimizationRunner(baseURL, context, site) {
+  const { dataAccess, log } = context;
+  const siteId = site.getId();
+
+  const topPages = (await getTopPagesForSiteId(dataAccess, siteId, context, log))
+    .slice(0, MAX_PAGES);
+  const lcpPages = await getLcpPages(context, siteId);
+
+  const pages = await limitConcurrency(topPages.map(({ url }) => async () => {
+    let scrape;
+    try {
+      scrape = await getScrapeForPath(removeTrailingSlash(new URL(url).pathname), context, site);
+    } catch (e) {
+      log.debug(`${LOG_PREFIX} No scrape found for ${url}`);
+      return null;
+    }
+    const rawBody = scrape?.scrapeResult?.rawBody;
+    if (!rawBody) {
+      return null;
+    }
+    const { imagesAnalyzed, findings } = await analyzePageImages(url, rawBody, log);
+    const lcpPage = lcpPages.get(removeTrailingSlash(url));
+    return {
+      imagesAnalyzed,
+      findings: findings.map((pageFinding) => ({
+        url,
+        ...pageFinding,
+        ...(lcpPage && { cwv: lcpPage }),
+      })),
+    };
+  }), MAX_CONCURRENT_PAGES);
+
+  const analyzedPages = pages.filter(Boolean);
+  const findings = analyzedPages.flatMap((page) => page.findings);
+  log.info(`${LOG_PREFIX} Found ${findings.length} image issues on ${analyzedPages.length} pages of site ${siteId}`);
+
+  return {
+    fullAuditRef: baseURL,
+    auditResult: {
+      pagesAnalyzed: analyzedPages.length,
+      imagesAnalyzed: analyzedPages.reduce((total, page) => total + page.imagesAnalyzed, 0),
+      estimatedBytesSaved: sumBytesSaved(findings),
+      findings,
+    },
+  };
+}
+
+/**
+ * Creates the image optimization opportunity and a suggestion for each finding. Findings on
+ * pages with a slow LCP in the CWV opportunity rank first.
+ *
+ * @param {string} auditUrl - the audited URL
+ * @param {Object} auditData - the audit data
+ * @param {Object} context - the context object
+ * @returns {Promise<Object>} the audit data
+ */
+export async function opportunityAndSuggestions(auditUrl, auditData, context) {
+  const { log } = context;
+  const { findings = [], estimatedBytesSaved } = auditData.auditResult;
+  if (findings.length === 0) {
+    log.info(`${LOG_PREFIX} No image issues found for ${auditUrl}, skipping opportunity creation`);
+    return { ...auditData };
+  }
+
+  const lcpFindings = findings.filter(({ cwv }) => cwv);
+  const opportunity = await convertToOpportunity(
+    auditUrl,
+    auditData,
+    context,
+    createOpportunityData,
+    AUDIT_TYPE,
+    {
+      estimatedBytesSaved,
+      lcpPagesCount: new Set(lcpFindings.map(({ url }) => url)).size,
+      cwvOpportunityId: lcpFindings[0]?.cwv.opportunityId ?? null,
+    },
+  );
+
+  await syncSuggestions({
+    opportunity,
+    newData: findings,
+    context,
+    buildKey: ({ check, url, imageUrl }) => `${check}|${url}|${imageUrl}`,
+    mapNewSuggestion: (finding) => ({
+      opportunityId: opportunity.getId(),
+      type: 'CODE_CHANGE',
+      // findings on slow LCP pages rank above all others
+      rank: finding.estimatedBytesSaved + (finding.cwv ? estimatedBytesSaved : 0),
+      data: {
+        type: 'url',
+        ...finding,
+        checkTitle: CHECKS_BY_TYPE[finding.check].title,
+        explanation: CHECKS_BY_TYPE[finding.check].explanation,
+        recommendedAction: CHECKS_BY_TYPE[finding.check].suggestion,
+      },
+    }),
+  });
+
+  log.info(`${LOG_PREFIX} Synced ${findings.length} image suggestions for ${auditUrl}`);
+  return { ...auditData };
+}
+
+export default new AuditBuilder()
+  .withUrlResolver((site) => site.getBaseURL())
+  .withRunner(imageOptimizationRunner)
+  .withPostProcessors([opportunityAndSuggestions])
+  .build();
@@ -0,0 +1,281 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { tracingFetch as fetch } from '@adobe/spacecat-shared-utils';
+import { load as cheerioLoad } from 'cheerio';
+import { getDomElementSelector } from '../utils/dom-selector.js';
+import { limitConcurrency } from '../support/utils.js';
+
+export const IMAGE_CHECKS = Object.freeze({
+  LEGACY_FORMAT: {
+    check: 'image-legacy-format',
+    title: 'Image Served in a Legacy Format',
+    explanation: 'The image is served as JPEG, PNG or GIF to browsers that accept WebP and AVIF, which compress the same image to far fewer bytes.',
+    suggestion: 'Serve the image as WebP or AVIF, either through content negotiation or with a <picture> element listing the modern formats first.',
+  },
+  OVERSIZED: {
+    check: 'image-oversized',
+    title: 'Oversized Image',
+    explanation: 'The image is far larger than the box it is rendered in, even on high-density screens, so most of its bytes are never shown.',
+    suggestion: 'Resize the image to its rendered size, or add a srcset so that browsers download a size matching the rendered box.',
+  },
+  MISSING_DIMENSIONS: {
+    check: 'image-missing-dimensions',
+    title: 'Image Without Width and Height',
+    explanation: 'Without width and height attributes, browsers cannot reserve space for the image before it loads, which shifts the layout (CLS).',
+    suggestion: 'Add width and height attributes matching the aspect ratio of the image.',
+  },
+  LAZY_ABOVE_THE_FOLD: {
+    check: 'image-lazy-above-the-fold',
+    title: 'Lazy-Loaded Image Above the Fold',
+    explanation: 'Images visible on page load are delayed when lazy-loaded, which slows down the Largest Contentful Paint (LCP).',
+    suggestion: 'Remove loading="lazy" from the image, and consider adding fetchpriority="high" if it is the LCP element.',
+  },
+  EAGER_BELOW_THE_FOLD: {
+    check: 'image-eager-below-the-fold',
+    title: 'Image Below the Fold Not Lazy-Loaded',
+    explanation: 'Images below the fold are downloaded with the page although they are not visible yet, competing for bandwidth with the content above the fold.',
+    suggestion: 'Add loading="lazy" to the image.',
+  },
+});
+
+// the raw body carries no layout: the first images of a page are assumed to be above the fold
+export const ABOVE_THE_FOLD_IMAGE_COUNT = 2;
+
+export const MAX_IMAGES_PER_PAGE = 30;
+const MAX_CONCURRENT_IMAGE_FETCHES = 5;
+
+// the share of bytes saved by converting a JPEG, PNG or GIF image to WebP
+export const MODERN_FORMAT_SAVINGS_RATIO = 0.3;
+
+// images are oversized when wider than this many times their rendered width
+export const OVERSIZED_RATIO = 2;
+
+const LEGACY_FORMATS = ['jpeg', 'png', 'gif'];
+const MODERN_FORMAT_PATTERN = /image\/(avif|webp)|\.(avif|webp)(\s|\?|$)/i;
+
+const ACCEPT_HEADER = 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8';
+
+const isJpegStartOfFrame = (marker) => marker >= 0xC0 && marker <= 0xCF
+  && ![0xC4, 0xC8, 0xCC].includes(marker);
+
+function getJpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    if (isJpegStartOfFrame(marker)) {
+      return {
+        format: 'jpeg',
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+      };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function getWebpDimensions(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return {
+      format: 'webp',
+      // the top two bits hold the scale
+      width: buffer.readUInt16LE(26) % 0x4000,
+      height: buffer.readUInt16LE(28) % 0x4000,
+    };
+  }
+  if (chunk === 'VP8L') {
+    // the width and height minus one, in 14 bits each
+    const bits = buffer.readUInt32LE(21);
+    return {
+      format: 'webp',
+      width: (bits % 0x4000) + 1,
+      height: (Math.floor(bits / 0x4000) % 0x4000) + 1,
+    };
+  }
+  if (chunk === 'VP8X') {
+    return {
+      format: 'webp',
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+    };
+  }
+  return null;
+}
+
+/**
+ * Reads the format and intrinsic dimensions of a JPEG, PNG, GIF or WebP image from its bytes.
+ *
+ * @param {Buffer} buffer - the image bytes
+ * @returns {{format: string, width: number, height: number}|null} null for other formats
+ * and unreadable images
+ */
+export function getImageDimensions(buffer) {
+  if (!buffer || buffer.length < 30) {
+    return null;
+  }
+  if (buffer.readUInt32BE(0) === 0x89504E47) {
+    return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return getWebpDimensions(buffer);
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    return getJpegDimensions(buffer);
+  }
+  return null;
+}
+
+const toDimension = (value) => {
+  const dimension = parseInt(value, 10);
+  return Number.isFinite(dimension) && dimension > 0 ? dimension : null;
+};
+
+/**
+ * Lists the images of a scraped page in document order.
+ *
+ * @param {string} rawBody - the scraped HTML
+ * @param {string} pageUrl - the URL of the page, to resolve relative image URLs
+ * @returns {Object[]} the `{ imageUrl, selector, width, height, loading, hasSrcset,
+ * hasModernSource, aboveTheFold }` of each image
+ */
+export function extractImages(rawBody, pageUrl) {
+  const $ = cheerioLoad(rawBody);
+  const images = [];
+  $('img[src]').each((index, img) => {
+    const src = $(img).attr('src').trim();
+    if (!src || src.startsWith('data:')) {
+      return;
+    }
+    let imageUrl;
+    try {
+      imageUrl = new URL(src, pageUrl).href;
+    } catch (e) {
+      return;
+    }
+    const sources = $(img).closest('picture').find('source').toArray();
+    images.push({
+      imageUrl,
+      selector: getDomElementSelector(img),
+      width: toDimension($(img).attr('width')),
+      height: toDimension($(img).attr('height')),
+      loading: ($(img).attr('loading') || '').toLowerCase(),
+      hasSrcset: !!$(img).attr('srcset'),
+      hasModernSource: sources.some((source) => MODERN_FORMAT_PATTERN
+        .test(`${$(source).attr('type') || ''} ${$(source).attr('srcset') || ''}`)),
+      aboveTheFold: images.length < ABOVE_THE_FOLD_IMAGE_COUNT,
+    });
+  });
+  return images;
+}
+
+/**
+ * Downloads an image the way a browser accepting WebP and AVIF would.
+ *
+ * @param {string} imageUrl - the image URL
+ * @param {Object} log - the logger
+ * @param {Object} [headers] - additional request headers, e.g. to authenticate on preview hosts
+ * @returns {Promise<{bytes: number, format?: string, width?: number, height?: number}|null>}
+ * the size in bytes and, for readable formats, the format and intrinsic dimensions, or null
+ * when the image cannot be downloaded
+ */
+export async function fetchImage(imageUrl, log, headers = {}) {
+  try {
+    const response = await fetch(imageUrl, { headers: { Accept: ACCEPT_HEADER, ...headers } });
+    if (!response.ok) {
+      log.debug(`[image-optimization] ${imageUrl} returned status ${response.status}`);
+      return null;
+    }
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return { bytes: buffer.length, ...getImageDimensions(buffer) };
+  } catch (e) {
+    log.debug(`[image-optimization] Failed to fetch ${imageUrl}: ${e.message}`);
+    return null;
+  }
+}
+
+const finding = (checkDefinition, image, estimatedBytesSaved, details = {}) => ({
+  check: checkDefinition.check,
+  imageUrl: image.imageUrl,
+  selector: image.selector,
+  estimatedBytesSaved: Math.round(estimatedBytesSaved),
+  ...details,
+});
+
+/**
+ * Checks the images of a scraped page for legacy formats, oversized images, missing
+ * dimensions and lazy-loading placement. Every finding carries its estimated byte savings,
+ * which is 0 for findings that only affect layout stability or loading order: an image below
+ * the fold that is not lazy-loaded reports the bytes whose download is deferred instead.
+ * The savings of an oversized image in a legacy format add up: the format savings apply to the
+ * bytes left once the image is resized.
+ *
+ * @param {string} pageUrl - the URL of the page
+ * @param {string} rawBody - the scraped HTML
+ * @param {Object} log - the logger
+ * @returns {Promise<{imagesAnalyzed: number, findings: Object[]}>}
+ */
+export async function analyzePageImages(pageUrl, rawBody, log) {
+  const images = extractImages(rawBody, pageUrl).slice(0, MAX_IMAGES_PER_PAGE);
+  const fetched = await limitConcurrency(
+    images.map((image) => () => fetchImage(image.imageUrl, log)),
+    MAX_CONCURRENT_IMAGE_FETCHES,
+  );
+
+  const findings = [];
+  images.forEach((image, index) => {
+    const file = fetched[index];
+    const bytes = file?.bytes || 0;
+    const isOversized = file?.width && image.width && !image.hasSrcset
+      && file.width > image.width * OVERSIZED_RATIO;
+    // the pixels shown on a 2x screen, in proportion to the pixels downloaded
+    const shownShare = isOversized ? (image.width * OVERSIZED_RATIO) / file.width : 1;
+    const resizedBytes = bytes * shownShare * shownShare;
+
+    if (file && LEGACY_FORMATS.includes(file.format) && !image.hasModernSource) {
+      const estimatedBytesSaved = resizedBytes * MODERN_FORMAT_SAVINGS_RATIO;
+      findings.push(finding(IMAGE_CHECKS.LEGACY_FORMAT, image, estimatedBytesSaved, {
+        format: file.format,
+        bytes,
+      }));
+    }
+    if (isOversized) {
+      findings.push(finding(IMAGE_CHECKS.OVERSIZED, image, bytes - resizedBytes, {
+        intrinsicWidth: file.width,
+        intrinsicHeight: file.height,
+        renderedWidth: image.width,
+        bytes,
+      }));
+    }
+    if (!image.width || !image.height) {
+      findings.push(finding(IMAGE_CHECKS.MISSING_DIMENSIONS, image, 0));
+    }
+    if (image.aboveTheFold && image.loading === 'lazy') {
+      findings.push(finding(IMAGE_CHECKS.LAZY_ABOVE_THE_FOLD, image, 0));
+    }
+    if (!image.aboveTheFold && image.loading !== 'lazy') {
+      findings.push(finding(IMAGE_CHECKS.EAGER_BELOW_THE_FOLD, image, 0, {
+        bytes,
+        deferredBytes: bytes,
+      }));
+    }
+  });
+
+  return { imagesAnalyzed: images.length, findings };
+}
@@ -0,0 +1,43 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { DATA_SOURCES } from '../common/constants.js';
+
+export function createOpportunityData(props = {}) {
+  const {
+    estimatedBytesSaved = 0,
+    lcpPagesCount = 0,
+    cwvOpportunityId = null,
+  } = props;
+  return {
+    runbook: '',
+    origin: 'AUTOMATION',
+    title: 'Optimize images to load pages faster',
+    description: 'Images in legacy formats, images larger than their rendered size and misplaced lazy-loading slow down pages and hurt Core Web Vitals. Missing width and height attributes make the layout shift while images load.',
+    guidance: {
+      steps: [
+        'Serve JPEG, PNG and GIF images as WebP or AVIF to browsers that accept them.',
+        'Resize oversized images to their rendered size, or provide a srcset.',
+        'Add width and height attributes to all images.',
+        'Do not lazy-load images above the fold, and lazy-load images below the fold.',
+        'Start with the pages flagged for a slow LCP in the Core Web Vitals opportunity.',
+      ],
+    },
+    tags: ['Engagement', 'Traffic acquisition'],
+    data: {
+      estimatedBytesSaved,
+      lcpPagesCount,
+      cwvOpportunityId,
+      dataSources: [DATA_SOURCES.AHREFS, DATA_SOURCES.SITE],
+    },
+  };
+}
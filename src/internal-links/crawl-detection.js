@@ -14,6 +14,7 @@ import { load as cheerioLoad } from 'cheerio';
 import { getObjectFromKey } from '../utils/s3-utils.js';
 import { isWithinAuditScope } from './subpath-filter.js';
 import { createAuditLogger } from '../common/context-logger.js';
+import { getDomElementSelector } from '../utils/dom-selector.js';
 import { isLinkInaccessible } from './helpers.js';
 
 const AUDIT_TYPE = 'broken-internal-links';
@@ -36,13 +37,40 @@ const sleep = (ms) => new Promise((resolve) => {
   setTimeout(resolve, ms);
 });
 
+// Page regions, by landmark element and the equivalent ARIA role
+const LINK_LOCATIONS = [
+  { location: 'header', tag: 'header', role: 'banner' },
+  { location: 'nav', tag: 'nav', role: 'navigation' },
+  { location: 'footer', tag: 'footer', role: 'contentinfo' },
+  { location: 'main', tag: 'main', role: 'main' },
+];
+
+/**
+ * Finds the page region of an element from its nearest landmark ancestor
+ * @param {Object} el - Cheerio element
+ * @returns {string} header, nav, footer, main or other
+ */
+function getLinkLocation(el) {
+  let current = el.parent;
+  while (current) {
+    const { name, attribs } = current;
+    const landmark = LINK_LOCATIONS.find(
+      ({ tag, role }) => name === tag || attribs?.role === role,
+    );
+    if (landmark) return landmark.location;
+    current = current.parent;
+  }
+  return 'other';
+}
+
 /**
  * Extracts internal links from HTML using cheerio
  * @param {Object} $ - Cheerio instance
  * @param {string} pageUrl - The page URL for resolving relative links
  * @param {string} baseHostname - The base hostname to match against
  * @param {Object} log - Logger instance
- * @returns {Array} Array of internal link objects with url, anchorText, type
+ * @returns {Array} Array of internal link objects with url, anchorText, type, and for anchors
+ * and forms the location (page region) and CSS selector of the element
  */
 function extractInternalLinks($, pageUrl, baseHostname, log) {
   const internalLinks = [];
@@ -62,6 +90,8 @@ function extractInternalLinks($, pageUrl, baseHostname, log) {
           url: absoluteUrl,
           anchorText: $a.text().trim() || '[no text]',
           type: 'link',
+          location: getLinkLocation(el),
+          selector: getDomElementSelector(el),
         });
       }
     } catch (urlError) {
@@ -84,6 +114,8 @@ function extractInternalLinks($, pageUrl, baseHostname, log) {
           url: absoluteUrl,
           anchorText: '[form action]',
           type: 'form',
+          location: getLinkLocation(el),
+          selector: getDomElementSelector(el),
         });
       }
     } catch (urlError) {
@@ -216,6 +248,18 @@ function extractAssetReferences($, pageUrl, baseHostname, log) {
   return assetReferences;
 }
 
+/**
+ * Picks the location and selector of a link, which only anchors and forms carry
+ * @param {Object} link - Link object
+ * @returns {Object} The location and selector, or an empty object
+ */
+function getAnchorContext({ location, selector }) {
+  return {
+    ...(location && { location }),
+    ...(selector && { selector }),
+  };
+}
+
 /**
  * Validates a batch of links and updates caches
  * @param {Array} links - Array of link objects to validate
@@ -249,6 +293,7 @@ async function validateLinksWithCache(
           /* c8 ignore next - Fallback tested via link detection */
           itemType: link.type || 'link',
           trafficDomain: CRAWL_DEFAULT_TRAFFIC,
+          ...getAnchorContext(link),
         };
       }
 
@@ -267,6 +312,7 @@ async function validateLinksWithCache(
           /* c8 ignore next - Fallback tested via link detection */
           itemType: link.type || 'link',
           trafficDomain: CRAWL_DEFAULT_TRAFFIC,
+          ...getAnchorContext(link),
         };
       }
       workingUrlsCache.add(link.url);
@@ -455,7 +501,8 @@ export async function detectBrokenLinksFromCrawlBatch({
 
 /**
  * Merges crawl-detected and RUM-detected broken links.
- * RUM links take priority as they have traffic data.
+ * RUM links take priority as they have traffic data, and take the anchor text, location and
+ * selector of the same link found by the crawl.
  * @param {Array} crawlLinks - Links from crawl (trafficDomain: CRAWL_DEFAULT_TRAFFIC)
  * @param {Array} rumLinks - Links from RUM (have trafficDomain)
  * @param {Object} log - Logger instance
@@ -471,9 +518,17 @@ export function mergeAndDeduplicate(crawlLinks, rumLinks, log) {
   let crawlOnlyCount = 0;
   crawlLinks.forEach((link) => {
     const key = `${link.urlFrom}|${link.urlTo}`;
-    if (!linkMap.has(key)) {
+    const rumLink = linkMap.get(key);
+    if (!rumLink) {
       linkMap.set(key, link);
       crawlOnlyCount += 1;
+    } else if (link.selector) {
+      // RUM has no DOM, keep the anchor context found by the crawl
+      linkMap.set(key, {
+        ...rumLink,
+        anchorText: link.anchorText,
+        ...getAnchorContext(link),
+      });
     }
   });
 
@@ -20,7 +20,7 @@ import { isUnscrapeable, filterBrokenSuggestedUrls } from '../utils/url-utils.js
 import { syncBrokenInternalLinksSuggestions } from './suggestions-generator.js';
 import {
   isLinkInaccessible,
-  calculatePriority, calculateKpiDeltasForAudit,
+  calculatePriority, calculateKpiDeltasForAudit, groupTemplateLinks,
 } from './helpers.js';
 import { convertToOpportunity } from '../common/opportunity.js';
 import { createOpportunityData } from './opportunity-data-mapper.js';
@@ -409,9 +409,11 @@ export const opportunityAndSuggestionsStep = async (context) => {
     return { status: 'complete' };
   }
   // Exclude canonical and hreflang/alternate links; they are covered by dedicated audits
-  const brokenInternalLinksFiltered = (brokenInternalLinks || []).filter(
-    (link) => !isCanonicalOrHreflangLink(link),
-  );
+  // Links of a shared component on many pages are reported once, as a template-level link.
+  // Its traffic is the sum of its pages, so the links are prioritized again before the cap
+  const brokenInternalLinksFiltered = calculatePriority(groupTemplateLinks(
+    (brokenInternalLinks || []).filter((link) => !isCanonicalOrHreflangLink(link)),
+  ));
 
   // Cap here (before suggestions + Mystique); persist for audit/backoffice limit
   const reportedLinks = brokenInternalLinksFiltered.length > MAX_BROKEN_LINKS_REPORTED
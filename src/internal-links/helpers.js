@@ -20,6 +20,9 @@ const LINK_TIMEOUT = 5000;
 export const CPC_DEFAULT_VALUE = 1;
 export const TRAFFIC_MULTIPLIER = 0.01; // 1%
 export const MAX_LINKS_TO_CONSIDER = 10;
+// A broken link of the same element on at least this many pages is a template-level link
+export const TEMPLATE_MIN_PAGES = 5;
+export const MAX_TEMPLATE_PAGES_LISTED = 50;
 
 /**
  * Resolve Cost per click (CPC) value
@@ -254,3 +257,46 @@ export function calculatePriority(links) {
     };
   });
 }
+
+/**
+ * Groups the broken links which the same element of a shared component (e.g. a nav or footer
+ * link) produces on many pages into one template-level link, so that a single fix is reported
+ * once and does not use up the report cap. Links without selector (RUM only) are kept as is.
+ *
+ * A template-level link takes the place and the fields of the first link of its group, sums
+ * the traffic of all its pages, and lists them in `pages` (at most MAX_TEMPLATE_PAGES_LISTED)
+ * and `pageCount`.
+ *
+ * @param {Array} links - Broken links, sorted by priority
+ * @returns {Array} - Page-level and template-level links, in the order of the given links
+ */
+export function groupTemplateLinks(links) {
+  const buildKey = (link) => `${link.urlTo}|${link.itemType || 'link'}|${link.selector}`;
+  const groups = new Map();
+  links.filter((link) => link.selector).forEach((link) => {
+    const key = buildKey(link);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(link);
+  });
+
+  const templateLinks = new Map();
+  groups.forEach((group, key) => {
+    const pages = [...new Set(group.map((link) => link.urlFrom))];
+    if (pages.length >= TEMPLATE_MIN_PAGES) {
+      templateLinks.set(key, {
+        ...group[0],
+        scope: 'template',
+        trafficDomain: group.reduce((acc, link) => acc + (link.trafficDomain || 0), 0),
+        pages: pages.slice(0, MAX_TEMPLATE_PAGES_LISTED),
+        pageCount: pages.length,
+      });
+    }
+  });
+
+  return links.flatMap((link) => {
+    const key = link.selector && buildKey(link);
+    if (!templateLinks.has(key)) return [link];
+    // the template-level link replaces the first link of its group, and drops the others
+    return groups.get(key)[0] === link ? [templateLinks.get(key)] : [];
+  });
+}
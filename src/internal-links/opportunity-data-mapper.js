@@ -27,6 +27,7 @@ export function createOpportunityData({ kpiDeltas }) {
     guidance: {
       steps: [
         'Update each broken internal link to valid URLs.',
+        'Fix template-level links once in the shared component (header, navigation or footer) they come from, which repairs them on all listed pages.',
         'Test the implemented changes manually to ensure they are working as expected.',
         'Monitor internal links for 404 errors in RUM tool over time to ensure they are functioning correctly.',
       ],
@@ -257,7 +257,10 @@ export async function syncBrokenInternalLinksSuggestions({
   opportunityId,
 }) {
   // Include itemType in key to distinguish between links and assets pointing to same URL
-  const buildKey = (item) => `${item.urlFrom}-${item.urlTo}-${item.itemType || 'link'}`;
+  // Template-level links are keyed by their element, as their first page may change
+  const buildKey = (item) => (item.scope === 'template'
+    ? `template-${item.selector}-${item.urlTo}-${item.itemType || 'link'}`
+    : `${item.urlFrom}-${item.urlTo}-${item.itemType || 'link'}`);
 
   // Custom merge function to preserve user-edited fields
   const mergeDataFunction = (existingData, newData) => {
@@ -306,6 +309,14 @@ export async function syncBrokenInternalLinksSuggestions({
           urlsSuggested: entry.urlsSuggested || [],
           aiRationale: entry.aiRationale || '',
           trafficDomain,
+          ...(entry.anchorText && { anchorText: entry.anchorText }),
+          ...(entry.location && { location: entry.location }),
+          ...(entry.selector && { selector: entry.selector }),
+          ...(entry.scope === 'template' && {
+            scope: entry.scope,
+            pages: entry.pages,
+            pageCount: entry.pageCount,
+          }),
         },
       };
     },
@@ -0,0 +1,133 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import accessibility from './accessibility/manifest.js';
+import apex from './apex/manifest.js';
+import cwv from './cwv/manifest.js';
+import lhs from './lhs/manifest.js';
+import sitemap from './sitemap/manifest.js';
+import sitemapProductCoverage from './sitemap-product-coverage/manifest.js';
+import redirectChains from './redirect-chains/manifest.js';
+import paidCookieConsent from './paid-cookie-consent/manifest.js';
+import noCtaAboveTheFold from './no-cta-above-the-fold/manifest.js';
+import paidTrafficAnalysis from './paid-traffic-analysis/manifest.js';
+import pageType from './page-type/manifest.js';
+import canonical from './canonical/manifest.js';
+import backlinks from './backlinks/manifest.js';
+import internalLinks from './internal-links/manifest.js';
+import experimentationEss from './experimentation-ess/manifest.js';
+import experimentationOpportunities from './experimentation-opportunities/manifest.js';
+import metatags from './metatags/manifest.js';
+import costs from './costs/manifest.js';
+import structuredData from './structured-data/manifest.js';
+import llmBlocked from './llm-blocked/manifest.js';
+import formsOpportunities from './forms-opportunities/manifest.js';
+import siteDetection from './site-detection/manifest.js';
+import brokenLinksGuidance from './broken-links-guidance/manifest.js';
+import metatagsGuidance from './metatags-guidance/manifest.js';
+import imageAltText from './image-alt-text/manifest.js';
+import imageOptimization from './image-optimization/manifest.js';
+import geoBrandPresence from './geo-brand-presence/manifest.js';
+import geoBrandPresenceDaily from './geo-brand-presence-daily/manifest.js';
+import paidKeywordOptimizer from './paid-keyword-optimizer/manifest.js';
+import readability from './readability/manifest.js';
+import preflight from './preflight/manifest.js';
+import cdnAnalysis from './cdn-analysis/manifest.js';
+import cdnLogsReport from './cdn-logs-report/manifest.js';
+import analyticsReport from './analytics-report/manifest.js';
+import pageIntent from './page-intent/manifest.js';
+import llmoReferralTraffic from './llmo-referral-traffic/manifest.js';
+import llmErrorPages from './llm-error-pages/manifest.js';
+import optimizationReport from './optimization-report/manifest.js';
+import llmoCustomerAnalysis from './llmo-customer-analysis/manifest.js';
+import summarization from './summarization/manifest.js';
+import hreflang from './hreflang/manifest.js';
+import headings from './headings/manifest.js';
+import toc from './toc/manifest.js';
+import prerender from './prerender/manifest.js';
+import productMetatags from './product-metatags/manifest.js';
+import commerceProductEnrichments from './commerce-product-enrichments/manifest.js';
+import vulnerabilities from './vulnerabilities/manifest.js';
+import vulnerabilitiesCodeFix from './vulnerabilities-code-fix/manifest.js';
+import permissions from './permissions/manifest.js';
+import faqs from './faqs/manifest.js';
+import pageCitability from './page-citability/manifest.js';
+import healthCheck from './health-check/manifest.js';
+import wikipediaAnalysis from './wikipedia-analysis/manifest.js';
+import frescopaDataGeneration from './frescopa-data-generation/manifest.js';
+import ptrSelector from './ptr-selector/manifest.js';
+import semanticValueVisibility from './semantic-value-visibility/manifest.js';
+import siteHealthScore from './site-health-score/manifest.js';
+
+/**
+ * The manifests of all audit modules, in registration order. New audit modules add
+ * their manifest here; the registry in src/index.js picks them up from this list.
+ */
+export default [
+  accessibility,
+  apex,
+  cwv,
+  lhs,
+  sitemap,
+  sitemapProductCoverage,
+  redirectChains,
+  paidCookieConsent,
+  noCtaAboveTheFold,
+  paidTrafficAnalysis,
+  pageType,
+  canonical,
+  backlinks,
+  internalLinks,
+  experimentationEss,
+  experimentationOpportunities,
+  metatags,
+  costs,
+  structuredData,
+  llmBlocked,
+  formsOpportunities,
+  siteDetection,
+  brokenLinksGuidance,
+  metatagsGuidance,
+  imageAltText,
+  imageOptimization,
+  geoBrandPresence,
+  geoBrandPresenceDaily,
+  paidKeywordOptimizer,
+  readability,
+  preflight,
+  cdnAnalysis,
+  cdnLogsReport,
+  analyticsReport,
+  pageIntent,
+  llmoReferralTraffic,
+  llmErrorPages,
+  optimizationReport,
+  llmoCustomerAnalysis,
+  summarization,
+  hreflang,
+  headings,
+  toc,
+  prerender,
+  productMetatags,
+  commerceProductEnrichments,
+  vulnerabilities,
+  vulnerabilitiesCodeFix,
+  permissions,
+  faqs,
+  pageCitability,
+  healthCheck,
+  wikipediaAnalysis,
+  frescopaDataGeneration,
+  ptrSelector,
+  semanticValueVisibility,
+  siteHealthScore,
+];
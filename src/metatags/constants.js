@@ -14,6 +14,34 @@
 export const TITLE = 'title';
 export const DESCRIPTION = 'description';
 export const H1 = 'h1';
+export const OG_TITLE = 'og:title';
+export const OG_DESCRIPTION = 'og:description';
+export const OG_IMAGE = 'og:image';
+export const OG_URL = 'og:url';
+export const TWITTER_CARD = 'twitter:card';
+export const ROBOTS = 'robots';
+export const VIEWPORT = 'viewport';
+export const CHARSET = 'charset';
+
+// Tags read from the head of the scraped HTML, next to the tags extracted by the scraper
+export const SOCIAL_TAGS = [OG_TITLE, OG_DESCRIPTION, OG_IMAGE, OG_URL, TWITTER_CARD];
+export const HEAD_TAGS = [...SOCIAL_TAGS, ROBOTS, VIEWPORT, CHARSET];
+export const AUDITED_TAGS = [TITLE, DESCRIPTION, H1, ...HEAD_TAGS];
+// Tags with AI generated content suggestions
+export const AI_SUGGESTED_TAGS = [TITLE, DESCRIPTION, H1, OG_TITLE, OG_DESCRIPTION];
+
+export const TAG_LABELS = {
+  [OG_TITLE]: 'OG Title',
+  [OG_DESCRIPTION]: 'OG Description',
+  [OG_IMAGE]: 'OG Image',
+  [OG_URL]: 'OG URL',
+  [TWITTER_CARD]: 'Twitter Card',
+  [ROBOTS]: 'Robots',
+  [VIEWPORT]: 'Viewport',
+  [CHARSET]: 'Charset',
+};
+
+export const TWITTER_CARD_TYPES = ['summary', 'summary_large_image', 'app', 'player'];
 
 // SEO impact category
 export const HIGH = 'High';
@@ -36,6 +64,12 @@ export const TITLE_LENGTH_SUGGESTION = '40-60 characters long';
 export const DESCRIPTION_LENGTH_SUGGESTION = '140-160 characters long';
 export const H1_LENGTH_SUGGESTION = 'Below 70 characters';
 export const ONE_H1_ON_A_PAGE = '1 H1 on a page';
+export const ABSOLUTE_URL = 'Absolute URL, starting with https://';
+export const OG_URL_OF_PAGE = 'URL of the page itself';
+export const VALID_TWITTER_CARD = `One of ${TWITTER_CARD_TYPES.join(', ')}`;
+export const INDEXABLE_TOP_PAGE = 'Top pages should be indexable and followable';
+export const RESPONSIVE_VIEWPORT = 'width=device-width, initial-scale=1';
+export const UTF8_CHARSET = 'UTF-8';
 
 // Tags lengths
 export const TAG_LENGTHS = {
@@ -11,6 +11,7 @@
  */
 
 import RUMAPIClient from '@adobe/spacecat-shared-rum-api-client';
+import { load as cheerioLoad } from 'cheerio';
 import { Audit, Suggestion as SuggestionModel } from '@adobe/spacecat-shared-data-access';
 import { calculateCPCValue } from '../support/utils.js';
 import { getObjectFromKey } from '../utils/s3-utils.js';
@@ -21,10 +22,16 @@ import { convertToOpportunity } from '../common/opportunity.js';
 import { getIssueRanking, trimTagValue, normalizeTagValue } from '../utils/seo-utils.js';
 import { getBaseUrl } from '../utils/url-utils.js';
 import {
-  DESCRIPTION,
-  H1,
+  AUDITED_TAGS,
+  CHARSET,
+  OG_DESCRIPTION,
+  OG_IMAGE,
+  OG_TITLE,
+  OG_URL,
   PROJECTED_VALUE_THRESHOLD,
-  TITLE,
+  ROBOTS,
+  TWITTER_CARD,
+  VIEWPORT,
 } from './constants.js';
 import { syncSuggestions } from '../utils/data-access.js';
 import { createOpportunityData } from './opportunity-data-mapper.js';
@@ -62,7 +69,7 @@ export async function opportunityAndSuggestions(finalUrl, auditData, context) {
   // Generate suggestions data to be inserted in meta-tags opportunity suggestions
   Object.keys(detectedTags)
     .forEach((endpoint) => {
-      [TITLE, DESCRIPTION, H1].forEach((tag) => {
+      AUDITED_TAGS.forEach((tag) => {
         if (detectedTags[endpoint]?.[tag]?.issue) {
           suggestions.push({
             ...detectedTags[endpoint][tag],
@@ -111,6 +118,43 @@ export async function opportunityAndSuggestions(finalUrl, auditData, context) {
   log.debug(`Successfully synced Opportunity And Suggestions for site: ${auditData.siteId} and ${auditType} audit type.`);
 }
 
+/**
+ * Reads the social, robots, viewport and charset tags from the head of the scraped HTML.
+ * A tag missing from the page is undefined, a tag without content is an empty string.
+ * The robots directives combine the robots meta tags with the X-Robots-Tag header, if the
+ * scraper recorded the response headers.
+ *
+ * @param {string} rawBody - the scraped HTML
+ * @param {object} [responseHeaders] - the response headers of the page, with lowercase names
+ * @returns {object} the head tags by tag name
+ */
+export function extractHeadTags(rawBody, responseHeaders = {}) {
+  const $ = cheerioLoad(rawBody);
+  const content = (selector) => {
+    const element = $(selector).first();
+    return element.length > 0 ? (element.attr('content') ?? '').trim() : undefined;
+  };
+  const property = (name) => content(`meta[property="${name}"], meta[name="${name}"]`);
+
+  const robots = [
+    ...$('meta[name="robots" i], meta[name="googlebot" i]').map((i, meta) => $(meta).attr('content')).get(),
+    responseHeaders?.['x-robots-tag'],
+  ].filter((directive) => directive?.trim()).join(', ');
+  const contentType = content('meta[http-equiv="content-type" i]');
+
+  return {
+    [OG_TITLE]: property(OG_TITLE),
+    [OG_DESCRIPTION]: property(OG_DESCRIPTION),
+    [OG_IMAGE]: property(OG_IMAGE),
+    [OG_URL]: property(OG_URL),
+    [TWITTER_CARD]: property(TWITTER_CARD),
+    [ROBOTS]: robots || undefined,
+    [VIEWPORT]: content('meta[name="viewport"]'),
+    [CHARSET]: $('meta[charset]').attr('charset')?.trim()
+      || contentType?.match(/charset=([^;\s]+)/i)?.[1],
+  };
+}
+
 export async function fetchAndProcessPageObject(s3Client, bucketName, url, key, log) {
   const object = await getObjectFromKey(s3Client, bucketName, key, log);
   if (!object?.scrapeResult?.tags || typeof object.scrapeResult.tags !== 'object') {
@@ -143,12 +187,14 @@ export async function fetchAndProcessPageObject(s3Client, bucketName, url, key,
 
   const pageUrl = object.finalUrl ? new URL(object.finalUrl).pathname
     : new URL(url).pathname;
+  const { rawBody, responseHeaders } = object.scrapeResult;
   // handling for homepage
   return {
     [pageUrl]: {
       title: trimTagValue(object.scrapeResult.tags.title),
       description: trimTagValue(object.scrapeResult.tags.description),
       h1: trimTagValue(object.scrapeResult.tags.h1) || [],
+      ...(typeof rawBody === 'string' && { headTags: extractHeadTags(rawBody, responseHeaders) }),
       s3key: key,
     },
   };
@@ -346,7 +392,7 @@ export async function runAuditAndGenerateSuggestions(context) {
   // Build ALL suggestions list first
   const suggestionsList = [];
   Object.keys(validatedDetectedTags).forEach((endpoint) => {
-    [TITLE, DESCRIPTION, H1].forEach((tag) => {
+    AUDITED_TAGS.forEach((tag) => {
       if (validatedDetectedTags[endpoint]?.[tag]?.issue) {
         suggestionsList.push({
           ...validatedDetectedTags[endpoint][tag],
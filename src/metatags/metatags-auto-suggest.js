@@ -13,6 +13,7 @@
 import { GenvarClient } from '@adobe/spacecat-shared-gpt-client';
 import { isObject } from '@adobe/spacecat-shared-utils';
 import { getPresignedUrl } from '../utils/getPresignedUrl.js';
+import { AI_SUGGESTED_TAGS } from './constants.js';
 
 const EXPIRY_IN_SECONDS = 25 * 60;
 
@@ -70,7 +71,7 @@ export default async function metatagsAutoSuggest(allTags, context, site, option
     ...detectedTags,
   };
   for (const [endpoint, tags] of Object.entries(responseWithSuggestions)) {
-    for (const tagName of ['title', 'description', 'h1']) {
+    for (const tagName of AI_SUGGESTED_TAGS) {
       const tagIssueData = tags[tagName];
       if (updatedDetectedTags[endpoint]?.[tagName]
         && tagIssueData?.aiSuggestion && tagIssueData.aiRationale) {
@@ -86,7 +87,7 @@ export default async function metatagsAutoSuggest(allTags, context, site, option
 
   for (const endpoint of Object.keys(updatedDetectedTags)) {
     const tags = updatedDetectedTags[endpoint];
-    for (const tagName of ['title', 'description', 'h1']) {
+    for (const tagName of AI_SUGGESTED_TAGS) {
       if (tags[tagName] && !tags[tagName].aiSuggestion) {
         const isDuplicate = tags[tagName].issue?.includes('Duplicate');
         const { tagContent } = tags[tagName];
@@ -105,7 +106,7 @@ export default async function metatagsAutoSuggest(allTags, context, site, option
   }
 
   // Remove all instances of duplicate tags that lack AI suggestions
-  for (const tagName of ['title', 'description', 'h1']) {
+  for (const tagName of AI_SUGGESTED_TAGS) {
     if (tagsToRemove[tagName]) {
       for (const endpoint of Object.keys(updatedDetectedTags)) {
         const tags = updatedDetectedTags[endpoint];
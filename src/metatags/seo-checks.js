@@ -15,8 +15,23 @@ import {
   DESCRIPTION, TITLE, H1, ISSUE, ISSUE_DETAILS, SEO_IMPACT, HIGH, SEO_RECOMMENDATION,
   MODERATE, LOW, MULTIPLE_H1_ON_PAGE, ONE_H1_ON_A_PAGE, TAG_LENGTHS, SHOULD_BE_PRESENT,
   TITLE_LENGTH_SUGGESTION, DESCRIPTION_LENGTH_SUGGESTION, H1_LENGTH_SUGGESTION, UNIQUE_ACROSS_PAGES,
+  OG_TITLE, OG_DESCRIPTION, OG_IMAGE, OG_URL, TWITTER_CARD, ROBOTS, VIEWPORT, CHARSET, SOCIAL_TAGS,
+  TAG_LABELS, TWITTER_CARD_TYPES, ABSOLUTE_URL, OG_URL_OF_PAGE, VALID_TWITTER_CARD,
+  INDEXABLE_TOP_PAGE, RESPONSIVE_VIEWPORT, UTF8_CHARSET,
 } from './constants.js';
 
+const UNIQUE_TAGS = [TITLE, DESCRIPTION, H1, OG_TITLE, OG_DESCRIPTION];
+
+const isAbsoluteHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const stripTrailingSlash = (path) => (path.length > 1 ? path.replace(/\/+$/, '') : path);
+
 class SeoChecks {
   constructor(log) {
     this.log = log;
@@ -25,6 +40,8 @@ class SeoChecks {
       [TITLE]: {},
       [DESCRIPTION]: {},
       [H1]: {},
+      [OG_TITLE]: {},
+      [OG_DESCRIPTION]: {},
     };
     this.healthyTags = {
       [TITLE]: [],
@@ -43,6 +60,151 @@ class SeoChecks {
       ? str.charAt(0).toUpperCase() + str.slice(1) : str;
   }
 
+  /**
+   * The name of a tag as shown in issues, e.g. 'Title' or 'OG Title'
+   * @param {string} tagName
+   * @returns {string}
+   */
+  static getTagLabel(tagName) {
+    return TAG_LABELS[tagName] ?? SeoChecks.capitalizeFirstLetter(tagName);
+  }
+
+  /**
+   * Adds an issue of a tag to the detected tags, replacing any earlier issue of the same tag.
+   * @param {string} urlPath - The URL of the page.
+   * @param {string} tagName - The name of the tag.
+   * @param {object} issueData - The impact, issue, details, recommendation and tag content.
+   */
+  addDetectedTag(urlPath, tagName, {
+    impact, issue, details, recommendation, tagContent,
+  }) {
+    this.detectedTags[urlPath] ??= {};
+    this.detectedTags[urlPath][tagName] = {
+      ...(hasText(tagContent) && { tagContent }),
+      [SEO_IMPACT]: impact,
+      [ISSUE]: issue,
+      [ISSUE_DETAILS]: details,
+      [SEO_RECOMMENDATION]: recommendation,
+    };
+  }
+
+  /**
+   * Checks the Open Graph and Twitter Card tags, which control the previews of the page
+   * when shared on social networks, and adds to detected tags array if found lacking.
+   * @param {string} urlPath - The URL of the page.
+   * @param {object} headTags - The tags read from the head of the page.
+   */
+  checkSocialTags(urlPath, headTags) {
+    SOCIAL_TAGS.forEach((tagName) => {
+      const label = SeoChecks.getTagLabel(tagName);
+      const tagContent = headTags[tagName];
+      if (tagContent === undefined || tagContent === null) {
+        this.addDetectedTag(urlPath, tagName, {
+          impact: MODERATE,
+          issue: `Missing ${label}`,
+          details: `${label} tag is missing`,
+          recommendation: SHOULD_BE_PRESENT,
+        });
+      } else if (tagContent === '') {
+        this.addDetectedTag(urlPath, tagName, {
+          impact: MODERATE,
+          issue: `Empty ${label}`,
+          details: `${label} tag is empty`,
+          recommendation: SHOULD_BE_PRESENT,
+        });
+      } else if ([OG_IMAGE, OG_URL].includes(tagName) && !isAbsoluteHttpUrl(tagContent)) {
+        this.addDetectedTag(urlPath, tagName, {
+          impact: MODERATE,
+          issue: `Invalid ${label}`,
+          details: `${label} is not an absolute URL`,
+          recommendation: ABSOLUTE_URL,
+          tagContent,
+        });
+      } else if (tagName === OG_URL
+        && stripTrailingSlash(new URL(tagContent).pathname) !== stripTrailingSlash(urlPath)) {
+        this.addDetectedTag(urlPath, tagName, {
+          impact: MODERATE,
+          issue: `Mismatched ${label}`,
+          details: `${label} points to another page`,
+          recommendation: OG_URL_OF_PAGE,
+          tagContent,
+        });
+      } else if (tagName === TWITTER_CARD && !TWITTER_CARD_TYPES.includes(tagContent)) {
+        this.addDetectedTag(urlPath, tagName, {
+          impact: LOW,
+          issue: `Invalid ${label}`,
+          details: `${tagContent} is not a known card type`,
+          recommendation: VALID_TWITTER_CARD,
+          tagContent,
+        });
+      }
+    });
+  }
+
+  /**
+   * Checks the robots directives of the page for an accidental noindex or nofollow,
+   * and adds to detected tags array if found.
+   * @param {string} urlPath - The URL of the page.
+   * @param {object} headTags - The tags read from the head of the page.
+   */
+  checkRobotsDirectives(urlPath, headTags) {
+    const directives = headTags[ROBOTS]?.toLowerCase() ?? '';
+    const noindex = /\b(noindex|none)\b/.test(directives);
+    if (noindex || /\bnofollow\b/.test(directives)) {
+      this.addDetectedTag(urlPath, ROBOTS, {
+        impact: noindex ? HIGH : MODERATE,
+        issue: noindex ? 'Noindex on page' : 'Nofollow on page',
+        details: `Robots directives: ${headTags[ROBOTS]}`,
+        recommendation: INDEXABLE_TOP_PAGE,
+        tagContent: headTags[ROBOTS],
+      });
+    }
+  }
+
+  /**
+   * Checks the viewport and charset declarations of the page and adds to detected tags array
+   * if found lacking.
+   * @param {string} urlPath - The URL of the page.
+   * @param {object} headTags - The tags read from the head of the page.
+   */
+  checkViewportAndCharset(urlPath, headTags) {
+    const viewport = headTags[VIEWPORT];
+    if (!hasText(viewport)) {
+      this.addDetectedTag(urlPath, VIEWPORT, {
+        impact: MODERATE,
+        issue: 'Missing Viewport',
+        details: 'Viewport tag is missing, the page does not adapt to mobile screens',
+        recommendation: RESPONSIVE_VIEWPORT,
+      });
+    } else if (!/width\s*=\s*device-width/i.test(viewport)) {
+      this.addDetectedTag(urlPath, VIEWPORT, {
+        impact: LOW,
+        issue: 'Non-responsive Viewport',
+        details: 'Viewport does not use the device width',
+        recommendation: RESPONSIVE_VIEWPORT,
+        tagContent: viewport,
+      });
+    }
+
+    const charset = headTags[CHARSET];
+    if (!hasText(charset)) {
+      this.addDetectedTag(urlPath, CHARSET, {
+        impact: LOW,
+        issue: 'Missing Charset',
+        details: 'Charset is not declared in the page',
+        recommendation: UTF8_CHARSET,
+      });
+    } else if (!/^utf-?8$/i.test(charset)) {
+      this.addDetectedTag(urlPath, CHARSET, {
+        impact: LOW,
+        issue: 'Non-UTF-8 Charset',
+        details: `Charset ${charset} is not UTF-8`,
+        recommendation: UTF8_CHARSET,
+        tagContent: charset,
+      });
+    }
+  }
+
   /**
    * Checks for missing tags on the page and adds to detected tags array if found lacking.
    * @param {string} urlPath - The URL of the page.
@@ -162,10 +324,10 @@ class SeoChecks {
    * Checks for tag uniqueness and adds to detected tags array if found lacking.
    */
   checkForUniqueness() {
-    [TITLE, DESCRIPTION, H1].forEach((tagName) => {
+    UNIQUE_TAGS.forEach((tagName) => {
       Object.values(this.allTags[tagName]).forEach((value) => {
         if (value?.pageUrls?.size > 1) {
-          const capitalisedTagName = SeoChecks.capitalizeFirstLetter(tagName);
+          const capitalisedTagName = SeoChecks.getTagLabel(tagName);
           const pageUrls = [...value.pageUrls];
           pageUrls.forEach((url) => {
             this.detectedTags[url] ??= {};
@@ -215,6 +377,14 @@ class SeoChecks {
     this.addToAllTags(urlPath, TITLE, pageTags[TITLE]);
     this.addToAllTags(urlPath, DESCRIPTION, pageTags[DESCRIPTION]);
     pageTags[H1].forEach((tagContent) => this.addToAllTags(urlPath, H1, tagContent));
+    // head tags are only known for pages scraped with their HTML
+    if (isObject(pageTags.headTags)) {
+      this.checkSocialTags(urlPath, pageTags.headTags);
+      this.checkRobotsDirectives(urlPath, pageTags.headTags);
+      this.checkViewportAndCharset(urlPath, pageTags.headTags);
+      this.addToAllTags(urlPath, OG_TITLE, pageTags.headTags[OG_TITLE]);
+      this.addToAllTags(urlPath, OG_DESCRIPTION, pageTags.headTags[OG_DESCRIPTION]);
+    }
   }
 
   /**
@@ -0,0 +1,32 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { paidTrafficAnalysisMonthly, paidTrafficAnalysisWeekly } from './handler.js';
+import paidTrafficAnalysisGuidance from './guidance-handler.js';
+
+/** @type {import('../common/audit-registry.js').AuditManifest} */
+export default {
+  module: 'paid-traffic-analysis',
+  handlers: [
+    {
+      type: 'paid-traffic-analysis-weekly',
+      handler: paidTrafficAnalysisWeekly,
+      schedule: 'weekly',
+    },
+    {
+      type: 'paid-traffic-analysis-monthly',
+      handler: paidTrafficAnalysisMonthly,
+      schedule: 'monthly',
+    },
+    { type: 'guidance:traffic-analysis', handler: paidTrafficAnalysisGuidance },
+  ],
+};
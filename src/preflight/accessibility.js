@@ -13,7 +13,7 @@
 import { isNonEmptyArray } from '@adobe/spacecat-shared-utils';
 import { DeleteObjectsCommand } from '@aws-sdk/client-s3';
 
-import { saveIntermediateResults } from './utils.js';
+import { CHECK_STATUS } from './utils.js';
 import { sleep } from '../support/utils.js';
 import { accessibilityOpportunitiesMap } from '../accessibility/utils/constants.js';
 import { getObjectFromKey, getObjectKeysUsingPrefix } from '../utils/s3-utils.js';
@@ -37,6 +37,22 @@ export function generateAccessibilityFilename(url) {
   }
 }
 
+/**
+ * The live URLs to scrape next to the preview URLs in diff mode
+ */
+function getLiveUrls(auditContext) {
+  return auditContext.liveUrls ? [...auditContext.liveUrls.values()] : [];
+}
+
+/**
+ * Lists the ids of the violations of an accessibility result file
+ */
+export function getViolationIds(accessibilityData) {
+  return new Set(Object.entries(accessibilityData.violations || {})
+    .filter(([impact]) => impact !== 'total')
+    .flatMap(([, impactData]) => Object.keys(impactData.items || {})));
+}
+
 /**
  * Step 1: Send URLs to content scraper for accessibility-specific processing
  */
@@ -80,8 +96,9 @@ export async function scrapeAccessibilityData(context, auditContext) {
     }
   });
 
-  // Use the URLs from the preflight job request directly
-  const urlsToScrape = previewUrls.map((url) => ({ url }));
+  // Use the URLs from the preflight job request directly, and their live URLs in diff mode
+  const urlsToScrape = previewUrls.map((url) => ({ url }))
+    .concat(getLiveUrls(auditContext).map((url) => ({ url })));
   log.debug(`[preflight-audit] Using preview URLs for accessibility audit: ${JSON.stringify(urlsToScrape, null, 2)}`);
 
   // Force re-scrape all URLs regardless of existing data
@@ -143,8 +160,8 @@ export async function processAccessibilityOpportunities(context, auditContext) {
     previewUrls,
     step,
     audits,
-    auditsResult,
     timeExecutionBreakdown,
+    reportPageStatus,
   } = auditContext;
 
   const accessibilityStartTime = Date.now();
@@ -155,7 +172,7 @@ export async function processAccessibilityOpportunities(context, auditContext) {
   if (!bucketName) {
     const errorMsg = 'Missing S3 bucket configuration for accessibility audit';
     log.error(errorMsg);
-    return;
+    return { status: CHECK_STATUS.FAILED, error: errorMsg };
   }
 
   log.debug(`[preflight-audit] Processing individual accessibility result files for ${site.getBaseURL()}`);
@@ -175,6 +192,8 @@ export async function processAccessibilityOpportunities(context, auditContext) {
       if (!accessibilityData) {
         log.warn(`[preflight-audit] No accessibility data found for ${url} at key: ${fileKey}`);
         // Skip to next URL if no data found
+        // eslint-disable-next-line no-await-in-loop
+        await reportPageStatus(url, { status: CHECK_STATUS.FAILED, error: 'No accessibility data found' });
       } else {
         log.debug(`[preflight-audit] Successfully loaded accessibility data for ${url}`);
 
@@ -237,9 +256,13 @@ export async function processAccessibilityOpportunities(context, auditContext) {
         } else {
           log.warn(`[preflight-audit] No accessibility audit found for URL: ${url}`);
         }
+        // eslint-disable-next-line no-await-in-loop
+        await reportPageStatus(url, { status: CHECK_STATUS.DONE });
       }
     } catch (error) {
       log.error(`[preflight-audit] Error processing accessibility file for ${url}: ${error.message}`, error);
+      // eslint-disable-next-line no-await-in-loop
+      await reportPageStatus(url, { status: CHECK_STATUS.FAILED, error: error.message });
 
       // Add error opportunity to the audit
       const pageResult = audits.get(url);
@@ -258,6 +281,18 @@ export async function processAccessibilityOpportunities(context, auditContext) {
     }
   }
 
+  // In diff mode, keep the violations of the live pages to report the new violations only
+  for (const liveUrl of getLiveUrls(auditContext)) {
+    const fileKey = `accessibility-preflight/${siteId}/${generateAccessibilityFilename(liveUrl)}`;
+    // eslint-disable-next-line no-await-in-loop
+    const accessibilityData = await getObjectFromKey(s3Client, bucketName, fileKey, log);
+    if (accessibilityData) {
+      auditContext.liveAccessibility.set(liveUrl, getViolationIds(accessibilityData));
+    } else {
+      log.warn(`[preflight-audit] No accessibility data found for live page ${liveUrl} at key: ${fileKey}`);
+    }
+  }
+
   const accessibilityEndTime = Date.now();
   const accessibilityEndTimestamp = new Date().toISOString();
   const accessibilityElapsed = ((accessibilityEndTime - accessibilityStartTime) / 1000)
@@ -275,11 +310,9 @@ Accessibility audit completed in ${accessibilityElapsed} seconds`,
     endTime: accessibilityEndTimestamp,
   });
 
-  await saveIntermediateResults(context, auditsResult, 'accessibility audit');
-
   // Clean up individual accessibility files after processing
   try {
-    const filesToDelete = auditContext.previewUrls.map((url) => {
+    const filesToDelete = [...previewUrls, ...getLiveUrls(auditContext)].map((url) => {
       const filename = generateAccessibilityFilename(url);
       return `accessibility-preflight/${siteId}/${filename}`;
     });
@@ -300,6 +333,7 @@ Accessibility audit completed in ${accessibilityElapsed} seconds`,
     log.warn(`[preflight-audit] Failed to clean up accessibility files: ${cleanupError.message}`);
     // Don't fail the entire audit if cleanup fails
   }
+  return { status: CHECK_STATUS.DONE };
 }
 
 /**
@@ -312,7 +346,7 @@ export default async function accessibility(context, auditContext) {
   // Check if we have URLs to process
   if (!isNonEmptyArray(previewUrls)) {
     log.warn('[preflight-audit] No URLs to process for accessibility audit, skipping');
-    return;
+    return { status: CHECK_STATUS.DONE };
   }
 
   // Start timing for the entire accessibility scraping process (sending to scraper + polling)
@@ -338,8 +372,9 @@ export default async function accessibility(context, auditContext) {
   // 1 second poll interval
   const pollInterval = 1 * 1000;
 
-  // Generate expected filenames based on preview URLs
-  const expectedFiles = previewUrls.map((url) => generateAccessibilityFilename(url));
+  // Generate expected filenames based on preview URLs, and live URLs in diff mode
+  const expectedFiles = [...previewUrls, ...getLiveUrls(auditContext)]
+    .map((url) => generateAccessibilityFilename(url));
 
   log.debug(`[preflight-audit] Expected files: ${JSON.stringify(expectedFiles)}`);
 
@@ -418,5 +453,5 @@ export default async function accessibility(context, auditContext) {
   log.debug('[preflight-audit] Polling completed, proceeding to process accessibility data');
 
   // Step 2: Process scraped data and create opportunities
-  await processAccessibilityOpportunities(context, auditContext);
+  return processAccessibilityOpportunities(context, auditContext);
 }
@@ -11,7 +11,6 @@
  */
 // TODO: Re-enable when preflight canonical is updated for new multi-step architecture
 // import { validateCanonicalFormat, validateCanonicalTag } from '../canonical/handler.js';
-import { saveIntermediateResults } from './utils.js';
 
 export const PREFLIGHT_CANONICAL = 'canonical';
 
@@ -23,7 +22,6 @@ export default async function canonical(context, auditContext) {
     previewUrls,
     step,
     audits,
-    auditsResult,
     timeExecutionBreakdown,
   } = auditContext;
 
@@ -92,6 +90,4 @@ export default async function canonical(context, auditContext) {
     }));
   });
   */
-
-  await saveIntermediateResults(context, auditsResult, 'canonical audit');
 }
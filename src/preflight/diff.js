@@ -0,0 +1,426 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { stripTrailingSlash } from '@adobe/spacecat-shared-utils';
+import { DeleteObjectsCommand } from '@aws-sdk/client-s3';
+import { load as cheerioLoad } from 'cheerio';
+import { franc } from 'franc-min';
+import { saveIntermediateResults } from './utils.js';
+import { sleep } from '../support/utils.js';
+import { getObjectFromKey, getObjectKeysUsingPrefix } from '../utils/s3-utils.js';
+import { removeTrailingSlash } from '../utils/url-utils.js';
+import {
+  calculateReadabilityScore,
+  getLanguageName,
+  isSupportedLanguage,
+} from '../readability/shared/multilingual-readability.js';
+
+export const PREFLIGHT_DIFF = 'diff';
+
+export const CHANGE_ADDED = 'added';
+export const CHANGE_REMOVED = 'removed';
+export const CHANGE_CHANGED = 'changed';
+
+// A readability score lower than the live one by more than this is a regression
+export const READABILITY_DROP_THRESHOLD = 5;
+
+// Live pages are scraped as a job of their own, as their scrapes would otherwise share the
+// S3 key of the preview page with the same path
+export const LIVE_SCRAPE_JOB_PREFIX = 'preflight-live';
+
+const LIVE_SCRAPE_MAX_WAIT = 5 * 60 * 1000;
+const LIVE_SCRAPE_POLL_INTERVAL = 1000;
+
+/**
+ * The path and query of a URL, to compare URLs of the preview and the live host
+ * @param {string} url - absolute URL
+ * @returns {string}
+ */
+function toPath(url) {
+  const { pathname, search } = new URL(url);
+  return `${removeTrailingSlash(pathname) || '/'}${search}`;
+}
+
+/**
+ * Resolves an href against the page URL
+ * @param {string} href - the href
+ * @param {string} pageUrl - the page URL
+ * @returns {string|null} the absolute URL, or null for invalid hrefs
+ */
+function resolveHref(href, pageUrl) {
+  try {
+    return new URL(href, pageUrl).toString();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Reads the properties of a page which are compared between the preview and the live page.
+ *
+ * @param {string} rawBody - the page HTML
+ * @param {string} pageUrl - the page URL, to resolve relative URLs
+ * @returns {Promise<Object>} the canonical path, title, description, linked paths and URLs,
+ * first invalid heading jump (or null) and readability score (or null for unsupported languages)
+ */
+export async function getPageSnapshot(rawBody, pageUrl) {
+  const $ = cheerioLoad(rawBody);
+  const { origin } = new URL(pageUrl);
+
+  const canonicalHref = $('link[rel="canonical"]').attr('href');
+  const canonicalUrl = canonicalHref && resolveHref(canonicalHref, pageUrl);
+
+  const links = new Set();
+  $('a[href]').each((_, el) => {
+    const url = resolveHref($(el).attr('href'), pageUrl);
+    if (url) {
+      // internal links are compared by path, as the preview and the live host differ
+      links.add(new URL(url).origin === origin ? toPath(url) : removeTrailingSlash(url));
+    }
+  });
+
+  let headingJump = null;
+  const levels = $('h1, h2, h3, h4, h5, h6').toArray().map((el) => Number(el.tagName[1]));
+  levels.slice(1).forEach((level, index) => {
+    if (!headingJump && level - levels[index] > 1) {
+      headingJump = `h${levels[index]} → h${level}`;
+    }
+  });
+
+  $('header, footer, nav, style, script, noscript').remove();
+  const text = $('body').text().replace(/\s+/g, ' ').trim();
+  const languageCode = franc(text);
+  const readabilityScore = isSupportedLanguage(languageCode)
+    ? await calculateReadabilityScore(text, getLanguageName(languageCode))
+    : null;
+
+  return {
+    canonical: canonicalUrl ? toPath(canonicalUrl) : null,
+    title: $('head > title').text().trim() || null,
+    description: $('head > meta[name="description"]').attr('content')?.trim() || null,
+    links,
+    headingJump,
+    readabilityScore,
+  };
+}
+
+/**
+ * The id of the scrape job of the live pages of a site
+ * @param {string} siteId - the site id
+ * @returns {string}
+ */
+export function getLiveScrapeJobId(siteId) {
+  return `${LIVE_SCRAPE_JOB_PREFIX}-${siteId}`;
+}
+
+/**
+ * The S3 key of the scrape of a live page. The content scraper stores the scrapes of the
+ * `default` processing type under `scrapes/<jobId><path>/scrape.json`, which is also where
+ * the preview pages are read from, with the site id as job id.
+ * @param {string} siteId - the site id
+ * @param {string} liveUrl - the live URL
+ * @returns {string}
+ */
+export function getLiveScrapeKey(siteId, liveUrl) {
+  return `scrapes/${getLiveScrapeJobId(siteId)}${new URL(liveUrl).pathname.replace(/\/$/, '')}/scrape.json`;
+}
+
+/**
+ * Sends the live pages to the content scraper, so that they are rendered as the preview pages
+ * are. Live pages are public, and are scraped without authentication. The scrapes are read by
+ * the diff handler, which runs after the checks.
+ *
+ * @param {Object} context - the audit context
+ * @param {Map<string, string>} liveUrls - the live URL of each preview URL
+ * @returns {Promise<boolean>} whether the live pages were sent to the scraper
+ */
+export async function scrapeLivePages(context, liveUrls) {
+  const {
+    site, env, sqs, log,
+  } = context;
+  const siteId = site.getId();
+  const urls = [...liveUrls.values()].map((url) => ({ url }));
+
+  try {
+    await sqs.sendMessage(env.CONTENT_SCRAPER_QUEUE_URL, {
+      urls,
+      siteId,
+      jobId: getLiveScrapeJobId(siteId), // Overrides the storage path, see getLiveScrapeKey
+      processingType: 'default',
+      s3BucketName: env.S3_SCRAPER_BUCKET_NAME,
+      completionQueueUrl: env.AUDIT_JOBS_QUEUE_URL,
+      skipMessage: true,
+      allowCache: false,
+      forceRescrape: true,
+      options: {
+        enableAuthentication: false,
+        screenshotTypes: [],
+      },
+    });
+    log.debug(`[preflight-audit] site: ${siteId}. Sent ${urls.length} live pages to the content scraper`);
+    return true;
+  } catch (error) {
+    log.error(`[preflight-audit] site: ${siteId}. Failed to send the live pages to the content scraper: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Waits for the scrapes of the live pages, reads their HTML and deletes them, so that the next
+ * job does not read them before its own scrapes are done.
+ *
+ * @param {Object} context - the audit context
+ * @param {string[]} liveUrls - the live URLs
+ * @returns {Promise<Map<string, string>>} the HTML of each live page which was scraped in time
+ */
+export async function getLivePageBodies(context, liveUrls) {
+  const {
+    site, s3Client, env, log,
+  } = context;
+  const siteId = site.getId();
+  const bucketName = env.S3_SCRAPER_BUCKET_NAME;
+  const keyByUrl = new Map(liveUrls.map((url) => [url, getLiveScrapeKey(siteId, url)]));
+  const startTime = Date.now();
+
+  const pollForLiveScrapes = async () => {
+    let objectKeys = [];
+    try {
+      objectKeys = await getObjectKeysUsingPrefix(s3Client, bucketName, `scrapes/${getLiveScrapeJobId(siteId)}/`, log);
+    } catch (error) {
+      log.warn(`[preflight-audit] site: ${siteId}. Failed to list the live page scrapes: ${error.message}`);
+    }
+    const foundKeys = [...keyByUrl.values()].filter((key) => objectKeys.includes(key));
+    if (foundKeys.length === keyByUrl.size || Date.now() - startTime >= LIVE_SCRAPE_MAX_WAIT) {
+      return foundKeys;
+    }
+    await sleep(LIVE_SCRAPE_POLL_INTERVAL);
+    return pollForLiveScrapes();
+  };
+  const foundKeys = await pollForLiveScrapes();
+  log.debug(`[preflight-audit] site: ${siteId}. Found ${foundKeys.length} of ${keyByUrl.size} live page scrapes`);
+
+  const bodies = new Map(await Promise.all([...keyByUrl]
+    .filter(([, key]) => foundKeys.includes(key))
+    .map(async ([url, key]) => {
+      const scrape = await getObjectFromKey(s3Client, bucketName, key, log);
+      return [url, scrape?.scrapeResult?.rawBody];
+    })));
+
+  if (foundKeys.length > 0) {
+    try {
+      await s3Client.send(new DeleteObjectsCommand({
+        Bucket: bucketName,
+        Delete: { Objects: foundKeys.map((Key) => ({ Key })), Quiet: true },
+      }));
+    } catch (error) {
+      log.warn(`[preflight-audit] site: ${siteId}. Failed to clean up the live page scrapes: ${error.message}`);
+    }
+  }
+  return bodies;
+}
+
+/**
+ * Lists the regressions of the page properties read from the HTML of both pages.
+ *
+ * @param {Object} preview - the snapshot of the preview page
+ * @param {Object} live - the snapshot of the live page
+ * @returns {Object} the regressions by audit name
+ */
+export function diffSnapshots(preview, live) {
+  const canonical = [];
+  if (live.canonical && !preview.canonical) {
+    canonical.push({
+      check: 'canonical-removed',
+      change: CHANGE_REMOVED,
+      issue: 'The canonical link of the live page was removed',
+      previous: live.canonical,
+      seoImpact: 'High',
+      seoRecommendation: 'Restore the canonical link of the page',
+    });
+  } else if (live.canonical && preview.canonical !== live.canonical) {
+    canonical.push({
+      check: 'canonical-changed',
+      change: CHANGE_CHANGED,
+      issue: 'The canonical URL differs from the live page',
+      previous: live.canonical,
+      current: preview.canonical,
+      seoImpact: 'High',
+      seoRecommendation: 'Make sure the new canonical URL is intended, as it moves the ranking signals of the page',
+    });
+  }
+
+  const metatags = ['title', 'description']
+    .filter((tagName) => live[tagName] && !preview[tagName])
+    .map((tagName) => ({
+      check: `${tagName}-removed`,
+      change: CHANGE_REMOVED,
+      issue: `The ${tagName} of the live page was removed`,
+      previous: live[tagName],
+      seoImpact: 'High',
+      seoRecommendation: `Restore the ${tagName} of the page`,
+    }));
+
+  const headings = preview.headingJump && !live.headingJump ? [{
+    check: 'heading-order-invalid',
+    change: CHANGE_ADDED,
+    issue: `The heading order became invalid: ${preview.headingJump}`,
+    current: preview.headingJump,
+    seoImpact: 'Moderate',
+    seoRecommendation: 'Do not skip heading levels',
+  }] : [];
+
+  const readability = preview.readabilityScore !== null && live.readabilityScore !== null
+    && live.readabilityScore - preview.readabilityScore > READABILITY_DROP_THRESHOLD ? [{
+      check: 'readability-dropped',
+      change: CHANGE_CHANGED,
+      issue: `The readability score dropped from ${live.readabilityScore.toFixed(1)} to ${preview.readabilityScore.toFixed(1)}`,
+      previous: live.readabilityScore,
+      current: preview.readabilityScore,
+      seoImpact: 'Moderate',
+      seoRecommendation: 'Use shorter sentences and simpler words',
+    }] : [];
+
+  return {
+    canonical, metatags, headings, readability,
+  };
+}
+
+/**
+ * Keeps the broken links of the preview page which the live page does not link to.
+ *
+ * @param {Object[]} opportunities - the opportunities of the links audit of the preview page
+ * @param {Set<string>} liveLinks - the linked paths and URLs of the live page
+ * @returns {Object[]} the opportunities with the new broken links only
+ */
+export function getNewBrokenLinks(opportunities, liveLinks) {
+  return opportunities.map((opportunity) => {
+    const isInternal = opportunity.check === 'broken-internal-links';
+    const issue = opportunity.issue
+      .filter(({ url }) => !liveLinks.has(isInternal ? toPath(url) : removeTrailingSlash(url)))
+      .map((brokenLink) => ({ ...brokenLink, change: CHANGE_ADDED }));
+    return { ...opportunity, issue };
+  }).filter(({ issue }) => issue.length > 0);
+}
+
+/**
+ * Keeps the accessibility violations of the preview page which the live page does not have.
+ *
+ * @param {Object[]} opportunities - the opportunities of the accessibility audit of the preview
+ * @param {Set<string>} liveViolations - the violation ids of the live page
+ * @returns {Object[]} the new violations
+ */
+export function getNewAccessibilityViolations(opportunities, liveViolations) {
+  return opportunities
+    .filter(({ type }) => !liveViolations.has(type))
+    .map((opportunity) => ({ ...opportunity, change: CHANGE_ADDED }));
+}
+
+/**
+ * Diff mode: replaces the results of each preview page with its regressions against the live
+ * page, so that only what the publish would change is reported. Covers the canonical,
+ * metatags, links, headings, readability and accessibility audits which are enabled, and
+ * keeps the results of the other audits as they are. The live pages are compared as scraped,
+ * as the preview pages are; pages whose live counterpart was not scraped keep their full
+ * results, and so do accessibility violations when the live page has no accessibility data.
+ */
+export default async function diff(context, auditContext) {
+  const {
+    site, job, log,
+  } = context;
+  const {
+    previewUrls,
+    liveUrls,
+    step,
+    audits,
+    auditsResult,
+    scrapedObjects,
+    enabledChecks,
+    liveAccessibility = new Map(),
+    liveScrapeSent,
+    timeExecutionBreakdown,
+  } = auditContext;
+
+  const diffStartTime = Date.now();
+  const diffStartTimestamp = new Date().toISOString();
+
+  const rawBodyByUrl = new Map(scrapedObjects.map(({ data }) => [
+    stripTrailingSlash(data.finalUrl),
+    data.scrapeResult?.rawBody,
+  ]));
+  const liveBodyByUrl = liveScrapeSent
+    ? await getLivePageBodies(context, previewUrls.map((url) => liveUrls.get(url)))
+    : new Map();
+
+  await Promise.all(previewUrls.map(async (url) => {
+    const pageResult = audits.get(url);
+    const liveUrl = liveUrls.get(url);
+    pageResult.liveUrl = liveUrl;
+
+    const previewBody = rawBodyByUrl.get(url);
+    const liveBody = liveBodyByUrl.get(liveUrl);
+    if (!previewBody || !liveBody) {
+      let reason = 'the preview page has no HTML';
+      if (!liveScrapeSent) {
+        reason = 'the live page could not be sent to the content scraper';
+      } else if (!liveBody) {
+        reason = `no scrape of the live page was found at ${getLiveScrapeKey(site.getId(), liveUrl)} within ${LIVE_SCRAPE_MAX_WAIT / 60000} minutes`;
+      }
+      pageResult.diffError = `Could not compare ${url} with ${liveUrl}, as ${reason}, reporting all findings`;
+      return;
+    }
+
+    const [preview, live] = await Promise.all([
+      getPageSnapshot(previewBody, url),
+      getPageSnapshot(liveBody, liveUrl),
+    ]);
+    const regressions = diffSnapshots(preview, live);
+    const findAudit = (name) => pageResult.audits.find((a) => a.name === name);
+
+    regressions.links = getNewBrokenLinks(findAudit('links')?.opportunities || [], live.links);
+    const accessibilityOpportunities = findAudit('accessibility')?.opportunities || [];
+    if (liveAccessibility.has(liveUrl)) {
+      regressions.accessibility = getNewAccessibilityViolations(
+        accessibilityOpportunities,
+        liveAccessibility.get(liveUrl),
+      );
+    } else {
+      // without the violations of the live page, all violations of the preview are reported
+      regressions.accessibility = accessibilityOpportunities;
+    }
+
+    // the audits which are not compared with the live page are kept as they are
+    pageResult.audits = [
+      ...pageResult.audits.filter(({ name }) => !Object.hasOwn(regressions, name)),
+      ...Object.entries(regressions)
+        .filter(([name]) => enabledChecks.includes(name))
+        .map(([name, opportunities]) => ({
+          name,
+          type: name === 'accessibility' ? 'a11y' : 'seo',
+          opportunities,
+        })),
+    ];
+  }));
+
+  const diffEndTime = Date.now();
+  const diffEndTimestamp = new Date().toISOString();
+  const diffElapsed = ((diffEndTime - diffStartTime) / 1000).toFixed(2);
+  log.debug(`[preflight-audit] site: ${site.getId()}, job: ${job.getId()}, step: ${step}. Diff against live pages completed in ${diffElapsed} seconds`);
+
+  timeExecutionBreakdown.push({
+    name: PREFLIGHT_DIFF,
+    duration: `${diffElapsed} seconds`,
+    startTime: diffStartTimestamp,
+    endTime: diffEndTimestamp,
+  });
+
+  await saveIntermediateResults(context, auditsResult, 'diff against live pages');
+}
@@ -13,7 +13,7 @@
 import { isNonEmptyArray } from '@adobe/spacecat-shared-utils';
 import { DeleteObjectsCommand } from '@aws-sdk/client-s3';
 
-import { saveIntermediateResults } from './utils.js';
+import { CHECK_STATUS } from './utils.js';
 import { sleep } from '../support/utils.js';
 import { getObjectFromKey, getObjectKeysUsingPrefix } from '../utils/s3-utils.js';
 import { generateAccessibilityFilename } from './accessibility.js';
@@ -122,8 +122,8 @@ export async function processFormAccessibilityOpportunities(context, auditContex
     previewUrls,
     step,
     audits,
-    auditsResult,
     timeExecutionBreakdown,
+    reportPageStatus,
   } = auditContext;
 
   const accessibilityStartTime = Date.now();
@@ -134,7 +134,7 @@ export async function processFormAccessibilityOpportunities(context, auditContex
   if (!bucketName) {
     const errorMsg = `[preflight-audit] ${siteId}  Missing S3 bucket configuration for form accessibility audit`;
     log.error(errorMsg);
-    return;
+    return { status: CHECK_STATUS.FAILED, error: errorMsg };
   }
 
   log.debug(`[preflight-audit] ${siteId}  Processing individual form accessibility result files for ${site.getBaseURL()}`);
@@ -156,6 +156,8 @@ export async function processFormAccessibilityOpportunities(context, auditContex
         if (!accessibilityData) {
           log.warn(`[preflight-audit] ${siteId} No form accessibility data found for ${url} at key: ${fileKey}`);
           // Skip to next URL if no data found
+          // eslint-disable-next-line no-await-in-loop
+          await reportPageStatus(url, { status: CHECK_STATUS.FAILED, error: 'No form accessibility data found' });
         } else {
           log.info(`[preflight-audit] ${siteId} Successfully loaded form accessibility data for ${url}`);
 
@@ -184,9 +186,13 @@ export async function processFormAccessibilityOpportunities(context, auditContex
           } else {
             log.warn(`[preflight-audit] ${siteId} No accessibility audit found for URL: ${url}`);
           }
+          // eslint-disable-next-line no-await-in-loop
+          await reportPageStatus(url, { status: CHECK_STATUS.DONE });
         }
       } catch (error) {
         log.error(`[preflight-audit] Error processing accessibility file for ${url}: ${error.message}`, error);
+        // eslint-disable-next-line no-await-in-loop
+        await reportPageStatus(url, { status: CHECK_STATUS.FAILED, error: error.message });
 
         // Add error opportunity to the audit
         const pageResult = audits.get(url);
@@ -222,8 +228,6 @@ Form Accessibility audit completed in ${accessibilityElapsed} seconds`,
       endTime: accessibilityEndTimestamp,
     });
 
-    await saveIntermediateResults(context, auditsResult, 'form accessibility audit');
-
     // Clean up individual form accessibility files after processing
     try {
       const filesToDelete = auditContext.previewUrls.map((url) => {
@@ -249,7 +253,9 @@ Form Accessibility audit completed in ${accessibilityElapsed} seconds`,
     }
   } catch (error) {
     log.error(`[preflight-audit] ${siteId} not able to delete prefight files, site: ${site.getId()}, job: ${jobId}, step: ${step}. error ${error.message}`, error);
+    return { status: CHECK_STATUS.FAILED, error: error.message };
   }
+  return { status: CHECK_STATUS.DONE };
 }
 
 /**
@@ -264,7 +270,7 @@ export default async function formAccessibility(context, auditContext) {
   // Check if we have URLs to process
   if (!isNonEmptyArray(previewUrls)) {
     log.warn(`[preflight-audit] ${siteId} No URLs to process for form accessibility audit, skipping`);
-    return;
+    return { status: CHECK_STATUS.DONE };
   }
 
   // Start timing for the entire form accessibility scraping process
@@ -371,5 +377,5 @@ export default async function formAccessibility(context, auditContext) {
   log.info(`[preflight-audit] ${siteId} Polling completed, proceeding to process form accessibility data`);
 
   // Step 2: Process scraped data and create opportunities
-  await processFormAccessibilityOpportunities(context, auditContext);
+  return processFormAccessibilityOpportunities(context, auditContext);
 }
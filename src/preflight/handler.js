@@ -18,7 +18,7 @@ import { AuditBuilder } from '../common/audit-builder.js';
 import { isAuditEnabledForSite, noopPersister, noopUrlResolver } from '../common/index.js';
 import { getObjectKeysUsingPrefix, getObjectFromKey } from '../utils/s3-utils.js';
 import {
-  getPrefixedPageAuthToken, isValidUrls, saveIntermediateResults,
+  CHECK_STATUS, getPrefixedPageAuthToken, isValidUrls, runChecks, setCheckStatus,
 } from './utils.js';
 import { getDomElementSelector, toElementTargets } from '../utils/dom-selector.js';
 import canonical from './canonical.js';
@@ -28,6 +28,11 @@ import readability from '../readability/preflight/handler.js';
 import accessibility from './accessibility.js';
 import headings from './headings.js';
 import formAccessibility from './form-accessibility.js';
+import images from './images.js';
+import structuredData from './structured-data.js';
+import socialMeta from './social-meta.js';
+import diff, { scrapeLivePages } from './diff.js';
+import { evaluatePolicy, getPreflightPolicy } from './policy.js';
 
 const { AUDIT_STEP_DESTINATIONS } = Audit;
 export const PREFLIGHT_STEP_IDENTIFY = 'identify';
@@ -51,6 +56,9 @@ export const AUDIT_ACCESSIBILITY = 'accessibility';
 export const AUDIT_READABILITY = 'readability';
 export const AUDIT_HEADINGS = 'headings';
 export const AUDIT_FORM_ACCESSIBILITY = 'form-accessibility';
+export const AUDIT_IMAGES = 'images';
+export const AUDIT_STRUCTURED_DATA = 'structured-data';
+export const AUDIT_SOCIAL_META = 'social-meta';
 
 const AVAILABLE_CHECKS = [
   AUDIT_CANONICAL,
@@ -63,6 +71,9 @@ const AVAILABLE_CHECKS = [
   AUDIT_READABILITY,
   AUDIT_HEADINGS,
   AUDIT_FORM_ACCESSIBILITY,
+  AUDIT_IMAGES,
+  AUDIT_STRUCTURED_DATA,
+  AUDIT_SOCIAL_META,
 ];
 
 export const PREFLIGHT_HANDLERS = {
@@ -73,6 +84,9 @@ export const PREFLIGHT_HANDLERS = {
   readability,
   accessibility,
   'form-accessibility': formAccessibility,
+  images,
+  'structured-data': structuredData,
+  'social-meta': socialMeta,
 };
 
 export async function scrapePages(context) {
@@ -117,12 +131,14 @@ export const preflightAudit = async (context) => {
    * @type {{
    *   urls: string[],
    *   step: PREFLIGHT_STEP_IDENTIFY | PREFLIGHT_STEP_SUGGEST,
+   *   liveUrls?: Object<string, string>,
    * }}
    */
   const {
     urls,
     step: rawStep = PREFLIGHT_STEP_IDENTIFY,
     enableAuthentication = true,
+    liveUrls: rawLiveUrls,
   } = jobMetadata.payload;
   const step = rawStep.toLowerCase();
   context.step = step;
@@ -133,6 +149,14 @@ export const preflightAudit = async (context) => {
     return stripTrailingSlash(url);
   });
 
+  // Diff mode: the live URL of each preview URL, to report regressions only
+  const liveUrls = rawLiveUrls ? new Map(Object.entries(rawLiveUrls).map(([url, liveUrl]) => {
+    if (!previewUrls.includes(stripTrailingSlash(url)) || !isValidUrl(liveUrl)) {
+      throw new Error(`[preflight-audit] site: ${site.getId()}. Invalid live URL provided for ${url}: ${liveUrl}`);
+    }
+    return [stripTrailingSlash(url), stripTrailingSlash(liveUrl)];
+  })) : null;
+
   log.debug(`[preflight-audit] site: ${site.getId()}, job: ${jobId}, step: ${step}. Preflight audit started.`);
 
   if (job.getStatus() !== AsyncJob.Status.IN_PROGRESS) {
@@ -198,142 +222,182 @@ export const preflightAudit = async (context) => {
       audits: [],
     }));
     const audits = new Map(auditsResult.map((r) => [r.pageUrl, r]));
+    // Accessibility violations of the live pages, by live URL (diff mode only)
+    const liveAccessibility = new Map();
+    // The live pages are scraped while the checks run, and compared after them (diff mode only)
+    const liveScrapeSent = liveUrls ? await scrapeLivePages(context, liveUrls) : false;
 
     const bodySizeEnabled = enabledChecks.includes(AUDIT_BODY_SIZE);
     const loremIpsumEnabled = enabledChecks.includes(AUDIT_LOREM_IPSUM);
     const h1CountEnabled = enabledChecks.includes(AUDIT_H1_COUNT);
-    // DOM-based checks: body size, lorem ipsum, h1 count
-    if (bodySizeEnabled || loremIpsumEnabled || h1CountEnabled) {
-      const domStartTime = Date.now();
-      const domStartTimestamp = new Date().toISOString();
-      previewUrls.forEach((url) => {
-        const pageResult = audits.get(url);
-        if (bodySizeEnabled) {
-          pageResult.audits.push({ name: AUDIT_BODY_SIZE, type: 'seo', opportunities: [] });
-        }
-        if (loremIpsumEnabled) {
-          pageResult.audits.push({ name: AUDIT_LOREM_IPSUM, type: 'seo', opportunities: [] });
-        }
-        if (h1CountEnabled) {
-          pageResult.audits.push({ name: AUDIT_H1_COUNT, type: 'seo', opportunities: [] });
-        }
-      });
-
-      scrapedObjects.forEach(({ data }) => {
-        const { finalUrl, scrapeResult: { rawBody } } = data;
-        const pageResult = audits.get(stripTrailingSlash(finalUrl));
-        const $ = cheerioLoad(rawBody);
+    const domChecks = [AUDIT_BODY_SIZE, AUDIT_LOREM_IPSUM, AUDIT_H1_COUNT]
+      .filter((check) => enabledChecks.includes(check));
+    const handlersToRun = Object.keys(PREFLIGHT_HANDLERS)
+      .filter((key) => enabledChecks.includes(key));
 
-        const auditsByName = Object.fromEntries(
-          pageResult.audits.map((auditEntry) => [auditEntry.name, auditEntry]),
-        );
+    // All checks are pending until they run, and are saved with the first running check
+    setCheckStatus(auditsResult, [...domChecks, ...handlersToRun], {
+      status: CHECK_STATUS.PENDING,
+    });
 
-        const textContent = $('body').text().replace(/\n/g, '').trim();
+    // DOM-based checks: body size, lorem ipsum, h1 count
+    if (domChecks.length > 0) {
+      await runChecks(context, auditsResult, domChecks, () => {
+        const domStartTime = Date.now();
+        const domStartTimestamp = new Date().toISOString();
+        previewUrls.forEach((url) => {
+          const pageResult = audits.get(url);
+          if (bodySizeEnabled) {
+            pageResult.audits.push({ name: AUDIT_BODY_SIZE, type: 'seo', opportunities: [] });
+          }
+          if (loremIpsumEnabled) {
+            pageResult.audits.push({ name: AUDIT_LOREM_IPSUM, type: 'seo', opportunities: [] });
+          }
+          if (h1CountEnabled) {
+            pageResult.audits.push({ name: AUDIT_H1_COUNT, type: 'seo', opportunities: [] });
+          }
+        });
 
-        if (bodySizeEnabled) {
-          if (textContent.length > 0 && textContent.length <= 100) {
-            auditsByName[AUDIT_BODY_SIZE].opportunities.push({
-              check: 'content-length',
-              issue: 'Body content length is below 100 characters',
-              seoImpact: 'Moderate',
-              seoRecommendation: 'Add more meaningful content to the page',
-              ...toElementTargets(getDomElementSelector($('body').get(0))),
-            });
+        scrapedObjects.forEach(({ data }) => {
+          const { finalUrl, scrapeResult: { rawBody } } = data;
+          const pageResult = audits.get(stripTrailingSlash(finalUrl));
+          const $ = cheerioLoad(rawBody);
+
+          const auditsByName = Object.fromEntries(
+            pageResult.audits.map((auditEntry) => [auditEntry.name, auditEntry]),
+          );
+
+          const textContent = $('body').text().replace(/\n/g, '').trim();
+
+          if (bodySizeEnabled) {
+            if (textContent.length > 0 && textContent.length <= 100) {
+              auditsByName[AUDIT_BODY_SIZE].opportunities.push({
+                check: 'content-length',
+                issue: 'Body content length is below 100 characters',
+                seoImpact: 'Moderate',
+                seoRecommendation: 'Add more meaningful content to the page',
+                ...toElementTargets(getDomElementSelector($('body').get(0))),
+              });
+            }
           }
-        }
-
-        if (loremIpsumEnabled && /lorem ipsum/i.test(textContent)) {
-          const loremElements = $('p, div, span, li, section, article, h1, h2, h3, h4, h5, h6')
-            .toArray()
-            .filter((el) => /lorem ipsum/i.test($(el).text()));
-          const loremSelectors = loremElements.map(
-            (el) => getDomElementSelector(el),
-          ).filter(Boolean);
-          const fallbackSelector = loremSelectors.length === 0
-            ? getDomElementSelector($('body').get(0))
-            : null;
-          auditsByName[AUDIT_LOREM_IPSUM].opportunities.push({
-            check: 'placeholder-text',
-            issue: 'Found Lorem ipsum placeholder text in the page content',
-            seoImpact: 'High',
-            seoRecommendation: 'Replace placeholder text with meaningful content',
-            ...toElementTargets(
-              loremSelectors.length > 0 ? loremSelectors : fallbackSelector,
-              10,
-            ),
-          });
-        }
-
-        if (h1CountEnabled) {
-          const headingCount = $('h1').length;
-          if (headingCount !== 1) {
-            const h1Elements = $('h1').toArray();
-
-            const h1Selectors = h1Elements
-              .map((el) => getDomElementSelector(el))
-              .filter(Boolean);
-            const fallbackElement = $('body > main').get(0) || $('body').get(0);
-            const fallbackSelector = getDomElementSelector(fallbackElement);
-
-            auditsByName[AUDIT_H1_COUNT].opportunities.push({
-              check: headingCount > 1 ? 'multiple-h1' : 'missing-h1',
-              issue:
-                headingCount > 1
-                  ? `Found ${headingCount} H1 tags`
-                  : 'No H1 tag found on the page',
+
+          if (loremIpsumEnabled && /lorem ipsum/i.test(textContent)) {
+            const loremElements = $('p, div, span, li, section, article, h1, h2, h3, h4, h5, h6')
+              .toArray()
+              .filter((el) => /lorem ipsum/i.test($(el).text()));
+            const loremSelectors = loremElements.map(
+              (el) => getDomElementSelector(el),
+            ).filter(Boolean);
+            const fallbackSelector = loremSelectors.length === 0
+              ? getDomElementSelector($('body').get(0))
+              : null;
+            auditsByName[AUDIT_LOREM_IPSUM].opportunities.push({
+              check: 'placeholder-text',
+              issue: 'Found Lorem ipsum placeholder text in the page content',
               seoImpact: 'High',
-              seoRecommendation:
-                'Use exactly one H1 tag per page for better SEO structure',
+              seoRecommendation: 'Replace placeholder text with meaningful content',
               ...toElementTargets(
-                headingCount > 0 ? h1Selectors : fallbackSelector,
+                loremSelectors.length > 0 ? loremSelectors : fallbackSelector,
+                10,
               ),
             });
           }
-        }
-      });
-      const domEndTime = Date.now();
-      const domEndTimestamp = new Date().toISOString();
-      const domElapsed = ((domEndTime - domStartTime) / 1000).toFixed(2);
-      log.debug(`[preflight-audit] site: ${site.getId()}, job: ${jobId}, step: ${step}. DOM-based audit completed in ${domElapsed} seconds`);
-
-      timeExecutionBreakdown.push({
-        name: 'dom',
-        duration: `${domElapsed} seconds`,
-        startTime: domStartTimestamp,
-        endTime: domEndTimestamp,
-      });
 
-      await saveIntermediateResults(context, auditsResult, 'DOM-based audit');
+          if (h1CountEnabled) {
+            const headingCount = $('h1').length;
+            if (headingCount !== 1) {
+              const h1Elements = $('h1').toArray();
+
+              const h1Selectors = h1Elements
+                .map((el) => getDomElementSelector(el))
+                .filter(Boolean);
+              const fallbackElement = $('body > main').get(0) || $('body').get(0);
+              const fallbackSelector = getDomElementSelector(fallbackElement);
+
+              auditsByName[AUDIT_H1_COUNT].opportunities.push({
+                check: headingCount > 1 ? 'multiple-h1' : 'missing-h1',
+                issue:
+                  headingCount > 1
+                    ? `Found ${headingCount} H1 tags`
+                    : 'No H1 tag found on the page',
+                seoImpact: 'High',
+                seoRecommendation:
+                  'Use exactly one H1 tag per page for better SEO structure',
+                ...toElementTargets(
+                  headingCount > 0 ? h1Selectors : fallbackSelector,
+                ),
+              });
+            }
+          }
+        });
+        const domEndTime = Date.now();
+        const domEndTimestamp = new Date().toISOString();
+        const domElapsed = ((domEndTime - domStartTime) / 1000).toFixed(2);
+        log.debug(`[preflight-audit] site: ${site.getId()}, job: ${jobId}, step: ${step}. DOM-based audit completed in ${domElapsed} seconds`);
+
+        timeExecutionBreakdown.push({
+          name: 'dom',
+          duration: `${domElapsed} seconds`,
+          startTime: domStartTimestamp,
+          endTime: domEndTimestamp,
+        });
+      });
     }
 
-    // Execute only enabled preflight handlers
-    const handlersToRun = Object.keys(PREFLIGHT_HANDLERS)
-      .filter((key) => enabledChecks.includes(key));
+    // Execute only enabled preflight handlers, one after the other
     const handlerResults = await handlersToRun.reduce(
       async (accPromise, handler) => {
         const acc = await accPromise;
-        const res = await PREFLIGHT_HANDLERS[handler](context, {
-          authHeader,
-          previewBaseURL,
-          previewUrls,
-          step,
-          audits,
+        const res = await runChecks(
+          context,
           auditsResult,
-          s3Keys,
-          scrapedObjects,
-          pageAuthToken,
-          urls,
-          timeExecutionBreakdown,
-        });
+          [handler],
+          (reportPageStatus) => PREFLIGHT_HANDLERS[handler](context, {
+            authHeader,
+            previewBaseURL,
+            previewUrls,
+            step,
+            audits,
+            auditsResult,
+            s3Keys,
+            scrapedObjects,
+            pageAuthToken,
+            urls,
+            timeExecutionBreakdown,
+            liveUrls,
+            liveAccessibility,
+            reportPageStatus,
+          }),
+        );
         return [...acc, res];
       },
       Promise.resolve([]),
     );
 
+    if (liveUrls) {
+      const comparedUrls = previewUrls.filter((url) => liveUrls.has(url));
+      await diff(context, {
+        previewUrls: comparedUrls,
+        liveUrls,
+        step,
+        audits,
+        auditsResult,
+        scrapedObjects,
+        enabledChecks,
+        liveAccessibility,
+        liveScrapeSent,
+        timeExecutionBreakdown,
+      });
+    }
+
     const endTime = Date.now();
     const endTimestamp = new Date().toISOString();
     const totalElapsed = ((endTime - startTime) / 1000).toFixed(2);
 
+    // Verdict of the site policy over all pages, so that authoring tools can gate publishing
+    const policy = evaluatePolicy(auditsResult, getPreflightPolicy(site, log));
+    log.debug(`[preflight-audit] site: ${site.getId()}, job: ${jobId}, step: ${step}. Policy verdict: ${policy.verdict} with ${policy.blockingFindings.length} blocking findings`);
+
     // Add profiling results to each page auditsResult
     const resultWithProfiling = auditsResult.map((pageResult) => ({
       ...pageResult,
@@ -351,6 +415,8 @@ export const preflightAudit = async (context) => {
     const anyProcessing = handlerResults.some((r) => r && r.processing === true);
     jobEntity.setResultType(AsyncJob.ResultType.INLINE);
     jobEntity.setResult(resultWithProfiling);
+    // The verdict applies to the whole job, so it is kept next to the job payload
+    jobEntity.setMetadata({ ...jobEntity.getMetadata(), policy });
     if (anyProcessing) {
       // Keep the job in progress while waiting for Mystique guidance
       jobEntity.setStatus(AsyncJob.Status.IN_PROGRESS);
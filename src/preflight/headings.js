@@ -18,9 +18,9 @@ import {
   HEADINGS_CHECKS,
 } from '../headings/handler.js';
 import { getBrandGuidelines } from '../headings/shared-utils.js';
-import { saveIntermediateResults } from './utils.js';
 import SeoChecks from '../metatags/seo-checks.js';
 import { getDomElementSelector, toElementTargets } from '../utils/dom-selector.js';
+import { CHECK_STATUS } from './utils.js';
 
 export const PREFLIGHT_HEADINGS = 'headings';
 
@@ -182,7 +182,6 @@ export default async function headings(context, auditContext) {
     previewUrls,
     step,
     audits,
-    auditsResult,
     scrapedObjects,
     timeExecutionBreakdown,
   } = auditContext;
@@ -198,6 +197,7 @@ export default async function headings(context, auditContext) {
 
   log.debug(`[preflight-audit] site: ${site.getId()}, job: ${job.getId()}, step: ${step}. Starting headings audit`);
 
+  let failure;
   try {
     const seoChecks = new SeoChecks(log);
 
@@ -288,6 +288,7 @@ export default async function headings(context, auditContext) {
     });
   } catch (error) {
     log.error(`[preflight-audit] site: ${site.getId()}, job: ${job.getId()}, step: ${step}. Headings audit failed: ${error.message}`);
+    failure = { status: CHECK_STATUS.FAILED, error: error.message };
   }
 
   const headingsEndTime = Date.now();
@@ -302,5 +303,5 @@ export default async function headings(context, auditContext) {
     endTime: headingsEndTimestamp,
   });
 
-  await saveIntermediateResults(context, auditsResult, 'headings audit');
+  return failure;
 }
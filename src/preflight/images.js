@@ -0,0 +1,124 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { stripTrailingSlash } from '@adobe/spacecat-shared-utils';
+import { load as cheerioLoad } from 'cheerio';
+import { ALT_TEXT_OBSERVATION } from '../image-alt-text/constants.js';
+import { getImagesWithoutAltText, resolveImageUrl } from '../image-alt-text/alt-text-detection.js';
+import { getDomElementSelector, toElementTargets } from '../utils/dom-selector.js';
+
+export const PREFLIGHT_IMAGES = 'images';
+
+// Placeholder services and file names which authors leave in pages by mistake
+const PLACEHOLDER_IMAGE_PATTERN = /placehold|dummyimage\.com|picsum\.photos|lorempixel|fakeimg\.pl|\/(sample|dummy|default|no-?image)[-_.]/i;
+
+/**
+ * Whether an image URL points to a placeholder image
+ * @param {string} imageUrl - the image URL
+ * @returns {boolean}
+ */
+export function isPlaceholderImage(imageUrl) {
+  return PLACEHOLDER_IMAGE_PATTERN.test(imageUrl);
+}
+
+/**
+ * Lists the images of a page without alt text and the placeholder images.
+ *
+ * @param {string} rawBody - the page HTML
+ * @param {string} pageUrl - the page URL, to resolve relative image URLs
+ * @returns {{ missingAlt: Object[], placeholders: Object[] }} the `{ imageUrl, selector,
+ * caption }` of each image without alt text, see `getImagesWithoutAltText`, and the
+ * `{ imageUrl, selector }` of each placeholder image
+ */
+export function getImageIssues(rawBody, pageUrl) {
+  const $ = cheerioLoad(rawBody);
+  const placeholders = $('img').toArray()
+    .map((img) => ({ src: ($(img).attr('src') || '').trim(), img }))
+    .filter(({ src }) => src && !src.startsWith('data:'))
+    .map(({ src, img }) => ({
+      imageUrl: resolveImageUrl(src, pageUrl),
+      selector: getDomElementSelector(img),
+    }))
+    .filter(({ imageUrl }) => isPlaceholderImage(imageUrl));
+
+  return { missingAlt: getImagesWithoutAltText(rawBody, pageUrl), placeholders };
+}
+
+export default async function images(context, auditContext) {
+  const {
+    site, job, log,
+  } = context;
+  const {
+    previewUrls,
+    step,
+    audits,
+    scrapedObjects,
+    timeExecutionBreakdown,
+  } = auditContext;
+
+  const imagesStartTime = Date.now();
+  const imagesStartTimestamp = new Date().toISOString();
+
+  // Create images audit entries for all pages
+  previewUrls.forEach((url) => {
+    const pageResult = audits.get(url);
+    pageResult.audits.push({ name: PREFLIGHT_IMAGES, type: 'seo', opportunities: [] });
+  });
+
+  scrapedObjects.forEach(({ data }) => {
+    const url = stripTrailingSlash(data.finalUrl);
+    const audit = audits.get(url)?.audits.find((a) => a.name === PREFLIGHT_IMAGES);
+    const rawBody = data.scrapeResult?.rawBody;
+    if (!audit || !rawBody) {
+      log.warn(`[preflight-audit] site: ${site.getId()}, job: ${job.getId()}, step: ${step}. No scraped page found for images audit of ${url}`);
+      return;
+    }
+
+    const { missingAlt, placeholders } = getImageIssues(rawBody, url);
+
+    missingAlt.forEach(({ imageUrl, selector, caption }) => {
+      audit.opportunities.push({
+        check: 'image-missing-alt',
+        issue: ALT_TEXT_OBSERVATION,
+        imageUrl,
+        seoImpact: 'High',
+        seoRecommendation: 'Add alt text describing the image, or alt="" if the image is decorative',
+        // in suggest mode, the caption or title of the image is a starting point for the alt text
+        ...(step === 'suggest' && caption ? { suggestion: caption } : {}),
+        ...toElementTargets(selector),
+      });
+    });
+
+    placeholders.forEach(({ imageUrl, selector }) => {
+      audit.opportunities.push({
+        check: 'image-placeholder',
+        issue: 'Found a placeholder image in the page content',
+        imageUrl,
+        seoImpact: 'High',
+        seoRecommendation: 'Replace the placeholder image with the final image',
+        ...toElementTargets(selector),
+      });
+    });
+  });
+
+  const imagesEndTime = Date.now();
+  const imagesEndTimestamp = new Date().toISOString();
+  const imagesElapsed = ((imagesEndTime - imagesStartTime) / 1000).toFixed(2);
+  log.debug(`[preflight-audit] site: ${site.getId()}, job: ${job.getId()}, step: ${step}. Images audit completed in ${imagesElapsed} seconds`);
+
+  timeExecutionBreakdown.push({
+    name: PREFLIGHT_IMAGES,
+    duration: `${imagesElapsed} seconds`,
+    startTime: imagesStartTimestamp,
+    endTime: imagesEndTimestamp,
+  });
+}
@@ -11,7 +11,6 @@
  */
 import { isNonEmptyArray, stripTrailingSlash } from '@adobe/spacecat-shared-utils';
 import { load as cheerioLoad } from 'cheerio';
-import { saveIntermediateResults } from './utils.js';
 import { runLinksChecks } from './links-checks.js';
 import { generateSuggestionData } from '../internal-links/suggestions-generator.js';
 import { getDomElementSelector, toElementTargets } from '../utils/dom-selector.js';
@@ -60,7 +59,6 @@ export default async function links(context, auditContext) {
     previewUrls,
     step,
     audits,
-    auditsResult,
     scrapedObjects,
     urls,
     pageAuthToken,
@@ -234,6 +232,4 @@ export default async function links(context, auditContext) {
     }
   });
   // Check for insecure links in each scraped page
-
-  await saveIntermediateResults(context, auditsResult, 'links audit');
 }
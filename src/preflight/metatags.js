@@ -12,17 +12,18 @@
 
 import { stripTrailingSlash } from '@adobe/spacecat-shared-utils';
 import { load as cheerioLoad } from 'cheerio';
-import { saveIntermediateResults } from './utils.js';
 import { metatagsAutoDetect } from '../metatags/handler.js';
 import metatagsAutoSuggest from '../metatags/metatags-auto-suggest.js';
+import { CHARSET } from '../metatags/constants.js';
 import { getDomElementSelector, toElementTargets } from '../utils/dom-selector.js';
+import { CHECK_STATUS } from './utils.js';
 
 export const PREFLIGHT_METATAGS = 'metatags';
 
 /**
  * Extract selectors for metatag elements from the scraped HTML
  * @param {string} rawBody - The HTML content (must be truthy - caller should validate)
- * @param {string} tagName - The tag name (title, description, h1)
+ * @param {string} tagName - The tag name (title, description, h1 or a head tag like og:title)
  * @returns {string|string[]|null} Selector(s) for the tag
  */
 function generateSelectorsForTag(rawBody, tagName) {
@@ -45,8 +46,10 @@ function generateSelectorsForTag(rawBody, tagName) {
       .map((h1) => getDomElementSelector(h1))
       .filter(Boolean);
   }
-  /* c8 ignore next 2 - unreachable: only title/description/h1 tag names from metatags audit */
-  return null;
+  const headElement = tagName === CHARSET
+    ? $('head > meta[charset]').get(0)
+    : $(`head > meta[property="${tagName}"], head > meta[name="${tagName}"]`).get(0);
+  return headElement ? getDomElementSelector(headElement) : null;
 }
 
 export default async function metatags(context, auditContext) {
@@ -57,7 +60,6 @@ export default async function metatags(context, auditContext) {
     previewUrls,
     step,
     audits,
-    auditsResult,
     scrapedObjects,
     timeExecutionBreakdown,
   } = auditContext;
@@ -99,6 +101,7 @@ export default async function metatags(context, auditContext) {
     }
   });
 
+  let failure;
   try {
     const tagCollection = step === 'suggest'
       ? await metatagsAutoSuggest({
@@ -143,6 +146,7 @@ export default async function metatags(context, auditContext) {
     });
   } catch (error) {
     log.error(`[preflight-audit] site: ${site.getId()}, job: ${job.getId()}, step: ${step}. Meta tags audit failed: ${error.message}`);
+    failure = { status: CHECK_STATUS.FAILED, error: error.message };
   }
 
   const metatagsEndTime = Date.now();
@@ -157,5 +161,5 @@ export default async function metatags(context, auditContext) {
     endTime: metatagsEndTimestamp,
   });
 
-  await saveIntermediateResults(context, auditsResult, 'meta tags audit');
+  return failure;
 }
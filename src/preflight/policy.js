@@ -0,0 +1,163 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { CHECK_STATUS } from './utils.js';
+
+export const VERDICT_PASS = 'pass';
+export const VERDICT_WARN = 'warn';
+export const VERDICT_FAIL = 'fail';
+
+// Ordered from the least to the most severe
+export const SEVERITY_LEVELS = ['low', 'moderate', 'high', 'critical'];
+
+// Accessibility findings use the axe impacts as severity
+const SEVERITY_ALIASES = {
+  minor: 'low',
+  serious: 'high',
+};
+
+// Severity of the checks which failed, as the processing errors of the accessibility checks
+export const SEVERITY_ERROR = 'error';
+
+/**
+ * Reads the preflight policy of a site, stored in the site config as
+ * `handlers.preflight.policy`:
+ *
+ * {
+ *   "blocking": { "links": "high", "accessibility": "critical" },
+ *   "exceptions": [{ "urlPattern": "/drafts/", "checks": ["links"] }]
+ * }
+ *
+ * `blocking` maps the checks which block publishing to the lowest severity which blocks.
+ * Errors of these checks, and their findings with a severity off the scale, block at any
+ * severity, as the page cannot be shown to be fine. Findings on URLs matching the pattern
+ * of an exception never block, for the listed checks or for all checks if none are listed.
+ * Invalid severities and patterns are ignored.
+ *
+ * @param {Object} site - the site
+ * @param {Object} log - the logger
+ * @returns {{ blocking: Object<string, string>, exceptions: Object[] }} the policy
+ */
+export function getPreflightPolicy(site, log) {
+  const policy = site.getConfig()?.getHandlers()?.preflight?.policy || {};
+
+  const blocking = Object.fromEntries(Object.entries(policy.blocking || {})
+    .filter(([check, severity]) => {
+      if (!SEVERITY_LEVELS.includes(severity)) {
+        log.warn(`[preflight-audit] site: ${site.getId()}. Ignoring invalid blocking severity for ${check}: ${severity}`);
+        return false;
+      }
+      return true;
+    }));
+
+  const exceptions = (policy.exceptions || []).flatMap(({ urlPattern, checks }) => {
+    try {
+      return [{ pattern: new RegExp(urlPattern), checks }];
+    } catch (e) {
+      log.warn(`[preflight-audit] site: ${site.getId()}. Ignoring invalid exception pattern: ${urlPattern}`);
+      return [];
+    }
+  });
+
+  return { blocking, exceptions };
+}
+
+/**
+ * The severity of a finding, mapped onto the scale of SEVERITY_LEVELS where possible
+ * @param {Object} finding - the finding
+ * @returns {string|undefined} the severity, or undefined for findings without severity
+ */
+function getSeverity(finding) {
+  const severity = String(finding.seoImpact || finding.severity || '').toLowerCase();
+  return SEVERITY_ALIASES[severity] || severity || undefined;
+}
+
+/**
+ * Whether a severity reaches the lowest blocking severity of a check. Severities off the
+ * scale, as the ones of errors, reach any blocking severity.
+ */
+function reachesSeverity(severity, minSeverity) {
+  if (!SEVERITY_LEVELS.includes(severity)) {
+    return true;
+  }
+  return SEVERITY_LEVELS.indexOf(severity) >= SEVERITY_LEVELS.indexOf(minSeverity);
+}
+
+/**
+ * Lists the findings of a page result. The links audit groups the broken links of a page
+ * in one opportunity, whose issues are the findings. A check which failed on the page is a
+ * finding of severity `error`.
+ *
+ * @param {Object} pageResult - the result of a page
+ * @returns {Object[]} the `{ audit, check, finding }` of each finding
+ */
+function getFindings(pageResult) {
+  const findings = pageResult.audits.flatMap(({ name, opportunities }) => opportunities
+    .flatMap((opportunity) => (Array.isArray(opportunity.issue)
+      ? opportunity.issue.map((finding) => ({ audit: name, check: opportunity.check, finding }))
+      : [{ audit: name, check: opportunity.type || opportunity.check, finding: opportunity }])));
+  const checkErrors = Object.entries(pageResult.checks || {})
+    .filter(([, { status }]) => status === CHECK_STATUS.FAILED)
+    .map(([name, { error }]) => ({
+      audit: name,
+      check: name,
+      finding: { severity: SEVERITY_ERROR, issue: `The ${name} check failed: ${error}` },
+    }));
+  return [...findings, ...checkErrors];
+}
+
+/**
+ * Evaluates the results of a preflight job against the policy of the site. The verdict is
+ * `fail` if any finding blocks publishing, `warn` if there are other findings, and `pass`
+ * otherwise.
+ *
+ * @param {Object[]} auditsResult - the results of the pages
+ * @param {Object} policy - the policy, as returned by getPreflightPolicy
+ * @returns {{ verdict: string, blockingFindings: Object[] }} the verdict and blocking findings
+ */
+export function evaluatePolicy(auditsResult, policy) {
+  const { blocking, exceptions } = policy;
+  let findingsCount = 0;
+  const blockingFindings = [];
+
+  auditsResult.forEach(({ pageUrl, ...pageResult }) => {
+    getFindings(pageResult).forEach(({ audit, check, finding }) => {
+      findingsCount += 1;
+      const severity = getSeverity(finding);
+      const minSeverity = blocking[audit];
+      if (!severity || !minSeverity || !reachesSeverity(severity, minSeverity)) {
+        return;
+      }
+      const isException = exceptions.some(({ pattern, checks }) => (
+        !checks || checks.includes(audit)
+      ) && (pattern.test(pageUrl) || (finding.url && pattern.test(finding.url))));
+      if (!isException) {
+        blockingFindings.push({
+          pageUrl,
+          audit,
+          check,
+          severity,
+          issue: finding.issue || finding.description,
+          ...(finding.url ? { url: finding.url } : {}),
+        });
+      }
+    });
+  });
+
+  let verdict = VERDICT_PASS;
+  if (blockingFindings.length > 0) {
+    verdict = VERDICT_FAIL;
+  } else if (findingsCount > 0) {
+    verdict = VERDICT_WARN;
+  }
+  return { verdict, blockingFindings };
+}
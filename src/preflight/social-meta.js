@@ -0,0 +1,132 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { stripTrailingSlash } from '@adobe/spacecat-shared-utils';
+import { load as cheerioLoad } from 'cheerio';
+import { isPlaceholderImage } from './images.js';
+import { OG_IMAGE } from '../metatags/constants.js';
+import { extractImages, fetchImage } from '../image-optimization/image-analysis.js';
+import { getDomElementSelector, toElementTargets } from '../utils/dom-selector.js';
+
+export const PREFLIGHT_SOCIAL_META = 'social-meta';
+
+// Social networks do not show share images smaller than this, in pixels
+export const OG_IMAGE_MIN_SIZE = 200;
+
+/**
+ * Reads the Open Graph image of a page. Missing and relative og:image tags are reported by
+ * the metatags check, so only absolute image URLs are returned.
+ *
+ * @param {string} rawBody - the page HTML
+ * @returns {{ imageUrl: string, selector: string }|null} the og:image, or null
+ */
+export function getOgImage(rawBody) {
+  const $ = cheerioLoad(rawBody);
+  const tag = $(`head > meta[property="${OG_IMAGE}"], head > meta[name="${OG_IMAGE}"]`).get(0);
+  const imageUrl = tag && $(tag).attr('content')?.trim();
+  if (!imageUrl || !/^https?:\/\//i.test(imageUrl)) {
+    return null;
+  }
+  return { imageUrl, selector: getDomElementSelector(tag) };
+}
+
+/**
+ * Checks the image which social networks show when a page is shared.
+ *
+ * @param {Object} ogImage - the og:image, as returned by getOgImage
+ * @param {Object} log - the logger
+ * @param {Object} authHeader - the authentication header of the preview host
+ * @param {string} previewBaseURL - the origin of the preview host
+ * @returns {Promise<Object|null>} the check and issue, or null if the image is fine
+ */
+async function checkOgImage({ imageUrl }, log, authHeader, previewBaseURL) {
+  if (isPlaceholderImage(imageUrl)) {
+    return { check: 'og-image-placeholder', issue: 'The og:image is a placeholder image', seoImpact: 'High' };
+  }
+
+  const headers = new URL(imageUrl).origin === previewBaseURL ? authHeader.headers : {};
+  const file = await fetchImage(imageUrl, log, headers);
+  if (!file) {
+    return { check: 'og-image-broken', issue: 'The og:image cannot be loaded', seoImpact: 'High' };
+  }
+  if (file.width && (file.width < OG_IMAGE_MIN_SIZE || file.height < OG_IMAGE_MIN_SIZE)) {
+    return {
+      check: 'og-image-too-small',
+      issue: `The og:image is ${file.width}x${file.height} pixels, below the ${OG_IMAGE_MIN_SIZE}x${OG_IMAGE_MIN_SIZE} minimum of social networks`,
+      seoImpact: 'Moderate',
+    };
+  }
+  return null;
+}
+
+export default async function socialMeta(context, auditContext) {
+  const {
+    site, job, log,
+  } = context;
+  const {
+    authHeader,
+    previewBaseURL,
+    previewUrls,
+    step,
+    audits,
+    scrapedObjects,
+    timeExecutionBreakdown,
+  } = auditContext;
+
+  const socialMetaStartTime = Date.now();
+  const socialMetaStartTimestamp = new Date().toISOString();
+
+  // Create social meta audit entries for all pages
+  previewUrls.forEach((url) => {
+    const pageResult = audits.get(url);
+    pageResult.audits.push({ name: PREFLIGHT_SOCIAL_META, type: 'seo', opportunities: [] });
+  });
+
+  await Promise.all(scrapedObjects.map(async ({ data }) => {
+    const url = stripTrailingSlash(data.finalUrl);
+    const audit = audits.get(url)?.audits.find((a) => a.name === PREFLIGHT_SOCIAL_META);
+    const rawBody = data.scrapeResult?.rawBody;
+    const ogImage = audit && rawBody && getOgImage(rawBody);
+    if (!ogImage) {
+      return;
+    }
+
+    const finding = await checkOgImage(ogImage, log, authHeader, previewBaseURL);
+    if (!finding) {
+      return;
+    }
+
+    // in suggest mode, the first content image of the page is proposed as share image
+    const suggestion = step === 'suggest'
+      ? extractImages(rawBody, url).find(({ imageUrl }) => !isPlaceholderImage(imageUrl))
+      : null;
+    audit.opportunities.push({
+      ...finding,
+      imageUrl: ogImage.imageUrl,
+      seoRecommendation: 'Use an image of at least 1200x630 pixels showing the content of the page',
+      ...(suggestion ? { suggestion: suggestion.imageUrl } : {}),
+      ...toElementTargets(ogImage.selector),
+    });
+  }));
+
+  const socialMetaEndTime = Date.now();
+  const socialMetaEndTimestamp = new Date().toISOString();
+  const socialMetaElapsed = ((socialMetaEndTime - socialMetaStartTime) / 1000).toFixed(2);
+  log.debug(`[preflight-audit] site: ${site.getId()}, job: ${job.getId()}, step: ${step}. Social meta audit completed in ${socialMetaElapsed} seconds`);
+
+  timeExecutionBreakdown.push({
+    name: PREFLIGHT_SOCIAL_META,
+    duration: `${socialMetaElapsed} seconds`,
+    startTime: socialMetaStartTimestamp,
+    endTime: socialMetaEndTimestamp,
+  });
+}
@@ -0,0 +1,188 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { isNonEmptyObject, stripTrailingSlash } from '@adobe/spacecat-shared-utils';
+import { AzureOpenAIClient } from '@adobe/spacecat-shared-gpt-client';
+import { load as cheerioLoad } from 'cheerio';
+import {
+  generateFirefallSuggestion,
+  getIssuesFromScraper,
+  getWrongMarkup,
+  RICH_RESULT_STATUS,
+} from '../structured-data/lib.js';
+import { getDomElementSelector, toElementTargets } from '../utils/dom-selector.js';
+import { limitConcurrency } from '../support/utils.js';
+import { CHECK_STATUS } from './utils.js';
+
+export const PREFLIGHT_STRUCTURED_DATA = 'structured-data';
+
+const MAX_CONCURRENT_SUGGESTIONS = 5;
+
+/**
+ * Lists the JSON-LD blocks of a page which cannot be parsed. The scraper drops these blocks,
+ * so they are read from the page HTML.
+ *
+ * @param {string} rawBody - the page HTML
+ * @returns {Object[]} the `{ error, selector }` of each invalid block
+ */
+export function getInvalidJsonLdBlocks(rawBody) {
+  const $ = cheerioLoad(rawBody);
+  return $('script[type="application/ld+json"]').toArray().flatMap((script) => {
+    try {
+      JSON.parse($(script).html());
+      return [];
+    } catch (e) {
+      return [{ error: e.message, selector: getDomElementSelector(script) }];
+    }
+  });
+}
+
+/**
+ * Drafts the corrected markup of each structured data error with the LLM, as the
+ * structured-data audit does. Errors without draft keep no suggestion.
+ */
+async function addSuggestions(context, issues, scrapesByUrl) {
+  const { log } = context;
+
+  let client;
+  try {
+    client = AzureOpenAIClient.createFrom(context);
+  } catch (e) {
+    log.warn(`[preflight-audit] Failed to create the LLM client, skipping structured data suggestions: ${e.message}`);
+    return;
+  }
+
+  await limitConcurrency(issues.map((issue) => async () => {
+    const scrape = scrapesByUrl.get(issue.pageUrl);
+    try {
+      // eslint-disable-next-line no-param-reassign
+      issue.suggestion = await generateFirefallSuggestion(
+        context,
+        client,
+        { responseFormat: 'json_object' },
+        issue,
+        getWrongMarkup(context, issue, scrape),
+        scrape,
+      );
+    } catch (e) {
+      log.warn(`[preflight-audit] Failed to suggest a fix for the ${issue.rootType} markup of ${issue.pageUrl}: ${e.message}`);
+    }
+  }), MAX_CONCURRENT_SUGGESTIONS);
+}
+
+export default async function structuredData(context, auditContext) {
+  const {
+    site, job, log,
+  } = context;
+  const {
+    previewUrls,
+    step,
+    audits,
+    scrapedObjects,
+    timeExecutionBreakdown,
+  } = auditContext;
+
+  const structuredDataStartTime = Date.now();
+  const structuredDataStartTimestamp = new Date().toISOString();
+
+  // Create structured data audit entries for all pages
+  previewUrls.forEach((url) => {
+    const pageResult = audits.get(url);
+    pageResult.audits.push({ name: PREFLIGHT_STRUCTURED_DATA, type: 'seo', opportunities: [] });
+  });
+
+  const findAudit = (url) => audits.get(url)?.audits
+    .find((a) => a.name === PREFLIGHT_STRUCTURED_DATA);
+
+  let failure;
+  try {
+    const scrapesByUrl = new Map(scrapedObjects
+      .filter(({ data }) => findAudit(stripTrailingSlash(data.finalUrl)))
+      .map(({ data }) => [stripTrailingSlash(data.finalUrl), data]));
+
+    scrapesByUrl.forEach((scrape, url) => {
+      getInvalidJsonLdBlocks(scrape.scrapeResult?.rawBody || '').forEach(({ error, selector }) => {
+        findAudit(url).opportunities.push({
+          check: 'structured-data-invalid-json',
+          issue: `JSON-LD block cannot be parsed: ${error}`,
+          seoImpact: 'High',
+          seoRecommendation: 'Fix the JSON syntax of the block, search engines ignore invalid JSON-LD',
+          ...toElementTargets(selector),
+        });
+      });
+    });
+
+    // Validation needs the structured data extracted by the scraper, in its current format
+    const validatedUrls = [...scrapesByUrl.keys()]
+      .filter((url) => isNonEmptyObject(scrapesByUrl.get(url).scrapeResult?.structuredData));
+    const scrapeCache = new Map(validatedUrls.map((url) => [
+      new URL(url).pathname.replace(/\/$/, ''),
+      Promise.resolve(scrapesByUrl.get(url)),
+    ]));
+    const { issues, eligibility } = await getIssuesFromScraper(
+      context,
+      validatedUrls.map((url) => ({ url })),
+      scrapeCache,
+    );
+
+    if (step === 'suggest' && issues.length > 0) {
+      await addSuggestions(context, issues, scrapesByUrl);
+    }
+
+    issues.forEach((issue) => {
+      findAudit(issue.pageUrl).opportunities.push({
+        check: 'structured-data-error',
+        issue: issue.issueMessage,
+        rootType: issue.rootType,
+        dataFormat: issue.dataFormat,
+        seoImpact: 'High',
+        seoRecommendation: `Fix the ${issue.rootType} markup, as invalid structured data is not used for rich results`,
+        ...(issue.suggestion ? {
+          aiSuggestion: issue.suggestion.correctedMarkup,
+          aiRationale: issue.suggestion.aiRationale,
+        } : {}),
+      });
+    });
+
+    // Missing required properties which the validator did not already report as errors
+    eligibility
+      .filter(({ status, errorCount }) => status === RICH_RESULT_STATUS.NOT_ELIGIBLE
+        && errorCount === 0)
+      .forEach(({ pageUrl, type, missingRequired }) => {
+        findAudit(pageUrl).opportunities.push({
+          check: 'rich-result-not-eligible',
+          issue: `The ${type} markup is not eligible for rich results, missing: ${missingRequired.join(', ')}`,
+          rootType: type,
+          seoImpact: 'Moderate',
+          seoRecommendation: `Add the required properties to the ${type} markup`,
+        });
+      });
+  } catch (error) {
+    log.error(`[preflight-audit] site: ${site.getId()}, job: ${job.getId()}, step: ${step}. Structured data audit failed: ${error.message}`);
+    failure = { status: CHECK_STATUS.FAILED, error: error.message };
+  }
+
+  const structuredDataEndTime = Date.now();
+  const structuredDataEndTimestamp = new Date().toISOString();
+  const structuredDataElapsed = ((structuredDataEndTime - structuredDataStartTime) / 1000)
+    .toFixed(2);
+  log.debug(`[preflight-audit] site: ${site.getId()}, job: ${job.getId()}, step: ${step}. Structured data audit completed in ${structuredDataElapsed} seconds`);
+
+  timeExecutionBreakdown.push({
+    name: PREFLIGHT_STRUCTURED_DATA,
+    duration: `${structuredDataElapsed} seconds`,
+    startTime: structuredDataStartTimestamp,
+    endTime: structuredDataEndTimestamp,
+  });
+
+  return failure;
+}
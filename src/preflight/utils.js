@@ -28,6 +28,97 @@ export async function saveIntermediateResults(context, result, auditName) {
   }
 }
 
+export const CHECK_STATUS = Object.freeze({
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+});
+
+/**
+ * Updates the status of checks in the `checks` map of each page result, so that authoring
+ * UIs can render the results of each check as soon as it is done.
+ *
+ * @param {Array<Object>} auditsResult - the page results
+ * @param {Array<string>} checkNames - the names of the checks
+ * @param {Object} status - the status and timing fields to set
+ */
+export function setCheckStatus(auditsResult, checkNames, status) {
+  auditsResult.forEach((pageResult) => {
+    // eslint-disable-next-line no-param-reassign
+    pageResult.checks = pageResult.checks || {};
+    checkNames.forEach((name) => {
+      // eslint-disable-next-line no-param-reassign
+      pageResult.checks[name] = { ...pageResult.checks[name], ...status };
+    });
+  });
+}
+
+/**
+ * Runs checks and saves the results with the status of the checks on each page: when the
+ * checks start, when a page is reported with its own status, and when the checks are done.
+ *
+ * `run` is given a `reportPageStatus(pageUrl, { status, error })` function, for checks to
+ * report a page as done or failed as soon as it is. The pages which are not reported get
+ * the status of the checks: failed if `run` throws, whose error is rethrown, or if it
+ * returns `{ status: 'failed', error }`, still running if it returns `{ processing: true }`,
+ * as the results are awaited from another service, and done otherwise.
+ *
+ * @param {Object} context - the audit context
+ * @param {Array<Object>} auditsResult - the page results
+ * @param {Array<string>} checkNames - the names of the checks
+ * @param {Function} run - runs the checks
+ * @returns {Promise<*>} the result of run
+ */
+export async function runChecks(context, auditsResult, checkNames, run) {
+  const checksLabel = checkNames.join(', ');
+  const startTime = Date.now();
+  setCheckStatus(auditsResult, checkNames, {
+    status: CHECK_STATUS.RUNNING,
+    startTime: new Date(startTime).toISOString(),
+  });
+  await saveIntermediateResults(context, auditsResult, `${checksLabel} started`);
+
+  const finish = (pageResults, outcome) => {
+    const endTime = Date.now();
+    setCheckStatus(pageResults, checkNames, {
+      ...outcome,
+      endTime: new Date(endTime).toISOString(),
+      duration: `${((endTime - startTime) / 1000).toFixed(2)} seconds`,
+    });
+  };
+  const isRunning = (pageResult) => checkNames
+    .some((name) => pageResult.checks[name].status === CHECK_STATUS.RUNNING);
+
+  const reportPageStatus = async (pageUrl, outcome) => {
+    finish(auditsResult.filter((pageResult) => pageResult.pageUrl === pageUrl), outcome);
+    await saveIntermediateResults(context, auditsResult, `${checksLabel} ${outcome.status} for ${pageUrl}`);
+  };
+  const finishRunningPages = async (outcome) => {
+    const runningPages = auditsResult.filter(isRunning);
+    if (runningPages.length === 0) {
+      return;
+    }
+    finish(runningPages, outcome);
+    await saveIntermediateResults(context, auditsResult, `${checksLabel} ${outcome.status}`);
+  };
+
+  let result;
+  try {
+    result = await run(reportPageStatus);
+  } catch (error) {
+    await finishRunningPages({ status: CHECK_STATUS.FAILED, error: error.message });
+    throw error;
+  }
+
+  if (result?.status === CHECK_STATUS.FAILED) {
+    await finishRunningPages({ status: CHECK_STATUS.FAILED, error: result.error });
+  } else if (!result?.processing) {
+    await finishRunningPages({ status: CHECK_STATUS.DONE });
+  }
+  return result;
+}
+
 export function isValidUrls(urls) {
   return (
     isNonEmptyArray(urls)
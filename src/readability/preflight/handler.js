@@ -13,7 +13,6 @@
 import rs from 'text-readability';
 import { load as cheerioLoad } from 'cheerio';
 import { franc } from 'franc-min';
-import { saveIntermediateResults } from '../../preflight/utils.js';
 
 import { sendReadabilityToMystique } from '../shared/async-mystique.js';
 import {
@@ -447,8 +446,6 @@ export default async function readability(context, auditContext) {
     endTime: readabilityEndTimestamp,
   });
 
-  await saveIntermediateResults(context, auditsResult, `readability ${step}`);
-
   // Always return a value to satisfy consistent-return
   // eslint-disable-next-line consistent-return
   return { processing: isProcessing };
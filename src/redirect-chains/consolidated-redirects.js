@@ -0,0 +1,193 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { PutObjectCommand } from '@aws-sdk/client-s3';
+import { isDryRun } from '../common/dry-run.js';
+import { is404page } from './opportunity-utils.js';
+import { patchRedirectRules } from './redirect-parsers.js';
+
+export const CONSOLIDATED_REDIRECTS_PREFIX = 'redirect-chains';
+
+const isRedirectLoop = ({ redirectChain }) => {
+  const urls = (redirectChain || '').split(' -> ').filter(Boolean);
+  return new Set(urls).size < urls.length;
+};
+
+const toRelative = (url, origin) => (url.startsWith(origin) ? url.slice(origin.length) || '/' : url);
+
+/**
+ * Returns the corrected row for a checked entry, and the change made to the entry if any.
+ * Entries that never apply (duplicates, self-redirects, loops) are removed, chains are
+ * collapsed to redirect straight to the final URL, and fully qualified URLs are made relative.
+ * Entries that need a manual check (HTTP errors, 404 pages) are kept as they are.
+ */
+function consolidateEntry(result, finalUrl) {
+  const { origSrc: source, origDest: destination } = result;
+  const remove = (reason) => ({
+    change: {
+      change: 'remove', source, destination, reasons: [reason],
+    },
+  });
+
+  if (result.isDuplicateSrc) {
+    return remove('duplicate-src');
+  }
+  if (result.hasSameSrcDest) {
+    return remove('same-src-dest');
+  }
+  if (isRedirectLoop(result)) {
+    return remove('redirect-loop');
+  }
+
+  const reasons = [];
+  let newSource = source;
+  let newDestination = destination;
+  if (result.status < 400 && !result.fullFinalMatchesDestUrl && !is404page(result.fullFinal)) {
+    if (result.fullFinal === result.fullSrc) {
+      return remove('src-is-final');
+    }
+    newDestination = finalUrl;
+    reasons.push('final-mismatch');
+  }
+  if (result.tooQualified) {
+    const { origin } = new URL(result.fullSrc);
+    newSource = toRelative(newSource, origin);
+    newDestination = toRelative(newDestination, origin);
+    reasons.push('too-qualified');
+  }
+  if (newSource === newDestination) {
+    return remove('same-src-dest');
+  }
+
+  return {
+    row: { source: newSource, destination: newDestination },
+    change: reasons.length > 0 ? {
+      change: 'update', source, destination, newSource, newDestination, reasons,
+    } : undefined,
+  };
+}
+
+/**
+ * Consolidates the checked entries of one redirects file into the rows of a corrected,
+ * de-duplicated file, plus the list of changes made to the current file.
+ *
+ * @param {Object[]} entries - The `{ result, finalUrl }` of each entry of the file, sorted by
+ *   source URL.  `result` has the structure returned by `followAnyRedirectForUrl`, and
+ *   `finalUrl` is the final URL in the style of the source URL, as from `getSuggestedFix`.
+ * @returns {{rows: Object[], changes: Object[]}} The `{ source, destination }` rows of the
+ *   corrected file, and the `remove` and `update` changes with their reasons.
+ */
+export function consolidateRedirects(entries) {
+  const rows = [];
+  const changes = [];
+  const sources = new Set();
+  entries.forEach(({ result, finalUrl }) => {
+    const { row, change } = consolidateEntry(result, finalUrl);
+    if (row && sources.has(row.source)) {
+      // made relative, the entry now uses the same source URL as an earlier one
+      changes.push({
+        change: 'remove',
+        source: result.origSrc,
+        destination: result.origDest,
+        reasons: ['duplicate-src'],
+      });
+      return;
+    }
+    if (row) {
+      sources.add(row.source);
+      rows.push(row);
+    }
+    if (change) {
+      changes.push(change);
+    }
+  });
+  return { rows, changes };
+}
+
+/**
+ * Writes a corrected copy of each redirects file that has changes to S3, together with a JSON
+ * diff listing the changes.  The corrected copy is the current file with the changes applied
+ * in place: rules the parsers skip, entries outside the audit scope, comments and the status
+ * codes of the rules are kept as they are, so the copy can replace the current file.
+ *
+ * Nothing is written during dry runs, or without an S3 client and scraper bucket.
+ *
+ * @param {Object[]} files - The `{ redirectsFile, format, text, entries }` of each redirects
+ *   file, where `text` is its current content.  See `consolidateRedirects` for the entries.
+ * @param {string} siteId - The ID of the audited site.
+ * @param {Object} context - The context object containing the logger, S3 client and env.
+ * @returns {Promise<Object[]>} The `{ redirectsFile, format, bucket, fileKey, diffKey,
+ *   removedCount, updatedCount }` of each file written.
+ */
+export async function storeConsolidatedRedirects(files, siteId, context) {
+  const { env, log, s3Client } = context;
+  const bucket = env?.S3_SCRAPER_BUCKET_NAME;
+  if (isDryRun(context) || !s3Client || !bucket) {
+    return [];
+  }
+
+  const generatedAt = new Date().toISOString();
+  const prefix = `${CONSOLIDATED_REDIRECTS_PREFIX}/${siteId}/${generatedAt}`;
+  const stored = await Promise.all(files.map(async ({
+    redirectsFile, format, text, entries,
+  }, index) => {
+    const { changes } = consolidateRedirects(entries);
+    if (changes.length === 0) {
+      return null;
+    }
+    const file = text && patchRedirectRules(text, format, changes.map((change) => ({
+      source: change.source,
+      destination: change.destination,
+      replacement: change.change === 'remove'
+        ? null
+        : { source: change.newSource, destination: change.newDestination },
+    })));
+    if (!file) {
+      log.warn(`Cannot apply the fixes to the ${format} redirects file ${redirectsFile}`);
+      return null;
+    }
+
+    const fileName = redirectsFile.split(/[?#]/)[0].split('/').pop();
+    const fileKey = `${prefix}/${index}/${fileName}`;
+    const diffKey = `${prefix}/${index}/diff.json`;
+    try {
+      await s3Client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: fileKey,
+        Body: file.body,
+        ContentType: file.contentType,
+      }));
+      await s3Client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: diffKey,
+        Body: JSON.stringify({
+          redirectsFile, format, generatedAt, changes,
+        }, null, 2),
+        ContentType: 'application/json',
+      }));
+    } catch (e) {
+      log.warn(`Failed to store the consolidated redirects file of ${redirectsFile}: ${e.message}`);
+      return null;
+    }
+
+    return {
+      redirectsFile,
+      format,
+      bucket,
+      fileKey,
+      diffKey,
+      removedCount: changes.filter(({ change }) => change === 'remove').length,
+      updatedCount: changes.filter(({ change }) => change === 'update').length,
+    };
+  }));
+  return stored.filter(Boolean);
+}
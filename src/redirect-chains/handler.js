@@ -16,6 +16,7 @@ import {
   tracingFetch as fetch,
 } from '@adobe/spacecat-shared-utils';
 import { getUrlWithoutPath } from '../support/utils.js';
+import { getObjectFromKey } from '../utils/s3-utils.js';
 import { AuditBuilder } from '../common/audit-builder.js';
 import { noopUrlResolver } from '../common/base-audit.js';
 import { syncSuggestions } from '../utils/data-access.js';
@@ -26,6 +27,13 @@ import {
   is404page,
   getStringByteLength,
 } from './opportunity-utils.js';
+import {
+  REDIRECT_FORMATS,
+  detectRedirectFormat,
+  parseRedirectRules,
+  toRedirectRow,
+} from './redirect-parsers.js';
+import { storeConsolidatedRedirects } from './consolidated-redirects.js';
 
 const auditType = 'redirect-chains';
 
@@ -356,65 +364,53 @@ export async function getJsonData(url, log) {
 }
 
 /**
- * Processes the /redirects.json file and returns a sorted array of all the page URLs referenced.
- *  * Filters out entries to only include those source URLs that start with the audit scope.
- *  * Duplicates are marked.  The last occurrence of a duplicate is kept as the original.
- *  * Marks any entries that are fully qualified (vs relative) as 'tooQualified'.
- *  * Marks any entries that have the same source and destination URLs as 'hasSameSrcDest'.
- *
- * If there is no /redirects.json file, then an empty array is returned.
- *
- * The function tries to find /redirects.json using the full auditScopeUrl (including subpaths).
- * If not found, it falls back to trying the base URL without any subpaths.
+ * Returns the text content retrieved from a given URL.
+ * If the fetch fails, returns an empty string.
  *
- * @param {string} auditScopeUrl - The audit scope URL defining which Source URLs to check.
- *                                 Ex: https://www.example.com or https://www.example.com/fr
+ * @param {string} url - The URL to fetch the text from.
+ *                       Ex: https://www.example.com/.htaccess
  * @param {Object} log - The logger object to use for logging.
- * @returns {Promise<Object[]>} An array of page URLs.  Might be empty.
+ * @returns {Promise<string>} The retrieved text, or an empty string
  */
-export async function processRedirectsFile(auditScopeUrl, log) {
-  // Try to find /redirects.json at the full audit scope URL first (with subpaths if present)
-  // Ensure that the very end of our URL does not have a trailing slash. Defensive coding.
-  const cleanedAuditScopeUrl = auditScopeUrl.endsWith('/') ? auditScopeUrl.slice(0, -1) : auditScopeUrl;
-  let redirectsUrl = `${cleanedAuditScopeUrl}/redirects.json`;
-  log.info(`${AUDIT_LOGGING_NAME} - Looking for redirects file at: ${redirectsUrl}`);
-  let redirectsJson = await getJsonData(redirectsUrl, log);
-  // If not found and auditScopeUrl has subpaths, try without subpaths as fallback
-  if ((!redirectsJson || !redirectsJson.data || !redirectsJson.data.length)) {
-    const urlWithoutPath = getUrlWithoutPath(cleanedAuditScopeUrl);
-    // Only try this fallback URL is different from the cleanedAuditScopeUrl
-    if (urlWithoutPath !== cleanedAuditScopeUrl) {
-      redirectsUrl = `${urlWithoutPath}/redirects.json`;
-      log.info(`${AUDIT_LOGGING_NAME} - Redirects file not found with subpaths, trying fallback at: ${redirectsUrl}`);
-      redirectsJson = await getJsonData(redirectsUrl, log);
+export async function getTextData(url, log) {
+  try {
+    const response = await fetch(url, {
+      method: 'GET',
+      redirect: 'follow',
+      headers: { 'User-Agent': USER_AGENT },
+    });
+    if (!response.ok) {
+      log.error(`${AUDIT_LOGGING_NAME} - Error trying to get ${url} ... HTTP code: ${response.status}`);
+      return '';
     }
+    return await response.text();
+  } catch (error) {
+    log.error(`${AUDIT_LOGGING_NAME} - Error in method "getTextData" for URL: ${url} ...`, error);
+    return '';
   }
-  if (!redirectsJson || !redirectsJson.data || !redirectsJson.data.length) {
-    log.info(`${AUDIT_LOGGING_NAME} - No redirects file found or file is empty`);
-    return []; // no /redirects.json file found anywhere, or there are no entries in the file
-  }
+}
 
-  log.info(`${AUDIT_LOGGING_NAME} - Successfully loaded redirects file from: ${redirectsUrl}`);
-  // if we only received part of the entries that are available, then ask for the entire file
-  const totalEntries = redirectsJson.total;
-  if (redirectsJson.data.length < totalEntries) {
-    redirectsJson = await getJsonData(`${redirectsUrl}?limit=${totalEntries}`, log);
-    if (!redirectsJson || !redirectsJson.data || !redirectsJson.data.length) {
-      // not expected, since we previously got the file without a query parameter, but just in case.
-      return []; // no /redirects.json file found, or there are no entries in the file
-    }
-  }
-  // sanity check: log if we do not have all the entries
-  if (redirectsJson.data.length !== totalEntries) {
-    log.warn(`${AUDIT_LOGGING_NAME} - Expected ${totalEntries} entries in ${redirectsUrl}, but found only ${redirectsJson.data.length}.`);
+/**
+ * Builds the entries checked by the audit from the rows of a redirects file, sorted by
+ * source URL.
+ *  * Duplicates are marked.  The last row of a duplicate is kept as the original.
+ *  * Marks any entries that are fully qualified (vs relative) as 'tooQualified'.
+ *  * Marks any entries that have the same source and destination URLs as 'hasSameSrcDest'.
+ *
+ * @param {Object[]} rows - The `{ source, destination }` rows, in the order of the file.
+ * @param {string} referencedBy - The location of the redirects file.
+ * @param {string} cleanedAuditScopeUrl - The audit scope URL, without a trailing slash.
+ * @returns {Object[]} The entries.  See the structure used by `followAnyRedirectForUrl`.
+ */
+function buildRedirectEntries(rows, referencedBy, cleanedAuditScopeUrl) {
+  if (rows.length === 0) {
+    return [];
   }
-
-  // Extract the page URLs from the 'data' property of the /redirects.json file.
   // Sort the list by source URL.
-  const pageUrls = redirectsJson.data.map((row) => ({
-    referencedBy: redirectsUrl,
-    origSrc: (row.Source || row.source) ?? '', // try 'Source' first, then 'source' ... or use an empty string if both are undefined
-    origDest: (row.Destination || row.destination) ?? '', // likewise for 'Destination' vs 'destination' ... or use an empty string if both are undefined
+  const pageUrls = rows.map((row) => ({
+    referencedBy,
+    origSrc: row.source,
+    origDest: row.destination,
     isDuplicateSrc: false, // assume this is a unique entry
     ordinalDuplicate: 0, // assume there are no duplicates for this particular "origSrc" URL
     tooQualified: false, // assume this entry correctly uses relative URLs
@@ -428,6 +424,7 @@ export async function processRedirectsFile(auditScopeUrl, log) {
     // is this entry a duplicate?
     if (pageUrls[i].origSrc === pageUrls[i + 1].origSrc) {
       // mark the ~first~ occurrence as the duplicate, which is correct for /redirects.json entries
+      // (files where the first rule wins are reversed before they get here)
       pageUrls[i].isDuplicateSrc = true;
       ordinalDuplicate += 1; // 1 means 1st in the set, 2 means 2nd, etc.
       pageUrls[i].ordinalDuplicate = ordinalDuplicate;
@@ -455,6 +452,18 @@ export async function processRedirectsFile(auditScopeUrl, log) {
     pageUrls[pageUrls.length - 1].hasSameSrcDest = true; // "has same source and destination URLs"
   }
 
+  return pageUrls;
+}
+
+/**
+ * Filters the entries to only include those source URLs that start with the audit scope.
+ *
+ * @param {Object[]} pageUrls - The entries.  See `buildRedirectEntries`.
+ * @param {string} cleanedAuditScopeUrl - The audit scope URL, without a trailing slash.
+ * @param {Object} log - The logger object to use for logging.
+ * @returns {Object[]} The entries in the audit scope.
+ */
+function filterEntriesToAuditScope(pageUrls, cleanedAuditScopeUrl, log) {
   // Filter pageUrls to only include entries that match the audit scope
   const parsedAuditScopeUrl = new URL(cleanedAuditScopeUrl);
   const scopePath = parsedAuditScopeUrl.pathname;
@@ -492,6 +501,144 @@ export async function processRedirectsFile(auditScopeUrl, log) {
   return filteredPageUrls;
 }
 
+/**
+ * Processes the /redirects.json file and returns a sorted array of all the page URLs referenced.
+ *  * Filters out entries to only include those source URLs that start with the audit scope.
+ *  * Duplicates are marked.  The last occurrence of a duplicate is kept as the original.
+ *  * Marks any entries that are fully qualified (vs relative) as 'tooQualified'.
+ *  * Marks any entries that have the same source and destination URLs as 'hasSameSrcDest'.
+ *
+ * If there is no /redirects.json file, then an empty array is returned.
+ *
+ * The function tries to find /redirects.json using the full auditScopeUrl (including subpaths).
+ * If not found, it falls back to trying the base URL without any subpaths.
+ *
+ * @param {string} auditScopeUrl - The audit scope URL defining which Source URLs to check.
+ *                                 Ex: https://www.example.com or https://www.example.com/fr
+ * @param {Object} log - The logger object to use for logging.
+ * @param {Map<string, string>} [sources] - Receives the content of the file, keyed by its URL.
+ * @returns {Promise<Object[]>} An array of page URLs.  Might be empty.
+ */
+export async function processRedirectsFile(auditScopeUrl, log, sources) {
+  // Try to find /redirects.json at the full audit scope URL first (with subpaths if present)
+  // Ensure that the very end of our URL does not have a trailing slash. Defensive coding.
+  const cleanedAuditScopeUrl = auditScopeUrl.endsWith('/') ? auditScopeUrl.slice(0, -1) : auditScopeUrl;
+  let redirectsUrl = `${cleanedAuditScopeUrl}/redirects.json`;
+  log.info(`${AUDIT_LOGGING_NAME} - Looking for redirects file at: ${redirectsUrl}`);
+  let redirectsJson = await getJsonData(redirectsUrl, log);
+  // If not found and auditScopeUrl has subpaths, try without subpaths as fallback
+  if ((!redirectsJson || !redirectsJson.data || !redirectsJson.data.length)) {
+    const urlWithoutPath = getUrlWithoutPath(cleanedAuditScopeUrl);
+    // Only try this fallback URL is different from the cleanedAuditScopeUrl
+    if (urlWithoutPath !== cleanedAuditScopeUrl) {
+      redirectsUrl = `${urlWithoutPath}/redirects.json`;
+      log.info(`${AUDIT_LOGGING_NAME} - Redirects file not found with subpaths, trying fallback at: ${redirectsUrl}`);
+      redirectsJson = await getJsonData(redirectsUrl, log);
+    }
+  }
+  if (!redirectsJson || !redirectsJson.data || !redirectsJson.data.length) {
+    log.info(`${AUDIT_LOGGING_NAME} - No redirects file found or file is empty`);
+    return []; // no /redirects.json file found anywhere, or there are no entries in the file
+  }
+
+  log.info(`${AUDIT_LOGGING_NAME} - Successfully loaded redirects file from: ${redirectsUrl}`);
+  // if we only received part of the entries that are available, then ask for the entire file
+  const totalEntries = redirectsJson.total;
+  if (redirectsJson.data.length < totalEntries) {
+    redirectsJson = await getJsonData(`${redirectsUrl}?limit=${totalEntries}`, log);
+    if (!redirectsJson || !redirectsJson.data || !redirectsJson.data.length) {
+      // not expected, since we previously got the file without a query parameter, but just in case.
+      return []; // no /redirects.json file found, or there are no entries in the file
+    }
+  }
+  // sanity check: log if we do not have all the entries
+  if (redirectsJson.data.length !== totalEntries) {
+    log.warn(`${AUDIT_LOGGING_NAME} - Expected ${totalEntries} entries in ${redirectsUrl}, but found only ${redirectsJson.data.length}.`);
+  }
+  sources?.set(redirectsUrl, JSON.stringify(redirectsJson));
+
+  const pageUrls = buildRedirectEntries(
+    redirectsJson.data.map(toRedirectRow),
+    redirectsUrl,
+    cleanedAuditScopeUrl,
+  );
+  return filterEntriesToAuditScope(pageUrls, cleanedAuditScopeUrl, log);
+}
+
+/**
+ * Returns where a configured redirect rules file is read from, and its format.
+ *
+ * @param {Object} file - The redirect rules file, as configured.
+ *                        See `processRedirectRulesFile`.
+ * @param {Object} env - The environment variables.
+ * @returns {{bucket: string, referencedBy: string, format: string}} The S3 bucket, if read from
+ *   S3, the location used as `referencedBy` of its entries, and its format.
+ */
+function resolveRedirectRulesFile(file, env) {
+  const bucket = file.bucket || env.S3_IMPORTER_BUCKET_NAME;
+  return {
+    bucket,
+    referencedBy: file.s3Key ? `s3://${bucket}/${file.s3Key}` : file.url,
+    format: file.format || detectRedirectFormat(file.s3Key || file.url || ''),
+  };
+}
+
+/**
+ * Processes a redirect rules file that is kept outside of /redirects.json, such as an Apache
+ * .htaccess file, an Nginx config, a CSV export of an edge dictionary or a Netlify _redirects
+ * file.  Its rows are turned into the same entries as `processRedirectsFile` returns.
+ * For files where the first rule for a source URL wins, the later rules are the duplicates.
+ *
+ * The file is listed in the `redirectFiles` of the audit's handler config, and is either
+ * fetched from a URL or read from an S3 upload:
+ *  {
+ *    url: string,    // ex: https://www.example.com/.htaccess
+ *    s3Key: string,  // ex: redirects/site-id/_redirects
+ *    bucket: string, // optional, defaults to the importer bucket
+ *    format: string, // optional, detected from the file name. See `REDIRECT_FORMATS`.
+ *  }
+ *
+ * @param {string} auditScopeUrl - The audit scope URL defining which Source URLs to check.
+ * @param {Object} file - The redirect rules file, as configured.
+ * @param {Object} context - The audit context containing logger, S3 client, env, etc.
+ * @param {Map<string, string>} [sources] - Receives the content of the file, keyed by its
+ *                                          location.
+ * @returns {Promise<Object[]>} An array of page URLs.  Might be empty.
+ */
+export async function processRedirectRulesFile(auditScopeUrl, file, context, sources) {
+  const { log, s3Client, env } = context;
+  const cleanedAuditScopeUrl = auditScopeUrl.endsWith('/') ? auditScopeUrl.slice(0, -1) : auditScopeUrl;
+  const { bucket, referencedBy, format } = resolveRedirectRulesFile(file, env);
+  if (!referencedBy || !format) {
+    log.warn(`${AUDIT_LOGGING_NAME} - Skipping redirects file with unknown location or format: ${JSON.stringify(file)}`);
+    return [];
+  }
+
+  log.info(`${AUDIT_LOGGING_NAME} - Reading ${format} redirects file at: ${referencedBy}`);
+  const content = file.s3Key
+    ? await getObjectFromKey(s3Client, bucket, file.s3Key, log)
+    : await getTextData(file.url, log);
+  if (!content) {
+    log.info(`${AUDIT_LOGGING_NAME} - No redirects file found or file is empty at: ${referencedBy}`);
+    return [];
+  }
+
+  // JSON uploads are already parsed when read from S3
+  const text = typeof content === 'string' ? content : JSON.stringify(content);
+  let parsed;
+  try {
+    parsed = parseRedirectRules(text, format);
+  } catch (error) {
+    log.error(`${AUDIT_LOGGING_NAME} - Unable to parse the redirects file at: ${referencedBy} ... ${error.message}`);
+    return [];
+  }
+  sources?.set(referencedBy, text);
+  const rows = parsed.firstMatchWins ? [...parsed.rows].reverse() : parsed.rows;
+  log.info(`${AUDIT_LOGGING_NAME} - Found ${rows.length} redirects in: ${referencedBy}`);
+  const pageUrls = buildRedirectEntries(rows, referencedBy, cleanedAuditScopeUrl);
+  return filterEntriesToAuditScope(pageUrls, cleanedAuditScopeUrl, log);
+}
+
 /**
  * Processes an array of page URL objects, following any redirects for each URL and returning
  * the results.  It uses controlled concurrency to limit the number of concurrent requests to a
@@ -752,7 +899,7 @@ async function processEntries(pageUrls, fullBaseUrl, log) {
   // Step 2: Analyze results synchronously (the fast part)
   const { counts, entriesWithProblems } = analyzeResults(results);
 
-  return { counts, entriesWithProblems };
+  return { counts, entriesWithProblems, results };
 }
 
 /**
@@ -846,12 +993,45 @@ export async function determineAuditScope(baseUrl) {
   return getUrlWithoutPath(auditScopeUrlWithSchema);
 }
 
+/**
+ * Groups the results of the audit by the redirects file of their entry, keeping their order.
+ *
+ * @param {Object[]} results - The results.  See the structure returned by
+ *                             `followAnyRedirectForUrl`.
+ * @param {Map<string, string>} formats - The format of each redirect rules file.
+ *                                        Any other file is a /redirects.json file.
+ * @param {Map<string, string>} sources - The content of each file.
+ * @returns {Object[]} The `{ redirectsFile, format, text, entries }` of each file, where each
+ *   entry is the `{ result, finalUrl }` of a result.
+ */
+function groupResultsByFile(results, formats, sources) {
+  const files = new Map();
+  results.forEach((result) => {
+    if (!files.has(result.referencedBy)) {
+      files.set(result.referencedBy, {
+        redirectsFile: result.referencedBy,
+        format: formats.get(result.referencedBy) ?? REDIRECT_FORMATS.JSON,
+        text: sources.get(result.referencedBy),
+        entries: [],
+      });
+    }
+    files.get(result.referencedBy).entries.push({
+      result,
+      // eslint-disable-next-line no-use-before-define
+      finalUrl: getSuggestedFix(result).finalUrl,
+    });
+  });
+  return [...files.values()];
+}
+
 // ----- audit runner  -----------------------------------------------------------------------------
 
 /**
- * Runs the audit for the /redirects.json file.
+ * Runs the audit for the /redirects.json file, and for any other redirect rules files
+ * listed in the `redirectFiles` of the site's handler config.
  * @param baseUrl - The base URL from site.getBaseURL()
  * @param context - The audit context containing logger, data access, etc.
+ * @param site - The site being audited
  * @returns {Promise<{
  *    fullAuditRef,
  *    auditResult: {
@@ -862,7 +1042,7 @@ export async function determineAuditScope(baseUrl) {
  *    }
  *  }>}
  */
-export async function redirectsAuditRunner(baseUrl, context) {
+export async function redirectsAuditRunner(baseUrl, context, site) {
   // setup
   const { log } = context;
   const startTime = process.hrtime(); // start timer
@@ -892,12 +1072,24 @@ export async function redirectsAuditRunner(baseUrl, context) {
 
   // get a pre-processed array of page URLs from the /redirects.json file
   log.info(`${AUDIT_LOGGING_NAME} - STARTED running audit worker for /redirects.json for ${auditScopeUrl}`);
-  const pageUrls = await processRedirectsFile(auditScopeUrl, log);
+  const redirectFiles = site?.getConfig()?.getHandlers()?.[auditType]?.redirectFiles ?? [];
+  const sources = new Map();
+  const rulesPageUrls = await Promise.all(
+    redirectFiles.map((file) => processRedirectRulesFile(auditScopeUrl, file, context, sources)),
+  );
+  const pageUrls = [
+    ...await processRedirectsFile(auditScopeUrl, log, sources),
+    ...rulesPageUrls.flat(),
+  ];
 
   // process the entries & remember the results
   const fullBaseUrl = getUrlWithoutPath(auditScopeUrl);
   log.info(`${AUDIT_LOGGING_NAME} - Using the fullBaseUrl := ${fullBaseUrl}`); // TODO: !!REMOVE!!
-  const { counts, entriesWithProblems } = await processEntries(pageUrls, fullBaseUrl, log);
+  const {
+    counts,
+    entriesWithProblems,
+    results,
+  } = await processEntries(pageUrls, fullBaseUrl, log);
   if (counts.countTotalEntriesWithProblems > 0) {
     // Filter issues to fit within size limit
     const { filteredIssues } = filterIssuesToFitIntoSpace(entriesWithProblems, log);
@@ -905,6 +1097,23 @@ export async function redirectsAuditRunner(baseUrl, context) {
     log.warn(`${AUDIT_LOGGING_NAME} - Issues could be reduced from ${entriesWithProblems.length} to ${filteredIssues.length} to fit within space limit`);
   }
 
+  // write a corrected copy of each redirects file, applying all the fixes at once
+  if (site && counts.countTotalEntriesWithProblems > 0) {
+    const formats = new Map(redirectFiles.map((file) => {
+      const { referencedBy, format } = resolveRedirectRulesFile(file, context.env);
+      return [referencedBy, format];
+    }));
+    const consolidatedRedirects = await storeConsolidatedRedirects(
+      groupResultsByFile(results, formats, sources),
+      site.getId(),
+      context,
+    );
+    if (consolidatedRedirects.length > 0) {
+      auditResult.consolidatedRedirects = consolidatedRedirects;
+      log.info(`${AUDIT_LOGGING_NAME} - Stored ${consolidatedRedirects.length} consolidated redirects files`);
+    }
+  }
+
   // end timer
   const endTime = process.hrtime(startTime);
   const elapsedSeconds = endTime[0] + endTime[1] / 1e9;
@@ -950,7 +1159,8 @@ export function getSuggestedFix(result) {
   }
 
   // prep
-  const baseUrl = new URL(result.referencedBy).origin;
+  // files read from S3 have no origin, so use the one of the source URL
+  const baseUrl = new URL(/^https?:/.test(result.referencedBy) ? result.referencedBy : result.fullSrc).origin;
   let finalUrl = result.fullFinal;
   if (result.fullDest.startsWith(baseUrl) // if the fully qualified destination URL has the base URL
     && finalUrl.startsWith(baseUrl) // and the fully qualified final URL also has the base URL
@@ -1180,6 +1390,7 @@ export async function generateOpportunities(auditUrl, auditData, context) {
       projectedTrafficLost,
       projectedTrafficValue,
       auditScopeUrl,
+      consolidatedRedirects: auditData.auditResult.consolidatedRedirects,
     },
   );
 
@@ -13,7 +13,12 @@
 import { DATA_SOURCES } from '../common/constants.js';
 
 export function createOpportunityData(params = {}) {
-  const { projectedTrafficLost, projectedTrafficValue, auditScopeUrl } = params;
+  const {
+    projectedTrafficLost,
+    projectedTrafficValue,
+    auditScopeUrl,
+    consolidatedRedirects = [],
+  } = params;
 
   return {
     runbook: 'https://adobe.sharepoint.com/:w:/r/sites/aemsites-engineering/Shared%20Documents/3%20-%20Experience%20Success/SpaceCat/Runbooks/Acquisition%20-%20SEO/Experience_Success_Studio_Redirect_Chains_Runbook.docx?d=w15b25d46a5124cf29543ed08acf6caae&csf=1&web=1&e=Kiosk9',
@@ -23,6 +28,9 @@ export function createOpportunityData(params = {}) {
     guidance: {
       steps: [
         'For each affected entry in the /redirects.json file, check if the redirect is valid. See the suggestion provided for details on how to resolve.',
+        ...(consolidatedRedirects.length > 0 ? [
+          'To apply all the automatic fixes at once, replace each redirects file with its consolidated redirects file: a copy of the current file with the fixes applied, keeping the rules that were not checked. Its diff lists every removed and updated entry.',
+        ] : []),
       ],
     },
     tags: ['Traffic Acquisition'],
@@ -31,6 +39,7 @@ export function createOpportunityData(params = {}) {
       projectedTrafficLost: projectedTrafficLost || 0,
       projectedTrafficValue: projectedTrafficValue || 0,
       auditScopeUrl: auditScopeUrl || '',
+      consolidatedRedirects,
     },
   };
 }
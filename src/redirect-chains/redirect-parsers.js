@@ -0,0 +1,461 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Parsers for the redirect rules that sites keep outside of the AEM Edge Delivery
+ * /redirects.json file. Each parser turns the text of a file into `{ source, destination }`
+ * rows, in the order of the file. Rules that cannot be tested by requesting their source URL
+ * (regular expressions, wildcards, conditions, variables) are skipped.
+ *
+ * A parser is an object with:
+ *  {
+ *    fileNames: RegExp,       // the file names detected as this format
+ *    firstMatchWins: boolean, // true if the first rule for a source URL is the effective one
+ *    parse: (text) => Array<{ source: string, destination: string }>,
+ *    patch: (text, edits) => string, // optional, applies fixes to the rows of the file
+ *    contentType: string,            // optional, the content type of patched files
+ *  }
+ *
+ * The rows of the built-in text formats also hold the `start` and `end` offsets of their rule
+ * in the text, and the rows of JSON files the `index` of their entry, so fixes can be applied
+ * to the file in place.
+ */
+
+export const REDIRECT_FORMATS = Object.freeze({
+  JSON: 'json',
+  HTACCESS: 'htaccess',
+  NGINX: 'nginx',
+  CSV: 'csv',
+  NETLIFY: 'netlify',
+});
+
+const REDIRECT_STATUS = /^30[12378]$/;
+// characters that make a pattern match more than a single path ('.' also matches itself)
+const REGEX_SPECIAL = /[\\^$*+?()[\]{}|]/;
+const UNTESTABLE_SOURCE = /[*]|\/:/;
+const UNTESTABLE_DESTINATION = /\$|%\{|:splat/;
+
+/**
+ * Returns the path matched by a regular expression that only matches a single path,
+ * ex: `^/old\.html$` or `^old-page/?$`. Returns null for any other pattern.
+ *
+ * @param {string} pattern - The regular expression.
+ * @returns {string|null} The path, or null.
+ */
+export function toLiteralPath(pattern) {
+  const stripped = pattern
+    .replace(/^\^/, '')
+    .replace(/\/\?\$$|\$$/, '');
+  if (!stripped || REGEX_SPECIAL.test(stripped.replace(/\\[./_~-]/g, ''))) {
+    return null;
+  }
+  return stripped.replace(/\\([./_~-])/g, '$1');
+}
+
+const tokenize = (line) => [...line.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)]
+  .map(([, doubleQuoted, singleQuoted, bare]) => doubleQuoted ?? singleQuoted ?? bare);
+
+const stripComment = (line) => line.replace(/(^|\s)#.*$/, '').trim();
+
+const withLeadingSlash = (path) => (path.startsWith('/') || /^https?:/.test(path) ? path : `/${path}`);
+
+// the lines of a text, with the offsets of each line
+const splitLines = (text) => {
+  let start = 0;
+  return text.split('\n').map((rawLine) => {
+    const line = rawLine.replace(/\r$/, '');
+    const span = { line, start, end: start + line.length };
+    start += rawLine.length + 1;
+    return span;
+  });
+};
+
+// replaces the first occurrence of a value in a rule, searching from an offset
+const replaceFrom = (rule, from, value, replacement) => {
+  const index = rule.indexOf(value, from);
+  if (index === -1 || value === replacement) {
+    return rule;
+  }
+  return `${rule.slice(0, index)}${replacement}${rule.slice(index + value.length)}`;
+};
+
+// removes a rule from a text, together with its line if nothing else is left on it
+const removeRule = (text, start, end) => {
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const lineEnd = text.indexOf('\n', end);
+  const rest = lineEnd === -1 ? text.length : lineEnd + 1;
+  if (`${text.slice(lineStart, start)}${text.slice(end, rest)}`.trim() === '') {
+    return `${text.slice(0, lineStart)}${text.slice(rest)}`;
+  }
+  return `${text.slice(0, start)}${text.slice(end)}`;
+};
+
+/**
+ * Applies fixes to the rules of a text file, keeping the rest of the file as it is. An updated
+ * rule keeps its status code, flags and comments: only its source and destination URLs are
+ * replaced. Sources written as patterns (ex: `^/old\.html$`) are kept.
+ */
+function patchText(text, edits) {
+  return [...edits]
+    .sort((a, b) => b.row.start - a.row.start)
+    .reduce((patched, { row, replacement }) => {
+      if (!replacement) {
+        return removeRule(patched, row.start, row.end);
+      }
+      const rule = patched.slice(row.start, row.end);
+      const sourceIndex = rule.indexOf(row.source);
+      const destinationFrom = sourceIndex === -1 ? 0 : sourceIndex + row.source.length;
+      const withDestination = replaceFrom(
+        rule,
+        destinationFrom,
+        row.destination,
+        replacement.destination,
+      );
+      const updated = replaceFrom(withDestination, 0, row.source, replacement.source);
+      return `${patched.slice(0, row.start)}${updated}${patched.slice(row.end)}`;
+    }, text);
+}
+
+// ----- Apache .htaccess --------------------------------------------------------------------------
+
+const APACHE_STATUS = /^(permanent|temp|seeother|gone|\d{3})$/i;
+
+const isApacheRedirectStatus = (status) => !status
+  || /^(permanent|temp|seeother)$/i.test(status)
+  || REDIRECT_STATUS.test(status);
+
+/**
+ * Reads the `Redirect`, `RedirectPermanent`, `RedirectTemp` and `RedirectMatch` directives
+ * of mod_alias, and the `RewriteRule` directives of mod_rewrite with an `R` flag.
+ * Rewrite rules that depend on a `RewriteCond` are skipped.
+ */
+function parseHtaccess(text) {
+  const rows = [];
+  let hasCondition = false;
+  splitLines(text).forEach(({ line, start, end }) => {
+    const [directive, ...args] = tokenize(stripComment(line));
+    const push = (source, destination) => rows.push({
+      source, destination, start, end,
+    });
+    switch (directive?.toLowerCase()) {
+      case 'redirect':
+      case 'redirectmatch': {
+        const status = APACHE_STATUS.test(args[0]) ? args.shift() : undefined;
+        const [from, to] = args;
+        const source = directive.toLowerCase() === 'redirect' ? from : toLiteralPath(from ?? '');
+        if (source && to && isApacheRedirectStatus(status)) {
+          push(source, to);
+        }
+        break;
+      }
+      case 'redirectpermanent':
+      case 'redirecttemp':
+        if (args.length >= 2) {
+          push(args[0], args[1]);
+        }
+        break;
+      case 'rewritecond':
+        hasCondition = true;
+        break;
+      case 'rewriterule': {
+        const [pattern, substitution, flags = ''] = args;
+        const redirectFlag = flags.replace(/^\[|\]$/g, '').split(',')
+          .map((flag) => flag.trim().match(/^(?:R|redirect)(?:=(\d+))?$/i))
+          .find(Boolean);
+        const source = toLiteralPath(pattern ?? '');
+        if (!hasCondition && redirectFlag && source && substitution && substitution !== '-'
+          && isApacheRedirectStatus(redirectFlag[1])) {
+          push(withLeadingSlash(source), substitution);
+        }
+        hasCondition = false;
+        break;
+      }
+      default:
+    }
+  });
+  return rows;
+}
+
+// ----- Nginx -------------------------------------------------------------------------------------
+
+/**
+ * Reads `location` blocks that `return` a redirect, `rewrite ... permanent|redirect`
+ * directives, and the entries of `map` blocks used to look up redirect destinations.
+ */
+function parseNginx(text) {
+  // blank out the comments, so the offsets of the matches are those of the text
+  const config = text.replace(/(^|[ \t])#.*$/gm, (comment) => ' '.repeat(comment.length));
+  const found = [];
+  const spanOf = (match) => ({ start: match.index, end: match.index + match[0].length });
+
+  for (const match of config.matchAll(/location\s+(?:=\s*|\^~\s*)?("\/[^"]*"|\/[^\s{]*)\s*\{([^{}]*)\}/g)) {
+    const [, location, body] = match;
+    const source = location.replace(/^"(.*)"$/, '$1');
+    const [, status, destination] = body.match(/return\s+(\d{3})\s+([^\s;]+)\s*;/) ?? [];
+    if (REDIRECT_STATUS.test(status)) {
+      found.push({ source, destination, ...spanOf(match) });
+    }
+  }
+  for (const match of config.matchAll(/rewrite\s+(\S+)\s+(\S+)\s+(?:permanent|redirect)\s*;/g)) {
+    const source = toLiteralPath(match[1]);
+    if (source) {
+      found.push({ source, destination: match[2], ...spanOf(match) });
+    }
+  }
+  for (const match of config.matchAll(/map\s+\S+\s+\S+\s*\{([^{}]*)\}/g)) {
+    let start = match.index + match[0].indexOf('{') + 1;
+    match[1].split(';').forEach((entry) => {
+      const [source, destination] = tokenize(entry);
+      if (destination && !/^(default|hostnames|include|volatile)$/.test(source)
+        && !source.startsWith('~')) {
+        found.push({
+          source, destination, start: start + entry.search(/\S/), end: start + entry.length + 1,
+        });
+      }
+      start += entry.length + 1;
+    });
+  }
+
+  return found.sort((a, b) => a.start - b.start);
+}
+
+// ----- CSV ---------------------------------------------------------------------------------------
+
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted && char === '"' && line[i + 1] === '"') {
+      cell += '"';
+      i += 1;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+const looksLikeUrl = (value = '') => value.startsWith('/') || /^https?:\/\//i.test(value);
+
+/**
+ * Reads `source,destination` rows, as exported from Akamai or Fastly edge dictionaries.
+ * A header row is detected when its first cell is not a URL, and its column names pick the
+ * source and destination columns.
+ */
+function parseCsv(text) {
+  const lines = splitLines(text)
+    .filter(({ line }) => line.trim().length > 0)
+    .map(({ line, start, end }) => ({ cells: parseCsvLine(line), start, end }));
+  let sourceColumn = 0;
+  let destinationColumn = 1;
+  if (lines.length > 0 && !looksLikeUrl(lines[0].cells[0])) {
+    const header = lines.shift().cells.map((name) => name.toLowerCase());
+    const findColumn = (names, fallback) => {
+      const index = header.findIndex((name) => names.includes(name));
+      return index === -1 ? fallback : index;
+    };
+    sourceColumn = findColumn(['source', 'from', 'key', 'origin', 'old'], 0);
+    destinationColumn = findColumn(['destination', 'target', 'to', 'value', 'new'], 1);
+  }
+  return lines.map(({ cells, start, end }) => ({
+    source: cells[sourceColumn] ?? '',
+    destination: cells[destinationColumn] ?? '',
+    start,
+    end,
+  }));
+}
+
+// ----- Netlify _redirects ------------------------------------------------------------------------
+
+/**
+ * Reads `from to [status]` rules. Rewrites (status 200) and custom error pages (4xx) are
+ * skipped, as are rules matching query parameters.
+ */
+function parseNetlify(text) {
+  return splitLines(text)
+    .map(({ line, start, end }) => ({ tokens: tokenize(stripComment(line)), start, end }))
+    .filter(({ tokens: [source, destination] }) => looksLikeUrl(source)
+      && looksLikeUrl(destination))
+    .filter(({ tokens: [, , status = '301'] }) => REDIRECT_STATUS.test(status.replace(/!$/, '')))
+    .map(({ tokens: [source, destination], start, end }) => ({
+      source, destination, start, end,
+    }));
+}
+
+// ----- JSON --------------------------------------------------------------------------------------
+
+/**
+ * Maps a row of a /redirects.json file to a redirect row.
+ *
+ * @param {Object} row - The row, with `Source`/`source` and `Destination`/`destination`.
+ * @returns {{source: string, destination: string}} The redirect row.
+ */
+export const toRedirectRow = (row) => ({
+  source: (row.Source || row.source) ?? '', // try 'Source' first, then 'source'
+  destination: (row.Destination || row.destination) ?? '', // likewise for 'Destination'
+});
+
+/**
+ * Reads exports of the /redirects.json format, with or without the `data` wrapper.
+ */
+function parseJson(text) {
+  const json = JSON.parse(text);
+  const data = Array.isArray(json) ? json : json.data;
+  return Array.isArray(data) ? data.map((row, index) => ({ ...toRedirectRow(row), index })) : [];
+}
+
+/**
+ * Applies fixes to the entries of a JSON file, keeping their other columns, and keeps the
+ * `total` and `limit` of /redirects.json sheets in line with the entries left.
+ */
+function patchJson(text, edits) {
+  const json = JSON.parse(text);
+  const data = Array.isArray(json) ? json : json.data;
+  const removed = new Set();
+  edits.forEach(({ row, replacement }) => {
+    const entry = data[row.index];
+    if (!replacement) {
+      removed.add(entry);
+      return;
+    }
+    entry[entry.Source ? 'Source' : 'source'] = replacement.source;
+    entry[entry.Destination ? 'Destination' : 'destination'] = replacement.destination;
+  });
+  const kept = data.filter((entry) => !removed.has(entry));
+  if (Array.isArray(json)) {
+    return JSON.stringify(kept, null, 2);
+  }
+  const counts = Object.fromEntries(['total', 'limit']
+    .filter((key) => key in json)
+    .map((key) => [key, kept.length]));
+  return JSON.stringify({ ...json, ...counts, data: kept }, null, 2);
+}
+
+// ----- registry ----------------------------------------------------------------------------------
+
+const REDIRECT_PARSERS = new Map([
+  [REDIRECT_FORMATS.JSON, {
+    fileNames: /\.json$/i,
+    firstMatchWins: false,
+    parse: parseJson,
+    patch: patchJson,
+    contentType: 'application/json',
+  }],
+  [REDIRECT_FORMATS.HTACCESS, {
+    fileNames: /\.htaccess$/i,
+    firstMatchWins: true,
+    parse: parseHtaccess,
+    patch: patchText,
+  }],
+  [REDIRECT_FORMATS.NGINX, {
+    fileNames: /(^nginx|\.conf$)/i,
+    firstMatchWins: true,
+    parse: parseNginx,
+    patch: patchText,
+  }],
+  [REDIRECT_FORMATS.CSV, {
+    fileNames: /\.csv$/i,
+    firstMatchWins: false,
+    parse: parseCsv,
+    patch: patchText,
+    contentType: 'text/csv',
+  }],
+  [REDIRECT_FORMATS.NETLIFY, {
+    fileNames: /^_redirects$/,
+    firstMatchWins: true,
+    parse: parseNetlify,
+    patch: patchText,
+  }],
+]);
+
+/**
+ * Registers a parser for another format of redirect rules, or replaces the parser of a format.
+ *
+ * @param {string} format - The name of the format, as used in the site config.
+ * @param {Object} parser - The parser. See the structure at the top of this file.
+ */
+export function registerRedirectParser(format, parser) {
+  REDIRECT_PARSERS.set(format, parser);
+}
+
+/**
+ * Detects the format of a redirect rules file from its name.
+ *
+ * @param {string} location - The URL or S3 key of the file.
+ * @returns {string|undefined} The format, or undefined if the file name is not recognized.
+ */
+export function detectRedirectFormat(location) {
+  const fileName = location.split(/[?#]/)[0].split('/').pop();
+  return [...REDIRECT_PARSERS.entries()]
+    .find(([, parser]) => parser.fileNames.test(fileName))?.[0];
+}
+
+/**
+ * Parses a redirect rules file into `{ source, destination }` rows. Rows without a source or
+ * destination, and rows that use wildcards, placeholders or variables are dropped.
+ *
+ * @param {string} text - The content of the file.
+ * @param {string} format - The format of the file. See `REDIRECT_FORMATS`.
+ * @returns {{rows: Object[], firstMatchWins: boolean}} The rows, in the order of the file.
+ * @throws {Error} If there is no parser for the format, or the file cannot be parsed.
+ */
+export function parseRedirectRules(text, format) {
+  const parser = REDIRECT_PARSERS.get(format);
+  if (!parser) {
+    throw new Error(`Unsupported redirects file format: ${format}`);
+  }
+  const rows = parser.parse(text).filter(({ source, destination }) => source && destination
+    && !UNTESTABLE_SOURCE.test(source) && !UNTESTABLE_DESTINATION.test(destination));
+  return { rows, firstMatchWins: parser.firstMatchWins };
+}
+
+/**
+ * Applies fixes to a redirect rules file, so the corrected file can replace the current one.
+ * Everything the fixes do not touch is kept as it is: comments, rules the parsers skip, rules
+ * outside the audit scope, and the status codes of the rules.
+ *
+ * Each fix names the rule it applies to by its source and destination URLs, as parsed from the
+ * file. Rules with the same URLs are matched in the order of the file.
+ *
+ * @param {string} text - The content of the file.
+ * @param {string} format - The format of the file. See `REDIRECT_FORMATS`.
+ * @param {Object[]} fixes - The `{ source, destination, replacement }` of each fix, where
+ *   `replacement` is the `{ source, destination }` to write, or null to remove the rule.
+ * @returns {{body: string, contentType: string}|null} The file, or null if the format cannot
+ *   be patched or a fix matches no rule of the file.
+ */
+export function patchRedirectRules(text, format, fixes) {
+  const parser = REDIRECT_PARSERS.get(format);
+  if (!parser?.patch) {
+    return null;
+  }
+  const rows = parser.parse(text);
+  const matched = new Set();
+  const edits = fixes.map(({ source, destination, replacement }) => {
+    const row = rows.find((candidate) => !matched.has(candidate)
+      && candidate.source === source && candidate.destination === destination);
+    matched.add(row);
+    return { row, replacement };
+  });
+  if (matched.has(undefined)) {
+    return null;
+  }
+  return { body: parser.patch(text, edits), contentType: parser.contentType || 'text/plain' };
+}
@@ -0,0 +1,225 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import {
+  Opportunity as OpportunityModel,
+  Suggestion as SuggestionModel,
+} from '@adobe/spacecat-shared-data-access';
+import { AuditBuilder } from '../common/audit-builder.js';
+import { noopUrlResolver } from '../common/index.js';
+import { getTopPagesForSiteId } from '../utils/data-access.js';
+
+export const AUDIT_TYPE = 'site-health-score';
+
+/**
+ * The categories making up the score. Each category is backed by the audit producing its
+ * opportunity; `weight` is its share of the overall score and `severity` the severity of
+ * its issues when the suggestion data does not carry one.
+ */
+const category = (auditType, weight, severity, opportunityTypes = [auditType]) => ({
+  auditType, opportunityTypes, weight, severity,
+});
+
+export const CATEGORIES = Object.freeze({
+  canonical: category('canonical', 10, 'high'),
+  hreflang: category('hreflang', 6, 'medium'),
+  headings: category('headings', 8, 'low'),
+  metatags: category('meta-tags', 10, 'medium'),
+  sitemap: category('sitemap', 10, 'high'),
+  'redirect-chains': category('redirect-chains', 8, 'medium'),
+  'broken-internal-links': category('broken-internal-links', 12, 'high'),
+  'structured-data': category('structured-data', 8, 'medium'),
+  cwv: category('cwv', 15, 'high'),
+  accessibility: category('accessibility', 13, 'medium', ['a11y-assistive', 'a11y-color-contrast']),
+});
+
+export const SEVERITY_POINTS = Object.freeze({ high: 5, medium: 2, low: 1 });
+
+// issues on top pages weigh this much more than issues elsewhere on the site
+export const TOP_PAGE_MULTIPLIER = 3;
+
+// the penalty at which a category score has dropped to about 37 (1/e of 100)
+export const PENALTY_SCALE = 50;
+
+const OPEN_OPPORTUNITY_STATUSES = [
+  OpportunityModel.STATUSES.NEW,
+  OpportunityModel.STATUSES.IN_PROGRESS,
+];
+
+const OPEN_SUGGESTION_STATUSES = [
+  SuggestionModel.STATUSES.NEW,
+  SuggestionModel.STATUSES.APPROVED,
+  SuggestionModel.STATUSES.IN_PROGRESS,
+  SuggestionModel.STATUSES.PENDING_VALIDATION,
+];
+
+const SEVERITY_ALIASES = {
+  high: ['high', 'critical', 'error', 'serious'],
+  medium: ['medium', 'moderate', 'warning'],
+  low: ['low', 'minor', 'info', 'notice'],
+};
+
+const URL_FIELDS = ['url', 'pageUrl', 'urlFrom', 'url_from', 'sourceUrl', 'source'];
+
+const normalizeUrl = (url) => String(url).replace(/\/+$/, '').toLowerCase();
+
+/**
+ * The severity of an issue, read from the suggestion data if it carries one.
+ *
+ * @param {object} data - the suggestion data
+ * @param {string} fallback - the default severity of the category
+ * @returns {string} one of the {@link SEVERITY_POINTS} keys
+ */
+export function getIssueSeverity(data, fallback) {
+  const value = String(data?.severity ?? data?.priority ?? data?.impact ?? '').toLowerCase();
+  const severity = Object.keys(SEVERITY_ALIASES)
+    .find((key) => SEVERITY_ALIASES[key].includes(value));
+  return severity || fallback;
+}
+
+/**
+ * Scores one category from its issues: every issue adds its severity points, multiplied for
+ * issues on top pages, to a penalty that decays the score exponentially from 100. A few
+ * issues cost the most, while a long tail of minor issues cannot push the score below zero.
+ *
+ * @param {object[]} issues - the issues, each with a `severity` and `onTopPage` flag
+ * @returns {{score: number, penalty: number}}
+ */
+export function scoreCategory(issues) {
+  const penalty = issues.reduce((sum, { severity, onTopPage }) => (
+    sum + SEVERITY_POINTS[severity] * (onTopPage ? TOP_PAGE_MULTIPLIER : 1)
+  ), 0);
+  return { score: Math.round(100 * Math.exp(-penalty / PENALTY_SCALE)), penalty };
+}
+
+async function collectIssues(opportunities, config, topPageUrls) {
+  const suggestionsPerOpportunity = await Promise.all(
+    opportunities.map((opportunity) => opportunity.getSuggestions()),
+  );
+
+  return suggestionsPerOpportunity.flatMap((suggestions) => {
+    const open = suggestions.filter((s) => OPEN_SUGGESTION_STATUSES.includes(s.getStatus()));
+    // an opportunity without suggestions still is one issue of the category
+    const data = open.length > 0 ? open.map((s) => s.getData()) : [{}];
+    return data.map((item) => {
+      const url = URL_FIELDS.map((field) => item?.[field]).find((value) => value);
+      return {
+        severity: getIssueSeverity(item, config.severity),
+        onTopPage: Boolean(url) && topPageUrls.has(normalizeUrl(url)),
+      };
+    });
+  });
+}
+
+const countBy = (issues, predicate) => issues.filter(predicate).length;
+
+/**
+ * Computes the week-over-week trend against the previous site health score audit, which
+ * runs weekly.
+ */
+function getTrend(previousAudit, score, categories) {
+  const previous = previousAudit?.getAuditResult();
+  if (typeof previous?.score !== 'number' || score === null) {
+    return null;
+  }
+  return {
+    previousScore: previous.score,
+    previousAuditedAt: previousAudit.getAuditedAt(),
+    change: score - previous.score,
+    categories: Object.fromEntries(
+      Object.entries(categories)
+        .filter(([key, { score: current }]) => (
+          current !== null && typeof previous.categories?.[key]?.score === 'number'
+        ))
+        .map(([key, { score: current }]) => [key, current - previous.categories[key].score]),
+    ),
+  };
+}
+
+/**
+ * Aggregates the latest audits and open opportunities of a site into a 0-100 health score,
+ * broken down by category. Categories whose audit never ran for the site are reported as
+ * not audited and left out of the overall score.
+ *
+ * @param {string} baseURL - the base URL of the site
+ * @param {object} context - the universal context
+ * @param {object} site - the site
+ * @returns {Promise<{auditResult: object, fullAuditRef: string}>}
+ */
+export async function siteHealthScoreRunner(baseURL, context, site) {
+  const { dataAccess, log } = context;
+  const { LatestAudit, Opportunity } = dataAccess;
+  const siteId = site.getId();
+
+  const [latestAudits, opportunities, topPages, previousAudit] = await Promise.all([
+    LatestAudit.allBySiteId(siteId),
+    Promise.all(OPEN_OPPORTUNITY_STATUSES.map(
+      (status) => Opportunity.allBySiteIdAndStatus(siteId, status),
+    )).then((lists) => lists.flat()),
+    getTopPagesForSiteId(dataAccess, siteId, context, log),
+    LatestAudit.findBySiteIdAndAuditType(siteId, AUDIT_TYPE),
+  ]);
+
+  const auditsByType = new Map(latestAudits.map((audit) => [audit.getAuditType(), audit]));
+  const topPageUrls = new Set(topPages.map(({ url }) => normalizeUrl(url)));
+
+  const entries = await Promise.all(Object.entries(CATEGORIES).map(async ([key, config]) => {
+    const audit = auditsByType.get(config.auditType);
+    const open = opportunities
+      .filter((opportunity) => config.opportunityTypes.includes(opportunity.getType()));
+
+    if (!audit && open.length === 0) {
+      return [key, {
+        status: 'not-audited', score: null, weight: config.weight, issues: 0,
+      }];
+    }
+
+    const issues = await collectIssues(open, config, topPageUrls);
+    const { score, penalty } = scoreCategory(issues);
+    return [key, {
+      status: 'scored',
+      score,
+      weight: config.weight,
+      penalty,
+      issues: issues.length,
+      topPageIssues: countBy(issues, ({ onTopPage }) => onTopPage),
+      severities: Object.fromEntries(Object.keys(SEVERITY_POINTS)
+        .map((severity) => [severity, countBy(issues, (issue) => issue.severity === severity)])),
+      opportunities: open.length,
+      lastAuditedAt: audit?.getAuditedAt() ?? null,
+    }];
+  }));
+
+  const categories = Object.fromEntries(entries);
+  const scored = Object.values(categories).filter(({ score }) => score !== null);
+  const totalWeight = scored.reduce((sum, { weight }) => sum + weight, 0);
+  const score = totalWeight > 0
+    ? Math.round(scored.reduce((sum, c) => sum + c.score * c.weight, 0) / totalWeight)
+    : null;
+
+  log.info(`[${AUDIT_TYPE}] site ${siteId} scored ${score} across ${scored.length} of ${entries.length} categories`);
+
+  return {
+    auditResult: {
+      score,
+      categories,
+      trend: getTrend(previousAudit, score, categories),
+      topPages: topPageUrls.size,
+    },
+    fullAuditRef: baseURL,
+  };
+}
+
+export default new AuditBuilder()
+  .withUrlResolver(noopUrlResolver)
+  .withRunner(siteHealthScoreRunner)
+  .build();
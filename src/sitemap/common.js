@@ -10,6 +10,7 @@
  * governing permissions and limitations under the License.
  */
 
+import { gunzipSync } from 'zlib';
 import { tracingFetch as fetch } from '@adobe/spacecat-shared-utils';
 import {
   isAuthUrl,
@@ -32,6 +33,7 @@ export const ERROR_CODES = Object.freeze({
   SITEMAP_NOT_FOUND: 'NO SITEMAP FOUND',
   SITEMAP_EMPTY: 'EMPTY SITEMAP',
   SITEMAP_FORMAT: 'INVALID SITEMAP FORMAT',
+  SITEMAP_GZIP: 'INVALID GZIP SITEMAP',
   FETCH_ERROR: 'ERROR FETCHING DATA',
   MISSING_PRODUCT_URL_TEMPLATE: 'MISSING PRODUCT URL TEMPLATE IN THE SITE CONFIGURATION',
   COLLECTING_PRODUCTS_BACKEND_FAILED: 'COLLECTING PRODUCTS FROM BACKEND FAILED',
@@ -45,6 +47,8 @@ const VALID_MIME_TYPES = Object.freeze([
   'text/plain',
 ]);
 
+const GZIP_MAGIC_BYTES = [0x1f, 0x8b];
+
 /**
  * Utility function to add delay between batch processing
  */
@@ -117,7 +121,25 @@ async function fetchWithHeadFallback(url, options = {}) {
 }
 
 /**
- * Fetches content with timeout control
+ * Reads the body of a gzip sitemap. Servers sending a `Content-Encoding: gzip` header get the
+ * body decompressed by fetch already, so only bodies starting with the gzip magic bytes are
+ * decompressed here.
+ */
+async function readGzipBody(response, targetUrl) {
+  const body = Buffer.from(await response.arrayBuffer());
+  if (!GZIP_MAGIC_BYTES.every((byte, i) => body[i] === byte)) {
+    return body.toString('utf8');
+  }
+  try {
+    return gunzipSync(body).toString('utf8');
+  } catch (error) {
+    throw new Error(`Invalid gzip content for ${targetUrl}: ${error.message}`);
+  }
+}
+
+/**
+ * Fetches content with timeout control. Gzip sitemaps, recognized by their `.gz` extension
+ * or gzip content type, are decompressed.
  */
 export async function fetchContent(targetUrl) {
   const controller = new AbortController();
@@ -136,9 +158,12 @@ export async function fetchContent(targetUrl) {
       throw new Error(`Fetch error for ${targetUrl} Status: ${response.status}`);
     }
 
+    const type = response.headers.get('content-type');
+    const isGzip = new URL(targetUrl).pathname.endsWith('.gz') || /gzip/i.test(type ?? '');
+
     return {
-      payload: await response.text(),
-      type: response.headers.get('content-type'),
+      payload: isGzip ? await readGzipBody(response, targetUrl) : await response.text(),
+      type,
     };
   } catch (error) {
     clearTimeout(timeoutId);
@@ -350,6 +375,12 @@ export async function checkSitemap(sitemapUrl) {
       details: { sitemapContent, isText, isSitemapIndex },
     };
   } catch (error) {
+    if (error.message.startsWith('Invalid gzip content')) {
+      return {
+        existsAndIsValid: false,
+        reasons: [ERROR_CODES.SITEMAP_GZIP],
+      };
+    }
     const isNotFound = error.message.includes('404');
     return {
       existsAndIsValid: false,
@@ -360,14 +391,21 @@ export async function checkSitemap(sitemapUrl) {
 
 /**
  * Retrieves base URL pages from sitemaps with improved error handling
+ *
+ * @param {string} inputUrl - the URL the pages must start with
+ * @param {string[]} initialUrls - the sitemaps to start from, sitemap indexes are followed
+ * @param {function(string, Object, string=): void} [onSitemap] - called with the URL and the
+ * {@link checkSitemap} result of every sitemap, and the URL of the sitemap index listing it
+ * @returns {Promise<Object<string, string[]>>} the pages by sitemap URL
  */
-export async function getBaseUrlPagesFromSitemaps(inputUrl, initialUrls) {
+export async function getBaseUrlPagesFromSitemaps(inputUrl, initialUrls, onSitemap) {
   // Strip subpath to get domain-only URL for sitemap.xml matching
   const baseUrl = getUrlWithoutPath(inputUrl);
   const baseUrlVariant = toggleWWW(baseUrl);
   const pagesBySitemap = {};
   let sitemapsToProcess = [...initialUrls];
   const processedSitemaps = new Set();
+  const parentIndexes = new Map();
 
   while (sitemapsToProcess.length > 0) {
     const sitemapsFromIndexes = [];
@@ -379,12 +417,18 @@ export async function getBaseUrlPagesFromSitemaps(inputUrl, initialUrls) {
       processedSitemaps.add(sitemapUrl);
 
       const sitemapData = await checkSitemap(sitemapUrl);
+      onSitemap?.(sitemapUrl, sitemapData, parentIndexes.get(sitemapUrl));
 
       if (sitemapData.existsAndIsValid) {
         if (sitemapData.details?.isSitemapIndex) {
           const extractedSitemaps = getSitemapUrlsFromSitemapIndex(
             sitemapData.details.sitemapContent,
           );
+          extractedSitemaps.forEach((extractedSitemap) => {
+            if (!parentIndexes.has(extractedSitemap)) {
+              parentIndexes.set(extractedSitemap, sitemapUrl);
+            }
+          });
           sitemapsFromIndexes.push(...extractedSitemaps);
         } else if (
           sitemapUrl.startsWith(baseUrl)
@@ -411,7 +455,16 @@ export async function getBaseUrlPagesFromSitemaps(inputUrl, initialUrls) {
   return pagesBySitemap;
 }
 
-export async function getSitemapUrls(inputUrl, log) {
+/**
+ * Finds the sitemaps of a site in robots.txt or at the common locations, and extracts their
+ * pages.
+ *
+ * @param {string} inputUrl - the URL of the site, pages must start with it
+ * @param {Object} [log] - logger instance
+ * @param {function(string, Object, string=): void} [onSitemap] - called for every sitemap,
+ * see {@link getBaseUrlPagesFromSitemaps}
+ */
+export async function getSitemapUrls(inputUrl, log, onSitemap) {
   const parsedUrl = extractDomainAndProtocol(inputUrl);
   if (!parsedUrl) {
     /* c8 ignore next */
@@ -464,7 +517,7 @@ export async function getSitemapUrls(inputUrl, log) {
 
   // Extract and validate page URLs from our validated sitemap URLs:
   //   getBaseUrlPagesFromSitemaps filters sitemaps by domain, then filters page URLs by full path
-  const extractedPaths = await getBaseUrlPagesFromSitemaps(inputUrl, sitemapUrls.ok);
+  const extractedPaths = await getBaseUrlPagesFromSitemaps(inputUrl, sitemapUrls.ok, onSitemap);
 
   return {
     success: true,
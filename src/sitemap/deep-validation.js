@@ -0,0 +1,200 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { tracingFetch as fetch } from '@adobe/spacecat-shared-utils';
+import { load as cheerioLoad } from 'cheerio';
+
+import { ERROR_CODES, REQUEST_TIMEOUT_MS } from './common.js';
+import { limitConcurrencyAllSettled } from '../support/utils.js';
+import { normalizePageUrl } from '../utils/url-utils.js';
+
+// Limits of a single sitemap, see https://www.sitemaps.org/protocol.html
+export const SITEMAP_MAX_URLS = 50000;
+export const SITEMAP_MAX_BYTES = 50 * 1024 * 1024;
+
+// Pages fetched to compare their lastmod and canonical URL, and top pages checked for orphans
+export const MAX_INSPECTED_PAGES = 100;
+export const MAX_TOP_PAGES = 200;
+
+const MAX_CONCURRENT_FETCH_CALLS = 10;
+// lastmod values are often dates only, so they are compared with a day of tolerance
+const LASTMOD_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+export const SITEMAP_ISSUES = Object.freeze({
+  URL_LIMIT_EXCEEDED: 'sitemap-url-limit-exceeded',
+  SIZE_LIMIT_EXCEEDED: 'sitemap-size-limit-exceeded',
+  NESTED_SITEMAP_INDEX: 'sitemap-index-nested',
+  INVALID_GZIP: 'sitemap-invalid-gzip',
+  LASTMOD_IN_FUTURE: 'lastmod-in-future',
+  LASTMOD_OUTDATED: 'lastmod-outdated',
+  NON_CANONICAL_URL: 'non-canonical-url',
+  ORPHAN_PAGE: 'orphan-page',
+});
+
+// sitemaps list the pages of all the variants of a site, with or without www and https
+const normalizeSitemapUrl = (url) => normalizePageUrl(url, { ignoreProtocolAndWww: true });
+
+const parseDate = (value) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+const countUrls = ({ sitemapContent, isText }) => (isText
+  ? sitemapContent.payload.split('\n').filter((line) => line.trim().length > 0).length
+  : (sitemapContent.payload.match(/<loc[\s>]/g) || []).length);
+
+/**
+ * Checks a sitemap against the limits of the sitemap protocol: at most 50,000 URLs and 50MB
+ * uncompressed, sitemap indexes listing sitemaps only, and gzip sitemaps that decompress.
+ *
+ * @param {string} sitemapUrl - the URL of the sitemap
+ * @param {Object} sitemapData - the result of checkSitemap for the sitemap
+ * @param {string} [parentUrl] - the URL of the sitemap index listing the sitemap
+ * @returns {Array<Object>} the issues of the sitemap
+ */
+export function getSitemapIssues(sitemapUrl, sitemapData, parentUrl) {
+  if (!sitemapData.existsAndIsValid) {
+    return sitemapData.reasons.includes(ERROR_CODES.SITEMAP_GZIP)
+      ? [{ issue: SITEMAP_ISSUES.INVALID_GZIP, sitemapUrl }]
+      : [];
+  }
+
+  const issues = [];
+  const { details } = sitemapData;
+  if (details.isSitemapIndex && parentUrl) {
+    issues.push({ issue: SITEMAP_ISSUES.NESTED_SITEMAP_INDEX, sitemapUrl, parentUrl });
+  }
+  const urlCount = countUrls(details);
+  if (urlCount > SITEMAP_MAX_URLS) {
+    issues.push({ issue: SITEMAP_ISSUES.URL_LIMIT_EXCEEDED, sitemapUrl, urlCount });
+  }
+  const byteLength = Buffer.byteLength(details.sitemapContent.payload);
+  if (byteLength > SITEMAP_MAX_BYTES) {
+    issues.push({ issue: SITEMAP_ISSUES.SIZE_LIMIT_EXCEEDED, sitemapUrl, byteLength });
+  }
+  return issues;
+}
+
+/**
+ * Reads the `lastmod` values of the pages of an XML sitemap.
+ *
+ * @param {Object} sitemapData - the result of checkSitemap for the sitemap
+ * @returns {Array<Array<string>>} the `[pageUrl, lastmod]` entries of pages with a lastmod
+ */
+export function getSitemapLastmods(sitemapData) {
+  const { details } = sitemapData;
+  if (!sitemapData.existsAndIsValid || details.isText || details.isSitemapIndex
+    || !details.sitemapContent.payload.includes('<lastmod')) {
+    return [];
+  }
+  const $ = cheerioLoad(details.sitemapContent.payload, { xmlMode: true });
+  return $('url').toArray()
+    .map((element) => [
+      $(element).find('loc').first().text()
+        .trim(),
+      $(element).find('lastmod').first().text()
+        .trim(),
+    ])
+    .filter(([pageUrl, lastmod]) => pageUrl && lastmod);
+}
+
+async function inspectPage(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { redirect: 'manual', signal: controller.signal });
+    if (response.status !== 200) {
+      return null;
+    }
+    const $ = cheerioLoad(await response.text());
+    const canonical = $('link[rel="canonical"]').attr('href');
+    return {
+      lastModified: response.headers.get('last-modified'),
+      canonicalUrl: canonical ? new URL(canonical, url).href : null,
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function getInspectionIssues({ url, sitemapUrl, lastmod }, { lastModified, canonicalUrl }) {
+  const issues = [];
+  const lastmodTime = parseDate(lastmod);
+  const lastModifiedTime = parseDate(lastModified);
+  if (lastmodTime !== null && lastModifiedTime !== null
+    && lastmodTime + LASTMOD_TOLERANCE_MS < lastModifiedTime) {
+    issues.push({
+      issue: SITEMAP_ISSUES.LASTMOD_OUTDATED, pageUrl: url, sitemapUrl, lastmod, lastModified,
+    });
+  }
+  if (canonicalUrl && normalizeSitemapUrl(canonicalUrl) !== normalizeSitemapUrl(url)) {
+    issues.push({
+      issue: SITEMAP_ISSUES.NON_CANONICAL_URL, pageUrl: url, sitemapUrl, canonicalUrl,
+    });
+  }
+  return issues;
+}
+
+/**
+ * Validates the pages listed in sitemaps: `lastmod` values must not be in the future, and the
+ * first pages are fetched to check that their `lastmod` is not older than their Last-Modified
+ * header and that they are listed with their canonical URL. Pages that cannot be fetched are
+ * skipped.
+ *
+ * @param {Array<Object>} pages - the `{ url, sitemapUrl }` of pages returning 200
+ * @param {Map<string, string>} lastmods - the lastmod values by page URL
+ * @param {Object} log - logger instance
+ * @returns {Promise<Array<Object>>} the issues of the pages
+ */
+export async function validateSitemapPages(pages, lastmods, log) {
+  const now = Date.now();
+  const entries = pages.map((page) => ({ ...page, lastmod: lastmods.get(page.url) }));
+
+  const futureLastmods = entries
+    .filter(({ lastmod }) => parseDate(lastmod) > now + LASTMOD_TOLERANCE_MS)
+    .map(({ url, sitemapUrl, lastmod }) => ({
+      issue: SITEMAP_ISSUES.LASTMOD_IN_FUTURE, pageUrl: url, sitemapUrl, lastmod,
+    }));
+
+  const inspected = entries.slice(0, MAX_INSPECTED_PAGES);
+  log?.debug(`Sitemap: Inspecting the lastmod and canonical URL of ${inspected.length} pages`);
+  const inspectionIssues = await limitConcurrencyAllSettled(
+    inspected.map((entry) => async () => {
+      const inspection = await inspectPage(entry.url);
+      return inspection ? getInspectionIssues(entry, inspection) : [];
+    }),
+    MAX_CONCURRENT_FETCH_CALLS,
+  );
+
+  return [...futureLastmods, ...inspectionIssues.flat()];
+}
+
+/**
+ * Finds the top pages of a site, which get the most traffic, that are not listed in any
+ * sitemap. Only top pages under the audited URL are considered.
+ *
+ * @param {string} inputUrl - the audited URL
+ * @param {string[]} topPageUrls - the URLs of the top pages, by descending traffic
+ * @param {string[]} sitemapPageUrls - the URLs of all pages listed in sitemaps
+ * @returns {Array<Object>} the issues of the orphan top pages
+ */
+export function getOrphanTopPages(inputUrl, topPageUrls, sitemapPageUrls) {
+  const base = normalizeSitemapUrl(inputUrl);
+  const listed = new Set(sitemapPageUrls.map(normalizeSitemapUrl));
+  return topPageUrls.slice(0, MAX_TOP_PAGES)
+    .filter((url) => {
+      const normalized = normalizeSitemapUrl(url);
+      return (normalized === base || normalized.startsWith(`${base.replace(/\/$/, '')}/`))
+        && !listed.has(normalized);
+    })
+    .map((pageUrl) => ({ issue: SITEMAP_ISSUES.ORPHAN_PAGE, pageUrl }));
+}
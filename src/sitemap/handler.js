@@ -21,20 +21,51 @@ import {
 } from './common.js';
 import { AuditBuilder } from '../common/audit-builder.js';
 import { noopUrlResolver } from '../common/base-audit.js';
-import { syncSuggestions } from '../utils/data-access.js';
+import { getTopPagesForSiteId, syncSuggestions } from '../utils/data-access.js';
 import { convertToOpportunity } from '../common/opportunity.js';
 import { createOpportunityData } from './opportunity-data-mapper.js';
+import {
+  SITEMAP_ISSUES,
+  getOrphanTopPages,
+  getSitemapIssues,
+  getSitemapLastmods,
+  validateSitemapPages,
+} from './deep-validation.js';
 
 const auditType = Audit.AUDIT_TYPES.SITEMAP;
 
 const TRACKED_STATUS_CODES = Object.freeze([301, 302, 404]);
 
+const DEFAULT_RECOMMENDED_ACTION = 'Make sure your sitemaps only include URLs that return the 200 (OK) response code.';
+
+const ISSUE_RECOMMENDED_ACTIONS = Object.freeze({
+  [SITEMAP_ISSUES.URL_LIMIT_EXCEEDED]: 'Split the sitemap into sitemaps of at most 50,000 URLs each and list them in a sitemap index.',
+  [SITEMAP_ISSUES.SIZE_LIMIT_EXCEEDED]: 'Split the sitemap into sitemaps of at most 50MB (uncompressed) each and list them in a sitemap index.',
+  [SITEMAP_ISSUES.NESTED_SITEMAP_INDEX]: 'Sitemap indexes cannot list other sitemap indexes. List the sitemaps of this index in the parent index instead.',
+  [SITEMAP_ISSUES.INVALID_GZIP]: 'Make sure the gzip sitemap is a valid gzip file of an XML sitemap.',
+  [SITEMAP_ISSUES.LASTMOD_IN_FUTURE]: 'Set lastmod to the date the page was last modified, it cannot be in the future.',
+  [SITEMAP_ISSUES.LASTMOD_OUTDATED]: 'Update lastmod to the date the page was last modified, as given by its Last-Modified header.',
+  [SITEMAP_ISSUES.NON_CANONICAL_URL]: 'List the canonical URL of the page in the sitemap instead.',
+  [SITEMAP_ISSUES.ORPHAN_PAGE]: 'Add this top page to a sitemap, so search engines can discover it.',
+});
+
 /**
  * Main sitemap discovery and validation function
+ *
+ * @param {string} inputUrl - the URL of the site
+ * @param {Object} [log] - logger instance
+ * @param {string[]} [topPageUrls] - the top pages of the site, checked to be in a sitemap
  */
-export async function findSitemap(inputUrl, log) {
+export async function findSitemap(inputUrl, log, topPageUrls = []) {
+  const sitemapIssues = [];
+  const lastmods = new Map();
+  const onSitemap = (sitemapUrl, sitemapData, parentUrl) => {
+    sitemapIssues.push(...getSitemapIssues(sitemapUrl, sitemapData, parentUrl));
+    getSitemapLastmods(sitemapData).forEach(([pageUrl, lastmod]) => lastmods.set(pageUrl, lastmod));
+  };
+
   // Extract and validate pages from sitemaps
-  const siteMapUrlsResult = await getSitemapUrls(inputUrl, log);
+  const siteMapUrlsResult = await getSitemapUrls(inputUrl, log, onSitemap);
   if (!siteMapUrlsResult.success) {
     /* c8 ignore start */
     const reasons = siteMapUrlsResult.reasons || [];
@@ -48,6 +79,8 @@ export async function findSitemap(inputUrl, log) {
   const extractedPaths = siteMapUrlsResult.details?.extractedPaths || {};
   const filteredSitemapUrls = siteMapUrlsResult.details?.filteredSitemapUrls || [];
   const notOkPagesFromSitemap = {};
+  const sitemapPageUrls = Object.values(extractedPaths).flat();
+  const okPages = [];
 
   if (extractedPaths && Object.keys(extractedPaths).length > 0) {
     for (const sitemapUrl of Object.keys(extractedPaths)) {
@@ -91,17 +124,26 @@ export async function findSitemap(inputUrl, log) {
         } else {
           extractedPaths[sitemapUrl] = existingPages.ok;
         }
+        okPages.push(...existingPages.ok.map((url) => ({ url, sitemapUrl })));
       }
     }
   }
 
+  const pageIssues = [
+    ...await validateSitemapPages(okPages, lastmods, log),
+    // without any page in the sitemaps, all top pages would be reported as orphans
+    ...(sitemapPageUrls.length > 0
+      ? getOrphanTopPages(inputUrl, topPageUrls, sitemapPageUrls)
+      : []),
+  ];
+
   // Return final result
   if (extractedPaths && Object.keys(extractedPaths).length > 0) {
     return {
       success: true,
       reasons: [{ value: 'Sitemaps found and checked.' }],
       url: inputUrl,
-      details: { issues: notOkPagesFromSitemap },
+      details: { issues: notOkPagesFromSitemap, sitemapIssues, pageIssues },
     };
   }
 
@@ -112,20 +154,27 @@ export async function findSitemap(inputUrl, log) {
       error: ERROR_CODES.NO_VALID_PATHS_EXTRACTED,
     }],
     url: inputUrl,
-    details: { issues: notOkPagesFromSitemap },
+    details: { issues: notOkPagesFromSitemap, sitemapIssues, pageIssues },
   };
 }
 
 /**
  * Main audit runner function
  */
-export async function sitemapAuditRunner(baseURL, context) {
-  const { log } = context;
+export async function sitemapAuditRunner(baseURL, context, site) {
+  const { log, dataAccess } = context;
   const startTime = process.hrtime();
 
   log.info(`Starting sitemap audit for ${baseURL}`);
 
-  const auditResult = await findSitemap(baseURL, log);
+  let topPages = [];
+  try {
+    topPages = await getTopPagesForSiteId(dataAccess, site.getId(), context, log);
+  } catch (e) {
+    log.warn(`Sitemap: Skipping the orphan top pages check for ${baseURL}: ${e.message}`);
+  }
+
+  const auditResult = await findSitemap(baseURL, log, topPages.map(({ url }) => url));
 
   const endTime = process.hrtime(startTime);
   const elapsedSeconds = endTime[0] + endTime[1] / 1e9;
@@ -145,12 +194,15 @@ export function getSitemapsWithIssues(auditData) {
 }
 
 /**
- * Extracts pages with issues for suggestion generation
+ * Extracts pages with issues for suggestion generation: pages of sitemaps not returning 200
+ * (`url`), sitemaps breaking the sitemap protocol (`sitemap`), and pages with an inaccurate
+ * lastmod, listed with a non-canonical URL or missing from all sitemaps (`page`).
  */
 export function getPagesWithIssues(auditData) {
   const sitemapsWithPagesWithIssues = getSitemapsWithIssues(auditData);
+  const { sitemapIssues = [], pageIssues = [] } = auditData?.auditResult?.details ?? {};
 
-  return sitemapsWithPagesWithIssues.flatMap((sitemapUrl) => {
+  const statusCodeIssues = sitemapsWithPagesWithIssues.flatMap((sitemapUrl) => {
     const issues = auditData.auditResult.details.issues[sitemapUrl];
 
     if (!isArray(issues)) {
@@ -165,6 +217,21 @@ export function getPagesWithIssues(auditData) {
       ...(page.urlsSuggested && { urlsSuggested: page.urlsSuggested }),
     }));
   });
+
+  return [
+    ...statusCodeIssues,
+    ...sitemapIssues.map((issue) => ({ type: 'sitemap', ...issue })),
+    ...pageIssues.map((issue) => ({ type: 'page', ...issue })),
+  ];
+}
+
+function getRecommendedAction(issue) {
+  if (issue.issue) {
+    return ISSUE_RECOMMENDED_ACTIONS[issue.issue];
+  }
+  return issue.urlsSuggested
+    ? `use this url instead: ${issue.urlsSuggested}`
+    : DEFAULT_RECOMMENDED_ACTION;
 }
 
 /**
@@ -185,9 +252,7 @@ export function generateSuggestions(auditUrl, auditData, context) {
     .filter(Boolean)
     .map((issue) => ({
       ...issue,
-      recommendedAction: issue.urlsSuggested
-        ? `use this url instead: ${issue.urlsSuggested}`
-        : 'Make sure your sitemaps only include URLs that return the 200 (OK) response code.',
+      recommendedAction: getRecommendedAction(issue),
     }));
 
   /* c8 ignore next */
@@ -223,16 +288,28 @@ export async function opportunityAndSuggestions(auditUrl, auditData, context) {
     auditType,
   );
 
-  const buildKey = (data) => (data.type === 'url' ? `${data.sitemapUrl}|${data.pageUrl}` : data.error);
+  const buildKey = (data) => {
+    switch (data.type) {
+      case 'url':
+        return `${data.sitemapUrl}|${data.pageUrl}`;
+      case 'sitemap':
+        return `${data.issue}|${data.sitemapUrl}`;
+      case 'page':
+        return `${data.issue}|${data.pageUrl}`;
+      default:
+        return data.error;
+    }
+  };
 
   await syncSuggestions({
     opportunity,
     newData: auditData.suggestions,
     context,
     buildKey,
+    trackRegressions: true,
     mapNewSuggestion: (issue) => ({
       opportunityId: opportunity.getId(),
-      type: 'REDIRECT_UPDATE',
+      type: ['sitemap', 'page'].includes(issue.type) ? 'CONTENT_UPDATE' : 'REDIRECT_UPDATE',
       rank: 0,
       data: issue,
     }),
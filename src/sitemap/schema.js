@@ -0,0 +1,67 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { z } from 'zod';
+
+/**
+ * Version 2 of the sitemap audit result and suggestion data. Suggestions flag a page listed
+ * in a sitemap that does not return 200 (`url`), an error preventing the sitemap check
+ * (`error`), a sitemap breaking the sitemap protocol (`sitemap`), or a page with an
+ * inaccurate lastmod, listed with a non-canonical URL or missing from all sitemaps (`page`).
+ * Version 1 had the `url` and `error` suggestions only.
+ */
+export default {
+  version: 2,
+  auditResult: z.object({
+    success: z.boolean(),
+    reasons: z.array(z.object({
+      value: z.string().optional(),
+      error: z.string().optional(),
+    })),
+    url: z.string().optional(),
+    details: z.object({}).optional(),
+  }),
+  suggestionData: z.discriminatedUnion('type', [
+    z.object({
+      type: z.literal('url'),
+      sitemapUrl: z.string(),
+      pageUrl: z.string(),
+      statusCode: z.number(),
+      urlsSuggested: z.string().optional(),
+      recommendedAction: z.string(),
+    }),
+    z.object({
+      type: z.literal('error'),
+      error: z.string(),
+      recommendedAction: z.string(),
+    }),
+    z.object({
+      type: z.literal('sitemap'),
+      issue: z.string(),
+      sitemapUrl: z.string(),
+      parentUrl: z.string().optional(),
+      urlCount: z.number().optional(),
+      byteLength: z.number().optional(),
+      recommendedAction: z.string(),
+    }),
+    z.object({
+      type: z.literal('page'),
+      issue: z.string(),
+      pageUrl: z.string(),
+      sitemapUrl: z.string().optional(),
+      lastmod: z.string().optional(),
+      lastModified: z.string().optional(),
+      canonicalUrl: z.string().optional(),
+      recommendedAction: z.string(),
+    }),
+  ]),
+};
@@ -23,11 +23,18 @@ import {
   deduplicateIssues,
   getIssuesFromScraper,
   generateErrorMarkupForIssue,
+  summarizeRichResultEligibility,
 } from './lib.js';
+import { getMissingSchemaTypeIssues } from './missing-types.js';
 
 const auditType = Audit.AUDIT_TYPES.STRUCTURED_DATA;
 const { AUDIT_STEP_DESTINATIONS } = Audit;
 
+// Suggestions of this tier list the warning-level issues of a page
+export const WARNING_TIER = 'warning';
+// Suggestions of this tier list the schema types a page should have but does not
+export const MISSING_TYPE_TIER = 'missing-type';
+
 /**
  * Processes an audit of a set of pages from a site using Google's URL inspection tool.
  *
@@ -46,10 +53,15 @@ const { AUDIT_STEP_DESTINATIONS } = Audit;
 export async function processStructuredData(finalUrl, context, pages, scrapeCache) {
   const { log } = context;
 
-  const [gscPagesWithIssues, scraperPagesWithIssues] = await Promise.all([
+  const [gscPagesWithIssues, scraperResults] = await Promise.all([
     getIssuesFromGSC(finalUrl, context, pages),
     getIssuesFromScraper(context, pages, scrapeCache),
   ]);
+  const {
+    issues: scraperPagesWithIssues,
+    warnings,
+    eligibility,
+  } = scraperResults;
 
   // Deduplicate issues
   const pagesWithIssues = deduplicateIssues(
@@ -69,21 +81,18 @@ export async function processStructuredData(finalUrl, context, pages, scrapeCach
   return {
     success: true,
     issues: pagesWithIssues,
+    warnings,
+    richResults: {
+      summary: summarizeRichResultEligibility(eligibility),
+      pages: eligibility,
+    },
   };
 }
 
-export async function opportunityAndSuggestions(auditUrl, auditData, context) {
-  const { log } = context;
-
-  // Check if audit was successful
-  if (auditData.auditResult.success === false) {
-    log.warn('SDA: Audit failed, skipping opportunity generation');
-    return { ...auditData };
-  }
-
-  // Convert suggestions to errors
+// Converts the suggestion of each issue to an error with an ID that is unique per page
+function addErrorsToIssues(issues) {
   const errorIdMap = {};
-  for (const issue of auditData.auditResult.issues) {
+  for (const issue of issues) {
     issue.errors = [];
     const fix = generateErrorMarkupForIssue(issue);
     const errorTitle = `${issue.rootType}: ${issue.issueMessage}`;
@@ -99,18 +108,24 @@ export async function opportunityAndSuggestions(auditUrl, auditData, context) {
     }
     issue.errors.push({ fix, id: errorId, errorTitle });
   }
+}
 
-  const opportunity = await convertToOpportunity(
-    auditUrl,
-    { siteId: auditData.siteId, id: auditData.id },
-    context,
-    createOpportunityData,
-    auditType,
-  );
+// Warnings rank below all errors. Missing schema types rank between the two, by page
+// traffic: -1 / (traffic + 2) grows with the traffic from -0.5 towards 0
+function getRank(data) {
+  if (data.tier === WARNING_TIER) {
+    return -1;
+  }
+  if (data.tier === MISSING_TYPE_TIER) {
+    return -1 / (data.traffic + 2);
+  }
+  return data.severity === 'ERROR' ? 1 : 0;
+}
 
-  // Temporarily group issues by pageUrl as the UI does not support displaying
-  // the same page multiple times or displaying issues grouped by rootType
-  const issuesByPageUrl = auditData.auditResult.issues.reduce((acc, issue) => {
+// Groups issues by pageUrl, as the UI does not support displaying the same page
+// multiple times or displaying issues grouped by rootType
+function groupIssuesByPageUrl(issues) {
+  return issues.reduce((acc, issue) => {
     const existingIssue = acc.find((i) => i.pageUrl === issue.pageUrl);
     if (!existingIssue) {
       acc.push(issue);
@@ -119,8 +134,48 @@ export async function opportunityAndSuggestions(auditUrl, auditData, context) {
     }
     return acc;
   }, []);
+}
+
+export async function opportunityAndSuggestions(auditUrl, auditData, context) {
+  const { log } = context;
+
+  // Check if audit was successful
+  if (auditData.auditResult.success === false) {
+    log.warn('SDA: Audit failed, skipping opportunity generation');
+    return { ...auditData };
+  }
+
+  const {
+    issues, warnings = [], missingTypes = [], richResults,
+  } = auditData.auditResult;
+
+  // Convert suggestions to errors
+  addErrorsToIssues(issues);
+  addErrorsToIssues(warnings);
+  addErrorsToIssues(missingTypes);
+
+  const opportunity = await convertToOpportunity(
+    auditUrl,
+    { siteId: auditData.siteId, id: auditData.id },
+    context,
+    createOpportunityData,
+    auditType,
+    { richResults: richResults?.summary },
+  );
+
+  // Temporarily group issues by pageUrl. Warnings and missing schema types of a page
+  // are grouped into separate suggestions.
+  const warningsByPageUrl = groupIssuesByPageUrl(warnings)
+    .map((issue) => ({ ...issue, tier: WARNING_TIER }));
+  const missingTypesByPageUrl = groupIssuesByPageUrl(missingTypes)
+    .map((issue) => ({ ...issue, tier: MISSING_TYPE_TIER }));
+  const issuesByPageUrl = [
+    ...groupIssuesByPageUrl(issues),
+    ...warningsByPageUrl,
+    ...missingTypesByPageUrl,
+  ];
 
-  const buildKey = (data) => `${data.pageUrl}`;
+  const buildKey = (data) => (data.tier ? `${data.pageUrl}|${data.tier}` : `${data.pageUrl}`);
 
   await syncSuggestions({
     opportunity,
@@ -130,11 +185,12 @@ export async function opportunityAndSuggestions(auditUrl, auditData, context) {
     mapNewSuggestion: (data) => ({
       opportunityId: opportunity.getId(),
       type: 'CODE_CHANGE',
-      rank: data.severity === 'ERROR' ? 1 : 0,
+      rank: getRank(data),
       data: {
         type: 'url',
         url: data.pageUrl,
         errors: data.errors,
+        ...(data.tier && { tier: data.tier }),
       },
     }),
   });
@@ -197,7 +253,7 @@ export async function runAuditAndGenerateSuggestions(context) {
       log.error(`SDA: No top pages for site ID ${siteId} found. Ensure that top pages were imported.`);
       throw new Error(`No top pages for site ID ${siteId} found.`);
     } else {
-      topPages = topPages.map((page) => ({ url: page.getUrl() }));
+      topPages = topPages.map((page) => ({ url: page.getUrl(), traffic: page.getTraffic() }));
     }
 
     // Filter out files from the top pages as these are not scraped
@@ -205,6 +261,7 @@ export async function runAuditAndGenerateSuggestions(context) {
     topPages = topPages.filter((page) => !dataTypesToIgnore.some((dataType) => page.url.endsWith(`.${dataType}`)));
 
     const auditResult = await processStructuredData(finalUrl, context, topPages, scrapeCache);
+    auditResult.missingTypes = await getMissingSchemaTypeIssues(context, topPages, scrapeCache);
 
     // Create opportunities and suggestions
     const oppAndAudit = await opportunityAndSuggestions(finalUrl, {
@@ -217,7 +274,10 @@ export async function runAuditAndGenerateSuggestions(context) {
       oppAndAudit?.opportunity?.getId(),
       SuggestionModel.STATUSES.NEW,
     );
-    await Promise.all(suggestions.map(async (suggestion) => {
+    // Missing schema types come with drafted markup already
+    const suggestionsForGuidance = suggestions
+      .filter((suggestion) => suggestion.getData()?.tier !== MISSING_TYPE_TIER);
+    await Promise.all(suggestionsForGuidance.map(async (suggestion) => {
       const message = {
         type: 'guidance:structured-data',
         siteId: site.getId(),
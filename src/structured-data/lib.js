@@ -182,11 +182,207 @@ export function includeIssue(context, issue, flag) {
   return true;
 }
 
+export const RICH_RESULT_STATUS = Object.freeze({
+  ELIGIBLE: 'eligible',
+  ELIGIBLE_WITH_WARNINGS: 'eligible-with-warnings',
+  NOT_ELIGIBLE: 'not-eligible',
+});
+
+// Properties Google requires and recommends for each rich result type. A nested array
+// lists alternatives, of which at least one must be present.
+export const RICH_RESULT_TYPES = Object.freeze({
+  Product: {
+    required: ['name', ['offers', 'review', 'aggregateRating']],
+    recommended: ['image', 'description', 'brand', 'sku', 'offers', 'aggregateRating', 'review'],
+  },
+  Article: {
+    required: [],
+    recommended: ['headline', 'image', 'author', 'datePublished', 'dateModified'],
+  },
+  FAQPage: {
+    required: ['mainEntity'],
+    recommended: [],
+  },
+  BreadcrumbList: {
+    required: ['itemListElement'],
+    recommended: [],
+  },
+  Event: {
+    required: ['name', 'startDate', 'location'],
+    recommended: ['description', 'endDate', 'eventStatus', 'image', 'offers', 'organizer', 'performer'],
+  },
+  Recipe: {
+    required: ['name', 'image'],
+    recommended: ['author', 'datePublished', 'description', 'recipeIngredient', 'recipeInstructions', 'recipeYield', 'totalTime', 'aggregateRating', 'video'],
+  },
+  VideoObject: {
+    required: ['name', 'thumbnailUrl', 'uploadDate'],
+    recommended: ['description', 'contentUrl', 'embedUrl', 'duration'],
+  },
+  Organization: {
+    required: [],
+    recommended: ['name', 'url', 'logo', 'sameAs', 'address', 'contactPoint'],
+  },
+});
+
+// Schema.org subtypes which are eligible for the rich result of their parent type
+const RICH_RESULT_TYPE_ALIASES = {
+  NewsArticle: 'Article',
+  BlogPosting: 'Article',
+  OnlineStore: 'Organization',
+  Corporation: 'Organization',
+};
+
+const STRUCTURED_DATA_FORMATS = ['jsonld', 'microdata', 'rdfa'];
+
+/**
+ * Maps a schema.org type to the rich result type it is eligible for.
+ *
+ * @param {string} type - The schema.org type.
+ * @returns {string} The rich result type, or the type itself if it is no subtype.
+ */
+export const getRichResultType = (type) => RICH_RESULT_TYPE_ALIASES[type] || type;
+
+const hasProperty = (item, property) => {
+  const value = item[property];
+  return value !== undefined && value !== null && value !== ''
+    && !(Array.isArray(value) && value.length === 0);
+};
+
+const getMissingProperties = (item, properties) => properties
+  .filter((property) => (Array.isArray(property)
+    ? !property.some((alternative) => hasProperty(item, alternative))
+    : !hasProperty(item, property)))
+  .map((property) => (Array.isArray(property) ? property.join(' or ') : property));
+
+/**
+ * Checks for each rich result type found on a page whether the required and recommended
+ * properties are present. A type is not eligible if a required property is missing or the
+ * validator reported an error for it, and eligible with warnings if a recommended property
+ * is missing or the validator reported a warning for it.
+ *
+ * @param {string} pageUrl - The URL of the page.
+ * @param {Object} structuredData - The structured data of the page, as extracted by the scraper.
+ * @param {Object[]} errors - The error-level issues of the page.
+ * @param {Object[]} warnings - The warning-level issues of the page.
+ * @returns {Object[]} The eligibility of each rich result type found on the page.
+ */
+export function getRichResultEligibility(pageUrl, structuredData, errors, warnings) {
+  const eligibility = new Map();
+
+  for (const dataFormat of STRUCTURED_DATA_FORMATS) {
+    for (const [rootType, items] of Object.entries(structuredData?.[dataFormat] || {})) {
+      const type = getRichResultType(rootType);
+      const requirements = RICH_RESULT_TYPES[type];
+      if (requirements && isNonEmptyArray(items)) {
+        if (!eligibility.has(type)) {
+          eligibility.set(type, {
+            pageUrl,
+            type,
+            missingRequired: new Set(),
+            missingRecommended: new Set(),
+          });
+        }
+        const result = eligibility.get(type);
+        for (const item of items) {
+          getMissingProperties(item, requirements.required)
+            .forEach((property) => result.missingRequired.add(property));
+          getMissingProperties(item, requirements.recommended)
+            .forEach((property) => result.missingRecommended.add(property));
+        }
+      }
+    }
+  }
+
+  const countIssues = (issues, type) => issues
+    .filter((issue) => getRichResultType(issue.rootType) === type).length;
+
+  return [...eligibility.values()].map((result) => {
+    const errorCount = countIssues(errors, result.type);
+    const warningCount = countIssues(warnings, result.type);
+    let status = RICH_RESULT_STATUS.ELIGIBLE;
+    if (result.missingRequired.size > 0 || errorCount > 0) {
+      status = RICH_RESULT_STATUS.NOT_ELIGIBLE;
+    } else if (result.missingRecommended.size > 0 || warningCount > 0) {
+      status = RICH_RESULT_STATUS.ELIGIBLE_WITH_WARNINGS;
+    }
+    return {
+      ...result,
+      status,
+      missingRequired: [...result.missingRequired],
+      missingRecommended: [...result.missingRecommended],
+      errorCount,
+      warningCount,
+    };
+  });
+}
+
+/**
+ * Counts the rich result types per eligibility status.
+ *
+ * @param {Object[]} eligibility - The eligibility of the rich result types of all pages.
+ * @returns {{eligible: number, eligibleWithWarnings: number, notEligible: number}} The counts.
+ */
+export function summarizeRichResultEligibility(eligibility) {
+  const count = (status) => eligibility.filter((result) => result.status === status).length;
+  return {
+    eligible: count(RICH_RESULT_STATUS.ELIGIBLE),
+    eligibleWithWarnings: count(RICH_RESULT_STATUS.ELIGIBLE_WITH_WARNINGS),
+    notEligible: count(RICH_RESULT_STATUS.NOT_ELIGIBLE),
+  };
+}
+
+/**
+ * Gets the scrape of a path, reading it from S3 only once per audit.
+ *
+ * @param {Object} context - The context object.
+ * @param {string} pathname - The path of the page, without trailing slash.
+ * @param {Map} scrapeCache - The cache of scrape results by path.
+ * @returns {Promise<Object>} The scrape result.
+ */
+export function getScrapeFromCache(context, pathname, scrapeCache) {
+  if (!scrapeCache.has(pathname)) {
+    scrapeCache.set(pathname, getScrapeForPath(pathname, context, context.site));
+  }
+  return scrapeCache.get(pathname);
+}
+
+/**
+ * Validates the structured data of the scraped pages.
+ *
+ * @param {Object} context - The context object.
+ * @param {Object[]} pages - The pages to validate.
+ * @param {Map} scrapeCache - The cache of scrape results by path.
+ * @returns {Promise<{issues: Object[], warnings: Object[], eligibility: Object[]}>} The
+ * error-level issues, the warning-level issues and the rich result eligibility of each page.
+ */
 export async function getIssuesFromScraper(context, pages, scrapeCache) {
-  const { log, site } = context;
+  const { log } = context;
 
   const issues = [];
+  const warnings = [];
+  const eligibility = [];
   const imageObjectFlag = { logSuppressionMessage: true };
+
+  // Only add if same issue for the same source does not exist already.
+  // This can happen e.g. if a field is missing for every item in a list.
+  const addIssue = (list, page, issue) => {
+    const existingIssue = list.find(
+      (i) => i.issueMessage === issue.issueMessage
+      && i.rootType === issue.rootType
+      && i.pageUrl === page
+      && i.dataFormat === issue.dataFormat
+      && i.location === issue.location
+      && i.severity === issue.severity,
+    );
+    if (!existingIssue) {
+      list.push({
+        pageUrl: page,
+        ...issue,
+        errors: [],
+      });
+    }
+  };
   await Promise.all(pages.map(async ({ url: page }) => {
     let scrapeResult;
     let { pathname } = new URL(page);
@@ -195,10 +391,7 @@ export async function getIssuesFromScraper(context, pages, scrapeCache) {
       pathname = pathname.slice(0, -1);
     }
     try {
-      if (!scrapeCache.has(pathname)) {
-        scrapeCache.set(pathname, getScrapeForPath(pathname, context, site));
-      }
-      scrapeResult = await scrapeCache.get(pathname);
+      scrapeResult = await getScrapeFromCache(context, pathname, scrapeCache);
     } catch (e) {
       log.error(`SDA: Could not find scrape for ${pathname}. Make sure that scrape-top-pages did run.`, e);
       return;
@@ -221,35 +414,22 @@ export async function getIssuesFromScraper(context, pages, scrapeCache) {
     const validator = new StructuredDataValidator(schemaOrgJson);
     let validatorIssues = [];
     try {
-      validatorIssues = (await validator.validate(waeResult))
-        // For now, ignore issues with severity lower than ERROR
-        //          and suppress unnecessary issues for AEM customers
-        .filter((issue) => includeIssue(context, issue, imageObjectFlag));
+      validatorIssues = await validator.validate(waeResult);
     } catch (e) {
       log.error(`SDA: Failed to validate structured data for ${page}.`, e);
     }
-    for (const issue of validatorIssues) {
-      // Only add if same issue for the same source does not exist already.
-      // This can happen e.g. if a field is missing for every item in a list.
-      const existingIssue = issues.find(
-        (i) => i.issueMessage === issue.issueMessage
-        && i.rootType === issue.rootType
-        && i.pageUrl === page
-        && i.dataFormat === issue.dataFormat
-        && i.location === issue.location
-        && i.severity === issue.severity,
-      );
-      if (!existingIssue) {
-        issues.push({
-          pageUrl: page,
-          ...issue,
-          errors: [],
-        });
-      }
-    }
+    // Suppress unnecessary issues for AEM customers
+    const pageErrors = validatorIssues
+      .filter((issue) => includeIssue(context, issue, imageObjectFlag));
+    // Warnings are surfaced as a separate, lower priority tier
+    const pageWarnings = validatorIssues.filter((issue) => issue.severity === 'WARNING');
+
+    pageErrors.forEach((issue) => addIssue(issues, page, issue));
+    pageWarnings.forEach((issue) => addIssue(warnings, page, issue));
+    eligibility.push(...getRichResultEligibility(page, waeResult, pageErrors, pageWarnings));
   }));
 
-  return issues;
+  return { issues, warnings, eligibility };
 }
 
 export function getWrongMarkup(context, issue, scrapeResult) {
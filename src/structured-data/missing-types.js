@@ -0,0 +1,187 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { isNonEmptyObject } from '@adobe/spacecat-shared-utils';
+import { AzureOpenAIClient } from '@adobe/spacecat-shared-gpt-client';
+import { load as cheerioLoad } from 'cheerio';
+
+import { limitConcurrency } from '../support/utils.js';
+import { isFaqHeading } from '../faqs/utils.js';
+import {
+  generateFirefallSuggestion,
+  getRichResultType,
+  getScrapeFromCache,
+} from './lib.js';
+
+// Page type names are set by the page-type audit, e.g. "pdp | Product Detail Pages"
+const PRODUCT_PAGE_TYPE_PATTERN = /\b(pdps?|products?)\b/i;
+const ARTICLE_PAGE_TYPE_PATTERN = /\b(blogs?|articles?|news|posts?)\b/i;
+
+// Pages at least this many path segments deep should have breadcrumbs
+export const BREADCRUMB_MIN_PATH_DEPTH = 2;
+
+// Drafts are only generated for the pages with the most traffic
+export const MAX_DRAFTS = 50;
+const MAX_CONCURRENT_DRAFTS = 5;
+
+const STRUCTURED_DATA_FORMATS = ['jsonld', 'microdata', 'rdfa'];
+
+/**
+ * Classifies a page with the page types of the site, which match the path of a page.
+ *
+ * @param {string} url - The URL of the page.
+ * @param {Object[]} pageTypes - The `{ name, pattern }` page types of the site.
+ * @returns {string|null} The name of the first matching page type, or null.
+ */
+export function getPageType(url, pageTypes) {
+  const { pathname } = new URL(url);
+  const pageType = (pageTypes || []).find(({ pattern }) => {
+    try {
+      return new RegExp(pattern).test(pathname);
+    } catch (e) {
+      return false;
+    }
+  });
+  return pageType?.name ?? null;
+}
+
+/**
+ * Lists the rich result types of the structured data of a page, in all data formats.
+ *
+ * @param {Object} structuredData - The structured data of the page, as extracted by the scraper.
+ * @returns {Set<string>} The types.
+ */
+export function getPresentSchemaTypes(structuredData) {
+  return new Set(STRUCTURED_DATA_FORMATS
+    .flatMap((dataFormat) => Object.keys(structuredData?.[dataFormat] || {}))
+    .map(getRichResultType));
+}
+
+/**
+ * Recommends the schema types a page should have, based on its page type, its depth and
+ * its content, and which it does not have yet.
+ *
+ * @param {string} url - The URL of the page.
+ * @param {string|null} pageType - The page type of the page.
+ * @param {Object} scrapeResult - The scrape of the page.
+ * @returns {Object[]} The `{ type, reason }` of each missing schema type.
+ */
+export function getMissingSchemaTypes(url, pageType, scrapeResult) {
+  const { structuredData, rawBody } = scrapeResult;
+  const recommended = [];
+
+  if (pageType && PRODUCT_PAGE_TYPE_PATTERN.test(pageType)) {
+    recommended.push({ type: 'Product', reason: `Page type "${pageType}" is a product page` });
+  }
+  if (pageType && ARTICLE_PAGE_TYPE_PATTERN.test(pageType)) {
+    recommended.push({ type: 'Article', reason: `Page type "${pageType}" is an article page` });
+  }
+  const depth = new URL(url).pathname.split('/').filter(Boolean).length;
+  if (depth >= BREADCRUMB_MIN_PATH_DEPTH) {
+    recommended.push({ type: 'BreadcrumbList', reason: `Page is ${depth} levels deep` });
+  }
+  if (rawBody) {
+    const $ = cheerioLoad(rawBody);
+    const faqHeading = $('h1, h2, h3, h4, h5, h6').toArray()
+      .map((heading) => $(heading).text().trim())
+      .find(isFaqHeading);
+    if (faqHeading) {
+      recommended.push({ type: 'FAQPage', reason: `Page has a Q&A section "${faqHeading}"` });
+    }
+  }
+
+  const presentTypes = getPresentSchemaTypes(structuredData);
+  return recommended.filter(({ type }) => !presentTypes.has(type));
+}
+
+async function addDrafts(context, issues) {
+  const { log } = context;
+
+  let client;
+  try {
+    client = AzureOpenAIClient.createFrom(context);
+  } catch (e) {
+    log.warn(`SDA: Failed to create the LLM client, skipping drafts for missing schema types: ${e.message}`);
+    return;
+  }
+
+  const drafted = [...issues]
+    .sort((a, b) => b.traffic - a.traffic)
+    .slice(0, MAX_DRAFTS);
+  await limitConcurrency(drafted.map((issue) => async () => {
+    try {
+      // eslint-disable-next-line no-param-reassign
+      issue.suggestion = await generateFirefallSuggestion(
+        context,
+        client,
+        { responseFormat: 'json_object' },
+        issue,
+        '',
+        issue.scrapeResult,
+      );
+    } catch (e) {
+      log.warn(`SDA: Failed to draft ${issue.rootType} markup for ${issue.pageUrl}: ${e.message}`);
+    }
+  }), MAX_CONCURRENT_DRAFTS);
+}
+
+/**
+ * Finds the schema types which the scraped pages should have but do not, and drafts the
+ * missing JSON-LD for the pages with the most traffic.
+ *
+ * @param {Object} context - The context object.
+ * @param {Object[]} pages - The `{ url, traffic }` of the pages.
+ * @param {Map} scrapeCache - The cache of scrape results by path.
+ * @returns {Promise<Object[]>} An issue for each missing schema type of each page.
+ */
+export async function getMissingSchemaTypeIssues(context, pages, scrapeCache) {
+  const { log, site } = context;
+  const pageTypes = site.getPageTypes();
+
+  const pageIssues = await Promise.all(pages.map(async ({ url, traffic }) => {
+    const pathname = new URL(url).pathname.replace(/\/$/, '');
+    let scrape;
+    try {
+      scrape = await getScrapeFromCache(context, pathname, scrapeCache);
+    } catch (e) {
+      log.debug(`SDA: No scrape found for ${pathname}, skipping missing schema types`);
+      return [];
+    }
+    const scrapeResult = scrape?.scrapeResult;
+    // Old scrape format lists structured data without data format
+    if (!isNonEmptyObject(scrapeResult) || Array.isArray(scrapeResult.structuredData)) {
+      return [];
+    }
+
+    const pageType = getPageType(url, pageTypes);
+    return getMissingSchemaTypes(url, pageType, scrapeResult).map(({ type, reason }) => ({
+      pageUrl: url,
+      rootType: type,
+      dataFormat: 'jsonld',
+      issueMessage: `Missing structured data of type "${type}"`,
+      severity: 'ERROR',
+      reason,
+      pageType,
+      traffic: traffic || 0,
+      scrapeResult: scrape,
+    }));
+  }));
+
+  const issues = pageIssues.flat();
+  log.info(`SDA: Found ${issues.length} missing schema types on ${pages.length} pages`);
+  if (issues.length > 0) {
+    await addDrafts(context, issues);
+  }
+
+  // The scrape is only needed to draft the markup
+  // eslint-disable-next-line no-unused-vars
+  return issues.map(({ scrapeResult, ...issue }) => ({ ...issue, errors: [] }));
+}
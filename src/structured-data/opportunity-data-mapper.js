@@ -12,7 +12,12 @@
 
 import { DATA_SOURCES } from '../common/constants.js';
 
-export function createOpportunityData() {
+/**
+ * @param {Object} [props={}] - The opportunity properties.
+ * @param {Object} [props.richResults] - The number of rich result types per eligibility status.
+ * @returns {Object} The opportunity data.
+ */
+export function createOpportunityData(props = {}) {
   return {
     runbook: 'https://adobe.sharepoint.com/:w:/r/sites/aemsites-engineering/Shared%20Documents/3%20-%20Experience%20Success/SpaceCat/Runbooks/Experience_Success_Studio_Structured_Data_Runbook.docx?d=wf814159992be44a58b72ce1950c0c9ab&csf=1&web=1&e=5Qq6vm',
     origin: 'AUTOMATION',
@@ -24,6 +29,7 @@ export function createOpportunityData() {
     tags: ['Traffic acquisition', 'tech-seo'],
     data: {
       dataSources: [DATA_SOURCES.AHREFS, DATA_SOURCES.GSC, DATA_SOURCES.SITE],
+      ...(props.richResults && { richResults: props.richResults }),
     },
   };
 }
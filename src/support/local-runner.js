@@ -0,0 +1,232 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import path from 'path';
+import { Audit as AuditModel } from '@adobe/spacecat-shared-data-access';
+import { AsyncJobRunner } from '../common/async-job-runner.js';
+import { loadExistingAudit } from '../common/audit-utils.js';
+import { StepAudit } from '../common/step-audit.js';
+import { getObjectKeysUsingPrefix } from '../utils/s3-utils.js';
+import {
+  createFileStore,
+  createLocalDataAccess,
+  createLocalS3Client,
+  createLocalSqs,
+} from './local-stubs.js';
+
+const { AUDIT_STEP_DESTINATIONS, AUDIT_STEP_DESTINATION_CONFIGS } = AuditModel;
+
+const SCRAPE_DESTINATIONS = [
+  AUDIT_STEP_DESTINATIONS.CONTENT_SCRAPER,
+  AUDIT_STEP_DESTINATIONS.SCRAPE_CLIENT,
+];
+
+export const LOCAL_ENV_DEFAULTS = {
+  S3_SCRAPER_BUCKET_NAME: 'local-scraper',
+  S3_IMPORTER_BUCKET_NAME: 'local-importer',
+  AUDIT_JOBS_QUEUE_URL: 'local://audit-jobs',
+  CONTENT_SCRAPER_QUEUE_URL: 'local://content-scraper',
+  IMPORT_WORKER_QUEUE_URL: 'local://import-worker',
+  QUEUE_SPACECAT_TO_MYSTIQUE: 'local://spacecat-to-mystique',
+};
+
+/**
+ * Builds a universal context whose `dataAccess`, `s3Client` and `sqs` are file-backed
+ * stand-ins rooted at `storeDir`: entities live in `<storeDir>/data`, S3 objects in
+ * `<storeDir>/s3/<bucket>/<key>` and sent messages are only recorded.
+ *
+ * @param {object} options
+ * @param {string} options.storeDir - the directory holding the local state
+ * @param {object} options.log - the logger
+ * @param {object} [options.env] - environment overrides
+ * @returns {object} the local context
+ */
+export function createLocalContext({ storeDir, log, env = {} }) {
+  return {
+    log,
+    env: { ...LOCAL_ENV_DEFAULTS, ...env },
+    dataAccess: createLocalDataAccess(createFileStore(path.join(storeDir, 'data'))),
+    s3Client: createLocalS3Client(path.join(storeDir, 's3')),
+    sqs: createLocalSqs(),
+    runtime: { region: 'local' },
+    func: { version: 'local' },
+    invocation: { id: 'local' },
+  };
+}
+
+/**
+ * Returns the local site for the base URL, creating it (and its organization) on first use.
+ *
+ * @param {string} baseURL - the base URL of the site
+ * @param {object} context - a context created with {@link createLocalContext}
+ * @returns {Promise<object>} the site
+ */
+export async function findOrCreateLocalSite(baseURL, context) {
+  const { Site, Organization } = context.dataAccess;
+  const existing = await Site.findByBaseURL(baseURL);
+  if (existing) {
+    return existing;
+  }
+
+  const organization = await Organization.create({ name: 'local', imsOrgId: 'local@AdobeOrg' });
+  return Site.create({
+    baseURL,
+    organizationId: organization.getId(),
+    deliveryType: 'aem_edge',
+    isLive: true,
+    config: {},
+  });
+}
+
+/**
+ * Maps the `scrape.json` files stored locally under `scrapes/<siteId>/` to the URL of the
+ * page they were scraped from, the same shape the ScrapeClient returns.
+ */
+async function getLocalScrapeResultPaths(site, context) {
+  const { env, log, s3Client } = context;
+  const prefix = `scrapes/${site.getId()}/`;
+  const keys = await getObjectKeysUsingPrefix(s3Client, env.S3_SCRAPER_BUCKET_NAME, prefix, log);
+  const baseURL = site.getBaseURL().replace(/\/$/, '');
+
+  return keys.reduce((map, key) => {
+    const pathname = key.slice(prefix.length).replace(/\/?scrape\.json$/, '');
+    return map.set(`${baseURL}/${pathname}`.replace(/\/$/, ''), key);
+  }, new Map());
+}
+
+/**
+ * Runs every step of a step audit in sequence, in-process. Instead of sending the
+ * continuation message to the step destination, its payload is recorded and the next
+ * step is invoked directly with the audit context the destination would have sent back.
+ * Scrape steps are answered with whatever scrape results are stored locally.
+ *
+ * @param {StepAudit} audit - the step audit
+ * @param {object} message - the audit message
+ * @param {object} context - the local context
+ * @returns {Promise<object[]>} the executed steps with their destination payloads
+ */
+export async function walkSteps(audit, message, context) {
+  const { log } = context;
+  const { type, siteId, data } = message;
+  const site = await audit.siteProvider(siteId, context);
+  const finalUrl = await audit.urlResolver(site, context);
+  const executed = [];
+
+  let { auditContext = {} } = message;
+  let stepName = auditContext.next || audit.stepNames[0];
+  let previousStep;
+
+  if (auditContext.next) {
+    context.audit = await loadExistingAudit(auditContext.auditId, context);
+  }
+
+  while (stepName) {
+    const step = audit.getStep(stepName);
+    const stepContext = {
+      ...context, auditContext, data, site, finalUrl, audit: context.audit,
+    };
+
+    if (SCRAPE_DESTINATIONS.includes(previousStep?.destination)) {
+      stepContext.scrapeJobId = 'local';
+      // eslint-disable-next-line no-await-in-loop
+      stepContext.scrapeResultPaths = await getLocalScrapeResultPaths(site, context);
+    }
+
+    log.info(`[local] Running step ${stepName} of ${type}`);
+    // eslint-disable-next-line no-await-in-loop
+    const stepResult = await step.handler(stepContext);
+
+    if (!context.audit) {
+      // eslint-disable-next-line no-await-in-loop
+      await audit.processAuditResult(stepResult, { type, site, finalUrl }, stepContext);
+      context.audit = stepContext.audit;
+    }
+
+    const nextStepName = audit.getNextStepName(stepName);
+    const record = { step: stepName, destination: step.destination };
+
+    if (nextStepName) {
+      auditContext = {
+        ...stepResult.auditContext,
+        next: nextStepName,
+        auditId: context.audit.getId(),
+        auditType: context.audit.getAuditType(),
+        fullAuditRef: context.audit.getFullAuditRef(),
+      };
+      const destination = AUDIT_STEP_DESTINATION_CONFIGS[step.destination];
+      record.payload = destination.formatPayload(stepResult, auditContext, stepContext);
+    }
+
+    executed.push(record);
+    previousStep = step;
+    stepName = nextStepName;
+  }
+
+  return executed;
+}
+
+/**
+ * Runs an audit of the given type against a site entirely locally and collects what
+ * it produced.
+ *
+ * @param {object} handlers - the audit handlers keyed by type, as in `src/index.js`
+ * @param {object} options
+ * @param {string} options.type - the audit type
+ * @param {string} options.baseURL - the base URL of the site to audit
+ * @param {object} [options.auditContext] - an optional audit context to start from
+ * @param {object} options.context - a context created with {@link createLocalContext}
+ * @returns {Promise<object>} the audit, opportunities, suggestions and recorded messages
+ */
+export async function runLocalAudit(handlers, {
+  type, baseURL, auditContext = {}, context,
+}) {
+  const handler = handlers[type];
+  if (!handler) {
+    throw new Error(`no such audit type: ${type}`);
+  }
+  if (handler instanceof AsyncJobRunner) {
+    throw new Error(`${type} runs as an async job and cannot be run locally`);
+  }
+
+  const site = await findOrCreateLocalSite(baseURL, context);
+  context.site = site;
+
+  const message = { type, siteId: site.getId(), auditContext };
+  let steps = [];
+  let response;
+
+  if (handler instanceof StepAudit) {
+    steps = await walkSteps(handler, message, context);
+  } else if (typeof handler.run === 'function') {
+    response = await handler.run(message, context);
+  } else {
+    response = await handler(message, context);
+  }
+
+  const { Audit, Opportunity } = context.dataAccess;
+  const [audit] = await Audit.allBySiteIdAndAuditType(site.getId(), type);
+  const opportunities = audit ? await Opportunity.allByAuditId(audit.getId()) : [];
+  const suggestions = (await Promise.all(
+    opportunities.map((opportunity) => opportunity.getSuggestions()),
+  )).flat();
+
+  return {
+    type,
+    site,
+    audit: audit || null,
+    status: response?.status,
+    steps,
+    opportunities,
+    suggestions,
+    messages: context.sqs.messages,
+  };
+}
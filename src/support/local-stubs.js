@@ -0,0 +1,352 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const lowerFirst = (value) => value.charAt(0).toLowerCase() + value.slice(1);
+
+/**
+ * Parses the field names out of a dynamic finder name,
+ * e.g. `allBySiteIdAndStatus` > ['siteId', 'status'].
+ *
+ * @param {string} suffix - the part of the method name after `By`
+ * @returns {string[]} the record fields to match on
+ */
+const parseFinderFields = (suffix) => suffix.split('And').map(lowerFirst);
+
+const byNewestFirst = (a, b) => String(b.createdAt).localeCompare(String(a.createdAt));
+
+/**
+ * A JSON file store keeping one `<collection>.json` file per entity collection.
+ *
+ * @param {string} rootDir - the directory holding the collection files
+ */
+export function createFileStore(rootDir) {
+  const fileFor = (name) => path.join(rootDir, `${name}.json`);
+
+  return {
+    rootDir,
+    read(name) {
+      const file = fileFor(name);
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : [];
+    },
+    write(name, records) {
+      fs.mkdirSync(rootDir, { recursive: true });
+      fs.writeFileSync(fileFor(name), JSON.stringify(records, null, 2));
+    },
+  };
+}
+
+/**
+ * Wraps a plain config object so that any `getX()` call returns `config.x`
+ * and any other method returns undefined, mimicking the site config model.
+ */
+function createLocalConfig(config = {}) {
+  return new Proxy(config, {
+    get(target, prop) {
+      if (prop === 'toJSON') {
+        return () => ({ ...target });
+      }
+      if (typeof prop !== 'string' || prop === 'then') {
+        return undefined;
+      }
+      const accessor = prop.match(/^get(\w+)$/);
+      return accessor ? () => target[lowerFirst(accessor[1])] : () => undefined;
+    },
+  });
+}
+
+/**
+ * Per-collection extras on top of the generic `getX`/`setX` accessors: relations
+ * between entities and the few model methods the audits rely on.
+ */
+const ENTITY_METHODS = {
+  Site: {
+    getConfig: (record) => createLocalConfig(record.config),
+  },
+  Opportunity: {
+    getSuggestions: (record, dataAccess) => dataAccess.Suggestion.allByOpportunityId(record.id),
+    addSuggestions: (record, dataAccess, items) => dataAccess.Suggestion.createMany(
+      items.map((item) => ({ ...item, opportunityId: record.id })),
+    ),
+    addFixEntities: (record, dataAccess, items) => dataAccess.FixEntity.createMany(
+      items.map((item) => ({ ...item, opportunityId: record.id })),
+    ),
+  },
+  Configuration: {
+    // every handler is enabled and entitled when running locally
+    getHandlers: () => new Proxy({}, { get: () => ({ productCodes: ['LOCAL'] }) }),
+    isHandlerEnabledForSite: () => true,
+  },
+};
+
+/**
+ * Collection methods that bypass the file store.
+ */
+const COLLECTION_METHODS = {
+  Entitlement: {
+    findByOrganizationIdAndProductCode: async (collection, organizationId, productCode) => (
+      collection.wrap({ id: `local-${productCode}`, organizationId, productCode })
+    ),
+  },
+  Configuration: {
+    findLatest: async (collection) => collection.wrap({ id: 'local-configuration' }),
+  },
+};
+
+function createCollection(name, store, dataAccess) {
+  const entityMethods = ENTITY_METHODS[name] || {};
+  const collectionMethods = COLLECTION_METHODS[name] || {};
+
+  const collection = {
+    name,
+    persist(record) {
+      const records = store.read(name);
+      const index = records.findIndex((existing) => existing.id === record.id);
+      const updated = { ...record, updatedAt: new Date().toISOString() };
+      if (index >= 0) {
+        records[index] = updated;
+      } else {
+        records.push(updated);
+      }
+      store.write(name, records);
+      Object.assign(record, updated);
+    },
+    removeById(id) {
+      store.write(name, store.read(name).filter((record) => record.id !== id));
+    },
+    wrap(record) {
+      const entity = new Proxy(record, {
+        get(target, prop) {
+          if (prop === 'toJSON') {
+            return () => ({ ...target });
+          }
+          if (typeof prop !== 'string' || prop === 'then') {
+            return undefined;
+          }
+          if (prop === 'save') {
+            return async () => {
+              collection.persist(target);
+              return entity;
+            };
+          }
+          if (prop === 'remove') {
+            return async () => collection.removeById(target.id);
+          }
+          if (entityMethods[prop]) {
+            return (...args) => entityMethods[prop](target, dataAccess, ...args);
+          }
+          const accessor = prop.match(/^(get|set)(\w+)$/);
+          if (!accessor) {
+            return undefined;
+          }
+          const field = lowerFirst(accessor[2]);
+          if (accessor[1] === 'get') {
+            return () => target[field];
+          }
+          return (value) => {
+            Object.assign(target, { [field]: value });
+            return entity;
+          };
+        },
+      });
+      return entity;
+    },
+    query(fields, values) {
+      return store.read(name)
+        .filter((record) => fields.every((field, i) => record[field] === values[i]))
+        .sort(byNewestFirst)
+        .map((record) => collection.wrap(record));
+    },
+    async create(data) {
+      const now = new Date().toISOString();
+      const record = {
+        id: randomUUID(), createdAt: now, updatedAt: now, ...data,
+      };
+      collection.persist(record);
+      return collection.wrap(record);
+    },
+    async createMany(items) {
+      const createdItems = await Promise.all(items.map((item) => collection.create(item)));
+      return { createdItems, errorItems: [] };
+    },
+    async findById(id) {
+      return collection.query(['id'], [id])[0] || null;
+    },
+    async all() {
+      return collection.query([], []);
+    },
+    async bulkUpdateStatus(entities, status) {
+      return Promise.all(entities.map((entity) => entity.setStatus(status).save()));
+    },
+    async removeByIds(ids) {
+      ids.forEach((id) => collection.removeById(id));
+    },
+  };
+
+  return new Proxy(collection, {
+    get(target, prop) {
+      if (collectionMethods[prop]) {
+        return (...args) => collectionMethods[prop](target, ...args);
+      }
+      if (prop in target || typeof prop !== 'string') {
+        return target[prop];
+      }
+      const finder = prop.match(/^(all|find)By(\w+)$/);
+      if (finder) {
+        const fields = parseFinderFields(finder[2]);
+        return async (...args) => {
+          const matches = target.query(fields, args);
+          return finder[1] === 'all' ? matches : matches[0] || null;
+        };
+      }
+      if (prop === 'findLatest') {
+        return async () => target.query([], [])[0] || null;
+      }
+      return () => {
+        throw new Error(`Local ${name} collection does not support ${prop}()`);
+      };
+    },
+  });
+}
+
+/**
+ * Creates a file-backed stand-in for `@adobe/spacecat-shared-data-access`. Every
+ * collection supports `create`, `createMany`, `findById`, `all`, `allByXAndY`,
+ * `findByXAndY`, `findLatest`, `bulkUpdateStatus` and `removeByIds`; entities expose
+ * `getX`/`setX` accessors for their fields plus `save` and `remove`.
+ *
+ * @param {object} store - a store created with {@link createFileStore}
+ * @returns {object} a data access object keyed by collection name
+ */
+export function createLocalDataAccess(store) {
+  const collections = {};
+  const dataAccess = new Proxy(collections, {
+    get(_, prop) {
+      if (typeof prop !== 'string' || prop === 'then') {
+        return undefined;
+      }
+      if (!collections[prop]) {
+        collections[prop] = createCollection(prop, store, dataAccess);
+      }
+      return collections[prop];
+    },
+  });
+  return dataAccess;
+}
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.csv': 'text/csv',
+};
+
+/**
+ * Creates a file-backed stand-in for the S3 client. Objects are kept under
+ * `<rootDir>/<bucket>/<key>`. Supports get, put, head, delete and list commands.
+ *
+ * @param {string} rootDir - the directory holding the buckets
+ * @returns {{send: function(object): Promise<object>}}
+ */
+export function createLocalS3Client(rootDir) {
+  const fileFor = ({ Bucket, Key }) => path.join(rootDir, Bucket, Key);
+  const notFound = (key) => Object.assign(new Error(`The specified key does not exist: ${key}`), {
+    name: 'NoSuchKey',
+    $metadata: { httpStatusCode: 404 },
+  });
+
+  const listKeys = (dir, base = dir) => {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+      const full = path.join(dir, entry.name);
+      return entry.isDirectory()
+        ? listKeys(full, base)
+        : [path.relative(base, full).split(path.sep).join('/')];
+    });
+  };
+
+  const handlers = {
+    GetObjectCommand: ({ input }) => {
+      const file = fileFor(input);
+      if (!fs.existsSync(file)) {
+        throw notFound(input.Key);
+      }
+      const content = fs.readFileSync(file);
+      return {
+        ContentType: CONTENT_TYPES[path.extname(file)] || 'text/plain',
+        ContentLength: content.length,
+        Body: {
+          transformToString: async () => content.toString('utf-8'),
+          transformToByteArray: async () => new Uint8Array(content),
+        },
+      };
+    },
+    HeadObjectCommand: ({ input }) => {
+      const file = fileFor(input);
+      if (!fs.existsSync(file)) {
+        throw notFound(input.Key);
+      }
+      const stat = fs.statSync(file);
+      return { ContentLength: stat.size, LastModified: stat.mtime };
+    },
+    PutObjectCommand: ({ input }) => {
+      const file = fileFor(input);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, input.Body);
+      return { $metadata: { httpStatusCode: 200 } };
+    },
+    DeleteObjectCommand: ({ input }) => {
+      fs.rmSync(fileFor(input), { force: true });
+      return { $metadata: { httpStatusCode: 204 } };
+    },
+    ListObjectsV2Command: ({ input }) => {
+      const prefix = input.Prefix || '';
+      const Contents = listKeys(path.join(rootDir, input.Bucket))
+        .filter((key) => key.startsWith(prefix))
+        .sort()
+        .slice(0, input.MaxKeys || 1000)
+        .map((Key) => ({ Key }));
+      return { Contents, KeyCount: Contents.length };
+    },
+  };
+
+  return {
+    async send(command) {
+      const handler = handlers[command.constructor.name];
+      if (!handler) {
+        throw new Error(`Local S3 client does not support ${command.constructor.name}`);
+      }
+      return handler(command);
+    },
+  };
+}
+
+/**
+ * Creates an SQS stand-in that records every message instead of sending it.
+ *
+ * @returns {{messages: object[], sendMessage: function}}
+ */
+export function createLocalSqs() {
+  const messages = [];
+  return {
+    messages,
+    async sendMessage(queueUrl, message, msgGroupId, delaySeconds = 0) {
+      messages.push({
+        queueUrl, message, msgGroupId, delaySeconds,
+      });
+    },
+  };
+}
@@ -15,6 +15,9 @@ import {
   FixEntity as FixEntityDataAccess,
 } from '@adobe/spacecat-shared-data-access';
 import { limitConcurrencyAllSettled } from '../support/utils.js';
+import { isDryRun } from '../common/dry-run.js';
+import { validateSuggestionData } from '../common/audit-schemas.js';
+import { detectRegressions, isReopened, updateRegressionCount } from './regression-tracker.js';
 
 // Max concurrent HTTP calls to prevent Lambda timeout (15 min)
 const MAX_CONCURRENT_CHECKS = 5;
@@ -222,7 +225,15 @@ export const handleOutdatedSuggestions = async ({
     log.debug(`Outdated suggestions sample (first 10): ${JSON.stringify(existingOutdatedSuggestions.slice(0, 10), null, 2)}`);
   }
 
-  if (isNonEmptyArray(existingOutdatedSuggestions)) {
+  if (isNonEmptyArray(existingOutdatedSuggestions) && isDryRun(context)) {
+    context.dryRun.suggestions.statusChanges.push(
+      ...existingOutdatedSuggestions.map((existing) => ({
+        id: existing.getId(),
+        from: existing.getStatus(),
+        to: statusToSetForOutdated,
+      })),
+    );
+  } else if (isNonEmptyArray(existingOutdatedSuggestions)) {
     await Suggestion.bulkUpdateStatus(
       existingOutdatedSuggestions,
       statusToSetForOutdated,
@@ -311,6 +322,9 @@ export const defaultMergeStatusFunction = (existing, newDataItem, context) => {
  * @param {string} [params.statusToSetForOutdated] - Status to set for outdated suggestions.
  * @param {Array} [params.existingSuggestions] - Pre-fetched suggestions to avoid duplicate
  *   DB query. If not provided, will be fetched from opportunity.
+ * @param {boolean} [params.trackRegressions] - Whether to flag issues that were FIXED or
+ *   OUTDATED before as a `regression` in their suggestion data, and to keep the number of
+ *   open regressions in the `regressionCount` of the opportunity data.
  * @returns {Promise<void>} - Resolves when the synchronization is complete.
  */
 export async function syncSuggestions({
@@ -324,6 +338,7 @@ export async function syncSuggestions({
   statusToSetForOutdated = SuggestionDataAccess.STATUSES.OUTDATED,
   scrapedUrlsSet = null,
   existingSuggestions: prefetchedSuggestions = null,
+  trackRegressions = false,
 }) {
   if (!context) {
     return;
@@ -339,6 +354,65 @@ export async function syncSuggestions({
     existingSuggestions.map((s) => buildKey(s.getData())),
   );
 
+  const regressions = trackRegressions
+    ? await detectRegressions({
+      context, opportunity, existingSuggestions, newDataKeys, buildKey,
+    })
+    : new Map();
+  // a flagged regression stays flagged as long as the issue is reported and left open
+  const withRegression = (data, key, status, previous) => {
+    const regression = regressions.get(key) ?? previous?.regression;
+    if (!trackRegressions || !regression) {
+      return data;
+    }
+    if (isReopened(status)) {
+      return { ...data, regression };
+    }
+    const closedData = { ...data };
+    delete closedData.regression;
+    return closedData;
+  };
+
+  // Validate the data of all updated and new suggestions before anything is persisted
+  const opportunityType = opportunity.getType?.();
+  const updates = existingSuggestions
+    .filter((existing) => newDataKeys.has(buildKey(existing.getData())))
+    .map((existing) => {
+      const key = buildKey(existing.getData());
+      const newDataItem = newDataByKey.get(key);
+      // Use the merge status function to determine if status should change
+      // null indicates to keep existing status
+      const newStatus = mergeStatusFunction(existing, newDataItem, context);
+      const mergedData = withRegression(
+        mergeDataFunction(existing.getData(), newDataItem),
+        key,
+        newStatus ?? existing.getStatus(),
+        existing.getData(),
+      );
+      return {
+        existing,
+        newStatus,
+        mergedData: validateSuggestionData(opportunityType, mergedData),
+      };
+    });
+
+  const { site } = context;
+  const requiresValidation = Boolean(site?.requiresValidation);
+  const newSuggestionStatus = requiresValidation ? SuggestionDataAccess.STATUSES.PENDING_VALIDATION
+    : SuggestionDataAccess.STATUSES.NEW;
+  const newSuggestions = newData
+    .filter((data) => !existingSuggestionKeys.has(buildKey(data)))
+    .map((data) => {
+      const suggestion = mapNewSuggestion(data);
+      const suggestionData = suggestion.data
+        && withRegression(suggestion.data, buildKey(data), newSuggestionStatus);
+      return {
+        ...suggestion,
+        ...(suggestionData && { data: validateSuggestionData(opportunityType, suggestionData) }),
+        status: newSuggestionStatus,
+      };
+    });
+
   // Update outdated suggestions
   await handleOutdatedSuggestions({
     existingSuggestions,
@@ -353,41 +427,44 @@ export async function syncSuggestions({
 
   // Update existing suggestions - O(N) with Map lookup
   await Promise.all(
-    existingSuggestions
-      .filter((existing) => {
-        const existingKey = buildKey(existing.getData());
-        return newDataKeys.has(existingKey);
-      })
-      .map((existing) => {
-        const existingKey = buildKey(existing.getData());
-        const newDataItem = newDataByKey.get(existingKey);
-        existing.setData(mergeDataFunction(existing.getData(), newDataItem));
-
-        // Use the merge status function to determine if status should change
-        const newStatus = mergeStatusFunction(existing, newDataItem, context);
-        // null indicates to keep existing status
+    updates.map(({ existing, newStatus, mergedData }) => {
+      if (isDryRun(context)) {
+        context.dryRun.suggestions.updated.push({ id: existing.getId(), data: mergedData });
         if (newStatus !== null) {
-          existing.setStatus(newStatus);
+          context.dryRun.suggestions.statusChanges.push({
+            id: existing.getId(),
+            from: existing.getStatus(),
+            to: newStatus,
+          });
         }
-        existing.setUpdatedBy('system');
-        return existing.save();
-      }),
+        return existing;
+      }
+
+      existing.setData(mergedData);
+      if (newStatus !== null) {
+        existing.setStatus(newStatus);
+      }
+      existing.setUpdatedBy('system');
+      return existing.save();
+    }),
   );
   log.debug(`Updated existing suggestions = ${existingSuggestions.length}: ${safeStringify(existingSuggestions)}`);
 
-  // Prepare new suggestions - O(N) with Set lookup
-  const { site } = context;
-  const requiresValidation = Boolean(site?.requiresValidation);
-  const newSuggestions = newData
-    .filter((data) => !existingSuggestionKeys.has(buildKey(data)))
-    .map((data) => {
-      const suggestion = mapNewSuggestion(data);
-      return {
+  if (trackRegressions) {
+    const regressionCount = [...updates.map(({ mergedData }) => mergedData), ...newSuggestions
+      .map(({ data }) => data)].filter((data) => data?.regression).length;
+    await updateRegressionCount(context, opportunity, regressionCount);
+  }
+
+  if (newSuggestions.length > 0 && isDryRun(context)) {
+    context.dryRun.suggestions.added.push(
+      ...newSuggestions.map((suggestion) => ({
+        opportunityId: opportunity.getId(),
         ...suggestion,
-        status: requiresValidation ? SuggestionDataAccess.STATUSES.PENDING_VALIDATION
-          : SuggestionDataAccess.STATUSES.NEW,
-      };
-    });
+      })),
+    );
+    return;
+  }
 
   // Add new suggestions if any
   if (newSuggestions.length > 0) {
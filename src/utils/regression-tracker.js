@@ -0,0 +1,153 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { Suggestion as SuggestionDataAccess } from '@adobe/spacecat-shared-data-access';
+import { isDryRun } from '../common/dry-run.js';
+
+/**
+ * Suggestion statuses meaning the issue was resolved: either marked fixed, or it disappeared
+ * from the audit data.
+ */
+export const RESOLVED_SUGGESTION_STATUSES = Object.freeze([
+  SuggestionDataAccess.STATUSES.FIXED,
+  SuggestionDataAccess.STATUSES.OUTDATED,
+]);
+
+const isResolved = (suggestion) => RESOLVED_SUGGESTION_STATUSES.includes(suggestion.getStatus());
+
+/**
+ * Suggestion statuses meaning the issue is not open: it was resolved, or it was skipped or
+ * rejected by the customer.
+ */
+const CLOSED_SUGGESTION_STATUSES = Object.freeze([
+  ...RESOLVED_SUGGESTION_STATUSES,
+  SuggestionDataAccess.STATUSES.SKIPPED,
+  SuggestionDataAccess.STATUSES.REJECTED,
+]);
+
+/**
+ * Whether a suggestion with the given status after the sync is open again, i.e. whether a
+ * re-occurring issue of the suggestion is a regression.
+ *
+ * @param {string} status - the status of the suggestion after the sync
+ * @returns {boolean} true if the suggestion is open
+ */
+export const isReopened = (status) => !CLOSED_SUGGESTION_STATUSES.includes(status);
+
+/**
+ * Loads the resolved suggestions of all other opportunities of the same type for the site,
+ * e.g. of opportunities that were resolved and replaced by a new one since.
+ */
+async function getResolvedSuggestionsOfPastOpportunities(context, opportunity) {
+  const { Opportunity, Suggestion } = context.dataAccess;
+  const others = (await Opportunity.allBySiteId(opportunity.getSiteId()))
+    .filter((other) => other.getType() === opportunity.getType()
+      && other.getId() !== opportunity.getId());
+
+  const results = await Promise.all(others.flatMap((other) => RESOLVED_SUGGESTION_STATUSES
+    .map((status) => Suggestion.allByOpportunityIdAndStatus(other.getId(), status))));
+  return results.flat();
+}
+
+/**
+ * Finds the issues of the current audit run that were resolved before: their key matches a
+ * FIXED or OUTDATED suggestion of this opportunity or of a past opportunity of the same type.
+ * Suggestions already flagged as a regression are only flagged again when the issue was
+ * resolved since, so their `previouslyFixedAt` is the date of the latest resolution.
+ * Regression tracking is best effort: if the past suggestions cannot be loaded, no regressions
+ * are reported.
+ *
+ * @param {object} params
+ * @param {object} params.context - the universal context
+ * @param {object} params.opportunity - the opportunity being synced
+ * @param {Array} params.existingSuggestions - the suggestions of the opportunity
+ * @param {Set} params.newDataKeys - the keys of the issues of the current audit run
+ * @param {Function} params.buildKey - builds the key of an issue from suggestion data
+ * @returns {Promise<Map<string, object>>} the regression of each re-occurring issue, by key,
+ * with the id, status and date of the suggestion it was last resolved with
+ */
+export async function detectRegressions({
+  context, opportunity, existingSuggestions, newDataKeys, buildKey,
+}) {
+  const { log } = context;
+  const regressions = new Map();
+  let pastSuggestions;
+  try {
+    pastSuggestions = await getResolvedSuggestionsOfPastOpportunities(context, opportunity);
+  } catch (e) {
+    log.warn(`[RegressionTracker] Failed to load past suggestions, skipping regression detection: ${e.message}`);
+    return regressions;
+  }
+
+  const flagged = new Map(existingSuggestions
+    .filter((suggestion) => suggestion.getData()?.regression)
+    .map((suggestion) => [buildKey(suggestion.getData()), suggestion.getData().regression]));
+  const detectedAt = new Date().toISOString();
+
+  [...existingSuggestions.filter(isResolved), ...pastSuggestions].forEach((suggestion) => {
+    const key = buildKey(suggestion.getData());
+    if (!newDataKeys.has(key)) {
+      return;
+    }
+    const previouslyFixedAt = suggestion.getUpdatedAt();
+    const known = regressions.get(key);
+    if (!known || previouslyFixedAt > known.previouslyFixedAt) {
+      regressions.set(key, {
+        previouslyFixedAt,
+        previousStatus: suggestion.getStatus(),
+        previousSuggestionId: suggestion.getId(),
+        detectedAt,
+      });
+    }
+  });
+  flagged.forEach(({ previouslyFixedAt }, key) => {
+    if (regressions.has(key) && previouslyFixedAt >= regressions.get(key).previouslyFixedAt) {
+      regressions.delete(key);
+    }
+  });
+
+  if (regressions.size > 0) {
+    log.warn(`[RegressionTracker] ${regressions.size} previously resolved ${opportunity.getType()} issues re-occurred for site ${opportunity.getSiteId()}`);
+  }
+  return regressions;
+}
+
+/**
+ * Stores the number of open regressions in the opportunity data as `regressionCount`.
+ * A failure to store it is logged and does not fail the sync.
+ *
+ * @param {object} context - the universal context
+ * @param {object} opportunity - the synced opportunity
+ * @param {number} regressionCount - the number of synced suggestions flagged as a regression
+ */
+export async function updateRegressionCount(context, opportunity, regressionCount) {
+  try {
+    const data = opportunity.getData() || {};
+    if ((data.regressionCount ?? 0) === regressionCount) {
+      return;
+    }
+    const updated = { ...data, regressionCount };
+    if (isDryRun(context)) {
+      context.dryRun.opportunities.updated.push({
+        id: opportunity.getId(),
+        type: opportunity.getType(),
+        data: updated,
+      });
+      return;
+    }
+    opportunity.setData(updated);
+    opportunity.setUpdatedBy('system');
+    await opportunity.save();
+  } catch (e) {
+    context.log.warn(`[RegressionTracker] Failed to store the regression count: ${e.message}`);
+  }
+}
@@ -38,6 +38,44 @@ const issueRankings = {
     long: 10,
     multiple: 11,
   },
+  robots: {
+    noindex: 1,
+    nofollow: 4,
+  },
+  'og:title': {
+    missing: 12,
+    empty: 12,
+    duplicate: 14,
+  },
+  'og:description': {
+    missing: 13,
+    empty: 13,
+    duplicate: 15,
+  },
+  'og:image': {
+    missing: 12,
+    empty: 12,
+    invalid: 16,
+  },
+  'og:url': {
+    missing: 16,
+    empty: 16,
+    invalid: 16,
+    mismatched: 16,
+  },
+  'twitter:card': {
+    missing: 17,
+    empty: 17,
+    invalid: 17,
+  },
+  viewport: {
+    missing: 12,
+    'non-responsive': 16,
+  },
+  charset: {
+    missing: 18,
+    'non-utf-8': 18,
+  },
 };
 
 /**
@@ -101,7 +139,9 @@ export function normalizeTagValue(value, toLowerCase = true) {
  * 9. Description Too Long/Short
  * 10. H1 Too Long
  * 11. Multiple H1 on a Page
- * @param {string} tagName - The tag name (title, description, h1)
+ * 12-18. Social, viewport and charset tags, while noindex and nofollow on the page
+ * rank with the missing title and the missing H1
+ * @param {string} tagName - The tag name (title, description, h1 or a head tag like og:title)
  * @param {string} issue - The issue description
  * @returns {number} Ranking number (-1 if not found)
  */
@@ -228,6 +228,30 @@ export function normalizeUrlForComparison(url) {
   }
 }
 
+/**
+ * Normalizes a page URL to compare pages with each other: lowercase host, no fragment and
+ * no trailing slash. The path keeps its case, as URLs are case-sensitive.
+ *
+ * @param {string} url - the URL to normalize
+ * @param {Object} [options] - the normalization options
+ * @param {boolean} [options.ignoreProtocolAndWww] - drops the protocol and the www subdomain,
+ * to match the same page across the variants of a site
+ * @returns {string} the normalized URL, or the URL as it is if it cannot be parsed
+ */
+export function normalizePageUrl(url, { ignoreProtocolAndWww = false } = {}) {
+  try {
+    const {
+      protocol, host, pathname, search,
+    } = new URL(url);
+    const path = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+    return ignoreProtocolAndWww
+      ? `${host.toLowerCase().replace(/^www\./, '')}${path}${search}`
+      : `${protocol}//${host.toLowerCase()}${path}${search}`;
+  } catch {
+    return url;
+  }
+}
+
 /**
  * Checks if two URLs match (with or without query strings).
  * Compares normalized URLs and also tries without query strings.
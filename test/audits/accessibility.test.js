@@ -39,6 +39,7 @@ describe('Accessibility Audit Handler', () => {
   let getExistingUrlsFromFailedAuditsStub;
   let updateStatusToIgnoredStub;
   let sendRunImportMessageStub;
+  let saveConformanceReportStub;
 
   beforeEach(async () => {
     sandbox = sinon.createSandbox();
@@ -85,12 +86,14 @@ describe('Accessibility Audit Handler', () => {
     getExistingUrlsFromFailedAuditsStub = sandbox.stub().resolves([]);
     updateStatusToIgnoredStub = sandbox.stub().resolves();
     sendRunImportMessageStub = sandbox.stub().resolves();
+    saveConformanceReportStub = sandbox.stub().resolves();
 
     const accessibilityModule = await esmock('../../src/accessibility/handler.js', {
       '../../src/accessibility/utils/data-processing.js': {
         getUrlsForAudit: getUrlsForAuditStub,
         aggregateAccessibilityData: aggregateAccessibilityDataStub,
         generateReportOpportunities: generateReportOpportunitiesStub,
+        saveConformanceReport: saveConformanceReportStub,
         sendRunImportMessage: sendRunImportMessageStub,
       },
       '../../src/accessibility/utils/generate-individual-opportunities.js': {
@@ -1211,6 +1214,66 @@ describe('Accessibility Audit Handler', () => {
       expect(aggregateAccessibilityDataStub).to.have.been.called;
     });
 
+    it('should save the conformance report next to the weekly report', async () => {
+      // Arrange
+      const mockAggregationResult = {
+        success: true,
+        finalResultFiles: {
+          current: {
+            overall: { violations: { total: 0 } },
+            'https://example.com/page1': { violations: {} },
+          },
+        },
+      };
+      aggregateAccessibilityDataStub.resolves(mockAggregationResult);
+      generateReportOpportunitiesStub.resolves();
+      createAccessibilityIndividualOpportunitiesStub.resolves();
+
+      // Act
+      const result = await processAccessibilityOpportunities(mockContext);
+
+      // Assert
+      expect(saveConformanceReportStub).to.have.been.calledOnceWith(
+        mockS3Client,
+        'test-bucket',
+        sinon.match(/^accessibility\/test-site-id\/\d{4}-\d{2}-\d{2}-final-result\.json$/),
+        mockAggregationResult.finalResultFiles.current,
+        { siteUrl: 'https://example.com', reportDate: sinon.match(/^\d{4}-\d{2}-\d{2}$/) },
+        mockContext.log,
+      );
+      expect(saveConformanceReportStub).to.have.been.calledAfter(generateReportOpportunitiesStub);
+      expect(result.status).to.equal('NO_OPPORTUNITIES');
+    });
+
+    it('should continue when the conformance report cannot be saved', async () => {
+      // Arrange
+      const mockAggregationResult = {
+        success: true,
+        finalResultFiles: {
+          current: {
+            overall: { violations: { total: 0 } },
+            'https://example.com/page1': { violations: {} },
+          },
+        },
+      };
+      aggregateAccessibilityDataStub.resolves(mockAggregationResult);
+      generateReportOpportunitiesStub.resolves();
+      createAccessibilityIndividualOpportunitiesStub.resolves();
+      const error = new Error('S3 save failed');
+      saveConformanceReportStub.rejects(error);
+
+      // Act
+      const result = await processAccessibilityOpportunities(mockContext);
+
+      // Assert
+      expect(mockContext.log.error).to.have.been.calledWith(
+        '[A11yAudit][A11yProcessingError] Error saving the conformance report for site test-site-id (https://example.com): S3 save failed',
+        error,
+      );
+      expect(createAccessibilityIndividualOpportunitiesStub).to.have.been.called;
+      expect(result.status).to.equal('NO_OPPORTUNITIES');
+    });
+
     it('should use production environment flag correctly', async () => {
       // Arrange
       mockContext.env.AWS_ENV = 'prod';
@@ -1882,6 +1945,43 @@ describe('Accessibility Audit Handler', () => {
         '2024-03-15'
       );
       expect(result.fullReportUrl).to.equal('accessibility-mobile/test-site-id/2024-03-15-final-result.json');
+      expect(saveConformanceReportStub).to.have.been.calledOnceWith(
+        mockS3Client,
+        'test-bucket',
+        'accessibility-mobile/test-site-id/2024-03-15-final-result.json',
+        mockAggregationResult.finalResultFiles.current,
+        { siteUrl: 'https://example.com', reportDate: '2024-03-15' },
+        mockContext.log,
+      );
+    });
+
+    it('should continue when the conformance report cannot be saved', async () => {
+      // Arrange
+      const mockAggregationResult = {
+        success: true,
+        finalResultFiles: {
+          current: {
+            overall: { violations: { total: 0 } },
+            'https://example.com/page1': { violations: {} },
+          },
+        },
+      };
+      aggregateAccessibilityDataStub.resolves(mockAggregationResult);
+      generateReportOpportunitiesStub.resolves();
+      const error = new Error('S3 save failed');
+      saveConformanceReportStub.rejects(error);
+
+      // Act
+      const processMobileOpportunities = createProcessAccessibilityOpportunitiesWithDevice('mobile');
+      const result = await processMobileOpportunities(mockContext);
+
+      // Assert
+      expect(mockContext.log.error).to.have.been.calledWith(
+        '[A11yAudit][A11yProcessingError] Error saving the conformance report for mobile on site test-site-id (https://example.com): S3 save failed',
+        error,
+      );
+      expect(sendRunImportMessageStub).to.have.been.called;
+      expect(result.status).to.equal('NO_OPPORTUNITIES');
     });
 
     it('should log processing message with device type', async () => {
@@ -2108,6 +2208,7 @@ describe('Accessibility Audit Handler', () => {
           getUrlsForAudit: getUrlsForAuditStub,
           aggregateAccessibilityData: aggregateAccessibilityDataStub,
           generateReportOpportunities: generateReportOpportunitiesStub,
+          saveConformanceReport: saveConformanceReportStub,
           sendRunImportMessage: sendRunImportMessageStub,
         },
         '../../src/accessibility/utils/generate-individual-opportunities.js': {
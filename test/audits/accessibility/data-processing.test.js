@@ -38,6 +38,7 @@ import {
   sendCodeFixMessagesToMystique,
   mergeAccessibilityData,
   getCodeInfo,
+  saveConformanceReport,
 } from '../../../src/accessibility/utils/data-processing.js';
 
 use(sinonChai);
@@ -5467,6 +5468,96 @@ describe('data-processing utility functions', () => {
     });
   });
 
+  describe('saveConformanceReport', () => {
+    const current = {
+      overall: {
+        violations: {
+          total: 2,
+          critical: {
+            count: 2,
+            items: {
+              'image-alt': {
+                count: 2, description: 'Images must have alternate text', level: 'A', successCriteriaNumber: '111',
+              },
+            },
+          },
+          serious: { count: 0, items: {} },
+        },
+      },
+      'https://example.com/page1': {
+        violations: {
+          total: 2,
+          critical: {
+            count: 2,
+            items: {
+              'image-alt': {
+                count: 2, description: 'Images must have alternate text', level: 'A', successCriteriaNumber: '111',
+              },
+            },
+          },
+          serious: { count: 0, items: {} },
+        },
+      },
+    };
+
+    it('saves the conformance report as JSON and html next to the final result file', async () => {
+      mockS3Client.send.resolves({});
+
+      const keys = await saveConformanceReport(
+        mockS3Client,
+        'test-bucket',
+        'accessibility/site-123/2025-01-06-final-result.json',
+        current,
+        { siteUrl: 'https://example.com', reportDate: '2025-01-06' },
+        mockLog,
+      );
+
+      expect(keys).to.deep.equal({
+        jsonKey: 'accessibility/site-123/2025-01-06-acr.json',
+        htmlKey: 'accessibility/site-123/2025-01-06-acr.html',
+      });
+      expect(mockS3Client.send).to.have.been.calledTwice;
+      const jsonCommand = mockS3Client.send.firstCall.args[0];
+      expect(jsonCommand).to.be.instanceOf(PutObjectCommand);
+      expect(jsonCommand.input).to.include({
+        Bucket: 'test-bucket',
+        Key: 'accessibility/site-123/2025-01-06-acr.json',
+        ContentType: 'application/json',
+      });
+      const report = JSON.parse(jsonCommand.input.Body);
+      expect(report).to.include({ siteUrl: 'https://example.com', reportDate: '2025-01-06', pagesAudited: 1 });
+      expect(report.criteria[0]).to.include({ criterion: '1.1.1', conformance: 'Does Not Support' });
+      const htmlCommand = mockS3Client.send.secondCall.args[0];
+      expect(htmlCommand.input).to.include({
+        Bucket: 'test-bucket',
+        Key: 'accessibility/site-123/2025-01-06-acr.html',
+        ContentType: 'text/html',
+      });
+      expect(htmlCommand.input.Body).to.include('<h1>Accessibility Conformance Report</h1>');
+      expect(mockLog.debug).to.have.been.calledWith(
+        'Saved accessibility conformance report to accessibility/site-123/2025-01-06-acr.json and accessibility/site-123/2025-01-06-acr.html',
+      );
+    });
+
+    it('throws when the report cannot be saved', async () => {
+      mockS3Client.send.rejects(new Error('S3 save failed'));
+
+      try {
+        await saveConformanceReport(
+          mockS3Client,
+          'test-bucket',
+          'accessibility-mobile/site-123/2025-01-06-final-result.json',
+          current,
+          { siteUrl: 'https://example.com', reportDate: '2025-01-06' },
+          mockLog,
+        );
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('S3 save failed');
+      }
+    });
+  });
+
   describe('sendRunImportMessage', () => {
     it('should create data object with a11y-metrics-aggregator import type', async () => {
       // Mock SQS message sending to capture the message structure
@@ -0,0 +1,210 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect } from 'chai';
+import {
+  ACR_FORMAT,
+  ACR_STANDARD,
+  CONFORMANCE,
+  calculateConformanceData,
+  generateConformanceReport,
+  generateConformanceReportHtml,
+  formatCriterionNumber,
+  escapeHtml,
+} from '../../../src/accessibility/utils/generate-acr-report.js';
+
+const imageAlt = {
+  count: 3,
+  description: 'Images must have alternate text',
+  level: 'A',
+  successCriteriaNumber: '111',
+};
+const colorContrast = {
+  count: 7,
+  description: 'Elements must meet minimum color contrast ratio thresholds',
+  level: 'AA',
+  successCriteriaNumber: '143',
+};
+const reflow = {
+  count: 1,
+  description: 'Content must reflow <without> scrolling',
+  level: 'AA',
+  successCriteriaNumber: '1410',
+};
+
+const currentFile = {
+  overall: {
+    violations: {
+      total: 11,
+      critical: { count: 3, items: { 'image-alt': imageAlt } },
+      serious: { count: 8, items: { 'color-contrast': colorContrast, reflow } },
+    },
+  },
+  'https://example.com/page1': {
+    violations: {
+      total: 6,
+      critical: { count: 2, items: { 'image-alt': { ...imageAlt, count: 2 } } },
+      serious: { count: 4, items: { 'color-contrast': { ...colorContrast, count: 4 } } },
+    },
+    traffic: 100,
+  },
+  'https://example.com/page2': {
+    violations: {
+      total: 3,
+      critical: { count: 0, items: {} },
+      serious: { count: 3, items: { 'color-contrast': { ...colorContrast, count: 3 } } },
+    },
+    traffic: 50,
+  },
+  'https://example.com/page2?source=contact-form': {
+    violations: {
+      total: 2,
+      critical: { count: 1, items: { 'image-alt': { ...imageAlt, count: 1 } } },
+      serious: { count: 1, items: { reflow } },
+    },
+  },
+  'https://example.com/page3': {
+    violations: { total: 0 },
+    traffic: 10,
+  },
+};
+
+describe('generate-acr-report', () => {
+  describe('formatCriterionNumber', () => {
+    it('adds the dots to criterion numbers', () => {
+      expect(formatCriterionNumber('111')).to.equal('1.1.1');
+      expect(formatCriterionNumber('1410')).to.equal('1.4.10');
+      expect(formatCriterionNumber('2411')).to.equal('2.4.11');
+    });
+  });
+
+  describe('escapeHtml', () => {
+    it('escapes html special characters', () => {
+      expect(escapeHtml('<a href="x">Tom\'s & Co</a>')).to.equal('&lt;a href=&quot;x&quot;&gt;Tom&#39;s &amp; Co&lt;/a&gt;');
+    });
+  });
+
+  describe('calculateConformanceData', () => {
+    it('derives the conformance of every WCAG 2.2 A/AA criterion from the affected pages', () => {
+      const { pagesAudited, criteria } = calculateConformanceData(currentFile);
+
+      expect(pagesAudited).to.equal(3);
+      expect(criteria).to.have.lengthOf(55);
+      expect(criteria.map(({ criterion }) => criterion).slice(14, 20)).to.deep.equal([
+        '1.4.4', '1.4.5', '1.4.10', '1.4.11', '1.4.12', '1.4.13',
+      ]);
+      expect(criteria.find(({ criterion }) => criterion === '4.1.1')).to.be.undefined;
+
+      const byCriterion = Object.fromEntries(criteria.map((c) => [c.criterion, c]));
+      expect(byCriterion['1.1.1']).to.deep.equal({
+        criterion: '1.1.1',
+        name: 'Non-text Content',
+        level: 'A',
+        url: 'https://www.w3.org/TR/WCAG/#non-text-content',
+        conformance: CONFORMANCE.PARTIALLY_SUPPORTS,
+        remarks: '2 of 3 audited pages have issues: image-alt (3)',
+        affectedPages: 2,
+        issues: [{ rule: 'image-alt', description: 'Images must have alternate text', count: 3 }],
+      });
+      expect(byCriterion['1.4.10']).to.include({
+        conformance: CONFORMANCE.PARTIALLY_SUPPORTS,
+        affectedPages: 1,
+      });
+      expect(byCriterion['2.1.1']).to.include({
+        conformance: CONFORMANCE.SUPPORTS,
+        remarks: 'No issues found by automated testing on the 3 audited pages',
+        affectedPages: 0,
+      });
+      expect(byCriterion['2.1.1'].issues).to.deep.equal([]);
+    });
+
+    it('reports criteria violated on all audited pages as not supported', () => {
+      const { criteria } = calculateConformanceData({
+        overall: currentFile.overall,
+        'https://example.com/page1': currentFile['https://example.com/page1'],
+        'https://example.com/page2': currentFile['https://example.com/page2'],
+      });
+
+      const contrast = criteria.find(({ criterion }) => criterion === '1.4.3');
+      expect(contrast).to.include({
+        conformance: CONFORMANCE.DOES_NOT_SUPPORT,
+        remarks: '2 of 2 audited pages have issues: color-contrast (7)',
+        level: 'AA',
+      });
+    });
+
+    it('sorts the issues of a criterion by count', () => {
+      const { criteria } = calculateConformanceData({
+        overall: {
+          violations: {
+            critical: { items: { 'role-img-alt': { ...imageAlt, count: 1 }, 'image-alt': imageAlt } },
+          },
+        },
+        'https://example.com/page1': {
+          violations: { critical: { items: { 'image-alt': imageAlt } } },
+        },
+      });
+
+      expect(criteria[0].issues.map(({ rule }) => rule)).to.deep.equal(['image-alt', 'role-img-alt']);
+      expect(criteria[0].remarks).to.equal('1 of 1 audited pages have issues: image-alt (3), role-img-alt (1)');
+    });
+  });
+
+  describe('generateConformanceReport', () => {
+    it('generates the machine-readable conformance report', () => {
+      const report = generateConformanceReport(currentFile, {
+        siteUrl: 'https://example.com',
+        reportDate: '2025-01-06',
+      });
+
+      expect(report).to.include({
+        format: ACR_FORMAT,
+        standard: ACR_STANDARD,
+        siteUrl: 'https://example.com',
+        reportDate: '2025-01-06',
+        pagesAudited: 3,
+      });
+      expect(report.evaluationMethods).to.include('axe-core');
+      expect(report.notes).to.include('manual review');
+      expect(report.summary).to.deep.equal({ supports: 52, partiallySupports: 3, doesNotSupport: 0 });
+      expect(report.criteria).to.have.lengthOf(55);
+    });
+  });
+
+  describe('generateConformanceReportHtml', () => {
+    it('generates the conformance report with a table per conformance level', () => {
+      const report = generateConformanceReport(currentFile, {
+        siteUrl: 'https://example.com/?a=1&b=2',
+        reportDate: '2025-01-06',
+      });
+
+      const html = generateConformanceReportHtml(report);
+
+      expect(html).to.match(/^<!DOCTYPE html>/);
+      expect(html).to.include('<title>Accessibility Conformance Report - https://example.com/?a=1&amp;b=2</title>');
+      expect(html).to.include('<p>VPAT 2.5 WCAG edition</p>');
+      expect(html).to.include('<dt>Report Date</dt><dd>2025-01-06</dd>');
+      expect(html).to.include('(3 pages)');
+      expect(html).to.include('<h2>WCAG 2.2 Report</h2>');
+      expect(html).to.include('<p>52 criteria supported, 3 partially supported, 0 not supported.</p>');
+      expect(html).to.include('<h3>Table 1: Success Criteria, Level A</h3>');
+      expect(html).to.include('<h3>Table 2: Success Criteria, Level AA</h3>');
+      expect(html).to.include('<td><a href="https://www.w3.org/TR/WCAG/#non-text-content">1.1.1 Non-text Content</a> (Level A)</td>');
+      expect(html).to.include('<td>Partially Supports</td>');
+      expect(html).to.include('<td>2 of 3 audited pages have issues: image-alt (3)</td>');
+      expect(html.match(/<tr>\s*<td><a /g)).to.have.lengthOf(55);
+      expect(html.indexOf('2.4.11 Focus Not Obscured')).to.be.greaterThan(html.indexOf('Table 2'));
+    });
+  });
+});
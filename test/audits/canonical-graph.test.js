@@ -0,0 +1,259 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import nock from 'nock';
+import { load as cheerioLoad } from 'cheerio';
+import {
+  analyzeCanonicalGraph,
+  createCanonicalNode,
+  getContentShingles,
+  getSignatureBands,
+  isNoindex,
+} from '../../src/canonical/canonical-graph.js';
+import { CANONICAL_CHECKS } from '../../src/canonical/constants.js';
+
+use(sinonChai);
+
+describe('Canonical Graph', () => {
+  const baseURL = 'https://example.com';
+  let log;
+
+  const text = (topic, length = 50) => Array.from({ length }, (_, i) => `${topic}${i}`).join(' ');
+  const node = (path, canonicalPath, body = text(path), head = '') => createCanonicalNode({
+    url: `${baseURL}${path}`,
+    finalUrl: `${baseURL}${path}`,
+    canonical: canonicalPath && `${baseURL}${canonicalPath}`,
+    rawBody: `<html><head>${head}</head><body><p>${body}</p></body></html>`,
+  });
+  const checksOf = (results) => Object.fromEntries(results.map(({ url, checks }) => [
+    url.replace(baseURL, ''), checks.map(({ check }) => check),
+  ]));
+
+  beforeEach(() => {
+    log = {
+      debug: sinon.stub(),
+      info: sinon.stub(),
+      warn: sinon.stub(),
+      error: sinon.stub(),
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    nock.cleanAll();
+  });
+
+  describe('isNoindex', () => {
+    it('detects noindex in robots meta tags and the X-Robots-Tag header', () => {
+      expect(isNoindex(cheerioLoad('<meta name="robots" content="noindex, follow">'))).to.be.true;
+      expect(isNoindex(cheerioLoad('<meta name="GoogleBot" content="NOINDEX">'))).to.be.true;
+      expect(isNoindex(cheerioLoad('<meta name="robots">'), 'noindex')).to.be.true;
+      expect(isNoindex(cheerioLoad('<meta name="robots" content="index, follow">'), 'nofollow')).to.be.false;
+    });
+  });
+
+  describe('getContentShingles', () => {
+    it('builds three-word shingles of the visible text', () => {
+      const $ = cheerioLoad('<body><script>var a = 1;</script><h1>One two</h1><p>three, Four!</p></body>');
+
+      expect([...getContentShingles($)]).to.deep.equal(['one two three', 'two three four']);
+    });
+  });
+
+  describe('getSignatureBands', () => {
+    const shinglesOf = (body) => getContentShingles(cheerioLoad(`<body>${body}</body>`));
+
+    it('returns the same bands for the same shingles', () => {
+      const bands = getSignatureBands(shinglesOf(text('page', 100)));
+
+      expect(bands).to.have.lengthOf(20);
+      expect(getSignatureBands(shinglesOf(text('page', 100)))).to.deep.equal(bands);
+    });
+
+    it('shares bands between near-duplicates only', () => {
+      const bands = new Set(getSignatureBands(shinglesOf(text('page', 100))));
+      const shared = (body) => getSignatureBands(shinglesOf(body))
+        .filter((band) => bands.has(band)).length;
+
+      expect(shared(`${text('page', 100)} extra`)).to.be.above(0);
+      expect(shared(text('other', 100))).to.equal(0);
+    });
+  });
+
+  describe('createCanonicalNode', () => {
+    it('resolves the canonical against the final URL', () => {
+      const page = createCanonicalNode({
+        url: `${baseURL}/a`,
+        finalUrl: `${baseURL}/b/`,
+        canonical: 'c',
+        rawBody: '<html><head><meta name="robots" content="noindex"></head></html>',
+      });
+
+      expect(page).to.deep.include({
+        url: `${baseURL}/a`, finalUrl: `${baseURL}/b/`, canonical: `${baseURL}/b/c`, noindex: true,
+      });
+    });
+
+    it('has no canonical if the tag is missing or invalid', () => {
+      expect(node('/a', null).canonical).to.be.null;
+      expect(createCanonicalNode({
+        url: `${baseURL}/a`, finalUrl: `${baseURL}/a`, canonical: 'https://[invalid', rawBody: '',
+      }).canonical).to.be.null;
+    });
+  });
+
+  describe('analyzeCanonicalGraph', () => {
+    it('fetches nothing if all pages are self-canonical', async () => {
+      const results = await analyzeCanonicalGraph([node('/a', '/a/'), node('/b', null)], baseURL, log);
+
+      expect(results).to.deep.equal([]);
+    });
+
+    it('reports chains and canonical targets blocked by robots.txt or missing from the sitemap', async () => {
+      nock(baseURL)
+        .get('/robots.txt')
+        .times(2)
+        .reply(200, `User-agent: *\nDisallow: /c\nSitemap: ${baseURL}/sitemap.xml`)
+        .get('/sitemap.xml')
+        .reply(200, `<?xml version="1.0"?><urlset><url><loc>${baseURL}/b</loc></url></urlset>`);
+
+      const results = await analyzeCanonicalGraph(
+        [node('/a', '/b'), node('/b', '/c'), node('/c', '/c')],
+        baseURL,
+        log,
+      );
+
+      expect(checksOf(results)).to.deep.equal({
+        '/a': [CANONICAL_CHECKS.CANONICAL_CHAIN.check],
+        '/b': [
+          CANONICAL_CHECKS.CANONICAL_TARGET_BLOCKED_BY_ROBOTS.check,
+          CANONICAL_CHECKS.CANONICAL_TARGET_NOT_IN_SITEMAP.check,
+        ],
+      });
+      expect(results[0].checks[0].chain).to.deep.equal([`${baseURL}/a`, `${baseURL}/b`, `${baseURL}/c`]);
+      expect(results[1].checks[0].canonical).to.equal(`${baseURL}/c`);
+    });
+
+    it('reports loops and skips robots.txt and sitemap checks without them', async () => {
+      nock(baseURL)
+        .get('/robots.txt')
+        .times(2)
+        .reply(404);
+
+      const results = await analyzeCanonicalGraph([node('/a', '/b'), node('/b', '/a')], baseURL, log);
+
+      expect(checksOf(results)).to.deep.equal({
+        '/a': [CANONICAL_CHECKS.CANONICAL_LOOP.check],
+        '/b': [CANONICAL_CHECKS.CANONICAL_LOOP.check],
+      });
+      expect(results[0].checks[0].chain).to.deep.equal([`${baseURL}/a`, `${baseURL}/b`, `${baseURL}/a`]);
+    });
+
+    it('fetches canonical URLs outside the scraped pages and reports noindex targets', async () => {
+      nock(baseURL)
+        .get('/robots.txt')
+        .times(2)
+        .replyWithError('connection refused')
+        .get('/x')
+        .reply(200, '<html><head><link rel="canonical" href="/y"></head></html>', { 'X-Robots-Tag': 'noindex' })
+        .get('/z')
+        .reply(404)
+        .get('/w')
+        .reply(200, '<html><body>indexable</body></html>');
+
+      const results = await analyzeCanonicalGraph([
+        node('/a', '/b'),
+        node('/b', null, text('b'), '<meta name="robots" content="noindex">'),
+        node('/c', '/x'),
+        node('/d', '/z'),
+        node('/e', '/w'),
+      ], baseURL, log);
+
+      expect(checksOf(results)).to.deep.equal({
+        '/a': [CANONICAL_CHECKS.CANONICAL_TARGET_NOINDEX.check],
+        '/c': [CANONICAL_CHECKS.CANONICAL_CHAIN.check, CANONICAL_CHECKS.CANONICAL_TARGET_NOINDEX.check],
+      });
+      expect(log.debug).to.have.been.calledWithMatch('Skipping robots.txt checks of canonical targets');
+    });
+
+    it('fetches at most 50 canonical URLs outside the scraped pages', async () => {
+      const scope = nock(baseURL)
+        .get(/\/target\d+/)
+        .times(50)
+        .reply(500)
+        .get('/robots.txt')
+        .times(2)
+        .reply(404);
+
+      const nodes = Array.from({ length: 51 }, (_, i) => node(`/p${i}`, `/target${i}`));
+      const results = await analyzeCanonicalGraph(nodes, baseURL, log);
+
+      expect(scope.isDone()).to.be.true;
+      expect(results).to.deep.equal([]);
+      expect(log.info).to.have.been.calledWith('[canonical] Checking 50 of 51 canonical URLs outside the scraped pages');
+    });
+
+    it('reports near-duplicate pages resolving to different canonicals', async () => {
+      nock(baseURL)
+        .get('/other')
+        .replyWithError('connection refused')
+        .get('/robots.txt')
+        .times(2)
+        .reply(404);
+      const shared = text('shared', 100);
+
+      const results = await analyzeCanonicalGraph([
+        node('/p1', '/p1', shared),
+        node('/p2', '/other', `${shared} extra`),
+        node('/p3', '/p1', text('unique')),
+        node('/q1', '/q1', text('q', 100)),
+        node('/q2', '/q1', text('q', 100)),
+        node('/empty', null, ''),
+        node('/empty2', '/q1', ''),
+      ], baseURL, log);
+
+      expect(checksOf(results)).to.deep.equal({
+        '/p1': [CANONICAL_CHECKS.CANONICAL_CLUSTER_INCONSISTENT.check],
+        '/p2': [CANONICAL_CHECKS.CANONICAL_CLUSTER_INCONSISTENT.check],
+      });
+      expect(results[0].checks[0].duplicates).to.deep.equal([`${baseURL}/p2`]);
+    });
+
+    it('adds a page to the first group of the pages it duplicates', async () => {
+      nock(baseURL)
+        .get('/robots.txt')
+        .times(2)
+        .reply(404);
+      const shared = text('shared', 100);
+
+      const results = await analyzeCanonicalGraph([
+        node('/a1', '/a1', `${shared} a`),
+        node('/b1', '/b1', text('b', 100)),
+        node('/a2', '/a1', `${shared} b`),
+        node('/a3', '/a3', `${shared} a b`),
+      ], baseURL, log);
+
+      expect(checksOf(results)).to.deep.equal({
+        '/a1': [CANONICAL_CHECKS.CANONICAL_CLUSTER_INCONSISTENT.check],
+        '/a2': [CANONICAL_CHECKS.CANONICAL_CLUSTER_INCONSISTENT.check],
+        '/a3': [CANONICAL_CHECKS.CANONICAL_CLUSTER_INCONSISTENT.check],
+      });
+      expect(results[2].checks[0].duplicates).to.deep.equal([`${baseURL}/a1`, `${baseURL}/a2`]);
+    });
+  });
+});
@@ -2545,6 +2545,73 @@ describe('Canonical URL Tests', () => {
         });
       });
 
+      it('should report the canonical graph issues of the scraped pages', async () => {
+        const scrapedContent = {
+          url: 'https://example.com/page1',
+          finalUrl: 'https://example.com/page1',
+          scrapeResult: {
+            canonical: {
+              exists: true,
+              count: 1,
+              href: 'https://example.com/page1',
+              inHead: true,
+            },
+            rawBody: createValidRawBody(),
+          },
+        };
+        const analyzeCanonicalGraph = sinon.stub().resolves([{
+          url: 'https://example.com/page1',
+          checks: [{
+            check: CANONICAL_CHECKS.CANONICAL_CLUSTER_INCONSISTENT.check,
+            success: false,
+            explanation: CANONICAL_CHECKS.CANONICAL_CLUSTER_INCONSISTENT.explanation,
+          }],
+        }]);
+
+        const { processScrapedContent: processScrapedContentMocked } = await esmock(
+          '../../src/canonical/handler.js',
+          {
+            '../../src/utils/s3-utils.js': {
+              getObjectFromKey: sinon.stub().resolves(scrapedContent),
+            },
+            '../../src/canonical/canonical-graph.js': { analyzeCanonicalGraph },
+            '../../src/utils/data-access.js': {
+              syncSuggestions: sinon.stub().resolves(),
+            },
+            '../../src/common/opportunity.js': {
+              convertToOpportunity: sinon.stub().resolves({ getId: () => 'oppty-id' }),
+            },
+          },
+        );
+
+        const result = await processScrapedContentMocked({
+          ...context,
+          site,
+          s3Client: {},
+          scrapeResultPaths: new Map([
+            ['https://example.com/page1', 'scrapes/job-id/page1/scrape.json'],
+          ]),
+          audit: { getId: () => 'test-audit-id' },
+        });
+
+        const [nodes, baseURL] = analyzeCanonicalGraph.firstCall.args;
+        expect(nodes).to.have.length(1);
+        expect(nodes[0]).to.include({
+          url: 'https://example.com/page1',
+          canonical: 'https://example.com/page1',
+          noindex: false,
+        });
+        expect(baseURL).to.equal('https://example.com');
+        expect(result.auditResult).to.deep.equal([{
+          type: CANONICAL_CHECKS.CANONICAL_CLUSTER_INCONSISTENT.check,
+          explanation: CANONICAL_CHECKS.CANONICAL_CLUSTER_INCONSISTENT.explanation,
+          affectedUrls: [{
+            url: 'https://example.com/page1',
+            suggestion: CANONICAL_CHECKS.CANONICAL_CLUSTER_INCONSISTENT.suggestion,
+          }],
+        }]);
+      });
+
       it('should handle error when processing scraped content fails', async () => {
         const mockGetObjectFromKey = sinon.stub().rejects(new Error('S3 fetch failed'));
 
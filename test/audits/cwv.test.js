@@ -470,7 +470,9 @@ describe('collectCWVDataAndImportCode Tests', () => {
 
       // make sure that 1 existing suggestion is updated
       expect(existingSuggestions[1].setData).to.have.been.calledOnce;
-      expect(existingSuggestions[1].setData.firstCall.args[0]).to.deep.equal(suggestions[1].data);
+      expect(existingSuggestions[1].setData.firstCall.args[0]).to.deep.equal({
+        ...suggestions[1].data, schemaVersion: 0,
+      });
       expect(existingSuggestions[1].save).to.have.been.calledOnce;
 
       // make sure that 3 new suggestions are created
@@ -28,6 +28,9 @@ import {
   generateSuggestions,
   headingsAuditRunner,
   getH1HeadingASuggestion,
+  getHeadingsOutlineSuggestions,
+  findDuplicateH2Headings,
+  validatePageHeadingFromScrapeJson,
 } from '../../src/headings/handler.js';
 import {
   getHeadingSelector,
@@ -3132,14 +3135,15 @@ describe('Headings Audit', () => {
       expect(opportunityData).to.have.property('guidance');
       expect(opportunityData.guidance).to.have.property('steps');
       expect(opportunityData.guidance.steps).to.be.an('array');
-      expect(opportunityData.guidance.steps).to.have.lengthOf(5);
+      expect(opportunityData.guidance.steps).to.have.lengthOf(6);
 
       const steps = opportunityData.guidance.steps;
       expect(steps[0]).to.include('Review pages flagged for heading order');
       expect(steps[1]).to.include('AI-generated suggestions');
       expect(steps[2]).to.include('levels increase by at most one');
       expect(steps[3]).to.include('Remove or fill any empty heading elements');
-      expect(steps[4]).to.include('brand guidelines');
+      expect(steps[4]).to.include('do not describe their section');
+      expect(steps[5]).to.include('brand guidelines');
     });
 
     it('has correct tags', () => {
@@ -4943,4 +4947,284 @@ describe('Headings Audit', () => {
       });
     });
   });
+
+  describe('Outline quality checks', () => {
+    const scrapedAt = Date.UTC(2025, 0, 1);
+    const scrapeJson = (rawBody, title = 'Page Title') => ({
+      finalUrl: 'https://example.com/page',
+      scrapedAt,
+      scrapeResult: {
+        rawBody,
+        tags: { title, description: 'Page Description', h1: [] },
+      },
+    });
+
+    it('flags an H1 that duplicates the title tag', async () => {
+      const result = await validatePageHeadingFromScrapeJson(
+        'https://example.com/page',
+        scrapeJson('<h1> Summer  Sale </h1>', 'Summer Sale'),
+        log,
+        seoChecks,
+      );
+
+      expect(result.checks).to.have.lengthOf(1);
+      expect(result.checks[0]).to.deep.include({
+        check: HEADINGS_CHECKS.HEADING_H1_MATCHES_TITLE.check,
+        checkTitle: HEADINGS_CHECKS.HEADING_H1_MATCHES_TITLE.title,
+        suggestion: HEADINGS_CHECKS.HEADING_H1_MATCHES_TITLE.suggestion,
+        transformRules: {
+          action: 'replace',
+          selector: 'body > h1',
+          currValue: ' Summer  Sale ',
+          scrapedAt: new Date(scrapedAt).toISOString(),
+        },
+      });
+
+      const other = await validatePageHeadingFromScrapeJson(
+        'https://example.com/page',
+        scrapeJson('<h1>Summer Sale</h1>', 'Summer Sale | Example'),
+        log,
+        seoChecks,
+      );
+      expect(other.checks).to.deep.equal([]);
+    });
+
+    it('flags short headings in navigation and footers, and leaves them out of the outline', async () => {
+      const result = await validatePageHeadingFromScrapeJson(
+        'https://example.com/page',
+        scrapeJson('<nav><h4>Menu</h4></nav>'
+          + '<main><h1>Hiking Boots</h1><h2>Sizing</h2><p>Boots run small.</p></main>'
+          + '<footer><h3>Follow us</h3><h3>Subscribe to our weekly newsletter</h3></footer>'
+          + '<div role="contentinfo"><h5>Legal</h5></div>'),
+        log,
+        seoChecks,
+      );
+
+      const stylingChecks = result.checks
+        .filter(({ check }) => check === HEADINGS_CHECKS.HEADING_STYLING_ONLY.check);
+      expect(stylingChecks.map(({ transformRules }) => transformRules.currValue))
+        .to.deep.equal(['Menu', 'Follow us', 'Legal']);
+      expect(stylingChecks[1]).to.deep.include({
+        description: 'H3 heading in navigation or footer is used for styling only.',
+        tagName: 'H3',
+      });
+      expect(stylingChecks[1].transformRules).to.deep.include({
+        action: 'replaceWith',
+        selector: 'body > footer > h3:nth-of-type(1)',
+        valueFormat: 'hast',
+      });
+      expect(stylingChecks[1].transformRules.value.children[0]).to.deep.include({ tagName: 'p' });
+      expect(result.outline).to.deep.equal([
+        {
+          tagName: 'H1', text: 'Hiking Boots', selector: 'body > main > h1', sectionText: 'Sizing Boots run small.',
+        },
+        {
+          tagName: 'H2', text: 'Sizing', selector: 'body > main > h2', sectionText: 'Boots run small.',
+        },
+      ]);
+    });
+
+    describe('getHeadingsOutlineSuggestions', () => {
+      const outline = [
+        { tagName: 'H1', text: 'Hiking Boots', selector: 'h1', sectionText: 'Boots for every trail.' },
+        { tagName: 'H2', text: 'More', selector: 'h2', sectionText: 'Ships in 2 days.' },
+      ];
+      let fetchChatCompletion;
+
+      beforeEach(() => {
+        fetchChatCompletion = sinon.stub();
+        AzureOpenAIClient.createFrom.restore();
+        sinon.stub(AzureOpenAIClient, 'createFrom').returns({ fetchChatCompletion });
+      });
+
+      it('returns the headings that do not describe their section with the AI suggestion', async () => {
+        fetchChatCompletion.resolves({
+          choices: [{
+            message: {
+              content: JSON.stringify({
+                headings: [
+                  { index: 1, aiSuggestion: 'Shipping Times', aiRationale: 'Generic heading' },
+                  { index: 5, aiSuggestion: 'Unknown heading' },
+                  { index: 0 },
+                ],
+              }),
+            },
+          }],
+        });
+
+        const suggestions = await getHeadingsOutlineSuggestions(
+          'https://example.com/page',
+          log,
+          outline,
+          { finalUrl: 'https://example.com/page', title: 'Boots' },
+          context,
+          { tone: 'friendly' },
+        );
+
+        expect(suggestions).to.deep.equal([{ ...outline[1], aiSuggestion: 'Shipping Times' }]);
+        const [prompt, options] = fetchChatCompletion.firstCall.args;
+        expect(prompt).to.include('"text":"More","sectionText":"Ships in 2 days."');
+        expect(prompt).to.include('{"tone":"friendly"}');
+        expect(options).to.deep.equal({ responseFormat: 'json_object' });
+      });
+
+      it('skips pages without headings', async () => {
+        expect(await getHeadingsOutlineSuggestions('https://example.com/page', log, [], {}, context, null))
+          .to.deep.equal([]);
+        expect(fetchChatCompletion).not.to.have.been.called;
+      });
+
+      it('returns no suggestions for invalid responses and errors', async () => {
+        const errorLog = { ...log, error: sinon.stub() };
+        fetchChatCompletion.onFirstCall().resolves({
+          choices: [{ message: { content: '{"h1":{}}' } }],
+        });
+        fetchChatCompletion.onSecondCall().rejects(new Error('AI service unavailable'));
+
+        expect(await getHeadingsOutlineSuggestions('https://example.com/page', errorLog, outline, null, context, null))
+          .to.deep.equal([]);
+        expect(await getHeadingsOutlineSuggestions('https://example.com/page', errorLog, outline, null, context, null))
+          .to.deep.equal([]);
+        expect(errorLog.error).to.have.been.calledWith('[Headings AI Suggestions] Invalid response structure for https://example.com/page. Expected headings array');
+        expect(errorLog.error).to.have.been.calledWith('[Headings AI Suggestions] Error for headings outline review of https://example.com/page: Error: AI service unavailable');
+      });
+
+      it('returns no suggestions when the AI client cannot be created', async () => {
+        const errorLog = { ...log, error: sinon.stub() };
+        AzureOpenAIClient.createFrom.throws(new Error('Missing AZURE_OPENAI_ENDPOINT'));
+
+        expect(await getHeadingsOutlineSuggestions('https://example.com/page', errorLog, outline, null, context, null))
+          .to.deep.equal([]);
+        expect(errorLog.error).to.have.been.calledWith('[Headings AI Suggestions] Error for headings outline review of https://example.com/page: Error: Missing AZURE_OPENAI_ENDPOINT');
+      });
+    });
+
+    describe('findDuplicateH2Headings', () => {
+      const page = (index, h2s) => ({
+        url: `https://example.com/page-${index}`,
+        outline: h2s.map((text) => ({ tagName: 'H2', text, selector: 'h2' })),
+      });
+
+      it('finds H2 texts used on at least five pages, ignoring case and whitespace', () => {
+        const duplicates = findDuplicateH2Headings([
+          page(0, ['Related Articles', 'Related Articles']),
+          page(1, ['related  articles']),
+          page(2, ['Related Articles', 'Overview']),
+          page(3, ['Related Articles', 'Overview']),
+          page(4, ['Related Articles', 'Overview']),
+          page(5, ['Overview']),
+          { url: 'https://example.com/page-6', outline: [{ tagName: 'H3', text: 'Overview', selector: 'h3' }] },
+          { url: 'https://example.com/page-7' },
+        ]);
+
+        expect([...duplicates.keys()]).to.have.lengthOf(5);
+        expect(duplicates.get('https://example.com/page-0')).to.deep.equal([
+          {
+            url: 'https://example.com/page-0', selector: 'h2', text: 'Related Articles', pageCount: 5,
+          },
+        ]);
+        expect(duplicates.get('https://example.com/page-1')[0].text).to.equal('related  articles');
+      });
+
+      it('requires a share of the pages on large sites', () => {
+        const pages = Array.from({ length: 30 }, (_, index) => page(index, index < 5 ? ['Overview'] : []));
+
+        expect(findDuplicateH2Headings(pages).size).to.equal(0);
+        expect(findDuplicateH2Headings([...pages.slice(0, 5), page(5, ['Overview']), ...pages.slice(6)]).size)
+          .to.equal(6);
+      });
+    });
+
+    it('reports the outline checks in the audit results', async () => {
+      const baseURL = 'https://example.com';
+      const urls = [1, 2, 3, 4, 5].map((index) => `${baseURL}/page-${index}`);
+      const mockedHandler = await esmock('../../src/headings/handler.js', {
+        '../../src/utils/agentic-urls.js': {
+          getTopAgenticUrlsFromAthena: sinon.stub().resolves(urls),
+        },
+      });
+      const fetchChatCompletion = sinon.stub().resolves({
+        choices: [{
+          message: {
+            content: JSON.stringify({
+              headings: [{ index: 2, aiSuggestion: 'Shipping Times' }],
+              h1: { aiSuggestion: 'Boots for Every Trail' },
+            }),
+          },
+        }],
+      });
+      AzureOpenAIClient.createFrom.restore();
+      sinon.stub(AzureOpenAIClient, 'createFrom').returns({ fetchChatCompletion });
+      const testContext = {
+        ...context,
+        log: {
+          info: sinon.stub(), error: sinon.stub(), debug: sinon.stub(), warn: sinon.stub(),
+        },
+        s3Client: {
+          send: sinon.stub().callsFake((command) => {
+            if (command instanceof ListObjectsV2Command) {
+              return Promise.resolve({
+                Contents: urls.map((url) => ({ Key: `scrapes/site-1${new URL(url).pathname}/scrape.json` })),
+              });
+            }
+            const url = `${baseURL}${command.input.Key.replace('scrapes/site-1', '').replace('/scrape.json', '')}`;
+            return Promise.resolve({
+              Body: {
+                transformToString: () => JSON.stringify({
+                  finalUrl: url,
+                  scrapedAt,
+                  scrapeResult: {
+                    rawBody: '<main><h1>Boots</h1><h2>Related Articles</h2><p>Our picks.</p>'
+                      + `<h2>More ${url}</h2><p>Ships in 2 days.</p></main><footer><h3>Follow us</h3></footer>`,
+                    tags: { title: 'Boots', description: 'Boots', h1: ['Boots'] },
+                  },
+                }),
+              },
+              ContentType: 'application/json',
+            });
+          }),
+        },
+      };
+
+      const result = await mockedHandler.headingsAuditRunner(baseURL, testContext, site);
+
+      const { headings } = result.auditResult;
+      expect(Object.keys(headings)).to.have.members([
+        HEADINGS_CHECKS.HEADING_H1_MATCHES_TITLE.check,
+        HEADINGS_CHECKS.HEADING_STYLING_ONLY.check,
+        HEADINGS_CHECKS.HEADING_DUPLICATE_H2.check,
+        HEADINGS_CHECKS.HEADING_NOT_DESCRIPTIVE.check,
+      ]);
+      expect(headings[HEADINGS_CHECKS.HEADING_H1_MATCHES_TITLE.check].urls[0]).to.deep.include({
+        suggestion: 'Boots for Every Trail',
+        isAISuggested: true,
+      });
+      const duplicates = headings[HEADINGS_CHECKS.HEADING_DUPLICATE_H2.check].urls;
+      expect(duplicates.map(({ url }) => url)).to.have.members(urls);
+      expect(duplicates[0]).to.deep.include({
+        explanation: `H2 "Related Articles" is used on 5 of 5 pages: ${HEADINGS_CHECKS.HEADING_DUPLICATE_H2.explanation}`,
+        suggestion: HEADINGS_CHECKS.HEADING_DUPLICATE_H2.suggestion,
+        isAISuggested: false,
+        tagName: 'H2',
+        transformRules: {
+          action: 'replace',
+          selector: 'body > main > h2:nth-of-type(1)',
+          currValue: 'Related Articles',
+        },
+      });
+      const notDescriptive = headings[HEADINGS_CHECKS.HEADING_NOT_DESCRIPTIVE.check].urls;
+      expect(notDescriptive).to.have.lengthOf(5);
+      expect(notDescriptive[0]).to.deep.include({
+        suggestion: 'Shipping Times',
+        isAISuggested: true,
+        checkTitle: HEADINGS_CHECKS.HEADING_NOT_DESCRIPTIVE.title,
+        tagName: 'H2',
+      });
+      expect(notDescriptive[0].explanation).to.match(/^Found H2 "More https:\/\/example\.com\/page-\d"/);
+      expect(notDescriptive[0].transformRules).to.deep.include({
+        action: 'replace',
+        selector: 'body > main > h2:nth-of-type(2)',
+      });
+    });
+  });
 });
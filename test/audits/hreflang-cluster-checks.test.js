@@ -0,0 +1,307 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import nock from 'nock';
+import { load as cheerioLoad } from 'cheerio';
+import {
+  CLUSTER_CHECKS,
+  extractHreflangData,
+  getAlternatesByCode,
+  getSitemapHreflangAlternates,
+  validateHreflangClusters,
+} from '../../src/hreflang/cluster-checks.js';
+
+use(sinonChai);
+
+describe('Hreflang Cluster Checks', () => {
+  const baseURL = 'https://example.com';
+  let log;
+
+  const page = (url, alternates, canonical = null) => ({
+    url,
+    canonical,
+    alternates: Object.entries(alternates).map(([hreflang, href]) => ({ hreflang, href })),
+  });
+
+  const html = (alternates, canonical) => `<html><head>
+    ${canonical ? `<link rel="canonical" href="${canonical}">` : ''}
+    ${Object.entries(alternates).map(([hreflang, href]) => `<link rel="alternate" hreflang="${hreflang}" href="${href}">`).join('\n')}
+  </head></html>`;
+
+  const sitemap = (entries) => `<?xml version="1.0" encoding="UTF-8"?>
+    <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+    ${Object.entries(entries).map(([loc, alternates]) => `<url><loc>${loc}</loc>
+      ${Object.entries(alternates).map(([hreflang, href]) => `<xhtml:link rel="alternate" hreflang="${hreflang}" href="${href}"/>`).join('')}
+    </url>`).join('\n')}
+    </urlset>`;
+
+  beforeEach(() => {
+    log = {
+      debug: sinon.stub(),
+      info: sinon.stub(),
+      warn: sinon.stub(),
+      error: sinon.stub(),
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    nock.cleanAll();
+  });
+
+  describe('getAlternatesByCode', () => {
+    it('maps lowercase codes to the first URL declared for them', () => {
+      const byCode = getAlternatesByCode([
+        { hreflang: 'en-US', href: 'https://example.com/us/' },
+        { hreflang: 'en-us', href: 'https://example.com/other' },
+      ]);
+
+      expect([...byCode]).to.deep.equal([['en-us', 'https://example.com/us']]);
+    });
+  });
+
+  describe('extractHreflangData', () => {
+    it('resolves alternates and the canonical against the page URL', () => {
+      const $ = cheerioLoad(`<html><head>
+        <link rel="canonical" href="/en">
+        <link rel="alternate" hreflang="en" href="/en">
+        <link rel="alternate" hreflang="de" href="https://[invalid">
+        <link rel="alternate" hreflang="fr">
+      </head></html>`);
+
+      expect(extractHreflangData($, `${baseURL}/en`)).to.deep.equal({
+        alternates: [{ hreflang: 'en', href: `${baseURL}/en` }],
+        canonical: `${baseURL}/en`,
+      });
+    });
+
+    it('returns a null canonical if the page has none', () => {
+      expect(extractHreflangData(cheerioLoad('<html></html>'), baseURL)).to.deep.equal({
+        alternates: [],
+        canonical: null,
+      });
+    });
+  });
+
+  describe('getSitemapHreflangAlternates', () => {
+    const pageUrls = new Set([`${baseURL}/en`, `${baseURL}/de`]);
+
+    it('reads the alternates of the given pages from the sitemaps listed in robots.txt', async () => {
+      nock(baseURL)
+        .get('/robots.txt')
+        .reply(200, `Sitemap: ${baseURL}/sitemap_index.xml`)
+        .get('/sitemap_index.xml')
+        .reply(200, `<sitemapindex><sitemap><loc>${baseURL}/sitemap-pages.xml</loc></sitemap></sitemapindex>`)
+        .get('/sitemap-pages.xml')
+        .reply(200, sitemap({
+          [`${baseURL}/en/`]: { en: `${baseURL}/en`, de: `${baseURL}/de` },
+          [`${baseURL}/de`]: {},
+          [`${baseURL}/fr`]: { fr: `${baseURL}/fr` },
+        }));
+
+      const declared = await getSitemapHreflangAlternates(baseURL, pageUrls, log);
+
+      expect([...declared.keys()]).to.deep.equal([`${baseURL}/en`]);
+      expect([...declared.get(`${baseURL}/en`)]).to.deep.equal([
+        ['en', `${baseURL}/en`],
+        ['de', `${baseURL}/de`],
+      ]);
+    });
+
+    it('falls back to /sitemap.xml if robots.txt lists no sitemap', async () => {
+      nock(baseURL)
+        .get('/robots.txt')
+        .reply(200, 'User-agent: *')
+        .get('/sitemap.xml')
+        .reply(200, sitemap({ [`${baseURL}/de`]: { de: `${baseURL}/de` } }));
+
+      const declared = await getSitemapHreflangAlternates(baseURL, pageUrls, log);
+
+      expect([...declared.keys()]).to.deep.equal([`${baseURL}/de`]);
+    });
+
+    it('falls back to /sitemap.xml if robots.txt cannot be fetched and skips failing sitemaps', async () => {
+      nock(baseURL)
+        .get('/robots.txt')
+        .reply(404)
+        .get('/sitemap.xml')
+        .reply(500);
+
+      const declared = await getSitemapHreflangAlternates(baseURL, pageUrls, log);
+
+      expect(declared.size).to.equal(0);
+      expect(log.debug).to.have.been.calledWithMatch(`Skipping sitemap ${baseURL}/sitemap.xml`);
+    });
+
+    it('reads every sitemap once and at most five sitemaps', async () => {
+      const nested = ['a', 'a', 'b', 'c', 'd', 'e', 'f']
+        .map((name) => `<sitemap><loc>${baseURL}/${name}.xml</loc></sitemap>`).join('');
+      const scope = nock(baseURL)
+        .get('/robots.txt')
+        .reply(200, `Sitemap: ${baseURL}/index.xml`)
+        .get('/index.xml')
+        .reply(200, `<sitemapindex>${nested}</sitemapindex>`);
+      ['a', 'b', 'c', 'd'].forEach((name) => scope.get(`/${name}.xml`).reply(200, sitemap({})));
+
+      await getSitemapHreflangAlternates(baseURL, pageUrls, log);
+
+      expect(scope.isDone()).to.be.true;
+    });
+  });
+
+  describe('validateHreflangClusters', () => {
+    const en = page(`${baseURL}/en`, { en: `${baseURL}/en`, de: `${baseURL}/de/` });
+    const de = page(`${baseURL}/de`, { en: `${baseURL}/en`, de: `${baseURL}/de` });
+
+    it('reports nothing for reciprocal clusters matching the sitemap', async () => {
+      const sitemapAlternates = new Map([[`${baseURL}/en`, getAlternatesByCode(en.alternates)]]);
+
+      const results = await validateHreflangClusters([en, de], sitemapAlternates, log);
+
+      expect(results).to.deep.equal([]);
+    });
+
+    it('reports alternates not linking back', async () => {
+      const fr = page(`${baseURL}/fr`, { fr: `${baseURL}/fr`, en: `${baseURL}/en` });
+
+      const results = await validateHreflangClusters([en, de, fr], new Map(), log);
+
+      expect(results).to.deep.equal([{
+        url: `${baseURL}/fr`,
+        checks: [{
+          check: CLUSTER_CHECKS.HREFLANG_RETURN_LINK_MISSING.check,
+          success: false,
+          explanation: CLUSTER_CHECKS.HREFLANG_RETURN_LINK_MISSING.explanation,
+          hreflang: 'en',
+          href: `${baseURL}/en`,
+        }],
+      }]);
+    });
+
+    it('reports language codes pointing elsewhere on the alternates', async () => {
+      const codes = { en: `${baseURL}/en`, de: `${baseURL}/de` };
+      nock(baseURL)
+        .get('/it')
+        .reply(200, html({ ...codes, it: `${baseURL}/it` }))
+        .get('/it-it')
+        .reply(200, html({ ...codes, it: `${baseURL}/it-it` }));
+
+      const results = await validateHreflangClusters([
+        page(`${baseURL}/en`, { ...codes, it: `${baseURL}/it` }),
+        page(`${baseURL}/de`, { ...codes, it: `${baseURL}/it-it` }),
+      ], new Map(), log);
+
+      expect(results).to.deep.equal([`${baseURL}/en`, `${baseURL}/de`].map((url, i) => ({
+        url,
+        checks: [{
+          check: CLUSTER_CHECKS.HREFLANG_CONFLICTING_LANGUAGE.check,
+          success: false,
+          explanation: CLUSTER_CHECKS.HREFLANG_CONFLICTING_LANGUAGE.explanation,
+          hreflang: 'it',
+          href: i === 0 ? `${baseURL}/de` : `${baseURL}/en`,
+        }],
+      })));
+    });
+
+    it('fetches alternates outside the audited pages and checks their status and canonical', async () => {
+      const us = page(`${baseURL}/us`, {
+        'en-us': `${baseURL}/us`,
+        'en-gb': `${baseURL}/gb`,
+        'en-ca': `${baseURL}/ca`,
+        'en-au': `${baseURL}/au`,
+        'en-nz': 'https://nz.example.com/',
+      });
+      nock(baseURL)
+        .get('/gb')
+        .reply(301, '', { Location: `${baseURL}/uk` })
+        .get('/ca')
+        .reply(200, html({ 'en-us': `${baseURL}/us`, 'en-ca': `${baseURL}/ca` }, `${baseURL}/canada`))
+        .get('/au')
+        .reply(200, html({ 'en-us': `${baseURL}/us/` }));
+      nock('https://nz.example.com')
+        .get('/')
+        .replyWithError('connection refused');
+
+      const results = await validateHreflangClusters([us], new Map(), log);
+
+      expect(results).to.have.length(1);
+      expect(results[0].checks).to.deep.equal([
+        {
+          check: CLUSTER_CHECKS.HREFLANG_ALTERNATE_NOT_OK.check,
+          success: false,
+          explanation: CLUSTER_CHECKS.HREFLANG_ALTERNATE_NOT_OK.explanation,
+          hreflang: 'en-gb',
+          href: `${baseURL}/gb`,
+          statusCode: 301,
+        },
+        {
+          check: CLUSTER_CHECKS.HREFLANG_ALTERNATE_NOT_CANONICAL.check,
+          success: false,
+          explanation: CLUSTER_CHECKS.HREFLANG_ALTERNATE_NOT_CANONICAL.explanation,
+          hreflang: 'en-ca',
+          href: `${baseURL}/ca`,
+          canonical: `${baseURL}/canada`,
+        },
+      ]);
+    });
+
+    it('fetches at most 100 alternates outside the audited pages', async () => {
+      const alternates = Object.fromEntries([...Array(101).keys()]
+        .map((i) => [`en-${i}`, `${baseURL}/p${i}`]));
+      const scope = nock(baseURL)
+        .get(/\/p\d+/)
+        .times(100)
+        .reply(200, html({}));
+
+      const results = await validateHreflangClusters([page(`${baseURL}/`, alternates)], new Map(), log);
+
+      expect(scope.isDone()).to.be.true;
+      expect(log.info).to.have.been.calledWith('Checking 100 of 101 hreflang alternates outside the top pages');
+      expect(results[0].checks.map(({ check }) => check))
+        .to.deep.equal([CLUSTER_CHECKS.HREFLANG_RETURN_LINK_MISSING.check]);
+    });
+
+    it('reports pages whose sitemap alternates differ from the HTML', async () => {
+      const sitemapAlternates = new Map([
+        [`${baseURL}/en`, new Map([['en', `${baseURL}/en`]])],
+        [`${baseURL}/de`, new Map([['en', `${baseURL}/en`], ['de', `${baseURL}/de-de`]])],
+      ]);
+
+      const results = await validateHreflangClusters([en, de], sitemapAlternates, log);
+
+      expect(results).to.deep.equal([
+        {
+          url: `${baseURL}/en`,
+          checks: [{
+            check: CLUSTER_CHECKS.HREFLANG_SITEMAP_MISMATCH.check,
+            success: false,
+            explanation: CLUSTER_CHECKS.HREFLANG_SITEMAP_MISMATCH.explanation,
+          }],
+        },
+        {
+          url: `${baseURL}/de`,
+          checks: [{
+            check: CLUSTER_CHECKS.HREFLANG_SITEMAP_MISMATCH.check,
+            success: false,
+            explanation: CLUSTER_CHECKS.HREFLANG_SITEMAP_MISMATCH.explanation,
+          }],
+        },
+      ]);
+    });
+  });
+});
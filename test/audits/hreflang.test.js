@@ -220,6 +220,64 @@ describe('Hreflang Audit', () => {
       expect(notInHead).to.be.true;
     });
 
+    it('should detect a missing self-reference', async () => {
+      const html = `
+        <html>
+          <head>
+            <link rel="alternate" hreflang="en" href="https://example.com/en">
+            <link rel="alternate" hreflang="es" href="https://example.com/es">
+          </head>
+        </html>
+      `;
+
+      nock(baseURL)
+        .get('/de')
+        .reply(200, html);
+
+      const result = await validatePageHreflang(`${baseURL}/de`, mockLog);
+
+      expect(result.checks.map(({ check }) => check)).to.deep.equal([
+        HREFLANG_CHECKS.HREFLANG_X_DEFAULT_MISSING.check,
+        HREFLANG_CHECKS.HREFLANG_SELF_REFERENCE_MISSING.check,
+      ]);
+    });
+
+    it('should detect a language code pointing to different URLs', async () => {
+      const html = `
+        <html>
+          <head>
+            <link rel="canonical" href="/en/">
+            <link rel="alternate" hreflang="en" href="/en/">
+            <link rel="alternate" hreflang="EN" href="/en-us">
+            <link rel="alternate" hreflang="x-default" href="/">
+          </head>
+        </html>
+      `;
+
+      nock(baseURL)
+        .get('/en')
+        .reply(200, html);
+
+      const result = await validatePageHreflang(`${baseURL}/en`, mockLog);
+
+      expect(result).to.deep.equal({
+        url: `${baseURL}/en`,
+        checks: [{
+          check: HREFLANG_CHECKS.HREFLANG_CONFLICTING_LANGUAGE.check,
+          success: false,
+          explanation: HREFLANG_CHECKS.HREFLANG_CONFLICTING_LANGUAGE.explanation,
+          hreflang: 'EN',
+          href: `${baseURL}/en-us`,
+        }],
+        alternates: [
+          { hreflang: 'en', href: `${baseURL}/en/` },
+          { hreflang: 'EN', href: `${baseURL}/en-us` },
+          { hreflang: 'x-default', href: `${baseURL}/` },
+        ],
+        canonical: `${baseURL}/en/`,
+      });
+    });
+
     it('should handle undefined URL', async () => {
       const result = await validatePageHreflang(null, mockLog);
 
@@ -357,6 +415,39 @@ describe('Hreflang Audit', () => {
       expect(result.auditResult.message).to.include('No hreflang issues detected');
     });
 
+    it('should aggregate cluster issues across pages and the sitemap', async () => {
+      const html = (hrefs) => `<html><head>${hrefs
+        .map(([hreflang, href]) => `<link rel="alternate" hreflang="${hreflang}" href="${href}">`)
+        .join('')}</head></html>`;
+
+      nock(baseURL)
+        .get('/')
+        .reply(200, html([['en', `${baseURL}/`], ['es', `${baseURL}/about`], ['x-default', `${baseURL}/`]]))
+        .get('/about')
+        .reply(200, html([['es', `${baseURL}/about`], ['x-default', `${baseURL}/about`]]))
+        .get('/robots.txt')
+        .reply(200, `Sitemap: ${baseURL}/sitemap.xml`)
+        .get('/sitemap.xml')
+        .reply(200, `<urlset xmlns:xhtml="http://www.w3.org/1999/xhtml">
+          <url><loc>${baseURL}/about</loc><xhtml:link rel="alternate" hreflang="es" href="${baseURL}/about"/></url>
+        </urlset>`);
+
+      const result = await hreflangAuditRunner(baseURL, context, site);
+
+      expect(result.auditResult).to.deep.equal({
+        [HREFLANG_CHECKS.HREFLANG_RETURN_LINK_MISSING.check]: {
+          success: false,
+          explanation: HREFLANG_CHECKS.HREFLANG_RETURN_LINK_MISSING.explanation,
+          urls: [`${baseURL}/`],
+        },
+        [HREFLANG_CHECKS.HREFLANG_SITEMAP_MISMATCH.check]: {
+          success: false,
+          explanation: HREFLANG_CHECKS.HREFLANG_SITEMAP_MISMATCH.explanation,
+          urls: [`${baseURL}/about`],
+        },
+      });
+    });
+
     it('should handle no top pages', async () => {
       mockDataAccess.SiteTopPage.allBySiteIdAndSourceAndGeo.resolves([]);
 
@@ -614,6 +705,34 @@ describe('Hreflang Audit', () => {
       expect(actions).to.include('Move hreflang tags from the body to the <head> section of the HTML document.');
     });
 
+    it('should generate suggestions for the cluster check types', () => {
+      const checks = [
+        HREFLANG_CHECKS.HREFLANG_SELF_REFERENCE_MISSING,
+        HREFLANG_CHECKS.HREFLANG_CONFLICTING_LANGUAGE,
+        HREFLANG_CHECKS.HREFLANG_RETURN_LINK_MISSING,
+        HREFLANG_CHECKS.HREFLANG_ALTERNATE_NOT_OK,
+        HREFLANG_CHECKS.HREFLANG_ALTERNATE_NOT_CANONICAL,
+        HREFLANG_CHECKS.HREFLANG_SITEMAP_MISMATCH,
+      ];
+      const auditData = {
+        auditResult: Object.fromEntries(checks.map(({ check, explanation }) => [
+          check, { success: false, explanation, urls: ['https://example.com/page1'] },
+        ])),
+      };
+
+      const result = generateSuggestions(auditUrl, auditData, mockContext);
+
+      expect(result.suggestions.map((s) => s.recommendedAction)).to.deep.equal([
+        'Add a self-referencing hreflang tag for the language of the page: <link rel="alternate" href="https://example.com/page1" hreflang="[language-code]" />',
+        'Make every language code point to exactly one URL, identical on all pages of the cluster.',
+        'Add an hreflang tag pointing back to this page on every alternate page it links to.',
+        'Point hreflang tags to the final URLs of the alternates, responding with 200 OK, or remove tags of pages that no longer exist.',
+        'Point hreflang tags to the canonical URLs of the alternates.',
+        'Declare the same hreflang alternates in the sitemap and in the HTML of the page, or declare them in one place only.',
+      ]);
+      expect(result.elmoSuggestions[0].recommendedAction).to.include('## Missing Return Link');
+    });
+
     it('should return empty suggestions array when no failed checks', () => {
       const auditData = {
         auditResult: {
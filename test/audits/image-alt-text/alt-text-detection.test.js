@@ -0,0 +1,68 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect } from 'chai';
+import { load as cheerioLoad } from 'cheerio';
+import {
+  getImagesWithoutAltText,
+  isDecorativeImage,
+  resolveImageUrl,
+} from '../../../src/image-alt-text/alt-text-detection.js';
+
+describe('Alt Text Detection', () => {
+  const pageUrl = 'https://www.example.com/blog/post';
+
+  describe('resolveImageUrl', () => {
+    it('resolves the src against the page URL', () => {
+      expect(resolveImageUrl('../media/a.jpg', pageUrl)).to.equal('https://www.example.com/media/a.jpg');
+      expect(resolveImageUrl('http://[invalid', pageUrl)).to.equal('http://[invalid');
+      expect(resolveImageUrl('', pageUrl)).to.be.null;
+    });
+  });
+
+  describe('isDecorativeImage', () => {
+    it('treats images with an empty alt or hidden from assistive technologies as decorative', () => {
+      const $ = cheerioLoad(`
+        <img alt="">
+        <img role="presentation">
+        <img role="none">
+        <img aria-hidden="true">
+        <img alt="Logo">
+        <img>`);
+
+      expect($('img').toArray().map((img) => isDecorativeImage($(img))))
+        .to.deep.equal([true, true, true, true, false, false]);
+    });
+  });
+
+  describe('getImagesWithoutAltText', () => {
+    it('lists the images without alt text, with their caption', () => {
+      const images = getImagesWithoutAltText(`<html><body>
+        <img src="/media/hero.jpg" alt="Hero">
+        <figure><img src="team.jpg"><figcaption> Our   team </figcaption></figure>
+        <img src="/media/spacer.gif" alt="">
+        <img src="/media/icon.svg" aria-hidden="true">
+        <img src=" /media/chart.png " title="Sales chart">
+        <img data-src="/media/lazy.jpg">
+      </body></html>`, pageUrl);
+
+      expect(images.map(({ imageUrl, caption }) => ({ imageUrl, caption }))).to.deep.equal([
+        { imageUrl: 'https://www.example.com/blog/team.jpg', caption: 'Our team' },
+        { imageUrl: 'https://www.example.com/media/chart.png', caption: 'Sales chart' },
+        { imageUrl: null, caption: null },
+      ]);
+      expect(images[0].selector).to.include('img');
+    });
+  });
+});
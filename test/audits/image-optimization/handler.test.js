@@ -0,0 +1,293 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import esmock from 'esmock';
+import { MockContextBuilder } from '../../shared.js';
+import { IMAGE_CHECKS } from '../../../src/image-optimization/image-analysis.js';
+import { createOpportunityData } from '../../../src/image-optimization/opportunity-data-mapper.js';
+
+use(sinonChai);
+
+const sandbox = sinon.createSandbox();
+const baseURL = 'https://example.com';
+const siteId = 'site-123';
+
+const suggestion = (data) => ({ getData: () => data });
+
+const cwvOpportunity = (suggestions) => ({
+  getId: () => 'cwv-opportunity-id',
+  getType: () => 'cwv',
+  getSuggestions: sandbox.stub().resolves(suggestions),
+});
+
+describe('Image optimization audit', () => {
+  let context;
+  let site;
+  let handler;
+  const analyzePageImages = sinon.stub();
+  const syncSuggestions = sinon.stub();
+
+  before(async function loadHandler() {
+    this.timeout(10000);
+    handler = await esmock('../../../src/image-optimization/handler.js', {
+      '../../../src/image-optimization/image-analysis.js': { analyzePageImages },
+      '../../../src/utils/data-access.js': { syncSuggestions },
+    });
+  });
+
+  beforeEach(() => {
+    context = new MockContextBuilder()
+      .withSandbox(sandbox)
+      .build();
+    site = context.site;
+    context.dataAccess.Opportunity.allBySiteIdAndStatus.resolves([]);
+    syncSuggestions.resolves();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    analyzePageImages.reset();
+    syncSuggestions.reset();
+  });
+
+  describe('getLcpPages', () => {
+    it('lists the pages with a slow LCP in the CWV opportunity', async () => {
+      context.dataAccess.Opportunity.allBySiteIdAndStatus.resolves([
+        { getType: () => 'broken-backlinks' },
+        cwvOpportunity([
+          suggestion({
+            type: 'url',
+            url: `${baseURL}/slow/`,
+            metrics: [{ deviceType: 'mobile', lcp: 3100 }, { deviceType: 'desktop', lcp: null }],
+          }),
+          suggestion({ type: 'url', url: `${baseURL}/fast`, metrics: [{ lcp: 1200 }] }),
+          suggestion({ type: 'url', url: `${baseURL}/no-metrics` }),
+          suggestion({ type: 'group', pattern: `${baseURL}/blog/*`, metrics: [{ lcp: 4000 }] }),
+        ]),
+      ]);
+
+      const lcpPages = await handler.getLcpPages(context, siteId);
+
+      expect([...lcpPages.entries()]).to.deep.equal([
+        [`${baseURL}/slow`, { opportunityId: 'cwv-opportunity-id', lcp: 3100 }],
+      ]);
+      expect(context.dataAccess.Opportunity.allBySiteIdAndStatus).to.have.been.calledWith(siteId, 'NEW');
+    });
+
+    it('returns no pages without a CWV opportunity, or when it cannot be read', async () => {
+      expect((await handler.getLcpPages(context, siteId)).size).to.equal(0);
+
+      context.dataAccess.Opportunity.allBySiteIdAndStatus.rejects(new Error('boom'));
+      expect((await handler.getLcpPages(context, siteId)).size).to.equal(0);
+      expect(context.log.warn).to.have.been.calledWith(`[image-optimization] Failed to read the CWV opportunity of site ${siteId}: boom`);
+    });
+  });
+
+  describe('imageOptimizationRunner', () => {
+    const finding = (check, estimatedBytesSaved) => ({
+      check,
+      imageUrl: `${baseURL}/hero.jpg`,
+      selector: 'img',
+      estimatedBytesSaved,
+    });
+
+    beforeEach(() => {
+      context.dataAccess.SiteTopPage.allBySiteIdAndSourceAndGeo.resolves([
+        `${baseURL}/`, `${baseURL}/slow/`, `${baseURL}/unscraped`, `${baseURL}/empty`,
+      ].map((url) => ({ getUrl: () => url })));
+      context.dataAccess.Opportunity.allBySiteIdAndStatus.resolves([
+        cwvOpportunity([suggestion({ type: 'url', url: `${baseURL}/slow`, metrics: [{ lcp: 3000 }] })]),
+      ]);
+      const scrapes = {
+        [`scrapes/${siteId}/scrape.json`]: { scrapeResult: { rawBody: '<img src="/home.png">' } },
+        [`scrapes/${siteId}/slow/scrape.json`]: { scrapeResult: { rawBody: '<img src="/hero.jpg">' } },
+        [`scrapes/${siteId}/empty/scrape.json`]: { scrapeResult: {} },
+      };
+      context.s3Client = {
+        send: sandbox.stub().callsFake(({ input }) => {
+          if (!scrapes[input.Key]) {
+            return Promise.reject(new Error('NoSuchKey'));
+          }
+          return Promise.resolve({
+            ContentType: 'application/json',
+            Body: { transformToString: () => JSON.stringify(scrapes[input.Key]) },
+          });
+        }),
+      };
+      analyzePageImages.withArgs(`${baseURL}/`).resolves({
+        imagesAnalyzed: 1,
+        findings: [finding(IMAGE_CHECKS.MISSING_DIMENSIONS.check, 0)],
+      });
+      analyzePageImages.withArgs(`${baseURL}/slow/`).resolves({
+        imagesAnalyzed: 2,
+        findings: [finding(IMAGE_CHECKS.LEGACY_FORMAT.check, 3000)],
+      });
+    });
+
+    it('checks the images of the scraped top pages', async () => {
+      const result = await handler.imageOptimizationRunner(baseURL, context, site);
+
+      expect(analyzePageImages).to.have.been.calledTwice;
+      expect(analyzePageImages).to.have.been.calledWith(`${baseURL}/slow/`, '<img src="/hero.jpg">', context.log);
+      expect(result).to.deep.equal({
+        fullAuditRef: baseURL,
+        auditResult: {
+          pagesAnalyzed: 2,
+          imagesAnalyzed: 3,
+          estimatedBytesSaved: 3000,
+          findings: [
+            { url: `${baseURL}/`, ...finding(IMAGE_CHECKS.MISSING_DIMENSIONS.check, 0) },
+            {
+              url: `${baseURL}/slow/`,
+              ...finding(IMAGE_CHECKS.LEGACY_FORMAT.check, 3000),
+              cwv: { opportunityId: 'cwv-opportunity-id', lcp: 3000 },
+            },
+          ],
+        },
+      });
+      expect(context.log.debug).to.have.been.calledWith(`[image-optimization] No scrape found for ${baseURL}/unscraped`);
+    });
+
+    it('counts the savings of each image once', async () => {
+      analyzePageImages.withArgs(`${baseURL}/`).resolves({
+        imagesAnalyzed: 3,
+        findings: [
+          finding(IMAGE_CHECKS.LEGACY_FORMAT.check, 1000),
+          finding(IMAGE_CHECKS.OVERSIZED.check, 2500),
+          { ...finding(IMAGE_CHECKS.LEGACY_FORMAT.check, 500), selector: 'footer img' },
+          { ...finding(IMAGE_CHECKS.LEGACY_FORMAT.check, 200), imageUrl: `${baseURL}/logo.png` },
+        ],
+      });
+
+      const result = await handler.imageOptimizationRunner(baseURL, context, site);
+
+      // hero.jpg saves 3500 bytes on the home page, more than on any other page or position
+      expect(result.auditResult.estimatedBytesSaved).to.equal(3700);
+    });
+
+    it('checks a limited number of top pages', async () => {
+      context.dataAccess.SiteTopPage.allBySiteIdAndSourceAndGeo.resolves(
+        Array.from({ length: handler.MAX_PAGES + 5 }, (_, i) => ({ getUrl: () => `${baseURL}/page-${i}` })),
+      );
+
+      await handler.imageOptimizationRunner(baseURL, context, site);
+
+      expect(context.s3Client.send.callCount).to.equal(handler.MAX_PAGES);
+    });
+  });
+
+  describe('opportunityAndSuggestions', () => {
+    const lcpFinding = {
+      url: `${baseURL}/slow`,
+      check: IMAGE_CHECKS.OVERSIZED.check,
+      imageUrl: `${baseURL}/hero.jpg`,
+      selector: 'img',
+      estimatedBytesSaved: 500,
+      cwv: { opportunityId: 'cwv-opportunity-id', lcp: 3000 },
+    };
+    const otherFinding = {
+      url: `${baseURL}/other`,
+      check: IMAGE_CHECKS.EAGER_BELOW_THE_FOLD.check,
+      imageUrl: `${baseURL}/footer.png`,
+      selector: 'footer img',
+      estimatedBytesSaved: 1500,
+    };
+    const auditData = {
+      siteId,
+      id: 'audit-id',
+      auditResult: { estimatedBytesSaved: 2000, findings: [lcpFinding, otherFinding] },
+    };
+
+    it('skips audits without findings', async () => {
+      const noFindings = { siteId, id: 'audit-id', auditResult: { pagesAnalyzed: 0 } };
+
+      expect(await handler.opportunityAndSuggestions(baseURL, noFindings, context))
+        .to.deep.equal(noFindings);
+      expect(context.dataAccess.Opportunity.create).not.to.have.been.called;
+      expect(syncSuggestions).not.to.have.been.called;
+    });
+
+    it('creates the opportunity and ranks findings on slow LCP pages first', async () => {
+      const opportunity = { getId: () => 'opportunity-id' };
+      context.dataAccess.Opportunity.create.resolves(opportunity);
+
+      await handler.opportunityAndSuggestions(baseURL, auditData, context);
+
+      expect(context.dataAccess.Opportunity.create.firstCall.args[0]).to.deep.include({
+        type: 'image-optimization',
+        data: {
+          estimatedBytesSaved: 2000,
+          lcpPagesCount: 1,
+          cwvOpportunityId: 'cwv-opportunity-id',
+          dataSources: ['Ahrefs', 'Site'],
+        },
+      });
+      const { newData, buildKey, mapNewSuggestion } = syncSuggestions.firstCall.args[0];
+      expect(newData).to.deep.equal([lcpFinding, otherFinding]);
+      expect(buildKey(otherFinding)).to.equal(`image-eager-below-the-fold|${baseURL}/other|${baseURL}/footer.png`);
+      expect(mapNewSuggestion(lcpFinding)).to.deep.equal({
+        opportunityId: 'opportunity-id',
+        type: 'CODE_CHANGE',
+        rank: 2500,
+        data: {
+          type: 'url',
+          ...lcpFinding,
+          checkTitle: IMAGE_CHECKS.OVERSIZED.title,
+          explanation: IMAGE_CHECKS.OVERSIZED.explanation,
+          recommendedAction: IMAGE_CHECKS.OVERSIZED.suggestion,
+        },
+      });
+      expect(mapNewSuggestion(otherFinding).rank).to.equal(1500);
+    });
+
+    it('updates the totals of an existing opportunity', async () => {
+      const existing = {
+        getId: () => 'opportunity-id',
+        getType: () => 'image-optimization',
+        getData: () => ({ estimatedBytesSaved: 9000, lcpPagesCount: 3 }),
+        setAuditId: sandbox.stub(),
+        setData: sandbox.stub(),
+        setUpdatedBy: sandbox.stub(),
+        save: sandbox.stub().resolves(),
+      };
+      context.dataAccess.Opportunity.allBySiteIdAndStatus.resolves([existing]);
+
+      await handler.opportunityAndSuggestions(baseURL, {
+        ...auditData,
+        auditResult: { estimatedBytesSaved: 1500, findings: [otherFinding] },
+      }, context);
+
+      expect(existing.setData).to.have.been.calledWith({
+        estimatedBytesSaved: 1500,
+        lcpPagesCount: 0,
+        cwvOpportunityId: null,
+        dataSources: ['Ahrefs', 'Site'],
+      });
+      expect(syncSuggestions).to.have.been.calledOnce;
+    });
+  });
+
+  describe('createOpportunityData', () => {
+    it('defaults the totals', () => {
+      expect(createOpportunityData().data).to.deep.include({
+        estimatedBytesSaved: 0,
+        lcpPagesCount: 0,
+        cwvOpportunityId: null,
+      });
+    });
+  });
+});
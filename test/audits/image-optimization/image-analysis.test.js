@@ -0,0 +1,297 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import nock from 'nock';
+import {
+  IMAGE_CHECKS,
+  MAX_IMAGES_PER_PAGE,
+  analyzePageImages,
+  extractImages,
+  fetchImage,
+  getImageDimensions,
+} from '../../../src/image-optimization/image-analysis.js';
+
+use(sinonChai);
+
+// minimal image headers, padded to the length of a real file
+const pad = (header, length = 1000) => Buffer.concat([header, Buffer.alloc(length - header.length)]);
+
+const png = (width, height, length) => {
+  const header = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(header);
+  header.write('IHDR', 12, 'ascii');
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return pad(header, length);
+};
+
+const gif = (width, height) => {
+  const header = Buffer.alloc(10);
+  header.write('GIF89a', 0, 'ascii');
+  header.writeUInt16LE(width, 6);
+  header.writeUInt16LE(height, 8);
+  return pad(header);
+};
+
+const webp = (chunk, writeDimensions) => {
+  const header = Buffer.alloc(30);
+  header.write('RIFF', 0, 'ascii');
+  header.write('WEBP', 8, 'ascii');
+  header.write(chunk, 12, 'ascii');
+  writeDimensions(header);
+  return pad(header);
+};
+
+const jpeg = (width, height, length) => {
+  const header = Buffer.alloc(31);
+  Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10]).copy(header);
+  Buffer.from([0xFF, 0xC0, 0x00, 0x11, 0x08]).copy(header, 20);
+  header.writeUInt16BE(height, 25);
+  header.writeUInt16BE(width, 27);
+  return pad(header, length);
+};
+
+describe('Image optimization image analysis', () => {
+  const pageUrl = 'https://example.com/products/boots';
+  const log = { debug: sinon.stub() };
+
+  afterEach(() => {
+    nock.cleanAll();
+    sinon.resetHistory();
+  });
+
+  describe('getImageDimensions', () => {
+    it('reads the dimensions of PNG, GIF and JPEG images', () => {
+      expect(getImageDimensions(png(1200, 800))).to.deep.equal({ format: 'png', width: 1200, height: 800 });
+      expect(getImageDimensions(gif(64, 32))).to.deep.equal({ format: 'gif', width: 64, height: 32 });
+      expect(getImageDimensions(jpeg(1920, 1080))).to.deep.equal({ format: 'jpeg', width: 1920, height: 1080 });
+    });
+
+    it('reads the dimensions of lossy, lossless and extended WebP images', () => {
+      const lossy = webp('VP8 ', (header) => {
+        header.writeUInt16LE(640, 26);
+        header.writeUInt16LE(480, 28);
+      });
+      const lossless = webp('VP8L', (header) => {
+        // 14 bits each for the width and height minus one
+        header.writeUInt32LE((640 - 1) | ((480 - 1) << 14), 21);
+      });
+      const extended = webp('VP8X', (header) => {
+        header.writeUIntLE(640 - 1, 24, 3);
+        header.writeUIntLE(480 - 1, 27, 3);
+      });
+
+      [lossy, lossless, extended].forEach((buffer) => {
+        expect(getImageDimensions(buffer)).to.deep.equal({ format: 'webp', width: 640, height: 480 });
+      });
+    });
+
+    it('returns null for other formats and unreadable images', () => {
+      const corruptJpeg = pad(Buffer.from([0xFF, 0xD8, 0x00]));
+      const jpegWithoutFrame = Buffer.concat([Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x20]), Buffer.alloc(30)]);
+
+      expect(getImageDimensions(undefined)).to.be.null;
+      expect(getImageDimensions(Buffer.from('GIF8'))).to.be.null;
+      expect(getImageDimensions(pad(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')))).to.be.null;
+      expect(getImageDimensions(webp('ALPH', () => {}))).to.be.null;
+      expect(getImageDimensions(corruptJpeg)).to.be.null;
+      expect(getImageDimensions(jpegWithoutFrame)).to.be.null;
+    });
+  });
+
+  describe('extractImages', () => {
+    it('lists the images of a page in document order', () => {
+      const images = extractImages(`
+        <header><img id="logo" src="/logo.png" width="120" height="40"></header>
+        <picture>
+          <source type="image/avif" srcset="/hero.avif">
+          <img id="hero" src="hero.jpg" width="800" height="400" loading="LAZY" srcset="hero-2x.jpg 2x">
+        </picture>
+        <picture><source srcset="/card.webp?w=300 300w"><img id="card" src="/card.jpg"></picture>
+        <picture><source type="image/jpeg"><img id="old" src="/old.jpg" width="abc"></picture>
+        <img src="data:image/gif;base64,R0lGODlhAQABAAAAACw=">
+        <img src=" ">
+        <img src="http://[invalid">
+        <img alt="no source">
+      `, pageUrl);
+
+      expect(images).to.deep.equal([
+        {
+          imageUrl: 'https://example.com/logo.png',
+          selector: 'img#logo',
+          width: 120,
+          height: 40,
+          loading: '',
+          hasSrcset: false,
+          hasModernSource: false,
+          aboveTheFold: true,
+        },
+        {
+          imageUrl: 'https://example.com/products/hero.jpg',
+          selector: 'img#hero',
+          width: 800,
+          height: 400,
+          loading: 'lazy',
+          hasSrcset: true,
+          hasModernSource: true,
+          aboveTheFold: true,
+        },
+        {
+          imageUrl: 'https://example.com/card.jpg',
+          selector: 'img#card',
+          width: null,
+          height: null,
+          loading: '',
+          hasSrcset: false,
+          hasModernSource: true,
+          aboveTheFold: false,
+        },
+        {
+          imageUrl: 'https://example.com/old.jpg',
+          selector: 'img#old',
+          width: null,
+          height: null,
+          loading: '',
+          hasSrcset: false,
+          hasModernSource: false,
+          aboveTheFold: false,
+        },
+      ]);
+    });
+  });
+
+  describe('fetchImage', () => {
+    it('downloads images accepting WebP and AVIF', async () => {
+      nock('https://example.com', { reqheaders: { accept: /image\/avif,image\/webp/ } })
+        .get('/hero.jpg')
+        .reply(200, jpeg(1920, 1080, 5000));
+
+      expect(await fetchImage('https://example.com/hero.jpg', log)).to.deep.equal({
+        bytes: 5000, format: 'jpeg', width: 1920, height: 1080,
+      });
+    });
+
+    it('returns null for images that cannot be downloaded', async () => {
+      nock('https://example.com')
+        .get('/missing.jpg')
+        .reply(404)
+        .get('/broken.jpg')
+        .replyWithError('socket hang up');
+
+      expect(await fetchImage('https://example.com/missing.jpg', log)).to.be.null;
+      expect(await fetchImage('https://example.com/broken.jpg', log)).to.be.null;
+      expect(log.debug).to.have.been.calledWith('[image-optimization] https://example.com/missing.jpg returned status 404');
+      expect(log.debug).to.have.been.calledWithMatch(/^\[image-optimization\] Failed to fetch https:\/\/example.com\/broken.jpg/);
+    });
+  });
+
+  describe('analyzePageImages', () => {
+    it('reports legacy formats, oversized images, missing dimensions and lazy-loading placement', async () => {
+      nock('https://example.com')
+        .get('/hero.jpg')
+        .reply(200, jpeg(2000, 1000, 10000))
+        .get('/logo.png')
+        .reply(200, png(200, 100, 2000))
+        .get('/photo.webp')
+        .reply(200, webp('VP8 ', (header) => {
+          header.writeUInt16LE(400, 26);
+          header.writeUInt16LE(300, 28);
+        }))
+        .get('/icon.svg')
+        .reply(200, '<svg xmlns="http://www.w3.org/2000/svg"></svg>')
+        .get('/gone.jpg')
+        .reply(404);
+
+      const { imagesAnalyzed, findings } = await analyzePageImages(pageUrl, `
+        <img src="/hero.jpg" width="500" height="250" loading="lazy">
+        <img src="/logo.png" width="100" height="50">
+        <img src="/photo.webp" width="400" loading="lazy">
+        <img src="/icon.svg" width="20" height="20" loading="lazy">
+        <img src="/gone.jpg" width="20" height="20">
+      `, log);
+
+      expect(imagesAnalyzed).to.equal(5);
+      expect(findings).to.deep.equal([
+        {
+          check: IMAGE_CHECKS.LEGACY_FORMAT.check,
+          imageUrl: 'https://example.com/hero.jpg',
+          selector: 'body > img:nth-of-type(1)',
+          // the format savings apply to the 2500 bytes left once the image is resized
+          estimatedBytesSaved: 750,
+          format: 'jpeg',
+          bytes: 10000,
+        },
+        {
+          check: IMAGE_CHECKS.OVERSIZED.check,
+          imageUrl: 'https://example.com/hero.jpg',
+          selector: 'body > img:nth-of-type(1)',
+          // a 1000px wide box shows half of the width and height, a quarter of the pixels
+          estimatedBytesSaved: 7500,
+          intrinsicWidth: 2000,
+          intrinsicHeight: 1000,
+          renderedWidth: 500,
+          bytes: 10000,
+        },
+        {
+          check: IMAGE_CHECKS.LAZY_ABOVE_THE_FOLD.check,
+          imageUrl: 'https://example.com/hero.jpg',
+          selector: 'body > img:nth-of-type(1)',
+          estimatedBytesSaved: 0,
+        },
+        {
+          check: IMAGE_CHECKS.LEGACY_FORMAT.check,
+          imageUrl: 'https://example.com/logo.png',
+          selector: 'body > img:nth-of-type(2)',
+          estimatedBytesSaved: 600,
+          format: 'png',
+          bytes: 2000,
+        },
+        {
+          check: IMAGE_CHECKS.MISSING_DIMENSIONS.check,
+          imageUrl: 'https://example.com/photo.webp',
+          selector: 'body > img:nth-of-type(3)',
+          estimatedBytesSaved: 0,
+        },
+        {
+          check: IMAGE_CHECKS.EAGER_BELOW_THE_FOLD.check,
+          imageUrl: 'https://example.com/gone.jpg',
+          selector: 'body > img:nth-of-type(5)',
+          estimatedBytesSaved: 0,
+          bytes: 0,
+          deferredBytes: 0,
+        },
+      ]);
+    });
+
+    it('checks a limited number of images per page', async () => {
+      let fetched = 0;
+      nock('https://example.com')
+        .persist()
+        .get(/\/image-\d+\.png/)
+        .reply(() => {
+          fetched += 1;
+          return [200, png(10, 10)];
+        });
+      const images = Array.from({ length: MAX_IMAGES_PER_PAGE + 3 }, (_, i) => `<img src="/image-${i}.png" width="10" height="10" loading="lazy">`);
+
+      const { imagesAnalyzed } = await analyzePageImages(pageUrl, images.join(''), log);
+
+      expect(imagesAnalyzed).to.equal(MAX_IMAGES_PER_PAGE);
+      expect(fetched).to.equal(MAX_IMAGES_PER_PAGE);
+    });
+  });
+});
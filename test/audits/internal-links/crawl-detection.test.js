@@ -595,6 +595,54 @@ describe('Crawl Detection Module', () => {
       expect(result.results[0].anchorText).to.equal('[no text]');
     });
 
+    it('should annotate broken links with their page region and selector', async () => {
+      const scrapeResultPaths = new Map([
+        ['https://example.com/page1', 'scrapes/page1.json'],
+      ]);
+
+      getObjectFromKeyStub.resolves({
+        scrapeResult: {
+          rawBody: `<html><body>
+            <header><a href="/header">Header</a><nav><a href="/nav">Nav</a></nav></header>
+            <div role="navigation"><a href="/menu">Menu</a></div>
+            <div role="contentinfo"><a class="legal" href="/legal">Legal</a></div>
+            <main><a id="cta" href="/main">Main</a><form action="/search"></form></main>
+            <footer><a href="/footer">Footer</a></footer>
+            <a href="/other">Other</a>
+            <img src="/broken.png">
+          </body></html>`,
+        },
+        finalUrl: 'https://example.com/page1',
+      });
+
+      isLinkInaccessibleStub.resolves(true);
+
+      const result = await detectBrokenLinksFromCrawlBatch({
+        scrapeResultPaths,
+        batchStartIndex: 0,
+        batchSize: 1,
+        initialBrokenUrls: ['https://example.com/other'],
+        initialWorkingUrls: [],
+      }, mockContext);
+
+      const byUrl = Object.fromEntries(result.results.map((link) => [
+        new URL(link.urlTo).pathname,
+        { location: link.location, selector: link.selector },
+      ]));
+      expect(byUrl).to.deep.equal({
+        '/header': { location: 'header', selector: 'body > header > a' },
+        '/nav': { location: 'nav', selector: 'body > header > nav > a' },
+        '/menu': { location: 'nav', selector: 'body > div:nth-of-type(1) > a' },
+        '/legal': { location: 'footer', selector: 'body > div:nth-of-type(2) > a.legal' },
+        '/main': { location: 'main', selector: 'a#cta' },
+        '/search': { location: 'main', selector: 'body > main > form' },
+        '/footer': { location: 'footer', selector: 'body > footer > a' },
+        '/other': { location: 'other', selector: 'body > a' },
+        '/broken.png': { location: undefined, selector: undefined },
+      });
+      expect(result.results.find((link) => link.urlTo.endsWith('/other')).type).to.equal('cache-hit-broken');
+    });
+
     it('should return out-of-scope result during link validation phase', async () => {
       const scrapeResultPaths = new Map([
         ['https://example.com/page1', 'scrapes/page1.json'],
@@ -1086,6 +1134,43 @@ describe('Crawl Detection Module', () => {
   });
 
   describe('mergeAndDeduplicate - uncovered branches', () => {
+    it('should keep the anchor context of crawl links found by RUM', () => {
+      const mockLog = {
+        info: sinon.stub(),
+      };
+
+      const crawlLinks = [
+        {
+          urlFrom: 'https://example.com/page1',
+          urlTo: 'https://example.com/broken1',
+          anchorText: 'Broken',
+          location: 'nav',
+          selector: 'nav > a',
+          trafficDomain: 1,
+        },
+        { urlFrom: 'https://example.com/page2', urlTo: 'https://example.com/broken2', trafficDomain: 1 },
+      ];
+      const rumLinks = [
+        { urlFrom: 'https://example.com/page1', urlTo: 'https://example.com/broken1', trafficDomain: 100 },
+        { urlFrom: 'https://example.com/page2', urlTo: 'https://example.com/broken2', trafficDomain: 50 },
+      ];
+
+      const result = mergeAndDeduplicate(crawlLinks, rumLinks, mockLog);
+
+      expect(result).to.deep.equal([
+        {
+          urlFrom: 'https://example.com/page1',
+          urlTo: 'https://example.com/broken1',
+          anchorText: 'Broken',
+          location: 'nav',
+          selector: 'nav > a',
+          trafficDomain: 100,
+        },
+        { urlFrom: 'https://example.com/page2', urlTo: 'https://example.com/broken2', trafficDomain: 50 },
+      ]);
+      expect(mockLog.info).to.have.been.calledWith('Merged: 2 RUM + 0 crawl-only = 2 total');
+    });
+
     it('should handle empty RUM links array', () => {
       const mockLog = {
         info: sinon.stub(),
@@ -3171,6 +3171,208 @@ describe('runCrawlDetectionBatch - Coverage Tests', () => {
     expect(updatedResult.brokenInternalLinks).to.have.lengthOf(MAX_BROKEN_LINKS_REPORTED);
   });
 
+  it('should report a link of a shared component once as a template-level link, before the cap', async function () {
+    this.timeout(15000);
+
+    const mockLog = {
+      info: sandbox.stub(),
+      warn: sandbox.stub(),
+      error: sandbox.stub(),
+      debug: sandbox.stub(),
+    };
+
+    const overLimit = MAX_BROKEN_LINKS_REPORTED + 1;
+    const manyCrawlResults = Array.from({ length: overLimit }, (_, i) => ({
+      urlFrom: `https://example.com/p${i}`,
+      urlTo: 'https://example.com/broken',
+      anchorText: 'link',
+      itemType: 'link',
+      location: 'footer',
+      selector: 'footer > a',
+      trafficDomain: 100 - i,
+    }));
+
+    const setAuditResultStub = sandbox.stub();
+    const addSuggestionsStub = sandbox.stub().resolves({ length: 1, createdItems: [], errorItems: [] });
+    const mockContext = {
+      log: mockLog,
+      site: {
+        getId: () => 'site-cap',
+        getBaseURL: () => 'https://example.com',
+        getConfig: () => ({ getIncludedURLs: () => [] }),
+      },
+      audit: {
+        getId: () => 'audit-cap',
+        getAuditType: () => AUDIT_TYPE,
+        getFullAuditRef: () => 'site/audit-cap',
+        getAuditResult: () => ({ brokenInternalLinks: [], success: true }),
+        setAuditResult: setAuditResultStub,
+        save: sandbox.stub().resolves(),
+      },
+      env: {
+        S3_SCRAPER_BUCKET_NAME: 'test-bucket',
+      },
+      s3Client: {
+        send: sandbox.stub()
+          .onCall(0).resolves({
+            Body: {
+              transformToString: async () => JSON.stringify({
+                results: manyCrawlResults,
+                brokenUrlsCache: [],
+                workingUrlsCache: [],
+              }),
+            },
+          })
+          .onCall(1).resolves(),
+      },
+      dataAccess: {
+        Audit: {
+          findById: sandbox.stub().resolves({
+            getId: () => 'audit-cap',
+            setAuditResult: sandbox.stub(),
+            save: sandbox.stub().resolves(),
+          }),
+        },
+        Opportunity: {
+          allByAuditId: sandbox.stub().resolves([]),
+          allBySiteIdAndStatus: sandbox.stub().resolves([]),
+          create: sandbox.stub().resolves({
+            getId: () => 'opp-cap',
+            getSuggestions: sandbox.stub().resolves([]),
+            addSuggestions: addSuggestionsStub,
+          }),
+        },
+        Suggestion: {
+          allByOpportunityIdAndStatus: sandbox.stub().resolves([]),
+        },
+        SiteTopPage: {
+          allBySiteIdAndSourceAndGeo: sandbox.stub().resolves([]),
+        },
+      },
+    };
+
+    await finalizeCrawlDetection(mockContext, { skipCrawlDetection: false });
+
+    expect(mockLog.warn).to.not.have.been.calledWith(sinon.match(/Capping reported broken links/));
+    const [suggestions] = addSuggestionsStub.firstCall.args;
+    expect(suggestions).to.have.lengthOf(1);
+    expect(suggestions[0].data).to.include({
+      urlFrom: 'https://example.com/p0',
+      urlTo: 'https://example.com/broken',
+      anchorText: 'link',
+      location: 'footer',
+      selector: 'footer > a',
+      scope: 'template',
+      pageCount: overLimit,
+    });
+  });
+
+  it('should prioritize a template-level link by the summed traffic of its pages before the cap', async function () {
+    this.timeout(15000);
+
+    const mockLog = {
+      info: sandbox.stub(),
+      warn: sandbox.stub(),
+      error: sandbox.stub(),
+      debug: sandbox.stub(),
+    };
+
+    const manyCrawlResults = [
+      ...Array.from({ length: MAX_BROKEN_LINKS_REPORTED }, (_, i) => ({
+        urlFrom: `https://example.com/p${i}`,
+        urlTo: `https://example.com/broken-${i}`,
+        anchorText: 'link',
+        itemType: 'link',
+        location: 'main',
+        selector: 'main > a',
+        trafficDomain: 50,
+      })),
+      ...Array.from({ length: 5 }, (_, i) => ({
+        urlFrom: `https://example.com/t${i}`,
+        urlTo: 'https://example.com/broken',
+        anchorText: 'link',
+        itemType: 'link',
+        location: 'footer',
+        selector: 'footer > a',
+        trafficDomain: 20,
+      })),
+    ];
+
+    const setAuditResultStub = sandbox.stub();
+    const addSuggestionsStub = sandbox.stub().resolves({ length: 1, createdItems: [], errorItems: [] });
+    const mockContext = {
+      log: mockLog,
+      site: {
+        getId: () => 'site-cap',
+        getBaseURL: () => 'https://example.com',
+        getConfig: () => ({ getIncludedURLs: () => [] }),
+      },
+      audit: {
+        getId: () => 'audit-cap',
+        getAuditType: () => AUDIT_TYPE,
+        getFullAuditRef: () => 'site/audit-cap',
+        getAuditResult: () => ({ brokenInternalLinks: [], success: true }),
+        setAuditResult: setAuditResultStub,
+        save: sandbox.stub().resolves(),
+      },
+      env: {
+        S3_SCRAPER_BUCKET_NAME: 'test-bucket',
+      },
+      s3Client: {
+        send: sandbox.stub()
+          .onCall(0).resolves({
+            Body: {
+              transformToString: async () => JSON.stringify({
+                results: manyCrawlResults,
+                brokenUrlsCache: [],
+                workingUrlsCache: [],
+              }),
+            },
+          })
+          .onCall(1).resolves(),
+      },
+      dataAccess: {
+        Audit: {
+          findById: sandbox.stub().resolves({
+            getId: () => 'audit-cap',
+            setAuditResult: sandbox.stub(),
+            save: sandbox.stub().resolves(),
+          }),
+        },
+        Opportunity: {
+          allByAuditId: sandbox.stub().resolves([]),
+          allBySiteIdAndStatus: sandbox.stub().resolves([]),
+          create: sandbox.stub().resolves({
+            getId: () => 'opp-cap',
+            getSuggestions: sandbox.stub().resolves([]),
+            addSuggestions: addSuggestionsStub,
+          }),
+        },
+        Suggestion: {
+          allByOpportunityIdAndStatus: sandbox.stub().resolves([]),
+        },
+        SiteTopPage: {
+          allBySiteIdAndSourceAndGeo: sandbox.stub().resolves([]),
+        },
+      },
+    };
+
+    await finalizeCrawlDetection(mockContext, { skipCrawlDetection: false });
+
+    expect(mockLog.warn).to.have.been.calledWith(sinon.match(/Capping reported broken links from 501 to 500/));
+    const [suggestions] = addSuggestionsStub.firstCall.args;
+    expect(suggestions).to.have.lengthOf(MAX_BROKEN_LINKS_REPORTED);
+    expect(suggestions[0].data).to.include({
+      urlFrom: 'https://example.com/t0',
+      urlTo: 'https://example.com/broken',
+      scope: 'template',
+      pageCount: 5,
+      trafficDomain: 100,
+      priority: 'high',
+    });
+    expect(suggestions.map(({ data }) => data.urlTo)).to.not.include('https://example.com/broken-499');
+  });
+
   it('should skip batch processing when batchStartIndex >= totalPages', async () => {
     const mockLog = {
       info: sandbox.stub(),
@@ -23,6 +23,9 @@ import {
   CPC_DEFAULT_VALUE,
   isLinkInaccessible,
   calculatePriority,
+  groupTemplateLinks,
+  TEMPLATE_MIN_PAGES,
+  MAX_TEMPLATE_PAGES_LISTED,
 } from '../../../src/internal-links/helpers.js';
 import { auditData } from '../../fixtures/internal-links-data.js';
 
@@ -430,6 +433,64 @@ describe('calculatePriority', () => {
   });
 });
 
+describe('groupTemplateLinks', () => {
+  const navLink = (page, trafficDomain) => ({
+    urlFrom: `https://example.com/page${page}`,
+    urlTo: 'https://example.com/broken',
+    itemType: 'link',
+    anchorText: 'Broken',
+    location: 'nav',
+    selector: 'nav > a',
+    trafficDomain,
+    priority: 'high',
+  });
+
+  it('should group a link on many pages into a template-level link in place of its first link', () => {
+    const pageLink = { urlFrom: 'https://example.com/page0', urlTo: 'https://example.com/other', trafficDomain: 500 };
+    const rumLink = { urlFrom: 'https://example.com/page1', urlTo: 'https://example.com/broken', trafficDomain: 300 };
+    const links = [
+      pageLink,
+      rumLink,
+      ...Array.from({ length: TEMPLATE_MIN_PAGES }, (_, index) => navLink(index + 1, 10)),
+    ];
+
+    const result = groupTemplateLinks(links);
+
+    expect(result).to.deep.equal([pageLink, rumLink, {
+      ...navLink(1, 10 * TEMPLATE_MIN_PAGES),
+      scope: 'template',
+      pages: Array.from({ length: TEMPLATE_MIN_PAGES }, (_, index) => `https://example.com/page${index + 1}`),
+      pageCount: TEMPLATE_MIN_PAGES,
+    }]);
+  });
+
+  it('should keep links on fewer pages than the threshold', () => {
+    const links = Array.from({ length: TEMPLATE_MIN_PAGES - 1 }, (_, index) => navLink(index, 10));
+    expect(groupTemplateLinks(links)).to.deep.equal(links);
+  });
+
+  it('should not group links of different elements or item types', () => {
+    const links = Array.from({ length: TEMPLATE_MIN_PAGES }, (_, index) => ({
+      ...navLink(index),
+      selector: `nav > a:nth-of-type(${index + 1})`,
+      itemType: undefined,
+    }));
+    expect(groupTemplateLinks(links)).to.deep.equal(links);
+  });
+
+  it('should count pages once and list at most MAX_TEMPLATE_PAGES_LISTED pages', () => {
+    const links = Array.from({ length: MAX_TEMPLATE_PAGES_LISTED + 1 }, (_, index) => navLink(index));
+    links.push(navLink(0));
+
+    const result = groupTemplateLinks(links);
+
+    expect(result).to.have.lengthOf(1);
+    expect(result[0].trafficDomain).to.equal(0);
+    expect(result[0].pages).to.have.lengthOf(MAX_TEMPLATE_PAGES_LISTED);
+    expect(result[0].pageCount).to.equal(MAX_TEMPLATE_PAGES_LISTED + 1);
+  });
+});
+
 describe('isLinkInaccessible - Asset Handling', () => {
   let mockLog;
 
@@ -1311,6 +1311,50 @@ describe('syncBrokenInternalLinksSuggestions', () => {
     expect(cssSuggestion.data.priority).to.equal('high');
   });
 
+  it('should key template-level links by element and add their anchor context and pages', async () => {
+    const brokenInternalLinks = [
+      {
+        urlFrom: 'https://example.com/from1',
+        urlTo: 'https://example.com/to1',
+        trafficDomain: 50,
+        anchorText: 'Pricing',
+        location: 'nav',
+        selector: 'nav > a',
+        scope: 'template',
+        pages: ['https://example.com/from1', 'https://example.com/from2'],
+        pageCount: 2,
+      },
+    ];
+
+    await syncBrokenInternalLinksSuggestions({
+      opportunity: testOpportunity,
+      brokenInternalLinks,
+      context: testContext,
+      opportunityId: 'oppty-id-1',
+    });
+
+    const callArgs = mockSyncSuggestions.getCall(0).args[0];
+    expect(callArgs.buildKey(brokenInternalLinks[0])).to.equal('template-nav > a-https://example.com/to1-link');
+
+    const mappedSuggestion = callArgs.mapNewSuggestion(brokenInternalLinks[0]);
+    expect(mappedSuggestion.data).to.deep.equal({
+      title: undefined,
+      urlFrom: 'https://example.com/from1',
+      urlTo: 'https://example.com/to1',
+      itemType: 'link',
+      priority: 'high',
+      urlsSuggested: [],
+      aiRationale: '',
+      trafficDomain: 50,
+      anchorText: 'Pricing',
+      location: 'nav',
+      selector: 'nav > a',
+      scope: 'template',
+      pages: ['https://example.com/from1', 'https://example.com/from2'],
+      pageCount: 2,
+    });
+  });
+
   it('should handle empty arrays in mapNewSuggestion', async () => {
     const brokenInternalLinks = [
       {
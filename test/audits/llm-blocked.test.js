@@ -434,6 +434,7 @@ describe('LLM Blocked Audit', () => {
         ],
         affectedUserAgents: ['ClaudeBot/1.0'],
         robotsTxtHash: '2f293650',
+        schemaVersion: 0,
       },
     });
   });
@@ -81,6 +81,8 @@ describe('Preflight Form Accessibility Audit', () => {
             findById: sinon.stub().resolves({
               setStatus: sinon.stub(),
               setResultType: sinon.stub(),
+              getMetadata: sinon.stub().returns({}),
+              setMetadata: sinon.stub(),
               setResult: sinon.stub(),
               setEndedAt: sinon.stub(),
               setError: sinon.stub(),
@@ -102,6 +104,7 @@ describe('Preflight Form Accessibility Audit', () => {
           { pageUrl: 'https://example.com/page2', audits: [] },
         ],
         timeExecutionBreakdown: [],
+        reportPageStatus: sinon.stub().resolves(),
         checks: ['form-accessibility'],
       };
     });
@@ -1114,6 +1117,7 @@ describe('Preflight Form Accessibility Audit', () => {
             { pageUrl: 'https://example.com/page2', audits: [] },
           ],
           timeExecutionBreakdown: [],
+          reportPageStatus: sinon.stub().resolves(),
         };
       });
 
@@ -1370,6 +1374,7 @@ describe('Preflight Form Accessibility Audit', () => {
         ]),
         auditsResult: {},
         timeExecutionBreakdown: [],
+        reportPageStatus: sinon.stub().resolves(),
         checks: ['form-accessibility'],
       };
     });
@@ -1466,6 +1471,17 @@ describe('Preflight Form Accessibility Audit', () => {
       expect(log.warn).to.have.been.calledWith('[preflight-audit] site-123 Failed to clean up form accessibility files: Cleanup failed');
     });
 
+    it('should return a failed status when the form accessibility data cannot be processed', async () => {
+      const { processFormAccessibilityOpportunities } = await import('../../src/preflight/form-accessibility.js');
+      auditContext.timeExecutionBreakdown = null;
+
+      const result = await processFormAccessibilityOpportunities(context, auditContext);
+
+      expect(result.status).to.equal('failed');
+      expect(result.error).to.include('push');
+      expect(log.error).to.have.been.calledWithMatch('not able to delete prefight files');
+    });
+
     it('should handle missing form accessibility audit in error handling', async () => {
       const { processFormAccessibilityOpportunities } = await import('../../src/preflight/form-accessibility.js');
 
@@ -71,6 +71,8 @@ describe('Preflight URL Matching Bug Demonstration', () => {
       setResult: sinon.stub(),
       setStatus: sinon.stub(),
       setResultType: sinon.stub(),
+      getMetadata: sinon.stub().returns({}),
+      setMetadata: sinon.stub(),
       setEndedAt: sinon.stub(),
       setError: sinon.stub(),
       save: sinon.stub().resolves(),
@@ -31,7 +31,9 @@ import { MockContextBuilder } from '../shared.js';
 import { suggestionData } from '../fixtures/preflight/preflight-suggest.js';
 import identifyData from '../fixtures/preflight/preflight-identify.json' with { type: 'json' };
 import readabilityData from '../fixtures/preflight/preflight-identify-readability.json' with { type: 'json' };
-import { getPrefixedPageAuthToken, isValidUrls, saveIntermediateResults } from '../../src/preflight/utils.js';
+import {
+  getPrefixedPageAuthToken, isValidUrls, runChecks, saveIntermediateResults,
+} from '../../src/preflight/utils.js';
 
 use(sinonChai);
 use(chaiAsPromised);
@@ -622,6 +624,7 @@ describe('Preflight Audit', () => {
         getBaseURL: () => 'https://example.com',
         getDeliveryType: () => Site.DELIVERY_TYPES.AEM_EDGE,
         getAuthoringType: sandbox.stub(),
+        getConfig: () => ({ getHandlers: () => ({}) }),
       };
       s3Client = {
         send: sinon.stub(),
@@ -644,6 +647,7 @@ describe('Preflight Audit', () => {
         getId: () => 'job-123',
         setStatus: sinon.stub(),
         setResultType: sinon.stub(),
+        setMetadata: sinon.stub(),
         setResult: sinon.stub(),
         setEndedAt: sinon.stub(),
         setError: sinon.stub(),
@@ -687,6 +691,8 @@ describe('Preflight Audit', () => {
         setResult: sinon.stub(),
         setStatus: sinon.stub(),
         setResultType: sinon.stub(),
+        getMetadata: sinon.stub().returns({}),
+        setMetadata: sinon.stub(),
         setEndedAt: sinon.stub(),
         setError: sinon.stub(),
         save: sinon.stub().resolves(),
@@ -834,6 +840,7 @@ describe('Preflight Audit', () => {
       expect(actualResult).to.deep.equal(suggestionData.map((expected) => ({
         ...expected,
         profiling: actualResult[0].profiling, // Use actual profiling data
+        checks: actualResult[0].checks, // Use actual check timing
       })));
     });
 
@@ -1062,6 +1069,10 @@ describe('Preflight Audit', () => {
       expect(genvarClient.generateSuggestions).to.have.been.called;
       expect(context.dataAccess.AsyncJob.findById).to.have.been.called;
       expect(context.log.error).to.have.been.calledWithMatch('[preflight-audit] site: site-123, job: job-123, step: suggest. Meta tags audit failed: Genvar failure');
+      const finalResult = context.dataAccess.AsyncJob.findById.lastCall.returnValue;
+      const { checks } = (await finalResult).setResult.lastCall.args[0][0];
+      expect(checks.metatags).to.include({ status: 'failed', error: 'Genvar failure' });
+      expect(checks.headings).to.include({ status: 'done' });
     });
 
     it('completes successfully when finalUrl has trailing slash but input URL gets normalized', async () => {
@@ -1217,6 +1228,7 @@ describe('Preflight Audit', () => {
       expect(actualResult).to.deep.equal(identifyData.map((expected) => ({
         ...expected,
         profiling: actualResult[0].profiling, // Use actual profiling data
+        checks: actualResult[0].checks, // Use actual check timing
       })));
     });
 
@@ -1287,7 +1299,13 @@ describe('Preflight Audit', () => {
     });
 
     it('completes successfully on the happy path for the identify step with readability check', async () => {
-      const head = '<head><title>Readability Test Page</title></head>';
+      const head = `<head><meta charset="utf-8"><title>Readability Test Page</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <meta property="og:title" content="Readability Test Page">
+        <meta property="og:description" content="Test page for readability">
+        <meta property="og:image" content="https://main--example--page.aem.page/og.png">
+        <meta property="og:url" content="https://main--example--page.aem.page/readability-test">
+        <meta name="twitter:card" content="summary_large_image"></head>`;
       const body = '<body><p>The reputation of the city as a cultural nucleus is bolstered by its extensive network of galleries, theaters, and institutions that cater to a discerning international audience. Furthermore, the multifaceted infrastructure exemplifies sophisticated aesthetic considerations. Such complex arrangements require meticulous coordination.</p></body>';
       const html = `<!DOCTYPE html> <html lang="en">${head}${body}</html>`;
 
@@ -1354,9 +1372,70 @@ describe('Preflight Audit', () => {
       expect(actualResult).to.deep.equal(readabilityData.map((expected) => ({
         ...expected,
         profiling: actualResult[0].profiling, // Use actual profiling data
+        checks: actualResult[0].checks, // Use actual check timing
       })));
     });
 
+    it('adds the selectors of flagged head tags to the meta tags opportunities', async () => {
+      const head = `<head><meta charset="windows-1252"><title>Head Tags Test Page</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <meta property="og:title" content="Head Tags Test Page">
+        <meta property="og:description" content="Test page for head tags">
+        <meta property="og:image" content="/og.png">
+        <meta property="og:url" content="https://main--example--page.aem.page/head-tags"></head>`;
+      const html = `<!DOCTYPE html> <html lang="en">${head}<body><h1>Head Tags</h1><p>${'Content. '.repeat(40)}</p></body></html>`;
+
+      s3Client.send.callsFake((command) => {
+        if (command.input?.Prefix) {
+          return Promise.resolve({
+            Contents: [{ Key: 'scrapes/site-123/head-tags/scrape.json' }],
+            IsTruncated: false,
+          });
+        }
+        return Promise.resolve({
+          ContentType: 'application/json',
+          Body: {
+            transformToString: sinon.stub().resolves(JSON.stringify({
+              scrapeResult: {
+                rawBody: html,
+                tags: {
+                  title: 'Head Tags Test Page',
+                  description: 'Test page for head tags',
+                  h1: ['Head Tags'],
+                },
+              },
+              finalUrl: 'https://main--example--page.aem.page/head-tags',
+            })),
+          },
+        });
+      });
+
+      job.getMetadata = () => ({
+        payload: {
+          step: PREFLIGHT_STEP_IDENTIFY,
+          urls: ['https://main--example--page.aem.page/head-tags'],
+          enableAuthentication: false,
+        },
+      });
+      configuration.isHandlerEnabledForSite.returns(false);
+      configuration.isHandlerEnabledForSite.withArgs('metatags-preflight', site).returns(true);
+
+      await preflightAuditFunction(context);
+
+      const jobEntityCalls = context.dataAccess.AsyncJob.findById.returnValues;
+      const finalJobEntity = await jobEntityCalls[jobEntityCalls.length - 1];
+      const actualResult = finalJobEntity.setResult.getCall(0).args[0];
+      const { opportunities } = actualResult[0].audits.find((a) => a.name === 'metatags');
+      const byTag = Object.fromEntries(opportunities.map((o) => [o.tagName, o]));
+
+      expect(byTag.charset).to.include({ issue: 'Non-UTF-8 Charset' });
+      expect(byTag.charset.elements).to.deep.equal([{ selector: 'head > meta:nth-of-type(1)' }]);
+      expect(byTag['og:image']).to.include({ issue: 'Invalid OG Image' });
+      expect(byTag['og:image'].elements).to.deep.equal([{ selector: 'head > meta:nth-of-type(5)' }]);
+      expect(byTag['twitter:card']).to.include({ issue: 'Missing Twitter Card' });
+      expect(byTag['twitter:card']).not.to.have.property('elements');
+    });
+
     it('throws if job is not in progress', async () => {
       job.getStatus.returns('COMPLETED');
       await expect(preflightAuditFunction(context)).to.be.rejectedWith('[preflight-audit] site: site-123. Job not in progress for jobId: job-123. Status: COMPLETED');
@@ -1373,6 +1452,58 @@ describe('Preflight Audit', () => {
       await expect(preflightAuditFunction(context)).to.be.rejectedWith('[preflight-audit] site: site-123. Invalid URL provided: not-a-url');
     });
 
+    it('throws if the provided live urls are invalid', async () => {
+      job.getMetadata = () => ({
+        payload: {
+          step: PREFLIGHT_STEP_IDENTIFY,
+          urls: ['https://main--example--page.aem.page/page1'],
+          liveUrls: { 'https://main--example--page.aem.page/page2': 'https://example.com/page2' },
+        },
+      });
+
+      await expect(preflightAuditFunction(context)).to.be.rejectedWith('[preflight-audit] site: site-123. Invalid live URL provided for https://main--example--page.aem.page/page2: https://example.com/page2');
+    });
+
+    it('compares the preview pages with their live pages in diff mode', async () => {
+      job.getMetadata = () => ({
+        payload: {
+          step: PREFLIGHT_STEP_IDENTIFY,
+          urls: ['https://main--example--page.aem.page/page1', 'https://main--example--page.aem.page/page2'],
+          liveUrls: { 'https://main--example--page.aem.page/page1': 'https://example.com/' },
+        },
+      });
+      configuration.isHandlerEnabledForSite.returns(true);
+      const diffStub = sinon.stub().resolves();
+      const scrapeLivePagesStub = sinon.stub().resolves(true);
+      const canonicalStub = sinon.stub().resolves();
+      const { preflightAudit: diffPreflightAudit } = await esmock('../../src/preflight/handler.js', {
+        '../../src/preflight/canonical.js': { default: canonicalStub },
+        '../../src/preflight/metatags.js': { default: async () => undefined },
+        '../../src/preflight/links.js': { default: async () => undefined },
+        '../../src/preflight/headings.js': { default: async () => undefined },
+        '../../src/readability/preflight/handler.js': { default: async () => undefined },
+        '../../src/preflight/accessibility.js': { default: async () => undefined },
+        '../../src/preflight/diff.js': { default: diffStub, scrapeLivePages: scrapeLivePagesStub },
+        '@adobe/spacecat-shared-ims-client': {
+          retrievePageAuthentication: retrievePageAuthenticationStub,
+        },
+      });
+
+      await diffPreflightAudit(context);
+
+      const expectedLiveUrls = new Map([['https://main--example--page.aem.page/page1', 'https://example.com']]);
+      expect(canonicalStub.firstCall.args[1].liveUrls).to.deep.equal(expectedLiveUrls);
+      expect(scrapeLivePagesStub).to.have.been.calledOnceWith(context, expectedLiveUrls);
+      expect(scrapeLivePagesStub).to.have.been.calledBefore(canonicalStub);
+      expect(diffStub).to.have.been.calledOnce;
+      const diffContext = diffStub.firstCall.args[1];
+      expect(diffContext.liveScrapeSent).to.be.true;
+      expect(diffContext.previewUrls).to.deep.equal(['https://main--example--page.aem.page/page1']);
+      expect(diffContext.liveUrls).to.deep.equal(expectedLiveUrls);
+      expect(diffContext.liveAccessibility).to.be.an.instanceOf(Map);
+      expect(diffContext.enabledChecks).to.include('accessibility');
+    });
+
     it('sets status to FAILED if an error occurs', async () => {
       job.getMetadata = () => ({
         payload: {
@@ -1439,9 +1570,88 @@ describe('Preflight Audit', () => {
       await preflightAuditFunction(context);
 
       // Verify that AsyncJob.findById was called for job metadata update, each intermediate save and final save
-      // (total of 7 times: 1 metadata update + 6 intermediate + 1 final)
+      // (total of 16 times: 1 metadata update + 2 for the DOM checks + 2 for each of the
+      // 6 handlers, when the check starts and when it is done + 1 final)
       expect(context.dataAccess.AsyncJob.findById).to.have.been.called;
-      expect(context.dataAccess.AsyncJob.findById.callCount).to.equal(8);
+      expect(context.dataAccess.AsyncJob.findById.callCount).to.equal(16);
+    });
+
+    it('streams the status and timing of each check to the job result', async () => {
+      const savedResults = [];
+      context.dataAccess.AsyncJob.findById = sinon.stub().callsFake(() => Promise.resolve({
+        getId: () => 'job-123',
+        getMetadata: () => ({}),
+        setMetadata: sinon.stub(),
+        setResult: sinon.stub().callsFake((result) => {
+          savedResults.push(JSON.parse(JSON.stringify(result)));
+        }),
+        setStatus: sinon.stub(),
+        setResultType: sinon.stub(),
+        setEndedAt: sinon.stub(),
+        setError: sinon.stub(),
+        save: sinon.stub().resolves(),
+      }));
+      configuration.isHandlerEnabledForSite.returns(true);
+
+      await preflightAuditFunction(context);
+
+      const [first, second, third] = savedResults.map((result) => result[0].checks);
+      expect(first['body-size']).to.include({ status: 'running' });
+      expect(first['h1-count']).to.include({ status: 'running' });
+      expect(first.canonical).to.deep.equal({ status: 'pending' });
+      expect(second['body-size']).to.include({ status: 'done' });
+      expect(second['body-size']).to.have.all.keys('status', 'startTime', 'endTime', 'duration');
+      expect(third.canonical).to.include({ status: 'running' });
+      expect(third.accessibility).to.deep.equal({ status: 'pending' });
+
+      const finalChecks = savedResults[savedResults.length - 1][0].checks;
+      expect(Object.keys(finalChecks)).to.have.members([
+        'body-size', 'lorem-ipsum', 'h1-count', 'canonical', 'metatags', 'links', 'headings',
+        'readability', 'accessibility',
+      ]);
+      Object.values(finalChecks).forEach((check) => {
+        expect(check.status).to.equal('done');
+        expect(check.duration).to.match(/^\d+\.\d{2} seconds$/);
+      });
+    });
+
+    it('marks a check as failed when its handler throws', async () => {
+      job.getMetadata = () => ({
+        payload: {
+          step: PREFLIGHT_STEP_IDENTIFY,
+          urls: ['https://main--example--page.aem.page/page1'],
+        },
+      });
+      const savedResults = [];
+      context.dataAccess.AsyncJob.findById = sinon.stub().callsFake(() => Promise.resolve({
+        getId: () => 'job-123',
+        getMetadata: () => ({}),
+        setMetadata: sinon.stub(),
+        setResult: sinon.stub().callsFake((result) => {
+          savedResults.push(JSON.parse(JSON.stringify(result)));
+        }),
+        setStatus: sinon.stub(),
+        setResultType: sinon.stub(),
+        setEndedAt: sinon.stub(),
+        setError: sinon.stub(),
+        save: sinon.stub().resolves(),
+      }));
+      configuration.isHandlerEnabledForSite.returns(true);
+      const { preflightAudit: failingPreflightAudit } = await esmock('../../src/preflight/handler.js', {
+        '../../src/preflight/canonical.js': { default: sinon.stub().rejects(new Error('Canonical failed')) },
+        '../../src/preflight/accessibility.js': { default: async () => undefined },
+        '@adobe/spacecat-shared-ims-client': {
+          retrievePageAuthentication: retrievePageAuthenticationStub,
+        },
+      });
+
+      await expect(failingPreflightAudit(context)).to.be.rejectedWith('Canonical failed');
+
+      const { checks } = savedResults[savedResults.length - 1][0];
+      expect(checks['body-size'].status).to.equal('done');
+      expect(checks.canonical).to.include({ status: 'failed', error: 'Canonical failed' });
+      expect(checks.canonical).to.have.property('duration');
+      expect(checks.metatags).to.deep.equal({ status: 'pending' });
     });
 
     it('handles errors during intermediate saves gracefully', async () => {
@@ -1454,6 +1664,8 @@ describe('Preflight Audit', () => {
           setResult: sinon.stub(),
           setStatus: sinon.stub(),
           setResultType: sinon.stub(),
+          getMetadata: sinon.stub().returns({}),
+          setMetadata: sinon.stub(),
           setEndedAt: sinon.stub(),
           setError: sinon.stub(),
           save: sinon.stub().callsFake(async () => {
@@ -1530,6 +1742,49 @@ describe('Preflight Audit', () => {
       expect(audits.find((a) => a.name === AUDIT_H1_COUNT)).to.not.exist;
     });
 
+    it('fails the job result if a finding blocks publishing under the site policy', async () => {
+      site.getConfig = () => ({
+        getHandlers: () => ({
+          preflight: { policy: { blocking: { [AUDIT_BODY_SIZE]: 'moderate' } } },
+        }),
+      });
+      s3Client.send.callsFake((command) => {
+        if (command.input?.Prefix) {
+          return Promise.resolve({
+            Contents: [{ Key: 'scrapes/site-123/page1/scrape.json' }],
+            IsTruncated: false,
+          });
+        }
+        return Promise.resolve({
+          ContentType: 'application/json',
+          Body: {
+            transformToString: sinon.stub().resolves(JSON.stringify({
+              scrapeResult: { rawBody: '<body>Short content</body>' },
+              finalUrl: 'https://main--example--page.aem.page/page1',
+            })),
+          },
+        });
+      });
+      configuration.isHandlerEnabledForSite.withArgs(`${AUDIT_BODY_SIZE}-preflight`, site).returns(true);
+      configuration.isHandlerEnabledForSite.returns(false);
+
+      await preflightAuditFunction(context);
+
+      const jobEntityCalls = context.dataAccess.AsyncJob.findById.returnValues;
+      const finalJobEntity = await jobEntityCalls[jobEntityCalls.length - 1];
+      expect(finalJobEntity.setResult.getCall(0).args[0][0]).to.not.have.property('policy');
+      expect(finalJobEntity.setMetadata.getCall(0).args[0].policy).to.deep.equal({
+        verdict: 'fail',
+        blockingFindings: [{
+          pageUrl: 'https://main--example--page.aem.page/page1',
+          audit: AUDIT_BODY_SIZE,
+          check: 'content-length',
+          severity: 'moderate',
+          issue: 'Body content length is below 100 characters',
+        }],
+      });
+    });
+
     it('handles individual AUDIT_LOREM_IPSUM check', async () => {
       job.getMetadata = () => ({
         payload: {
@@ -1657,6 +1912,7 @@ describe('Preflight Audit', () => {
             getId: () => 'job-123',
             setStatus: sinon.stub(),
             setResultType: sinon.stub(),
+            setMetadata: sinon.stub(),
             setResult: sinon.stub(),
             setEndedAt: sinon.stub(),
             setError: sinon.stub(),
@@ -1675,6 +1931,8 @@ describe('Preflight Audit', () => {
         setResult: sinon.stub(),
         setStatus: sinon.stub(),
         setResultType: sinon.stub(),
+        getMetadata: sinon.stub().returns({}),
+        setMetadata: sinon.stub(),
         setEndedAt: sinon.stub(),
         setError: sinon.stub(),
         save: sinon.stub().resolves(),
@@ -1735,6 +1993,7 @@ describe('Preflight Audit', () => {
             getId: () => 'job-123',
             setStatus: sinon.stub(),
             setResultType: sinon.stub(),
+            setMetadata: sinon.stub(),
             setResult: sinon.stub(),
             setEndedAt: sinon.stub(),
             setError: sinon.stub(),
@@ -1753,6 +2012,8 @@ describe('Preflight Audit', () => {
         setResult: sinon.stub(),
         setStatus: sinon.stub(),
         setResultType: sinon.stub(),
+        getMetadata: sinon.stub().returns({}),
+        setMetadata: sinon.stub(),
         setEndedAt: sinon.stub(),
         setError: sinon.stub(),
         save: sinon.stub().resolves(),
@@ -1892,6 +2153,110 @@ describe('Preflight Audit', () => {
     });
   });
 
+  describe('runChecks', () => {
+    let context;
+    let auditsResult;
+    let savedResults;
+
+    beforeEach(() => {
+      savedResults = [];
+      context = {
+        site: { getId: () => 'site-123' },
+        job: { getId: () => 'job-456' },
+        step: 'identify',
+        dataAccess: {
+          AsyncJob: {
+            findById: sinon.stub().resolves({
+              setResult: (result) => savedResults.push(JSON.parse(JSON.stringify(result))),
+              save: sinon.stub().resolves(),
+            }),
+          },
+        },
+        log: { warn: sinon.stub(), debug: sinon.stub() },
+      };
+      auditsResult = [{ pageUrl: 'https://example.com/page1', audits: [] }];
+    });
+
+    it('saves the check as running, then as done with its timing', async () => {
+      const result = await runChecks(context, auditsResult, ['canonical'], async () => ({ processing: false }));
+
+      expect(result).to.deep.equal({ processing: false });
+      expect(savedResults).to.have.lengthOf(2);
+      expect(savedResults[0][0].checks.canonical).to.have.all.keys('status', 'startTime');
+      expect(savedResults[0][0].checks.canonical.status).to.equal('running');
+      expect(savedResults[1][0].checks.canonical).to.include({ status: 'done' });
+      expect(savedResults[1][0].checks.canonical).to.have.all.keys('status', 'startTime', 'endTime', 'duration');
+      expect(context.log.debug).to.have.been.calledWith(
+        '[preflight-audit] site: site-123, job: job-456, step: identify. canonical done: Intermediate results saved successfully',
+      );
+    });
+
+    it('saves the check as failed and rethrows the error', async () => {
+      await expect(runChecks(context, auditsResult, ['links', 'headings'], async () => {
+        throw new Error('Check failed');
+      })).to.be.rejectedWith('Check failed');
+
+      expect(savedResults[1][0].checks.links).to.include({ status: 'failed', error: 'Check failed' });
+      expect(savedResults[1][0].checks.headings).to.include({ status: 'failed', error: 'Check failed' });
+      expect(context.log.debug).to.have.been.calledWith(
+        '[preflight-audit] site: site-123, job: job-456, step: identify. links, headings failed: Intermediate results saved successfully',
+      );
+    });
+
+    it('saves the check as failed with the error of the failed status returned by the check', async () => {
+      const result = await runChecks(context, auditsResult, ['metatags'], async () => ({
+        status: 'failed',
+        error: 'Meta tags detection failed',
+      }));
+
+      expect(result).to.deep.equal({ status: 'failed', error: 'Meta tags detection failed' });
+      expect(savedResults).to.have.lengthOf(2);
+      expect(savedResults[1][0].checks.metatags).to.include({ status: 'failed', error: 'Meta tags detection failed' });
+    });
+
+    it('keeps the check running while its results are processed by another service', async () => {
+      const result = await runChecks(context, auditsResult, ['readability'], async () => ({ processing: true }));
+
+      expect(result).to.deep.equal({ processing: true });
+      expect(savedResults).to.have.lengthOf(1);
+      expect(auditsResult[0].checks.readability).to.have.all.keys('status', 'startTime');
+      expect(auditsResult[0].checks.readability.status).to.equal('running');
+    });
+
+    it('saves the status reported for each page, and the status of the checks for the other pages', async () => {
+      auditsResult.push(
+        { pageUrl: 'https://example.com/page2', audits: [] },
+        { pageUrl: 'https://example.com/page3', audits: [] },
+      );
+
+      await runChecks(context, auditsResult, ['accessibility'], async (reportPageStatus) => {
+        await reportPageStatus('https://example.com/page1', { status: 'done' });
+        await reportPageStatus('https://example.com/page2', { status: 'failed', error: 'No data' });
+      });
+
+      expect(savedResults).to.have.lengthOf(4);
+      expect(savedResults[1].map(({ checks }) => checks.accessibility.status))
+        .to.deep.equal(['done', 'running', 'running']);
+      expect(savedResults[2].map(({ checks }) => checks.accessibility.status))
+        .to.deep.equal(['done', 'failed', 'running']);
+      expect(savedResults[2][1].checks.accessibility).to.include({ error: 'No data' });
+      expect(savedResults[3].map(({ checks }) => checks.accessibility.status))
+        .to.deep.equal(['done', 'failed', 'done']);
+      expect(context.log.debug).to.have.been.calledWith(
+        '[preflight-audit] site: site-123, job: job-456, step: identify. accessibility failed for https://example.com/page2: Intermediate results saved successfully',
+      );
+    });
+
+    it('does not save again when every page was reported', async () => {
+      await runChecks(context, auditsResult, ['accessibility'], async (reportPageStatus) => {
+        await reportPageStatus('https://example.com/page1', { status: 'done' });
+      });
+
+      expect(savedResults).to.have.lengthOf(2);
+      expect(savedResults[1][0].checks.accessibility).to.include({ status: 'done' });
+    });
+  });
+
   describe('getPrefixedPageAuthToken', () => {
     const token = 'my-token';
     const optionsWithPromise = { promiseToken: 'some-promise-token' };
@@ -1978,6 +2343,8 @@ describe('Preflight Audit', () => {
             findById: sinon.stub().resolves({
               setStatus: sinon.stub(),
               setResultType: sinon.stub(),
+              getMetadata: sinon.stub().returns({}),
+              setMetadata: sinon.stub(),
               setResult: sinon.stub(),
               setEndedAt: sinon.stub(),
               setError: sinon.stub(),
@@ -2011,6 +2378,7 @@ describe('Preflight Audit', () => {
           { pageUrl: 'https://example.com/page2', audits: [] },
         ],
         timeExecutionBreakdown: [],
+        reportPageStatus: sinon.stub().resolves(),
         checks: ['accessibility'],
       };
     });
@@ -2559,6 +2927,62 @@ describe('Preflight Audit', () => {
         expect(log.error).to.have.been.calledWith('Missing S3 bucket configuration for accessibility audit');
       });
 
+      it('should keep the violation ids of the live pages in diff mode', async () => {
+        const { processAccessibilityOpportunities } = await import('../../src/preflight/accessibility.js');
+        auditContext.liveUrls = new Map([
+          ['https://example.com/page1', 'https://www.example.com/page1'],
+          ['https://example.com/page2', 'https://www.example.com/page2'],
+        ]);
+        auditContext.liveAccessibility = new Map();
+
+        s3Client.send.callsFake((command) => {
+          if (command.constructor.name === 'GetObjectCommand') {
+            const liveData = {
+              violations: {
+                total: 3,
+                critical: { items: { 'image-alt': { count: 2 } } },
+                serious: { items: { 'link-name': { count: 1 } } },
+                moderate: {},
+              },
+            };
+            const data = {
+              'accessibility-preflight/site-123/example_com_page1.json': { violations: {} },
+              'accessibility-preflight/site-123/example_com_page2.json': { violations: {} },
+              'accessibility-preflight/site-123/www_example_com_page1.json': liveData,
+            }[command.input.Key] ?? null;
+            return Promise.resolve({
+              Body: { transformToString: sinon.stub().resolves(JSON.stringify(data)) },
+              ContentType: 'application/json',
+            });
+          }
+          return Promise.resolve({});
+        });
+
+        await processAccessibilityOpportunities(context, auditContext);
+
+        expect(auditContext.liveAccessibility).to.deep.equal(new Map([
+          ['https://www.example.com/page1', new Set(['image-alt', 'link-name'])],
+        ]));
+        expect(log.warn).to.have.been.calledWith(
+          '[preflight-audit] No accessibility data found for live page https://www.example.com/page2 at key: accessibility-preflight/site-123/www_example_com_page2.json',
+        );
+        const deleteCommand = s3Client.send.getCalls()
+          .map((call) => call.args[0])
+          .find((command) => command.constructor.name === 'DeleteObjectsCommand');
+        expect(deleteCommand.input.Delete.Objects.map(({ Key }) => Key)).to.deep.equal([
+          'accessibility-preflight/site-123/example_com_page1.json',
+          'accessibility-preflight/site-123/example_com_page2.json',
+          'accessibility-preflight/site-123/www_example_com_page1.json',
+          'accessibility-preflight/site-123/www_example_com_page2.json',
+        ]);
+      });
+
+      it('should list no violation ids for accessibility data without violations', async () => {
+        const { getViolationIds } = await import('../../src/preflight/accessibility.js');
+
+        expect(getViolationIds({})).to.deep.equal(new Set());
+      });
+
       it('should handle missing accessibility data for URL', async () => {
         const { processAccessibilityOpportunities } = await import('../../src/preflight/accessibility.js');
 
@@ -3152,6 +3576,7 @@ describe('Preflight Audit', () => {
             { pageUrl: 'https://example.com/page2', audits: [] },
           ],
           timeExecutionBreakdown: [],
+          reportPageStatus: sinon.stub().resolves(),
         };
       });
 
@@ -3196,6 +3621,43 @@ describe('Preflight Audit', () => {
         expect(pollingLog.debug).to.have.been.calledWith('[preflight-audit] Polling completed, proceeding to process accessibility data');
       });
 
+      it('should also poll for the accessibility data of the live pages in diff mode', async () => {
+        pollingAuditContext.liveUrls = new Map([
+          ['https://example.com/page1', 'https://www.example.com/page1'],
+        ]);
+        pollingAuditContext.liveAccessibility = new Map();
+        pollingS3Client.send.callsFake((command) => {
+          if (command.constructor.name === 'ListObjectsV2Command') {
+            return Promise.resolve({
+              Contents: [
+                { Key: 'accessibility-preflight/site-123/example_com_page1.json', LastModified: new Date() },
+                { Key: 'accessibility-preflight/site-123/example_com_page2.json', LastModified: new Date() },
+                { Key: 'accessibility-preflight/site-123/www_example_com_page1.json', LastModified: new Date() },
+              ],
+            });
+          }
+          if (command.constructor.name === 'GetObjectCommand') {
+            return Promise.resolve({
+              Body: {
+                transformToString: sinon.stub().resolves(JSON.stringify({ violations: {} })),
+              },
+            });
+          }
+          return Promise.resolve({});
+        });
+
+        await accessibility(pollingContext, pollingAuditContext);
+
+        const message = pollingContext.sqs.sendMessage.getCall(0).args[1];
+        expect(message.urls).to.deep.equal([
+          { url: 'https://example.com/page1' },
+          { url: 'https://example.com/page2' },
+          { url: 'https://www.example.com/page1' },
+        ]);
+        expect(pollingLog.debug).to.have.been.calledWith('[preflight-audit] Expected files: ["example_com_page1.json","example_com_page2.json","www_example_com_page1.json"]');
+        expect(pollingAuditContext.liveAccessibility.get('https://www.example.com/page1')).to.deep.equal(new Set());
+      });
+
       it('should handle polling with files that do not match expected pattern', async () => {
         let pollCount = 0;
         // Mock the accessibility module with s3-utils mocked
@@ -3419,6 +3881,7 @@ describe('Preflight Audit', () => {
         ]),
         auditsResult: {},
         timeExecutionBreakdown: [],
+        reportPageStatus: sinon.stub().resolves(),
       };
     });
 
@@ -4185,10 +4648,11 @@ describe('Preflight Audit', () => {
         },
       ];
 
-      await headings(context, auditContext);
+      const result = await headings(context, auditContext);
       expect(context.log.error).to.have.been.calledWithMatch(
         sinon.match(/Headings audit failed/),
       );
+      expect(result.status).to.equal('failed');
     });
 
     it('should handle missing audit entry for a URL', async () => {
@@ -4644,6 +5108,7 @@ describe('Preflight Audit', () => {
       sandbox = sinon.createSandbox();
       site = {
         getId: () => 'site-123',
+        getConfig: () => ({ getHandlers: () => ({}) }),
       };
       job = {
         getMetadata: () => ({
@@ -4657,6 +5122,7 @@ describe('Preflight Audit', () => {
         getId: () => 'job-123',
         setStatus: sinon.stub(),
         setResultType: sinon.stub(),
+        setMetadata: sinon.stub(),
         setResult: sinon.stub(),
         setEndedAt: sinon.stub(),
         setError: sinon.stub(),
@@ -4755,7 +5221,9 @@ describe('Preflight Audit', () => {
 
       await preflightAuditFunction(context);
 
-      expect(jobEntity.setMetadata).to.have.been.calledOnce;
+      // The enabled checks are saved first, the policy verdict with the job result
+      expect(jobEntity.setMetadata).to.have.been.calledTwice;
+      expect(jobEntity.setMetadata.getCall(1).args[0].policy.verdict).to.equal('warn');
       const metadataArg = jobEntity.setMetadata.getCall(0).args[0];
       expect(metadataArg.payload).to.deep.include({
         step: PREFLIGHT_STEP_IDENTIFY,
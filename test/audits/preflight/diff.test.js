@@ -0,0 +1,496 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinonChai from 'sinon-chai';
+import sinon from 'sinon';
+import esmock from 'esmock';
+import {
+  CHANGE_ADDED,
+  CHANGE_CHANGED,
+  CHANGE_REMOVED,
+  LIVE_SCRAPE_JOB_PREFIX,
+  PREFLIGHT_DIFF,
+  diffSnapshots,
+  getLiveScrapeKey,
+  getNewAccessibilityViolations,
+  getNewBrokenLinks,
+  getPageSnapshot,
+  scrapeLivePages,
+} from '../../../src/preflight/diff.js';
+
+use(sinonChai);
+
+const SIMPLE_TEXT = '<p>The cat sat on the mat. The dog ran in the sun. We like to play all day. It is fun to run and jump.</p>';
+const COMPLEX_TEXT = '<p>Notwithstanding considerable organizational complexities, comprehensive implementation methodologies necessitate substantial interdepartmental collaboration.</p>';
+
+const snapshot = (overrides = {}) => ({
+  canonical: '/page',
+  title: 'Title',
+  description: 'Description',
+  links: new Set(),
+  headingJump: null,
+  readabilityScore: 60,
+  ...overrides,
+});
+
+// Serves the listed scrapes of the live pages, by S3 key
+const mockS3Client = (scrapes) => ({
+  send: sinon.stub().callsFake(async (command) => {
+    const name = command.constructor.name;
+    if (name === 'ListObjectsV2Command') {
+      return { Contents: Object.keys(scrapes).map((Key) => ({ Key })) };
+    }
+    if (name === 'GetObjectCommand') {
+      return {
+        ContentType: 'application/json',
+        Body: { transformToString: async () => JSON.stringify(scrapes[command.input.Key]) },
+      };
+    }
+    return {};
+  }),
+});
+
+const liveScrape = (rawBody) => ({ scrapeResult: { rawBody } });
+
+describe('Preflight Diff', () => {
+  let log;
+
+  beforeEach(() => {
+    log = {
+      info: sinon.stub(),
+      warn: sinon.stub(),
+      error: sinon.stub(),
+      debug: sinon.stub(),
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('getPageSnapshot', () => {
+    it('reads the compared properties of a page', async () => {
+      const html = `<html><head>
+        <title> Page </title>
+        <meta name="description" content="About the page">
+        <link rel="canonical" href="/page/">
+      </head><body>
+        <nav><a href="/nav">Nav</a></nav>
+        <main>
+          <h1>Page</h1><h2>Section</h2><h4>Jump</h4><h6>Second jump</h6>
+          <a href="/about/?lang=en">About</a>
+          <a href="https://other.com/page/">Other</a>
+          <a href="http://[invalid">Invalid</a>
+          ${SIMPLE_TEXT}
+        </main>
+      </body></html>`;
+
+      const result = await getPageSnapshot(html, 'https://main--site--org.aem.page/page');
+
+      expect(result).to.deep.equal({
+        canonical: '/page',
+        title: 'Page',
+        description: 'About the page',
+        links: new Set(['/nav', '/about?lang=en', 'https://other.com/page']),
+        headingJump: 'h2 → h4',
+        readabilityScore: result.readabilityScore,
+      });
+      expect(result.readabilityScore).to.be.above(80);
+    });
+
+    it('returns null for missing properties and text in unsupported languages', async () => {
+      const result = await getPageSnapshot('<html><body><a href="/">Home</a></body></html>', 'https://example.com/page');
+
+      expect(result).to.deep.equal({
+        canonical: null,
+        title: null,
+        description: null,
+        links: new Set(['/']),
+        headingJump: null,
+        readabilityScore: null,
+      });
+    });
+  });
+
+  describe('getLiveScrapeKey', () => {
+    it('returns the key the content scraper stores the scrape of a live page at', () => {
+      expect(LIVE_SCRAPE_JOB_PREFIX).to.equal('preflight-live');
+      expect(getLiveScrapeKey('site-id', 'https://www.example.com/page/')).to.equal('scrapes/preflight-live-site-id/page/scrape.json');
+      expect(getLiveScrapeKey('site-id', 'https://www.example.com')).to.equal('scrapes/preflight-live-site-id/scrape.json');
+    });
+  });
+
+  describe('scrapeLivePages', () => {
+    let context;
+
+    beforeEach(() => {
+      context = {
+        site: { getId: () => 'site-id' },
+        env: {
+          CONTENT_SCRAPER_QUEUE_URL: 'scraper-queue',
+          S3_SCRAPER_BUCKET_NAME: 'bucket',
+          AUDIT_JOBS_QUEUE_URL: 'jobs-queue',
+        },
+        sqs: { sendMessage: sinon.stub().resolves() },
+        log,
+      };
+    });
+
+    it('sends the live pages to the content scraper without authentication', async () => {
+      const sent = await scrapeLivePages(context, new Map([['https://main--site--org.aem.page/page', 'https://www.example.com/page']]));
+
+      expect(sent).to.be.true;
+      expect(context.sqs.sendMessage).to.have.been.calledOnceWith('scraper-queue', sinon.match({
+        urls: [{ url: 'https://www.example.com/page' }],
+        siteId: 'site-id',
+        jobId: 'preflight-live-site-id',
+        processingType: 'default',
+        s3BucketName: 'bucket',
+        forceRescrape: true,
+        options: { enableAuthentication: false, screenshotTypes: [] },
+      }));
+    });
+
+    it('returns false if the live pages cannot be sent to the content scraper', async () => {
+      context.sqs.sendMessage.rejects(new Error('Queue unavailable'));
+
+      expect(await scrapeLivePages(context, new Map())).to.be.false;
+      expect(log.error).to.have.been.calledWith('[preflight-audit] site: site-id. Failed to send the live pages to the content scraper: Queue unavailable');
+    });
+  });
+
+  describe('getLivePageBodies', () => {
+    const liveUrl = 'https://www.example.com/page';
+    const liveKey = 'scrapes/preflight-live-site-id/page/scrape.json';
+    let getLivePageBodies;
+    let sleep;
+    let clock;
+    let context;
+
+    beforeEach(async () => {
+      clock = sinon.useFakeTimers({ now: 0, toFake: ['Date'] });
+      sleep = sinon.stub().callsFake(async () => clock.tick(60 * 1000));
+      ({ getLivePageBodies } = await esmock('../../../src/preflight/diff.js', {
+        '../../../src/support/utils.js': { sleep },
+      }));
+      context = {
+        site: { getId: () => 'site-id' },
+        env: { S3_SCRAPER_BUCKET_NAME: 'bucket' },
+        s3Client: mockS3Client({ [liveKey]: liveScrape('<html></html>') }),
+        log,
+      };
+    });
+
+    it('reads the HTML of the live pages, then deletes their scrapes', async () => {
+      const bodies = await getLivePageBodies(context, [liveUrl]);
+
+      expect(bodies).to.deep.equal(new Map([[liveUrl, '<html></html>']]));
+      expect(sleep).not.to.have.been.called;
+      const deleteCommand = context.s3Client.send.lastCall.args[0];
+      expect(deleteCommand.constructor.name).to.equal('DeleteObjectsCommand');
+      expect(deleteCommand.input.Delete.Objects).to.deep.equal([{ Key: liveKey }]);
+    });
+
+    it('waits for the scrapes which are not there yet', async () => {
+      const { send } = context.s3Client;
+      context.s3Client.send = sinon.stub().callsFake(async (command) => (
+        command.constructor.name === 'ListObjectsV2Command' && sleep.notCalled
+          ? { Contents: [] }
+          : send(command)));
+
+      const bodies = await getLivePageBodies(context, [liveUrl]);
+
+      expect(sleep).to.have.been.calledOnce;
+      expect(bodies.get(liveUrl)).to.equal('<html></html>');
+    });
+
+    it('keeps waiting when the scrapes cannot be listed, and stops after the maximum wait', async () => {
+      context.s3Client.send = sinon.stub().rejects(new Error('Access denied'));
+
+      const bodies = await getLivePageBodies(context, [liveUrl]);
+
+      expect(bodies.size).to.equal(0);
+      expect(sleep).to.have.callCount(5);
+      expect(log.warn).to.have.been.calledWith('[preflight-audit] site: site-id. Failed to list the live page scrapes: Access denied');
+    });
+
+    it('returns the HTML even if the scrapes cannot be deleted', async () => {
+      const { send } = context.s3Client;
+      context.s3Client.send = sinon.stub().callsFake(async (command) => (
+        command.constructor.name === 'DeleteObjectsCommand'
+          ? Promise.reject(new Error('Delete failed'))
+          : send(command)));
+
+      const bodies = await getLivePageBodies(context, [liveUrl]);
+
+      expect(bodies.get(liveUrl)).to.equal('<html></html>');
+      expect(log.warn).to.have.been.calledWith('[preflight-audit] site: site-id. Failed to clean up the live page scrapes: Delete failed');
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    it('reports no regressions for unchanged pages and improvements', () => {
+      const result = diffSnapshots(
+        snapshot({ readabilityScore: 70 }),
+        snapshot({ canonical: null, headingJump: 'h1 → h3', readabilityScore: null }),
+      );
+
+      expect(result).to.deep.equal({
+        canonical: [], metatags: [], headings: [], readability: [],
+      });
+      expect(diffSnapshots(snapshot(), snapshot({ readabilityScore: 65 })).readability).to.deep.equal([]);
+    });
+
+    it('labels removed canonical, title and description', () => {
+      const result = diffSnapshots(
+        snapshot({ canonical: null, title: null, description: null }),
+        snapshot(),
+      );
+
+      expect(result.canonical).to.deep.equal([{
+        check: 'canonical-removed',
+        change: CHANGE_REMOVED,
+        issue: 'The canonical link of the live page was removed',
+        previous: '/page',
+        seoImpact: 'High',
+        seoRecommendation: 'Restore the canonical link of the page',
+      }]);
+      expect(result.metatags.map(({ check, change, previous }) => ({ check, change, previous })))
+        .to.deep.equal([
+          { check: 'title-removed', change: CHANGE_REMOVED, previous: 'Title' },
+          { check: 'description-removed', change: CHANGE_REMOVED, previous: 'Description' },
+        ]);
+    });
+
+    it('labels changed canonical, new heading jumps and readability drops', () => {
+      const result = diffSnapshots(
+        snapshot({ canonical: '/other', headingJump: 'h2 → h4', readabilityScore: 40 }),
+        snapshot(),
+      );
+
+      expect(result.canonical[0]).to.include({
+        check: 'canonical-changed', change: CHANGE_CHANGED, previous: '/page', current: '/other',
+      });
+      expect(result.headings).to.deep.equal([{
+        check: 'heading-order-invalid',
+        change: CHANGE_ADDED,
+        issue: 'The heading order became invalid: h2 → h4',
+        current: 'h2 → h4',
+        seoImpact: 'Moderate',
+        seoRecommendation: 'Do not skip heading levels',
+      }]);
+      expect(result.readability[0]).to.include({
+        check: 'readability-dropped',
+        change: CHANGE_CHANGED,
+        issue: 'The readability score dropped from 60.0 to 40.0',
+        previous: 60,
+        current: 40,
+      });
+    });
+  });
+
+  describe('getNewBrokenLinks', () => {
+    it('keeps the broken links which the live page does not link to', () => {
+      const opportunities = [{
+        check: 'broken-internal-links',
+        issue: [
+          { url: 'https://main--site--org.aem.page/old', issue: 'Status 404' },
+          { url: 'https://main--site--org.aem.page/new/', issue: 'Status 404' },
+        ],
+      }, {
+        check: 'broken-external-links',
+        issue: [{ url: 'https://other.com/page/', issue: 'Status 404' }],
+      }];
+
+      const result = getNewBrokenLinks(opportunities, new Set(['/old', 'https://other.com/page']));
+
+      expect(result).to.deep.equal([{
+        check: 'broken-internal-links',
+        issue: [{ url: 'https://main--site--org.aem.page/new/', issue: 'Status 404', change: CHANGE_ADDED }],
+      }]);
+    });
+  });
+
+  describe('getNewAccessibilityViolations', () => {
+    it('keeps the violations which the live page does not have', () => {
+      const result = getNewAccessibilityViolations(
+        [{ type: 'image-alt', check: 'a11y-assistive' }, { type: 'link-name', check: 'a11y-assistive' }],
+        new Set(['image-alt']),
+      );
+
+      expect(result).to.deep.equal([{ type: 'link-name', check: 'a11y-assistive', change: CHANGE_ADDED }]);
+    });
+  });
+
+  describe('diff handler', () => {
+    const previewUrl = 'https://main--site--org.aem.page/page';
+    const unreachableUrl = 'https://main--site--org.aem.page/unreachable';
+    let context;
+    let auditContext;
+    let pageResult;
+    let unreachableResult;
+    let diff;
+
+    beforeEach(async () => {
+      const clock = sinon.useFakeTimers({ now: 0, toFake: ['Date'] });
+      ({ default: diff } = await esmock('../../../src/preflight/diff.js', {
+        '../../../src/support/utils.js': { sleep: async () => clock.tick(60 * 1000) },
+      }));
+      context = {
+        site: { getId: () => 'site-id' },
+        job: { getId: () => 'job-id' },
+        env: { S3_SCRAPER_BUCKET_NAME: 'bucket' },
+        s3Client: mockS3Client({}),
+        log,
+        dataAccess: {
+          AsyncJob: {
+            findById: sinon.stub().resolves({ setResult: sinon.stub(), save: sinon.stub().resolves() }),
+          },
+        },
+      };
+      pageResult = {
+        pageUrl: previewUrl,
+        step: 'identify',
+        audits: [
+          { name: 'body-size', type: 'seo', opportunities: [{ check: 'content-length' }] },
+          {
+            name: 'links',
+            type: 'seo',
+            opportunities: [{
+              check: 'broken-internal-links',
+              issue: [{ url: `${previewUrl}/old` }, { url: `${previewUrl}/new` }],
+            }],
+          },
+          {
+            name: 'accessibility',
+            type: 'a11y',
+            opportunities: [{ type: 'image-alt' }, { type: 'link-name' }],
+          },
+        ],
+      };
+      unreachableResult = { pageUrl: unreachableUrl, step: 'identify', audits: [...pageResult.audits] };
+      auditContext = {
+        previewUrls: [previewUrl, unreachableUrl],
+        liveUrls: new Map([
+          [previewUrl, 'https://www.example.com/page'],
+          [unreachableUrl, 'https://www.example.com/unreachable'],
+        ]),
+        step: 'identify',
+        audits: new Map([[previewUrl, pageResult], [unreachableUrl, unreachableResult]]),
+        auditsResult: [pageResult, unreachableResult],
+        scrapedObjects: [
+          {
+            data: {
+              finalUrl: previewUrl,
+              scrapeResult: {
+                rawBody: `<html><head><title>Page</title></head><body><main><h1>Page</h1><h3>Jump</h3>${COMPLEX_TEXT}</main></body></html>`,
+              },
+            },
+          },
+          { data: { finalUrl: unreachableUrl, scrapeResult: { rawBody: '<html></html>' } } },
+        ],
+        enabledChecks: ['metatags', 'links', 'headings', 'readability', 'accessibility', 'body-size'],
+        liveAccessibility: new Map([['https://www.example.com/page', new Set(['image-alt'])]]),
+        liveScrapeSent: true,
+        timeExecutionBreakdown: [],
+      };
+    });
+
+    it('replaces the findings of each page with its regressions against the live page', async () => {
+      context.s3Client = mockS3Client({
+        ['scrapes/preflight-live-site-id/page/scrape.json']: liveScrape(`<html><head><title>Page</title><meta name="description" content="Live"></head><body><main><h1>Page</h1><h2>Section</h2><a href="/page/old">Old</a>${SIMPLE_TEXT}</main></body></html>`),
+      });
+
+      await diff(context, auditContext);
+
+      expect(pageResult.liveUrl).to.equal('https://www.example.com/page');
+      expect(pageResult.audits.map(({ name, type }) => ({ name, type }))).to.deep.equal([
+        { name: 'body-size', type: 'seo' },
+        { name: 'metatags', type: 'seo' },
+        { name: 'headings', type: 'seo' },
+        { name: 'readability', type: 'seo' },
+        { name: 'links', type: 'seo' },
+        { name: 'accessibility', type: 'a11y' },
+      ]);
+      const byName = Object.fromEntries(pageResult.audits.map((a) => [a.name, a.opportunities]));
+      expect(byName['body-size']).to.deep.equal([{ check: 'content-length' }]);
+      expect(byName.metatags.map(({ check }) => check)).to.deep.equal(['description-removed']);
+      expect(byName.headings.map(({ check }) => check)).to.deep.equal(['heading-order-invalid']);
+      expect(byName.readability.map(({ check }) => check)).to.deep.equal(['readability-dropped']);
+      expect(byName.links).to.deep.equal([{
+        check: 'broken-internal-links',
+        issue: [{ url: `${previewUrl}/new`, change: CHANGE_ADDED }],
+      }]);
+      expect(byName.accessibility).to.deep.equal([{ type: 'link-name', change: CHANGE_ADDED }]);
+
+      expect(unreachableResult.liveUrl).to.equal('https://www.example.com/unreachable');
+      expect(unreachableResult.diffError).to.equal(`Could not compare ${unreachableUrl} with https://www.example.com/unreachable, as no scrape of the live page was found at scrapes/preflight-live-site-id/unreachable/scrape.json within 5 minutes, reporting all findings`);
+      expect(unreachableResult.audits).to.have.lengthOf(3);
+
+      expect(auditContext.timeExecutionBreakdown).to.have.lengthOf(1);
+      expect(auditContext.timeExecutionBreakdown[0].name).to.equal(PREFLIGHT_DIFF);
+      expect(context.dataAccess.AsyncJob.findById).to.have.been.calledWith('job-id');
+    });
+
+    it('reports no link or accessibility regressions for pages without those findings', async () => {
+      context.s3Client = mockS3Client({
+        ['scrapes/preflight-live-site-id/page/scrape.json']: liveScrape('<html><body><main><h1>Page</h1></main></body></html>'),
+      });
+      auditContext.previewUrls = [previewUrl];
+      pageResult.audits = [];
+
+      await diff(context, auditContext);
+
+      expect(pageResult.audits.find((a) => a.name === 'links').opportunities).to.deep.equal([]);
+      expect(pageResult.audits.find((a) => a.name === 'accessibility').opportunities).to.deep.equal([]);
+    });
+
+    it('reports all findings of the pages whose live page was not sent to the scraper', async () => {
+      auditContext.liveScrapeSent = false;
+
+      await diff(context, auditContext);
+
+      expect(context.s3Client.send).not.to.have.been.called;
+      expect(pageResult.diffError).to.equal(`Could not compare ${previewUrl} with https://www.example.com/page, as the live page could not be sent to the content scraper, reporting all findings`);
+      expect(pageResult.audits).to.have.lengthOf(3);
+    });
+
+    it('reports all accessibility violations without accessibility data of the live page', async () => {
+      context.s3Client = mockS3Client({
+        ['scrapes/preflight-live-site-id/page/scrape.json']: liveScrape('<html><body><main><h1>Page</h1></main></body></html>'),
+      });
+      auditContext.previewUrls = [previewUrl];
+      auditContext.scrapedObjects = [{ data: { finalUrl: previewUrl } }];
+      delete auditContext.liveAccessibility;
+
+      await diff(context, auditContext);
+
+      expect(pageResult.diffError).to.equal(`Could not compare ${previewUrl} with https://www.example.com/page, as the preview page has no HTML, reporting all findings`);
+
+      auditContext.scrapedObjects = [{ data: { finalUrl: previewUrl, scrapeResult: { rawBody: '<html><body></body></html>' } } }];
+      delete pageResult.diffError;
+
+      await diff(context, auditContext);
+
+      expect(pageResult.diffError).to.be.undefined;
+      const accessibility = pageResult.audits.find((a) => a.name === 'accessibility');
+      expect(accessibility.opportunities).to.deep.equal([{ type: 'image-alt' }, { type: 'link-name' }]);
+      expect(pageResult.audits.find((a) => a.name === 'links').opportunities).to.deep.equal([{
+        check: 'broken-internal-links',
+        issue: [{ url: `${previewUrl}/old`, change: CHANGE_ADDED }, { url: `${previewUrl}/new`, change: CHANGE_ADDED }],
+      }]);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinonChai from 'sinon-chai';
+import sinon from 'sinon';
+import images, {
+  PREFLIGHT_IMAGES,
+  getImageIssues,
+  isPlaceholderImage,
+} from '../../../src/preflight/images.js';
+
+use(sinonChai);
+
+const pageUrl = 'https://main--site--org.aem.page/page';
+
+const rawBody = `<html><body><main>
+  <img src="/media/hero.jpg" alt="Hero">
+  <figure><img src="/media/team.jpg"><figcaption> Our   team </figcaption></figure>
+  <img src="https://via.placeholder.com/300" alt="">
+  <img src="/media/spacer.gif" role="presentation">
+  <img src="/media/icon.svg" aria-hidden="true">
+  <img src="data:image/gif;base64,R0lGODlhAQABAAAAACw=">
+  <img src="http://[invalid" title="Invalid">
+  <img data-src="/media/lazy.jpg">
+</main></body></html>`;
+
+describe('Preflight Images Audit', () => {
+  describe('isPlaceholderImage', () => {
+    it('detects placeholder services and file names', () => {
+      expect(isPlaceholderImage('https://via.placeholder.com/300')).to.be.true;
+      expect(isPlaceholderImage('https://picsum.photos/200/300')).to.be.true;
+      expect(isPlaceholderImage('https://example.com/media/no-image.png')).to.be.true;
+      expect(isPlaceholderImage('https://example.com/media/sample_1.jpg')).to.be.true;
+      expect(isPlaceholderImage('https://example.com/media/hero.jpg')).to.be.false;
+    });
+  });
+
+  describe('getImageIssues', () => {
+    it('lists the images without alt text and the placeholder images', () => {
+      const { missingAlt, placeholders } = getImageIssues(rawBody, pageUrl);
+
+      expect(missingAlt.map(({ imageUrl, caption }) => ({ imageUrl, caption }))).to.deep.equal([
+        { imageUrl: 'https://main--site--org.aem.page/media/team.jpg', caption: 'Our team' },
+        { imageUrl: 'data:image/gif;base64,R0lGODlhAQABAAAAACw=', caption: null },
+        { imageUrl: 'http://[invalid', caption: 'Invalid' },
+        { imageUrl: null, caption: null },
+      ]);
+      expect(missingAlt[0].selector).to.include('img');
+      expect(placeholders.map(({ imageUrl }) => imageUrl)).to.deep.equal(['https://via.placeholder.com/300']);
+    });
+  });
+
+  describe('images handler', () => {
+    let context;
+    let auditContext;
+    let pageResult;
+
+    beforeEach(() => {
+      context = {
+        site: { getId: () => 'site-123' },
+        job: { getId: () => 'job-123' },
+        log: {
+          info: sinon.stub(),
+          warn: sinon.stub(),
+          error: sinon.stub(),
+          debug: sinon.stub(),
+        },
+        dataAccess: {
+          AsyncJob: {
+            findById: sinon.stub().resolves({ setResult: sinon.stub(), save: sinon.stub().resolves() }),
+          },
+        },
+      };
+      pageResult = { pageUrl, step: 'identify', audits: [] };
+      auditContext = {
+        previewUrls: [pageUrl],
+        step: 'identify',
+        audits: new Map([[pageUrl, pageResult]]),
+        auditsResult: [pageResult],
+        scrapedObjects: [
+          { data: { finalUrl: pageUrl, scrapeResult: { rawBody } } },
+          { data: { finalUrl: 'https://main--site--org.aem.page/other', scrapeResult: { rawBody } } },
+        ],
+        timeExecutionBreakdown: [],
+      };
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('reports missing alt text and placeholder images', async () => {
+      await images(context, auditContext);
+
+      const audit = pageResult.audits.find((a) => a.name === PREFLIGHT_IMAGES);
+      expect(audit.type).to.equal('seo');
+      expect(audit.opportunities.map(({ check }) => check)).to.deep.equal([
+        'image-missing-alt', 'image-missing-alt', 'image-missing-alt', 'image-missing-alt',
+        'image-placeholder',
+      ]);
+      expect(audit.opportunities[0]).to.deep.include({
+        issue: 'Missing alt text on images',
+        imageUrl: 'https://main--site--org.aem.page/media/team.jpg',
+        seoImpact: 'High',
+      });
+      expect(audit.opportunities[0]).to.not.have.property('suggestion');
+      expect(audit.opportunities[0].elements).to.have.lengthOf(1);
+      expect(audit.opportunities[4]).to.deep.include({
+        issue: 'Found a placeholder image in the page content',
+        imageUrl: 'https://via.placeholder.com/300',
+      });
+      expect(context.log.warn).to.have.been.calledWith(
+        '[preflight-audit] site: site-123, job: job-123, step: identify. No scraped page found for images audit of https://main--site--org.aem.page/other',
+      );
+      expect(auditContext.timeExecutionBreakdown[0].name).to.equal(PREFLIGHT_IMAGES);
+      expect(context.dataAccess.AsyncJob.findById).not.to.have.been.called;
+    });
+
+    it('suggests the caption of images as alt text in suggest mode', async () => {
+      auditContext.step = 'suggest';
+      auditContext.scrapedObjects = [{ data: { finalUrl: pageUrl, scrapeResult: {} } }];
+
+      await images(context, auditContext);
+
+      expect(pageResult.audits[0].opportunities).to.deep.equal([]);
+
+      auditContext.scrapedObjects = [{ data: { finalUrl: pageUrl, scrapeResult: { rawBody } } }];
+      pageResult.audits = [];
+
+      await images(context, auditContext);
+
+      const [first, second] = pageResult.audits[0].opportunities;
+      expect(first.suggestion).to.equal('Our team');
+      expect(second).to.not.have.property('suggestion');
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinonChai from 'sinon-chai';
+import sinon from 'sinon';
+import {
+  VERDICT_FAIL,
+  VERDICT_PASS,
+  VERDICT_WARN,
+  evaluatePolicy,
+  getPreflightPolicy,
+} from '../../../src/preflight/policy.js';
+
+use(sinonChai);
+
+const createSite = (handlers) => ({
+  getId: () => 'site-123',
+  getConfig: () => ({ getHandlers: () => handlers }),
+});
+
+const pageUrl = 'https://main--site--org.aem.page/page';
+
+const auditsResult = [{
+  pageUrl,
+  step: 'identify',
+  audits: [
+    {
+      name: 'links',
+      type: 'seo',
+      opportunities: [{
+        check: 'broken-internal-links',
+        issue: [
+          { url: `${pageUrl}/old`, issue: 'Status 404', seoImpact: 'High' },
+          { url: 'https://other.com/known-broken', issue: 'Status 404', seoImpact: 'High' },
+        ],
+      }],
+    },
+    {
+      name: 'accessibility',
+      type: 'a11y',
+      opportunities: [
+        {
+          check: 'a11y-assistive', type: 'image-alt', severity: 'serious', description: 'Images must have alt text',
+        },
+        {
+          check: 'a11y-assistive', type: 'region', severity: 'minor', description: 'Content must be in landmarks',
+        },
+        { type: 'accessibility-error', severity: 'error', description: 'Failed to process' },
+      ],
+    },
+    {
+      name: 'body-size',
+      type: 'seo',
+      opportunities: [
+        { check: 'content-length', issue: 'Body content length is below 100 characters', seoImpact: 'Moderate' },
+        { check: 'unrated', issue: 'Finding without severity' },
+      ],
+    },
+  ],
+}];
+
+describe('Preflight Policy', () => {
+  let log;
+
+  beforeEach(() => {
+    log = { warn: sinon.stub() };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('getPreflightPolicy', () => {
+    it('returns an empty policy for sites without policy', () => {
+      expect(getPreflightPolicy(createSite(undefined), log)).to.deep.equal({ blocking: {}, exceptions: [] });
+      expect(getPreflightPolicy({ getConfig: () => undefined }, log)).to.deep.equal({ blocking: {}, exceptions: [] });
+    });
+
+    it('ignores invalid severities and exception patterns', () => {
+      const policy = getPreflightPolicy(createSite({
+        preflight: {
+          policy: {
+            blocking: { links: 'high', canonical: 'blocker' },
+            exceptions: [{ urlPattern: '/drafts/', checks: ['links'] }, { urlPattern: '(' }],
+          },
+        },
+      }), log);
+
+      expect(policy.blocking).to.deep.equal({ links: 'high' });
+      expect(policy.exceptions).to.have.lengthOf(1);
+      expect(policy.exceptions[0].pattern.test('https://example.com/drafts/page')).to.be.true;
+      expect(policy.exceptions[0].checks).to.deep.equal(['links']);
+      expect(log.warn).to.have.been.calledWith('[preflight-audit] site: site-123. Ignoring invalid blocking severity for canonical: blocker');
+      expect(log.warn).to.have.been.calledWith('[preflight-audit] site: site-123. Ignoring invalid exception pattern: (');
+    });
+  });
+
+  describe('evaluatePolicy', () => {
+    it('passes without findings and warns about findings which do not block', () => {
+      expect(evaluatePolicy([{ pageUrl, audits: [] }], { blocking: {}, exceptions: [] }))
+        .to.deep.equal({ verdict: VERDICT_PASS, blockingFindings: [] });
+      expect(evaluatePolicy(auditsResult, { blocking: { 'body-size': 'high' }, exceptions: [] }))
+        .to.deep.equal({ verdict: VERDICT_WARN, blockingFindings: [] });
+    });
+
+    it('fails with the findings at or above the blocking severity of their check', () => {
+      const result = evaluatePolicy(auditsResult, {
+        blocking: { links: 'high', accessibility: 'moderate' },
+        exceptions: [],
+      });
+
+      expect(result).to.deep.equal({
+        verdict: VERDICT_FAIL,
+        blockingFindings: [{
+          pageUrl,
+          audit: 'links',
+          check: 'broken-internal-links',
+          severity: 'high',
+          issue: 'Status 404',
+          url: `${pageUrl}/old`,
+        }, {
+          pageUrl,
+          audit: 'links',
+          check: 'broken-internal-links',
+          severity: 'high',
+          issue: 'Status 404',
+          url: 'https://other.com/known-broken',
+        }, {
+          pageUrl,
+          audit: 'accessibility',
+          check: 'image-alt',
+          severity: 'high',
+          issue: 'Images must have alt text',
+        }, {
+          pageUrl,
+          audit: 'accessibility',
+          check: 'accessibility-error',
+          severity: 'error',
+          issue: 'Failed to process',
+        }],
+      });
+    });
+
+    it('blocks on the errors of blocking checks at any severity', () => {
+      const result = evaluatePolicy([{
+        pageUrl,
+        audits: [{ name: 'links', type: 'seo', opportunities: [] }],
+        checks: {
+          links: { status: 'failed', error: 'Timeout' },
+          canonical: { status: 'failed', error: 'Timeout' },
+          headings: { status: 'done' },
+        },
+      }], { blocking: { links: 'critical' }, exceptions: [] });
+
+      expect(result).to.deep.equal({
+        verdict: VERDICT_FAIL,
+        blockingFindings: [{
+          pageUrl,
+          audit: 'links',
+          check: 'links',
+          severity: 'error',
+          issue: 'The links check failed: Timeout',
+        }],
+      });
+    });
+
+    it('does not block findings matching an exception of their check', () => {
+      const blocking = { links: 'low', accessibility: 'low' };
+
+      const linkException = evaluatePolicy(auditsResult, {
+        blocking,
+        exceptions: [{ pattern: /known-broken/, checks: ['links'] }, { pattern: /\/page$/, checks: ['canonical'] }],
+      });
+      expect(linkException.blockingFindings.map(({ check }) => check))
+        .to.deep.equal(['broken-internal-links', 'image-alt', 'region', 'accessibility-error']);
+
+      const pageException = evaluatePolicy(auditsResult, {
+        blocking,
+        exceptions: [{ pattern: /\/page$/ }],
+      });
+      expect(pageException).to.deep.equal({ verdict: VERDICT_WARN, blockingFindings: [] });
+    });
+  });
+});
@@ -58,6 +58,7 @@ describe('Preflight Readability Audit', () => {
             setResult: sinon.stub(),
             setStatus: sinon.stub(),
             setResultType: sinon.stub(),
+            setMetadata: sinon.stub(),
             save: sinon.stub().resolves(),
           }),
         },
@@ -76,6 +77,7 @@ describe('Preflight Readability Audit', () => {
         getId: () => 'job-123',
         setStatus: sinon.stub(),
         setResultType: sinon.stub(),
+        setMetadata: sinon.stub(),
         setResult: sinon.stub(),
         setEndedAt: sinon.stub(),
         setError: sinon.stub(),
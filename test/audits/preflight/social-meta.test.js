@@ -0,0 +1,159 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinonChai from 'sinon-chai';
+import sinon from 'sinon';
+import nock from 'nock';
+import socialMeta, {
+  PREFLIGHT_SOCIAL_META,
+  getOgImage,
+} from '../../../src/preflight/social-meta.js';
+
+use(sinonChai);
+
+const previewBaseURL = 'https://main--site--org.aem.page';
+
+const png = (width, height) => {
+  const buffer = Buffer.alloc(100);
+  Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(buffer);
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+};
+
+const page = (ogImage, body = '') => `<html><head>
+  ${ogImage ? `<meta property="og:image" content="${ogImage}">` : ''}
+</head><body><main>${body}</main></body></html>`;
+
+describe('Preflight Social Meta Audit', () => {
+  afterEach(() => {
+    nock.cleanAll();
+    sinon.restore();
+  });
+
+  describe('getOgImage', () => {
+    it('reads the absolute og:image of a page', () => {
+      expect(getOgImage(page('https://example.com/share.png'))).to.deep.equal({
+        imageUrl: 'https://example.com/share.png',
+        selector: 'head > meta',
+      });
+      expect(getOgImage('<html><head><meta name="og:image" content=" https://example.com/share.png "></head></html>').imageUrl)
+        .to.equal('https://example.com/share.png');
+    });
+
+    it('returns null for missing and relative og:image tags', () => {
+      expect(getOgImage(page(null))).to.be.null;
+      expect(getOgImage(page('/share.png'))).to.be.null;
+      expect(getOgImage('<html><head><meta property="og:image"></head></html>')).to.be.null;
+    });
+  });
+
+  describe('social meta handler', () => {
+    const urls = ['small', 'placeholder', 'broken', 'fine', 'unknown', 'missing']
+      .map((path) => `${previewBaseURL}/${path}`);
+    let context;
+    let auditContext;
+
+    beforeEach(() => {
+      context = {
+        site: { getId: () => 'site-123' },
+        job: { getId: () => 'job-123' },
+        log: {
+          info: sinon.stub(),
+          warn: sinon.stub(),
+          error: sinon.stub(),
+          debug: sinon.stub(),
+        },
+        dataAccess: {
+          AsyncJob: {
+            findById: sinon.stub().resolves({ setResult: sinon.stub(), save: sinon.stub().resolves() }),
+          },
+        },
+      };
+      const auditsResult = urls.map((url) => ({ pageUrl: url, step: 'identify', audits: [] }));
+      const bodies = [
+        page(`${previewBaseURL}/media/share.png`, '<img src="https://placehold.co/600"><img src="/media/hero.jpg">'),
+        page('https://via.placeholder.com/1200x630', '<img src="https://placehold.co/600">'),
+        page('https://cdn.example.com/broken.png'),
+        page('https://cdn.example.com/fine.png'),
+        page('https://cdn.example.com/unknown.svg'),
+        page(null),
+      ];
+      auditContext = {
+        authHeader: { headers: { Authorization: 'token 123' } },
+        previewBaseURL,
+        previewUrls: urls,
+        step: 'identify',
+        audits: new Map(auditsResult.map((result) => [result.pageUrl, result])),
+        auditsResult,
+        scrapedObjects: [
+          ...urls.map((url, index) => ({ data: { finalUrl: url, scrapeResult: { rawBody: bodies[index] } } })),
+          { data: { finalUrl: `${previewBaseURL}/other`, scrapeResult: { rawBody: bodies[0] } } },
+          { data: { finalUrl: urls[0], scrapeResult: {} } },
+        ],
+        timeExecutionBreakdown: [],
+      };
+
+      nock(previewBaseURL, { reqheaders: { authorization: 'token 123' } })
+        .get('/media/share.png')
+        .reply(200, png(100, 100));
+      nock('https://cdn.example.com', { badheaders: ['authorization'] })
+        .get('/broken.png')
+        .reply(404)
+        .get('/fine.png')
+        .reply(200, png(1200, 630))
+        .get('/unknown.svg')
+        .reply(200, '<svg xmlns="http://www.w3.org/2000/svg"></svg>');
+    });
+
+    const getOpportunities = (url) => auditContext.audits.get(url).audits
+      .find((a) => a.name === PREFLIGHT_SOCIAL_META).opportunities;
+
+    it('reports placeholder, broken and too small share images', async () => {
+      await socialMeta(context, auditContext);
+
+      expect(getOpportunities(urls[0])).to.deep.equal([{
+        check: 'og-image-too-small',
+        issue: 'The og:image is 100x100 pixels, below the 200x200 minimum of social networks',
+        seoImpact: 'Moderate',
+        imageUrl: `${previewBaseURL}/media/share.png`,
+        seoRecommendation: 'Use an image of at least 1200x630 pixels showing the content of the page',
+        elements: [{ selector: 'head > meta' }],
+      }]);
+      expect(getOpportunities(urls[1])[0]).to.deep.include({
+        check: 'og-image-placeholder',
+        issue: 'The og:image is a placeholder image',
+        seoImpact: 'High',
+      });
+      expect(getOpportunities(urls[2])[0]).to.deep.include({
+        check: 'og-image-broken',
+        issue: 'The og:image cannot be loaded',
+        seoImpact: 'High',
+      });
+      urls.slice(3).forEach((url) => expect(getOpportunities(url)).to.deep.equal([]));
+      expect(auditContext.timeExecutionBreakdown[0].name).to.equal(PREFLIGHT_SOCIAL_META);
+      expect(context.dataAccess.AsyncJob.findById).not.to.have.been.called;
+    });
+
+    it('suggests the first content image of the page as share image in suggest mode', async () => {
+      auditContext.step = 'suggest';
+
+      await socialMeta(context, auditContext);
+
+      expect(getOpportunities(urls[0])[0].suggestion).to.equal(`${previewBaseURL}/media/hero.jpg`);
+      expect(getOpportunities(urls[1])[0]).to.not.have.property('suggestion');
+    });
+  });
+});
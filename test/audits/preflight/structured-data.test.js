@@ -0,0 +1,255 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinonChai from 'sinon-chai';
+import sinon from 'sinon';
+import esmock from 'esmock';
+import { RICH_RESULT_STATUS } from '../../../src/structured-data/lib.js';
+
+use(sinonChai);
+
+const previewBaseURL = 'https://main--site--org.aem.page';
+const productUrl = `${previewBaseURL}/product`;
+const articleUrl = `${previewBaseURL}/article`;
+
+const productIssue = {
+  pageUrl: productUrl,
+  rootType: 'Product',
+  dataFormat: 'jsonld',
+  issueMessage: 'Missing field "name"',
+};
+const articleIssue = {
+  pageUrl: articleUrl,
+  rootType: 'Article',
+  dataFormat: 'jsonld',
+  issueMessage: 'Missing field "headline"',
+};
+
+describe('Preflight Structured Data Audit', () => {
+  let structuredData;
+  let PREFLIGHT_STRUCTURED_DATA;
+  let getInvalidJsonLdBlocks;
+  let getIssuesFromScraper;
+  let generateFirefallSuggestion;
+  let getWrongMarkup;
+  let createFrom;
+  let context;
+  let auditContext;
+
+  beforeEach(async () => {
+    getIssuesFromScraper = sinon.stub().resolves({ issues: [], eligibility: [] });
+    generateFirefallSuggestion = sinon.stub();
+    getWrongMarkup = sinon.stub().returns('{"@type":"Product"}');
+    createFrom = sinon.stub().returns({});
+
+    ({
+      default: structuredData,
+      PREFLIGHT_STRUCTURED_DATA,
+      getInvalidJsonLdBlocks,
+    } = await esmock('../../../src/preflight/structured-data.js', {
+      '../../../src/structured-data/lib.js': {
+        getIssuesFromScraper,
+        generateFirefallSuggestion,
+        getWrongMarkup,
+        RICH_RESULT_STATUS,
+      },
+      '@adobe/spacecat-shared-gpt-client': {
+        AzureOpenAIClient: { createFrom },
+      },
+    }));
+
+    context = {
+      site: { getId: () => 'site-123' },
+      job: { getId: () => 'job-123' },
+      log: {
+        info: sinon.stub(),
+        warn: sinon.stub(),
+        error: sinon.stub(),
+        debug: sinon.stub(),
+      },
+      dataAccess: {
+        AsyncJob: {
+          findById: sinon.stub().resolves({ setResult: sinon.stub(), save: sinon.stub().resolves() }),
+        },
+      },
+    };
+    const auditsResult = [productUrl, articleUrl]
+      .map((url) => ({ pageUrl: url, step: 'identify', audits: [] }));
+    auditContext = {
+      previewUrls: [productUrl, articleUrl],
+      step: 'identify',
+      audits: new Map(auditsResult.map((result) => [result.pageUrl, result])),
+      auditsResult,
+      scrapedObjects: [
+        {
+          data: {
+            finalUrl: productUrl,
+            scrapeResult: {
+              rawBody: '<html><head><script type="application/ld+json">{"@type": "Product",}</script></head></html>',
+              structuredData: { jsonld: { Product: [{ '@type': 'Product' }] } },
+            },
+          },
+        },
+        {
+          data: {
+            finalUrl: articleUrl,
+            scrapeResult: { structuredData: { jsonld: { Article: [{ '@type': 'Article' }] } } },
+          },
+        },
+        {
+          data: {
+            finalUrl: `${previewBaseURL}/other`,
+            scrapeResult: { structuredData: { jsonld: { Product: [{ '@type': 'Product' }] } } },
+          },
+        },
+        { data: { finalUrl: `${previewBaseURL}/no-data`, scrapeResult: {} } },
+      ],
+      timeExecutionBreakdown: [],
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  const getOpportunities = (url) => auditContext.audits.get(url).audits
+    .find((a) => a.name === PREFLIGHT_STRUCTURED_DATA).opportunities;
+
+  describe('getInvalidJsonLdBlocks', () => {
+    it('lists the JSON-LD blocks which cannot be parsed', () => {
+      const blocks = getInvalidJsonLdBlocks(`<html><head>
+        <script type="application/ld+json">{"@type": "Article"}</script>
+        <script type="application/ld+json">{"@type": "Product",}</script>
+      </head></html>`);
+
+      expect(blocks).to.have.lengthOf(1);
+      expect(blocks[0].error).to.be.a('string').and.not.be.empty;
+      expect(blocks[0].selector).to.include('script');
+    });
+  });
+
+  describe('structured data handler', () => {
+    it('reports invalid JSON-LD, validation errors and markup not eligible for rich results', async () => {
+      auditContext.scrapedObjects.push({ data: { finalUrl: articleUrl, scrapeResult: {} } });
+      getIssuesFromScraper.resolves({
+        issues: [productIssue],
+        eligibility: [
+          {
+            pageUrl: productUrl, type: 'Product', status: RICH_RESULT_STATUS.NOT_ELIGIBLE, errorCount: 1, missingRequired: ['name'],
+          },
+          {
+            pageUrl: articleUrl, type: 'Article', status: RICH_RESULT_STATUS.NOT_ELIGIBLE, errorCount: 0, missingRequired: ['headline', 'image'],
+          },
+          {
+            pageUrl: articleUrl, type: 'BreadcrumbList', status: RICH_RESULT_STATUS.ELIGIBLE, errorCount: 0, missingRequired: [],
+          },
+        ],
+      });
+
+      await structuredData(context, auditContext);
+
+      const [invalidJson, error] = getOpportunities(productUrl);
+      expect(invalidJson.check).to.equal('structured-data-invalid-json');
+      expect(invalidJson.issue).to.match(/^JSON-LD block cannot be parsed: /);
+      expect(invalidJson.seoImpact).to.equal('High');
+      expect(invalidJson.elements).to.have.lengthOf(1);
+      expect(error).to.deep.equal({
+        check: 'structured-data-error',
+        issue: 'Missing field "name"',
+        rootType: 'Product',
+        dataFormat: 'jsonld',
+        seoImpact: 'High',
+        seoRecommendation: 'Fix the Product markup, as invalid structured data is not used for rich results',
+      });
+      expect(getOpportunities(articleUrl)).to.deep.equal([{
+        check: 'rich-result-not-eligible',
+        issue: 'The Article markup is not eligible for rich results, missing: headline, image',
+        rootType: 'Article',
+        seoImpact: 'Moderate',
+        seoRecommendation: 'Add the required properties to the Article markup',
+      }]);
+
+      const [, pages, scrapeCache] = getIssuesFromScraper.firstCall.args;
+      expect(pages).to.deep.equal([{ url: productUrl }]);
+      expect([...scrapeCache.keys()]).to.deep.equal(['/product']);
+      expect(await scrapeCache.get('/product')).to.equal(auditContext.scrapedObjects[0].data);
+      expect(createFrom).to.not.have.been.called;
+      expect(auditContext.timeExecutionBreakdown[0].name).to.equal(PREFLIGHT_STRUCTURED_DATA);
+      expect(context.dataAccess.AsyncJob.findById).not.to.have.been.called;
+    });
+
+    it('drafts the corrected markup of validation errors in suggest mode', async () => {
+      auditContext.step = 'suggest';
+      getIssuesFromScraper.resolves({ issues: [productIssue, articleIssue], eligibility: [] });
+      generateFirefallSuggestion.onFirstCall().resolves({
+        correctedMarkup: { '@type': 'Product', name: 'Shoe' },
+        aiRationale: 'Added the product name',
+      });
+      generateFirefallSuggestion.onSecondCall().rejects(new Error('Invalid response'));
+
+      await structuredData(context, auditContext);
+
+      expect(getOpportunities(productUrl)[1]).to.deep.include({
+        aiSuggestion: { '@type': 'Product', name: 'Shoe' },
+        aiRationale: 'Added the product name',
+      });
+      expect(getOpportunities(articleUrl)[0]).to.not.have.property('aiSuggestion');
+      expect(getWrongMarkup).to.have.been.calledWith(
+        context,
+        productIssue,
+        auditContext.scrapedObjects[0].data,
+      );
+      expect(generateFirefallSuggestion.firstCall.args[2]).to.deep.equal({ responseFormat: 'json_object' });
+      expect(context.log.warn).to.have.been.calledWith(
+        '[preflight-audit] Failed to suggest a fix for the Article markup of https://main--site--org.aem.page/article: Invalid response',
+      );
+    });
+
+    it('skips the suggestions when the LLM client cannot be created', async () => {
+      auditContext.step = 'suggest';
+      getIssuesFromScraper.resolves({ issues: [productIssue], eligibility: [] });
+      createFrom.throws(new Error('Missing configuration'));
+
+      await structuredData(context, auditContext);
+
+      expect(generateFirefallSuggestion).to.not.have.been.called;
+      expect(getOpportunities(productUrl)[1].check).to.equal('structured-data-error');
+      expect(context.log.warn).to.have.been.calledWith(
+        '[preflight-audit] Failed to create the LLM client, skipping structured data suggestions: Missing configuration',
+      );
+    });
+
+    it('does not create the LLM client in suggest mode without validation errors', async () => {
+      auditContext.step = 'suggest';
+
+      await structuredData(context, auditContext);
+
+      expect(createFrom).to.not.have.been.called;
+    });
+
+    it('logs an error when the validation fails', async () => {
+      getIssuesFromScraper.rejects(new Error('Validator unavailable'));
+
+      const result = await structuredData(context, auditContext);
+
+      expect(result).to.deep.equal({ status: 'failed', error: 'Validator unavailable' });
+
+      expect(context.log.error).to.have.been.calledWith(
+        '[preflight-audit] site: site-123, job: job-123, step: identify. Structured data audit failed: Validator unavailable',
+      );
+      expect(auditContext.timeExecutionBreakdown).to.have.lengthOf(1);
+    });
+  });
+});
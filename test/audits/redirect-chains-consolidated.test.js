@@ -0,0 +1,293 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import {
+  CONSOLIDATED_REDIRECTS_PREFIX,
+  consolidateRedirects,
+  storeConsolidatedRedirects,
+} from '../../src/redirect-chains/consolidated-redirects.js';
+
+use(sinonChai);
+
+describe('Redirect Chains Consolidated Redirects', () => {
+  const baseUrl = 'https://www.example.com';
+
+  // a checked entry that redirects straight to its destination, see `followAnyRedirectForUrl`
+  const entry = (origSrc, origDest, overrides = {}) => {
+    const fullSrc = origSrc.startsWith('http') ? origSrc : `${baseUrl}${origSrc}`;
+    const fullDest = origDest.startsWith('http') ? origDest : `${baseUrl}${origDest}`;
+    const result = {
+      status: 200,
+      referencedBy: `${baseUrl}/redirects.json`,
+      origSrc,
+      origDest,
+      fullSrc,
+      fullDest,
+      fullFinal: fullDest,
+      isDuplicateSrc: false,
+      tooQualified: false,
+      hasSameSrcDest: false,
+      redirectCount: 1,
+      fullFinalMatchesDestUrl: true,
+      redirectChain: `${fullSrc} -> ${fullDest}`,
+      error: '',
+      ...overrides,
+    };
+    return { result, finalUrl: result.fullFinal.replace(baseUrl, '') };
+  };
+
+  describe('consolidateRedirects', () => {
+    it('removes duplicates, self-redirects and loops', () => {
+      const { rows, changes } = consolidateRedirects([
+        entry('/dup', '/first', { isDuplicateSrc: true }),
+        entry('/dup', '/second'),
+        entry('/same', '/same', { hasSameSrcDest: true }),
+        entry('/loop', '/a', {
+          status: 301,
+          redirectChain: `${baseUrl}/loop -> ${baseUrl}/a -> ${baseUrl}/loop -> ${baseUrl}/a`,
+        }),
+        entry('/self', '/elsewhere', {
+          fullFinal: `${baseUrl}/self`,
+          fullFinalMatchesDestUrl: false,
+          redirectChain: '',
+        }),
+      ]);
+
+      expect(rows).to.deep.equal([{ source: '/dup', destination: '/second' }]);
+      expect(changes).to.deep.equal([
+        {
+          change: 'remove', source: '/dup', destination: '/first', reasons: ['duplicate-src'],
+        },
+        {
+          change: 'remove', source: '/same', destination: '/same', reasons: ['same-src-dest'],
+        },
+        {
+          change: 'remove', source: '/loop', destination: '/a', reasons: ['redirect-loop'],
+        },
+        {
+          change: 'remove', source: '/self', destination: '/elsewhere', reasons: ['src-is-final'],
+        },
+      ]);
+    });
+
+    it('collapses chains to the final URL and makes fully qualified URLs relative', () => {
+      const { rows, changes } = consolidateRedirects([
+        entry('/chain', '/middle', {
+          fullFinal: `${baseUrl}/final`,
+          fullFinalMatchesDestUrl: false,
+          redirectCount: 2,
+        }),
+        entry(`${baseUrl}/qualified`, baseUrl, { tooQualified: true }),
+        entry(`${baseUrl}/both`, '/middle', {
+          tooQualified: true,
+          fullFinal: `${baseUrl}/final`,
+          fullFinalMatchesDestUrl: false,
+        }),
+        entry('/external', 'https://other.com/page', { tooQualified: false }),
+      ]);
+
+      expect(rows).to.deep.equal([
+        { source: '/chain', destination: '/final' },
+        { source: '/qualified', destination: '/' },
+        { source: '/both', destination: '/final' },
+        { source: '/external', destination: 'https://other.com/page' },
+      ]);
+      expect(changes).to.deep.equal([
+        {
+          change: 'update',
+          source: '/chain',
+          destination: '/middle',
+          newSource: '/chain',
+          newDestination: '/final',
+          reasons: ['final-mismatch'],
+        },
+        {
+          change: 'update',
+          source: `${baseUrl}/qualified`,
+          destination: baseUrl,
+          newSource: '/qualified',
+          newDestination: '/',
+          reasons: ['too-qualified'],
+        },
+        {
+          change: 'update',
+          source: `${baseUrl}/both`,
+          destination: '/middle',
+          newSource: '/both',
+          newDestination: '/final',
+          reasons: ['final-mismatch', 'too-qualified'],
+        },
+      ]);
+    });
+
+    it('keeps entries that need a manual check as they are', () => {
+      const { rows, changes } = consolidateRedirects([
+        entry('/broken', '/gone', { status: 404, fullFinalMatchesDestUrl: false }),
+        entry('/not-found', '/moved', {
+          fullFinal: `${baseUrl}/404.html`,
+          fullFinalMatchesDestUrl: false,
+        }),
+      ]);
+
+      expect(rows).to.deep.equal([
+        { source: '/broken', destination: '/gone' },
+        { source: '/not-found', destination: '/moved' },
+      ]);
+      expect(changes).to.deep.equal([]);
+    });
+
+    it('removes entries that become duplicates or self-redirects once made relative', () => {
+      const { rows, changes } = consolidateRedirects([
+        entry('/page', '/new'),
+        entry(`${baseUrl}/page`, '/other', { tooQualified: true }),
+        entry(`${baseUrl}/same`, '/same', { tooQualified: true, redirectChain: '' }),
+      ]);
+
+      expect(rows).to.deep.equal([{ source: '/page', destination: '/new' }]);
+      expect(changes).to.deep.equal([
+        {
+          change: 'remove', source: `${baseUrl}/page`, destination: '/other', reasons: ['duplicate-src'],
+        },
+        {
+          change: 'remove', source: `${baseUrl}/same`, destination: '/same', reasons: ['same-src-dest'],
+        },
+      ]);
+    });
+  });
+
+  describe('storeConsolidatedRedirects', () => {
+    let clock;
+    let context;
+    const generatedAt = '2025-06-01T00:00:00.000Z';
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers(new Date(generatedAt));
+      context = {
+        env: { S3_SCRAPER_BUCKET_NAME: 'scraper-bucket' },
+        log: { warn: sinon.stub() },
+        s3Client: { send: sinon.stub().resolves({}) },
+      };
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('writes the corrected file and its diff for each file with changes', async () => {
+      const stored = await storeConsolidatedRedirects([
+        {
+          redirectsFile: `${baseUrl}/redirects.json`,
+          format: 'json',
+          text: '{"data":[{"Source":"/a","Destination":"/b"}]}',
+          entries: [entry('/a', '/b')],
+        },
+        {
+          redirectsFile: 's3://importer-bucket/redirects/site-id/_redirects?v=2',
+          format: 'netlify',
+          text: '# moved\n/a /b 302\n/c /c\n/blog/* /news/:splat\n',
+          entries: [entry('/a', '/b'), entry('/c', '/c', { hasSameSrcDest: true })],
+        },
+      ], 'site-id', context);
+
+      const prefix = `${CONSOLIDATED_REDIRECTS_PREFIX}/site-id/${generatedAt}`;
+      expect(stored).to.deep.equal([{
+        redirectsFile: 's3://importer-bucket/redirects/site-id/_redirects?v=2',
+        format: 'netlify',
+        bucket: 'scraper-bucket',
+        fileKey: `${prefix}/1/_redirects`,
+        diffKey: `${prefix}/1/diff.json`,
+        removedCount: 1,
+        updatedCount: 0,
+      }]);
+      expect(context.s3Client.send).to.have.been.calledTwice;
+      expect(context.s3Client.send.firstCall.args[0].input).to.deep.equal({
+        Bucket: 'scraper-bucket',
+        Key: `${prefix}/1/_redirects`,
+        Body: '# moved\n/a /b 302\n/blog/* /news/:splat\n',
+        ContentType: 'text/plain',
+      });
+      const diff = context.s3Client.send.secondCall.args[0].input;
+      expect(diff.ContentType).to.equal('application/json');
+      expect(JSON.parse(diff.Body)).to.deep.equal({
+        redirectsFile: 's3://importer-bucket/redirects/site-id/_redirects?v=2',
+        format: 'netlify',
+        generatedAt,
+        changes: [{
+          change: 'remove', source: '/c', destination: '/c', reasons: ['same-src-dest'],
+        }],
+      });
+    });
+
+    it('updates the entries of the file in place', async () => {
+      await storeConsolidatedRedirects([{
+        redirectsFile: `${baseUrl}/.htaccess`,
+        format: 'htaccess',
+        text: 'Redirect 302 /chain /middle\nRewriteCond %{HTTP_HOST} ^example\\.com$\nRewriteRule ^x$ /y [R=301]\n',
+        entries: [entry('/chain', '/middle', {
+          fullFinal: `${baseUrl}/final`,
+          fullFinalMatchesDestUrl: false,
+        })],
+      }], 'site-id', context);
+
+      expect(context.s3Client.send.firstCall.args[0].input.Body).to.equal(
+        'Redirect 302 /chain /final\nRewriteCond %{HTTP_HOST} ^example\\.com$\nRewriteRule ^x$ /y [R=301]\n',
+      );
+    });
+
+    it('skips files the fixes cannot be applied to, and files that fail to upload', async () => {
+      context.s3Client.send.rejects(new Error('access denied'));
+
+      const stored = await storeConsolidatedRedirects([
+        {
+          redirectsFile: `${baseUrl}/rules.custom`,
+          format: 'custom',
+          text: '/c|/c',
+          entries: [entry('/c', '/c', { hasSameSrcDest: true })],
+        },
+        {
+          redirectsFile: `${baseUrl}/_redirects`,
+          format: 'netlify',
+          entries: [entry('/c', '/c', { hasSameSrcDest: true })],
+        },
+        {
+          redirectsFile: `${baseUrl}/redirects.json`,
+          format: 'json',
+          text: '{"data":[{"Source":"/c","Destination":"/c"}]}',
+          entries: [entry('/c', '/c', { hasSameSrcDest: true })],
+        },
+      ], 'site-id', context);
+
+      expect(stored).to.deep.equal([]);
+      expect(context.log.warn).to.have.been.calledWith(`Cannot apply the fixes to the custom redirects file ${baseUrl}/rules.custom`);
+      expect(context.log.warn).to.have.been.calledWith(`Cannot apply the fixes to the netlify redirects file ${baseUrl}/_redirects`);
+      expect(context.log.warn).to.have.been.calledWith(`Failed to store the consolidated redirects file of ${baseUrl}/redirects.json: access denied`);
+    });
+
+    it('writes nothing during dry runs, or without an S3 client or bucket', async () => {
+      const files = [{
+        redirectsFile: `${baseUrl}/redirects.json`,
+        format: 'json',
+        entries: [entry('/c', '/c', { hasSameSrcDest: true })],
+      }];
+
+      expect(await storeConsolidatedRedirects(files, 'site-id', { ...context, dryRun: {} })).to.deep.equal([]);
+      expect(await storeConsolidatedRedirects(files, 'site-id', { ...context, env: {} })).to.deep.equal([]);
+      expect(await storeConsolidatedRedirects(files, 'site-id', { ...context, s3Client: undefined })).to.deep.equal([]);
+      expect(context.s3Client.send).not.to.have.been.called;
+    });
+  });
+});
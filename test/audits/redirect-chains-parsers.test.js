@@ -0,0 +1,390 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect } from 'chai';
+import {
+  REDIRECT_FORMATS,
+  detectRedirectFormat,
+  parseRedirectRules,
+  patchRedirectRules,
+  registerRedirectParser,
+  toLiteralPath,
+  toRedirectRow,
+} from '../../src/redirect-chains/redirect-parsers.js';
+
+describe('Redirect Chains Parsers', () => {
+  const rowsOf = (text, format) => parseRedirectRules(text, format).rows
+    .map(({ source, destination }) => ({ source, destination }));
+
+  describe('toLiteralPath', () => {
+    it('returns the path matched by patterns that only match a single path', () => {
+      expect(toLiteralPath('^/old\\.html$')).to.equal('/old.html');
+      expect(toLiteralPath('^old-page/?$')).to.equal('old-page');
+      expect(toLiteralPath('/about')).to.equal('/about');
+    });
+
+    it('returns null for patterns that match more than a single path', () => {
+      expect(toLiteralPath('^/blog/(.*)$')).to.be.null;
+      expect(toLiteralPath('^/a|b$')).to.be.null;
+      expect(toLiteralPath('^$')).to.be.null;
+    });
+  });
+
+  describe('toRedirectRow', () => {
+    it('reads either case of the /redirects.json columns', () => {
+      expect(toRedirectRow({ Source: '/a', Destination: '/b' })).to.deep.equal({ source: '/a', destination: '/b' });
+      expect(toRedirectRow({ source: '/a', destination: '/b' })).to.deep.equal({ source: '/a', destination: '/b' });
+      expect(toRedirectRow({})).to.deep.equal({ source: '', destination: '' });
+    });
+  });
+
+  describe('detectRedirectFormat', () => {
+    it('detects the format from the file name', () => {
+      expect(detectRedirectFormat('https://www.example.com/.htaccess')).to.equal(REDIRECT_FORMATS.HTACCESS);
+      expect(detectRedirectFormat('exports/site.htaccess')).to.equal(REDIRECT_FORMATS.HTACCESS);
+      expect(detectRedirectFormat('redirects/site-id/nginx-redirects.txt')).to.equal(REDIRECT_FORMATS.NGINX);
+      expect(detectRedirectFormat('redirects/site-id/server.conf')).to.equal(REDIRECT_FORMATS.NGINX);
+      expect(detectRedirectFormat('https://www.example.com/dictionary.csv?download=1')).to.equal(REDIRECT_FORMATS.CSV);
+      expect(detectRedirectFormat('https://www.example.com/_redirects')).to.equal(REDIRECT_FORMATS.NETLIFY);
+      expect(detectRedirectFormat('redirects/site-id/redirects.json')).to.equal(REDIRECT_FORMATS.JSON);
+      expect(detectRedirectFormat('redirects/site-id/rules.txt')).to.be.undefined;
+    });
+  });
+
+  describe('parseRedirectRules', () => {
+    it('throws for unsupported formats', () => {
+      expect(() => parseRedirectRules('', 'iis')).to.throw('Unsupported redirects file format: iis');
+    });
+
+    it('drops rows without a destination, or with wildcards, placeholders or variables', () => {
+      const text = JSON.stringify([
+        { source: '/keep', destination: '/new' },
+        { source: '/empty', destination: '' },
+        { source: '/blog/*', destination: '/news' },
+        { source: '/posts/:slug', destination: '/news' },
+        { source: '/var', destination: '/new/$1' },
+        { source: '/cond', destination: '%{HTTP_HOST}/new' },
+        { source: '/splat', destination: '/new/:splat' },
+      ]);
+
+      expect(rowsOf(text, REDIRECT_FORMATS.JSON)).to.deep.equal([{ source: '/keep', destination: '/new' }]);
+    });
+
+    it('uses the parsers that are registered', () => {
+      registerRedirectParser('pipes', {
+        fileNames: /\.pipes$/,
+        firstMatchWins: false,
+        parse: (text) => text.split('\n').map((line) => {
+          const [source, destination] = line.split('|');
+          return { source, destination };
+        }),
+      });
+
+      expect(detectRedirectFormat('rules.pipes')).to.equal('pipes');
+      expect(parseRedirectRules('/a|/b', 'pipes')).to.deep.equal({
+        rows: [{ source: '/a', destination: '/b' }],
+        firstMatchWins: false,
+      });
+    });
+
+    describe('json', () => {
+      it('reads exports with or without the data wrapper', () => {
+        expect(rowsOf('{"data":[{"Source":"/a","Destination":"/b"}]}', REDIRECT_FORMATS.JSON))
+          .to.deep.equal([{ source: '/a', destination: '/b' }]);
+        expect(rowsOf('{"total":0}', REDIRECT_FORMATS.JSON)).to.deep.equal([]);
+        expect(parseRedirectRules('[]', REDIRECT_FORMATS.JSON).firstMatchWins).to.be.false;
+      });
+    });
+
+    describe('htaccess', () => {
+      it('reads mod_alias redirects', () => {
+        const text = [
+          '# moved pages',
+          'Redirect /plain /plain-new',
+          'Redirect 301 /permanent https://www.example.com/permanent-new',
+          'Redirect permanent "/quoted page" /quoted-new # trailing comment',
+          'Redirect 410 /gone',
+          'Redirect gone /gone-too',
+          'Redirect 404 /missing /elsewhere',
+          'RedirectPermanent /rp /rp-new',
+          'RedirectTemp /rt /rt-new',
+          'RedirectTemp /incomplete',
+          'RedirectMatch 302 ^/match\\.html$ /match-new',
+          'RedirectMatch ^/blog/(.*)$ /news/$1',
+          'RedirectMatch',
+          '<IfModule mod_alias.c>',
+          '</IfModule>',
+          '',
+        ].join('\n');
+
+        expect(rowsOf(text, REDIRECT_FORMATS.HTACCESS)).to.deep.equal([
+          { source: '/plain', destination: '/plain-new' },
+          { source: '/permanent', destination: 'https://www.example.com/permanent-new' },
+          { source: '/quoted page', destination: '/quoted-new' },
+          { source: '/rp', destination: '/rp-new' },
+          { source: '/rt', destination: '/rt-new' },
+          { source: '/match.html', destination: '/match-new' },
+        ]);
+        expect(parseRedirectRules(text, REDIRECT_FORMATS.HTACCESS).firstMatchWins).to.be.true;
+      });
+
+      it('reads mod_rewrite redirects that do not depend on conditions', () => {
+        const text = [
+          'RewriteEngine On',
+          'RewriteRule ^old-page/?$ /new-page [R=301,L]',
+          'RewriteRule ^/absolute$ https://www.example.com/new [redirect]',
+          'RewriteRule ^rewritten$ /internal [L]',
+          'RewriteRule ^temporary$ /temp [R=302]',
+          'RewriteRule ^notfound$ /nf [R=404]',
+          'RewriteRule ^dash$ - [R=301]',
+          'RewriteRule ^blog/(.*)$ /news/$1 [R=301,L]',
+          "RewriteCond %{HTTP_HOST} ^example\\.com$ [NC]",
+          'RewriteRule ^conditional$ /cond [R=301,L]',
+          'RewriteRule ^after-condition$ /after [R,L]',
+          'RewriteRule',
+        ].join('\r\n');
+
+        expect(rowsOf(text, REDIRECT_FORMATS.HTACCESS)).to.deep.equal([
+          { source: '/old-page', destination: '/new-page' },
+          { source: '/absolute', destination: 'https://www.example.com/new' },
+          { source: '/temporary', destination: '/temp' },
+          { source: '/after-condition', destination: '/after' },
+        ]);
+      });
+    });
+
+    describe('nginx', () => {
+      it('reads return redirects, rewrites and redirect maps in the order of the file', () => {
+        const text = `
+          map $uri $redirect_uri {
+            default "";
+            hostnames;
+            ~^/regex/(.*)$ /new/$1;
+            /mapped   /mapped-new;
+            "/quoted" "/quoted-new";
+            /incomplete;
+          }
+
+          server {
+            # location = /commented { return 301 /nope; }
+            location = /exact { return 301 /exact-new; }
+            location ^~ /prefix {
+              return 308 https://www.example.com/prefix-new;
+            }
+            location /served { try_files $uri =404; }
+            location /gone { return 410; }
+            location ~* \\.php$ { return 301 /php; }
+            rewrite ^/rewritten$ /rewritten-new permanent;
+            rewrite ^/temp/?$ /temp-new redirect;
+            rewrite ^/blog/(.*)$ /news/$1 permanent;
+            rewrite ^/internal$ /other last;
+            if ($redirect_uri) { return 301 $redirect_uri; }
+          }
+        `;
+
+        expect(rowsOf(text, REDIRECT_FORMATS.NGINX)).to.deep.equal([
+          { source: '/mapped', destination: '/mapped-new' },
+          { source: '/quoted', destination: '/quoted-new' },
+          { source: '/exact', destination: '/exact-new' },
+          { source: '/prefix', destination: 'https://www.example.com/prefix-new' },
+          { source: '/rewritten', destination: '/rewritten-new' },
+          { source: '/temp', destination: '/temp-new' },
+        ]);
+        expect(parseRedirectRules(text, REDIRECT_FORMATS.NGINX).firstMatchWins).to.be.true;
+      });
+    });
+
+    describe('csv', () => {
+      it('reads the source and destination columns named in the header', () => {
+        const text = [
+          'enabled,Key,Value',
+          'true,/a,/b',
+          'true,"/with,comma","/with ""quotes"""',
+          '',
+          'true,/short',
+          'false',
+        ].join('\n');
+
+        expect(rowsOf(text, REDIRECT_FORMATS.CSV)).to.deep.equal([
+          { source: '/a', destination: '/b' },
+          { source: '/with,comma', destination: '/with "quotes"' },
+        ]);
+        expect(parseRedirectRules(text, REDIRECT_FORMATS.CSV).firstMatchWins).to.be.false;
+      });
+
+      it('uses the first two columns without a header, or with unknown column names', () => {
+        expect(rowsOf('/a,/b\nhttps://www.example.com/c,/d', REDIRECT_FORMATS.CSV)).to.deep.equal([
+          { source: '/a', destination: '/b' },
+          { source: 'https://www.example.com/c', destination: '/d' },
+        ]);
+        expect(rowsOf('old url,new url\n/a,/b', REDIRECT_FORMATS.CSV)).to.deep.equal([
+          { source: '/a', destination: '/b' },
+        ]);
+        expect(rowsOf('', REDIRECT_FORMATS.CSV)).to.deep.equal([]);
+      });
+    });
+
+    describe('netlify', () => {
+      it('reads redirects and skips rewrites, error pages and query rules', () => {
+        const text = [
+          '# Netlify redirects',
+          '/home              /                 301',
+          '/default           /default-new',
+          '/forced            /forced-new       302!',
+          '/external          https://www.example.com/new 308 Country=us',
+          '/rewrite           /index.html       200',
+          '/missing           /404.html         404',
+          '/store id=:id      /blog/:id         301',
+          '/blog/*            /news/:splat      301',
+        ].join('\n');
+
+        expect(rowsOf(text, REDIRECT_FORMATS.NETLIFY)).to.deep.equal([
+          { source: '/home', destination: '/' },
+          { source: '/default', destination: '/default-new' },
+          { source: '/forced', destination: '/forced-new' },
+          { source: '/external', destination: 'https://www.example.com/new' },
+        ]);
+        expect(parseRedirectRules(text, REDIRECT_FORMATS.NETLIFY).firstMatchWins).to.be.true;
+      });
+    });
+  });
+
+  describe('patchRedirectRules', () => {
+    const remove = (source, destination) => ({ source, destination, replacement: null });
+    const update = (source, destination, newSource, newDestination) => ({
+      source, destination, replacement: { source: newSource, destination: newDestination },
+    });
+
+    it('applies the fixes to htaccess files, keeping the status codes and unparsed rules', () => {
+      const text = [
+        '# moved pages',
+        'Redirect 302 /temp https://www.example.com/middle',
+        'Redirect permanent /same /same # loop',
+        'RedirectMatch ^/blog/(.*)$ /news/$1',
+        'RedirectMatch 301 ^/match\\.html$ /match-middle',
+        'RewriteRule ^old-page/?$ /old-middle [R=301,L]',
+        '',
+      ].join('\r\n');
+
+      expect(patchRedirectRules(text, REDIRECT_FORMATS.HTACCESS, [
+        update('/temp', 'https://www.example.com/middle', '/temp', '/final'),
+        remove('/same', '/same'),
+        update('/match.html', '/match-middle', '/match.html', '/match-final'),
+        update('/old-page', '/old-middle', '/old-page', '/final'),
+      ])).to.deep.equal({
+        body: [
+          '# moved pages',
+          'Redirect 302 /temp /final',
+          'RedirectMatch ^/blog/(.*)$ /news/$1',
+          'RedirectMatch 301 ^/match\\.html$ /match-final',
+          'RewriteRule ^old-page/?$ /final [R=301,L]',
+          '',
+        ].join('\r\n'),
+        contentType: 'text/plain',
+      });
+    });
+
+    it('applies the fixes to nginx configs', () => {
+      const text = `map $uri $redirect_uri {
+  /mapped /mapped-middle; /kept /kept-new;
+  /removed /removed-new;
+}
+location = /exact { return 307 /exact-middle; } # temporary
+location ^~ /prefix {
+  return 301 https://www.example.com/new;
+}
+rewrite ^/rewritten$ /rewritten-new permanent;`;
+
+      expect(patchRedirectRules(text, REDIRECT_FORMATS.NGINX, [
+        update('/mapped', '/mapped-middle', '/mapped', '/mapped-final'),
+        remove('/removed', '/removed-new'),
+        update('/exact', '/exact-middle', '/exact', '/exact-final'),
+        remove('/prefix', 'https://www.example.com/new'),
+        remove('/rewritten', '/rewritten-new'),
+        remove('/kept', '/kept-new'),
+      ]).body).to.equal(`map $uri $redirect_uri {
+  /mapped /mapped-final; 
+}
+location = /exact { return 307 /exact-final; } # temporary
+`);
+    });
+
+    it('applies the fixes to CSV and Netlify files, keeping their other columns', () => {
+      expect(patchRedirectRules(
+        'enabled,Key,Value\ntrue,/a,/b\nfalse,/b,/c\ntrue,https://www.example.com/d,/e',
+        REDIRECT_FORMATS.CSV,
+        [remove('/a', '/b'), update('https://www.example.com/d', '/e', '/d', '/e')],
+      )).to.deep.equal({
+        body: 'enabled,Key,Value\nfalse,/b,/c\ntrue,/d,/e',
+        contentType: 'text/csv',
+      });
+      expect(patchRedirectRules(
+        '/a /b 302!\n/b /c\n/a /b 302!',
+        REDIRECT_FORMATS.NETLIFY,
+        [update('/a', '/b', '/a', '/c'), remove('/a', '/b')],
+      ).body).to.equal('/a /c 302!\n/b /c\n');
+    });
+
+    it('applies the fixes to the entries of JSON files, keeping their other columns', () => {
+      const sheet = JSON.stringify({
+        total: 3,
+        offset: 0,
+        limit: 3,
+        data: [
+          { Source: '/a', Destination: '/b', Note: 'kept' },
+          { Source: '/b', Destination: '/b' },
+          { Source: '/c', Destination: '/d' },
+        ],
+        ':type': 'sheet',
+      });
+
+      const file = patchRedirectRules(sheet, REDIRECT_FORMATS.JSON, [
+        update('/a', '/b', '/a', '/d'),
+        remove('/b', '/b'),
+      ]);
+
+      expect(file.contentType).to.equal('application/json');
+      expect(JSON.parse(file.body)).to.deep.equal({
+        total: 2,
+        offset: 0,
+        limit: 2,
+        data: [
+          { Source: '/a', Destination: '/d', Note: 'kept' },
+          { Source: '/c', Destination: '/d' },
+        ],
+        ':type': 'sheet',
+      });
+      expect(JSON.parse(patchRedirectRules(
+        '{"data":[{"source":"/a","destination":"/b"}]}',
+        REDIRECT_FORMATS.JSON,
+        [update('/a', '/b', '/a', '/c')],
+      ).body)).to.deep.equal({ data: [{ source: '/a', destination: '/c' }] });
+      expect(JSON.parse(patchRedirectRules(
+        '[{"source":"/a","destination":"/b"},{"source":"/c","destination":"/d"}]',
+        REDIRECT_FORMATS.JSON,
+        [remove('/c', '/d')],
+      ).body)).to.deep.equal([{ source: '/a', destination: '/b' }]);
+    });
+
+    it('returns null for formats that cannot be patched, and fixes that match no rule', () => {
+      expect(patchRedirectRules('/a|/b', 'pipes', [remove('/a', '/b')])).to.be.null;
+      expect(patchRedirectRules('', 'unknown', [])).to.be.null;
+      expect(patchRedirectRules('/a /b', REDIRECT_FORMATS.NETLIFY, [remove('/a', '/c')])).to.be.null;
+      expect(patchRedirectRules('/a /b', REDIRECT_FORMATS.NETLIFY, [
+        remove('/a', '/b'),
+        remove('/a', '/b'),
+      ])).to.be.null;
+    });
+  });
+});
@@ -21,7 +21,9 @@ import {
   redirectsAuditRunner,
   determineAuditScope,
   getJsonData,
+  getTextData,
   processRedirectsFile,
+  processRedirectRulesFile,
   processEntriesInParallel,
   analyzeResults,
   getSuggestedFix,
@@ -1074,6 +1076,138 @@ describe('Redirect Chains Audit', () => {
         expect(context.log.info).to.have.been.calledWith(sinon.match(/Looking for redirects file at: https:\/\/www\.example\.com\/redirects\.json/));
       });
     });
+
+    describe('getTextData', () => {
+      it('should fetch the text of a file', async () => {
+        nock(url)
+          .get('/_redirects')
+          .reply(200, '/a /b');
+
+        expect(await getTextData(`${url}/_redirects`, context.log)).to.equal('/a /b');
+      });
+
+      it('should return an empty string for error responses and fetch errors', async () => {
+        nock(url)
+          .get('/_redirects')
+          .reply(404)
+          .get('/.htaccess')
+          .replyWithError('Network error');
+
+        expect(await getTextData(`${url}/_redirects`, context.log)).to.equal('');
+        expect(await getTextData(`${url}/.htaccess`, context.log)).to.equal('');
+        expect(context.log.error).to.have.been.calledWith(`${AUDIT_LOGGING_NAME} - Error trying to get ${url}/_redirects ... HTTP code: 404`);
+        expect(context.log.error).to.have.been.calledWith(`${AUDIT_LOGGING_NAME} - Error in method "getTextData" for URL: ${url}/.htaccess ...`);
+      });
+    });
+
+    describe('processRedirectRulesFile', () => {
+      const s3Object = (body, contentType = 'text/plain') => ({
+        ContentType: contentType,
+        Body: { transformToString: sandbox.stub().resolves(body) },
+      });
+
+      beforeEach(() => {
+        context.s3Client = { send: sandbox.stub() };
+        context.env.S3_IMPORTER_BUCKET_NAME = 'importer-bucket';
+      });
+
+      it('should keep the first rule of a source URL in files where the first match wins', async () => {
+        nock(url)
+          .get('/.htaccess')
+          .reply(200, [
+            'Redirect 301 /fr/page /fr/first',
+            'Redirect 301 /en/page /en/new',
+            `Redirect 301 /fr/page ${url}/fr/second`,
+            'RewriteRule ^fr/same$ /fr/same [R=301,L]',
+          ].join('\n'));
+
+        const result = await processRedirectRulesFile(`${url}/fr/`, { url: `${url}/.htaccess` }, context);
+
+        expect(result).to.deep.equal([
+          {
+            referencedBy: `${url}/.htaccess`,
+            origSrc: '/fr/page',
+            origDest: `${url}/fr/second`,
+            isDuplicateSrc: true,
+            ordinalDuplicate: 1,
+            tooQualified: true,
+            hasSameSrcDest: false,
+          },
+          {
+            referencedBy: `${url}/.htaccess`,
+            origSrc: '/fr/page',
+            origDest: '/fr/first',
+            isDuplicateSrc: false,
+            ordinalDuplicate: 0,
+            tooQualified: false,
+            hasSameSrcDest: false,
+          },
+          {
+            referencedBy: `${url}/.htaccess`,
+            origSrc: '/fr/same',
+            origDest: '/fr/same',
+            isDuplicateSrc: false,
+            ordinalDuplicate: 0,
+            tooQualified: false,
+            hasSameSrcDest: true,
+          },
+        ]);
+        expect(context.log.info).to.have.been.calledWith(`${AUDIT_LOGGING_NAME} - Reading htaccess redirects file at: ${url}/.htaccess`);
+        expect(context.log.info).to.have.been.calledWith(`${AUDIT_LOGGING_NAME} - Found 4 redirects in: ${url}/.htaccess`);
+      });
+
+      it('should keep the last row of a source URL in files where the last row wins', async () => {
+        context.s3Client.send.resolves(s3Object('source,destination\n/a,/first\n/a,/second\n/b,/c'));
+
+        const result = await processRedirectRulesFile(url, { s3Key: 'redirects/site-id/dictionary.csv' }, context);
+
+        expect(result.map(({ origDest, isDuplicateSrc }) => [origDest, isDuplicateSrc])).to.deep.equal([
+          ['/first', true],
+          ['/second', false],
+          ['/c', false],
+        ]);
+        expect(result[0].referencedBy).to.equal('s3://importer-bucket/redirects/site-id/dictionary.csv');
+        expect(context.s3Client.send.firstCall.args[0].input).to.deep.equal({
+          Bucket: 'importer-bucket',
+          Key: 'redirects/site-id/dictionary.csv',
+        });
+      });
+
+      it('should read JSON uploads from the configured bucket and format', async () => {
+        context.s3Client.send.resolves(s3Object(JSON.stringify(sampleRedirectsJson), 'application/json'));
+
+        const result = await processRedirectRulesFile(url, {
+          s3Key: 'redirects/site-id/export',
+          bucket: 'other-bucket',
+          format: 'json',
+        }, context);
+
+        expect(result.map(({ origSrc }) => origSrc)).to.deep.equal(['/another-old', '/old-page']);
+        expect(result[0].referencedBy).to.equal('s3://other-bucket/redirects/site-id/export');
+      });
+
+      it('should skip files with an unknown location or format', async () => {
+        expect(await processRedirectRulesFile(url, { url: `${url}/rules.txt` }, context)).to.deep.equal([]);
+        expect(await processRedirectRulesFile(url, { format: 'csv' }, context)).to.deep.equal([]);
+        expect(await processRedirectRulesFile(url, {}, context)).to.deep.equal([]);
+        expect(context.log.warn).to.have.been.calledWith(`${AUDIT_LOGGING_NAME} - Skipping redirects file with unknown location or format: {"format":"csv"}`);
+      });
+
+      it('should return an empty array for missing, empty and invalid files', async () => {
+        nock(url)
+          .get('/_redirects')
+          .reply(404)
+          .get('/nginx.conf')
+          .reply(200, 'server { listen 80; }');
+        context.s3Client.send.resolves(s3Object('{ not json'));
+
+        expect(await processRedirectRulesFile(url, { url: `${url}/_redirects` }, context)).to.deep.equal([]);
+        expect(await processRedirectRulesFile(url, { url: `${url}/nginx.conf` }, context)).to.deep.equal([]);
+        expect(await processRedirectRulesFile(url, { s3Key: 'redirects.json' }, context)).to.deep.equal([]);
+        expect(context.log.info).to.have.been.calledWith(`${AUDIT_LOGGING_NAME} - No redirects file found or file is empty at: ${url}/_redirects`);
+        expect(context.log.error).to.have.been.calledWith(sinon.match(`${AUDIT_LOGGING_NAME} - Unable to parse the redirects file at: s3://importer-bucket/redirects.json ...`));
+      });
+    });
   });
 
   describe('Redirect Processing', () => {
@@ -1677,6 +1811,21 @@ describe('Redirect Chains Audit', () => {
         expect(getSuggestedFix({})).to.equal(null);
       });
 
+      it('should use the origin of the source URL for files read from S3', () => {
+        const fixResult = getSuggestedFix({
+          tooQualified: true,
+          origSrc: `${url}/old`,
+          fullSrc: `${url}/old`,
+          origDest: '/new',
+          fullDest: `${url}/new`,
+          fullFinal: `${url}/final`,
+          referencedBy: 's3://importer-bucket/redirects/site-id/.htaccess',
+        });
+
+        expect(fixResult.fix).to.include(`by removing the base URL: ${url}`);
+        expect(fixResult.finalUrl).to.equal('/final');
+      });
+
       it('should suggest fix for duplicate source URLs', () => {
         const result = {
           isDuplicateSrc: true,
@@ -2614,6 +2763,84 @@ describe('Redirect Chains Audit', () => {
       expect(result.auditResult).to.have.property('success');
     });
 
+    it('should check the redirect rules files listed in the site config', async () => {
+      context.s3Client = { send: sandbox.stub().resolves({}) };
+      const site = {
+        getId: () => 'site-id',
+        getConfig: () => ({
+          getHandlers: () => ({
+            'redirect-chains': { redirectFiles: [{ url: `${url}/_redirects` }] },
+          }),
+        }),
+      };
+      nock(url)
+        .get('/')
+        .reply(200)
+        .get('/redirects.json')
+        .reply(404)
+        .get('/_redirects')
+        .reply(200, '/rule-old /rule-new 301\n/blog/* /news/:splat 301\n/rule-old /rule-ignored 301')
+        .head('/rule-old')
+        .times(2)
+        .reply(301, '', { location: '/rule-new' })
+        .head('/rule-new')
+        .times(2)
+        .reply(200);
+
+      const result = await redirectsAuditRunner(url, context, site);
+
+      expect(result.auditResult.details.issues).to.have.lengthOf(1);
+      expect(result.auditResult.details.issues[0]).to.include({
+        referencedBy: `${url}/_redirects`,
+        origSrc: '/rule-old',
+        origDest: '/rule-ignored',
+        isDuplicateSrc: true,
+      });
+      expect(result.auditResult.consolidatedRedirects).to.have.lengthOf(1);
+      expect(result.auditResult.consolidatedRedirects[0]).to.include({
+        redirectsFile: `${url}/_redirects`,
+        format: 'netlify',
+        bucket: 'test-bucket',
+        removedCount: 1,
+        updatedCount: 0,
+      });
+      expect(result.auditResult.consolidatedRedirects[0].fileKey).to.match(/^redirect-chains\/site-id\/.+\/0\/_redirects$/);
+      const [fileUpload] = context.s3Client.send.firstCall.args;
+      expect(fileUpload.input.Body).to.equal('/rule-old /rule-new 301\n/blog/* /news/:splat 301\n');
+    });
+
+    it('should not reference consolidated redirects files that could not be stored', async () => {
+      const site = {
+        getId: () => 'site-id',
+        getConfig: () => ({ getHandlers: () => ({}) }),
+      };
+      nock(url)
+        .get('/')
+        .reply(200)
+        .get('/redirects.json')
+        .reply(200, { data: [{ Source: '/same', Destination: '/same' }], total: 1 })
+        .head('/same')
+        .reply(200);
+
+      const result = await redirectsAuditRunner(url, context, site);
+
+      expect(result.auditResult.details.issues).to.have.lengthOf(1);
+      expect(result.auditResult).not.to.have.property('consolidatedRedirects');
+    });
+
+    it('should only check /redirects.json when the site config lists no other files', async () => {
+      const site = { getConfig: () => ({ getHandlers: () => ({}) }) };
+      nock(url)
+        .get('/')
+        .reply(200)
+        .get('/redirects.json')
+        .reply(404);
+
+      const result = await redirectsAuditRunner(url, context, site);
+
+      expect(result.auditResult.details.issues).to.deep.equal([]);
+    });
+
     it('should mark audit as unsuccessful and set reason if baseUrl is invalid', async () => {
       const invalidUrl = 'not a url';
       const result = await redirectsAuditRunner(invalidUrl, context);
@@ -2651,6 +2878,26 @@ describe('Redirect Chains Audit', () => {
         expect(opportunityData.data.dataSources).to.deep.equal([DATA_SOURCES.SITE]);
       });
 
+      it('should reference the consolidated redirects files when provided', () => {
+        const consolidatedRedirects = [{
+          redirectsFile: `${url}/redirects.json`,
+          format: 'json',
+          bucket: 'test-bucket',
+          fileKey: 'redirect-chains/site-id/now/0/redirects.json',
+          diffKey: 'redirect-chains/site-id/now/0/diff.json',
+          removedCount: 1,
+          updatedCount: 2,
+        }];
+
+        const opportunityData = createOpportunityData({ consolidatedRedirects });
+
+        expect(opportunityData.data.consolidatedRedirects).to.deep.equal(consolidatedRedirects);
+        expect(opportunityData.guidance.steps).to.have.lengthOf(2);
+        expect(opportunityData.guidance.steps[1]).to.include('consolidated redirects file');
+        expect(createOpportunityData().data.consolidatedRedirects).to.deep.equal([]);
+        expect(createOpportunityData().guidance.steps).to.have.lengthOf(1);
+      });
+
       it('should create opportunity data with projected traffic metrics when provided', () => {
         const projectedTrafficMetrics = {
           projectedTrafficLost: 30,
@@ -3273,4 +3520,54 @@ describe('Redirect Chains Audit', () => {
       JSON.stringify = originalJSONStringify;
     });
   });
+
+  describe('Consolidated Redirects Opportunity', () => {
+    const consolidatedRedirects = [{
+      redirectsFile: `${url}/redirects.json`,
+      format: 'json',
+      bucket: 'test-bucket',
+      fileKey: 'redirect-chains/site-id/now/0/redirects.json',
+      diffKey: 'redirect-chains/site-id/now/0/diff.json',
+      removedCount: 1,
+      updatedCount: 0,
+    }];
+    const auditData = {
+      siteId: 'site-id',
+      id: 'audit-id',
+      auditResult: { success: true, auditScopeUrl: url, consolidatedRedirects },
+      suggestions: [{ key: 'test-key' }],
+    };
+
+    it('should pass the consolidated redirects files to the opportunity', async () => {
+      await handlerModule.generateOpportunities(url, auditData, context);
+
+      expect(convertToOpportunityStub.getCall(0).args[5]).to.deep.include({ consolidatedRedirects });
+    });
+
+    it('should update the consolidated redirects files of an existing opportunity', async () => {
+      const existingOpportunity = {
+        getId: () => 'opportunity-id',
+        getType: () => 'redirect-chains',
+        getData: () => ({ projectedTrafficLost: 5, consolidatedRedirects: [] }),
+        setAuditId: sandbox.stub(),
+        setData: sandbox.stub(),
+        setUpdatedBy: sandbox.stub(),
+        save: sandbox.stub().resolves(),
+      };
+      context.dataAccess.Opportunity.allBySiteIdAndStatus.resolves([existingOpportunity]);
+      const module = await esmock('../../src/redirect-chains/handler.js', {
+        '../../src/utils/data-access.js': { syncSuggestions: syncSuggestionsStub },
+      });
+
+      await module.generateOpportunities(url, auditData, context);
+
+      expect(existingOpportunity.setData).to.have.been.calledOnce;
+      expect(existingOpportunity.setData.firstCall.args[0]).to.deep.include({
+        projectedTrafficLost: 0,
+        auditScopeUrl: url,
+        consolidatedRedirects,
+      });
+      expect(syncSuggestionsStub).to.have.been.calledOnce;
+    });
+  });
 });
@@ -0,0 +1,175 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+import { expect, use } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import chaiAsPromised from 'chai-as-promised';
+import {
+  CATEGORIES,
+  getIssueSeverity,
+  scoreCategory,
+  siteHealthScoreRunner,
+} from '../../src/site-health-score/handler.js';
+import { MockContextBuilder } from '../shared.js';
+
+use(sinonChai);
+use(chaiAsPromised);
+
+const sandbox = sinon.createSandbox();
+const baseURL = 'https://example.com';
+const siteId = 'site-123';
+
+const latestAudit = (auditType, auditResult = {}, auditedAt = '2025-06-01T00:00:00.000Z') => ({
+  getAuditType: () => auditType,
+  getAuditResult: () => auditResult,
+  getAuditedAt: () => auditedAt,
+});
+
+const suggestion = (data, status = 'NEW') => ({
+  getData: () => data,
+  getStatus: () => status,
+});
+
+const opportunity = (type, suggestions) => ({
+  getType: () => type,
+  getSuggestions: sandbox.stub().resolves(suggestions),
+});
+
+describe('Site health score audit', () => {
+  let context;
+  let site;
+
+  beforeEach(() => {
+    context = new MockContextBuilder()
+      .withSandbox(sandbox)
+      .build();
+    context.dataAccess.LatestAudit = {
+      allBySiteId: sandbox.stub().resolves([]),
+      findBySiteIdAndAuditType: sandbox.stub().resolves(null),
+    };
+    context.dataAccess.Opportunity.allBySiteIdAndStatus.resolves([]);
+    context.dataAccess.SiteTopPage.allBySiteIdAndSourceAndGeo.resolves([
+      { getUrl: () => 'https://example.com/top' },
+    ]);
+    site = { getId: () => siteId };
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('getIssueSeverity', () => {
+    it('reads the severity from the suggestion data', () => {
+      expect(getIssueSeverity({ severity: 'ERROR' }, 'low')).to.equal('high');
+      expect(getIssueSeverity({ priority: 'medium' }, 'low')).to.equal('medium');
+      expect(getIssueSeverity({ impact: 'minor' }, 'high')).to.equal('low');
+    });
+
+    it('falls back to the category severity', () => {
+      expect(getIssueSeverity({ severity: 'unknown' }, 'medium')).to.equal('medium');
+      expect(getIssueSeverity(undefined, 'low')).to.equal('low');
+    });
+  });
+
+  describe('scoreCategory', () => {
+    it('decays the score with the weighted penalty', () => {
+      expect(scoreCategory([])).to.deep.equal({ score: 100, penalty: 0 });
+      expect(scoreCategory([
+        { severity: 'high', onTopPage: true },
+        { severity: 'medium', onTopPage: false },
+        { severity: 'low', onTopPage: false },
+      ])).to.deep.equal({ score: 70, penalty: 18 });
+    });
+  });
+
+  it('scores the audited categories and leaves the others out', async () => {
+    context.dataAccess.LatestAudit.allBySiteId.resolves([
+      latestAudit('canonical'),
+      latestAudit('sitemap'),
+    ]);
+    context.dataAccess.Opportunity.allBySiteIdAndStatus.withArgs(siteId, 'NEW').resolves([
+      opportunity('canonical', [
+        suggestion({ url: 'https://example.com/top/' }),
+        suggestion({ url: 'https://example.com/other' }),
+        suggestion({ url: 'https://example.com/fixed' }, 'FIXED'),
+      ]),
+      opportunity('vulnerabilities', [suggestion({})]),
+    ]);
+    context.dataAccess.Opportunity.allBySiteIdAndStatus.withArgs(siteId, 'IN_PROGRESS').resolves([
+      opportunity('a11y-assistive', []),
+    ]);
+
+    const { auditResult, fullAuditRef } = await siteHealthScoreRunner(baseURL, context, site);
+
+    expect(fullAuditRef).to.equal(baseURL);
+    expect(auditResult.categories.canonical).to.deep.equal({
+      status: 'scored',
+      score: 67,
+      weight: CATEGORIES.canonical.weight,
+      penalty: 20,
+      issues: 2,
+      topPageIssues: 1,
+      severities: { high: 2, medium: 0, low: 0 },
+      opportunities: 1,
+      lastAuditedAt: '2025-06-01T00:00:00.000Z',
+    });
+    expect(auditResult.categories.sitemap.score).to.equal(100);
+    expect(auditResult.categories.accessibility).to.deep.include({
+      score: 96, issues: 1, lastAuditedAt: null,
+    });
+    expect(auditResult.categories.cwv).to.deep.equal({
+      status: 'not-audited', score: null, weight: CATEGORIES.cwv.weight, issues: 0,
+    });
+    // (67 * 10 + 100 * 10 + 96 * 13) / 33
+    expect(auditResult.score).to.equal(88);
+    expect(auditResult.trend).to.equal(null);
+    expect(auditResult.topPages).to.equal(1);
+  });
+
+  it('reports the change against the previous score', async () => {
+    context.dataAccess.LatestAudit.allBySiteId.resolves([latestAudit('cwv'), latestAudit('headings')]);
+    context.dataAccess.LatestAudit.findBySiteIdAndAuditType.resolves(latestAudit('site-health-score', {
+      score: 90,
+      categories: { cwv: { score: 95 }, headings: { score: null } },
+    }, '2025-05-25T00:00:00.000Z'));
+
+    const { auditResult } = await siteHealthScoreRunner(baseURL, context, site);
+
+    expect(context.dataAccess.LatestAudit.findBySiteIdAndAuditType)
+      .to.have.been.calledWith(siteId, 'site-health-score');
+    expect(auditResult.trend).to.deep.equal({
+      previousScore: 90,
+      previousAuditedAt: '2025-05-25T00:00:00.000Z',
+      change: 10,
+      categories: { cwv: 5 },
+    });
+  });
+
+  it('has no score nor trend when no category was audited', async () => {
+    context.dataAccess.LatestAudit.findBySiteIdAndAuditType.resolves(latestAudit('site-health-score', {
+      score: 90,
+    }));
+
+    const { auditResult } = await siteHealthScoreRunner(baseURL, context, site);
+
+    expect(auditResult.score).to.equal(null);
+    expect(auditResult.trend).to.equal(null);
+  });
+
+  it('fails when the top pages cannot be read', async () => {
+    context.dataAccess.SiteTopPage.allBySiteIdAndSourceAndGeo.rejects(new Error('boom'));
+
+    await expect(siteHealthScoreRunner(baseURL, context, site)).to.be.rejectedWith('boom');
+  });
+});
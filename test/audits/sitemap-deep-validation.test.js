@@ -0,0 +1,216 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import nock from 'nock';
+import {
+  MAX_INSPECTED_PAGES,
+  MAX_TOP_PAGES,
+  SITEMAP_ISSUES,
+  SITEMAP_MAX_BYTES,
+  SITEMAP_MAX_URLS,
+  getOrphanTopPages,
+  getSitemapIssues,
+  getSitemapLastmods,
+  validateSitemapPages,
+} from '../../src/sitemap/deep-validation.js';
+import { ERROR_CODES } from '../../src/sitemap/common.js';
+
+use(sinonChai);
+
+describe('Sitemap deep validation', () => {
+  const baseUrl = 'https://example.com';
+  const sitemapUrl = `${baseUrl}/sitemap.xml`;
+  const log = { debug: sinon.stub() };
+
+  const validSitemap = (payload, details = {}) => ({
+    existsAndIsValid: true,
+    reasons: [],
+    details: {
+      sitemapContent: { payload, type: 'application/xml' },
+      isText: false,
+      isSitemapIndex: false,
+      ...details,
+    },
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    sinon.restore();
+  });
+
+  describe('getSitemapIssues', () => {
+    it('reports gzip sitemaps that cannot be decompressed', () => {
+      expect(getSitemapIssues(`${sitemapUrl}.gz`, {
+        existsAndIsValid: false,
+        reasons: [ERROR_CODES.SITEMAP_GZIP],
+      })).to.deep.equal([{ issue: SITEMAP_ISSUES.INVALID_GZIP, sitemapUrl: `${sitemapUrl}.gz` }]);
+      expect(getSitemapIssues(sitemapUrl, {
+        existsAndIsValid: false,
+        reasons: [ERROR_CODES.SITEMAP_NOT_FOUND],
+      })).to.deep.equal([]);
+    });
+
+    it('reports sitemap indexes listed in another sitemap index', () => {
+      const index = validSitemap('<sitemapindex><sitemap><loc>https://example.com/a.xml</loc></sitemap></sitemapindex>', {
+        isSitemapIndex: true,
+      });
+
+      expect(getSitemapIssues(`${baseUrl}/nested.xml`, index, sitemapUrl)).to.deep.equal([{
+        issue: SITEMAP_ISSUES.NESTED_SITEMAP_INDEX,
+        sitemapUrl: `${baseUrl}/nested.xml`,
+        parentUrl: sitemapUrl,
+      }]);
+      expect(getSitemapIssues(sitemapUrl, index)).to.deep.equal([]);
+    });
+
+    it('reports sitemaps with more than 50,000 URLs', () => {
+      const xml = validSitemap(`<urlset>${'<url><loc>https://example.com/p</loc><image:loc>i</image:loc></url>'.repeat(SITEMAP_MAX_URLS + 1)}</urlset>`);
+      const text = validSitemap(`${'https://example.com/p\n'.repeat(SITEMAP_MAX_URLS)}\n\n`, {
+        isText: true,
+      });
+
+      expect(getSitemapIssues(sitemapUrl, xml)).to.deep.equal([{
+        issue: SITEMAP_ISSUES.URL_LIMIT_EXCEEDED, sitemapUrl, urlCount: SITEMAP_MAX_URLS + 1,
+      }]);
+      expect(getSitemapIssues(sitemapUrl, text)).to.deep.equal([]);
+    });
+
+    it('reports sitemaps larger than 50MB', () => {
+      sinon.stub(Buffer, 'byteLength').returns(SITEMAP_MAX_BYTES + 1);
+
+      expect(getSitemapIssues(sitemapUrl, validSitemap('<urlset></urlset>'))).to.deep.equal([{
+        issue: SITEMAP_ISSUES.SIZE_LIMIT_EXCEEDED, sitemapUrl, byteLength: SITEMAP_MAX_BYTES + 1,
+      }]);
+    });
+  });
+
+  describe('getSitemapLastmods', () => {
+    it('reads the lastmod of the pages of XML sitemaps', () => {
+      const sitemap = validSitemap('<urlset>'
+        + '<url><loc> https://example.com/a </loc><lastmod>2024-01-01</lastmod></url>'
+        + '<url><loc>https://example.com/b</loc></url>'
+        + '<url><lastmod>2024-01-01</lastmod></url>'
+        + '</urlset>');
+
+      expect(getSitemapLastmods(sitemap)).to.deep.equal([['https://example.com/a', '2024-01-01']]);
+    });
+
+    it('skips invalid, text and index sitemaps, and sitemaps without lastmod', () => {
+      expect(getSitemapLastmods({ existsAndIsValid: false, reasons: [] })).to.deep.equal([]);
+      expect(getSitemapLastmods(validSitemap('<lastmod>', { isText: true }))).to.deep.equal([]);
+      expect(getSitemapLastmods(validSitemap('<lastmod>', { isSitemapIndex: true }))).to.deep.equal([]);
+      expect(getSitemapLastmods(validSitemap('<urlset></urlset>'))).to.deep.equal([]);
+    });
+  });
+
+  describe('validateSitemapPages', () => {
+    it('reports future, outdated and non-canonical pages', async () => {
+      const future = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString();
+      nock(baseUrl)
+        .get('/future')
+        .reply(200, '<html></html>')
+        .get('/outdated')
+        .reply(200, '<link rel="canonical" href="/outdated/">', { 'last-modified': 'Wed, 01 May 2024 10:00:00 GMT' })
+        .get('/recent')
+        .reply(200, '<html></html>', { 'last-modified': 'Tue, 02 Jan 2024 10:00:00 GMT' })
+        .get('/duplicate')
+        .reply(200, '<link rel="canonical" href="https://example.com/original">')
+        .get('/moved')
+        .reply(301, '', { location: '/elsewhere' })
+        .get('/broken')
+        .replyWithError('socket hang up');
+
+      const pages = ['future', 'outdated', 'recent', 'duplicate', 'moved', 'broken']
+        .map((path) => ({ url: `${baseUrl}/${path}`, sitemapUrl }));
+      const lastmods = new Map([
+        [`${baseUrl}/future`, future],
+        [`${baseUrl}/outdated`, '2024-01-01'],
+        [`${baseUrl}/recent`, '2024-01-02'],
+        [`${baseUrl}/duplicate`, 'not a date'],
+      ]);
+
+      const issues = await validateSitemapPages(pages, lastmods, log);
+
+      expect(issues).to.deep.equal([
+        {
+          issue: SITEMAP_ISSUES.LASTMOD_IN_FUTURE,
+          pageUrl: `${baseUrl}/future`,
+          sitemapUrl,
+          lastmod: future,
+        },
+        {
+          issue: SITEMAP_ISSUES.LASTMOD_OUTDATED,
+          pageUrl: `${baseUrl}/outdated`,
+          sitemapUrl,
+          lastmod: '2024-01-01',
+          lastModified: 'Wed, 01 May 2024 10:00:00 GMT',
+        },
+        {
+          issue: SITEMAP_ISSUES.NON_CANONICAL_URL,
+          pageUrl: `${baseUrl}/duplicate`,
+          sitemapUrl,
+          canonicalUrl: `${baseUrl}/original`,
+        },
+      ]);
+    });
+
+    it('fetches a limited number of pages', async () => {
+      const pages = Array.from({ length: MAX_INSPECTED_PAGES + 5 }, (_, i) => ({
+        url: `${baseUrl}/page-${i}`,
+        sitemapUrl,
+      }));
+      let fetched = 0;
+      nock(baseUrl)
+        .persist()
+        .get(/\/page-\d+/)
+        .reply(() => {
+          fetched += 1;
+          return [200, '<html></html>'];
+        });
+
+      expect(await validateSitemapPages(pages, new Map(), log)).to.deep.equal([]);
+      expect(fetched).to.equal(MAX_INSPECTED_PAGES);
+      expect(log.debug).to.have.been.calledWith(`Sitemap: Inspecting the lastmod and canonical URL of ${MAX_INSPECTED_PAGES} pages`);
+    });
+  });
+
+  describe('getOrphanTopPages', () => {
+    it('reports top pages under the audited URL that are missing from all sitemaps', () => {
+      const orphans = getOrphanTopPages(
+        `${baseUrl}/en`,
+        [
+          'https://www.example.com/en/listed/',
+          `${baseUrl}/en/orphan`,
+          `${baseUrl}/en`,
+          `${baseUrl}/english`,
+          `${baseUrl}/fr/orphan`,
+        ],
+        [`${baseUrl}/en/listed`, `${baseUrl}/en/`],
+      );
+
+      expect(orphans).to.deep.equal([
+        { issue: SITEMAP_ISSUES.ORPHAN_PAGE, pageUrl: `${baseUrl}/en/orphan` },
+      ]);
+    });
+
+    it('only checks the pages with the most traffic', () => {
+      const topPages = Array.from({ length: MAX_TOP_PAGES + 1 }, (_, i) => `${baseUrl}/page-${i}`);
+
+      expect(getOrphanTopPages(baseUrl, topPages, [`${baseUrl}/other`])).to.have.lengthOf(MAX_TOP_PAGES);
+    });
+  });
+});
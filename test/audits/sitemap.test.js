@@ -16,6 +16,7 @@ import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
 import nock from 'nock';
 import chaiAsPromised from 'chai-as-promised';
+import { gzipSync } from 'zlib';
 import {
   sitemapAuditRunner,
   opportunityAndSuggestions,
@@ -36,6 +37,7 @@ import {
 import { extractDomainAndProtocol } from '../../src/support/utils.js';
 import { MockContextBuilder } from '../shared.js';
 import { DATA_SOURCES } from '../../src/common/constants.js';
+import { SITEMAP_ISSUES } from '../../src/sitemap/deep-validation.js';
 
 use(sinonChai);
 use(chaiAsPromised);
@@ -88,6 +90,8 @@ describe('Sitemap Audit', () => {
   });
 
   describe('sitemapAuditRunner', () => {
+    const site = { getId: () => 'site-id' };
+
     it('runs successfully for sitemaps extracted from robots.txt', async () => {
       nock(url)
         .get('/robots.txt')
@@ -103,11 +107,13 @@ describe('Sitemap Audit', () => {
       nock(url).head('/baz').reply(200);
       nock(url).head('/cux').reply(200);
 
-      const result = await sitemapAuditRunner(url, context);
+      const result = await sitemapAuditRunner(url, context, site);
       expect(result).to.eql({
         auditResult: {
           details: {
             issues: {},
+            sitemapIssues: [],
+            pageIssues: [],
           },
           success: true,
           reasons: [
@@ -135,11 +141,13 @@ describe('Sitemap Audit', () => {
       nock(url).head('/baz').reply(200);
       nock(url).head('/cux').reply(200);
 
-      const result = await sitemapAuditRunner(url, context);
+      const result = await sitemapAuditRunner(url, context, site);
       expect(result).to.eql({
         auditResult: {
           details: {
             issues: {},
+            sitemapIssues: [],
+            pageIssues: [],
           },
           success: true,
           reasons: [
@@ -175,11 +183,13 @@ describe('Sitemap Audit', () => {
       nock(url).head('/baz').reply(200);
       nock(url).head('/cux').reply(200);
 
-      const result = await sitemapAuditRunner(url, context);
+      const result = await sitemapAuditRunner(url, context, site);
       expect(result).to.eql({
         auditResult: {
           details: {
             issues: {},
+            sitemapIssues: [],
+            pageIssues: [],
           },
           success: true,
           reasons: [
@@ -202,7 +212,7 @@ describe('Sitemap Audit', () => {
       nock(url).head('/foo').reply(200);
       nock(url).head('/bar').reply(200);
 
-      const result = await sitemapAuditRunner(url, context);
+      const result = await sitemapAuditRunner(url, context, site);
       expect(result).to.eql({
         auditResult: {
           reasons: [
@@ -229,7 +239,7 @@ describe('Sitemap Audit', () => {
         .get(() => true)
         .reply(404);
 
-      const result = await sitemapAuditRunner(url, context);
+      const result = await sitemapAuditRunner(url, context, site);
       expect(result).to.eql({
         auditResult: {
           reasons: [
@@ -245,6 +255,79 @@ describe('Sitemap Audit', () => {
         url,
       });
     });
+
+    it('reports sitemap, lastmod, canonical and orphan page issues', async () => {
+      const future = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+      context.dataAccess.SiteTopPage.allBySiteIdAndSourceAndGeo.resolves([
+        { getUrl: () => `${url}/foo/` },
+        { getUrl: () => `${url}/orphan` },
+      ]);
+      nock(url).get('/robots.txt').reply(200, `Sitemap: ${url}/sitemap_index.xml`);
+      nock(url).get('/sitemap_index.xml').reply(200, '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + `<sitemapindex><sitemap><loc>${url}/sitemap_nested.xml</loc></sitemap></sitemapindex>`);
+      nock(url).get('/sitemap_nested.xml').reply(200, '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + `<sitemapindex><sitemap><loc>${url}/sitemap_lastmod.xml.gz</loc></sitemap></sitemapindex>`);
+      nock(url).get('/sitemap_lastmod.xml.gz').reply(200, gzipSync('<?xml version="1.0" encoding="UTF-8"?>\n'
+        + `<urlset><url><loc>${url}/foo</loc><lastmod>${future}</lastmod></url>`
+        + `<url><loc>${url}/bar</loc><lastmod>2024-01-01</lastmod></url></urlset>`), {
+        'content-type': 'application/x-gzip',
+      });
+      nock(url).head('/foo').reply(200);
+      nock(url).head('/bar').reply(200);
+      nock(url).get('/foo').reply(200, `<link rel="canonical" href="${url}/foo-canonical">`);
+      nock(url).get('/bar').reply(200, '<html></html>', { 'last-modified': 'Wed, 01 May 2024 10:00:00 GMT' });
+
+      const result = await sitemapAuditRunner(url, context, site);
+
+      expect(context.dataAccess.SiteTopPage.allBySiteIdAndSourceAndGeo)
+        .to.have.been.calledWith('site-id', 'ahrefs', 'global');
+      expect(result.auditResult.success).to.equal(true);
+      expect(result.auditResult.details).to.deep.equal({
+        issues: {},
+        sitemapIssues: [{
+          issue: SITEMAP_ISSUES.NESTED_SITEMAP_INDEX,
+          sitemapUrl: `${url}/sitemap_nested.xml`,
+          parentUrl: `${url}/sitemap_index.xml`,
+        }],
+        pageIssues: [
+          {
+            issue: SITEMAP_ISSUES.LASTMOD_IN_FUTURE,
+            pageUrl: `${url}/foo`,
+            sitemapUrl: `${url}/sitemap_lastmod.xml.gz`,
+            lastmod: future,
+          },
+          {
+            issue: SITEMAP_ISSUES.NON_CANONICAL_URL,
+            pageUrl: `${url}/foo`,
+            sitemapUrl: `${url}/sitemap_lastmod.xml.gz`,
+            canonicalUrl: `${url}/foo-canonical`,
+          },
+          {
+            issue: SITEMAP_ISSUES.LASTMOD_OUTDATED,
+            pageUrl: `${url}/bar`,
+            sitemapUrl: `${url}/sitemap_lastmod.xml.gz`,
+            lastmod: '2024-01-01',
+            lastModified: 'Wed, 01 May 2024 10:00:00 GMT',
+          },
+          { issue: SITEMAP_ISSUES.ORPHAN_PAGE, pageUrl: `${url}/orphan` },
+        ],
+      });
+    });
+
+    it('skips the orphan top pages check when the top pages cannot be retrieved', async () => {
+      context.dataAccess.SiteTopPage.allBySiteIdAndSourceAndGeo.rejects(new Error('DB down'));
+      nock(url).get('/robots.txt').reply(200, `Sitemap: ${url}/sitemap_foo.xml`);
+      nock(url).head('/foo').reply(200);
+      nock(url).head('/bar').reply(200);
+
+      const result = await sitemapAuditRunner(url, context, site);
+
+      expect(context.log.warn).to.have.been.calledWith(
+        `Sitemap: Skipping the orphan top pages check for ${url}: DB down`,
+      );
+      expect(result.auditResult.success).to.equal(true);
+      expect(result.auditResult.details.pageIssues).to.deep.equal([]);
+    });
   });
 
   describe('fetchContent', () => {
@@ -261,6 +344,32 @@ describe('Sitemap Audit', () => {
       expect(result).to.eql(mockResponse);
     });
 
+    it('should decompress gzip sitemaps', async () => {
+      nock(url).get('/sitemap.xml.gz').reply(200, gzipSync(sampleSitemap), {
+        'content-type': 'application/octet-stream',
+      });
+      nock(url).get('/sitemap').reply(200, gzipSync(sampleSitemap), {
+        'content-type': 'application/gzip',
+      });
+
+      expect((await fetchContent(`${url}/sitemap.xml.gz`)).payload).to.equal(sampleSitemap);
+      expect((await fetchContent(`${url}/sitemap`)).payload).to.equal(sampleSitemap);
+    });
+
+    it('should return gzip sitemaps already decompressed by fetch as they are', async () => {
+      nock(url).get('/sitemap.xml.gz').reply(200, sampleSitemap);
+
+      expect(await fetchContent(`${url}/sitemap.xml.gz`)).to.eql({ payload: sampleSitemap, type: null });
+    });
+
+    it('should throw error when gzip content cannot be decompressed', async () => {
+      nock(url).get('/sitemap.xml.gz').reply(200, Buffer.from([0x1f, 0x8b, 0x00, 0x01]));
+
+      await expect(fetchContent(`${url}/sitemap.xml.gz`)).to.be.rejectedWith(
+        'Invalid gzip content for https://some-domain.adobe/sitemap.xml.gz',
+      );
+    });
+
     it('should throw error when response is not successful', async () => {
       nock(url).get('/test').reply(404);
       await expect(fetchContent(`${url}/test`)).to.be.rejectedWith(
@@ -351,6 +460,16 @@ describe('Sitemap Audit', () => {
       expect(resp.reasons).to.include(ERROR_CODES.SITEMAP_FORMAT);
     });
 
+    it('checkSitemap returns SITEMAP_GZIP for gzip sitemaps that cannot be decompressed', async () => {
+      nock(url).get('/sitemap.xml.gz').reply(200, Buffer.from([0x1f, 0x8b, 0x00, 0x01]));
+
+      const result = await checkSitemap(`${url}/sitemap.xml.gz`);
+      expect(result).to.deep.equal({
+        existsAndIsValid: false,
+        reasons: [ERROR_CODES.SITEMAP_GZIP],
+      });
+    });
+
     it('checkSitemap returns invalid result for non-existing sitemap', async () => {
       nock(url).get('/non-existent-sitemap.xml').reply(404);
 
@@ -435,6 +554,20 @@ describe('Sitemap Audit', () => {
       });
     });
 
+    it('should report every sitemap with the sitemap index listing it', async () => {
+      const onSitemap = sinon.stub();
+      nock(url).get('/sitemap_index.xml').reply(200, sitemapIndex);
+      nock(url).get('/sitemap_missing.xml').reply(404);
+
+      await getBaseUrlPagesFromSitemaps(url, [`${url}/sitemap_index.xml`, `${url}/sitemap_missing.xml`], onSitemap);
+
+      expect(onSitemap).to.have.callCount(4);
+      expect(onSitemap).to.have.been.calledWith(`${url}/sitemap_index.xml`, sinon.match({ existsAndIsValid: true }), undefined);
+      expect(onSitemap).to.have.been.calledWith(`${url}/sitemap_missing.xml`, sinon.match({ existsAndIsValid: false }), undefined);
+      expect(onSitemap).to.have.been.calledWith(`${url}/sitemap_foo.xml`, sinon.match.object, `${url}/sitemap_index.xml`);
+      expect(onSitemap).to.have.been.calledWith(`${url}/sitemap_bar.xml`, sinon.match.object, `${url}/sitemap_index.xml`);
+    });
+
     it('should handle URLs with whitespace in sitemap XML (ex: crucial.com)', async () => {
       const sampleSitemapWithWhitespace = '<?xml version="1.0" encoding="UTF-8"?>\n'
         + '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n'
@@ -989,6 +1122,89 @@ describe('Sitemap Audit', () => {
     });
   });
 
+  describe('sitemap and page issue suggestions', () => {
+    it('should recommend an action for every sitemap and page issue', () => {
+      const auditData = {
+        auditResult: {
+          success: true,
+          reasons: [{ value: 'Sitemaps found and checked.' }],
+          details: {
+            issues: {},
+            sitemapIssues: [
+              { issue: SITEMAP_ISSUES.URL_LIMIT_EXCEEDED, sitemapUrl: `${url}/a.xml`, urlCount: 50001 },
+              { issue: SITEMAP_ISSUES.SIZE_LIMIT_EXCEEDED, sitemapUrl: `${url}/b.xml`, byteLength: 52428801 },
+              { issue: SITEMAP_ISSUES.NESTED_SITEMAP_INDEX, sitemapUrl: `${url}/c.xml`, parentUrl: `${url}/d.xml` },
+              { issue: SITEMAP_ISSUES.INVALID_GZIP, sitemapUrl: `${url}/e.xml.gz` },
+            ],
+            pageIssues: [
+              { issue: SITEMAP_ISSUES.LASTMOD_IN_FUTURE, pageUrl: `${url}/f`, sitemapUrl: `${url}/a.xml` },
+              { issue: SITEMAP_ISSUES.LASTMOD_OUTDATED, pageUrl: `${url}/g`, sitemapUrl: `${url}/a.xml` },
+              { issue: SITEMAP_ISSUES.NON_CANONICAL_URL, pageUrl: `${url}/h`, sitemapUrl: `${url}/a.xml` },
+              { issue: SITEMAP_ISSUES.ORPHAN_PAGE, pageUrl: `${url}/i` },
+            ],
+          },
+        },
+      };
+
+      const { suggestions } = generateSuggestions(url, auditData, context);
+
+      expect(suggestions.map(({ type }) => type)).to.deep.equal([
+        'sitemap', 'sitemap', 'sitemap', 'sitemap', 'page', 'page', 'page', 'page',
+      ]);
+      expect(suggestions[0]).to.deep.equal({
+        type: 'sitemap',
+        issue: SITEMAP_ISSUES.URL_LIMIT_EXCEEDED,
+        sitemapUrl: `${url}/a.xml`,
+        urlCount: 50001,
+        recommendedAction: 'Split the sitemap into sitemaps of at most 50,000 URLs each and list them in a sitemap index.',
+      });
+      expect(suggestions[7]).to.deep.equal({
+        type: 'page',
+        issue: SITEMAP_ISSUES.ORPHAN_PAGE,
+        pageUrl: `${url}/i`,
+        recommendedAction: 'Add this top page to a sitemap, so search engines can discover it.',
+      });
+      suggestions.forEach(({ recommendedAction }) => expect(recommendedAction).to.be.a('string'));
+    });
+
+    it('should persist sitemap and page issues as content updates', async () => {
+      const suggestions = [
+        {
+          type: 'sitemap',
+          issue: SITEMAP_ISSUES.INVALID_GZIP,
+          sitemapUrl: `${url}/e.xml.gz`,
+          recommendedAction: 'fix the gzip',
+        },
+        {
+          type: 'page',
+          issue: SITEMAP_ISSUES.ORPHAN_PAGE,
+          pageUrl: `${url}/i`,
+          recommendedAction: 'add the page',
+        },
+      ];
+      context.dataAccess.Opportunity.allBySiteIdAndStatus.resolves([
+        context.dataAccess.Opportunity,
+      ]);
+      context.dataAccess.Opportunity.getType.returns('sitemap');
+      context.dataAccess.Opportunity.getId.returns('oppty-id');
+      context.dataAccess.Opportunity.getSuggestions.resolves([]);
+      context.dataAccess.Opportunity.addSuggestions.resolves({ createdItems: suggestions });
+
+      await opportunityAndSuggestions(url, {
+        siteId: 'site-id',
+        auditId: 'audit-id',
+        auditResult: { success: true, reasons: [], details: { issues: {} } },
+        suggestions,
+      }, context);
+
+      const added = context.dataAccess.Opportunity.addSuggestions.firstCall.args[0];
+      expect(added.map(({ type, data }) => [type, data.issue])).to.deep.equal([
+        ['CONTENT_UPDATE', SITEMAP_ISSUES.INVALID_GZIP],
+        ['CONTENT_UPDATE', SITEMAP_ISSUES.ORPHAN_PAGE],
+      ]);
+    });
+  });
+
   describe('opportunityAndSuggestions', () => {
     let auditDataFailure;
     let auditDataSuccess;
@@ -1227,7 +1443,7 @@ describe('Sitemap Audit', () => {
         opportunityId: opptyId,
         type: 'REDIRECT_UPDATE',
         rank: 0,
-        data: suggestion,
+        data: { ...suggestion, schemaVersion: 2 },
       }));
       
       // Verify that each suggestion has the expected properties plus status: 'PENDING_VALIDATION'
@@ -1295,7 +1511,7 @@ describe('Sitemap Audit', () => {
         opportunityId: opptyId,
         type: 'REDIRECT_UPDATE',
         rank: 0,
-        data: suggestion,
+        data: { ...suggestion, schemaVersion: 2 },
       }));
       
       // Verify that each suggestion has the expected properties plus status: 'PENDING_VALIDATION'
@@ -1749,6 +1965,24 @@ describe('getPagesWithIssues', () => {
     });
   });
 
+  it('should include the sitemap and page issues', () => {
+    const auditData = {
+      auditResult: {
+        details: {
+          issues: {},
+          sitemapIssues: [{ issue: SITEMAP_ISSUES.INVALID_GZIP, sitemapUrl: 'https://example.com/s.xml.gz' }],
+          pageIssues: [{ issue: SITEMAP_ISSUES.ORPHAN_PAGE, pageUrl: 'https://example.com/top' }],
+        },
+      },
+    };
+
+    expect(getPagesWithIssues(auditData)).to.deep.equal([
+      { type: 'sitemap', issue: SITEMAP_ISSUES.INVALID_GZIP, sitemapUrl: 'https://example.com/s.xml.gz' },
+      { type: 'page', issue: SITEMAP_ISSUES.ORPHAN_PAGE, pageUrl: 'https://example.com/top' },
+    ]);
+    expect(getPagesWithIssues({ auditResult: { details: null } })).to.deep.equal([]);
+  });
+
   it('should handle empty issues array', () => {
     const auditData = {
       auditResult: {
@@ -30,6 +30,8 @@ import {
   generateErrorMarkupForIssue,
   generateFirefallSuggestion,
   includeIssue,
+  getRichResultEligibility,
+  summarizeRichResultEligibility,
 } from '../../../src/structured-data/lib.js';
 import { MockContextBuilder } from '../../shared.js';
 
@@ -315,7 +317,7 @@ describe('Structured Data Libs', () => {
       const scrapeCache = new Map();
       const result = await getIssuesFromScraper(context, [{ url: 'https://example.com/product/1' }], scrapeCache);
 
-      expect(result).to.deep.equal([]);
+      expect(result).to.deep.equal({ issues: [], warnings: [], eligibility: [] });
       expect(context.log.error).to.be.calledWith('SDA: Could not find scrape for /product/1. Make sure that scrape-top-pages did run.');
     });
 
@@ -332,7 +334,7 @@ describe('Structured Data Libs', () => {
       const scrapeCache = new Map();
       const result = await getIssuesFromScraper(context, [{ url: 'https://example.com/product/1' }], scrapeCache);
 
-      expect(result).to.deep.equal([]);
+      expect(result).to.deep.equal({ issues: [], warnings: [], eligibility: [] });
       expect(context.log.error.called).to.be.false;
     });
 
@@ -383,7 +385,7 @@ describe('Structured Data Libs', () => {
       const scrapeCache = new Map();
       const result = await getIssuesFromScraper(context, [{ url: 'https://example.com/product/1' }], scrapeCache);
 
-      expect(result).to.have.lengthOf(1);
+      expect(result.issues).to.have.lengthOf(1);
     });
 
     it('deduplicates issues', async () => {
@@ -417,7 +419,42 @@ describe('Structured Data Libs', () => {
       const scrapeCache = new Map();
       const result = await getIssuesFromScraper(context, [{ url: 'https://example.com/product/1' }], scrapeCache);
 
-      expect(result).to.have.lengthOf(1);
+      expect(result.issues).to.have.lengthOf(1);
+    });
+
+    it('returns warnings and the rich result eligibility', async () => {
+      s3ClientStub.send.resolves(createS3ObjectStub({
+        scrapeResult: {
+          structuredData: {
+            jsonld: {
+              Product: [{
+                '@type': 'Product',
+                name: 'Shoe',
+                offers: { '@type': 'Offer', price: '10', priceCurrency: 'USD' },
+              }],
+            },
+            errors: [],
+          },
+        },
+      }));
+
+      const scrapeCache = new Map();
+      const result = await getIssuesFromScraper(context, [{ url: 'https://example.com/product/1' }], scrapeCache);
+
+      expect(result.issues.map((issue) => issue.severity)).to.include('ERROR');
+      expect(result.warnings).to.not.be.empty;
+      result.warnings.forEach((warning) => {
+        expect(warning.severity).to.equal('WARNING');
+        expect(warning.pageUrl).to.equal('https://example.com/product/1');
+      });
+      expect(result.eligibility).to.have.lengthOf(1);
+      expect(result.eligibility[0]).to.include({
+        pageUrl: 'https://example.com/product/1',
+        type: 'Product',
+        status: 'not-eligible',
+        errorCount: result.issues.length,
+        warningCount: result.warnings.length,
+      });
     });
 
     it('strips trailing slash from URL', async () => {
@@ -473,11 +510,134 @@ describe('Structured Data Libs', () => {
       const scrapeCache = new Map();
       const result = await mockedLib.getIssuesFromScraper(context, [{ url: 'https://example.com/product/1' }], scrapeCache);
 
-      expect(result).to.deep.equal([]);
+      expect(result.issues).to.deep.equal([]);
+      expect(result.eligibility).to.deep.equal([{
+        pageUrl: 'https://example.com/product/1',
+        type: 'BreadcrumbList',
+        status: 'eligible',
+        missingRequired: [],
+        missingRecommended: [],
+        errorCount: 0,
+        warningCount: 0,
+      }]);
       expect(context.log.error).to.be.calledWith('SDA: Failed to validate structured data for https://example.com/product/1.');
     });
   });
 
+  describe('getRichResultEligibility', () => {
+    const pageUrl = 'https://example.com/product/1';
+
+    it('reports eligible types with all required and recommended properties', () => {
+      const result = getRichResultEligibility(pageUrl, {
+        jsonld: {
+          BreadcrumbList: [{ '@type': 'BreadcrumbList', itemListElement: [{ '@type': 'ListItem' }] }],
+        },
+      }, [], []);
+
+      expect(result).to.deep.equal([{
+        pageUrl,
+        type: 'BreadcrumbList',
+        status: 'eligible',
+        missingRequired: [],
+        missingRecommended: [],
+        errorCount: 0,
+        warningCount: 0,
+      }]);
+    });
+
+    it('reports types without required properties as not eligible', () => {
+      const result = getRichResultEligibility(pageUrl, {
+        jsonld: {
+          Product: [{ '@type': 'Product', name: 'Shoe', image: [] }],
+        },
+      }, [], []);
+
+      expect(result).to.have.lengthOf(1);
+      expect(result[0].status).to.equal('not-eligible');
+      expect(result[0].missingRequired).to.deep.equal(['offers or review or aggregateRating']);
+      expect(result[0].missingRecommended).to.include.members(['image', 'description', 'offers']);
+    });
+
+    it('reports types with validator errors as not eligible', () => {
+      const result = getRichResultEligibility(pageUrl, {
+        jsonld: {
+          BreadcrumbList: [{ '@type': 'BreadcrumbList', itemListElement: [{ '@type': 'ListItem' }] }],
+        },
+      }, [{ rootType: 'BreadcrumbList', severity: 'ERROR' }], []);
+
+      expect(result[0].status).to.equal('not-eligible');
+      expect(result[0].errorCount).to.equal(1);
+    });
+
+    it('reports types with missing recommended properties or warnings as eligible with warnings', () => {
+      const result = getRichResultEligibility(pageUrl, {
+        jsonld: {
+          NewsArticle: [{ '@type': 'NewsArticle', headline: 'News' }],
+        },
+        microdata: {
+          FAQPage: [{ '@type': 'FAQPage', mainEntity: [{ '@type': 'Question' }] }],
+        },
+      }, [], [{ rootType: 'FAQPage', severity: 'WARNING' }]);
+
+      expect(result).to.deep.equal([{
+        pageUrl,
+        type: 'Article',
+        status: 'eligible-with-warnings',
+        missingRequired: [],
+        missingRecommended: ['image', 'author', 'datePublished', 'dateModified'],
+        errorCount: 0,
+        warningCount: 0,
+      }, {
+        pageUrl,
+        type: 'FAQPage',
+        status: 'eligible-with-warnings',
+        missingRequired: [],
+        missingRecommended: [],
+        errorCount: 0,
+        warningCount: 1,
+      }]);
+    });
+
+    it('combines the items of a type across data formats', () => {
+      const result = getRichResultEligibility(pageUrl, {
+        jsonld: {
+          Event: [{
+            '@type': 'Event', name: 'Concert', startDate: '2025-01-01', location: 'Basel',
+          }],
+        },
+        rdfa: {
+          Event: [{ '@type': 'Event', name: 'Festival' }],
+        },
+      }, [], []);
+
+      expect(result).to.have.lengthOf(1);
+      expect(result[0].status).to.equal('not-eligible');
+      expect(result[0].missingRequired).to.deep.equal(['startDate', 'location']);
+    });
+
+    it('ignores types without rich results and empty structured data', () => {
+      expect(getRichResultEligibility(pageUrl, {
+        jsonld: { WebSite: [{ '@type': 'WebSite' }], Recipe: [] },
+      }, [], [])).to.deep.equal([]);
+      expect(getRichResultEligibility(pageUrl, undefined, [], [])).to.deep.equal([]);
+    });
+  });
+
+  describe('summarizeRichResultEligibility', () => {
+    it('counts the rich result types per status', () => {
+      expect(summarizeRichResultEligibility([
+        { status: 'eligible' },
+        { status: 'eligible-with-warnings' },
+        { status: 'not-eligible' },
+        { status: 'not-eligible' },
+      ])).to.deep.equal({
+        eligible: 1,
+        eligibleWithWarnings: 1,
+        notEligible: 2,
+      });
+    });
+  });
+
   describe('getWrongMarkup', () => {
     let context;
 
@@ -0,0 +1,238 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinonChai from 'sinon-chai';
+import sinon from 'sinon';
+import { AzureOpenAIClient } from '@adobe/spacecat-shared-gpt-client';
+
+import {
+  getPageType,
+  getPresentSchemaTypes,
+  getMissingSchemaTypes,
+  getMissingSchemaTypeIssues,
+  MAX_DRAFTS,
+} from '../../../src/structured-data/missing-types.js';
+import { MockContextBuilder } from '../../shared.js';
+
+use(sinonChai);
+const sandbox = sinon.createSandbox();
+
+const pageTypes = [
+  { name: 'pdp | Product Detail Pages', pattern: '^/products/' },
+  { name: 'invalid', pattern: '(' },
+  { name: 'blog | Blog Posts', pattern: '^/blog/' },
+];
+
+const createScrape = (rawBody, structuredData = { jsonld: {}, errors: [] }) => ({
+  scrapeResult: { rawBody, structuredData },
+});
+
+const createCompletion = (content) => ({
+  choices: [{ finish_reason: 'stop', message: { content: JSON.stringify(content) } }],
+});
+
+describe('Structured Data Missing Types', () => {
+  describe('getPageType', () => {
+    it('returns the name of the first page type matching the path', () => {
+      expect(getPageType('https://example.com/blog/post', pageTypes)).to.equal('blog | Blog Posts');
+      expect(getPageType('https://example.com/products/shoe', pageTypes)).to.equal('pdp | Product Detail Pages');
+    });
+
+    it('returns null if no page type matches', () => {
+      expect(getPageType('https://example.com/about', pageTypes)).to.be.null;
+      expect(getPageType('https://example.com/about', undefined)).to.be.null;
+    });
+  });
+
+  describe('getPresentSchemaTypes', () => {
+    it('lists the rich result types of all data formats', () => {
+      expect(getPresentSchemaTypes({
+        jsonld: { BlogPosting: [{}] },
+        microdata: { Product: [{}] },
+        errors: [],
+      })).to.deep.equal(new Set(['Article', 'Product']));
+      expect(getPresentSchemaTypes(undefined)).to.deep.equal(new Set());
+    });
+  });
+
+  describe('getMissingSchemaTypes', () => {
+    it('recommends Product and BreadcrumbList on deep product pages', () => {
+      expect(getMissingSchemaTypes(
+        'https://example.com/products/shoe',
+        'pdp | Product Detail Pages',
+        createScrape('<h1>Shoe</h1>').scrapeResult,
+      )).to.deep.equal([
+        { type: 'Product', reason: 'Page type "pdp | Product Detail Pages" is a product page' },
+        { type: 'BreadcrumbList', reason: 'Page is 2 levels deep' },
+      ]);
+    });
+
+    it('recommends Article on blog posts and FAQPage on pages with Q&A content', () => {
+      expect(getMissingSchemaTypes(
+        'https://example.com/post',
+        'blog | Blog Posts',
+        createScrape('<h1>Post</h1><h2>Frequently Asked Questions</h2>').scrapeResult,
+      )).to.deep.equal([
+        { type: 'Article', reason: 'Page type "blog | Blog Posts" is an article page' },
+        { type: 'FAQPage', reason: 'Page has a Q&A section "Frequently Asked Questions"' },
+      ]);
+    });
+
+    it('does not recommend schema types which are present', () => {
+      expect(getMissingSchemaTypes(
+        'https://example.com/blog/post',
+        'blog | Blog Posts',
+        createScrape(undefined, {
+          jsonld: { NewsArticle: [{}] },
+          microdata: { BreadcrumbList: [{}] },
+        }).scrapeResult,
+      )).to.deep.equal([]);
+    });
+
+    it('does not recommend schema types for shallow pages without page type', () => {
+      expect(getMissingSchemaTypes('https://example.com/about', null, createScrape('<h1>About</h1>').scrapeResult))
+        .to.deep.equal([]);
+    });
+  });
+
+  describe('getMissingSchemaTypeIssues', () => {
+    let context;
+    let client;
+    let scrapeCache;
+
+    beforeEach(() => {
+      context = new MockContextBuilder()
+        .withSandbox(sandbox)
+        .withOverrides({
+          site: {
+            getId: () => 'site-id',
+            getPageTypes: () => pageTypes,
+          },
+        })
+        .build();
+      client = { fetchChatCompletion: sandbox.stub() };
+      sandbox.stub(AzureOpenAIClient, 'createFrom').returns(client);
+
+      scrapeCache = new Map([
+        ['/products/shoe', Promise.resolve(createScrape('<h1>Shoe</h1>'))],
+        ['/about', Promise.resolve(createScrape('<h1>About</h1>'))],
+        ['/missing', Promise.reject(new Error('Not found'))],
+        ['/old', Promise.resolve({ scrapeResult: { structuredData: [{ '@type': 'Product' }] } })],
+      ]);
+      // avoid unhandled rejections for promises which are awaited later
+      scrapeCache.get('/missing').catch(() => {});
+    });
+
+    afterEach(() => {
+      sandbox.restore();
+    });
+
+    it('returns an issue with a draft for each missing schema type', async () => {
+      const draft = {
+        errorDescription: 'The page has no Product markup.',
+        correctedMarkup: { '@context': 'https://schema.org', '@type': 'Product', name: 'Shoe' },
+        aiRationale: 'The page describes a shoe.',
+        confidenceScore: 0.9,
+      };
+      client.fetchChatCompletion.resolves(createCompletion(draft));
+
+      const issues = await getMissingSchemaTypeIssues(context, [
+        { url: 'https://example.com/products/shoe/', traffic: 500 },
+        { url: 'https://example.com/about', traffic: 1000 },
+        { url: 'https://example.com/missing', traffic: 10 },
+        { url: 'https://example.com/old' },
+      ], scrapeCache);
+
+      expect(issues).to.deep.equal([{
+        pageUrl: 'https://example.com/products/shoe/',
+        rootType: 'Product',
+        dataFormat: 'jsonld',
+        issueMessage: 'Missing structured data of type "Product"',
+        severity: 'ERROR',
+        reason: 'Page type "pdp | Product Detail Pages" is a product page',
+        pageType: 'pdp | Product Detail Pages',
+        traffic: 500,
+        suggestion: draft,
+        errors: [],
+      }, {
+        pageUrl: 'https://example.com/products/shoe/',
+        rootType: 'BreadcrumbList',
+        dataFormat: 'jsonld',
+        issueMessage: 'Missing structured data of type "BreadcrumbList"',
+        severity: 'ERROR',
+        reason: 'Page is 2 levels deep',
+        pageType: 'pdp | Product Detail Pages',
+        traffic: 500,
+        suggestion: draft,
+        errors: [],
+      }]);
+      expect(client.fetchChatCompletion).to.have.been.calledTwice;
+      expect(client.fetchChatCompletion.firstCall.args[0]).to.include('`Product`');
+      expect(client.fetchChatCompletion.firstCall.args[1]).to.deep.equal({ responseFormat: 'json_object' });
+    });
+
+    it('only drafts markup for the pages with the most traffic', async () => {
+      client.fetchChatCompletion.resolves(createCompletion({ confidenceScore: 0.9 }));
+      const pages = Array.from({ length: MAX_DRAFTS + 1 }, (_, index) => {
+        scrapeCache.set(`/products/${index}`, Promise.resolve(createScrape('<h1>Product</h1>')));
+        return { url: `https://example.com/products/${index}`, traffic: index };
+      });
+      context.site.getPageTypes = () => [];
+
+      const issues = await getMissingSchemaTypeIssues(context, pages, scrapeCache);
+
+      expect(issues).to.have.lengthOf(MAX_DRAFTS + 1);
+      expect(client.fetchChatCompletion.callCount).to.equal(MAX_DRAFTS);
+      expect(issues[0].suggestion).to.be.undefined;
+      expect(issues[MAX_DRAFTS].suggestion).to.deep.equal({ confidenceScore: 0.9 });
+    });
+
+    it('keeps issues without draft if the draft fails', async () => {
+      client.fetchChatCompletion.resolves(createCompletion({ confidenceScore: 0.1 }));
+
+      const issues = await getMissingSchemaTypeIssues(context, [
+        { url: 'https://example.com/products/shoe', traffic: 500 },
+      ], scrapeCache);
+
+      expect(issues).to.have.lengthOf(2);
+      expect(issues[0].suggestion).to.be.undefined;
+      expect(context.log.warn).to.have.been.calledWith(
+        'SDA: Failed to draft Product markup for https://example.com/products/shoe: Confidence score too low, skip suggestion',
+      );
+    });
+
+    it('keeps issues without draft if the LLM client cannot be created', async () => {
+      AzureOpenAIClient.createFrom.throws(new Error('Missing configuration'));
+
+      const issues = await getMissingSchemaTypeIssues(context, [
+        { url: 'https://example.com/products/shoe', traffic: 500 },
+      ], scrapeCache);
+
+      expect(issues).to.have.lengthOf(2);
+      expect(context.log.warn).to.have.been.calledWith(
+        'SDA: Failed to create the LLM client, skipping drafts for missing schema types: Missing configuration',
+      );
+    });
+
+    it('does not create the LLM client if no schema type is missing', async () => {
+      const issues = await getMissingSchemaTypeIssues(context, [
+        { url: 'https://example.com/about', traffic: 500 },
+      ], scrapeCache);
+
+      expect(issues).to.deep.equal([]);
+      expect(AzureOpenAIClient.createFrom).to.not.have.been.called;
+    });
+  });
+});
@@ -35,8 +35,9 @@ const message = {
   url: 'https://www.example.com',
 };
 
-const createPageStub = (url) => ({
+const createPageStub = (url, traffic = 100) => ({
   getUrl: () => url,
+  getTraffic: () => traffic,
 });
 
 const createS3ObjectStub = (object) => ({
@@ -73,6 +74,7 @@ describe('Structured Data Audit', () => {
         getIncludedURLs: () => ['https://example.com/product/1', 'https://example.com/product/2', 'https://example.com/product/3'],
       }),
       getDeliveryType: () => 'other',
+      getPageTypes: () => [],
       requiresValidation: true,
     };
 
@@ -201,10 +203,15 @@ describe('Structured Data Audit', () => {
           confidenceScore: 0.95,
         }),
         getId: () => 'suggestion-id',
+      }, {
+        getData: () => ({ url: 'https://example.com/product/1', tier: 'missing-type' }),
+        getId: () => 'missing-type-suggestion-id',
       }]);
 
       await runAuditAndGenerateSuggestions(context);
+      // suggestions for missing schema types come with drafted markup already
       expect(context.sqs.sendMessage).to.have.been.calledOnce;
+      expect(context.sqs.sendMessage.firstCall.args[1].data.suggestionId).to.equal('suggestion-id');
     });
   });
 
@@ -296,6 +303,7 @@ describe('Structured Data Audit', () => {
       expect(actualArgs[0].data).to.deep.equal({
           type: 'url',
           url: 'https://www.example.com',
+          schemaVersion: 0,
           errors: [
             {
               fix: '## Affected page\n * https://www.example.com\n\n## Issue Explanation\nerror suggestion 1\n\n## Corrected Structured Data\n```json\n{\n    "@type": "BreadcrumbList"\n}\n```\n\n## Rationale\nAI rationale 1\n\n_Confidence score: 95%_',
@@ -311,6 +319,134 @@ describe('Structured Data Audit', () => {
         });
     });
 
+    it('adds a separate suggestion tier for warnings and the rich results summary', async () => {
+      context.dataAccess.Opportunity.allBySiteIdAndStatus.resolves([]);
+      context.dataAccess.Opportunity.create.resolves(context.dataAccess.Opportunity);
+      context.dataAccess.Opportunity.getSuggestions.resolves([]);
+      context.dataAccess.Opportunity.getId.returns('opportunity-id');
+      context.dataAccess.Opportunity.addSuggestions.resolves({ createdItems: [] });
+
+      const summary = { eligible: 0, eligibleWithWarnings: 1, notEligible: 1 };
+      const auditData = {
+        id: 'audit-id',
+        siteId: context.site.getId(),
+        auditResult: {
+          success: true,
+          issues: [{
+            pageUrl: 'https://www.example.com/a',
+            rootType: 'Product',
+            dataFormat: 'jsonld',
+            issueMessage: 'Required attribute "image" is missing',
+            severity: 'ERROR',
+          }],
+          warnings: [{
+            pageUrl: 'https://www.example.com/a',
+            rootType: 'Product',
+            dataFormat: 'jsonld',
+            issueMessage: 'Missing field "sku" (optional)',
+            severity: 'WARNING',
+          }, {
+            pageUrl: 'https://www.example.com/a',
+            rootType: 'Product',
+            dataFormat: 'jsonld',
+            issueMessage: 'Missing field "brand" (optional)',
+            severity: 'WARNING',
+          }, {
+            pageUrl: 'https://www.example.com/b',
+            rootType: 'Article',
+            dataFormat: 'jsonld',
+            issueMessage: 'Missing field "author" (optional)',
+            severity: 'WARNING',
+          }],
+          richResults: { summary, pages: [] },
+        },
+      };
+
+      await opportunityAndSuggestions(finalUrl, auditData, context);
+
+      expect(context.dataAccess.Opportunity.create).to.have.been.calledOnce;
+      expect(context.dataAccess.Opportunity.create.firstCall.args[0].data.richResults)
+        .to.deep.equal(summary);
+
+      const suggestions = context.dataAccess.Opportunity.addSuggestions.firstCall.args[0];
+      expect(suggestions.map(({ rank, data }) => ({
+        rank, url: data.url, tier: data.tier, errorIds: data.errors.map(({ id }) => id),
+      }))).to.deep.equal([{
+        rank: 1,
+        url: 'https://www.example.com/a',
+        tier: undefined,
+        errorIds: ['product:requiredattributeimageismissing'],
+      }, {
+        rank: -1,
+        url: 'https://www.example.com/a',
+        tier: 'warning',
+        errorIds: ['product:missingfieldsku(optional)', 'product:missingfieldbrand(optional)'],
+      }, {
+        rank: -1,
+        url: 'https://www.example.com/b',
+        tier: 'warning',
+        errorIds: ['article:missingfieldauthor(optional)'],
+      }]);
+    });
+
+    it('adds a suggestion tier for missing schema types ranked by traffic', async () => {
+      context.dataAccess.Opportunity.allBySiteIdAndStatus.resolves([]);
+      context.dataAccess.Opportunity.create.resolves(context.dataAccess.Opportunity);
+      context.dataAccess.Opportunity.getSuggestions.resolves([]);
+      context.dataAccess.Opportunity.getId.returns('opportunity-id');
+      context.dataAccess.Opportunity.addSuggestions.resolves({ createdItems: [] });
+
+      const missingType = (pageUrl, rootType, traffic) => ({
+        pageUrl,
+        rootType,
+        dataFormat: 'jsonld',
+        issueMessage: `Missing structured data of type "${rootType}"`,
+        severity: 'ERROR',
+        traffic,
+      });
+      const auditData = {
+        id: 'audit-id',
+        siteId: context.site.getId(),
+        auditResult: {
+          success: true,
+          issues: [],
+          missingTypes: [
+            {
+              ...missingType('https://www.example.com/products/a', 'Product', 300),
+              suggestion: {
+                errorDescription: 'The page has no Product markup.',
+                correctedMarkup: { '@type': 'Product' },
+                aiRationale: 'The page describes a product.',
+                confidenceScore: 0.9,
+              },
+            },
+            missingType('https://www.example.com/products/a', 'BreadcrumbList', 300),
+            missingType('https://www.example.com/blog/b', 'Article', 700),
+          ],
+        },
+      };
+
+      await opportunityAndSuggestions(finalUrl, auditData, context);
+
+      const suggestions = context.dataAccess.Opportunity.addSuggestions.firstCall.args[0];
+      expect(suggestions.map(({ rank, data }) => ({
+        rank, url: data.url, tier: data.tier, errorIds: data.errors.map(({ id }) => id),
+      }))).to.deep.equal([{
+        rank: -1 / 302,
+        url: 'https://www.example.com/products/a',
+        tier: 'missing-type',
+        errorIds: ['product:missingstructureddataoftypeproduct', 'breadcrumblist:missingstructureddataoftypebreadcrumblist'],
+      }, {
+        rank: -1 / 702,
+        url: 'https://www.example.com/blog/b',
+        tier: 'missing-type',
+        errorIds: ['article:missingstructureddataoftypearticle'],
+      }]);
+      expect(suggestions[1].rank).to.be.greaterThan(suggestions[0].rank).and.lessThan(0);
+      expect(suggestions[0].data.errors[0].fix).to.include('## Corrected Structured Data');
+      expect(suggestions[0].data.errors[1].fix).to.include('## Issue Detected for BreadcrumbList');
+    });
+
     it('ensure unique error IDs for duplicate issues', async () => {
       const auditData = {
         siteId: context.site.getId(),
@@ -440,6 +576,23 @@ describe('Structured Data Audit', () => {
             errors: [],
           },
         ],
+        warnings: [],
+        richResults: {
+          summary: {
+            eligible: 0,
+            eligibleWithWarnings: 0,
+            notEligible: 1,
+          },
+          pages: [{
+            pageUrl: 'https://example.com/product/1',
+            type: 'BreadcrumbList',
+            status: 'not-eligible',
+            missingRequired: [],
+            missingRecommended: [],
+            errorCount: 1,
+            warningCount: 0,
+          }],
+        },
       });
     });
 
@@ -456,6 +609,15 @@ describe('Structured Data Audit', () => {
       expect(result).to.deep.equal({
         success: true,
         issues: [],
+        warnings: [],
+        richResults: {
+          summary: {
+            eligible: 0,
+            eligibleWithWarnings: 0,
+            notEligible: 0,
+          },
+          pages: [],
+        },
       });
     });
   });
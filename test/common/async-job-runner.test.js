@@ -342,4 +342,146 @@ describe('Job-based Step-Audit Tests', () => {
 
     await runner.run(messageNoToken, context);
   });
+
+  it('stores step telemetry under the job id', async () => {
+    context.env.S3_SCRAPER_BUCKET_NAME = 'scraper-bucket';
+    context.s3Client = { send: sandbox.stub().resolves({}) };
+    nock(baseURL).get('/').reply(200, 'Success');
+    const runner = new AuditBuilder()
+      .withAsyncJob()
+      .addStep('first', async () => ({ foo: 'bar' }), AUDIT_STEP_DESTINATIONS.IMPORT_WORKER)
+      .addStep('second', async () => {
+        throw new Error('boom');
+      })
+      .build();
+    const jobs = [];
+    runner.jobProvider = async () => {
+      jobs.push(createMockJob({
+        jobId: 'job-123',
+        payload: { siteId: site.getId() },
+      }));
+      return jobs[jobs.length - 1];
+    };
+
+    await runner.run({ type: 'content-audit', jobId: 'job-123' }, context);
+    await expect(runner.run({ type: 'content-audit', jobId: 'job-123', auditContext: { next: 'second' } }, context))
+      .to.be.rejectedWith('Reason: boom');
+
+    expect(jobs[0].setMetadata).to.have.been.calledOnceWith({
+      jobId: 'job-123',
+      payload: { siteId: site.getId() },
+      stepTelemetry: `s3://scraper-bucket/step-telemetry/content-audit/${site.getId()}/job-123/`,
+    });
+    expect(jobs[0].save).to.have.been.calledOnce;
+    expect(jobs[1].setMetadata).not.to.have.been.called;
+
+    const records = context.s3Client.send.args
+      .filter(([command]) => command.input.Key.startsWith('step-telemetry/'))
+      .map(([command]) => ({ Key: command.input.Key, ...JSON.parse(command.input.Body) }));
+    const summary = records.map(({ Key, outcome, payloadBytes }) => [Key, outcome, payloadBytes]);
+    expect(summary).to.deep.equal([
+      [`step-telemetry/content-audit/${site.getId()}/job-123/first-1.json`, 'success', 13],
+      [`step-telemetry/content-audit/${site.getId()}/job-123/second-1.json`, 'failed', null],
+    ]);
+  });
+
+  it('runs the job when the telemetry cannot be referenced from it', async () => {
+    context.env.S3_SCRAPER_BUCKET_NAME = 'scraper-bucket';
+    context.s3Client = { send: sandbox.stub().resolves({}) };
+    nock(baseURL).get('/').reply(200, 'Success');
+    const handler = sandbox.stub().resolves({});
+    const runner = new AuditBuilder()
+      .withAsyncJob()
+      .addStep('first', handler)
+      .build();
+    const job = createMockJob({ jobId: 'job-123', payload: { siteId: site.getId() } });
+    job.save = sandbox.stub().rejects(new Error('conflict'));
+    runner.jobProvider = async () => job;
+
+    await runner.run({ type: 'content-audit', jobId: 'job-123' }, context);
+
+    expect(handler).to.have.been.calledOnce;
+    expect(context.log.warn).to.have.been.calledWith(
+      'Failed to reference the step telemetry from content-audit job job-123: conflict',
+    );
+  });
+
+  it('does not claim a job step whose setup fails, so a redelivery runs it', async () => {
+    context.env.S3_SCRAPER_BUCKET_NAME = 'scraper-bucket';
+    context.s3Client = { send: sandbox.stub().resolves({}) };
+    const first = sandbox.stub().resolves({});
+    const runner = new AuditBuilder()
+      .withAsyncJob()
+      .withUrlResolver(async () => {
+        throw new Error('URL unavailable');
+      })
+      .addStep('first', first)
+      .build();
+    runner.jobProvider = async () => createMockJob({
+      jobId: 'job-123',
+      payload: { siteId: site.getId() },
+    });
+
+    await expect(runner.run({ type: 'content-audit', jobId: 'job-123' }, context))
+      .to.be.rejectedWith('Reason: URL unavailable');
+
+    expect(first).not.to.have.been.called;
+    expect(context.s3Client.send).not.to.have.been.called;
+  });
+
+  it('short-circuits duplicate deliveries of a job step', async () => {
+    context.env.S3_SCRAPER_BUCKET_NAME = 'scraper-bucket';
+    context.s3Client = { send: sandbox.stub() };
+    context.s3Client.send.onFirstCall().rejects(Object.assign(new Error('precondition'), {
+      $metadata: { httpStatusCode: 412 },
+    }));
+    context.s3Client.send.onSecondCall().resolves({
+      Body: {
+        transformToString: async () => JSON.stringify({
+          status: 'in-progress', claimedAt: mockDate,
+        }),
+      },
+    });
+    const first = sandbox.stub().resolves({});
+    const runner = new AuditBuilder()
+      .withAsyncJob()
+      .addStep('first', first, AUDIT_STEP_DESTINATIONS.IMPORT_WORKER)
+      .addStep('second', async () => ({}))
+      .build();
+    runner.jobProvider = async () => createMockJob({
+      jobId: 'job-123',
+      payload: { siteId: site.getId() },
+    });
+
+    const response = await runner.run({ type: 'content-audit', jobId: 'job-123' }, context);
+
+    expect(response.status).to.equal(200);
+    expect(first).not.to.have.been.called;
+    expect(context.s3Client.send.firstCall.args[0].input.Key)
+      .to.equal('step-idempotency/content-audit/job-123/first-1.json');
+  });
+
+  it('deletes the claims of the job once its last step has run', async () => {
+    context.env.S3_SCRAPER_BUCKET_NAME = 'scraper-bucket';
+    context.s3Client = { send: sandbox.stub().resolves({}) };
+    const runner = new AuditBuilder()
+      .withAsyncJob()
+      .addStep('first', async () => ({}), AUDIT_STEP_DESTINATIONS.IMPORT_WORKER)
+      .addStep('second', async () => ({}))
+      .build();
+    runner.jobProvider = async () => createMockJob({
+      jobId: 'job-123',
+      payload: { siteId: site.getId() },
+    });
+
+    await runner.run({ type: 'content-audit', jobId: 'job-123', auditContext: { next: 'second' } }, context);
+
+    const claims = context.s3Client.send.args
+      .map(([command]) => [command.constructor.name, command.input.Key || command.input.Prefix])
+      .filter(([, key]) => key.startsWith('step-idempotency/'));
+    expect(claims).to.deep.equal([
+      ['PutObjectCommand', 'step-idempotency/content-audit/job-123/second-1.json'],
+      ['ListObjectsV2Command', 'step-idempotency/content-audit/job-123/'],
+    ]);
+  });
 });
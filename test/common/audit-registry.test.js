@@ -0,0 +1,127 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect } from 'chai';
+import { Audit as AuditModel } from '@adobe/spacecat-shared-data-access';
+import { AuditBuilder } from '../../src/common/audit-builder.js';
+import { createAuditRegistry, LIST_AUDITS_TYPE } from '../../src/common/audit-registry.js';
+import { BASE_SCHEMA, getJsonSchema } from '../../src/common/audit-schemas.js';
+import { noopUrlResolver } from '../../src/common/index.js';
+import manifests from '../../src/manifests.js';
+
+const { AUDIT_STEP_DESTINATIONS } = AuditModel;
+
+describe('audit registry', () => {
+  const handler = async () => ({ status: 200 });
+
+  it('registers types and aliases and builds the catalog', async () => {
+    const stepAudit = new AuditBuilder()
+      .withUrlResolver(noopUrlResolver)
+      .addStep('import', async () => ({}), AUDIT_STEP_DESTINATIONS.IMPORT_WORKER)
+      .addStep('process', async () => ({}))
+      .build();
+    const runnerAudit = new AuditBuilder()
+      .withRunner(async () => ({ auditResult: {}, fullAuditRef: '' }))
+      .build();
+    const asyncJob = new AuditBuilder().withAsyncJob().addStep('only', async () => ({})).build();
+
+    const { handlers, catalog } = createAuditRegistry([
+      {
+        module: 'demo',
+        handlers: [
+          {
+            type: 'demo',
+            handler: stepAudit,
+            aliases: ['demo-free'],
+            requiredSiteConfig: ['fetchConfig'],
+            productCodes: ['ASO'],
+            schedule: 'weekly',
+          },
+          { type: 'demo-runner', handler: runnerAudit },
+          { type: 'demo-job', handler: asyncJob },
+          { type: 'guidance:demo', handler },
+          { type: 'custom:demo', handler, kind: 'detect' },
+        ],
+      },
+    ]);
+
+    expect(handlers.demo).to.equal(stepAudit);
+    expect(handlers['demo-free']).to.equal(stepAudit);
+    expect(catalog[0]).to.deep.equal({
+      type: 'demo',
+      module: 'demo',
+      kind: 'audit',
+      aliases: ['demo-free'],
+      requiredSiteConfig: ['fetchConfig'],
+      productCodes: ['ASO'],
+      schedule: 'weekly',
+      schema: getJsonSchema('demo'),
+      runsAs: 'steps',
+      steps: [
+        { name: 'import', destination: AUDIT_STEP_DESTINATIONS.IMPORT_WORKER },
+        { name: 'process', destination: null },
+      ],
+    });
+    expect(catalog.slice(1).map(({ type, kind, runsAs }) => [type, kind, runsAs])).to.deep.equal([
+      ['demo-runner', 'audit', 'runner'],
+      ['demo-job', 'audit', 'async-job'],
+      ['guidance:demo', 'guidance', 'function'],
+      ['custom:demo', 'detect', 'function'],
+    ]);
+
+    const response = await handlers[LIST_AUDITS_TYPE]({ type: LIST_AUDITS_TYPE }, {});
+    expect(response.status).to.equal(200);
+    expect((await response.json()).audits).to.have.length(5);
+  });
+
+  it('rejects duplicate types and aliases', () => {
+    expect(() => createAuditRegistry([
+      { module: 'a', handlers: [{ type: 'demo', handler }] },
+      { module: 'b', handlers: [{ type: 'other', handler, aliases: ['demo'] }] },
+    ])).to.throw('Duplicate audit type demo in manifests a and b');
+    expect(() => createAuditRegistry([
+      { module: 'a', handlers: [{ type: LIST_AUDITS_TYPE, handler }] },
+    ])).to.throw(`Duplicate audit type ${LIST_AUDITS_TYPE} in manifests a and audit-registry`);
+  });
+
+  it('rejects invalid manifests', () => {
+    const withEntry = (entry) => () => createAuditRegistry([{ module: 'a', handlers: [entry] }]);
+
+    expect(() => createAuditRegistry([null])).to.throw('Invalid audit manifest: null');
+    expect(() => createAuditRegistry([{ module: 'a', handlers: [] }]))
+      .to.throw('Invalid audit manifest: a');
+    expect(withEntry({ handler })).to.throw('manifest a: every handler needs a type');
+    expect(withEntry({ type: 'demo' })).to.throw('manifest a: demo has no handler');
+    expect(withEntry({ type: 'demo', handler, aliases: 'demo-free' }))
+      .to.throw('manifest a: demo aliases must be a list of strings');
+    expect(withEntry({ type: 'demo', handler, kind: 'unknown' }))
+      .to.throw('manifest a: demo has unknown kind unknown');
+    expect(withEntry({ type: 'demo', handler, schedule: 'hourly' }))
+      .to.throw('manifest a: demo has unknown schedule hourly');
+  });
+
+  it('registers all audit module manifests without conflicts', () => {
+    const { handlers, catalog } = createAuditRegistry(manifests);
+
+    expect(handlers['geo-brand-presence-free-23']).to.equal(handlers['geo-brand-presence']);
+    expect(catalog.find(({ type }) => type === 'guidance:metatags').kind).to.equal('guidance');
+    expect(catalog.find(({ type }) => type === 'sitemap').schema.version).to.be.a('number');
+    expect(catalog.find(({ type }) => type === 'cwv').schema.version).to.equal(BASE_SCHEMA.version);
+    expect(catalog.find(({ type }) => type === 'geo-brand-presence')).to.deep.include({
+      requiredSiteConfig: ['llmo'],
+      productCodes: ['LLMO'],
+      schedule: 'weekly',
+    });
+  });
+});
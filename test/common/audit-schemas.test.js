@@ -0,0 +1,201 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { AuditBuilder } from '../../src/common/audit-builder.js';
+import {
+  AUDIT_SCHEMAS,
+  BASE_SCHEMA,
+  getJsonSchema,
+  SchemaValidationError,
+  validateAuditResult,
+  validateSuggestionData,
+} from '../../src/common/audit-schemas.js';
+
+use(sinonChai);
+use(chaiAsPromised);
+
+describe('audit schemas', () => {
+  const catchError = (fn) => {
+    try {
+      fn();
+    } catch (e) {
+      return e;
+    }
+    return null;
+  };
+
+  it('declares a version for every schema', () => {
+    Object.values(AUDIT_SCHEMAS).forEach((schema) => {
+      expect(schema.version).to.be.a('number');
+      expect(schema.auditResult.safeParse).to.be.a('function');
+      expect(schema.suggestionData.safeParse).to.be.a('function');
+    });
+  });
+
+  describe('getJsonSchema', () => {
+    it('converts the schemas of an audit type to JSON Schema', () => {
+      const { version, auditResult, suggestionData } = getJsonSchema('canonical');
+
+      expect(version).to.equal(AUDIT_SCHEMAS.canonical.version);
+      expect(auditResult.anyOf).to.have.length(2);
+      expect(suggestionData).to.deep.include({ type: 'object' });
+      expect(suggestionData.required).to.deep.equal(['type', 'url', 'checkType']);
+    });
+
+    it('converts the base schema for audit types without a schema', () => {
+      const { version, auditResult, suggestionData } = getJsonSchema('cwv');
+
+      expect(version).to.equal(BASE_SCHEMA.version);
+      expect(auditResult.anyOf[0].anyOf.map(({ type }) => type)).to.deep.equal(['object', 'array']);
+      expect(auditResult.anyOf[1]).to.deep.equal({ type: 'null' });
+      expect(suggestionData).to.deep.include({ type: 'object' });
+    });
+  });
+
+  describe('validateAuditResult', () => {
+    it('stamps the schema version on valid object results', () => {
+      const auditResult = { success: true, reasons: [{ value: 'ok' }], details: { issues: {} } };
+
+      expect(validateAuditResult('sitemap', auditResult)).to.deep.equal({
+        ...auditResult, schemaVersion: 2,
+      });
+      expect(auditResult).not.to.have.property('schemaVersion');
+    });
+
+    it('returns valid array results as they are', () => {
+      const canonicalResult = [{
+        type: 'canonical-tag-missing',
+        explanation: 'missing',
+        affectedUrls: [{ url: 'https://example.com', suggestion: 'add one' }],
+      }];
+      const otherResult = [{ anything: true }];
+
+      expect(validateAuditResult('canonical', canonicalResult)).to.equal(canonicalResult);
+      expect(validateAuditResult('cwv', otherResult)).to.equal(otherResult);
+    });
+
+    it('checks results of audit types without a schema against the base schema', () => {
+      expect(validateAuditResult('cwv', { anything: true })).to.deep.equal({
+        anything: true, schemaVersion: BASE_SCHEMA.version,
+      });
+      expect(validateAuditResult('cwv', undefined)).to.be.undefined;
+      expect(() => validateAuditResult('cwv', 'oops'))
+        .to.throw(SchemaValidationError, 'cwv audit result does not match its schema');
+    });
+
+    it('accepts every shape of the hreflang result', () => {
+      [
+        { status: 'success', message: 'No hreflang issues detected' },
+        { check: 'hreflang-top-pages', success: false, explanation: 'no top pages' },
+        { error: 'Audit failed with error: boom', success: false },
+        { 'hreflang-missing-x-default': { success: false, explanation: 'x', urls: ['https://a.b'] } },
+      ].forEach((auditResult) => {
+        expect(validateAuditResult('hreflang', auditResult).schemaVersion).to.equal(1);
+      });
+    });
+
+    it('lists the offending paths of the closest union alternative', () => {
+      const error = catchError(() => validateAuditResult('canonical', [{
+        type: 'canonical-tag-missing',
+        explanation: 'missing',
+        affectedUrls: [{ url: 42 }],
+      }]));
+
+      expect(error).to.be.instanceOf(SchemaValidationError);
+      expect(error.paths).to.deep.equal([
+        'auditResult[0].affectedUrls[0].url: Invalid input: expected string, received number',
+        'auditResult[0].affectedUrls[0].suggestion: Invalid input: expected string, received undefined',
+      ]);
+      expect(error.message).to.equal(`canonical audit result does not match its schema:\n${error.paths.join('\n')}`);
+    });
+
+    it('picks a later alternative when it gets further into the value', () => {
+      const error = catchError(() => validateAuditResult('canonical', { status: 42 }));
+
+      expect(error.paths).to.deep.equal(['auditResult.status: Invalid input: expected string, received number']);
+    });
+
+    it('reports the first alternative when none gets further into the value', () => {
+      const error = catchError(() => validateAuditResult('canonical', 'oops'));
+
+      expect(error.paths).to.deep.equal(['auditResult: Invalid input: expected array, received string']);
+    });
+  });
+
+  describe('validateSuggestionData', () => {
+    it('stamps the schema version on valid data', () => {
+      const data = {
+        type: 'url', url: 'https://example.com', checkType: 'hreflang-missing-x-default',
+      };
+
+      expect(validateSuggestionData('hreflang', data)).to.deep.equal({ ...data, schemaVersion: 1 });
+      expect(validateSuggestionData('generic-opportunity', data)).to.deep.equal({
+        ...data, schemaVersion: BASE_SCHEMA.version,
+      });
+    });
+
+    it('rejects invalid data', () => {
+      expect(() => validateSuggestionData('canonical', { type: 'url', url: 'https://example.com' }))
+        .to.throw(SchemaValidationError, 'data.checkType: Invalid input: expected string, received undefined');
+      expect(() => validateSuggestionData('sitemap', { type: 'unknown' }))
+        .to.throw(SchemaValidationError, 'data.type: Invalid input');
+    });
+  });
+
+  describe('processAuditResult', () => {
+    const site = {
+      getId: () => 'site-id',
+      getIsLive: () => true,
+      getBaseURL: () => 'https://example.com',
+    };
+    let persister;
+    let audit;
+
+    beforeEach(() => {
+      persister = sinon.stub().resolves({ getId: () => 'audit-id' });
+      audit = new AuditBuilder()
+        .withRunner(async () => ({}))
+        .withPersister(persister)
+        .build();
+    });
+
+    it('persists the validated and stamped audit result', async () => {
+      const auditResult = { success: false, reasons: [{ error: 'NO SITEMAP' }] };
+
+      await audit.processAuditResult(
+        { auditResult, fullAuditRef: 'https://example.com' },
+        { type: 'sitemap', site },
+        { log: { info: sinon.stub(), debug: sinon.stub() } },
+      );
+
+      expect(persister.firstCall.args[0].auditResult).to.deep.equal({
+        ...auditResult, schemaVersion: 2,
+      });
+    });
+
+    it('does not persist invalid audit results', async () => {
+      await expect(audit.processAuditResult(
+        { auditResult: { success: 'yes', reasons: [] }, fullAuditRef: 'https://example.com' },
+        { type: 'sitemap', site },
+        { log: { info: sinon.stub(), debug: sinon.stub() } },
+      )).to.be.rejectedWith('sitemap audit result does not match its schema:\nauditResult.success: Invalid input: expected boolean, received string');
+
+      expect(persister).not.to.have.been.called;
+    });
+  });
+});
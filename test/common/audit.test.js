@@ -250,7 +250,7 @@ describe('Audit tests', () => {
         isLive: site.getIsLive(),
         auditedAt: mockDate,
         auditType: message.type,
-        auditResult: { metric: 42 },
+        auditResult: { metric: 42, schemaVersion: 0 },
         fullAuditRef,
         invocationId: 'some-id',
       };
@@ -361,7 +361,7 @@ describe('Audit tests', () => {
       isLive: site.getIsLive(),
       auditedAt: mockDate,
       auditType: message.type,
-      auditResult: { metric: 42 },
+      auditResult: { metric: 42, schemaVersion: 0 },
       fullAuditRef,
       invocationId: 'some-id',
     });
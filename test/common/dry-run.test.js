@@ -0,0 +1,499 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { Audit as AuditModel } from '@adobe/spacecat-shared-data-access';
+import { ScrapeClient } from '@adobe/spacecat-shared-scrape-client';
+import { TierClient } from '@adobe/spacecat-shared-tier-client';
+import { AuditBuilder } from '../../src/common/audit-builder.js';
+import { noopUrlResolver } from '../../src/common/index.js';
+import { convertToOpportunity } from '../../src/common/opportunity.js';
+import {
+  createDryRunAudit,
+  createDryRunDiff,
+  createDryRunOpportunity,
+  createDryRunSuggestion,
+  DRY_RUN_AUDIT_ID,
+  DRY_RUN_OPPORTUNITY_ID,
+  DRY_RUN_SUGGESTION_ID,
+  isDryRun,
+  startDryRun,
+} from '../../src/common/dry-run.js';
+import { syncSuggestions } from '../../src/utils/data-access.js';
+import { MockContextBuilder } from '../shared.js';
+
+use(sinonChai);
+
+const { AUDIT_STEP_DESTINATIONS } = AuditModel;
+
+describe('Dry-run mode', () => {
+  const sandbox = sinon.createSandbox();
+  const siteId = '42322ae6-b8b1-4a61-9c88-25205fa65b07';
+  const baseURL = 'https://space.cat';
+
+  let context;
+
+  beforeEach(() => {
+    context = new MockContextBuilder().withSandbox(sandbox).build();
+    context.env = {
+      CONTENT_SCRAPER_QUEUE_URL: 'https://space.cat/content-scraper',
+      IMPORT_WORKER_QUEUE_URL: 'https://space.cat/import-worker',
+      AUDIT_JOBS_QUEUE_URL: 'https://space.cat/audit-jobs',
+    };
+    context.dataAccess.Site.findById.resolves({
+      getId: () => siteId,
+      getBaseURL: () => baseURL,
+      getIsLive: () => true,
+    });
+    context.dataAccess.Configuration.findLatest.resolves({
+      isHandlerEnabledForSite: () => true,
+      getHandlers: () => ({ 'dry-audit': { productCodes: ['ASO'] } }),
+    });
+    sandbox.stub(TierClient, 'createForSite').returns({
+      checkValidEntitlement: sandbox.stub().resolves({ entitlement: true }),
+    });
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('helpers', () => {
+    it('detects a dry run from the context', () => {
+      expect(isDryRun({ dryRun: createDryRunDiff() })).to.be.true;
+      expect(isDryRun({})).to.be.false;
+      expect(isDryRun(undefined)).to.be.false;
+    });
+
+    it('creates a read-only audit stand-in', () => {
+      const audit = createDryRunAudit({
+        siteId,
+        auditType: 'dry-audit',
+        auditResult: { a: 1 },
+        fullAuditRef: baseURL,
+        auditedAt: 'now',
+        isLive: true,
+        invocationId: 'inv',
+      });
+
+      expect(audit.getId()).to.equal(DRY_RUN_AUDIT_ID);
+      expect(audit.getSiteId()).to.equal(siteId);
+      expect(audit.getAuditType()).to.equal('dry-audit');
+      expect(audit.getAuditResult()).to.deep.equal({ a: 1 });
+      expect(audit.getFullAuditRef()).to.equal(baseURL);
+      expect(audit.getAuditedAt()).to.equal('now');
+      expect(audit.getIsLive()).to.be.true;
+      expect(audit.getInvocationId()).to.equal('inv');
+    });
+
+    it('creates an opportunity stand-in recording added suggestions', async () => {
+      context.dryRun = createDryRunDiff();
+      const opportunity = createDryRunOpportunity({
+        siteId,
+        auditId: 'a',
+        type: 'dry-audit',
+        origin: 'AUTOMATION',
+        title: 't',
+        description: 'd',
+        runbook: 'r',
+        guidance: {},
+        tags: ['x'],
+        data: { a: 1 },
+        status: 'NEW',
+      }, context);
+
+      opportunity.setAuditId('b');
+      opportunity.setData({ b: 2 });
+      opportunity.setGuidance({ steps: [] });
+      opportunity.setStatus('RESOLVED');
+      opportunity.setUpdatedBy('system');
+
+      expect(opportunity.getId()).to.equal(DRY_RUN_OPPORTUNITY_ID);
+      expect(opportunity.getSiteId()).to.equal(siteId);
+      expect(opportunity.getAuditId()).to.equal('b');
+      expect(opportunity.getType()).to.equal('dry-audit');
+      expect(opportunity.getOrigin()).to.equal('AUTOMATION');
+      expect(opportunity.getTitle()).to.equal('t');
+      expect(opportunity.getDescription()).to.equal('d');
+      expect(opportunity.getRunbook()).to.equal('r');
+      expect(opportunity.getGuidance()).to.deep.equal({ steps: [] });
+      expect(opportunity.getTags()).to.deep.equal(['x']);
+      expect(opportunity.getData()).to.deep.equal({ b: 2 });
+      expect(opportunity.getStatus()).to.equal('RESOLVED');
+      expect(await opportunity.getSuggestions()).to.deep.equal([]);
+      expect(await opportunity.save()).to.equal(opportunity);
+
+      const result = await opportunity.addSuggestions([{ type: 'T', data: { k: 1 } }]);
+      expect(result).to.deep.equal({ createdItems: [{ type: 'T', data: { k: 1 } }], errorItems: [] });
+      expect(context.dryRun.suggestions.added).to.deep.equal([
+        { opportunityId: DRY_RUN_OPPORTUNITY_ID, type: 'T', data: { k: 1 } },
+      ]);
+    });
+  });
+
+  describe('startDryRun', () => {
+    const entity = (id, data, status) => ({
+      id,
+      getId() { return this.id; },
+      getData: () => data,
+      getStatus: () => status,
+      setStatus: sandbox.stub(),
+      save: sandbox.stub().resolves(),
+      remove: sandbox.stub().resolves(),
+    });
+
+    it('creates a suggestion stand-in', async () => {
+      const suggestion = createDryRunSuggestion({
+        opportunityId: 'oppty-1', type: 'T', rank: 2, data: { k: 1 }, status: 'NEW',
+      });
+
+      expect(suggestion.getId()).to.equal(DRY_RUN_SUGGESTION_ID);
+      expect(suggestion.getOpportunityId()).to.equal('oppty-1');
+      expect(suggestion.getType()).to.equal('T');
+      expect(suggestion.getRank()).to.equal(2);
+      expect(suggestion.getData()).to.deep.equal({ k: 1 });
+      expect(suggestion.getStatus()).to.equal('NEW');
+      expect(await suggestion.save()).to.equal(suggestion);
+    });
+
+    it('records the messages sent through SQS instead of sending them', async () => {
+      const { sqs } = context;
+      sqs.queueUrls = ['queue'];
+
+      startDryRun(context);
+      await context.sqs.sendMessage('https://space.cat/queue', { type: 'x' }, 'group', 10);
+
+      expect(sqs.sendMessage).not.to.have.been.called;
+      expect(context.sqs.queueUrls).to.deep.equal(['queue']);
+      expect(context.dryRun.messages).to.deep.equal([
+        { destination: 'sqs', queueUrl: 'https://space.cat/queue', payload: { type: 'x' } },
+      ]);
+    });
+
+    it('records the opportunity writes instead of persisting them', async () => {
+      const { Opportunity } = context.dataAccess;
+      const stored = entity('oppty-1', { a: 1 }, 'NEW');
+      const storedSuggestion = entity('sugg-1', { k: 1 }, 'NEW');
+      stored.getSuggestions = sandbox.stub().resolves([storedSuggestion]);
+      stored.addSuggestions = sandbox.stub().resolves();
+      Object.assign(Opportunity, {
+        allBySiteId: sandbox.stub().resolves([stored]),
+        findById: sandbox.stub().resolves(null),
+        idName: 'opportunityId',
+        getIndexKeys: () => ['siteId'],
+      });
+
+      startDryRun(context);
+      const { dataAccess } = context;
+
+      expect(dataAccess.Opportunity.idName).to.equal('opportunityId');
+      expect(dataAccess.Opportunity.getIndexKeys()).to.deep.equal(['siteId']);
+      expect(await dataAccess.Opportunity.findById('missing')).to.be.null;
+      const created = await dataAccess.Opportunity.create({ type: 'dry-audit' });
+      expect(created.getId()).to.equal(DRY_RUN_OPPORTUNITY_ID);
+
+      const [opportunity] = await dataAccess.Opportunity.allBySiteId(siteId);
+      opportunity.setStatus('RESOLVED');
+      expect(await opportunity.save()).to.equal(opportunity);
+      await opportunity.remove();
+      const added = await opportunity.addSuggestions([{ type: 'T', data: { k: 2 } }]);
+      const [suggestion] = await opportunity.getSuggestions();
+      await suggestion.save();
+
+      expect(Opportunity.create).not.to.have.been.called;
+      expect(stored.setStatus).to.have.been.calledWith('RESOLVED');
+      expect(stored.save).not.to.have.been.called;
+      expect(stored.remove).not.to.have.been.called;
+      expect(stored.addSuggestions).not.to.have.been.called;
+      expect(storedSuggestion.save).not.to.have.been.called;
+      expect(added.createdItems[0].getId()).to.equal(DRY_RUN_SUGGESTION_ID);
+      expect(context.dryRun.opportunities).to.deep.equal({
+        created: [{ type: 'dry-audit' }],
+        updated: [{ id: 'oppty-1', data: { a: 1 }, status: 'NEW' }],
+        removed: [{ id: 'oppty-1' }],
+      });
+      expect(context.dryRun.suggestions.added).to.deep.equal([
+        { opportunityId: 'oppty-1', type: 'T', data: { k: 2 } },
+      ]);
+      expect(context.dryRun.suggestions.updated).to.deep.equal([
+        { id: 'sugg-1', data: { k: 1 }, status: 'NEW' },
+      ]);
+    });
+
+    it('records the suggestion writes instead of persisting them', async () => {
+      const { Suggestion } = context.dataAccess;
+      const stored = entity('sugg-1', { k: 1 }, 'NEW');
+      Object.assign(Suggestion, {
+        findById: sandbox.stub().resolves(stored),
+        create: sandbox.stub(),
+        createMany: sandbox.stub(),
+        bulkUpdateStatus: sandbox.stub(),
+      });
+
+      startDryRun(context);
+      const { dataAccess } = context;
+
+      const created = await dataAccess.Suggestion.create({ opportunityId: 'oppty-1', type: 'T' });
+      const { createdItems, errorItems } = await dataAccess.Suggestion.createMany([{ type: 'U' }]);
+      const suggestion = await dataAccess.Suggestion.findById('sugg-1');
+      await dataAccess.Suggestion.bulkUpdateStatus([suggestion], 'OUTDATED');
+      await suggestion.remove();
+
+      expect(created.getOpportunityId()).to.equal('oppty-1');
+      expect(createdItems).to.have.length(1);
+      expect(errorItems).to.deep.equal([]);
+      expect(Suggestion.create).not.to.have.been.called;
+      expect(Suggestion.createMany).not.to.have.been.called;
+      expect(Suggestion.bulkUpdateStatus).not.to.have.been.called;
+      expect(stored.remove).not.to.have.been.called;
+      expect(context.dryRun.suggestions).to.deep.equal({
+        added: [{ opportunityId: 'oppty-1', type: 'T' }, { type: 'U' }],
+        updated: [],
+        statusChanges: [{ id: 'sugg-1', from: 'NEW', to: 'OUTDATED' }],
+        removed: [{ id: 'sugg-1' }],
+      });
+    });
+
+    it('leaves the other collections and missing clients as they are', () => {
+      const { Site } = context.dataAccess;
+      const bare = { dataAccess: { Site } };
+
+      startDryRun(bare);
+      startDryRun({});
+
+      expect(bare.dataAccess.Site).to.equal(Site);
+      expect(bare.dataAccess.Opportunity).to.be.undefined;
+      expect(bare.sqs).to.be.undefined;
+    });
+  });
+
+  describe('audits', () => {
+    it('records the messages and opportunities a runner writes directly', async () => {
+      const { sqs, dataAccess: { Opportunity } } = context;
+      const audit = new AuditBuilder()
+        .withUrlResolver(noopUrlResolver)
+        .withRunner(async (url, runContext) => {
+          await runContext.sqs.sendMessage('https://space.cat/queue', { url });
+          await runContext.dataAccess.Opportunity.create({ type: 'dry-audit' });
+          return { auditResult: { ok: true }, fullAuditRef: baseURL };
+        })
+        .withMessageSender(sandbox.stub().resolves())
+        .build();
+
+      const diff = await (await audit.run({ type: 'dry-audit', siteId, dryRun: true }, context)).json();
+
+      expect(sqs.sendMessage).not.to.have.been.called;
+      expect(Opportunity.create).not.to.have.been.called;
+      expect(diff.messages[0]).to.deep.equal({ destination: 'sqs', queueUrl: 'https://space.cat/queue', payload: { url: baseURL } });
+      expect(diff.opportunities.created).to.deep.equal([{ type: 'dry-audit' }]);
+    });
+
+    it('records the audit and result message of a runner audit instead of persisting them', async () => {
+      const messageSender = sandbox.stub().resolves();
+      const postProcessor = sandbox.stub().resolves();
+      const audit = new AuditBuilder()
+        .withUrlResolver(noopUrlResolver)
+        .withRunner(async () => ({ auditResult: { ok: true }, fullAuditRef: baseURL }))
+        .withMessageSender(messageSender)
+        .withPostProcessors([postProcessor])
+        .build();
+
+      const response = await audit.run({ type: 'dry-audit', siteId, dryRun: true }, context);
+      const diff = await response.json();
+
+      expect(context.dataAccess.Audit.create).not.to.have.been.called;
+      expect(messageSender).not.to.have.been.called;
+      expect(postProcessor).to.have.been.calledOnce;
+      expect(postProcessor.firstCall.args[1].id).to.equal(DRY_RUN_AUDIT_ID);
+      expect(diff.audit).to.deep.include({ siteId, auditType: 'dry-audit', auditResult: { ok: true, schemaVersion: 0 } });
+      expect(diff.messages).to.have.length(1);
+      expect(diff.messages[0].destination).to.equal('message-sender');
+      expect(diff.messages[0].payload.auditContext.auditId).to.equal(DRY_RUN_AUDIT_ID);
+    });
+
+    it('records continuation messages of a step audit instead of sending them', async () => {
+      const audit = new AuditBuilder()
+        .withUrlResolver(noopUrlResolver)
+        .addStep('import', async () => ({
+          auditResult: { status: 'importing' },
+          fullAuditRef: baseURL,
+          type: 'top-pages',
+          siteId,
+        }), AUDIT_STEP_DESTINATIONS.IMPORT_WORKER)
+        .addStep('final', async () => ({}))
+        .build();
+
+      const { sendMessage } = context.sqs;
+      const response = await audit.run({ type: 'dry-audit', siteId, dryRun: true }, context);
+      const diff = await response.json();
+
+      expect(context.dataAccess.Audit.create).not.to.have.been.called;
+      expect(sendMessage).not.to.have.been.called;
+      expect(diff.scrapeJobs).to.deep.equal([]);
+      expect(diff.messages).to.have.length(2);
+      expect(diff.messages[1]).to.deep.include({
+        destination: AUDIT_STEP_DESTINATIONS.IMPORT_WORKER,
+        queueUrl: 'https://space.cat/import-worker',
+      });
+      expect(diff.messages[1].payload.auditContext).to.deep.include({
+        next: 'final', auditId: DRY_RUN_AUDIT_ID, auditType: 'dry-audit',
+      });
+    });
+
+    it('records scrape jobs of a step audit instead of creating them', async () => {
+      const createFrom = sandbox.stub(ScrapeClient, 'createFrom');
+      const audit = new AuditBuilder()
+        .withUrlResolver(noopUrlResolver)
+        .addStep('scrape', async () => ({
+          auditResult: {},
+          fullAuditRef: baseURL,
+          urls: [{ url: baseURL }],
+          siteId,
+        }), AUDIT_STEP_DESTINATIONS.SCRAPE_CLIENT)
+        .addStep('final', async () => ({}))
+        .build();
+
+      const response = await audit.run({ type: 'dry-audit', siteId, dryRun: true }, context);
+      const diff = await response.json();
+
+      expect(createFrom).not.to.have.been.called;
+      expect(diff.scrapeJobs).to.have.length(1);
+      expect(diff.scrapeJobs[0].urls).to.deep.equal([baseURL]);
+    });
+
+    it('runs normally without the dryRun flag', async () => {
+      context.dataAccess.Audit.create.resolves({
+        getId: () => '109b71f7-2005-454e-8191-8e92e05daac2',
+        getAuditType: () => 'dry-audit',
+        getFullAuditRef: () => baseURL,
+      });
+      const audit = new AuditBuilder()
+        .withUrlResolver(noopUrlResolver)
+        .addStep('only', async () => ({ auditResult: {}, fullAuditRef: baseURL }))
+        .build();
+
+      const response = await audit.run({ type: 'dry-audit', siteId }, context);
+
+      expect(response.status).to.equal(200);
+      expect(context.dryRun).to.be.undefined;
+      expect(context.dataAccess.Audit.create).to.have.been.calledOnce;
+    });
+  });
+
+  describe('convertToOpportunity', () => {
+    const createOpportunityData = () => ({
+      runbook: 'r',
+      origin: 'AUTOMATION',
+      title: 'title',
+      description: 'desc',
+      tags: [],
+      data: { dataSources: ['Site'] },
+    });
+
+    beforeEach(() => {
+      context.dryRun = createDryRunDiff();
+    });
+
+    it('records a new opportunity instead of creating it', async () => {
+      context.dataAccess.Opportunity.allBySiteIdAndStatus.resolves([]);
+
+      const opportunity = await convertToOpportunity(baseURL, { siteId, id: 'audit-id' }, context, createOpportunityData, 'dry-audit');
+
+      expect(context.dataAccess.Opportunity.create).not.to.have.been.called;
+      expect(opportunity.getId()).to.equal(DRY_RUN_OPPORTUNITY_ID);
+      expect(context.dryRun.opportunities.created).to.have.length(1);
+      expect(context.dryRun.opportunities.created[0]).to.deep.include({ siteId, auditId: 'audit-id', type: 'dry-audit' });
+    });
+
+    it('records an opportunity update without saving it', async () => {
+      const existing = {
+        getId: () => 'oppty-1',
+        getType: () => 'dry-audit',
+        getData: () => ({ previous: true }),
+        setAuditId: sandbox.stub(),
+        setData: sandbox.stub(),
+        setUpdatedBy: sandbox.stub(),
+        save: sandbox.stub(),
+      };
+      context.dataAccess.Opportunity.allBySiteIdAndStatus.resolves([existing]);
+
+      const opportunity = await convertToOpportunity(baseURL, { siteId, id: 'audit-id' }, context, createOpportunityData, 'dry-audit');
+
+      expect(opportunity).to.equal(existing);
+      expect(existing.setData).not.to.have.been.called;
+      expect(existing.save).not.to.have.been.called;
+      expect(context.dryRun.opportunities.updated).to.deep.equal([{
+        id: 'oppty-1',
+        type: 'dry-audit',
+        auditId: 'audit-id',
+        data: { previous: true, dataSources: ['Site'] },
+      }]);
+    });
+  });
+
+  describe('syncSuggestions', () => {
+    const buildKey = (data) => data.key;
+    const mapNewSuggestion = (data) => ({ type: 'T', rank: 1, data });
+    const suggestion = (id, key, status) => ({
+      getId: () => id,
+      getData: () => ({ key }),
+      getStatus: () => status,
+      setData: sandbox.stub(),
+      setStatus: sandbox.stub(),
+      setUpdatedBy: sandbox.stub(),
+      save: sandbox.stub(),
+    });
+
+    it('records suggestion adds, updates and status changes instead of writing them', async () => {
+      context.dryRun = createDryRunDiff();
+      context.dataAccess.Suggestion.bulkUpdateStatus = sandbox.stub();
+      const kept = suggestion('s1', 'kept', 'NEW');
+      const regressed = suggestion('s2', 'regressed', 'OUTDATED');
+      const gone = suggestion('s3', 'gone', 'NEW');
+      const opportunity = {
+        getId: () => 'oppty-1',
+        getSuggestions: sandbox.stub().resolves([kept, regressed, gone]),
+        addSuggestions: sandbox.stub(),
+      };
+
+      await syncSuggestions({
+        context,
+        opportunity,
+        newData: [{ key: 'kept', v: 2 }, { key: 'regressed' }, { key: 'new' }],
+        buildKey,
+        mapNewSuggestion,
+      });
+
+      expect(context.dataAccess.Suggestion.bulkUpdateStatus).not.to.have.been.called;
+      expect(opportunity.addSuggestions).not.to.have.been.called;
+      [kept, regressed, gone].forEach((s) => {
+        expect(s.setData).not.to.have.been.called;
+        expect(s.save).not.to.have.been.called;
+      });
+      expect(context.dryRun.suggestions.updated).to.deep.equal([
+        { id: 's1', data: { key: 'kept', v: 2, schemaVersion: 0 } },
+        { id: 's2', data: { key: 'regressed', schemaVersion: 0 } },
+      ]);
+      expect(context.dryRun.suggestions.statusChanges).to.deep.equal([
+        { id: 's3', from: 'NEW', to: 'OUTDATED' },
+        { id: 's2', from: 'OUTDATED', to: 'NEW' },
+      ]);
+      expect(context.dryRun.suggestions.added).to.deep.equal([{
+        opportunityId: 'oppty-1', type: 'T', rank: 1, data: { key: 'new', schemaVersion: 0 }, status: 'NEW',
+      }]);
+    });
+  });
+});
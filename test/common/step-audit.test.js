@@ -21,6 +21,7 @@ import sinonChai from 'sinon-chai';
 import chaiAsPromised from 'chai-as-promised';
 import nock from 'nock';
 import { AuditBuilder } from '../../src/common/audit-builder.js';
+import { noopUrlResolver } from '../../src/common/index.js';
 import { MockContextBuilder } from '../shared.js';
 
 use(sinonChai);
@@ -185,7 +186,7 @@ describe('Step-based Audit Tests', () => {
         isLive: true,
         auditedAt: mockDate,
         auditType: 'content-audit',
-        auditResult: { status: 'preparing' },
+        auditResult: { status: 'preparing', schemaVersion: 0 },
         fullAuditRef: 's3://test/123',
         invocationId: 'some-id',
       });
@@ -1178,4 +1179,479 @@ describe('Step-based Audit Tests', () => {
       expect(infoLog).to.include('Blocked URLs: [none]');
     });
   });
+
+  describe('Step Retries', () => {
+    const siteId = '42322ae6-b8b1-4a61-9c88-25205fa65b07';
+    const auditId = '109b71f7-2005-454e-8191-8e92e05daac2';
+    let processStep;
+
+    beforeEach(() => {
+      processStep = sandbox.stub().rejects(new Error('throttled'));
+      audit = new AuditBuilder()
+        .withUrlResolver(noopUrlResolver)
+        .addStep('prepare', async () => ({
+          auditResult: { status: 'preparing' },
+          fullAuditRef: 's3://test/123',
+          urls: [{ url: baseURL }],
+          siteId,
+        }), AUDIT_STEP_DESTINATIONS.CONTENT_SCRAPER)
+        .addStep('process', processStep, null, {
+          retry: {
+            maxAttempts: 3,
+            delaySeconds: 10,
+            isRetryable: (e) => e.message === 'throttled',
+          },
+        })
+        .build();
+    });
+
+    const existingAudit = () => ({
+      getId: () => auditId,
+      getAuditType: () => 'content-audit',
+      getFullAuditRef: () => 's3://test/123',
+      getAuditResult: () => ({ status: 'preparing' }),
+      setAuditResult: sandbox.stub(),
+      save: sandbox.stub().resolves(),
+    });
+
+    const processMessage = (retry) => ({
+      type: 'content-audit',
+      siteId,
+      auditContext: { next: 'process', auditId, ...(retry && { retry }) },
+    });
+
+    it('re-enqueues a failed step with the next attempt and backoff delay', async () => {
+      context.dataAccess.Audit.findById.resolves(existingAudit());
+
+      const result = await audit.run(processMessage({ step: 'process', attempt: 2 }), context);
+
+      expect(await result.json()).to.deep.equal({
+        retry: { step: 'process', attempt: 3, delaySeconds: 20 },
+      });
+      expect(context.sqs.sendMessage).to.have.been.calledOnceWith(
+        'https://space.cat/audit-jobs',
+        processMessage({ step: 'process', attempt: 3 }),
+        undefined,
+        20,
+      );
+    });
+
+    it('starts counting attempts anew for a retry marker of another step', async () => {
+      context.dataAccess.Audit.findById.resolves(existingAudit());
+
+      await audit.run(processMessage({ step: 'prepare', attempt: 3 }), context);
+
+      expect(context.sqs.sendMessage.firstCall.args[1].auditContext.retry)
+        .to.deep.equal({ step: 'process', attempt: 2 });
+      expect(context.sqs.sendMessage.firstCall.args[3]).to.equal(10);
+    });
+
+    it('marks the audit as failed once the attempts are exhausted', async () => {
+      const record = existingAudit();
+      context.dataAccess.Audit.findById.resolves(record);
+
+      await expect(audit.run(processMessage({ step: 'process', attempt: 3 }), context))
+        .to.be.rejectedWith('content-audit audit failed for site 42322ae6-b8b1-4a61-9c88-25205fa65b07 at step process. Reason: throttled');
+
+      expect(context.sqs.sendMessage).not.to.have.been.called;
+      expect(record.setAuditResult).to.have.been.calledOnceWith({
+        status: 'failed',
+        failure: {
+          step: 'process', attempts: 3, error: 'throttled', failedAt: mockDate,
+        },
+      });
+      expect(record.save).to.have.been.calledOnce;
+    });
+
+    it('does not retry errors the policy does not consider retryable', async () => {
+      const record = existingAudit();
+      context.dataAccess.Audit.findById.resolves(record);
+      processStep.rejects(new Error('bad data'));
+
+      await expect(audit.run(processMessage(), context)).to.be.rejectedWith('Reason: bad data');
+
+      expect(context.sqs.sendMessage).not.to.have.been.called;
+      expect(record.setAuditResult.firstCall.args[0].failure.attempts).to.equal(1);
+    });
+
+    it('fails right away for steps without a retry policy', async () => {
+      const failing = new AuditBuilder()
+        .withUrlResolver(noopUrlResolver)
+        .addStep('only', sandbox.stub().rejects(new Error('boom')))
+        .build();
+
+      await expect(failing.run({ type: 'content-audit', siteId }, context))
+        .to.be.rejectedWith('Reason: boom');
+
+      expect(context.sqs.sendMessage).not.to.have.been.called;
+      expect(context.dataAccess.Audit.create).not.to.have.been.called;
+    });
+
+    it('persists a failed audit when the first step fails for good', async () => {
+      const failing = new AuditBuilder()
+        .withUrlResolver(noopUrlResolver)
+        .addStep('prepare', sandbox.stub().rejects(new Error('boom')), AUDIT_STEP_DESTINATIONS.CONTENT_SCRAPER, {
+          retry: { maxAttempts: 1 },
+        })
+        .addStep('process', async () => ({}))
+        .build();
+      await expect(failing.run({ type: 'content-audit', siteId }, context))
+        .to.be.rejectedWith('Reason: boom');
+
+      expect(context.dataAccess.Audit.create).to.have.been.calledOnceWith({
+        siteId,
+        isLive: true,
+        isError: true,
+        auditedAt: mockDate,
+        auditType: 'content-audit',
+        auditResult: {
+          status: 'failed',
+          failure: {
+            step: 'prepare', attempts: 1, error: 'boom', failedAt: mockDate,
+          },
+        },
+        fullAuditRef: baseURL,
+        invocationId: context.invocation?.id,
+      });
+    });
+
+    it('logs when the failure cannot be recorded', async () => {
+      const record = existingAudit();
+      record.save.rejects(new Error('update not allowed'));
+      context.dataAccess.Audit.findById.resolves(record);
+
+      await expect(audit.run(processMessage({ step: 'process', attempt: 3 }), context))
+        .to.be.rejectedWith('Reason: throttled');
+
+      expect(context.log.error).to.have.been.calledWith(
+        'Failed to record the failure of step process for content-audit audit of site 42322ae6-b8b1-4a61-9c88-25205fa65b07: update not allowed',
+      );
+    });
+
+    it('records retries and failures in dry runs', async () => {
+      const record = existingAudit();
+      context.dataAccess.Audit.findById.resolves(record);
+      const { sendMessage } = context.sqs;
+
+      const retried = await audit.run({ ...processMessage(), dryRun: true }, context);
+      expect((await retried.json()).messages).to.deep.equal([{
+        destination: 'retry',
+        queueUrl: 'https://space.cat/audit-jobs',
+        payload: { ...processMessage({ step: 'process', attempt: 2 }), dryRun: true },
+        delaySeconds: 10,
+      }]);
+
+      const exhausted = { ...processMessage({ step: 'process', attempt: 3 }), dryRun: true };
+      await expect(audit.run(exhausted, context)).to.be.rejectedWith('Reason: throttled');
+      expect(context.dryRun.audit).to.deep.equal({
+        id: auditId,
+        auditType: 'content-audit',
+        auditResult: {
+          status: 'failed',
+          failure: {
+            step: 'process', attempts: 3, error: 'throttled', failedAt: mockDate,
+          },
+        },
+      });
+      expect(sendMessage).not.to.have.been.called;
+      expect(record.save).not.to.have.been.called;
+    });
+  });
+
+  describe('Step Telemetry', () => {
+    const siteId = '42322ae6-b8b1-4a61-9c88-25205fa65b07';
+    const auditId = '109b71f7-2005-454e-8191-8e92e05daac2';
+
+    beforeEach(() => {
+      context.env.S3_SCRAPER_BUCKET_NAME = 'scraper-bucket';
+      context.s3Client = { send: sandbox.stub().resolves({}) };
+      context.dataAccess.Audit.create.resolves({
+        getId: () => auditId,
+        getAuditType: () => 'content-audit',
+        getFullAuditRef: () => 's3://test/123',
+        getAuditResult: () => ({ status: 'preparing' }),
+        setAuditResult: sandbox.stub(),
+        save: sandbox.stub().resolves(),
+      });
+    });
+
+    const storedTelemetry = () => context.s3Client.send.args
+      .map(([command]) => command.input)
+      .filter(({ Key }) => Key.startsWith('step-telemetry/'))
+      .map(({ Key, Body }) => ({ Key, ...JSON.parse(Body) }));
+
+    it('stores the timing and outcome of a step under the audit id', async () => {
+      const telemetryAudit = new AuditBuilder()
+        .withUrlResolver(noopUrlResolver)
+        .addStep('prepare', async () => ({
+          auditResult: { status: 'preparing' },
+          fullAuditRef: 's3://test/123',
+        }), AUDIT_STEP_DESTINATIONS.IMPORT_WORKER)
+        .addStep('analyze', async () => ({}))
+        .build();
+
+      await telemetryAudit.run({ type: 'content-audit', siteId }, context);
+
+      const [record] = storedTelemetry();
+      expect(record).to.deep.include({
+        Key: `step-telemetry/content-audit/${siteId}/${auditId}/prepare-1.json`,
+        auditType: 'content-audit',
+        siteId,
+        runId: auditId,
+        step: 'prepare',
+        destination: AUDIT_STEP_DESTINATIONS.IMPORT_WORKER,
+        attempt: 1,
+        startedAt: mockDate,
+        endedAt: mockDate,
+        outcome: 'success',
+      });
+      expect(record.payloadBytes).to.be.above(0);
+      const createdAudit = await context.dataAccess.Audit.create.firstCall.returnValue;
+      expect(createdAudit.setAuditResult).to.have.been.calledOnceWith({
+        status: 'preparing',
+        stepTelemetry: `s3://scraper-bucket/step-telemetry/content-audit/${siteId}/${auditId}/`,
+      });
+      expect(createdAudit.save).to.have.been.calledOnce;
+    });
+
+    it('only references the telemetry from audit results which are objects', async () => {
+      const createdAudit = await context.dataAccess.Audit.create();
+      createdAudit.getAuditResult = () => [{ url: 'https://example.com' }];
+      context.dataAccess.Audit.create.resetHistory();
+      const telemetryAudit = new AuditBuilder()
+        .withUrlResolver(noopUrlResolver)
+        .addStep('prepare', async () => ({
+          auditResult: [{ url: 'https://example.com' }],
+          fullAuditRef: 's3://test/123',
+        }), AUDIT_STEP_DESTINATIONS.IMPORT_WORKER)
+        .addStep('analyze', async () => ({}))
+        .build();
+
+      await telemetryAudit.run({ type: 'content-audit', siteId }, context);
+
+      expect(createdAudit.setAuditResult).not.to.have.been.called;
+    });
+
+    it('does not fail the step when the telemetry cannot be referenced', async () => {
+      const createdAudit = await context.dataAccess.Audit.create();
+      createdAudit.save.rejects(new Error('conflict'));
+      const telemetryAudit = new AuditBuilder()
+        .withUrlResolver(noopUrlResolver)
+        .addStep('prepare', async () => ({
+          auditResult: { status: 'preparing' },
+          fullAuditRef: 's3://test/123',
+        }), AUDIT_STEP_DESTINATIONS.IMPORT_WORKER)
+        .addStep('analyze', async () => ({}))
+        .build();
+
+      await telemetryAudit.run({ type: 'content-audit', siteId }, context);
+
+      expect(context.log.warn).to.have.been.calledWith(
+        `Failed to reference the step telemetry from content-audit audit ${auditId}: conflict`,
+      );
+    });
+
+    it('records retried and failed steps with their attempt', async () => {
+      context.dataAccess.Audit.findById.resolves({
+        getId: () => auditId,
+        getAuditType: () => 'content-audit',
+        getFullAuditRef: () => 's3://test/123',
+        getAuditResult: () => ({}),
+        setAuditResult: sandbox.stub(),
+        save: sandbox.stub().resolves(),
+      });
+      const telemetryAudit = new AuditBuilder()
+        .withUrlResolver(noopUrlResolver)
+        .addStep('prepare', async () => ({}), AUDIT_STEP_DESTINATIONS.IMPORT_WORKER)
+        .addStep('analyze', sandbox.stub().rejects(new Error('throttled')), null, {
+          retry: { maxAttempts: 2 },
+        })
+        .build();
+      const analyzeMessage = (retry) => ({
+        type: 'content-audit',
+        siteId,
+        auditContext: { next: 'analyze', auditId, ...(retry && { retry }) },
+      });
+
+      await telemetryAudit.run(analyzeMessage(), context);
+      await expect(telemetryAudit.run(analyzeMessage({ step: 'analyze', attempt: 2 }), context))
+        .to.be.rejectedWith('Reason: throttled');
+
+      const summary = storedTelemetry().map(({ Key, outcome, error }) => [Key, outcome, error]);
+      expect(summary).to.deep.equal([
+        [`step-telemetry/content-audit/${siteId}/${auditId}/analyze-1.json`, 'retry', undefined],
+        [`step-telemetry/content-audit/${siteId}/${auditId}/analyze-2.json`, 'failed', 'throttled'],
+      ]);
+    });
+  });
+
+  describe('Step Idempotency', () => {
+    const siteId = '42322ae6-b8b1-4a61-9c88-25205fa65b07';
+    const auditId = '109b71f7-2005-454e-8191-8e92e05daac2';
+    const claimKey = `step-idempotency/content-audit/${auditId}/analyze-1.json`;
+    const message = { type: 'content-audit', siteId, auditContext: { next: 'analyze', auditId } };
+
+    let analyze;
+    let idempotentAudit;
+
+    const claimCommands = () => context.s3Client.send.args
+      .map(([command]) => [command.constructor.name, command.input])
+      .filter(([, { Key }]) => Key === claimKey);
+
+    beforeEach(() => {
+      context.env.S3_SCRAPER_BUCKET_NAME = 'scraper-bucket';
+      context.s3Client = { send: sandbox.stub().resolves({}) };
+      context.dataAccess.Audit.findById.resolves({
+        getId: () => auditId,
+        getAuditType: () => 'content-audit',
+        getFullAuditRef: () => 's3://test/123',
+      });
+      analyze = sandbox.stub().resolves({});
+      idempotentAudit = new AuditBuilder()
+        .withUrlResolver(noopUrlResolver)
+        .addStep('prepare', async () => ({}), AUDIT_STEP_DESTINATIONS.IMPORT_WORKER)
+        .addStep('analyze', analyze)
+        .build();
+    });
+
+    it('claims a step before running it and completes the claim after', async () => {
+      context.invocation = { event: { Records: [{ messageId: 'message-id' }] } };
+      context.dataAccess.Audit.create.resolves({
+        getId: () => auditId,
+        getAuditType: () => 'content-audit',
+        getFullAuditRef: () => 's3://test/123',
+      });
+
+      await idempotentAudit.run({ type: 'content-audit', siteId }, context);
+
+      const claims = context.s3Client.send.args
+        .map(([command]) => [command.constructor.name, command.input])
+        .filter(([, { Key }]) => Key === 'step-idempotency/content-audit/message-id/prepare-1.json');
+      expect(claims.map(([name]) => name)).to.deep.equal(['PutObjectCommand', 'PutObjectCommand']);
+      expect(claims[0][1].IfNoneMatch).to.equal('*');
+      expect(JSON.parse(claims[1][1].Body).status).to.equal('completed');
+      expect(context.sqs.sendMessage.firstCall.args[1].auditContext.firstStepMessageIds)
+        .to.deep.equal(['message-id']);
+    });
+
+    it('deletes the claims of the run once its last step has run', async () => {
+      const listings = [];
+      context.s3Client.send.callsFake(async (command) => {
+        if (command.constructor.name !== 'ListObjectsV2Command') return {};
+        listings.push(command.input.Prefix);
+        return { Contents: [{ Key: `${command.input.Prefix}step-1.json` }] };
+      });
+
+      await idempotentAudit.run({
+        ...message,
+        auditContext: { ...message.auditContext, firstStepMessageIds: ['message-id'] },
+      }, context);
+
+      expect(analyze).to.have.been.calledOnce;
+      expect(claimCommands().map(([name]) => name)).to.deep.equal(['PutObjectCommand']);
+      expect(listings).to.deep.equal([
+        `step-idempotency/content-audit/${auditId}/`,
+        'step-idempotency/content-audit/message-id/',
+      ]);
+      const deletes = context.s3Client.send.args
+        .map(([command]) => command)
+        .filter((command) => command.constructor.name === 'DeleteObjectsCommand');
+      expect(deletes).to.have.lengthOf(2);
+    });
+
+    it('carries the message ids of the first step along its retries', async () => {
+      context.invocation = { event: { Records: [{ messageId: 'retry-message-id' }] } };
+      const prepare = sandbox.stub().rejects(new Error('throttled'));
+      const retryingAudit = new AuditBuilder()
+        .withUrlResolver(noopUrlResolver)
+        .addStep('prepare', prepare, AUDIT_STEP_DESTINATIONS.IMPORT_WORKER, {
+          retry: { maxAttempts: 3, isRetryable: () => true },
+        })
+        .addStep('analyze', analyze)
+        .build();
+
+      await retryingAudit.run({
+        type: 'content-audit',
+        siteId,
+        auditContext: {
+          firstStepMessageIds: ['message-id'], retry: { step: 'prepare', attempt: 2 },
+        },
+      }, context);
+
+      expect(context.sqs.sendMessage.firstCall.args[1].auditContext).to.deep.equal({
+        firstStepMessageIds: ['message-id', 'retry-message-id'],
+        retry: { step: 'prepare', attempt: 3 },
+      });
+    });
+
+    it('short-circuits duplicate deliveries of a step', async () => {
+      context.s3Client.send.onFirstCall().rejects(Object.assign(new Error('precondition'), {
+        name: 'PreconditionFailed',
+      }));
+      context.s3Client.send.onSecondCall().resolves({
+        Body: {
+          transformToString: async () => JSON.stringify({
+            status: 'completed', expiresAt: '2099-01-01T00:00:00.000Z',
+          }),
+        },
+      });
+
+      const response = await idempotentAudit.run(message, context);
+
+      expect(response.status).to.equal(200);
+      expect(analyze).not.to.have.been.called;
+      expect(context.log.warn).to.have.been.calledWithMatch(/^\[step-idempotency] .*"event":"duplicate-suppressed"/);
+    });
+
+    it('releases the claim of a failed step so a redelivery runs it again', async () => {
+      analyze.rejects(new Error('boom'));
+
+      await expect(idempotentAudit.run(message, context)).to.be.rejectedWith('Reason: boom');
+
+      expect(claimCommands().map(([name]) => name)).to.deep.equal(['PutObjectCommand', 'DeleteObjectCommand']);
+    });
+
+    it('does not claim a step whose setup fails, so a redelivery runs it', async () => {
+      context.dataAccess.Audit.findById.resolves(null);
+
+      await expect(idempotentAudit.run(message, context)).to.be.rejectedWith(`Reason: Audit record ${auditId} not found`);
+
+      expect(analyze).not.to.have.been.called;
+      expect(claimCommands()).to.deep.equal([]);
+    });
+
+    it('guards the first step by the id of its SQS message, as it has no audit yet', async () => {
+      context.invocation = { event: { Records: [{ messageId: 'message-id' }] } };
+      context.s3Client.send.onFirstCall().rejects(Object.assign(new Error('precondition'), {
+        name: 'PreconditionFailed',
+      }));
+      context.s3Client.send.onSecondCall().resolves({
+        Body: {
+          transformToString: async () => JSON.stringify({
+            status: 'completed', expiresAt: '2099-01-01T00:00:00.000Z',
+          }),
+        },
+      });
+
+      const response = await idempotentAudit.run({ type: 'content-audit', siteId }, context);
+
+      expect(response.status).to.equal(200);
+      expect(context.s3Client.send.firstCall.args[0].input.Key)
+        .to.equal('step-idempotency/content-audit/message-id/prepare-1.json');
+      expect(context.dataAccess.Audit.create).not.to.have.been.called;
+    });
+
+    it('does not guard the first step outside of an SQS invocation', async () => {
+      context.dataAccess.Audit.create.resolves({
+        getId: () => auditId,
+        getAuditType: () => 'content-audit',
+        getFullAuditRef: () => 's3://test/123',
+      });
+
+      await idempotentAudit.run({ type: 'content-audit', siteId }, context);
+
+      const keys = context.s3Client.send.args.map(([command]) => command.input.Key);
+      expect(keys.filter((key) => key.startsWith('step-idempotency/'))).to.deep.equal([]);
+    });
+  });
 });
@@ -0,0 +1,244 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import {
+  claimStep,
+  CLAIM_STATUSES,
+  clearRunClaims,
+  completeStep,
+  getIdempotencyKey,
+  IN_PROGRESS_TIMEOUT_SECONDS,
+  releaseStep,
+} from '../../src/common/step-idempotency.js';
+
+use(sinonChai);
+
+describe('step idempotency', () => {
+  const sandbox = sinon.createSandbox();
+  const now = Date.parse('2025-06-01T12:00:00.000Z');
+  const run = {
+    auditType: 'content-audit', runId: 'audit-1', step: 'analyze', attempt: 1,
+  };
+  const key = 'step-idempotency/content-audit/audit-1/analyze-1.json';
+  const preconditionFailed = Object.assign(new Error('At least one of the pre-conditions you specified did not hold'), {
+    name: 'PreconditionFailed',
+    $metadata: { httpStatusCode: 412 },
+  });
+
+  let context;
+
+  const existingClaim = (claim) => ({
+    ETag: '"etag-1"',
+    Body: { transformToString: async () => JSON.stringify({ ...run, ...claim }) },
+  });
+  const commands = () => context.s3Client.send.args.map(([command]) => [
+    command.constructor.name, command.input,
+  ]);
+
+  beforeEach(() => {
+    sandbox.useFakeTimers({ now, toFake: ['Date'] });
+    context = {
+      env: { S3_SCRAPER_BUCKET_NAME: 'scraper-bucket' },
+      log: { warn: sandbox.stub() },
+      s3Client: { send: sandbox.stub().resolves({}) },
+    };
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('derives the key from the run and step', () => {
+    expect(getIdempotencyKey({ ...run, attempt: 2 }))
+      .to.equal('step-idempotency/content-audit/audit-1/analyze-2.json');
+  });
+
+  it('claims a step run with a conditional write', async () => {
+    expect(await claimStep(run, context)).to.equal(true);
+
+    const [[name, input]] = commands();
+    expect(name).to.equal('PutObjectCommand');
+    expect(input).to.deep.include({
+      Bucket: 'scraper-bucket',
+      Key: key,
+      ContentType: 'application/json',
+      IfNoneMatch: '*',
+    });
+    expect(JSON.parse(input.Body)).to.deep.equal({
+      ...run,
+      status: CLAIM_STATUSES.IN_PROGRESS,
+      claimedAt: '2025-06-01T12:00:00.000Z',
+      expiresAt: '2025-06-02T12:00:00.000Z',
+    });
+    expect(input.Expires).to.deep.equal(new Date('2025-06-02T12:00:00.000Z'));
+  });
+
+  it('does not guard runs without an id, without storage or in dry runs', async () => {
+    expect(await claimStep({ ...run, runId: null }, context)).to.equal(true);
+    expect(await claimStep(run, { ...context, dryRun: {} })).to.equal(true);
+    expect(await claimStep(run, { ...context, env: {} })).to.equal(true);
+    expect(await claimStep(run, { ...context, s3Client: null })).to.equal(true);
+    await completeStep({ ...run, runId: null }, context);
+    await releaseStep({ ...run, runId: null }, context);
+
+    expect(context.s3Client.send).not.to.have.been.called;
+  });
+
+  it('suppresses duplicates of completed and in-progress runs', async () => {
+    context.s3Client.send.onFirstCall().rejects(preconditionFailed);
+    context.s3Client.send.onSecondCall().resolves(existingClaim({
+      status: CLAIM_STATUSES.COMPLETED,
+      claimedAt: new Date(now - 60000).toISOString(),
+      expiresAt: new Date(now + 60000).toISOString(),
+    }));
+    context.s3Client.send.onThirdCall().rejects(preconditionFailed);
+    context.s3Client.send.onCall(3).resolves(existingClaim({
+      status: CLAIM_STATUSES.IN_PROGRESS,
+      claimedAt: new Date(now - 60000).toISOString(),
+    }));
+
+    expect(await claimStep(run, context)).to.equal(false);
+    expect(await claimStep(run, context)).to.equal(false);
+
+    expect(commands()[1]).to.deep.equal(['GetObjectCommand', { Bucket: 'scraper-bucket', Key: key }]);
+    const [message] = context.log.warn.firstCall.args;
+    expect(message).to.match(/^\[step-idempotency] /);
+    expect(JSON.parse(message.replace('[step-idempotency] ', ''))).to.deep.equal({
+      event: 'duplicate-suppressed',
+      ...run,
+      claimStatus: CLAIM_STATUSES.COMPLETED,
+      claimedAt: new Date(now - 60000).toISOString(),
+    });
+  });
+
+  it('takes over expired and abandoned claims', async () => {
+    context.s3Client.send.onFirstCall().rejects(preconditionFailed);
+    context.s3Client.send.onSecondCall().resolves(existingClaim({
+      status: CLAIM_STATUSES.COMPLETED,
+      expiresAt: new Date(now - 1000).toISOString(),
+    }));
+    context.s3Client.send.onCall(3).rejects(preconditionFailed);
+    context.s3Client.send.onCall(4).resolves(existingClaim({
+      status: CLAIM_STATUSES.IN_PROGRESS,
+      claimedAt: new Date(now - IN_PROGRESS_TIMEOUT_SECONDS * 1000).toISOString(),
+    }));
+
+    expect(await claimStep(run, context)).to.equal(true);
+    expect(await claimStep(run, context)).to.equal(true);
+
+    const takeOver = commands()[2];
+    expect(takeOver[0]).to.equal('PutObjectCommand');
+    expect(takeOver[1]).to.deep.include({ Key: key, IfMatch: '"etag-1"' });
+    expect(takeOver[1]).not.to.have.property('IfNoneMatch');
+    expect(context.log.warn).not.to.have.been.called;
+  });
+
+  it('suppresses the duplicate when another delivery takes over the claim first', async () => {
+    context.s3Client.send.onFirstCall().rejects(preconditionFailed);
+    context.s3Client.send.onSecondCall().resolves(existingClaim({
+      status: CLAIM_STATUSES.COMPLETED,
+      expiresAt: new Date(now - 1000).toISOString(),
+    }));
+    context.s3Client.send.onThirdCall().rejects(Object.assign(new Error('failed'), {
+      $metadata: { httpStatusCode: 412 },
+    }));
+
+    expect(await claimStep(run, context)).to.equal(false);
+    expect(context.log.warn).to.have.been.calledOnceWith(
+      `[step-idempotency] ${JSON.stringify({ event: 'duplicate-suppressed', ...run })}`,
+    );
+  });
+
+  it('runs the step unguarded when the claim cannot be checked', async () => {
+    context.s3Client.send.onFirstCall().rejects(new Error('access denied'));
+    context.s3Client.send.onSecondCall().rejects(preconditionFailed);
+    context.s3Client.send.onThirdCall().rejects(new Error('timeout'));
+
+    expect(await claimStep(run, context)).to.equal(true);
+    expect(await claimStep(run, context)).to.equal(true);
+
+    expect(context.log.warn).to.have.been.calledWith(
+      'Failed to claim step analyze of content-audit audit audit-1, running it unguarded: access denied',
+    );
+    expect(context.log.warn).to.have.been.calledWith(
+      'Failed to check the claim of step analyze of content-audit audit audit-1, running it unguarded: timeout',
+    );
+  });
+
+  it('completes and releases claims', async () => {
+    await completeStep(run, context);
+    await releaseStep(run, context);
+
+    const [[putName, put], [deleteName, del]] = commands();
+    expect(putName).to.equal('PutObjectCommand');
+    expect(put).not.to.have.property('IfNoneMatch');
+    expect(JSON.parse(put.Body).status).to.equal(CLAIM_STATUSES.COMPLETED);
+    expect(deleteName).to.equal('DeleteObjectCommand');
+    expect(del).to.deep.equal({ Bucket: 'scraper-bucket', Key: key });
+  });
+
+  it('only logs when completing or releasing a claim fails', async () => {
+    context.s3Client.send.rejects(new Error('throttled'));
+
+    await completeStep(run, context);
+    await releaseStep(run, context);
+
+    expect(context.log.warn).to.have.been.calledWith(
+      'Failed to complete the claim of step analyze of content-audit audit audit-1: throttled',
+    );
+    expect(context.log.warn).to.have.been.calledWith(
+      'Failed to release the claim of step analyze of content-audit audit audit-1: throttled',
+    );
+  });
+
+  it('deletes the claims of ended runs', async () => {
+    context.s3Client.send.onFirstCall().resolves({
+      Contents: [{ Key: key }, { Key: 'step-idempotency/content-audit/audit-1/report-1.json' }],
+    });
+
+    await clearRunClaims([
+      { auditType: 'content-audit', runId: 'audit-1' },
+      { auditType: 'content-audit', runId: 'message-1' },
+      { auditType: 'content-audit' },
+    ], context);
+
+    expect(commands()).to.deep.equal([
+      ['ListObjectsV2Command', {
+        Bucket: 'scraper-bucket', Prefix: 'step-idempotency/content-audit/audit-1/',
+      }],
+      ['ListObjectsV2Command', {
+        Bucket: 'scraper-bucket', Prefix: 'step-idempotency/content-audit/message-1/',
+      }],
+      ['DeleteObjectsCommand', {
+        Bucket: 'scraper-bucket',
+        Delete: {
+          Objects: [{ Key: key }, { Key: 'step-idempotency/content-audit/audit-1/report-1.json' }],
+        },
+      }],
+    ]);
+  });
+
+  it('only logs when clearing the claims of a run fails', async () => {
+    context.s3Client.send.rejects(new Error('throttled'));
+
+    await clearRunClaims([{ auditType: 'content-audit', runId: 'audit-1' }], context);
+
+    expect(context.log.warn).to.have.been.calledOnceWith(
+      'Failed to clear the claims of content-audit audit audit-1: throttled',
+    );
+  });
+});
@@ -0,0 +1,81 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect } from 'chai';
+import { AuditBuilder } from '../../src/common/audit-builder.js';
+import {
+  createRetryPolicy,
+  DEFAULT_RETRY_POLICY,
+  getRetryDelaySeconds,
+  getStepAttempt,
+} from '../../src/common/step-retry.js';
+
+describe('step retry', () => {
+  describe('createRetryPolicy', () => {
+    it('fills in the defaults', () => {
+      const policy = createRetryPolicy({ maxAttempts: 5 });
+
+      expect(policy).to.deep.equal({ ...DEFAULT_RETRY_POLICY, maxAttempts: 5 });
+      expect(Object.isFrozen(policy)).to.be.true;
+      expect(policy.isRetryable(new Error('any'))).to.be.true;
+    });
+
+    it('rejects invalid policies', () => {
+      expect(() => createRetryPolicy(3)).to.throw('Retry policy must be an object');
+      expect(() => createRetryPolicy({ maxAttempts: 0 }))
+        .to.throw('Invalid retry maxAttempts: 0. Must be a positive integer');
+      expect(() => createRetryPolicy({ delaySeconds: -1 }))
+        .to.throw('Invalid retry delay. Delays must be between 0 and 900 seconds');
+      expect(() => createRetryPolicy({ maxDelaySeconds: 'soon' }))
+        .to.throw('Invalid retry delay');
+      expect(() => createRetryPolicy({ maxDelaySeconds: 901 }))
+        .to.throw('Invalid retry delay');
+      expect(() => createRetryPolicy({ backoffMultiplier: 0.5 }))
+        .to.throw('Invalid retry backoffMultiplier: 0.5. Must be at least 1');
+      expect(() => createRetryPolicy({ isRetryable: true }))
+        .to.throw('Retry isRetryable must be a function');
+    });
+
+    it('is applied to steps by the audit builder', () => {
+      const audit = new AuditBuilder()
+        .addStep('only', async () => ({}), null, { retry: { maxAttempts: 2 } })
+        .build();
+
+      expect(audit.getStep('only').retry.maxAttempts).to.equal(2);
+      expect(() => new AuditBuilder().addStep('only', async () => ({}), null, { retry: {} }))
+        .not.to.throw();
+      expect(new AuditBuilder().addStep('only', async () => ({})).steps.only)
+        .not.to.have.property('retry');
+    });
+  });
+
+  describe('getRetryDelaySeconds', () => {
+    it('backs off exponentially up to the maximum delay', () => {
+      const policy = createRetryPolicy({ delaySeconds: 30, maxDelaySeconds: 100 });
+
+      expect(getRetryDelaySeconds(policy, 2)).to.equal(30);
+      expect(getRetryDelaySeconds(policy, 3)).to.equal(60);
+      expect(getRetryDelaySeconds(policy, 4)).to.equal(100);
+    });
+  });
+
+  describe('getStepAttempt', () => {
+    it('reads the attempt of the given step from the audit context', () => {
+      expect(getStepAttempt({}, 'a')).to.equal(1);
+      expect(getStepAttempt({ retry: { step: 'a', attempt: 3 } }, 'a')).to.equal(3);
+      expect(getStepAttempt({ retry: { step: 'b', attempt: 3 } }, 'a')).to.equal(1);
+      expect(getStepAttempt({ retry: { step: 'a', attempt: '3' } }, 'a')).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import {
+  finishStepTiming,
+  getStepTelemetryKey,
+  getStepTelemetryLocation,
+  recordStepTelemetry,
+  startStepTiming,
+  STEP_OUTCOMES,
+} from '../../src/common/step-telemetry.js';
+
+use(sinonChai);
+
+describe('step telemetry', () => {
+  const sandbox = sinon.createSandbox();
+  const mockDate = '2024-03-12T15:24:51.231Z';
+  const run = { auditType: 'prerender', siteId: 'site-1', runId: 'audit-1' };
+  let context;
+
+  beforeEach(() => {
+    sandbox.useFakeTimers({ now: +new Date(mockDate), toFake: ['Date'] });
+    context = {
+      env: { S3_SCRAPER_BUCKET_NAME: 'scraper-bucket' },
+      log: { info: sandbox.spy(), warn: sandbox.spy() },
+      s3Client: { send: sandbox.stub().resolves({}) },
+    };
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('times a step run into a telemetry record', () => {
+    const timing = startStepTiming({ name: 'submit', destination: 'scrape-client' }, 2);
+    const record = finishStepTiming(timing, STEP_OUTCOMES.SUCCESS, { payload: { a: 'ü' } });
+
+    expect(record).to.deep.include({
+      step: 'submit',
+      destination: 'scrape-client',
+      attempt: 2,
+      startedAt: mockDate,
+      endedAt: mockDate,
+      payloadBytes: 10,
+      outcome: 'success',
+    });
+    expect(record.durationMs).to.be.a('number').at.least(0);
+    expect(record).not.to.have.any.keys('start', 'error');
+  });
+
+  it('records the error of failed steps and copes with unserializable payloads', () => {
+    const timing = startStepTiming({ name: 'process' });
+    const circular = {};
+    circular.self = circular;
+
+    const failed = finishStepTiming(timing, STEP_OUTCOMES.FAILED, { error: new Error('boom') });
+    expect(failed).to.deep.include({
+      destination: null, attempt: 1, payloadBytes: null, outcome: 'failed', error: 'boom',
+    });
+    expect(finishStepTiming(timing, STEP_OUTCOMES.SUCCESS, { payload: circular }).payloadBytes)
+      .to.be.null;
+    expect(finishStepTiming(timing, STEP_OUTCOMES.SUCCESS, { payload: () => {} }).payloadBytes)
+      .to.equal(0);
+  });
+
+  it('logs the record and stores it next to the other steps of the run', async () => {
+    const record = finishStepTiming(startStepTiming({ name: 'submit' }), STEP_OUTCOMES.SUCCESS);
+
+    await recordStepTelemetry(record, run, context);
+
+    const expected = { ...run, ...record };
+    expect(context.log.info).to.have.been.calledWith(`[step-telemetry] ${JSON.stringify(expected)}`);
+    const { input } = context.s3Client.send.firstCall.args[0];
+    expect(input).to.deep.equal({
+      Bucket: 'scraper-bucket',
+      Key: 'step-telemetry/prerender/site-1/audit-1/submit-1.json',
+      Body: JSON.stringify(expected),
+      ContentType: 'application/json',
+    });
+    expect(getStepTelemetryKey({ ...run, step: 'submit', attempt: 1 })).to.equal(input.Key);
+  });
+
+  it('only logs the record when it cannot be stored', async () => {
+    const record = finishStepTiming(startStepTiming({ name: 'submit' }), STEP_OUTCOMES.FAILED);
+
+    await recordStepTelemetry(record, { ...run, runId: undefined }, context);
+    await recordStepTelemetry(record, run, { ...context, dryRun: {} });
+    await recordStepTelemetry(record, run, { ...context, env: undefined });
+    await recordStepTelemetry(record, run, { ...context, s3Client: undefined });
+
+    expect(context.log.info).to.have.callCount(4);
+    expect(context.log.info.firstCall.args[0]).to.include('"runId":null');
+    expect(context.s3Client.send).not.to.have.been.called;
+  });
+
+  it('locates the stored telemetry of a run', () => {
+    expect(getStepTelemetryLocation(run, context)).to.equal('s3://scraper-bucket/step-telemetry/prerender/site-1/audit-1/');
+    expect(getStepTelemetryLocation({ ...run, runId: undefined }, context)).to.be.null;
+    expect(getStepTelemetryLocation(run, { ...context, dryRun: {} })).to.be.null;
+    expect(getStepTelemetryLocation(run, { ...context, env: undefined })).to.be.null;
+    expect(getStepTelemetryLocation(run, { ...context, s3Client: undefined })).to.be.null;
+  });
+
+  it('never fails the audit when storing the record fails', async () => {
+    context.s3Client.send.rejects(new Error('access denied'));
+    const record = finishStepTiming(startStepTiming({ name: 'submit' }), STEP_OUTCOMES.SUCCESS);
+
+    await recordStepTelemetry(record, run, context);
+
+    expect(context.log.warn).to.have.been.calledWith(
+      'Failed to store telemetry of step submit for prerender audit audit-1: access denied',
+    );
+  });
+});
@@ -32,6 +32,17 @@ import {
   SHOULD_BE_PRESENT,
   TAG_LENGTHS,
   ONE_H1_ON_A_PAGE,
+  HEAD_TAGS,
+  OG_TITLE,
+  OG_DESCRIPTION,
+  OG_IMAGE,
+  OG_URL,
+  TWITTER_CARD,
+  ROBOTS,
+  VIEWPORT,
+  CHARSET,
+  ABSOLUTE_URL,
+  INDEXABLE_TOP_PAGE,
 } from '../../src/metatags/constants.js';
 import SeoChecks from '../../src/metatags/seo-checks.js';
 import testData from '../fixtures/meta-tags-data.js';
@@ -40,6 +51,7 @@ import {
   importTopPages,
   submitForScraping,
   fetchAndProcessPageObject,
+  extractHeadTags,
   opportunityAndSuggestions,
   buildKey,
 } from '../../src/metatags/handler.js';
@@ -196,6 +208,124 @@ describe('Meta Tags', () => {
       });
     });
 
+    describe('head tags', () => {
+      const url = '/page';
+      const healthyHeadTags = {
+        [OG_TITLE]: 'Page title',
+        [OG_DESCRIPTION]: 'Page description',
+        [OG_IMAGE]: 'https://example.com/image.png',
+        [OG_URL]: 'https://example.com/page/',
+        [TWITTER_CARD]: 'summary_large_image',
+        [ROBOTS]: 'index, follow',
+        [VIEWPORT]: 'width=device-width, initial-scale=1',
+        [CHARSET]: 'utf-8',
+      };
+      const check = (headTags) => {
+        seoChecks.checkSocialTags(url, headTags);
+        seoChecks.checkRobotsDirectives(url, headTags);
+        seoChecks.checkViewportAndCharset(url, headTags);
+        return seoChecks.getDetectedTags()[url];
+      };
+
+      it('should not detect issues for healthy head tags', () => {
+        expect(check(healthyHeadTags)).to.be.undefined;
+      });
+
+      it('should detect missing head tags', () => {
+        const detectedTags = check({});
+
+        expect(Object.keys(detectedTags)).to.deep.equal(
+          HEAD_TAGS.filter((tag) => tag !== ROBOTS),
+        );
+        expect(detectedTags[OG_TITLE]).to.deep.equal({
+          [SEO_IMPACT]: MODERATE,
+          [ISSUE]: 'Missing OG Title',
+          issueDetails: 'OG Title tag is missing',
+          [SEO_RECOMMENDATION]: SHOULD_BE_PRESENT,
+        });
+        expect(detectedTags[VIEWPORT][ISSUE]).to.equal('Missing Viewport');
+        expect(detectedTags[CHARSET][ISSUE]).to.equal('Missing Charset');
+      });
+
+      it('should detect empty and invalid social tags', () => {
+        const detectedTags = check({
+          ...healthyHeadTags,
+          [OG_TITLE]: '',
+          [OG_IMAGE]: '/image.png',
+          [OG_URL]: 'https://example.com/other',
+          [TWITTER_CARD]: 'large',
+          [OG_DESCRIPTION]: null,
+        });
+
+        expect(detectedTags[OG_TITLE][ISSUE]).to.equal('Empty OG Title');
+        expect(detectedTags[OG_DESCRIPTION][ISSUE]).to.equal('Missing OG Description');
+        expect(detectedTags[OG_IMAGE]).to.deep.equal({
+          tagContent: '/image.png',
+          [SEO_IMPACT]: MODERATE,
+          [ISSUE]: 'Invalid OG Image',
+          issueDetails: 'OG Image is not an absolute URL',
+          [SEO_RECOMMENDATION]: ABSOLUTE_URL,
+        });
+        expect(detectedTags[OG_URL][ISSUE]).to.equal('Mismatched OG URL');
+        expect(detectedTags[TWITTER_CARD]).to.include({
+          [SEO_IMPACT]: LOW,
+          [ISSUE]: 'Invalid Twitter Card',
+          issueDetails: 'large is not a known card type',
+        });
+      });
+
+      it('should accept the og:url of the homepage', () => {
+        seoChecks.checkSocialTags('/', { ...healthyHeadTags, [OG_URL]: 'https://example.com' });
+
+        expect(seoChecks.getDetectedTags()).to.deep.equal({});
+      });
+
+      it('should detect noindex and nofollow directives', () => {
+        expect(check({ ...healthyHeadTags, [ROBOTS]: 'NONE' })[ROBOTS]).to.deep.equal({
+          tagContent: 'NONE',
+          [SEO_IMPACT]: HIGH,
+          [ISSUE]: 'Noindex on page',
+          issueDetails: 'Robots directives: NONE',
+          [SEO_RECOMMENDATION]: INDEXABLE_TOP_PAGE,
+        });
+        expect(check({ ...healthyHeadTags, [ROBOTS]: 'index, nofollow' })[ROBOTS]).to.include({
+          [SEO_IMPACT]: MODERATE,
+          [ISSUE]: 'Nofollow on page',
+        });
+      });
+
+      it('should detect non-responsive viewports and other charsets', () => {
+        const detectedTags = check({
+          ...healthyHeadTags,
+          [VIEWPORT]: 'width=1024',
+          [CHARSET]: 'ISO-8859-1',
+        });
+
+        expect(detectedTags[VIEWPORT]).to.include({ [ISSUE]: 'Non-responsive Viewport', [SEO_IMPACT]: LOW });
+        expect(detectedTags[CHARSET]).to.include({ [ISSUE]: 'Non-UTF-8 Charset', tagContent: 'ISO-8859-1' });
+      });
+
+      it('should check head tags and their uniqueness in performChecks', () => {
+        const pageTags = (ogTitle) => ({
+          [TITLE]: 'A title that is long enough to be within the ideal',
+          [DESCRIPTION]: 'A description',
+          [H1]: [],
+          headTags: { ...healthyHeadTags, [OG_TITLE]: ogTitle, [OG_URL]: undefined },
+        });
+
+        seoChecks.performChecks('/page1', pageTags('Shared'));
+        seoChecks.performChecks('/page2', pageTags('shared'));
+        seoChecks.performChecks('/page3', pageTags('Unique'));
+        seoChecks.finalChecks();
+
+        const detectedTags = seoChecks.getDetectedTags();
+        expect(detectedTags['/page1'][OG_TITLE]).to.include({ [ISSUE]: 'Duplicate OG Title', tagContent: 'Shared' });
+        expect(detectedTags['/page2'][OG_TITLE][ISSUE]).to.equal('Duplicate OG Title');
+        expect(detectedTags['/page3'][OG_TITLE]).to.be.undefined;
+        expect(detectedTags['/page3'][OG_URL][ISSUE]).to.equal('Missing OG URL');
+      });
+    });
+
     describe('performChecks', () => {
       it('should perform all checks and store detected issues', () => {
         const url = 'https://example.com';
@@ -923,6 +1053,7 @@ describe('Meta Tags', () => {
             title: 'Valid Page Title',
             description: 'This is a valid page with sufficient content length to pass the minimum threshold check',
             h1: ['Valid Page Heading'],
+            headTags: Object.fromEntries(HEAD_TAGS.map((tag) => [tag, undefined])),
             s3key: 'scrapes/site-id/valid-page/scrape.json',
           },
         });
@@ -930,6 +1061,69 @@ describe('Meta Tags', () => {
       });
     });
 
+    describe('extractHeadTags', () => {
+      it('should read the social, robots, viewport and charset tags', () => {
+        const headTags = extractHeadTags(`<html><head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width">
+          <meta name="robots" content="noindex">
+          <meta name="GoogleBot" content="nofollow">
+          <meta property="og:title" content=" Title ">
+          <meta property="og:title" content="Second title">
+          <meta name="og:description" content="Description">
+          <meta property="og:image">
+          <meta property="og:url" content="https://example.com/page">
+          <meta name="twitter:card" content="summary">
+        </head></html>`, { 'x-robots-tag': 'noarchive' });
+
+        expect(headTags).to.deep.equal({
+          [OG_TITLE]: 'Title',
+          [OG_DESCRIPTION]: 'Description',
+          [OG_IMAGE]: '',
+          [OG_URL]: 'https://example.com/page',
+          [TWITTER_CARD]: 'summary',
+          [ROBOTS]: 'noindex, nofollow, noarchive',
+          [VIEWPORT]: 'width=device-width',
+          [CHARSET]: 'UTF-8',
+        });
+      });
+
+      it('should read the charset of the content type and leave missing tags undefined', () => {
+        const headTags = extractHeadTags('<meta http-equiv="Content-Type" content="text/html; charset=windows-1252">');
+
+        expect(headTags[CHARSET]).to.equal('windows-1252');
+        expect(headTags[ROBOTS]).to.be.undefined;
+        expect(headTags[OG_TITLE]).to.be.undefined;
+        expect(extractHeadTags('<p>no head</p>', null)[CHARSET]).to.be.undefined;
+      });
+
+      it('should add the head tags of scraped pages with their HTML', async () => {
+        s3ClientStub.send.resolves({
+          Body: {
+            transformToString: () => JSON.stringify({
+              finalUrl: 'http://example.com/page1',
+              scrapeResult: {
+                tags: { title: 'Title', description: 'Description', h1: ['H1'] },
+                rawBody: `<html><head><meta property="og:title" content="OG"></head>${' '.repeat(300)}</html>`,
+                responseHeaders: { 'x-robots-tag': 'noindex' },
+              },
+            }),
+          },
+          ContentType: 'application/json',
+        });
+
+        const result = await fetchAndProcessPageObject(
+          s3ClientStub,
+          'test-bucket',
+          'http://example.com/page1',
+          'scrapes/site-id/page1/scrape.json',
+          logStub,
+        );
+
+        expect(result['/page1'].headTags).to.include({ [OG_TITLE]: 'OG', [ROBOTS]: 'noindex' });
+      });
+    });
+
     describe('opportunities handler method', () => {
       let auditData;
       let auditUrl;
@@ -2316,6 +2510,28 @@ describe('Meta Tags', () => {
         expect(log.info).to.have.been.calledWith('Removing h1 tag from /page1 as it doesn\'t have aiSuggestion.');
       });
 
+      it('should keep AI suggestions of social tags and technical tags without them', async () => {
+        allTags.detectedTags = {
+          '/page1': {
+            [OG_TITLE]: { issue: 'Missing OG Title' },
+            [OG_DESCRIPTION]: { issue: 'Missing OG Description' },
+            [ROBOTS]: { issue: 'Noindex on page', tagContent: 'noindex' },
+          },
+        };
+        allTags.extractedTags = { '/page1': { s3key: 'page1-key' } };
+        genvarClientStub.generateSuggestions.resolves({
+          '/page1': {
+            [OG_TITLE]: { aiSuggestion: 'AI OG Title', aiRationale: 'Matches the title' },
+          },
+        });
+
+        const response = await metatagsAutoSuggest(allTags, context, siteStub);
+
+        expect(response['/page1'][OG_TITLE].aiSuggestion).to.equal('AI OG Title');
+        expect(response['/page1'][OG_DESCRIPTION]).to.be.undefined;
+        expect(response['/page1'][ROBOTS]).to.deep.equal({ issue: 'Noindex on page', tagContent: 'noindex' });
+      });
+
       it('should remove entire endpoint if no tags have aiSuggestion', async () => {
         // Setup detectedTags with an endpoint that has no aiSuggestion
         allTags.detectedTags = {
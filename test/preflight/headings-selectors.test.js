@@ -112,6 +112,7 @@ describe('Preflight Headings - Selector Coverage Tests', () => {
     job.setEndedAt = sinon.stub();
     job.setMetadata = sinon.stub();
     job.setResultType = sinon.stub();
+    job.setMetadata = sinon.stub();
     job.save = sinon.stub().resolves();
 
     context.job = job;
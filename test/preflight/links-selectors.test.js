@@ -82,6 +82,7 @@ describe('Preflight Links - Insecure Links Coverage Tests', () => {
       .build();
 
     site = context.site;
+    site.getConfig = () => ({ getHandlers: () => ({}) });
     job = context.dataAccess.AsyncJob();
 
     job.getId = sinon.stub().returns('job-123');
@@ -98,6 +99,7 @@ describe('Preflight Links - Insecure Links Coverage Tests', () => {
     job.setEndedAt = sinon.stub();
     job.setMetadata = sinon.stub();
     job.setResultType = sinon.stub();
+    job.setMetadata = sinon.stub();
     job.save = sinon.stub().resolves();
 
     context.job = job;
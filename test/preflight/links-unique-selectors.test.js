@@ -97,6 +97,7 @@ describe('Preflight Links - Unique Selector Tests', () => {
       .build();
 
     site = context.site;
+    site.getConfig = () => ({ getHandlers: () => ({}) });
     job = context.dataAccess.AsyncJob();
 
     job.getId = sinon.stub().returns('job-123');
@@ -113,6 +114,7 @@ describe('Preflight Links - Unique Selector Tests', () => {
     job.setEndedAt = sinon.stub();
     job.setMetadata = sinon.stub();
     job.setResultType = sinon.stub();
+    job.setMetadata = sinon.stub();
     job.save = sinon.stub().resolves();
 
     context.job = job;
@@ -0,0 +1,175 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { Audit as AuditModel } from '@adobe/spacecat-shared-data-access';
+import { AuditBuilder } from '../../src/common/audit-builder.js';
+import { noopUrlResolver } from '../../src/common/index.js';
+import {
+  createLocalContext,
+  findOrCreateLocalSite,
+  runLocalAudit,
+} from '../../src/support/local-runner.js';
+
+use(sinonChai);
+use(chaiAsPromised);
+
+const { AUDIT_STEP_DESTINATIONS } = AuditModel;
+
+describe('local runner', () => {
+  const baseURL = 'https://example.com';
+  let storeDir;
+  let context;
+
+  const writeScrape = (siteId, pagePath) => {
+    const dir = path.join(storeDir, 's3', 'local-scraper', 'scrapes', siteId, pagePath);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'scrape.json'), '{}');
+  };
+
+  beforeEach(() => {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-runner-'));
+    context = createLocalContext({
+      storeDir,
+      log: {
+        info: sinon.spy(), warn: sinon.spy(), error: sinon.spy(), debug: sinon.spy(),
+      },
+      env: { AUDIT_JOBS_QUEUE_URL: 'local://jobs' },
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  it('builds a context with local defaults and env overrides', () => {
+    expect(context.env.S3_SCRAPER_BUCKET_NAME).to.equal('local-scraper');
+    expect(context.env.AUDIT_JOBS_QUEUE_URL).to.equal('local://jobs');
+    expect(context.sqs.messages).to.deep.equal([]);
+  });
+
+  it('reuses the site of a previous run', async () => {
+    const site = await findOrCreateLocalSite(baseURL, context);
+    const again = await findOrCreateLocalSite(baseURL, context);
+
+    expect(again.getId()).to.equal(site.getId());
+    expect(await context.dataAccess.Organization.findById(site.getOrganizationId())).to.not.be.null;
+  });
+
+  it('walks every step in-process and collects the results', async () => {
+    const site = await findOrCreateLocalSite(baseURL, context);
+    writeScrape(site.getId(), '');
+    writeScrape(site.getId(), 'blog/post');
+
+    let scrapeResultPaths;
+    const audit = new AuditBuilder()
+      .withUrlResolver(noopUrlResolver)
+      .addStep('submit', async () => ({
+        auditResult: { status: 'submitted' },
+        fullAuditRef: baseURL,
+        urls: [{ url: baseURL }],
+        siteId: site.getId(),
+        auditContext: { extra: true },
+      }), AUDIT_STEP_DESTINATIONS.SCRAPE_CLIENT)
+      .addStep('process', async (stepContext) => {
+        scrapeResultPaths = stepContext.scrapeResultPaths;
+        const opportunity = await stepContext.dataAccess.Opportunity.create({
+          siteId: site.getId(), auditId: stepContext.audit.getId(), type: 'demo',
+        });
+        await opportunity.addSuggestions([{ type: 'CONTENT_UPDATE', data: { url: baseURL } }]);
+        await stepContext.sqs.sendMessage('local://mystique', { type: 'guidance:demo' });
+        return { status: 'complete' };
+      })
+      .build();
+
+    const result = await runLocalAudit({ demo: audit }, { type: 'demo', baseURL, context });
+
+    expect(result.audit.getAuditResult()).to.deep.equal({ status: 'submitted', schemaVersion: 0 });
+    expect(result.steps).to.have.length(2);
+    expect(result.steps[0].payload.metaData.auditData.auditContext).to.deep.include({
+      extra: true, next: 'process', auditId: result.audit.getId(), auditType: 'demo',
+    });
+    expect(result.steps[1]).to.deep.equal({ step: 'process', destination: null });
+    expect([...scrapeResultPaths.keys()]).to.have.members([baseURL, `${baseURL}/blog/post`]);
+    expect(result.opportunities).to.have.length(1);
+    expect(result.suggestions).to.have.length(1);
+    expect(result.messages).to.deep.equal([{
+      queueUrl: 'local://mystique', message: { type: 'guidance:demo' }, msgGroupId: undefined, delaySeconds: 0,
+    }]);
+  });
+
+  it('resumes a step audit from the given audit context', async () => {
+    const site = await findOrCreateLocalSite(baseURL, context);
+    const existing = await context.dataAccess.Audit.create({
+      siteId: site.getId(), auditType: 'demo', auditResult: {}, fullAuditRef: baseURL,
+    });
+    const first = sinon.stub().resolves({});
+    const last = sinon.stub().resolves({});
+    const audit = new AuditBuilder()
+      .withUrlResolver(noopUrlResolver)
+      .addStep('first', first, AUDIT_STEP_DESTINATIONS.IMPORT_WORKER)
+      .addStep('last', last)
+      .build();
+
+    const result = await runLocalAudit({ demo: audit }, {
+      type: 'demo',
+      baseURL,
+      auditContext: { next: 'last', auditId: existing.getId() },
+      context,
+    });
+
+    expect(first).not.to.have.been.called;
+    expect(last.firstCall.args[0].audit.getId()).to.equal(existing.getId());
+    expect(last.firstCall.args[0].scrapeResultPaths).to.be.undefined;
+    expect(result.steps).to.deep.equal([{ step: 'last', destination: null }]);
+  });
+
+  it('runs runner audits through their regular run method', async () => {
+    const audit = new AuditBuilder()
+      .withUrlResolver(noopUrlResolver)
+      .withRunner(async (url) => ({ auditResult: { url }, fullAuditRef: url }))
+      .build();
+
+    const result = await runLocalAudit({ demo: audit }, { type: 'demo', baseURL, context });
+
+    expect(result.status).to.equal(200);
+    expect(result.audit.getAuditResult()).to.deep.equal({ url: baseURL, schemaVersion: 0 });
+    expect(result.opportunities).to.deep.equal([]);
+  });
+
+  it('runs plain handler functions', async () => {
+    const handler = sinon.stub().resolves({ status: 204 });
+
+    const result = await runLocalAudit({ demo: handler }, { type: 'demo', baseURL, context });
+
+    expect(handler.firstCall.args[0]).to.deep.include({ type: 'demo', auditContext: {} });
+    expect(result.status).to.equal(204);
+    expect(result.audit).to.be.null;
+  });
+
+  it('rejects unknown and async job audit types', async () => {
+    const asyncJob = new AuditBuilder().withAsyncJob().addStep('only', async () => ({})).build();
+
+    await expect(runLocalAudit({}, { type: 'demo', baseURL, context }))
+      .to.be.rejectedWith('no such audit type: demo');
+    await expect(runLocalAudit({ demo: asyncJob }, { type: 'demo', baseURL, context }))
+      .to.be.rejectedWith('demo runs as an async job and cannot be run locally');
+  });
+});
@@ -0,0 +1,200 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import {
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+} from '@aws-sdk/client-s3';
+import {
+  createFileStore,
+  createLocalDataAccess,
+  createLocalS3Client,
+  createLocalSqs,
+} from '../../src/support/local-stubs.js';
+
+use(chaiAsPromised);
+
+describe('local stubs', () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-stubs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  describe('createFileStore', () => {
+    it('reads an empty collection and persists written records', () => {
+      const store = createFileStore(path.join(rootDir, 'data'));
+
+      expect(store.read('Site')).to.deep.equal([]);
+      store.write('Site', [{ id: 'a' }]);
+      expect(store.read('Site')).to.deep.equal([{ id: 'a' }]);
+      expect(fs.existsSync(path.join(rootDir, 'data', 'Site.json'))).to.be.true;
+    });
+  });
+
+  describe('createLocalDataAccess', () => {
+    let dataAccess;
+
+    beforeEach(() => {
+      dataAccess = createLocalDataAccess(createFileStore(rootDir));
+    });
+
+    it('creates entities with generic accessors and persists them on save', async () => {
+      const site = await dataAccess.Site.create({ baseURL: 'https://example.com', config: { fetchConfig: { a: 1 } } });
+
+      expect(site.getId()).to.be.a('string');
+      expect(site.getBaseURL()).to.equal('https://example.com');
+      expect(site.getConfig().getFetchConfig()).to.deep.equal({ a: 1 });
+      expect(site.getConfig().isImportEnabled()).to.be.undefined;
+      expect(site.getConfig().then).to.be.undefined;
+      expect(site.getConfig()[Symbol.iterator]).to.be.undefined;
+      expect(JSON.parse(JSON.stringify(site.getConfig()))).to.deep.equal({ fetchConfig: { a: 1 } });
+      expect(site.then).to.be.undefined;
+      expect(site[Symbol.iterator]).to.be.undefined;
+      expect(site.unknownMethod).to.be.undefined;
+
+      expect(site.setIsLive(false)).to.equal(site);
+      await site.save();
+
+      const reloaded = await dataAccess.Site.findById(site.getId());
+      expect(reloaded.getIsLive()).to.be.false;
+      expect(JSON.parse(JSON.stringify(reloaded)).baseURL).to.equal('https://example.com');
+      expect(await dataAccess.Site.findById('missing')).to.be.null;
+    });
+
+    it('supports dynamic finders, all and findLatest', async () => {
+      await dataAccess.Audit.create({ siteId: 's1', auditType: 'cwv', createdAt: '2025-01-01' });
+      await dataAccess.Audit.create({ siteId: 's1', auditType: 'cwv', createdAt: '2025-02-01' });
+      await dataAccess.Audit.create({ siteId: 's2', auditType: 'cwv', createdAt: '2025-03-01' });
+
+      const audits = await dataAccess.Audit.allBySiteIdAndAuditType('s1', 'cwv');
+      expect(audits.map((a) => a.getCreatedAt())).to.deep.equal(['2025-02-01', '2025-01-01']);
+      expect((await dataAccess.Audit.findBySiteId('s2')).getCreatedAt()).to.equal('2025-03-01');
+      expect(await dataAccess.Audit.findBySiteId('s3')).to.be.null;
+      expect(await dataAccess.Audit.all()).to.have.length(3);
+      expect((await dataAccess.Audit.findLatest()).getCreatedAt()).to.equal('2025-03-01');
+      expect(await dataAccess.Site.findLatest()).to.be.null;
+    });
+
+    it('throws for unsupported collection methods', () => {
+      expect(() => dataAccess.Audit.countAll()).to.throw('Local Audit collection does not support countAll()');
+      expect(dataAccess.then).to.be.undefined;
+      expect(dataAccess.Audit[Symbol.iterator]).to.be.undefined;
+    });
+
+    it('relates suggestions and fix entities to opportunities', async () => {
+      const opportunity = await dataAccess.Opportunity.create({ siteId: 's1', type: 'cwv' });
+
+      const { createdItems, errorItems } = await opportunity.addSuggestions([{ data: { url: 'a' } }]);
+      expect(createdItems).to.have.length(1);
+      expect(errorItems).to.deep.equal([]);
+      await opportunity.addFixEntities([{ type: 'CODE_CHANGE' }]);
+
+      const suggestions = await opportunity.getSuggestions();
+      expect(suggestions[0].getOpportunityId()).to.equal(opportunity.getId());
+      expect(await dataAccess.FixEntity.allByOpportunityId(opportunity.getId())).to.have.length(1);
+
+      await dataAccess.Suggestion.bulkUpdateStatus(suggestions, 'OUTDATED');
+      expect((await opportunity.getSuggestions())[0].getStatus()).to.equal('OUTDATED');
+
+      await dataAccess.Suggestion.removeByIds([suggestions[0].getId()]);
+      expect(await opportunity.getSuggestions()).to.deep.equal([]);
+
+      await opportunity.remove();
+      expect(await dataAccess.Opportunity.all()).to.deep.equal([]);
+    });
+
+    it('enables and entitles every handler', async () => {
+      const configuration = await dataAccess.Configuration.findLatest();
+      expect(configuration.getHandlers()['any-audit'].productCodes).to.deep.equal(['LOCAL']);
+      expect(configuration.isHandlerEnabledForSite('any-audit', {})).to.be.true;
+
+      const entitlement = await dataAccess.Entitlement.findByOrganizationIdAndProductCode('org', 'ASO');
+      expect(entitlement.getProductCode()).to.equal('ASO');
+    });
+  });
+
+  describe('createLocalS3Client', () => {
+    let s3Client;
+
+    beforeEach(() => {
+      s3Client = createLocalS3Client(rootDir);
+    });
+
+    it('puts, heads, gets, lists and deletes objects', async () => {
+      await s3Client.send(new PutObjectCommand({ Bucket: 'b', Key: 'scrapes/a/scrape.json', Body: '{"a":1}' }));
+      await s3Client.send(new PutObjectCommand({ Bucket: 'b', Key: 'scrapes/b/page.html', Body: '<html></html>' }));
+      await s3Client.send(new PutObjectCommand({ Bucket: 'b', Key: 'other/c.txt', Body: 'c' }));
+
+      const json = await s3Client.send(new GetObjectCommand({ Bucket: 'b', Key: 'scrapes/a/scrape.json' }));
+      expect(json.ContentType).to.equal('application/json');
+      expect(await json.Body.transformToString()).to.equal('{"a":1}');
+      expect(await json.Body.transformToByteArray()).to.be.instanceOf(Uint8Array);
+
+      const text = await s3Client.send(new GetObjectCommand({ Bucket: 'b', Key: 'other/c.txt' }));
+      expect(text.ContentType).to.equal('text/plain');
+
+      const head = await s3Client.send(new HeadObjectCommand({ Bucket: 'b', Key: 'other/c.txt' }));
+      expect(head.ContentLength).to.equal(1);
+
+      const listed = await s3Client.send(new ListObjectsV2Command({ Bucket: 'b', Prefix: 'scrapes/' }));
+      expect(listed.Contents.map((c) => c.Key)).to.deep.equal(['scrapes/a/scrape.json', 'scrapes/b/page.html']);
+      const limited = await s3Client.send(new ListObjectsV2Command({ Bucket: 'b', MaxKeys: 1 }));
+      expect(limited.KeyCount).to.equal(1);
+      const empty = await s3Client.send(new ListObjectsV2Command({ Bucket: 'missing' }));
+      expect(empty.Contents).to.deep.equal([]);
+
+      await s3Client.send(new DeleteObjectCommand({ Bucket: 'b', Key: 'other/c.txt' }));
+      await expect(s3Client.send(new GetObjectCommand({ Bucket: 'b', Key: 'other/c.txt' })))
+        .to.be.rejectedWith('The specified key does not exist: other/c.txt');
+      await expect(s3Client.send(new HeadObjectCommand({ Bucket: 'b', Key: 'other/c.txt' })))
+        .to.be.rejectedWith('The specified key does not exist: other/c.txt');
+    });
+
+    it('rejects unsupported commands', async () => {
+      await expect(s3Client.send(new CopyObjectCommand({ Bucket: 'b', Key: 'k', CopySource: 'b/x' })))
+        .to.be.rejectedWith('Local S3 client does not support CopyObjectCommand');
+    });
+  });
+
+  describe('createLocalSqs', () => {
+    it('records sent messages', async () => {
+      const sqs = createLocalSqs();
+      await sqs.sendMessage('queue', { type: 'a' });
+      await sqs.sendMessage('queue', { type: 'b' }, 'group', 5);
+
+      expect(sqs.messages).to.deep.equal([
+        {
+          queueUrl: 'queue', message: { type: 'a' }, msgGroupId: undefined, delaySeconds: 0,
+        },
+        {
+          queueUrl: 'queue', message: { type: 'b' }, msgGroupId: 'group', delaySeconds: 5,
+        },
+      ]);
+    });
+  });
+});
@@ -31,6 +31,7 @@ import {
   AUTHOR_ONLY_OPPORTUNITY_TYPES,
 } from '../../src/utils/data-access.js';
 import { MockContextBuilder } from '../shared.js';
+import { createDryRunDiff } from '../../src/common/dry-run.js';
 
 use(sinonChai);
 use(chaiAsPromised);
@@ -198,14 +199,14 @@ describe('data-access', () => {
       expect(actualArgs[0].type).to.equal('TYPE');
       expect(actualArgs[0].rank).to.equal(123);
       expect(actualArgs[0].status).to.equal('PENDING_VALIDATION');
-      expect(actualArgs[0].data).to.deep.equal({ key: '3' });
+      expect(actualArgs[0].data).to.deep.equal({ key: '3', schemaVersion: 0 });
 
       // Check second suggestion
       expect(actualArgs[1].opportunityId).to.equal('123');
       expect(actualArgs[1].type).to.equal('TYPE');
       expect(actualArgs[1].rank).to.equal(123);
       expect(actualArgs[1].status).to.equal('PENDING_VALIDATION');
-      expect(actualArgs[1].data).to.deep.equal({ key: '4' });
+      expect(actualArgs[1].data).to.deep.equal({ key: '4', schemaVersion: 0 });
       expect(mockLogger.error).to.not.have.been.called;
     });
 
@@ -767,7 +768,8 @@ describe('data-access', () => {
       });
 
       expect(mockOpportunity.getSuggestions).to.have.been.calledOnce;
-      expect(existingSuggestions[0].setData).to.have.been.calledOnceWith(newData[0]);
+      expect(existingSuggestions[0].setData).to.have.been
+        .calledOnceWith({ ...newData[0], schemaVersion: 0 });
       expect(existingSuggestions[0].save).to.have.been.calledOnce;
       expect(context.dataAccess.Suggestion.bulkUpdateStatus).to.have.been
         .calledOnceWith([existingSuggestions[1]], 'OUTDATED');
@@ -801,7 +803,8 @@ describe('data-access', () => {
 
       expect(mockOpportunity.getSuggestions).to.have.been.calledOnce;
       expect(mockOpportunity.addSuggestions).to.not.have.been.called;
-      expect(existingSuggestions[0].setData).to.have.been.calledOnceWith(newData[0]);
+      expect(existingSuggestions[0].setData).to.have.been
+        .calledOnceWith({ ...newData[0], schemaVersion: 0 });
       expect(existingSuggestions[0].setStatus).to.have.been
         .calledOnceWith(SuggestionDataAccess.STATUSES.NEW);
       expect(mockLogger.warn).to.have.been.calledOnceWith('Outdated suggestion found in audit. Possible regression.');
@@ -1638,9 +1641,203 @@ describe('data-access', () => {
       // Verify getSuggestions was NOT called since we provided pre-fetched suggestions
       expect(mockOpportunity.getSuggestions).to.not.have.been.called;
       // Verify the pre-fetched suggestions were used
-      expect(prefetchedSuggestions[0].setData).to.have.been.calledOnceWith(newData[0]);
+      expect(prefetchedSuggestions[0].setData).to.have.been
+        .calledOnceWith({ ...newData[0], schemaVersion: 0 });
       expect(prefetchedSuggestions[0].save).to.have.been.calledOnce;
     });
+
+    it('validates and stamps the data of suggestions of opportunity types with a schema', async () => {
+      const existing = {
+        getId: () => 'existing',
+        getData: () => ({ type: 'error', error: 'OLD' }),
+        getStatus: () => SuggestionDataAccess.STATUSES.NEW,
+        setData: sandbox.stub(),
+        setStatus: sandbox.stub(),
+        setUpdatedBy: sandbox.stub(),
+        save: sandbox.stub().resolves(),
+      };
+      mockOpportunity.getType = () => 'sitemap';
+      mockOpportunity.getSuggestions.resolves([existing]);
+      mockOpportunity.addSuggestions.resolves({ createdItems: [{}], errorItems: [] });
+
+      await syncSuggestions({
+        context,
+        opportunity: mockOpportunity,
+        newData: [
+          { type: 'error', error: 'OLD', recommendedAction: 'fix it' },
+          { type: 'error', error: 'NEW', recommendedAction: 'fix it' },
+        ],
+        buildKey: (data) => data.error,
+        mapNewSuggestion: (data) => ({ opportunityId: '123', type: 'REDIRECT_UPDATE', data }),
+      });
+
+      expect(existing.setData).to.have.been.calledWith({
+        type: 'error', error: 'OLD', recommendedAction: 'fix it', schemaVersion: 2,
+      });
+      expect(mockOpportunity.addSuggestions.firstCall.args[0][0].data).to.deep.equal({
+        type: 'error', error: 'NEW', recommendedAction: 'fix it', schemaVersion: 2,
+      });
+    });
+
+    it('rejects suggestion data violating the schema before persisting anything', async () => {
+      const outdated = {
+        getData: () => ({ type: 'error', error: 'GONE', recommendedAction: 'fix it' }),
+        getStatus: () => SuggestionDataAccess.STATUSES.NEW,
+      };
+      mockOpportunity.getType = () => 'sitemap';
+      mockOpportunity.getSuggestions.resolves([outdated]);
+
+      await expect(syncSuggestions({
+        context,
+        opportunity: mockOpportunity,
+        newData: [{ type: 'url', pageUrl: 'https://example.com/a', statusCode: '404' }],
+        buildKey: (data) => data.pageUrl,
+        mapNewSuggestion: (data) => ({ opportunityId: '123', type: 'REDIRECT_UPDATE', data }),
+      })).to.be.rejectedWith('sitemap suggestion data does not match its schema:\n'
+        + 'data.sitemapUrl: Invalid input: expected string, received undefined\n'
+        + 'data.statusCode: Invalid input: expected number, received string\n'
+        + 'data.recommendedAction: Invalid input: expected string, received undefined');
+
+      expect(context.dataAccess.Suggestion.bulkUpdateStatus).not.to.have.been.called;
+      expect(mockOpportunity.addSuggestions).not.to.have.been.called;
+    });
+
+    describe('with trackRegressions', () => {
+      const suggestion = (key, status, extra = {}) => ({
+        getId: () => `suggestion-${key}-${status}`,
+        getData: () => ({ key, ...extra }),
+        getStatus: () => status,
+        getUpdatedAt: () => '2025-05-01T00:00:00.000Z',
+        setData: sandbox.stub(),
+        setStatus: sandbox.stub(),
+        setUpdatedBy: sandbox.stub(),
+        save: sandbox.stub().resolves(),
+      });
+
+      beforeEach(() => {
+        Object.assign(mockOpportunity, {
+          getId: () => 'opportunity-id',
+          getType: () => 'broken-backlinks',
+          getData: () => ({ dataSources: ['Ahrefs'] }),
+          setData: sandbox.stub(),
+          setUpdatedBy: sandbox.stub(),
+          save: sandbox.stub().resolves(),
+        });
+        mockOpportunity.addSuggestions.resolves({ createdItems: [{}], errorItems: [] });
+        context.dataAccess.Opportunity.allBySiteId = sandbox.stub().resolves([]);
+      });
+
+      it('flags re-occurring issues and counts them in the opportunity data', async () => {
+        const outdated = suggestion('outdated', SuggestionDataAccess.STATUSES.OUTDATED);
+        const flagged = suggestion('flagged', SuggestionDataAccess.STATUSES.NEW, {
+          regression: { previouslyFixedAt: '2025-04-01T00:00:00.000Z' },
+        });
+        mockOpportunity.getSuggestions.resolves([outdated, flagged]);
+        context.dataAccess.Opportunity.allBySiteId.resolves([{
+          getId: () => 'past-opportunity', getType: () => 'broken-backlinks',
+        }]);
+        context.dataAccess.Suggestion.allByOpportunityIdAndStatus
+          .withArgs('past-opportunity', SuggestionDataAccess.STATUSES.FIXED)
+          .resolves([suggestion('fixed', SuggestionDataAccess.STATUSES.FIXED)]);
+        context.dataAccess.Suggestion.allByOpportunityIdAndStatus.resolves([]);
+
+        await syncSuggestions({
+          context,
+          opportunity: mockOpportunity,
+          newData: [{ key: 'outdated' }, { key: 'flagged' }, { key: 'fixed' }, { key: 'new' }],
+          buildKey,
+          mapNewSuggestion,
+          mergeDataFunction: keepLatestMergeDataFunction,
+          trackRegressions: true,
+        });
+
+        expect(outdated.setData.firstCall.args[0].regression).to.deep.include({
+          previouslyFixedAt: '2025-05-01T00:00:00.000Z',
+          previousStatus: SuggestionDataAccess.STATUSES.OUTDATED,
+          previousSuggestionId: 'suggestion-outdated-OUTDATED',
+        });
+        expect(flagged.setData).to.have.been.calledWith({
+          key: 'flagged', schemaVersion: 0, regression: { previouslyFixedAt: '2025-04-01T00:00:00.000Z' },
+        });
+        const [added] = mockOpportunity.addSuggestions.firstCall.args;
+        expect(added.map(({ data }) => data.regression?.previousSuggestionId)).to.deep.equal([
+          'suggestion-fixed-FIXED', undefined,
+        ]);
+        expect(mockOpportunity.setData).to.have.been.calledWith({
+          dataSources: ['Ahrefs'], regressionCount: 3,
+        });
+        expect(mockOpportunity.save).to.have.been.calledOnce;
+      });
+
+      it('only flags and counts the re-occurring issues that are open again', async () => {
+        const { FIXED, OUTDATED, SKIPPED } = SuggestionDataAccess.STATUSES;
+        const skipped = suggestion('skipped', SKIPPED, {
+          regression: { previouslyFixedAt: '2025-04-01T00:00:00.000Z' },
+        });
+        const fixed = suggestion('fixed', FIXED);
+        const outdated = suggestion('outdated', OUTDATED);
+        mockOpportunity.getSuggestions.resolves([skipped, fixed, outdated]);
+        context.dataAccess.Opportunity.allBySiteId.resolves([{
+          getId: () => 'past-opportunity', getType: () => 'broken-backlinks',
+        }]);
+        context.dataAccess.Suggestion.allByOpportunityIdAndStatus
+          .withArgs('past-opportunity', FIXED)
+          .resolves([suggestion('skipped', FIXED)]);
+        context.dataAccess.Suggestion.allByOpportunityIdAndStatus.resolves([]);
+
+        await syncSuggestions({
+          context,
+          opportunity: mockOpportunity,
+          newData: [{ key: 'skipped' }, { key: 'fixed' }, { key: 'outdated' }],
+          buildKey,
+          mapNewSuggestion,
+          trackRegressions: true,
+        });
+
+        expect(skipped.setData).to.have.been.calledWith({ key: 'skipped', schemaVersion: 0 });
+        expect(fixed.setData).to.have.been.calledWith({ key: 'fixed', schemaVersion: 0 });
+        expect(outdated.setStatus).to.have.been.calledWith(SuggestionDataAccess.STATUSES.NEW);
+        expect(outdated.setData.firstCall.args[0]).to.have.property('regression');
+        expect(mockOpportunity.setData).to.have.been.calledWith({
+          dataSources: ['Ahrefs'], regressionCount: 1,
+        });
+      });
+
+      it('does not touch the opportunity while there are no regressions', async () => {
+        mockOpportunity.getSuggestions.resolves([suggestion('a', SuggestionDataAccess.STATUSES.NEW)]);
+
+        await syncSuggestions({
+          context,
+          opportunity: mockOpportunity,
+          newData: [{ key: 'a' }],
+          buildKey,
+          mapNewSuggestion,
+          trackRegressions: true,
+        });
+
+        expect(mockOpportunity.save).not.to.have.been.called;
+      });
+
+      it('records the regression count of a dry run', async () => {
+        context.dryRun = createDryRunDiff();
+        mockOpportunity.getData = () => ({ regressionCount: 2 });
+        mockOpportunity.getSuggestions.resolves([]);
+
+        await syncSuggestions({
+          context,
+          opportunity: mockOpportunity,
+          newData: [],
+          buildKey,
+          mapNewSuggestion,
+          trackRegressions: true,
+        });
+
+        expect(context.dryRun.opportunities.updated).to.deep.equal([{
+          id: 'opportunity-id', type: 'broken-backlinks', data: { regressionCount: 0 },
+        }]);
+        expect(mockOpportunity.save).not.to.have.been.called;
+      });
+    });
   });
 
   describe('getImsOrgId', () => {
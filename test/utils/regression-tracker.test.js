@@ -0,0 +1,182 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+import { expect, use } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { Suggestion as SuggestionDataAccess } from '@adobe/spacecat-shared-data-access';
+import { detectRegressions, updateRegressionCount } from '../../src/utils/regression-tracker.js';
+
+use(sinonChai);
+
+const { FIXED, OUTDATED, NEW } = SuggestionDataAccess.STATUSES;
+
+describe('regression tracker', () => {
+  const sandbox = sinon.createSandbox();
+  const buildKey = (data) => data.url;
+
+  const suggestion = (id, url, status, updatedAt = '2025-05-01T00:00:00.000Z') => ({
+    getId: () => id,
+    getData: () => ({ url }),
+    getStatus: () => status,
+    getUpdatedAt: () => updatedAt,
+  });
+
+  let context;
+  let opportunity;
+
+  beforeEach(() => {
+    opportunity = {
+      getId: () => 'current',
+      getSiteId: () => 'site-id',
+      getType: () => 'canonical',
+      getData: sandbox.stub().returns(null),
+      setData: sandbox.stub(),
+      setUpdatedBy: sandbox.stub(),
+      save: sandbox.stub().resolves(),
+    };
+    context = {
+      log: { warn: sandbox.stub() },
+      dataAccess: {
+        Opportunity: { allBySiteId: sandbox.stub().resolves([]) },
+        Suggestion: { allByOpportunityIdAndStatus: sandbox.stub().resolves([]) },
+      },
+    };
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('detectRegressions', () => {
+    it('reports the latest resolution of each re-occurring issue', async () => {
+      const pastOpportunity = { getId: () => 'past', getType: () => 'canonical' };
+      context.dataAccess.Opportunity.allBySiteId.resolves([
+        { getId: () => 'current', getType: () => 'canonical' },
+        { getId: () => 'other-type', getType: () => 'hreflang' },
+        pastOpportunity,
+      ]);
+      context.dataAccess.Suggestion.allByOpportunityIdAndStatus.withArgs('past', FIXED).resolves([
+        suggestion('old-fix', 'https://a.com/1', FIXED, '2025-01-01T00:00:00.000Z'),
+        suggestion('newer-fix', 'https://a.com/1', FIXED, '2025-03-01T00:00:00.000Z'),
+        suggestion('gone', 'https://a.com/gone', FIXED),
+      ]);
+
+      const regressions = await detectRegressions({
+        context,
+        opportunity,
+        existingSuggestions: [
+          suggestion('mid-fix', 'https://a.com/1', OUTDATED, '2025-02-01T00:00:00.000Z'),
+          suggestion('open', 'https://a.com/2', NEW),
+        ],
+        newDataKeys: new Set(['https://a.com/1', 'https://a.com/2']),
+        buildKey,
+      });
+
+      expect(context.dataAccess.Suggestion.allByOpportunityIdAndStatus.args).to.deep.equal([
+        ['past', FIXED], ['past', OUTDATED],
+      ]);
+      expect([...regressions.keys()]).to.deep.equal(['https://a.com/1']);
+      expect(regressions.get('https://a.com/1')).to.deep.include({
+        previouslyFixedAt: '2025-03-01T00:00:00.000Z',
+        previousStatus: FIXED,
+        previousSuggestionId: 'newer-fix',
+      });
+      expect(context.log.warn).to.have.been.calledWith(
+        '[RegressionTracker] 1 previously resolved canonical issues re-occurred for site site-id',
+      );
+    });
+
+    it('does not flag issues flagged before', async () => {
+      const flagged = {
+        ...suggestion('flagged', 'https://a.com/1', NEW),
+        getData: () => ({
+          url: 'https://a.com/1',
+          regression: { previouslyFixedAt: '2025-05-01T00:00:00.000Z' },
+        }),
+      };
+
+      const regressions = await detectRegressions({
+        context,
+        opportunity,
+        existingSuggestions: [flagged, suggestion('fixed', 'https://a.com/1', FIXED)],
+        newDataKeys: new Set(['https://a.com/1']),
+        buildKey,
+      });
+
+      expect(regressions.size).to.equal(0);
+      expect(context.log.warn).not.to.have.been.called;
+    });
+
+    it('flags issues flagged before again when they were resolved since', async () => {
+      const flagged = {
+        ...suggestion('flagged', 'https://a.com/1', NEW),
+        getData: () => ({
+          url: 'https://a.com/1',
+          regression: { previouslyFixedAt: '2025-01-01T00:00:00.000Z' },
+        }),
+      };
+
+      const regressions = await detectRegressions({
+        context,
+        opportunity,
+        existingSuggestions: [flagged, suggestion('fixed', 'https://a.com/1', FIXED)],
+        newDataKeys: new Set(['https://a.com/1']),
+        buildKey,
+      });
+
+      expect(regressions.get('https://a.com/1')).to.deep.include({
+        previouslyFixedAt: '2025-05-01T00:00:00.000Z',
+        previousSuggestionId: 'fixed',
+      });
+    });
+
+    it('reports no regressions when the past suggestions cannot be loaded', async () => {
+      context.dataAccess.Opportunity.allBySiteId.rejects(new Error('throttled'));
+
+      const regressions = await detectRegressions({
+        context,
+        opportunity,
+        existingSuggestions: [suggestion('fixed', 'https://a.com/1', FIXED)],
+        newDataKeys: new Set(['https://a.com/1']),
+        buildKey,
+      });
+
+      expect(regressions.size).to.equal(0);
+      expect(context.log.warn).to.have.been.calledWith(
+        '[RegressionTracker] Failed to load past suggestions, skipping regression detection: throttled',
+      );
+    });
+  });
+
+  describe('updateRegressionCount', () => {
+    it('saves a changed count', async () => {
+      await updateRegressionCount(context, opportunity, 2);
+
+      expect(opportunity.setData).to.have.been.calledWith({ regressionCount: 2 });
+      expect(opportunity.setUpdatedBy).to.have.been.calledWith('system');
+      expect(opportunity.save).to.have.been.calledOnce;
+    });
+
+    it('only logs when the count cannot be saved', async () => {
+      opportunity.save.rejects(new Error('conflict'));
+
+      await updateRegressionCount(context, opportunity, 1);
+
+      expect(context.log.warn).to.have.been.calledWith(
+        '[RegressionTracker] Failed to store the regression count: conflict',
+      );
+    });
+  });
+});
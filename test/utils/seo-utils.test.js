@@ -157,6 +157,13 @@ describe('getIssueRanking - edge cases', () => {
     expect(getIssueRanking('title', 'Missing Title')).to.equal(1);
   });
 
+  it('should rank the issues of head tags', () => {
+    expect(getIssueRanking('robots', 'Noindex on page')).to.equal(1);
+    expect(getIssueRanking('og:title', 'Missing OG Title')).to.equal(12);
+    expect(getIssueRanking('og:url', 'Mismatched OG URL')).to.equal(16);
+    expect(getIssueRanking('charset', 'Non-UTF-8 Charset')).to.equal(18);
+  });
+
   it('should return -1 for unknown issue word', () => {
     // Cover the loop that doesn't find a match (line 100)
     expect(getIssueRanking('title', 'Something Random')).to.equal(-1);
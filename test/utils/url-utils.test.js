@@ -395,6 +395,25 @@ describe('normalizeUrlForComparison', () => {
   });
 });
 
+describe('normalizePageUrl', () => {
+  it('ignores host case, fragments and trailing slashes but keeps the path case', () => {
+    expect(utils.normalizePageUrl('https://Example.com/Page/#top')).to.equal('https://example.com/Page');
+    expect(utils.normalizePageUrl('https://example.com')).to.equal('https://example.com/');
+    expect(utils.normalizePageUrl('https://example.com/a?b=1')).to.equal('https://example.com/a?b=1');
+  });
+
+  it('ignores the protocol and the www subdomain if asked to', () => {
+    expect(utils.normalizePageUrl('https://WWW.Example.com/Path/?q=1#top', { ignoreProtocolAndWww: true }))
+      .to.equal('example.com/Path?q=1');
+    expect(utils.normalizePageUrl('http://example.com/', { ignoreProtocolAndWww: true }))
+      .to.equal('example.com/');
+  });
+
+  it('returns unparsable URLs as they are', () => {
+    expect(utils.normalizePageUrl('not a url')).to.equal('not a url');
+  });
+});
+
 describe('urlsMatch', () => {
   it('should match identical URLs', () => {
     expect(utils.urlsMatch(